@@ -793,9 +793,13 @@ class WOW3AnimationApp {
       /**
        * Load a .wow3a file from a URL.
        * @param {string} url
+       * @param {{ transparent?: boolean }} [options] - transparent: no canvas background
        * @returns {Promise<void>}
        */
-      async loadFile(url) {
+      async loadFile(url, options = {}) {
+        // Transparent background for renders with an alpha channel
+        document.body.classList.toggle('transparent-background', !!options.transparent);
+
         const resp = await fetch(url);
         const blob = await resp.blob();
         const file = new File([blob], 'input.wow3a', { type: 'application/zip' });
@@ -885,11 +889,48 @@ class WOW3AnimationApp {
         return failed.length > 0 ? failed : null;
       },
 
+      /**
+       * Render the frame at an exact timeline time (deterministic export mode)
+       * and wait until its media is paintable. Used for frame-by-frame capture;
+       * rejects when the media is still loading after 5s.
+       * @param {number} timeMs
+       * @returns {Promise<void>}
+       */
+      async seek(timeMs) {
+        self.canvasRenderer.setExportMode(true);
+        self.timeline.currentTimeMs = Math.max(0, timeMs);
+        self.canvasRenderer.renderAtCurrentTime();
+
+        const slideCanvas = document.getElementById('slide-canvas');
+        const pending = [...slideCanvas.querySelectorAll('img, video')].filter((el) =>
+          el.tagName === 'IMG' ? !el.complete : el.readyState < 2
+        );
+        let timer;
+        await Promise.race([
+          Promise.allSettled(pending.map((el) => new Promise((resolve) => {
+            el.addEventListener('load', resolve, { once: true });
+            el.addEventListener('loadeddata', resolve, { once: true });
+            el.addEventListener('error', resolve, { once: true });
+          }))),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              const sources = pending
+                .filter((el) => (el.tagName === 'IMG' ? !el.complete : el.readyState < 2))
+                .map((el) => el.currentSrc || el.getAttribute('src'));
+              reject(new Error(`Media did not load within 5s: ${sources.join(', ')}`));
+            }, 5000);
+          }),
+        ]).finally(() => clearTimeout(timer));
+
+        await new Promise((resolve) => requestAnimationFrame(() => resolve()));
+      },
+
       /**
        * Start playback from the beginning. Returns a Promise that resolves when playback ends.
        * @returns {Promise<void>}
        */
       play() {
+        self.canvasRenderer.setExportMode(false);
         // Clear canvas so elements are freshly created with in-animations
         self.canvasRenderer.clear();
         self.timeline.seekTo(0);
@@ -9,7 +9,8 @@ import {
   createDb, resetInterruptedJobs, getPendingJobs,
 } from './db.js';
 import { createQueue } from './queue.js';
-import { createCleanup } from './cleanup.js';
+import { createCleanup, parseDuration, parseByteSize, DEFAULT_RETENTION_MS } from './cleanup.js';
+import { createWebhooks } from './webhooks.js';
 import { createApiKeyAuth } from './middleware/auth.js';
 import { jobsRoutes } from './routes/jobs.js';
 import { adminRoutes } from './routes/admin.js';
@@ -26,27 +27,45 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
  * @param {string} opts.jwtSecret    - Secret for signing admin JWTs
  * @param {string} opts.adminUser    - Admin username
  * @param {string} opts.adminPass    - Admin password
+ * @param {number} [opts.renderFps]  - Default frame rate of rendered videos (recorder default if omitted)
+ * @param {number} [opts.concurrency=1] - Number of render workers
+ * @param {number} [opts.retentionMs=48h] - How long finished jobs and their results are kept
+ * @param {number|null} [opts.diskBudgetBytes=null] - Maximum size of output/ (oldest results are evicted)
  * @returns {Promise<import('fastify').FastifyInstance>}
  */
-export async function buildApp({ dbPath, dataDir, jwtSecret, adminUser, adminPass }) {
+export async function buildApp({
+  dbPath, dataDir, jwtSecret, adminUser, adminPass, renderFps, concurrency = 1,
+  retentionMs = DEFAULT_RETENTION_MS, diskBudgetBytes = null,
+}) {
   await mkdir(join(dataDir, 'uploads'), { recursive: true });
   await mkdir(join(dataDir, 'output'), { recursive: true });
   await mkdir(join(dataDir, 'logs'), { recursive: true });
 
   const db = createDb(dbPath);
 
+  const webhooks = createWebhooks({ db });
+  /** Fire a job's webhook without blocking the caller; failures are retried by the dispatcher */
+  const notifyJob = (id, event) => {
+    webhooks.notify(id, event).catch(err => console.error(`[webhooks] notify failed for ${id}:`, err.message));
+  };
+
   // Reset any job that was mid-render when the process last crashed
-  resetInterruptedJobs(db);
+  for (const id of resetInterruptedJobs(db)) notifyJob(id, 'error');
 
-  const queue = createQueue({ db, renderFn: renderJob, dataDir });
+  const renderFn = (opts) => renderJob({ ...opts, fps: renderFps });
+  const queue = createQueue({ db, renderFn, dataDir, concurrency, onJobFinished: notifyJob });
 
   // Re-trigger queue for any jobs that survived restart
   if (getPendingJobs(db).length > 0) queue.enqueue();
 
-  const cleanup = createCleanup(db, dataDir);
+  const cleanup = createCleanup(db, dataDir, { retentionMs, diskBudgetBytes });
   const cleanupInterval = cleanup.start();
   cleanupInterval.unref();
 
+  // Resumes deliveries still pending from before a restart, then polls for retries
+  const webhookInterval = webhooks.start();
+  webhookInterval.unref();
+
   const app = Fastify({ logger: true });
 
   await app.register(fastifyMultipart, { limits: { fileSize: 500 * 1024 * 1024 } });
@@ -65,13 +84,13 @@ export async function buildApp({ dbPath, dataDir, jwtSecret, adminUser, adminPas
   // Public job routes — protected by API key
   await app.register(async (instance) => {
     instance.addHook('preHandler', apiKeyAuth);
-    await jobsRoutes(instance, { db, queue, dataDir });
+    await jobsRoutes(instance, { db, queue, dataDir, retentionMs });
   });
 
   // Admin routes — login is open, everything else requires session
   await app.register(
     async (instance) => {
-      await adminRoutes(instance, { db, queue, jwtSecret, adminUser, adminPass, dataDir });
+      await adminRoutes(instance, { db, queue, jwtSecret, adminUser, adminPass, dataDir, cleanup });
     },
     { prefix: '/admin' }
   );
@@ -88,18 +107,46 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const jwtSecret = process.env.JWT_SECRET;
   const adminUser = process.env.ADMIN_USER;
   const adminPass = process.env.ADMIN_PASS;
+  const renderFps = process.env.RENDER_FPS ? parseInt(process.env.RENDER_FPS, 10) : undefined;
+  const concurrency = parseInt(process.env.RENDER_CONCURRENCY ?? '1', 10);
+  const retentionMs = process.env.RETENTION ? parseDuration(process.env.RETENTION) : DEFAULT_RETENTION_MS;
+  const diskBudgetBytes = process.env.OUTPUT_DISK_BUDGET ? parseByteSize(process.env.OUTPUT_DISK_BUDGET) : null;
 
   if (!jwtSecret || !adminUser || !adminPass) {
     console.error('Error: JWT_SECRET, ADMIN_USER, and ADMIN_PASS environment variables are required');
     process.exit(1);
   }
 
+  if (renderFps !== undefined && !(renderFps >= 1 && renderFps <= 120)) {
+    console.error('Error: RENDER_FPS must be an integer between 1 and 120');
+    process.exit(1);
+  }
+
+  if (!(concurrency >= 1)) {
+    console.error('Error: RENDER_CONCURRENCY must be a positive integer');
+    process.exit(1);
+  }
+
+  if (retentionMs == null) {
+    console.error('Error: RETENTION must be a duration like 90m, 48h or 7d');
+    process.exit(1);
+  }
+
+  if (process.env.OUTPUT_DISK_BUDGET && diskBudgetBytes == null) {
+    console.error('Error: OUTPUT_DISK_BUDGET must be a size like 500MB or 20GB');
+    process.exit(1);
+  }
+
   const app = await buildApp({
     dbPath: join(dataDir, 'wow3.db'),
     dataDir,
     jwtSecret,
     adminUser,
     adminPass,
+    renderFps,
+    concurrency,
+    retentionMs,
+    diskBudgetBytes,
   });
 
   await app.listen({ port, host: '0.0.0.0' });
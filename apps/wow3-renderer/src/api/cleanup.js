@@ -1,34 +1,246 @@
-import { rm } from 'node:fs/promises';
+import { rm, readdir, stat } from 'node:fs/promises';
 import { join } from 'node:path';
-import { getExpiredJobs, deleteJob } from './db.js';
+import {
+  getJob, getExpiredJobs, deleteJob, deleteWebhookDeliveries,
+  getEvictableJobs, clearJobOutput, getPinnedUsage, jobOutputFiles,
+} from './db.js';
 
-const FORTY_EIGHT_HOURS_MS = 48 * 60 * 60 * 1000;
+/** Retention of finished jobs when RETENTION is not set */
+export const DEFAULT_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+/** Files in uploads/ and output/ younger than this are never treated as orphans */
+const ORPHAN_GRACE_MS = 10 * 60 * 1000;
+
+/** Longest per-job retention accepted from clients */
+const MAX_KEEP_MS = 365 * 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
 
 /**
- * Create a cleanup handler that deletes expired jobs, their MP4 files, and log files.
+ * Parse a duration like '90m', '48h' or '7d'.
+ * @param {string} value
+ * @returns {number|null} Milliseconds, null when invalid
+ */
+export function parseDuration(value) {
+  const m = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+)\s*([dhm])$/);
+  if (!m) return null;
+  const ms = parseInt(m[1], 10) * DURATION_UNITS[m[2]];
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Format milliseconds as the largest whole unit: 7d, 36h, 90m.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  for (const [unit, size] of Object.entries(DURATION_UNITS)) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${Math.round(ms / DURATION_UNITS.m)}m`;
+}
+
+/**
+ * Parse a byte size like '500MB', '20GB' or '1048576'.
+ * @param {string} value
+ * @returns {number|null} Bytes, null when invalid
+ */
+export function parseByteSize(value) {
+  const m = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+  if (!m) return null;
+  const bytes = Math.floor(parseFloat(m[1]) * SIZE_UNITS[m[2] ?? 'b']);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Validate the retention requested for a job: a duration ('7d', '12h'…) or 'pinned'.
+ * @param {unknown} value
+ * @returns {{ keepMs: number|null, pinned: boolean, error: string|null }}
+ */
+export function parseKeep(value) {
+  if (value === 'pinned') return { keepMs: null, pinned: true, error: null };
+  const keepMs = parseDuration(value);
+  if (keepMs == null || keepMs > MAX_KEEP_MS) {
+    return {
+      keepMs: null, pinned: false,
+      error: `"keep" must be "pinned" or a duration up to ${formatDuration(MAX_KEEP_MS)} like "12h" or "7d"`,
+    };
+  }
+  return { keepMs, pinned: false, error: null };
+}
+
+/**
+ * Retention of a job as reported by the API.
+ * @param {object} job - Job row
+ * @param {number} retentionMs - Server default
+ * @returns {{ keep: string|null, expiresAt: number|null }} keep: 'pinned', the job's own
+ *   duration, or null for the default; expiresAt: when cleanup deletes the job (null while
+ *   it is unfinished or pinned)
+ */
+export function jobRetention(job, retentionMs) {
+  const keep = job.pinned ? 'pinned' : (job.keep_ms != null ? formatDuration(job.keep_ms) : null);
+  const from = job.status === 'completed' ? job.completed_at : (job.status === 'failed' ? job.created_at : null);
+  const expiresAt = job.pinned || from == null ? null : from + (job.keep_ms ?? retentionMs);
+  return { keep, expiresAt };
+}
+
+/**
+ * Size of a file, 0 when it does not exist.
+ * @param {string|null} path
+ * @returns {Promise<number>}
+ */
+async function fileSize(path) {
+  if (!path) return 0;
+  try { return (await stat(path)).size; } catch { return 0; }
+}
+
+/**
+ * Create a cleanup handler. Each pass:
+ * 1. deletes jobs past their retention (per-job `keep`, or the default)
+ *    with their output, log file and webhook deliveries — pinned jobs are kept;
+ * 2. deletes orphaned files: uploads whose job is no longer waiting to render,
+ *    and outputs (or artifacts) that belong to no completed job;
+ * 3. while output/ exceeds the disk budget, evicts the outputs and artifacts of
+ *    the oldest completed unpinned jobs (the jobs stay, their result answers 410).
  *
  * @param {import('better-sqlite3').Database} db
- * @param {string} dataDir - Base directory (used to locate logs/)
- * @returns {{ start: () => NodeJS.Timeout, runCleanup: () => Promise<number> }}
+ * @param {string} dataDir - Base directory (uploads/, output/, logs/)
+ * @param {Object} [opts]
+ * @param {number} [opts.retentionMs=48h] - Default retention of finished jobs
+ * @param {number|null} [opts.diskBudgetBytes=null] - Maximum size of output/, null for none
+ * @returns {{
+ *   start: () => NodeJS.Timeout,
+ *   runCleanup: () => Promise<number>,
+ *   runPass: () => Promise<CleanupReport>,
+ *   diskUsage: () => Promise<Object>,
+ * }}
  */
-export function createCleanup(db, dataDir) {
+export function createCleanup(db, dataDir, { retentionMs = DEFAULT_RETENTION_MS, diskBudgetBytes = null } = {}) {
+  /** @type {CleanupReport|null} */
+  let lastPass = null;
+
   /**
    * Run one cleanup pass.
-   * @returns {Promise<number>} Number of jobs deleted
+   * @returns {Promise<CleanupReport>}
    */
-  async function runCleanup() {
-    const cutoff = Date.now() - FORTY_EIGHT_HOURS_MS;
-    const expired = getExpiredJobs(db, cutoff);
+  async function runPass() {
+    const now = Date.now();
+    const report = { at: now, deletedJobs: 0, orphanFiles: 0, evictedOutputs: 0, freedBytes: 0 };
 
-    for (const job of expired) {
-      if (job.output_path) {
-        try { await rm(job.output_path, { force: true }); } catch {}
+    for (const job of getExpiredJobs(db, now - retentionMs, now)) {
+      for (const path of jobOutputFiles(job)) {
+        report.freedBytes += await fileSize(path);
+        try { await rm(path, { force: true }); } catch {}
+      }
+      if (dataDir) {
+        try { await rm(join(dataDir, 'logs', `${job.id}.log`), { force: true }); } catch {}
       }
-      try { await rm(join(dataDir, 'logs', `${job.id}.log`), { force: true }); } catch {}
+      deleteWebhookDeliveries(db, job.id);
       deleteJob(db, job.id);
+      report.deletedJobs++;
     }
 
-    return expired.length;
+    if (dataDir) {
+      await removeOrphans(now, report);
+      await enforceDiskBudget(report);
+    }
+
+    lastPass = report;
+    return report;
+  }
+
+  /**
+   * Delete files in uploads/ and output/ that no job needs any more.
+   * @param {number} now
+   * @param {CleanupReport} report
+   */
+  async function removeOrphans(now, report) {
+    for (const dir of ['uploads', 'output']) {
+      for (const { path, id, size, mtimeMs } of await listFiles(dir)) {
+        if (mtimeMs > now - ORPHAN_GRACE_MS) continue;
+        const job = getJob(db, id);
+        const needed = dir === 'uploads'
+          ? job && (job.status === 'pending' || job.status === 'running')
+          : job && (job.status === 'running' || (job.status === 'completed' && jobOutputFiles(job).includes(path)));
+        if (needed) continue;
+        try {
+          await rm(path, { force: true });
+          report.orphanFiles++;
+          report.freedBytes += size;
+        } catch {}
+      }
+    }
+  }
+
+  /**
+   * Evict the oldest outputs until output/ fits the disk budget.
+   * @param {CleanupReport} report
+   */
+  async function enforceDiskBudget(report) {
+    if (diskBudgetBytes == null) return;
+    let used = (await listFiles('output')).reduce((sum, f) => sum + f.size, 0);
+    for (const job of getEvictableJobs(db)) {
+      if (used <= diskBudgetBytes) break;
+      let size = 0;
+      try {
+        for (const path of jobOutputFiles(job)) {
+          size += await fileSize(path);
+          await rm(path, { force: true });
+        }
+      } catch { continue; }
+      clearJobOutput(db, job.id);
+      used -= size;
+      report.evictedOutputs++;
+      report.freedBytes += size;
+    }
+  }
+
+  /**
+   * List the files of a data subdirectory.
+   * @param {'uploads'|'output'|'logs'} dir
+   * @returns {Promise<Array<{ path: string, id: string, size: number, mtimeMs: number }>>}
+   *   id: file name up to the first dot (the job id)
+   */
+  async function listFiles(dir) {
+    let names;
+    try { names = await readdir(join(dataDir, dir)); } catch { return []; }
+    const files = [];
+    for (const name of names) {
+      const path = join(dataDir, dir, name);
+      try {
+        const st = await stat(path);
+        if (st.isFile()) files.push({ path, id: name.split('.')[0], size: st.size, mtimeMs: st.mtimeMs });
+      } catch {}
+    }
+    return files;
+  }
+
+  /**
+   * Current disk usage of the data directories and the cleanup settings.
+   * @returns {Promise<Object>}
+   */
+  async function diskUsage() {
+    const usage = {};
+    for (const dir of ['output', 'uploads', 'logs']) {
+      const files = dataDir ? await listFiles(dir) : [];
+      usage[dir] = { files: files.length, bytes: files.reduce((sum, f) => sum + f.size, 0) };
+    }
+    return {
+      ...usage,
+      pinned: getPinnedUsage(db),
+      budgetBytes: diskBudgetBytes,
+      retention: formatDuration(retentionMs),
+      lastPass,
+    };
+  }
+
+  /**
+   * Run one cleanup pass.
+   * @returns {Promise<number>} Number of jobs deleted
+   */
+  async function runCleanup() {
+    return (await runPass()).deletedJobs;
   }
 
   /**
@@ -44,5 +256,9 @@ export function createCleanup(db, dataDir) {
     );
   }
 
-  return { start, runCleanup };
+  return { start, runCleanup, runPass, diskUsage };
 }
+
+/**
+ * @typedef {{ at: number, deletedJobs: number, orphanFiles: number, evictedOutputs: number, freedBytes: number }} CleanupReport
+ */
@@ -8,6 +8,9 @@ import Database from 'better-sqlite3';
 export function createDb(dbPath = ':memory:') {
   const db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
+  const hadDailyUsage = !!db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'api_key_daily_usage'"
+  ).get();
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS api_keys (
@@ -28,24 +31,181 @@ export function createDb(dbPath = ':memory:') {
       started_at   INTEGER,
       completed_at INTEGER
     );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id          TEXT NOT NULL,
+      event           TEXT NOT NULL,
+      url             TEXT NOT NULL,
+      secret          TEXT,
+      payload         TEXT NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'pending',
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER,
+      last_status     INTEGER,
+      last_error      TEXT,
+      created_at      INTEGER NOT NULL,
+      delivered_at    INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS api_key_daily_usage (
+      api_key_id TEXT NOT NULL,
+      day        INTEGER NOT NULL,
+      jobs       INTEGER NOT NULL DEFAULT 0,
+      render_ms  INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (api_key_id, day)
+    );
   `);
 
+  _addMissingColumns(db, 'api_keys', {
+    max_concurrent_jobs: 'INTEGER',
+    max_jobs_per_day: 'INTEGER',
+    max_render_minutes_per_day: 'INTEGER',
+    max_upload_mb: 'INTEGER',
+    expires_at: 'INTEGER',
+    disabled_at: 'INTEGER',
+    usage_jobs: 'INTEGER NOT NULL DEFAULT 0',
+    usage_render_ms: 'INTEGER NOT NULL DEFAULT 0',
+    usage_output_bytes: 'INTEGER NOT NULL DEFAULT 0',
+  });
+
+  _addMissingColumns(db, 'jobs', {
+    input_format: "TEXT NOT NULL DEFAULT 'wow3a'",
+    output_format: "TEXT NOT NULL DEFAULT 'mp4'",
+    render_options: 'TEXT',
+    api_key_id: 'TEXT',
+    priority: 'INTEGER NOT NULL DEFAULT 0',
+    worker: 'INTEGER',
+    callback_url: 'TEXT',
+    callback_secret: 'TEXT',
+    input_bytes: 'INTEGER',
+    output_bytes: 'INTEGER',
+    keep_ms: 'INTEGER',
+    pinned: 'INTEGER NOT NULL DEFAULT 0',
+    evicted_at: 'INTEGER',
+    poster_path: 'TEXT',
+    sprite_path: 'TEXT',
+    vtt_path: 'TEXT',
+  });
+
+  // Databases from before the daily counters start from the jobs still on record
+  if (!hadDailyUsage) _backfillDailyUsage(db);
+
   return db;
 }
 
+/**
+ * Add columns introduced after a table was first created.
+ * CREATE TABLE IF NOT EXISTS leaves existing databases untouched,
+ * so new columns are added here with ALTER TABLE.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {Record<string, string>} columns - Column name → SQL definition
+ */
+function _addMissingColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/** One UTC day in ms — daily usage counters start at multiples of it */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill the daily usage counters from the jobs table.
+ * @param {import('better-sqlite3').Database} db
+ */
+function _backfillDailyUsage(db) {
+  db.prepare(`
+    INSERT INTO api_key_daily_usage (api_key_id, day, jobs)
+    SELECT api_key_id, created_at - created_at % @day, COUNT(*)
+    FROM jobs WHERE api_key_id IS NOT NULL
+    GROUP BY 1, 2
+  `).run({ day: DAY_MS });
+  db.prepare(`
+    INSERT INTO api_key_daily_usage (api_key_id, day, render_ms)
+    SELECT api_key_id, completed_at - completed_at % @day, SUM(completed_at - started_at)
+    FROM jobs WHERE api_key_id IS NOT NULL AND started_at IS NOT NULL AND completed_at IS NOT NULL
+    GROUP BY 1, 2
+    ON CONFLICT (api_key_id, day) DO UPDATE SET render_ms = excluded.render_ms
+  `).run({ day: DAY_MS });
+}
+
 // ---------------------------------------------------------------------------
 // api_keys
 // ---------------------------------------------------------------------------
 
+/** api_keys columns that are safe to return (everything but key_hash) */
+const API_KEY_COLUMNS = [
+  'id', 'label', 'created_at', 'expires_at', 'disabled_at',
+  'max_concurrent_jobs', 'max_jobs_per_day', 'max_render_minutes_per_day', 'max_upload_mb',
+  'usage_jobs', 'usage_render_ms', 'usage_output_bytes',
+];
+
+/** API key limit option → column (see quotas.js) */
+export const API_KEY_LIMIT_COLUMNS = {
+  maxConcurrentJobs: 'max_concurrent_jobs',
+  maxJobsPerDay: 'max_jobs_per_day',
+  maxRenderMinutesPerDay: 'max_render_minutes_per_day',
+  maxUploadMb: 'max_upload_mb',
+};
+
 /**
  * Insert an API key record.
  * @param {import('better-sqlite3').Database} db
- * @param {{ id: string, label: string, keyHash: string }} opts
+ * @param {{ id: string, label: string, keyHash: string, limits?: Object, expiresAt?: number|null }} opts
+ *   limits: normalized limits (see normalizeKeyLimits() in quotas.js), unset ones are unlimited
+ */
+export function insertApiKey(db, { id, label, keyHash, limits = {}, expiresAt = null }) {
+  db.prepare(`
+    INSERT INTO api_keys (
+      id, label, key_hash, created_at, expires_at,
+      max_concurrent_jobs, max_jobs_per_day, max_render_minutes_per_day, max_upload_mb
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, label, keyHash, Date.now(), expiresAt,
+    limits.maxConcurrentJobs ?? null, limits.maxJobsPerDay ?? null,
+    limits.maxRenderMinutesPerDay ?? null, limits.maxUploadMb ?? null
+  );
+}
+
+/**
+ * Update the settings of an API key. Only the given fields change.
+ * @param {string} id
+ * @param {{ label?: string, limits?: Object, expiresAt?: number|null, disabled?: boolean }} fields
+ *   limits: normalized limits, null values remove a limit
+ * @returns {boolean} true if the key exists
  */
-export function insertApiKey(db, { id, label, keyHash }) {
-  db.prepare(
-    'INSERT INTO api_keys (id, label, key_hash, created_at) VALUES (?, ?, ?, ?)'
-  ).run(id, label, keyHash, Date.now());
+export function updateApiKey(db, id, { label, limits = {}, expiresAt, disabled }) {
+  const sets = [];
+  const vals = [];
+
+  if (label !== undefined) { sets.push('label = ?'); vals.push(label); }
+  for (const [option, column] of Object.entries(API_KEY_LIMIT_COLUMNS)) {
+    if (limits[option] !== undefined) { sets.push(`${column} = ?`); vals.push(limits[option]); }
+  }
+  if (expiresAt !== undefined) { sets.push('expires_at = ?'); vals.push(expiresAt); }
+  if (disabled !== undefined) {
+    // Keep the original time when an already disabled key is disabled again
+    sets.push(disabled ? 'disabled_at = COALESCE(disabled_at, ?)' : 'disabled_at = ?');
+    vals.push(disabled ? Date.now() : null);
+  }
+
+  if (sets.length === 0) return !!getApiKey(db, id);
+  vals.push(id);
+  return db.prepare(`UPDATE api_keys SET ${sets.join(', ')} WHERE id = ?`).run(...vals).changes > 0;
+}
+
+/**
+ * Get a single API key by id. key_hash is intentionally excluded.
+ * @returns {object | undefined}
+ */
+export function getApiKey(db, id) {
+  return db.prepare(`SELECT ${API_KEY_COLUMNS.join(', ')} FROM api_keys WHERE id = ?`).get(id);
 }
 
 /**
@@ -53,23 +213,111 @@ export function insertApiKey(db, { id, label, keyHash }) {
  * @returns {boolean} true if a row was deleted
  */
 export function deleteApiKey(db, id) {
+  db.prepare('DELETE FROM api_key_daily_usage WHERE api_key_id = ?').run(id);
   return db.prepare('DELETE FROM api_keys WHERE id = ?').run(id).changes > 0;
 }
 
 /**
- * List all API keys. key_hash is intentionally excluded.
- * @returns {Array<{ id: string, label: string, created_at: number }>}
+ * List all API keys with their limits and lifetime usage. key_hash is intentionally excluded.
+ * @returns {Array<object>}
  */
 export function listApiKeys(db) {
-  return db.prepare('SELECT id, label, created_at FROM api_keys ORDER BY created_at DESC').all();
+  return db.prepare(`SELECT ${API_KEY_COLUMNS.join(', ')} FROM api_keys ORDER BY created_at DESC`).all();
 }
 
 /**
  * Find an API key record by its SHA-256 hash.
- * @returns {{ id: string } | undefined}
+ * @returns {object | undefined} Key row without key_hash
  */
 export function findApiKeyByHash(db, keyHash) {
-  return db.prepare('SELECT id FROM api_keys WHERE key_hash = ?').get(keyHash);
+  return db.prepare(`SELECT ${API_KEY_COLUMNS.join(', ')} FROM api_keys WHERE key_hash = ?`).get(keyHash);
+}
+
+/**
+ * Add to the daily usage counters of a key.
+ * @param {string} id
+ * @param {number} at - Unix ms timestamp; counted in its UTC day
+ * @param {{ jobs?: number, renderMs?: number }} usage
+ */
+function _addDailyUsage(db, id, at, { jobs = 0, renderMs = 0 }) {
+  db.prepare(`
+    INSERT INTO api_key_daily_usage (api_key_id, day, jobs, render_ms) VALUES (?, ?, ?, ?)
+    ON CONFLICT (api_key_id, day) DO UPDATE
+    SET jobs = jobs + excluded.jobs, render_ms = render_ms + excluded.render_ms
+  `).run(id, at - (at % DAY_MS), jobs, renderMs);
+}
+
+/**
+ * Add a finished render to the lifetime and daily usage counters of a key.
+ * @param {string} id
+ * @param {{ renderMs: number, outputBytes?: number, at?: number }} usage
+ *   at: when the render finished (default now), the day its render time counts for
+ */
+export function addApiKeyUsage(db, id, { renderMs, outputBytes = 0, at = Date.now() }) {
+  const ms = Math.max(0, Math.round(renderMs));
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE api_keys
+      SET usage_jobs = usage_jobs + 1, usage_render_ms = usage_render_ms + ?,
+          usage_output_bytes = usage_output_bytes + ?
+      WHERE id = ?
+    `).run(ms, outputBytes, id);
+    _addDailyUsage(db, id, at, { renderMs: ms });
+  })();
+}
+
+/**
+ * SQL of the render time of the key `keyColumn` since @since: its finished
+ * renders, plus what its running jobs have rendered so far (up to @now)
+ * @param {string} keyColumn - Column or parameter holding the key id
+ * @returns {string}
+ */
+const renderMsSinceSql = (keyColumn) => `(
+  (SELECT COALESCE(SUM(u.render_ms), 0) FROM api_key_daily_usage u
+   WHERE u.api_key_id = ${keyColumn} AND u.day >= @since)
+  + (SELECT COALESCE(SUM(@now - MAX(r.started_at, @since)), 0) FROM jobs r
+     WHERE r.api_key_id = ${keyColumn} AND r.status = 'running' AND r.started_at IS NOT NULL)
+)`;
+
+/**
+ * Usage of one key since the start of a UTC day, from the daily counters:
+ * deleting or expiring jobs does not lower it.
+ * @param {string} id
+ * @param {number} sinceMs - Unix ms timestamp of the start of a UTC day (see dayStart() in quotas.js)
+ * @param {number} [nowMs=Date.now()]
+ * @returns {{ jobs: number, renderMs: number }} jobs submitted since then, and render time of
+ *   the jobs finished since then plus the time the key's running jobs have rendered so far
+ */
+export function getApiKeyUsageSince(db, id, sinceMs, nowMs = Date.now()) {
+  return db.prepare(`
+    SELECT
+      (SELECT COALESCE(SUM(jobs), 0) FROM api_key_daily_usage WHERE api_key_id = @id AND day >= @since) AS jobs,
+      ${renderMsSinceSql('@id')} AS renderMs
+  `).get({ id, since: sinceMs, now: nowMs });
+}
+
+/**
+ * Per-key usage report: every key with its limits and lifetime counters,
+ * plus its jobs and render time since `sinceMs`, its running and pending
+ * jobs, and the bytes its jobs currently hold on disk (results plus
+ * uploads waiting to render).
+ * @param {number} sinceMs - Unix ms timestamp
+ * @returns {Array<object>} Key rows plus jobs_since, render_ms_since, running, pending, stored_bytes
+ */
+export function getUsageReport(db, sinceMs) {
+  return db.prepare(`
+    SELECT ${API_KEY_COLUMNS.map(c => `k.${c}`).join(', ')},
+      COUNT(CASE WHEN j.created_at >= @since THEN 1 END) AS jobs_since,
+      COALESCE(SUM(CASE WHEN j.completed_at >= @since AND j.started_at IS NOT NULL
+                        THEN j.completed_at - j.started_at END), 0) AS render_ms_since,
+      COUNT(CASE WHEN j.status = 'running' THEN 1 END) AS running,
+      COUNT(CASE WHEN j.status = 'pending' THEN 1 END) AS pending,
+      COALESCE(SUM(CASE WHEN j.status = 'completed' THEN j.output_bytes
+                        WHEN j.status IN ('pending', 'running') THEN j.input_bytes END), 0) AS stored_bytes
+    FROM api_keys k LEFT JOIN jobs j ON j.api_key_id = k.id
+    GROUP BY k.id
+    ORDER BY k.created_at DESC
+  `).all({ since: sinceMs });
 }
 
 // ---------------------------------------------------------------------------
@@ -78,12 +326,43 @@ export function findApiKeyByHash(db, keyHash) {
 
 /**
  * Insert a new job with status=pending.
- * @param {{ id: string, wow3aName: string }} opts
+ * @param {{ id: string, wow3aName: string, inputFormat?: 'wow3a'|'wow3', outputFormat?: string, renderOptions?: object, apiKeyId?: string, priority?: number, callbackUrl?: string, callbackSecret?: string, inputBytes?: number }} opts
+ *   renderOptions: normalized render options (see src/render-options.js), stored as JSON;
+ *   apiKeyId: key that submitted the job (null for jobs created outside the API);
+ *   priority: higher runs first (see JOB_PRIORITIES in queue.js);
+ *   callbackUrl/callbackSecret: webhook notified when the job finishes (see webhooks.js);
+ *   inputBytes: size of the stored upload;
+ *   keepMs/pinned: retention of the job (see cleanup.js), null keepMs = server default
+ */
+export function insertJob(db, {
+  id, wow3aName, inputFormat = 'wow3a', outputFormat = 'mp4', renderOptions = null, apiKeyId = null, priority = 0,
+  callbackUrl = null, callbackSecret = null, inputBytes = null, keepMs = null, pinned = false,
+}) {
+  const now = Date.now();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO jobs (
+        id, status, wow3a_name, input_format, output_format, render_options, api_key_id, priority,
+        callback_url, callback_secret, input_bytes, keep_ms, pinned, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, 'pending', wow3aName, inputFormat, outputFormat,
+      renderOptions ? JSON.stringify(renderOptions) : null, apiKeyId, priority,
+      callbackUrl, callbackSecret, inputBytes, keepMs, pinned ? 1 : 0, now
+    );
+    // Counted apart from the row, which retention or an admin may delete
+    if (apiKeyId) _addDailyUsage(db, apiKeyId, now, { jobs: 1 });
+  })();
+}
+
+/**
+ * Parse the render options stored on a job row.
+ * @param {{ render_options: string|null }} job
+ * @returns {object} Empty object for jobs created without options
  */
-export function insertJob(db, { id, wow3aName }) {
-  db.prepare(
-    'INSERT INTO jobs (id, status, wow3a_name, created_at) VALUES (?, ?, ?, ?)'
-  ).run(id, 'pending', wow3aName, Date.now());
+export function jobRenderOptions(job) {
+  return job.render_options ? JSON.parse(job.render_options) : {};
 }
 
 /**
@@ -95,28 +374,50 @@ export function getJob(db, id) {
 }
 
 /**
- * List all jobs newest-first.
+ * List all jobs newest-first, with the label of the API key that submitted them.
+ * @returns {Array<object>} Job rows plus `api_key_label` (null when unknown or deleted)
  */
 export function listJobs(db) {
-  return db.prepare('SELECT * FROM jobs ORDER BY created_at DESC').all();
+  return db.prepare(`
+    SELECT jobs.*, api_keys.label AS api_key_label
+    FROM jobs LEFT JOIN api_keys ON api_keys.id = jobs.api_key_id
+    ORDER BY jobs.created_at DESC
+  `).all();
+}
+
+/**
+ * List running jobs with the label of the API key that submitted them.
+ * @returns {Array<object>} Job rows plus `api_key_label`
+ */
+export function getRunningJobs(db) {
+  return db.prepare(`
+    SELECT jobs.*, api_keys.label AS api_key_label
+    FROM jobs LEFT JOIN api_keys ON api_keys.id = jobs.api_key_id
+    WHERE jobs.status = 'running'
+    ORDER BY jobs.worker ASC
+  `).all();
 }
 
 /**
  * Update job status, setting timestamps and extra fields as appropriate.
  * @param {'running'|'completed'|'failed'} status
- * @param {{ outputPath?: string, error?: string }} [extra]
+ * @param {{ outputPath?: string, outputBytes?: number, artifacts?: Object, error?: string, worker?: number }} [extra]
+ *   worker: number of the queue worker that runs the job (status=running);
+ *   outputBytes: size of the result file (status=completed);
+ *   artifacts: paths of the poster / sprite / vtt made with the result (status=completed)
  */
 export function updateJobStatus(db, id, status, extra = {}) {
   const sets = ['status = ?'];
   const vals = [status];
 
   if (status === 'running') {
-    sets.push('started_at = ?');
-    vals.push(Date.now());
+    sets.push('started_at = ?', 'worker = ?');
+    vals.push(Date.now(), extra.worker ?? null);
   }
   if (status === 'completed') {
-    sets.push('completed_at = ?', 'output_path = ?');
-    vals.push(Date.now(), extra.outputPath ?? null);
+    sets.push('completed_at = ?', 'output_path = ?', 'output_bytes = ?', 'poster_path = ?', 'sprite_path = ?', 'vtt_path = ?');
+    const { poster = null, sprite = null, vtt = null } = extra.artifacts ?? {};
+    vals.push(Date.now(), extra.outputPath ?? null, extra.outputBytes ?? null, poster, sprite, vtt);
   }
   if (status === 'failed') {
     sets.push('completed_at = ?', 'error = ?');
@@ -142,37 +443,182 @@ export function deleteJob(db, id) {
 }
 
 /**
- * Return jobs that are eligible for cleanup:
- * - completed jobs with completed_at older than cutoffMs
- * - failed jobs with created_at older than cutoffMs
- * @param {number} cutoffMs - Unix ms timestamp
+ * Change the retention of a job.
+ * @param {string} id
+ * @param {{ keepMs: number|null, pinned: boolean }} retention - keepMs null = server default
+ * @returns {boolean} true if the job exists
+ */
+export function setJobRetention(db, id, { keepMs, pinned }) {
+  return db.prepare('UPDATE jobs SET keep_ms = ?, pinned = ? WHERE id = ?')
+    .run(keepMs, pinned ? 1 : 0, id).changes > 0;
+}
+
+/**
+ * Return jobs that are eligible for cleanup (pinned jobs never are):
+ * - completed jobs with completed_at older than their retention
+ * - failed jobs with created_at older than their retention
+ * The retention is the job's keep_ms, or nowMs - cutoffMs for jobs without one.
+ * @param {number} cutoffMs - Unix ms timestamp (now minus the default retention)
+ * @param {number} [nowMs=Date.now()]
+ */
+export function getExpiredJobs(db, cutoffMs, nowMs = Date.now()) {
+  return db.prepare(`
+    SELECT * FROM jobs
+    WHERE pinned = 0 AND (
+         (status = 'completed' AND completed_at + COALESCE(keep_ms, @default) < @now)
+      OR (status = 'failed'    AND created_at   + COALESCE(keep_ms, @default) < @now)
+    )
+  `).all({ default: nowMs - cutoffMs, now: nowMs });
+}
+
+/**
+ * Completed, unpinned jobs whose output is still on disk, oldest first —
+ * the order outputs are evicted in when the disk budget is exceeded.
  */
-export function getExpiredJobs(db, cutoffMs) {
+export function getEvictableJobs(db) {
   return db.prepare(`
     SELECT * FROM jobs
-    WHERE (status = 'completed' AND completed_at < ?)
-       OR (status = 'failed'    AND created_at  < ?)
-  `).all(cutoffMs, cutoffMs);
+    WHERE status = 'completed' AND pinned = 0 AND output_path IS NOT NULL
+    ORDER BY completed_at ASC, rowid ASC
+  `).all();
+}
+
+/**
+ * Forget the output (and its artifacts) of a job whose files were evicted.
+ * The job itself is kept, so its status still reports that the result existed.
+ */
+export function clearJobOutput(db, id) {
+  db.prepare(`
+    UPDATE jobs SET output_path = NULL, poster_path = NULL, sprite_path = NULL, vtt_path = NULL, evicted_at = ?
+    WHERE id = ?
+  `).run(Date.now(), id);
+}
+
+/**
+ * Every file a job keeps in output/: the result and its artifacts.
+ * @param {object} job - Job row
+ * @returns {string[]}
+ */
+export function jobOutputFiles(job) {
+  return [job.output_path, job.poster_path, job.sprite_path, job.vtt_path].filter(Boolean);
+}
+
+/**
+ * Count pinned jobs and the bytes of their outputs.
+ * @returns {{ jobs: number, bytes: number }}
+ */
+export function getPinnedUsage(db) {
+  return db.prepare(`
+    SELECT COUNT(*) AS jobs, COALESCE(SUM(CASE WHEN output_path IS NOT NULL THEN output_bytes END), 0) AS bytes
+    FROM jobs WHERE pinned = 1
+  `).get();
 }
 
 /**
  * Reset any job stuck in 'running' state to 'failed'.
  * Called on startup to recover from a previous crash.
+ * @returns {string[]} Ids of the jobs that were reset
  */
 export function resetInterruptedJobs(db) {
-  db.prepare(`
+  return db.prepare(`
     UPDATE jobs
     SET status = 'failed', error = 'interrupted by restart', completed_at = ?
     WHERE status = 'running'
-  `).run(Date.now());
+    RETURNING id
+  `).all(Date.now()).map(row => row.id);
+}
+
+/**
+ * Return all pending jobs, highest priority first, then by creation time (FIFO),
+ * with the concurrent job and daily render time limits of the submitting key,
+ * and the render time the key used today (keys with a render time limit only).
+ * @param {number} [nowMs=Date.now()]
+ * @returns {Array<{ id: string, api_key_id: string|null, priority: number, created_at: number,
+ *   max_concurrent_jobs: number|null, max_render_minutes_per_day: number|null, render_ms_today: number }>}
+ */
+export function getPendingJobs(db, nowMs = Date.now()) {
+  return db.prepare(`
+    SELECT jobs.id, jobs.api_key_id, jobs.priority, jobs.created_at,
+      api_keys.max_concurrent_jobs, api_keys.max_render_minutes_per_day,
+      CASE WHEN api_keys.max_render_minutes_per_day IS NULL THEN 0
+           ELSE ${renderMsSinceSql('jobs.api_key_id')} END AS render_ms_today
+    FROM jobs LEFT JOIN api_keys ON api_keys.id = jobs.api_key_id
+    WHERE jobs.status = 'pending'
+    ORDER BY jobs.priority DESC, jobs.created_at ASC, jobs.rowid ASC
+  `).all({ since: nowMs - (nowMs % DAY_MS), now: nowMs });
+}
+
+// ---------------------------------------------------------------------------
+// webhook_deliveries
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue a webhook delivery, due immediately.
+ * URL and secret are copied from the job so deliveries survive its deletion.
+ * @param {{ jobId: string, event: string, url: string, secret?: string|null, payload: string }} opts
+ * @returns {number} Delivery id
+ */
+export function insertWebhookDelivery(db, { jobId, event, url, secret = null, payload }) {
+  const now = Date.now();
+  return Number(db.prepare(`
+    INSERT INTO webhook_deliveries (job_id, event, url, secret, payload, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(jobId, event, url, secret, payload, now, now).lastInsertRowid);
+}
+
+/**
+ * Get a single webhook delivery by id.
+ * @returns {object | undefined}
+ */
+export function getWebhookDelivery(db, id) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+}
+
+/**
+ * Return pending deliveries whose next attempt is due, oldest first.
+ * @param {number} nowMs - Unix ms timestamp
+ */
+export function getDueWebhookDeliveries(db, nowMs) {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at ASC, id ASC
+  `).all(nowMs);
+}
+
+/**
+ * List the deliveries of a job, oldest first. The secret is intentionally excluded.
+ * @returns {Array<object>}
+ */
+export function listWebhookDeliveries(db, jobId) {
+  return db.prepare(`
+    SELECT id, event, url, status, attempts, next_attempt_at, last_status, last_error, created_at, delivered_at
+    FROM webhook_deliveries WHERE job_id = ? ORDER BY id ASC
+  `).all(jobId);
+}
+
+/**
+ * Record the outcome of a delivery attempt.
+ * - delivered: status=delivered, delivered_at set
+ * - failed with a nextAttemptAt: stays pending until then
+ * - failed without one: status=failed (retries exhausted)
+ * @param {number} id
+ * @param {{ delivered: boolean, statusCode?: number|null, error?: string|null, nextAttemptAt?: number|null }} outcome
+ */
+export function recordWebhookAttempt(db, id, { delivered, statusCode = null, error = null, nextAttemptAt = null }) {
+  const status = delivered ? 'delivered' : (nextAttemptAt ? 'pending' : 'failed');
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, last_status = ?, last_error = ?,
+        next_attempt_at = ?, delivered_at = ?
+    WHERE id = ?
+  `).run(status, statusCode, error, delivered ? null : nextAttemptAt, delivered ? Date.now() : null, id);
 }
 
 /**
- * Return all pending jobs ordered by creation time (FIFO).
- * @returns {Array<{ id: string }>}
+ * Delete every delivery of a job.
+ * @returns {number} Number of rows deleted
  */
-export function getPendingJobs(db) {
-  return db.prepare(
-    "SELECT id FROM jobs WHERE status = 'pending' ORDER BY created_at ASC"
-  ).all();
+export function deleteWebhookDeliveries(db, jobId) {
+  return db.prepare('DELETE FROM webhook_deliveries WHERE job_id = ?').run(jobId).changes;
 }
@@ -0,0 +1,131 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getJob } from './db.js';
+
+/** Job statuses after which no more events follow */
+const FINAL_STATUSES = ['completed', 'failed'];
+
+/** Comment line sent this often so proxies keep idle streams open */
+const HEARTBEAT_MS = 15_000;
+
+/**
+ * Format one Server-Sent Event.
+ * @param {string} event
+ * @param {object} data - Sent as JSON
+ * @param {number} [id] - Event id (log line number), echoed back as Last-Event-ID on reconnect
+ * @returns {string}
+ */
+function formatEvent(event, data, id) {
+  return `${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Public state of a job for `status` / `end` events.
+ * @param {object} job - Job row
+ */
+function jobState(job) {
+  const state = { status: job.status, progress: job.progress };
+  if (job.status === 'running') state.worker = job.worker;
+  if (job.error) state.error = job.error;
+  return state;
+}
+
+/**
+ * Stream the live events of a job as Server-Sent Events:
+ *
+ *   status   { status, progress, worker?, error? }  on connect and when the job starts
+ *   log      { line }                               every log line (with the line number as id);
+ *                                                   lines written before connecting are replayed first
+ *   progress { progress }                           percent, when it changes
+ *   end      { status, progress, error? }           final state — the stream closes after it
+ *
+ * Reconnecting clients send Last-Event-ID and only get the log lines after it.
+ * Shared by the API-key route and the admin route.
+ *
+ * @param {import('fastify').FastifyRequest} request - With `params.id`
+ * @param {import('fastify').FastifyReply} reply
+ * @param {{ db: object, queue: { subscribe: Function }, dataDir: string }} opts
+ */
+export async function streamJobEvents(request, reply, { db, queue, dataDir }) {
+  const { id } = request.params;
+  const job = getJob(db, id);
+  if (!job) return reply.code(404).send({ error: 'Job not found' });
+
+  const res = reply.raw;
+  let closed = false;
+  let live = false;
+  const buffered = [];
+  const lastEventId = parseInt(request.headers['last-event-id'] ?? '', 10);
+  let lineNo = lastEventId > 0 ? lastEventId : 0;
+
+  const send = (event, data, eventId) => {
+    if (!closed) res.write(formatEvent(event, data, eventId));
+  };
+
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  /** Send the final state and close. The row is gone when the job was deleted. */
+  const finish = (fallback) => {
+    const current = getJob(db, id);
+    send('end', current ? jobState(current) : { progress: 0, ...fallback });
+    close();
+  };
+
+  const dispatch = (evt) => {
+    if (evt.type === 'log') {
+      send('log', { line: evt.line }, ++lineNo);
+    } else if (evt.type === 'progress') {
+      send('progress', { progress: evt.progress });
+    } else if (FINAL_STATUSES.includes(evt.status)) {
+      const { type: _type, ...fallback } = evt;
+      finish(fallback);
+    } else {
+      send('status', { status: evt.status, progress: 0, worker: evt.worker });
+    }
+  };
+
+  // Subscribe before reading the log file so no line falls in between;
+  // events arriving during the replay are held back and de-duplicated.
+  const unsubscribe = queue.subscribe(id, (evt) => {
+    if (live) dispatch(evt);
+    else buffered.push(evt);
+  });
+  request.raw.on('close', close);
+
+  reply.hijack();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  send('status', jobState(job));
+
+  let history = [];
+  try {
+    history = (await readFile(join(dataDir, 'logs', `${id}.log`), 'utf-8'))
+      .split('\n')
+      .filter(line => line.startsWith('['));
+  } catch {}
+  for (let i = lineNo; i < history.length; i++) send('log', { line: history[i] }, i + 1);
+  lineNo = Math.max(lineNo, history.length);
+
+  const replayed = new Set(history);
+  live = true;
+  for (const evt of buffered) {
+    if (evt.type === 'log' && replayed.has(evt.line)) continue;
+    dispatch(evt);
+  }
+
+  if (FINAL_STATUSES.includes(job.status)) finish(jobState(job));
+}
@@ -1,5 +1,6 @@
 import { createHash } from 'node:crypto';
 import { findApiKeyByHash } from '../db.js';
+import { keyStatus } from '../quotas.js';
 
 /**
  * Hash a raw API key with SHA-256.
@@ -12,6 +13,8 @@ export function hashKey(rawKey) {
 
 /**
  * Fastify preHandler that validates the X-API-Key header against the database.
+ * Disabled and expired keys are refused with 403.
+ * On success the key row is set on `request.apiKey` and its id on `request.apiKeyId`.
  * @param {import('better-sqlite3').Database} db
  * @returns {import('fastify').preHandlerHookHandler}
  */
@@ -27,5 +30,12 @@ export function createApiKeyAuth(db) {
       reply.code(401).send({ error: 'Invalid API key' });
       return;
     }
+    const status = keyStatus(row);
+    if (status !== 'active') {
+      reply.code(403).send({ error: status === 'disabled' ? 'API key is disabled' : 'API key has expired' });
+      return;
+    }
+    request.apiKey = row;
+    request.apiKeyId = row.id;
   };
 }
@@ -1,38 +1,148 @@
-import { rm, mkdir } from 'node:fs/promises';
+import { rm, mkdir, stat } from 'node:fs/promises';
 import { createWriteStream } from 'node:fs';
+import { EventEmitter } from 'node:events';
 import { join } from 'node:path';
+import { INPUT_FORMATS, OUTPUT_FORMATS } from '../formats.js';
 import {
-  getJob, getPendingJobs,
-  updateJobStatus, updateJobProgress,
+  getJob, getPendingJobs, jobRenderOptions,
+  updateJobStatus, updateJobProgress, addApiKeyUsage,
 } from './db.js';
+import { dayStart } from './quotas.js';
+
+/** Named job priorities accepted by the API; higher runs first */
+export const JOB_PRIORITIES = { low: -10, normal: 0, high: 10 };
+
+/**
+ * Whether the key of a pending job has used up its daily render time.
+ * @param {{ max_render_minutes_per_day: number|null, render_ms_today: number }} job - getPendingJobs() row
+ * @returns {boolean}
+ */
+const renderTimeUsedUp = job =>
+  job.max_render_minutes_per_day != null && job.render_ms_today >= job.max_render_minutes_per_day * 60_000;
 
 /**
- * Create a single-slot in-process job queue.
+ * Create an in-process job queue with a fixed number of worker slots.
+ *
+ * Scheduling: whenever a worker is free, the next job is taken from the
+ * highest pending priority; within it, jobs of the API key with the fewest
+ * running jobs go first (ties: the key that started a job least recently),
+ * so one client cannot hold every worker while others wait. Jobs of the
+ * same key run in submission order. Keys at their concurrent job limit
+ * (see quotas.js) are skipped until one of their jobs finishes; keys that
+ * used up their daily render time, until the next UTC day.
+ *
+ * The render time and output size of every job that ran are added to the
+ * usage counters of its API key.
  *
  * @param {Object} opts
  * @param {import('better-sqlite3').Database} opts.db
- * @param {Function} opts.renderFn - async ({ inputPath, outputPath, signal, onProgress }) => void
+ * @param {Function} opts.renderFn - async ({ inputPath, outputPath, inputFormat, outputFormat, renderOptions, signal, onProgress })
+ *   => { artifacts?: Object } | void — artifacts: paths of the poster / sprite / vtt made with the output
  * @param {string} opts.dataDir - Base directory for uploads/ and output/
- * @returns {{ enqueue: () => void, kill: (id: string) => boolean }}
+ * @param {number} [opts.concurrency=1] - Number of jobs rendered at the same time
+ * @param {(id: string, event: 'done'|'error'|'cancelled') => void} [opts.onJobFinished] - Called once a job
+ *   has reached its final status (completed, failed or cancelled)
+ * @returns {{
+ *   enqueue: () => void,
+ *   kill: (id: string) => boolean,
+ *   finished: (id: string) => Promise<void>,
+ *   workers: () => Array<{ worker: number, jobId: string|null }>,
+ *   subscribe: (id: string, listener: (event: JobEvent) => void) => () => void,
+ * }}
  */
-export function createQueue({ db, renderFn, dataDir }) {
-  let running = false;
-  /** @type {{ id: string, controller: AbortController } | null} */
-  let current = null;
-
-  async function runNext() {
-    if (running) return;
-
-    const [next] = getPendingJobs(db);
-    if (!next) return;
-
-    running = true;
-    const { id } = next;
-    const controller = new AbortController();
-    current = { id, controller };
-    const inputPath = join(dataDir, 'uploads', `${id}.wow3a`);
-    const outputPath = join(dataDir, 'output', `${id}.mp4`);
+export function createQueue({ db, renderFn, dataDir, concurrency = 1, onJobFinished = () => {} }) {
+  /** @type {Array<{ id: string, apiKeyId: string|null, controller: AbortController, done?: Promise<void> } | null>} */
+  const slots = new Array(concurrency).fill(null);
+  /** API key id → sequence number of its last started job (round-robin between equally busy keys) */
+  const lastStartByKey = new Map();
+  let startSeq = 0;
+  /** Live job events, keyed by job id (see subscribe()) */
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  /** Reschedules at midnight UTC while jobs wait for their key's render time */
+  let dayTimer = null;
+
+  /**
+   * Choose the next pending job for a free worker.
+   * @param {Array<{ id: string, api_key_id: string|null, priority: number, max_concurrent_jobs: number|null,
+   *   max_render_minutes_per_day: number|null, render_ms_today: number }>} pending - Priority/FIFO ordered
+   * @returns {{ id: string, api_key_id: string|null } | undefined}
+   */
+  function pickNext(pending) {
+    const runningByKey = new Map();
+    for (const slot of slots) {
+      if (slot) runningByKey.set(slot.apiKeyId, (runningByKey.get(slot.apiKeyId) ?? 0) + 1);
+    }
+
+    const eligible = pending.filter(j =>
+      (j.max_concurrent_jobs == null || (runningByKey.get(j.api_key_id) ?? 0) < j.max_concurrent_jobs)
+      && !renderTimeUsedUp(j)
+    );
+    if (eligible.length === 0) return undefined;
+
+    // Only the top priority level competes; the first job per key is its oldest
+    const top = eligible.filter(j => j.priority === eligible[0].priority);
+    const firstByKey = new Map();
+    for (const job of top) {
+      if (!firstByKey.has(job.api_key_id)) firstByKey.set(job.api_key_id, job);
+    }
+
+    let best;
+    for (const job of firstByKey.values()) {
+      if (!best) { best = job; continue; }
+      const running = runningByKey.get(job.api_key_id) ?? 0;
+      const bestRunning = runningByKey.get(best.api_key_id) ?? 0;
+      const lastStart = lastStartByKey.get(job.api_key_id) ?? 0;
+      const bestLastStart = lastStartByKey.get(best.api_key_id) ?? 0;
+      if (running < bestRunning || (running === bestRunning && lastStart < bestLastStart)) best = job;
+    }
+    return best;
+  }
+
+  /**
+   * Fill every free worker slot with a pending job.
+   */
+  function schedule() {
+    for (let i = 0; i < slots.length; i++) {
+      if (slots[i]) continue;
+
+      const next = pickNext(getPendingJobs(db));
+      if (!next) break;
+
+      slots[i] = { id: next.id, apiKeyId: next.api_key_id, controller: new AbortController() };
+      lastStartByKey.set(next.api_key_id, ++startSeq);
+      // Marked running synchronously so the next iteration doesn't pick it again
+      updateJobStatus(db, next.id, 'running', { worker: i + 1 });
+      events.emit(next.id, { type: 'status', status: 'running', worker: i + 1 });
+
+      // Intentionally not awaited — each worker runs independently
+      slots[i].done = runJob(i);
+    }
+
+    // Jobs held by their key's daily render time start when the limit resets
+    if (!dayTimer && getPendingJobs(db).some(renderTimeUsedUp)) {
+      const now = Date.now();
+      dayTimer = setTimeout(() => {
+        dayTimer = null;
+        schedule();
+      }, dayStart(now) + 24 * 60 * 60 * 1000 - now);
+      dayTimer.unref?.();
+    }
+  }
+
+  /**
+   * Render the job held by a worker slot, then free the slot and schedule again.
+   * @param {number} slotIdx
+   */
+  async function runJob(slotIdx) {
+    const { id, controller } = slots[slotIdx];
+    const job = getJob(db, id);
+    const { input_format: inputFormat, output_format: outputFormat } = job;
+    const inputPath = join(dataDir, 'uploads', `${id}${INPUT_FORMATS[inputFormat].ext}`);
+    const outputPath = join(dataDir, 'output', `${id}${OUTPUT_FORMATS[outputFormat].ext}`);
     const logPath = join(dataDir, 'logs', `${id}.log`);
+    let event = 'done';
+    let final = { type: 'status', status: 'completed' };
 
     await mkdir(join(dataDir, 'logs'), { recursive: true });
     const logStream = createWriteStream(logPath);
@@ -40,29 +150,39 @@ export function createQueue({ db, renderFn, dataDir }) {
       console.error(`[queue] log stream error for ${id}:`, err.message)
     );
 
-    /** Write a timestamped line to the job log. */
-    const log = (msg) => logStream.write(`[${new Date().toISOString()}] ${msg}\n`);
+    /** Write a timestamped line to the job log and to subscribers. */
+    const log = (msg) => {
+      const line = `[${new Date().toISOString()}] ${msg}`;
+      logStream.write(line + '\n');
+      events.emit(id, { type: 'log', line });
+    };
+    let progress = 0;
 
-    updateJobStatus(db, id, 'running');
-    log('Job started');
+    log(`Job started on worker ${slotIdx + 1}`);
 
     try {
-      await renderFn({
+      const result = await renderFn({
         inputPath,
         outputPath,
+        inputFormat,
+        outputFormat,
+        renderOptions: jobRenderOptions(job),
         signal: controller.signal,
         onProgress: (msg) => {
           log(msg);
-          const m = msg.match(/Rendering:\s*(\d+)\/(\d+)s/);
+          // "Rendering: 12/60s" (video) or "Rendering: 3/10 slides" (images)
+          const m = msg.match(/Rendering:\s*(\d+)\/(\d+)(?:s| slides)/);
           if (m) {
             const pct = Math.round((parseInt(m[1], 10) / parseInt(m[2], 10)) * 100);
             updateJobProgress(db, id, pct);
+            if (pct !== progress) events.emit(id, { type: 'progress', progress: (progress = pct) });
           }
         },
       });
 
       log('Job completed');
-      updateJobStatus(db, id, 'completed', { outputPath });
+      const outputBytes = await stat(outputPath).then(st => st.size, () => null);
+      updateJobStatus(db, id, 'completed', { outputPath, outputBytes, artifacts: result?.artifacts });
     } catch (err) {
       const msg = controller.signal.aborted ? 'cancelled by user' : err.message;
       log(`ERROR: ${msg}`);
@@ -72,46 +192,107 @@ export function createQueue({ db, renderFn, dataDir }) {
         if (stackLines) logStream.write(stackLines + '\n');
       }
       updateJobStatus(db, id, 'failed', { error: msg });
+      event = controller.signal.aborted ? 'cancelled' : 'error';
+      final = { type: 'status', status: 'failed', error: msg };
       // Partial output (if any) is unusable — remove it so it doesn't show as downloadable
       try { await rm(outputPath, { force: true }); } catch {}
     } finally {
       await new Promise(resolve => logStream.end(resolve));
       try { await rm(inputPath, { force: true }); } catch {}
-      current = null;
-      running = false;
-      // Kick off the next queued job; intentionally not awaited — fire-and-forget.
-      runNext();
+      slots[slotIdx] = null;
+      recordUsage(id);
+      // After the log is flushed, so subscribers that replay it see every line
+      events.emit(id, final);
+      onJobFinished(id, event);
+      // Hand the free worker to the next queued job
+      schedule();
     }
   }
 
+  /**
+   * Add a finished job's render time and output size to its key's usage counters.
+   * @param {string} id
+   */
+  function recordUsage(id) {
+    const job = getJob(db, id);
+    // The row is gone when the job was deleted while rendering
+    if (!job?.api_key_id || !job.started_at || !job.completed_at) return;
+    addApiKeyUsage(db, job.api_key_id, {
+      renderMs: job.completed_at - job.started_at,
+      outputBytes: job.output_bytes ?? 0,
+      at: job.completed_at,
+    });
+  }
+
   /**
    * Signal that a new pending job is available.
-   * Safe to call multiple times — only one job runs at a time.
+   * Safe to call multiple times — jobs only start on free workers.
    */
   function enqueue() {
-    runNext();
+    schedule();
   }
 
   /**
    * Abort a job.
-   * - If it's the running job, aborts the in-flight render via AbortSignal.
+   * - If it's running on a worker, aborts the in-flight render via AbortSignal.
    * - If it's a pending job, marks it failed so runNext() will skip it.
    *
    * @param {string} id
    * @returns {boolean} true when the job was killed or marked cancelled
    */
   function kill(id) {
-    if (current && current.id === id) {
-      current.controller.abort();
+    const slot = slots.find(sl => sl?.id === id);
+    if (slot) {
+      slot.controller.abort();
       return true;
     }
     const job = getJob(db, id);
     if (job && job.status === 'pending') {
       updateJobStatus(db, id, 'failed', { error: 'cancelled by user' });
+      events.emit(id, { type: 'status', status: 'failed', error: 'cancelled by user' });
+      onJobFinished(id, 'cancelled');
       return true;
     }
     return false;
   }
 
-  return { enqueue, kill };
+  /**
+   * Wait until a job is off its worker: its final status is recorded and
+   * onJobFinished has been called. Resolves at once when it is not running.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  function finished(id) {
+    const slot = slots.find(sl => sl?.id === id);
+    return slot?.done ? slot.done.catch(() => {}) : Promise.resolve();
+  }
+
+  /**
+   * Snapshot of the worker slots.
+   * @returns {Array<{ worker: number, jobId: string|null }>} worker: 1-based number
+   */
+  function workers() {
+    return slots.map((slot, i) => ({ worker: i + 1, jobId: slot?.id ?? null }));
+  }
+
+  /**
+   * Listen to the live events of a job.
+   * @param {string} id
+   * @param {(event: JobEvent) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return { enqueue, kill, finished, workers, subscribe };
 }
+
+/**
+ * @typedef {{ type: 'log', line: string }
+ *   | { type: 'progress', progress: number }
+ *   | { type: 'status', status: 'running', worker: number }
+ *   | { type: 'status', status: 'completed' }
+ *   | { type: 'status', status: 'failed', error: string }} JobEvent
+ */
@@ -0,0 +1,108 @@
+import { API_KEY_LIMIT_COLUMNS, getApiKeyUsageSince } from './db.js';
+
+/**
+ * Per-API-key limits. Every limit is optional — unset means unlimited.
+ *
+ * {
+ *   maxConcurrentJobs?:      jobs of the key rendering at the same time (more stay queued)
+ *   maxJobsPerDay?:          jobs submitted per UTC day
+ *   maxRenderMinutesPerDay?: render time of the key's jobs in the current UTC day (finished, and
+ *                            running so far); once used up, its queued jobs wait for the next day
+ *   maxUploadMb?:            size of one uploaded .wow3a / .wow3 / .json file
+ * }
+ */
+
+/** Largest value accepted for any limit */
+const MAX_LIMIT = 1_000_000;
+
+/**
+ * Validate raw key limits (admin request body). A null value removes the limit.
+ *
+ * @param {unknown} raw - Limits object, or null/undefined for none
+ * @returns {{ limits: Object|null, error: string|null }}
+ */
+export function normalizeKeyLimits(raw) {
+  const fail = (error) => ({ limits: null, error });
+
+  if (raw == null) return { limits: {}, error: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return fail('"limits" must be an object');
+
+  const names = Object.keys(API_KEY_LIMIT_COLUMNS);
+  const unknown = Object.keys(raw).filter(k => !names.includes(k));
+  if (unknown.length) return fail(`Unknown limit(s): ${unknown.join(', ')} (expected: ${names.join(', ')})`);
+
+  const limits = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT)) {
+      return fail(`"${name}" must be null or an integer between 1 and ${MAX_LIMIT}`);
+    }
+    limits[name] = value;
+  }
+  return { limits, error: null };
+}
+
+/**
+ * Limits of an API key row, as option names.
+ * @param {object} key - api_keys row
+ * @returns {Record<string, number|null>}
+ */
+export function keyLimits(key) {
+  return Object.fromEntries(
+    Object.entries(API_KEY_LIMIT_COLUMNS).map(([name, column]) => [name, key[column] ?? null])
+  );
+}
+
+/**
+ * State of an API key.
+ * @param {object} key - api_keys row
+ * @param {number} [now=Date.now()]
+ * @returns {'active'|'disabled'|'expired'}
+ */
+export function keyStatus(key, now = Date.now()) {
+  if (key.disabled_at) return 'disabled';
+  if (key.expires_at && key.expires_at <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Start of the UTC day containing `now` — daily limits reset then.
+ * @param {number} [now=Date.now()]
+ * @returns {number} Unix ms timestamp
+ */
+export function dayStart(now = Date.now()) {
+  const d = new Date(now);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Check the daily limits of a key before it submits a job.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} key - api_keys row
+ * @param {number} [now=Date.now()]
+ * @returns {{ error: string, retryAfter: number }|null} retryAfter: seconds until the
+ *   limits reset; null when the job may be submitted
+ */
+export function checkDailyQuota(db, key, now = Date.now()) {
+  const since = dayStart(now);
+  const retryAfter = Math.ceil((since + 24 * 60 * 60 * 1000 - now) / 1000);
+  const usage = getApiKeyUsageSince(db, key.id, since, now);
+
+  if (key.max_jobs_per_day != null && usage.jobs >= key.max_jobs_per_day) {
+    return { error: `Daily job limit reached (${key.max_jobs_per_day} jobs per day)`, retryAfter };
+  }
+  if (key.max_render_minutes_per_day != null && usage.renderMs >= key.max_render_minutes_per_day * 60_000) {
+    return { error: `Daily render time limit reached (${key.max_render_minutes_per_day} minutes per day)`, retryAfter };
+  }
+  return null;
+}
+
+/**
+ * Largest upload a key may submit.
+ * @param {object} key - api_keys row
+ * @returns {number|null} Bytes, null when unlimited
+ */
+export function uploadLimitBytes(key) {
+  return key.max_upload_mb != null ? key.max_upload_mb * 1024 * 1024 : null;
+}
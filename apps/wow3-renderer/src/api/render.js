@@ -1,78 +1,187 @@
-import { readFile, rm, mkdir } from 'node:fs/promises';
-import { join, dirname } from 'node:path';
+import { readFile, writeFile, rm, mkdir, mkdtemp } from 'node:fs/promises';
+import { join, dirname, basename } from 'node:path';
 import { tmpdir } from 'node:os';
+import { randomUUID } from 'node:crypto';
 import JSZip from 'jszip';
 import { startServer } from '../server.js';
-import { record } from '../recorder.js';
-import { extractAudio, mergeAudioVideo, copyVideoOnly } from '../audio.js';
+import { record, captureSlides } from '../recorder.js';
+import { extractAudio, extractPresentationAudio, mergeAudioVideo, copyVideoOnly } from '../audio.js';
+import { INPUT_FORMATS, OUTPUT_FORMATS, videoEncoderArgs } from '../formats.js';
+import { resolveResolution } from '../render-options.js';
+import { projectDurationMs } from '../validate.js';
+import { createArtifacts } from '../artifacts.js';
+
+/** Output resolution for .wow3 decks (slides are designed at 1280x720 and scaled up) */
+const DECK_RESOLUTION = { width: 1920, height: 1080 };
 
 /**
- * Read project dimensions and duration from a .wow3a file.
+ * Read dimensions and duration/slide count from an input file.
  * @param {string} inputPath
- * @returns {Promise<{ width: number, height: number, durationMs: number }>}
+ * @param {'wow3a'|'wow3'} [inputFormat='wow3a']
+ * @returns {Promise<{ width: number, height: number, durationMs?: number, slideCount?: number }>}
+ *   durationMs for .wow3a projects, slideCount (visible slides) for .wow3 decks
  */
-async function _readProjectInfo(inputPath) {
+export async function readInputInfo(inputPath, inputFormat = 'wow3a') {
+  const { ext, manifest } = INPUT_FORMATS[inputFormat];
   const data = await readFile(inputPath);
   const zip = await JSZip.loadAsync(data);
-  const projectFile = zip.file('project.json');
-  if (!projectFile) throw new Error('Invalid .wow3a: missing project.json');
-
-  const project = JSON.parse(await projectFile.async('string'));
-  const width = project.width || 1920;
-  const height = project.height || 1080;
-
-  let durationMs = project.durationMs || 0;
-  if (durationMs <= 0) {
-    let max = 0;
-    for (const track of project.tracks ?? []) {
-      for (const clip of track.clips ?? []) {
-        if (clip.endMs != null && clip.endMs > max) max = clip.endMs;
-      }
-    }
-    durationMs = max || 30000;
+  const manifestFile = zip.file(manifest);
+  if (!manifestFile) throw new Error(`Invalid ${ext}: missing ${manifest}`);
+
+  const json = JSON.parse(await manifestFile.async('string'));
+
+  if (inputFormat === 'wow3') {
+    const slides = Array.isArray(json.slides) ? json.slides : [];
+    return { ...DECK_RESOLUTION, slideCount: slides.filter(s => s.visible !== false).length };
   }
 
-  return { width, height, durationMs };
+  const width = json.width || 1920;
+  const height = json.height || 1080;
+
+  return { width, height, durationMs: projectDurationMs(json) };
 }
 
 /**
- * Render a .wow3a file to an MP4.
+ * Render a .wow3a project or a .wow3 deck.
  *
  * @param {Object} opts
- * @param {string} opts.inputPath  - Absolute path to the .wow3a file
- * @param {string} opts.outputPath - Absolute path for the output .mp4
+ * @param {string} opts.inputPath  - Absolute path to the .wow3a / .wow3 file
+ * @param {string} opts.outputPath - Absolute path for the output (.mp4, or .zip of PNGs)
+ * @param {'wow3a'|'wow3'} [opts.inputFormat='wow3a']
+ * @param {string} [opts.outputFormat='mp4'] - Key of OUTPUT_FORMATS; png captures one image per visible slide
+ * @param {{ resolution?: string, fps?: number, codec?: string, crf?: number, alpha?: boolean,
+ *   poster?: boolean|number, storyboard?: boolean|number }} [opts.renderOptions]
+ *   Normalized render options (see src/render-options.js); unset keys use the defaults
+ * @param {number} [opts.fps] - Frame rate for jobs whose options set none
+ *   (defaults to the recorder's DEFAULT_FPS)
+ * @param {{ slideDurationMs?: number, clickDelayMs?: number }} [opts.playerOptions] - Timing
+ *   options for .wow3 playback (see the wow3 player's loadFile)
  * @param {(msg: string) => void} [opts.onProgress] - Progress callback (receives log strings)
  * @param {AbortSignal} [opts.signal] - Optional abort signal — when triggered the render
  *   is cancelled at the next safe point (browser closed, ffmpeg killed).
- * @returns {Promise<void>}
+ * @returns {Promise<{ artifacts: Object }>} artifacts: path of each extra file made next to the
+ *   output (poster, sprite, vtt — see src/artifacts.js), by name
  */
-export async function renderJob({ inputPath, outputPath, onProgress = () => {}, signal }) {
-  const tmpVideoPath = join(tmpdir(), `wow3-video-${Date.now()}.mp4`);
-  let server;
-
+export async function renderJob({
+  inputPath, outputPath, inputFormat = 'wow3a', outputFormat = 'mp4',
+  renderOptions = {}, fps, playerOptions, onProgress = () => {}, signal,
+}) {
   await mkdir(dirname(outputPath), { recursive: true });
 
+  // The page is laid out at the input's native size and captured with a device
+  // scale factor, so elements are rasterized at the output resolution
+  const { width, height } = await readInputInfo(inputPath, inputFormat);
+  const size = resolveResolution(renderOptions.resolution, { width, height });
+  const deviceScaleFactor = Math.min(size.width / width, size.height / height);
+  if (renderOptions.resolution) onProgress(`Output resolution: ${size.width}x${size.height}`);
+
+  const server = await startServer(inputPath, inputFormat);
+
   try {
-    const { width, height } = await _readProjectInfo(inputPath);
+    if (outputFormat === 'png') {
+      await _renderSlideImages({ server, width, height, deviceScaleFactor, outputPath, onProgress, signal });
+      return { artifacts: {} };
+    }
+    const artifacts = await _renderVideo({
+      server, inputPath, inputFormat, outputFormat, renderOptions, fps, playerOptions,
+      width, height, deviceScaleFactor, size, outputPath, onProgress, signal,
+    });
+    return { artifacts };
+  } finally {
+    await server.close();
+  }
+}
 
-    server = await startServer(inputPath);
+/**
+ * Render the presentation frame by frame into the requested container, mix
+ * its audio in (when the container carries audio) and make the requested
+ * poster / storyboard from the silent video.
+ * @returns {Promise<Object>} Artifact paths by name
+ * @private
+ */
+async function _renderVideo({
+  server, inputPath, inputFormat, outputFormat, renderOptions, fps, playerOptions,
+  width, height, deviceScaleFactor, size, outputPath, onProgress, signal,
+}) {
+  const { ext, audioCodec, defaultFps } = OUTPUT_FORMATS[outputFormat];
+  const { codec, crf, alpha = false } = renderOptions;
+  // Unique per render — several workers may encode at the same time
+  const tmpVideoPath = join(tmpdir(), `wow3-video-${randomUUID()}${ext}`);
 
-    await record({ port: server.port, width, height, outputPath: tmpVideoPath, onProgress, signal });
+  try {
+    const { audioSchedule, durationMs } = await record({
+      port: server.port,
+      page: server.page,
+      inputUrl: server.inputUrl,
+      loadOptions: { ...playerOptions, transparent: alpha },
+      width,
+      height,
+      deviceScaleFactor,
+      fps: renderOptions.fps ?? defaultFps ?? fps,
+      encoderArgs: videoEncoderArgs({
+        outputFormat, codec, crf, alpha,
+        // Only scale when a resolution was requested — the native frame size is exact
+        size: renderOptions.resolution ? size : undefined,
+      }),
+      omitBackground: alpha,
+      outputPath: tmpVideoPath,
+      onProgress,
+      signal,
+    });
 
     if (signal?.aborted) throw new Error('cancelled by user');
 
-    const audioData = await extractAudio(inputPath);
+    let audioData = null;
+    if (audioCodec) {
+      audioData = inputFormat === 'wow3'
+        ? await extractPresentationAudio(inputPath, audioSchedule)
+        : await extractAudio(inputPath);
+    }
+
     if (audioData) {
       try {
-        await mergeAudioVideo({ videoPath: tmpVideoPath, clips: audioData.clips, outputPath, signal });
+        await mergeAudioVideo({ videoPath: tmpVideoPath, clips: audioData.clips, outputPath, audioCodec, signal });
       } finally {
         await rm(audioData.tmpDir, { recursive: true, force: true });
       }
     } else {
       await copyVideoOnly(tmpVideoPath, outputPath, signal);
     }
+
+    return await createArtifacts({
+      videoPath: tmpVideoPath, outputPath, ext, renderOptions, durationMs, size, onProgress, signal,
+    });
   } finally {
-    if (server) await server.close();
     try { await rm(tmpVideoPath, { force: true }); } catch {}
   }
 }
+
+/**
+ * Capture every visible slide as a PNG and pack them into a ZIP.
+ * @private
+ */
+async function _renderSlideImages({ server, width, height, deviceScaleFactor, outputPath, onProgress, signal }) {
+  const tmpDir = await mkdtemp(join(tmpdir(), 'wow3-slides-'));
+
+  try {
+    const paths = await captureSlides({
+      port: server.port,
+      page: server.page,
+      inputUrl: server.inputUrl,
+      width,
+      height,
+      deviceScaleFactor,
+      outputDir: tmpDir,
+      onProgress,
+      signal,
+    });
+
+    const zip = new JSZip();
+    for (const path of paths) {
+      zip.file(basename(path), await readFile(path));
+    }
+    await writeFile(outputPath, await zip.generateAsync({ type: 'nodebuffer' }));
+  } finally {
+    await rm(tmpDir, { recursive: true, force: true });
+  }
+}
@@ -3,19 +3,52 @@ import { createReadStream } from 'node:fs';
 import { join } from 'node:path';
 import { randomBytes, randomUUID } from 'node:crypto';
 import {
-  listApiKeys, insertApiKey, deleteApiKey,
-  listJobs, getJob, deleteJob,
+  listApiKeys, insertApiKey, deleteApiKey, updateApiKey, getApiKey, getUsageReport,
+  listJobs, getJob, deleteJob, getRunningJobs, setJobRetention, jobOutputFiles,
 } from '../db.js';
 import { hashKey } from '../middleware/auth.js';
 import { signAdminToken, createAdminAuth } from '../middleware/admin-auth.js';
+import { OUTPUT_FORMATS, outputFilename } from '../../formats.js';
+import { streamJobEvents } from '../job-events.js';
+import { normalizeKeyLimits, keyLimits, keyStatus, dayStart } from '../quotas.js';
+import { createCleanup, parseKeep } from '../cleanup.js';
+
+/**
+ * Check the `expiresAt` of an API key request body.
+ * @param {unknown} value - Unix ms timestamp, null for no expiry
+ * @returns {string|null} Error message, or null when valid (or absent)
+ */
+function checkExpiresAt(value) {
+  if (value == null) return null;
+  return Number.isInteger(value) && value > 0 ? null : '"expiresAt" must be null or a Unix timestamp in ms';
+}
+
+/**
+ * Public shape of an API key row (key_hash is never selected).
+ * @param {object} key - api_keys row
+ */
+function formatApiKey(key) {
+  return {
+    id: key.id,
+    label: key.label,
+    status: keyStatus(key),
+    createdAt: key.created_at,
+    expiresAt: key.expires_at,
+    disabledAt: key.disabled_at,
+    limits: keyLimits(key),
+  };
+}
 
 /**
  * Register admin endpoints.
  *
  * @param {import('fastify').FastifyInstance} fastify
- * @param {{ db: object, queue: object, jwtSecret: string, adminUser: string, adminPass: string, dataDir: string }} opts
+ * @param {{ db: object, queue: object, jwtSecret: string, adminUser: string, adminPass: string, dataDir: string, cleanup?: object }} opts
+ *   cleanup: handler from createCleanup() behind the disk endpoints (a default one when omitted)
  */
-export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, adminPass, dataDir }) {
+export async function adminRoutes(fastify, {
+  db, queue, jwtSecret, adminUser, adminPass, dataDir, cleanup = createCleanup(db, dataDir),
+}) {
   const adminAuth = createAdminAuth(jwtSecret);
 
   // ── Open routes (no auth required) ───────────────────────────────────────
@@ -49,18 +82,45 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
     instance.addHook('preHandler', adminAuth);
 
     /** GET /api-keys */
-    instance.get('/api-keys', async () => listApiKeys(db));
+    instance.get('/api-keys', async () => listApiKeys(db).map(formatApiKey));
 
-    /** POST /api-keys */
+    /** POST /api-keys — body { label, limits?, expiresAt? } (limits: see quotas.js) */
     instance.post('/api-keys', async (request, reply) => {
-      const { label } = request.body ?? {};
+      const { label, limits: rawLimits, expiresAt = null } = request.body ?? {};
       if (!label) return reply.code(400).send({ error: 'label is required' });
+      const { limits, error } = normalizeKeyLimits(rawLimits);
+      if (error) return reply.code(400).send({ error });
+      const expiresError = checkExpiresAt(expiresAt);
+      if (expiresError) return reply.code(400).send({ error: expiresError });
 
       const id = randomUUID();
       const rawKey = randomBytes(16).toString('hex'); // 32-char hex string
-      insertApiKey(db, { id, label, keyHash: hashKey(rawKey) });
+      insertApiKey(db, { id, label, keyHash: hashKey(rawKey), limits, expiresAt });
+
+      return reply.code(201).send({ ...formatApiKey(getApiKey(db, id)), key: rawKey });
+    });
+
+    /**
+     * PATCH /api-keys/:id — body { label?, limits?, expiresAt?, disabled? }
+     * Only the given fields change; a null limit or expiresAt removes it.
+     * Disabled keys are refused (403) but keep their jobs and usage.
+     */
+    instance.patch('/api-keys/:id', async (request, reply) => {
+      const { label, limits: rawLimits, expiresAt, disabled } = request.body ?? {};
+      if (label !== undefined && (typeof label !== 'string' || !label)) {
+        return reply.code(400).send({ error: 'label must be a non-empty string' });
+      }
+      const { limits, error } = normalizeKeyLimits(rawLimits);
+      if (error) return reply.code(400).send({ error });
+      const expiresError = checkExpiresAt(expiresAt);
+      if (expiresError) return reply.code(400).send({ error: expiresError });
+      if (disabled !== undefined && typeof disabled !== 'boolean') {
+        return reply.code(400).send({ error: 'disabled must be a boolean' });
+      }
 
-      return reply.code(201).send({ id, label, key: rawKey });
+      const found = updateApiKey(db, request.params.id, { label, limits, expiresAt, disabled });
+      if (!found) return reply.code(404).send({ error: 'API key not found' });
+      return formatApiKey(getApiKey(db, request.params.id));
     });
 
     /** DELETE /api-keys/:id */
@@ -70,8 +130,55 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
       return { ok: true };
     });
 
-    /** GET /jobs */
-    instance.get('/jobs', async () => listJobs(db));
+    /**
+     * GET /usage — per-key usage report.
+     * Period counters cover jobs since `?since=` (Unix ms, default: start of the
+     * current UTC day, when daily limits reset); totals cover the key's lifetime.
+     */
+    instance.get('/usage', async (request, reply) => {
+      const since = request.query.since != null ? Number(request.query.since) : dayStart();
+      if (!Number.isInteger(since) || since < 0) {
+        return reply.code(400).send({ error: '"since" must be a Unix timestamp in ms' });
+      }
+      return {
+        since,
+        keys: getUsageReport(db, since).map(row => ({
+          ...formatApiKey(row),
+          running: row.running,
+          pending: row.pending,
+          storedBytes: row.stored_bytes,
+          period: { jobs: row.jobs_since, renderSeconds: Math.round(row.render_ms_since / 1000) },
+          total: {
+            jobs: row.usage_jobs,
+            renderSeconds: Math.round(row.usage_render_ms / 1000),
+            outputBytes: row.usage_output_bytes,
+          },
+        })),
+      };
+    });
+
+    /** GET /jobs — webhook secrets are never sent to the browser */
+    instance.get('/jobs', async () => listJobs(db).map(({ callback_secret: _secret, ...job }) => job));
+
+    /** GET /workers — every queue worker and the job it is rendering (null when idle) */
+    instance.get('/workers', async () => {
+      const running = new Map(getRunningJobs(db).map(j => [j.id, j]));
+      return queue.workers().map(({ worker, jobId }) => {
+        const job = jobId ? running.get(jobId) : null;
+        return {
+          worker,
+          job: job
+            ? {
+                id: job.id,
+                name: job.wow3a_name,
+                apiKeyLabel: job.api_key_label,
+                progress: job.progress,
+                startedAt: job.started_at,
+              }
+            : null,
+        };
+      });
+    });
 
     /** GET /jobs/:id/result — stream the MP4 file for completed jobs */
     instance.get('/jobs/:id/result', async (request, reply) => {
@@ -85,9 +192,9 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
       try { await stat(job.output_path); accessible = true; } catch {}
       if (!accessible) return reply.code(410).send({ error: 'Output file has been deleted' });
 
-      const filename = job.wow3a_name.replace(/\.wow3a$/, '.mp4');
+      const filename = outputFilename(job.wow3a_name, job.output_format);
       reply.header('Content-Disposition', `attachment; filename="${filename}"`);
-      reply.header('Content-Type', 'video/mp4');
+      reply.header('Content-Type', OUTPUT_FORMATS[job.output_format].contentType);
       return reply.send(createReadStream(job.output_path));
     });
 
@@ -110,19 +217,26 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
       return reply.send(content);
     });
 
+    /** GET /jobs/:id/events — live log tail (Server-Sent Events, see job-events.js) */
+    instance.get('/jobs/:id/events', (request, reply) =>
+      streamJobEvents(request, reply, { db, queue, dataDir })
+    );
+
     /** DELETE /jobs/:id */
     instance.delete('/jobs/:id', async (request, reply) => {
       const job = getJob(db, request.params.id);
       if (!job) return reply.code(404).send({ error: 'Job not found' });
 
       // If the job is still in flight, abort it first so we don't leave
-      // orphan browser/ffmpeg processes running after the row is gone.
+      // orphan browser/ffmpeg processes running after the row is gone, and
+      // wait for it to settle: its cancelled webhook is built from the row.
       if (job.status === 'running' || job.status === 'pending') {
         queue.kill(request.params.id);
+        await queue.finished(request.params.id);
       }
 
-      if (job.output_path) {
-        try { await rm(job.output_path, { force: true }); } catch (err) {
+      for (const path of jobOutputFiles(job)) {
+        try { await rm(path, { force: true }); } catch (err) {
           if (err.code !== 'ENOENT') {
             console.warn(`[admin] failed to delete output for ${request.params.id}:`, err.message);
           }
@@ -139,6 +253,17 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
       return { ok: true };
     });
 
+    /** PATCH /jobs/:id — change retention: { keep: '7d' | 'pinned' | null (server default) } */
+    instance.patch('/jobs/:id', async (request, reply) => {
+      const keep = request.body?.keep;
+      const retention = keep === null ? { keepMs: null, pinned: false, error: null } : parseKeep(keep);
+      if (retention.error) return reply.code(400).send({ error: retention.error });
+      if (!setJobRetention(db, request.params.id, retention)) {
+        return reply.code(404).send({ error: 'Job not found' });
+      }
+      return { ok: true };
+    });
+
     /** POST /jobs/:id/kill — abort a running or pending job */
     instance.post('/jobs/:id/kill', async (request, reply) => {
       const job = getJob(db, request.params.id);
@@ -150,5 +275,11 @@ export async function adminRoutes(fastify, { db, queue, jwtSecret, adminUser, ad
       if (!killed) return reply.code(409).send({ error: 'Job could not be cancelled' });
       return { ok: true };
     });
+
+    /** GET /disk — disk usage of output/, uploads/ and logs/, cleanup settings and last pass */
+    instance.get('/disk', async () => cleanup.diskUsage());
+
+    /** POST /disk/cleanup — run a cleanup pass now and return its report */
+    instance.post('/disk/cleanup', async () => cleanup.runPass());
   });
 }
@@ -1,114 +1,361 @@
 import { createReadStream } from 'node:fs';
-import { stat, writeFile, mkdir } from 'node:fs/promises';
+import { stat, writeFile, mkdir, rm } from 'node:fs/promises';
 import { join } from 'node:path';
 import { randomUUID } from 'node:crypto';
 import JSZip from 'jszip';
-import { insertJob, getJob } from '../db.js';
+import { insertJob, getJob, jobRenderOptions, listWebhookDeliveries } from '../db.js';
+import { INPUT_FORMATS, OUTPUT_FORMATS, inputFormatFromFilename, outputFilename } from '../../formats.js';
+import { normalizeRenderOptions } from '../../render-options.js';
+import { validateInput } from '../../validate.js';
+import { ARTIFACTS } from '../../artifacts.js';
+import { JOB_PRIORITIES } from '../queue.js';
+import { checkCallbackUrl } from '../webhooks.js';
+import { streamJobEvents } from '../job-events.js';
+import { checkDailyQuota, uploadLimitBytes } from '../quotas.js';
+import { DEFAULT_RETENTION_MS, parseKeep, jobRetention } from '../cleanup.js';
+
+/** Longest accepted webhook secret */
+const MAX_CALLBACK_SECRET_LENGTH = 256;
+
+/**
+ * Detect the input format of a JSON document: wow3 presentations have a
+ * `slides` array, anything else is treated as a wow3-animation project.
+ * @param {object} jsonData
+ * @returns {'wow3a'|'wow3'}
+ */
+function jsonInputFormat(jsonData) {
+  return Array.isArray(jsonData.slides) ? 'wow3' : 'wow3a';
+}
+
+/**
+ * Split a JSON request body into the project, its render options and webhook.
+ * The body is either the project itself or an envelope
+ * `{ project: {...}, options: {...}, callbackUrl?, callbackSecret? }`.
+ * @param {object} body
+ * @returns {{ jsonData: object, rawOptions: unknown, callbackUrl: unknown, callbackSecret: unknown }}
+ */
+function unwrapJsonBody(body) {
+  const isEnvelope = body.project && typeof body.project === 'object'
+    && !Array.isArray(body.slides) && !Array.isArray(body.tracks);
+  return isEnvelope
+    ? { jsonData: body.project, rawOptions: body.options, callbackUrl: body.callbackUrl, callbackSecret: body.callbackSecret }
+    : { jsonData: body, rawOptions: undefined, callbackUrl: undefined, callbackSecret: undefined };
+}
+
+/**
+ * Check the webhook fields of a job submission.
+ * @param {unknown} callbackUrl
+ * @param {unknown} callbackSecret
+ * @returns {string|null} Error message, or null when valid (or both absent)
+ */
+function checkCallback(callbackUrl, callbackSecret) {
+  if (callbackUrl != null) {
+    const urlError = checkCallbackUrl(callbackUrl);
+    if (urlError) return urlError;
+  }
+  if (callbackSecret != null) {
+    if (callbackUrl == null) return '"callbackSecret" requires a "callbackUrl"';
+    if (typeof callbackSecret !== 'string' || !callbackSecret || callbackSecret.length > MAX_CALLBACK_SECRET_LENGTH) {
+      return `"callbackSecret" must be a non-empty string of at most ${MAX_CALLBACK_SECRET_LENGTH} characters`;
+    }
+  }
+  return null;
+}
 
 /**
- * Wrap a project JSON object into a minimal .wow3a ZIP buffer (project.json only).
+ * Wrap a project/presentation JSON object into a minimal ZIP buffer
+ * (project.json for .wow3a, presentation.json for .wow3).
  * @param {object} jsonData
+ * @param {'wow3a'|'wow3'} inputFormat
  * @returns {Promise<Buffer>}
  */
-async function jsonToWow3a(jsonData) {
+async function jsonToArchive(jsonData, inputFormat) {
   const zip = new JSZip();
-  zip.file('project.json', JSON.stringify(jsonData));
+  zip.file(INPUT_FORMATS[inputFormat].manifest, JSON.stringify(jsonData));
   return zip.generateAsync({ type: 'nodebuffer' });
 }
 
+/**
+ * Read the input of a job submission into an archive: a multipart upload
+ * (.wow3a, .wow3 or .json file plus optional `options`, `callbackUrl` and
+ * `callbackSecret` fields) or a JSON body. `?format=` is merged into the
+ * raw options. The upload size limit of the request's API key applies.
+ *
+ * @param {import('fastify').FastifyRequest} request
+ * @returns {Promise<{ fileBuffer: Buffer, originalName: string, inputFormat: 'wow3a'|'wow3',
+ *   rawOptions: unknown, callbackUrl: unknown, callbackSecret: unknown, error?: undefined }
+ *   | { error: string, statusCode: number }>}
+ */
+async function readSubmission(request) {
+  let fileBuffer, originalName, inputFormat, rawOptions, callbackUrl, callbackSecret;
+  const fail = (statusCode, error) => ({ statusCode, error });
+
+  const maxUploadBytes = request.apiKey ? uploadLimitBytes(request.apiKey) : null;
+  const tooLarge = () => fail(413, `Upload exceeds the limit of this API key (${request.apiKey.max_upload_mb} MB)`);
+
+  const contentType = request.headers['content-type'] || '';
+
+  if (contentType.startsWith('application/json')) {
+    // JSON body — wrap into a .wow3a / .wow3
+    if (!request.body || typeof request.body !== 'object') return fail(400, 'Invalid JSON body');
+    const unwrapped = unwrapJsonBody(request.body);
+    const jsonData = unwrapped.jsonData;
+    ({ rawOptions, callbackUrl, callbackSecret } = unwrapped);
+    request.log.info({ project: jsonData }, 'Received JSON project');
+    inputFormat = jsonInputFormat(jsonData);
+    fileBuffer = await jsonToArchive(jsonData, inputFormat);
+    originalName = (jsonData.title || 'project').replace(/[^a-zA-Z0-9_.-]/g, '_') + INPUT_FORMATS[inputFormat].ext;
+  } else if (contentType.startsWith('multipart/form-data')) {
+    let data = null;
+    let buffer;
+    const parts = request.parts(maxUploadBytes != null ? { limits: { fileSize: maxUploadBytes } } : undefined);
+    for await (const part of parts) {
+      if (part.type === 'file') {
+        if (data) { part.file.resume(); continue; }
+        data = part;
+        try {
+          buffer = await part.toBuffer();
+        } catch (err) {
+          if (err.code === 'FST_REQ_FILE_TOO_LARGE' && maxUploadBytes != null) return tooLarge();
+          throw err;
+        }
+      } else if (part.fieldname === 'options') {
+        try {
+          rawOptions = JSON.parse(part.value);
+        } catch {
+          return fail(400, 'Field "options" must be a JSON object');
+        }
+      } else if (part.fieldname === 'callbackUrl') {
+        callbackUrl = part.value;
+      } else if (part.fieldname === 'callbackSecret') {
+        callbackSecret = part.value;
+      }
+    }
+    if (!data) return fail(400, 'No file uploaded');
+
+    if (data.filename.endsWith('.json')) {
+      let jsonData;
+      try {
+        jsonData = JSON.parse(buffer.toString('utf-8'));
+      } catch {
+        return fail(400, 'Uploaded .json file is not valid JSON');
+      }
+      request.log.info({ project: jsonData }, 'Received JSON project (multipart)');
+      inputFormat = jsonInputFormat(jsonData);
+      fileBuffer = await jsonToArchive(jsonData, inputFormat);
+      originalName = data.filename.replace(/\.json$/, INPUT_FORMATS[inputFormat].ext);
+    } else if (inputFormatFromFilename(data.filename)) {
+      fileBuffer = buffer;
+      originalName = data.filename;
+      inputFormat = inputFormatFromFilename(data.filename);
+    } else {
+      return fail(400, 'File must have .wow3a, .wow3 or .json extension');
+    }
+  } else {
+    return fail(400, 'Expected multipart/form-data or application/json');
+  }
+  if (maxUploadBytes != null && fileBuffer.length > maxUploadBytes) return tooLarge();
+
+  // ?format= is a shorthand — options.format wins when both are given
+  if (request.query.format && (rawOptions == null || (typeof rawOptions === 'object' && rawOptions.format == null))) {
+    rawOptions = { ...rawOptions, format: request.query.format };
+  }
+
+  return { fileBuffer, originalName, inputFormat, rawOptions, callbackUrl, callbackSecret };
+}
+
 /**
  * Register public job endpoints on the Fastify instance.
  *
  * @param {import('fastify').FastifyInstance} fastify
- * @param {{ db: object, queue: { enqueue: () => void }, dataDir: string }} opts
+ * @param {{ db: object, queue: { enqueue: () => void, subscribe: Function }, dataDir: string, retentionMs?: number }} opts
+ *   retentionMs: default retention of finished jobs (48h), reported by the status endpoint
  */
-export async function jobsRoutes(fastify, { db, queue, dataDir }) {
+export async function jobsRoutes(fastify, { db, queue, dataDir, retentionMs = DEFAULT_RETENTION_MS }) {
   /**
    * POST /jobs
-   * Accepts a .wow3a file (multipart), a .json file (multipart),
-   * or a JSON body (application/json). Creates a job and enqueues it.
-   * Requires X-API-Key header.
+   * Accepts a .wow3a or .wow3 file (multipart), a .json file (multipart),
+   * or a JSON body (application/json). JSON with a `slides` array is a wow3
+   * presentation, anything else a wow3-animation project.
+   * Render options (see src/render-options.js) come from the multipart
+   * `options` field (JSON) or the `options` of a `{ project, options }` JSON
+   * body; `?format=` is a shorthand for `options.format`.
+   * Optional `?priority=low|normal|high` (default normal).
+   * Optional `?keep=7d` (any duration in m/h/d) or `?keep=pinned` overrides
+   * how long the job and its result are kept (see src/api/cleanup.js).
+   * Optional webhook: `callbackUrl` (+ `callbackSecret` for an HMAC signature)
+   * as multipart fields or envelope keys — see src/api/webhooks.js.
+   * Creates a job and enqueues it. Requires X-API-Key header; the key's
+   * daily limits (429) and upload size limit (413) apply — see src/api/quotas.js.
    */
   fastify.post('/jobs', async (request, reply) => {
-    let fileBuffer, originalName;
+    const overQuota = (quota) => {
+      reply.header('Retry-After', String(quota.retryAfter));
+      return reply.code(429).send({ error: quota.error });
+    };
 
-    const contentType = request.headers['content-type'] || '';
+    // Refuse over-quota keys before reading the upload
+    const quota = request.apiKey ? checkDailyQuota(db, request.apiKey) : null;
+    if (quota) return overQuota(quota);
 
-    if (contentType.startsWith('application/json')) {
-      // JSON body — wrap into a .wow3a
-      const jsonData = request.body;
-      if (!jsonData || typeof jsonData !== 'object') {
-        return reply.code(400).send({ error: 'Invalid JSON body' });
-      }
-      request.log.info({ project: jsonData }, 'Received JSON project');
-      fileBuffer = await jsonToWow3a(jsonData);
-      originalName = (jsonData.title || 'project').replace(/[^a-zA-Z0-9_.-]/g, '_') + '.wow3a';
-    } else if (contentType.startsWith('multipart/form-data')) {
-      // Multipart file upload — .wow3a or .json
-      const data = await request.file();
-      if (!data) return reply.code(400).send({ error: 'No file uploaded' });
-
-      const buffer = await data.toBuffer();
-
-      if (data.filename.endsWith('.json')) {
-        const jsonData = JSON.parse(buffer.toString('utf-8'));
-        request.log.info({ project: jsonData }, 'Received JSON project (multipart)');
-        fileBuffer = await jsonToWow3a(jsonData);
-        originalName = data.filename.replace(/\.json$/, '.wow3a');
-      } else if (data.filename.endsWith('.wow3a')) {
-        fileBuffer = buffer;
-        originalName = data.filename;
-      } else {
-        return reply.code(400).send({ error: 'File must have .wow3a or .json extension' });
-      }
-    } else {
-      return reply.code(400).send({ error: 'Expected multipart/form-data or application/json' });
+    const submission = await readSubmission(request);
+    if (submission.error) return reply.code(submission.statusCode).send({ error: submission.error });
+    const { fileBuffer, originalName, inputFormat, rawOptions, callbackUrl, callbackSecret } = submission;
+
+    const { options, error } = normalizeRenderOptions(rawOptions, inputFormat);
+    if (error) return reply.code(400).send({ error });
+    const { format: outputFormat, ...renderOptions } = options;
+
+    const priorityName = request.query.priority ?? 'normal';
+    if (!Object.hasOwn(JOB_PRIORITIES, priorityName)) {
+      return reply.code(400).send({
+        error: `Unknown priority "${priorityName}" (expected one of: ${Object.keys(JOB_PRIORITIES).join(', ')})`,
+      });
+    }
+
+    let retention = { keepMs: null, pinned: false };
+    if (request.query.keep != null) {
+      retention = parseKeep(request.query.keep);
+      if (retention.error) return reply.code(400).send({ error: retention.error });
     }
 
+    const callbackError = checkCallback(callbackUrl, callbackSecret);
+    if (callbackError) return reply.code(400).send({ error: callbackError });
+
     const id = randomUUID();
     const uploadDir = join(dataDir, 'uploads');
+    const inputPath = join(uploadDir, `${id}${INPUT_FORMATS[inputFormat].ext}`);
     await mkdir(uploadDir, { recursive: true });
-    await writeFile(join(uploadDir, `${id}.wow3a`), fileBuffer);
+    await writeFile(inputPath, fileBuffer);
 
-    insertJob(db, { id, wow3aName: originalName });
+    // Again, with the jobs the key submitted while this upload was read: nothing
+    // is awaited between this check and the insert, so parallel uploads cannot
+    // all pass against the same count
+    const finalQuota = request.apiKey ? checkDailyQuota(db, request.apiKey) : null;
+    if (finalQuota) {
+      await rm(inputPath, { force: true });
+      return overQuota(finalQuota);
+    }
+
+    insertJob(db, {
+      id, wow3aName: originalName, inputFormat, outputFormat, renderOptions,
+      apiKeyId: request.apiKeyId, priority: JOB_PRIORITIES[priorityName],
+      callbackUrl, callbackSecret, inputBytes: fileBuffer.length,
+      keepMs: retention.keepMs, pinned: retention.pinned,
+    });
     queue.enqueue();
 
-    return reply.code(202).send({ jobId: id, status: 'pending' });
+    return reply.code(202).send({ jobId: id, status: 'pending', options });
+  });
+
+  /**
+   * POST /jobs/validate
+   * Pre-flight check of a submission without rendering it: takes the same
+   * body as POST /jobs and returns `{ valid, errors, warnings, info, options }`
+   * (see src/validate.js) — schema errors in the manifest, assets missing
+   * from the archive or unreachable, invalid render options, and the computed
+   * duration. Creates no job and does not count towards the daily limits.
+   */
+  fastify.post('/jobs/validate', async (request, reply) => {
+    const submission = await readSubmission(request);
+    if (submission.error) return reply.code(submission.statusCode).send({ error: submission.error });
+
+    const report = await validateInput(submission.fileBuffer, submission.inputFormat);
+    const { options, error } = normalizeRenderOptions(submission.rawOptions, submission.inputFormat);
+    if (error) report.errors.push({ path: 'options', message: error });
+
+    return { ...report, valid: report.errors.length === 0, options };
   });
 
   /**
    * GET /jobs/:id/status
-   * Returns the current status and progress of a job.
+   * Returns the current status and progress of a job, its retention
+   * (`keep`, `expiresAt`), the artifacts available with its result, and the
+   * state of its webhook deliveries when it was submitted with a callbackUrl.
    */
   fastify.get('/jobs/:id/status', async (request, reply) => {
     const job = getJob(db, request.params.id);
     if (!job) return reply.code(404).send({ error: 'Job not found' });
 
-    const response = { jobId: job.id, status: job.status, progress: job.progress };
+    const response = {
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      options: { format: job.output_format, ...jobRenderOptions(job) },
+    };
     if (job.error) response.error = job.error;
+    Object.assign(response, jobRetention(job, retentionMs));
+    if (job.evicted_at) response.evictedAt = job.evicted_at;
+    const artifacts = Object.keys(ARTIFACTS).filter(name => job[ARTIFACTS[name].column]);
+    if (artifacts.length) response.artifacts = artifacts;
+    if (job.callback_url) {
+      response.webhook = {
+        url: job.callback_url,
+        deliveries: listWebhookDeliveries(db, job.id).map(d => ({
+          event: d.event,
+          status: d.status,
+          attempts: d.attempts,
+          lastStatus: d.last_status,
+          lastError: d.last_error,
+          nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+          deliveredAt: d.delivered_at,
+        })),
+      };
+    }
     return response;
   });
 
+  /**
+   * GET /jobs/:id/events
+   * Server-Sent Events stream of the job's progress, log lines and final
+   * state (see src/api/job-events.js). Closes once the job has finished.
+   */
+  fastify.get('/jobs/:id/events', (request, reply) =>
+    streamJobEvents(request, reply, { db, queue, dataDir })
+  );
+
   /**
    * GET /jobs/:id/result
-   * Streams the rendered MP4. Returns 404 if not completed, 410 if file was deleted.
+   * Streams the rendered video (or ZIP of slide PNGs). With `?artifact=poster|sprite|vtt`
+   * streams the poster frame, storyboard sprite or WebVTT thumbnails track made
+   * along with it (see src/artifacts.js). Returns 404 if not completed or the
+   * artifact was not requested, 410 if the file was deleted (or evicted to stay
+   * within the disk budget).
    */
   fastify.get('/jobs/:id/result', async (request, reply) => {
+    const { artifact } = request.query;
+    if (artifact != null && !Object.hasOwn(ARTIFACTS, artifact)) {
+      return reply.code(400).send({
+        error: `Unknown artifact "${artifact}" (expected one of: ${Object.keys(ARTIFACTS).join(', ')})`,
+      });
+    }
+
     const job = getJob(db, request.params.id);
     if (!job) return reply.code(404).send({ error: 'Job not found' });
     if (job.status !== 'completed') {
       return reply.code(404).send({ error: `Job is not completed (status: ${job.status})` });
     }
+    if (job.evicted_at) {
+      return reply.code(410).send({ error: 'Output file was evicted to stay within the disk budget' });
+    }
 
+    const path = artifact ? job[ARTIFACTS[artifact].column] : job.output_path;
+    if (!path) {
+      const option = artifact === 'poster' ? 'poster' : 'storyboard';
+      return reply.code(404).send({ error: `Job has no ${artifact} (request it with the "${option}" render option)` });
+    }
     try {
-      await stat(job.output_path);
+      await stat(path);
     } catch {
       return reply.code(410).send({ error: 'Output file has been deleted' });
     }
 
-    const filename = job.wow3a_name.replace(/\.wow3a$/, '.mp4');
-    reply.header('Content-Disposition', `attachment; filename="${filename}"`);
-    reply.header('Content-Type', 'video/mp4');
-    return reply.send(createReadStream(job.output_path));
+    const filename = artifact
+      ? job.wow3a_name.replace(/\.wow3a?$/, '') + ARTIFACTS[artifact].filename
+      : outputFilename(job.wow3a_name, job.output_format);
+    const contentType = artifact ? ARTIFACTS[artifact].contentType : OUTPUT_FORMATS[job.output_format].contentType;
+    reply.header('Content-Disposition', `${artifact ? 'inline' : 'attachment'}; filename="${filename}"`);
+    reply.header('Content-Type', contentType);
+    return reply.send(createReadStream(path));
   });
 }
@@ -0,0 +1,162 @@
+import { createHmac } from 'node:crypto';
+import {
+  getJob, jobRenderOptions,
+  insertWebhookDelivery, getWebhookDelivery, getDueWebhookDeliveries, recordWebhookAttempt,
+} from './db.js';
+
+/** Events a job's callback URL is notified of */
+export const WEBHOOK_EVENTS = ['done', 'error', 'cancelled'];
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over
+ * `${X-Wow3-Timestamp}.${raw body}` and compare it with X-Wow3-Signature.
+ *
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, sent as X-Wow3-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex digest>'
+ */
+export function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a callback URL submitted with a job.
+ * @param {unknown} value
+ * @returns {string|null} Error message, or null when valid
+ */
+export function checkCallbackUrl(value) {
+  if (typeof value !== 'string') return '"callbackUrl" must be a string';
+  let url;
+  try { url = new URL(value); } catch { return '"callbackUrl" must be an absolute URL'; }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return '"callbackUrl" must be an http(s) URL';
+  return null;
+}
+
+/**
+ * Create the webhook dispatcher. Each notification is stored in
+ * webhook_deliveries before the first attempt; failed attempts (network
+ * error, timeout or non-2xx answer) are retried with exponential backoff
+ * — baseDelayMs, 2×, 4×, … — until maxAttempts is reached. Pending
+ * deliveries survive restarts and are picked up by the poll interval.
+ *
+ * @param {Object} opts
+ * @param {import('better-sqlite3').Database} opts.db
+ * @param {typeof fetch} [opts.fetchFn=fetch]
+ * @param {number} [opts.maxAttempts=6]
+ * @param {number} [opts.baseDelayMs=10000] - Delay before the first retry
+ * @param {number} [opts.timeoutMs=10000] - Per-attempt request timeout
+ * @returns {{ notify: (jobId: string, event: string) => Promise<void>, runDue: () => Promise<number>, start: () => NodeJS.Timeout }}
+ */
+export function createWebhooks({ db, fetchFn = fetch, maxAttempts = 6, baseDelayMs = 10_000, timeoutMs = 10_000 }) {
+  /** Delivery ids with a request in flight — never sent twice at once */
+  const inFlight = new Set();
+
+  /**
+   * Build the JSON payload for a finished job.
+   * @param {object} job - Job row
+   * @param {string} event
+   */
+  function payloadFor(job, event) {
+    return {
+      event,
+      jobId: job.id,
+      status: job.status,
+      name: job.wow3a_name,
+      format: job.output_format,
+      options: jobRenderOptions(job),
+      error: job.error ?? null,
+      resultPath: job.status === 'completed' ? `/jobs/${job.id}/result` : null,
+      createdAt: job.created_at,
+      completedAt: job.completed_at ?? null,
+    };
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome.
+   * @param {object} delivery - webhook_deliveries row
+   */
+  async function attempt(delivery) {
+    if (inFlight.has(delivery.id)) return;
+    inFlight.add(delivery.id);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'content-type': 'application/json',
+      'user-agent': 'wow3-renderer',
+      'x-wow3-event': delivery.event,
+      'x-wow3-delivery': String(delivery.id),
+      'x-wow3-timestamp': String(timestamp),
+    };
+    if (delivery.secret) headers['x-wow3-signature'] = signWebhook(delivery.secret, timestamp, delivery.payload);
+
+    let statusCode = null;
+    try {
+      const res = await fetchFn(delivery.url, {
+        method: 'POST',
+        headers,
+        body: delivery.payload,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      statusCode = res.status;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      recordWebhookAttempt(db, delivery.id, { delivered: true, statusCode });
+    } catch (err) {
+      const attempts = delivery.attempts + 1;
+      const nextAttemptAt = attempts < maxAttempts
+        ? Date.now() + baseDelayMs * 2 ** (attempts - 1)
+        : null;
+      recordWebhookAttempt(db, delivery.id, { delivered: false, statusCode, error: err.message, nextAttemptAt });
+      if (!nextAttemptAt) {
+        console.error(`[webhooks] giving up on delivery ${delivery.id} to ${delivery.url}: ${err.message}`);
+      }
+    } finally {
+      inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * Record and send the notification for a finished job.
+   * Does nothing when the job has no callback URL.
+   * @param {string} jobId
+   * @param {'done'|'error'|'cancelled'} event
+   */
+  async function notify(jobId, event) {
+    const job = getJob(db, jobId);
+    if (!job?.callback_url) return;
+
+    const id = insertWebhookDelivery(db, {
+      jobId,
+      event,
+      url: job.callback_url,
+      secret: job.callback_secret,
+      payload: JSON.stringify(payloadFor(job, event)),
+    });
+    await attempt(getWebhookDelivery(db, id));
+  }
+
+  /**
+   * Attempt every delivery whose retry is due.
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async function runDue() {
+    const due = getDueWebhookDeliveries(db, Date.now()).filter(d => !inFlight.has(d.id));
+    for (const delivery of due) await attempt(delivery);
+    return due.length;
+  }
+
+  /**
+   * Start polling for due retries.
+   * Runs once immediately (resuming deliveries left over from a restart), then every 5 seconds.
+   * @returns {NodeJS.Timeout} interval handle (call clearInterval to stop)
+   */
+  function start() {
+    runDue().catch(err => console.error('[webhooks] initial run failed:', err.message));
+    return setInterval(
+      () => runDue().catch(err => console.error('[webhooks] scheduled run failed:', err.message)),
+      5000
+    );
+  }
+
+  return { notify, runDue, start };
+}
@@ -0,0 +1,184 @@
+import { execFile } from 'node:child_process';
+import { writeFile, rm } from 'node:fs/promises';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Extra files made from a rendered video, for video players.
+ *
+ * - poster: one JPEG frame (render option `poster`)
+ * - sprite: storyboard — one thumbnail every N seconds tiled into a JPEG grid
+ *           (render option `storyboard`)
+ * - vtt:    WebVTT thumbnails track mapping each time range to its tile of the
+ *           sprite (`…#xywh=x,y,w,h`), made together with the sprite
+ *
+ * `suffix` replaces the output extension in the file name, `column` is the
+ * jobs table column holding the path.
+ */
+export const ARTIFACTS = {
+  poster: { suffix: '.poster.jpg', column: 'poster_path', contentType: 'image/jpeg', filename: '-poster.jpg' },
+  sprite: { suffix: '.sprite.jpg', column: 'sprite_path', contentType: 'image/jpeg', filename: '-sprite.jpg' },
+  vtt: { suffix: '.vtt', column: 'vtt_path', contentType: 'text/vtt; charset=utf-8', filename: '-thumbnails.vtt' },
+};
+
+/** Default seconds between storyboard thumbnails */
+export const DEFAULT_STORYBOARD_INTERVAL = 5;
+
+/** Width of a storyboard thumbnail in px (height follows the video's aspect ratio) */
+const THUMB_WIDTH = 160;
+
+/** Thumbnails per sprite row, and at most per sprite (the interval grows to stay within) */
+const SPRITE_COLUMNS = 10;
+const MAX_THUMBS = 100;
+
+/**
+ * URL the thumbnails track refers to the sprite by — relative to the track's
+ * own URL (…/jobs/:id/result?artifact=vtt), so it works behind any prefix.
+ */
+const SPRITE_URL = 'result?artifact=sprite';
+
+/**
+ * Lay out the storyboard of a video.
+ *
+ * @param {number} durationMs - Video duration
+ * @param {{ width: number, height: number }} size - Video frame size
+ * @param {number} [intervalSec=DEFAULT_STORYBOARD_INTERVAL] - Requested seconds between thumbnails
+ * @returns {{ intervalSec: number, count: number, columns: number, rows: number, thumbWidth: number, thumbHeight: number }}
+ *   intervalSec is raised when the video would need more than 100 thumbnails
+ */
+export function storyboardLayout(durationMs, size, intervalSec = DEFAULT_STORYBOARD_INTERVAL) {
+  const durationSec = Math.max(durationMs / 1000, 0.001);
+  const interval = Math.max(intervalSec, durationSec / MAX_THUMBS);
+  const count = Math.max(1, Math.min(MAX_THUMBS, Math.ceil(durationSec / interval)));
+  const columns = Math.min(count, SPRITE_COLUMNS);
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  return {
+    intervalSec: interval,
+    count,
+    columns,
+    rows: Math.ceil(count / columns),
+    thumbWidth: THUMB_WIDTH,
+    thumbHeight: even(THUMB_WIDTH * size.height / size.width),
+  };
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm).
+ * @param {number} sec
+ * @returns {string}
+ */
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Build the WebVTT thumbnails track of a storyboard.
+ * @param {number} durationMs
+ * @param {ReturnType<typeof storyboardLayout>} layout
+ * @param {string} [spriteUrl] - URL of the sprite, relative to the track
+ * @returns {string}
+ */
+export function storyboardVtt(durationMs, layout, spriteUrl = SPRITE_URL) {
+  const { intervalSec, count, columns, thumbWidth: w, thumbHeight: h } = layout;
+  const cues = [];
+  for (let i = 0; i < count; i++) {
+    const start = i * intervalSec;
+    const end = Math.min((i + 1) * intervalSec, durationMs / 1000);
+    const x = (i % columns) * w;
+    const y = Math.floor(i / columns) * h;
+    cues.push(`${vttTime(start)} --> ${vttTime(end)}\n${spriteUrl}#xywh=${x},${y},${w},${h}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Extract one frame of a video as a JPEG.
+ *
+ * @param {Object} opts
+ * @param {string} opts.videoPath
+ * @param {string} opts.outputPath
+ * @param {number} opts.timeSec - Frame time, clamped to the last frame
+ * @param {number} opts.durationMs
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<void>}
+ */
+export async function createPoster({ videoPath, outputPath, timeSec, durationMs, signal }) {
+  const at = Math.max(0, Math.min(timeSec, durationMs / 1000 - 0.1));
+  await execFileAsync('ffmpeg', [
+    '-y', '-ss', at.toFixed(3), '-i', videoPath,
+    '-frames:v', '1', '-q:v', '2',
+    outputPath,
+  ], { signal });
+}
+
+/**
+ * Tile thumbnails of a video into a sprite and write its WebVTT track.
+ *
+ * @param {Object} opts
+ * @param {string} opts.videoPath
+ * @param {string} opts.spritePath
+ * @param {string} opts.vttPath
+ * @param {number} opts.durationMs
+ * @param {{ width: number, height: number }} opts.size - Video frame size
+ * @param {number} [opts.intervalSec] - Seconds between thumbnails
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<void>}
+ */
+export async function createStoryboard({ videoPath, spritePath, vttPath, durationMs, size, intervalSec, signal }) {
+  const layout = storyboardLayout(durationMs, size, intervalSec);
+  const { columns, rows, thumbWidth, thumbHeight } = layout;
+  await execFileAsync('ffmpeg', [
+    '-y', '-i', videoPath,
+    '-vf', `fps=1/${layout.intervalSec},scale=${thumbWidth}:${thumbHeight},tile=${columns}x${rows}`,
+    '-frames:v', '1', '-q:v', '4',
+    spritePath,
+  ], { signal });
+  await writeFile(vttPath, storyboardVtt(durationMs, layout));
+}
+
+/**
+ * Make the artifacts requested by a job's render options from its video.
+ * Files written before a failure are removed again.
+ *
+ * @param {Object} opts
+ * @param {string} opts.videoPath - Rendered video
+ * @param {string} opts.outputPath - Path of the job's output; artifact names derive from it
+ * @param {string} opts.ext - Extension of the output path
+ * @param {{ poster?: boolean|number, storyboard?: boolean|number }} opts.renderOptions
+ * @param {number} opts.durationMs
+ * @param {{ width: number, height: number }} opts.size
+ * @param {(msg: string) => void} opts.onProgress
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<Partial<Record<keyof ARTIFACTS, string>>>} Path of each artifact made
+ */
+export async function createArtifacts({ videoPath, outputPath, ext, renderOptions, durationMs, size, onProgress, signal }) {
+  const base = outputPath.slice(0, -ext.length);
+  const paths = {};
+
+  try {
+    if (renderOptions.poster != null && renderOptions.poster !== false) {
+      paths.poster = base + ARTIFACTS.poster.suffix;
+      // true: the middle of the video, past the intro animations
+      const timeSec = renderOptions.poster === true ? durationMs / 2000 : renderOptions.poster;
+      onProgress(`Creating poster frame at ${timeSec.toFixed(1)}s...`);
+      await createPoster({ videoPath, outputPath: paths.poster, timeSec, durationMs, signal });
+    }
+    if (renderOptions.storyboard != null && renderOptions.storyboard !== false) {
+      paths.sprite = base + ARTIFACTS.sprite.suffix;
+      paths.vtt = base + ARTIFACTS.vtt.suffix;
+      onProgress('Creating storyboard...');
+      await createStoryboard({
+        videoPath, spritePath: paths.sprite, vttPath: paths.vtt, durationMs, size, signal,
+        intervalSec: renderOptions.storyboard === true ? DEFAULT_STORYBOARD_INTERVAL : renderOptions.storyboard,
+      });
+    }
+  } catch (err) {
+    await Promise.all(Object.values(paths).map(p => rm(p, { force: true }).catch(() => {})));
+    throw err;
+  }
+
+  return paths;
+}
@@ -44,55 +44,57 @@ export async function extractAudio(wow3aPath) {
 
   if (audioClips.length === 0) return null;
 
-  // Extract audio files to a temp directory
-  const tmpDir = await mkdtemp(join(tmpdir(), 'wow3-audio-'));
-  const clips = [];
+  return _extractClips(zip, audioClips);
+}
 
-  for (let i = 0; i < audioClips.length; i++) {
-    const ac = audioClips[i];
-    let buffer;
-    let ext;
+/**
+ * Extract the autoplay audio of a .wow3 deck, timed by the schedule the
+ * wow3 player computed for the rendered timeline.
+ *
+ * @param {string} wow3Path - Path to the .wow3 file
+ * @param {Array<{elementId: string, startMs: number, endMs: number, loop: boolean}>} schedule
+ *   Audio schedule reported by the player (see window.__wow3.audioSchedule)
+ * @returns {Promise<{tmpDir: string, clips: Array<{path: string, startMs: number, endMs: number, volume: number, fadeInMs: number, fadeOutMs: number, loop: boolean}>} | null>}
+ *   null if nothing is scheduled
+ */
+export async function extractPresentationAudio(wow3Path, schedule) {
+  if (!schedule || schedule.length === 0) return null;
 
-    if (_isUrl(ac.assetPath)) {
-      // Download external audio asset
-      console.log(`Downloading external audio: ${ac.assetPath}`);
-      try {
-        buffer = await _downloadAsBuffer(ac.assetPath);
-        ext = _extFromUrl(ac.assetPath) || 'mp3';
-      } catch (err) {
-        console.warn(`Failed to download audio: ${ac.assetPath} — ${err.message}`);
-        continue;
-      }
-    } else {
-      // Look for asset inside the ZIP
-      const zipEntry = zip.file(ac.assetPath);
-      if (!zipEntry) {
-        console.warn(`Audio asset not found in ZIP: ${ac.assetPath}`);
-        continue;
-      }
-      ext = ac.assetPath.split('.').pop() || 'mp3';
-      buffer = await zipEntry.async('nodebuffer');
-    }
+  const data = await readFile(wow3Path);
+  const zip = await JSZip.loadAsync(data);
 
-    const tmpFile = join(tmpDir, `audio_${i}.${ext}`);
-    await writeFile(tmpFile, buffer);
+  const presentationFile = zip.file('presentation.json');
+  if (!presentationFile) throw new Error('Invalid .wow3: missing presentation.json');
 
-    clips.push({
-      path: tmpFile,
-      startMs: ac.startMs,
-      endMs: ac.endMs,
-      volume: ac.volume,
-      fadeInMs: ac.fadeInMs,
-      fadeOutMs: ac.fadeOutMs,
-    });
+  const presentation = JSON.parse(await presentationFile.async('string'));
+
+  // The player reports element ids; asset paths come from the original JSON
+  // (the player only sees media ids after importing the ZIP)
+  const urlsById = new Map();
+  for (const slide of presentation.slides ?? []) {
+    for (const el of slide.elements ?? []) {
+      if (el.type === 'audio' && el.properties?.url) urlsById.set(el.id, el.properties.url);
+    }
   }
 
-  if (clips.length === 0) {
-    await rm(tmpDir, { recursive: true, force: true });
-    return null;
+  const audioClips = [];
+  for (const item of schedule) {
+    const assetPath = urlsById.get(item.elementId);
+    if (!assetPath) continue;
+    audioClips.push({
+      assetPath,
+      startMs: item.startMs,
+      endMs: item.endMs,
+      volume: 1,
+      fadeInMs: 0,
+      fadeOutMs: 0,
+      loop: !!item.loop,
+    });
   }
 
-  return { tmpDir, clips };
+  if (audioClips.length === 0) return null;
+
+  return _extractClips(zip, audioClips);
 }
 
 /**
@@ -100,17 +102,21 @@ export async function extractAudio(wow3aPath) {
  *
  * @param {Object} opts
  * @param {string} opts.videoPath - Path to the video-only file
- * @param {Array<{path: string, startMs: number, endMs: number, volume: number, fadeInMs: number, fadeOutMs: number}>} opts.clips - Audio clips
- * @param {string} opts.outputPath - Final output .mp4 path
+ * @param {Array<{path: string, startMs: number, endMs: number, volume: number, fadeInMs: number, fadeOutMs: number, loop?: boolean}>} opts.clips - Audio clips
+ * @param {string} opts.outputPath - Final output path (.mp4, .webm, .mov)
+ * @param {string} [opts.audioCodec='aac'] - FFmpeg audio encoder matching the container
+ * @param {AbortSignal} [opts.signal] - Optional abort signal to kill ffmpeg early.
  * @returns {Promise<void>}
  */
-export async function mergeAudioVideo({ videoPath, clips, outputPath, signal }) {
+export async function mergeAudioVideo({ videoPath, clips, outputPath, audioCodec = 'aac', signal }) {
   // Build FFmpeg command with filter_complex
   const inputs = ['-i', videoPath];
   const filterParts = [];
 
   for (let i = 0; i < clips.length; i++) {
     const c = clips[i];
+    // Looping clips repeat their input until trimmed to the clip duration
+    if (c.loop) inputs.push('-stream_loop', '-1');
     inputs.push('-i', c.path);
 
     const inputIdx = i + 1; // 0 is video
@@ -158,8 +164,9 @@ export async function mergeAudioVideo({ videoPath, clips, outputPath, signal })
     '-map', '0:v',
     '-map', '[aout]',
     '-c:v', 'copy',
-    '-c:a', 'aac',
-    '-b:a', '192k',
+    '-c:a', audioCodec,
+    // PCM (mov) is uncompressed and takes no bitrate
+    ...(audioCodec.startsWith('pcm_') ? [] : ['-b:a', '192k']),
     '-shortest',
     '-y',
     outputPath,
@@ -185,6 +192,67 @@ export async function copyVideoOnly(videoPath, outputPath, signal) {
   ], { signal });
 }
 
+/**
+ * Write the audio assets referenced by clips to a temp directory.
+ * Assets are read from the ZIP or downloaded when they are URLs;
+ * clips whose asset cannot be found are skipped with a warning.
+ *
+ * @param {JSZip} zip - Opened input archive
+ * @param {Array<{assetPath: string, startMs: number, endMs: number, volume: number, fadeInMs: number, fadeOutMs: number, loop?: boolean}>} audioClips
+ * @returns {Promise<{tmpDir: string, clips: Array<Object>} | null>} null if no asset could be extracted
+ */
+async function _extractClips(zip, audioClips) {
+  const tmpDir = await mkdtemp(join(tmpdir(), 'wow3-audio-'));
+  const clips = [];
+
+  for (let i = 0; i < audioClips.length; i++) {
+    const ac = audioClips[i];
+    let buffer;
+    let ext;
+
+    if (_isUrl(ac.assetPath)) {
+      // Download external audio asset
+      console.log(`Downloading external audio: ${ac.assetPath}`);
+      try {
+        buffer = await _downloadAsBuffer(ac.assetPath);
+        ext = _extFromUrl(ac.assetPath) || 'mp3';
+      } catch (err) {
+        console.warn(`Failed to download audio: ${ac.assetPath} — ${err.message}`);
+        continue;
+      }
+    } else {
+      // Look for asset inside the ZIP
+      const zipEntry = zip.file(ac.assetPath);
+      if (!zipEntry) {
+        console.warn(`Audio asset not found in ZIP: ${ac.assetPath}`);
+        continue;
+      }
+      ext = ac.assetPath.split('.').pop() || 'mp3';
+      buffer = await zipEntry.async('nodebuffer');
+    }
+
+    const tmpFile = join(tmpDir, `audio_${i}.${ext}`);
+    await writeFile(tmpFile, buffer);
+
+    clips.push({
+      path: tmpFile,
+      startMs: ac.startMs,
+      endMs: ac.endMs,
+      volume: ac.volume,
+      fadeInMs: ac.fadeInMs,
+      fadeOutMs: ac.fadeOutMs,
+      loop: !!ac.loop,
+    });
+  }
+
+  if (clips.length === 0) {
+    await rm(tmpDir, { recursive: true, force: true });
+    return null;
+  }
+
+  return { tmpDir, clips };
+}
+
 /**
  * Check if a string is an HTTP(S) URL.
  * @param {string} str
@@ -0,0 +1,167 @@
+/**
+ * Input and output formats supported by the renderer.
+ *
+ * Input formats:
+ * - wow3a: wow3-animation timeline project (project.json), played by the wow3-animation player
+ * - wow3:  wow3 slide deck (presentation.json), played by the wow3 player page
+ *
+ * Output formats (video containers, plus slide images):
+ * - mp4:  H.264 / H.265 video of the whole presentation
+ * - webm: VP9 video, optionally with alpha
+ * - mov:  ProRes (optionally with alpha) or H.264 video, for editing software
+ * - gif:  animated GIF, no audio
+ * - png:  ZIP archive with one PNG per visible slide (wow3 decks only)
+ *
+ * `codecs` lists the video codecs a container accepts, the first being the default;
+ * `audioCodec` is null when the container carries no audio; `defaultFps` overrides
+ * the server/CLI frame rate for jobs that don't set one.
+ */
+export const INPUT_FORMATS = {
+  wow3a: { ext: '.wow3a', manifest: 'project.json' },
+  wow3: { ext: '.wow3', manifest: 'presentation.json' },
+};
+
+export const OUTPUT_FORMATS = {
+  mp4: {
+    ext: '.mp4', contentType: 'video/mp4', inputs: ['wow3a', 'wow3'],
+    codecs: ['h264', 'h265'], audioCodec: 'aac', muxArgs: ['-movflags', '+faststart'],
+  },
+  webm: {
+    ext: '.webm', contentType: 'video/webm', inputs: ['wow3a', 'wow3'],
+    codecs: ['vp9'], audioCodec: 'libopus', muxArgs: [],
+  },
+  mov: {
+    ext: '.mov', contentType: 'video/quicktime', inputs: ['wow3a', 'wow3'],
+    codecs: ['prores', 'h264'], audioCodec: 'pcm_s16le', muxArgs: ['-movflags', '+faststart'],
+  },
+  gif: {
+    ext: '.gif', contentType: 'image/gif', inputs: ['wow3a', 'wow3'],
+    codecs: ['gif'], audioCodec: null, muxArgs: ['-loop', '0'], defaultFps: 15,
+  },
+  png: {
+    ext: '.zip', contentType: 'application/zip', inputs: ['wow3'],
+    codecs: [], audioCodec: null, muxArgs: [],
+  },
+};
+
+/**
+ * Video codecs.
+ * - crf:   quality range and default, null when the codec has no CRF mode
+ * - alpha: whether the codec can carry a transparency channel
+ * - args:  FFmpeg output arguments for the codec
+ */
+export const VIDEO_CODECS = {
+  h264: {
+    crf: { min: 0, max: 51, default: 18 },
+    alpha: false,
+    args: ({ crf }) => ['-c:v', 'libx264', '-preset', 'medium', '-crf', String(crf), '-pix_fmt', 'yuv420p'],
+  },
+  h265: {
+    crf: { min: 0, max: 51, default: 22 },
+    alpha: false,
+    args: ({ crf }) => ['-c:v', 'libx265', '-preset', 'medium', '-crf', String(crf), '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1'],
+  },
+  vp9: {
+    crf: { min: 0, max: 63, default: 31 },
+    alpha: true,
+    args: ({ crf, alpha }) => [
+      '-c:v', 'libvpx-vp9', '-crf', String(crf), '-b:v', '0', '-row-mt', '1',
+      '-pix_fmt', alpha ? 'yuva420p' : 'yuv420p',
+    ],
+  },
+  prores: {
+    crf: null,
+    alpha: true,
+    // 4444 keeps the alpha channel, 422 HQ otherwise
+    args: ({ alpha }) => alpha
+      ? ['-c:v', 'prores_ks', '-profile:v', '4444', '-pix_fmt', 'yuva444p10le']
+      : ['-c:v', 'prores_ks', '-profile:v', '3', '-pix_fmt', 'yuv422p10le'],
+  },
+  gif: {
+    crf: null,
+    alpha: false,
+    // Single-pass palette generation keeps colors close to the source
+    args: () => ['-filter_complex', 'split[a][b];[a]palettegen[p];[b][p]paletteuse'],
+  },
+};
+
+/**
+ * Detect the input format from a file name.
+ * @param {string} filename
+ * @returns {'wow3a'|'wow3'|null}
+ */
+export function inputFormatFromFilename(filename) {
+  for (const [format, { ext }] of Object.entries(INPUT_FORMATS)) {
+    if (filename.endsWith(ext)) return format;
+  }
+  return null;
+}
+
+/**
+ * Check that an output format exists and can be produced from an input format.
+ * @param {string} inputFormat
+ * @param {string} outputFormat
+ * @returns {string|null} Error message, or null when the pair is supported
+ */
+export function checkOutputFormat(inputFormat, outputFormat) {
+  const output = OUTPUT_FORMATS[outputFormat];
+  if (!output) {
+    return `Unknown output format "${outputFormat}" (expected one of: ${Object.keys(OUTPUT_FORMATS).join(', ')})`;
+  }
+  if (!output.inputs.includes(inputFormat)) {
+    return `Output format "${outputFormat}" is not available for ${INPUT_FORMATS[inputFormat].ext} files`;
+  }
+  return null;
+}
+
+/**
+ * Build the download file name for a rendered result.
+ * "deck.wow3" → "deck.mp4" (mp4), "deck.webm" (webm) or "deck-slides.zip" (png).
+ * @param {string} inputName - Original uploaded file name
+ * @param {string} outputFormat
+ * @returns {string}
+ */
+export function outputFilename(inputName, outputFormat) {
+  const base = inputName.replace(/\.wow3a?$/, '');
+  const suffix = outputFormat === 'png' ? '-slides' : '';
+  return base + suffix + OUTPUT_FORMATS[outputFormat].ext;
+}
+
+/**
+ * Build the FFmpeg output arguments that encode a frame stream into a container.
+ * When a size is given, frames are scaled to fit it and padded (transparent
+ * with alpha, black otherwise) to keep their aspect ratio.
+ *
+ * @param {Object} opts
+ * @param {string} opts.outputFormat - Video container (key of OUTPUT_FORMATS)
+ * @param {string} [opts.codec] - Video codec (defaults to the container's first codec)
+ * @param {number} [opts.crf] - Quality (defaults to the codec's default CRF)
+ * @param {boolean} [opts.alpha=false] - Keep the transparency channel
+ * @param {{ width: number, height: number }} [opts.size] - Exact output frame size
+ * @returns {string[]}
+ */
+export function videoEncoderArgs({ outputFormat, codec, crf, alpha = false, size }) {
+  const format = OUTPUT_FORMATS[outputFormat];
+  const videoCodec = VIDEO_CODECS[codec ?? format.codecs[0]];
+
+  const filters = [];
+  if (size) {
+    const { width: w, height: h } = size;
+    filters.push(
+      `scale=${w}:${h}:force_original_aspect_ratio=decrease`,
+      `pad=${w}:${h}:-1:-1:color=${alpha ? 'black@0' : 'black'}`,
+    );
+  }
+
+  const codecArgs = videoCodec.args({ crf: crf ?? videoCodec.crf?.default, alpha });
+
+  // GIF palette generation is already a filter graph: prepend the scaling to it
+  const graphIdx = codecArgs.indexOf('-filter_complex');
+  if (graphIdx !== -1) {
+    if (filters.length) codecArgs[graphIdx + 1] = `${filters.join(',')},${codecArgs[graphIdx + 1]}`;
+  } else if (filters.length) {
+    codecArgs.unshift('-vf', filters.join(','));
+  }
+
+  return [...codecArgs, ...format.muxArgs];
+}
@@ -1,24 +1,23 @@
 #!/usr/bin/env node
 
 /**
- * wow3-renderer CLI — renders .wow3a presentations to MP4.
+ * wow3-renderer CLI — renders .wow3a animation projects and .wow3 slide decks
+ * to MP4, WebM, MOV or GIF (or .wow3 decks to one PNG per slide).
  *
- * Usage: node src/index.js <path-to-file.wow3a>
+ * Usage: node src/index.js [options] <path-to-file.wow3a|.wow3>
  */
 
 import { resolve, dirname, basename, join } from 'node:path';
 import { existsSync } from 'node:fs';
-import { readFile, rm } from 'node:fs/promises';
+import { readFile } from 'node:fs/promises';
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { tmpdir } from 'node:os';
-import { fileURLToPath } from 'node:url';
-import JSZip from 'jszip';
-import { startServer } from './server.js';
-import { record } from './recorder.js';
-import { extractAudio, mergeAudioVideo, copyVideoOnly } from './audio.js';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { PLAYERS } from './server.js';
+import { renderJob, readInputInfo } from './api/render.js';
+import { INPUT_FORMATS, inputFormatFromFilename, outputFilename } from './formats.js';
+import { normalizeRenderOptions } from './render-options.js';
+import { validateInput } from './validate.js';
+
 const execFileAsync = promisify(execFile);
 
 /**
@@ -29,126 +28,230 @@ function log(msg) {
   console.log(`[wow3-renderer] ${msg}`);
 }
 
+/**
+ * Print usage help.
+ */
+function printUsage() {
+  console.log('Usage: wow3-render [options] <path-to-file.wow3a|.wow3>');
+  console.log('');
+  console.log('Renders a .wow3a animation project or a .wow3 slide deck to a video in the same directory.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --format <f>           mp4 (default), webm, mov, gif, or png (.wow3 only)');
+  console.log('  --resolution <r>       480p, 720p, 1080p, 1440p, 2160p/4k, or WIDTHxHEIGHT');
+  console.log('  --fps <n>              Frame rate (default 30, gif 15)');
+  console.log('  --codec <c>            mp4: h264|h265, webm: vp9, mov: prores|h264, gif: gif');
+  console.log('  --crf <n>              Quality for h264/h265 (0-51) and vp9 (0-63), lower is better');
+  console.log('  --alpha                Keep transparency (vp9, prores)');
+  console.log('  --poster [s]           Also write a JPEG poster frame (<name>.poster.jpg), at s seconds or mid-video');
+  console.log('  --storyboard [s]       Also write a thumbnail sprite and WebVTT track, one thumbnail every s seconds (default 5)');
+  console.log('  --check                Validate the file and its assets without rendering');
+  console.log('');
+  console.log('Options (.wow3 only):');
+  console.log('  --png                  Same as --format png: one PNG per visible slide (<name>-slides.zip)');
+  console.log('  --slide-duration <s>   Seconds a slide without auto play stays on screen (default 5)');
+  console.log('  --click-delay <s>      Seconds before each click-triggered animation fires (default 1)');
+}
+
+/**
+ * Parse command line arguments.
+ * @param {string[]} argv
+ * @returns {{ input?: string, help: boolean, check: boolean, renderOptions: Object, slideDurationMs?: number, clickDelayMs?: number }}
+ *   renderOptions: raw render options, validated later by normalizeRenderOptions()
+ */
+function parseArgs(argv) {
+  const opts = { help: false, check: false, renderOptions: {} };
+
+  /**
+   * Read the seconds value following a flag and convert it to ms.
+   * @param {string} flag
+   * @param {string} value
+   * @returns {number}
+   */
+  const seconds = (flag, value) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) {
+      console.error(`Error: ${flag} expects a number of seconds`);
+      process.exit(1);
+    }
+    return Math.round(n * 1000);
+  };
+
+  /**
+   * Read the integer following a flag.
+   * @param {string} flag
+   * @param {string} value
+   * @returns {number}
+   */
+  const integer = (flag, value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n)) {
+      console.error(`Error: ${flag} expects an integer`);
+      process.exit(1);
+    }
+    return n;
+  };
+
+  /**
+   * Read the optional seconds value following a flag: the next argument when
+   * it is a number, true otherwise.
+   * @param {number} i - Index of the flag
+   * @returns {number|true}
+   */
+  const optionalSeconds = (i) => {
+    const next = argv[i + 1];
+    return next != null && next !== '' && Number.isFinite(Number(next)) ? Number(next) : true;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') continue;
+    if (arg === '--help' || arg === '-h') opts.help = true;
+    else if (arg === '--png') opts.renderOptions.format = 'png';
+    else if (arg === '--format') opts.renderOptions.format = argv[++i];
+    else if (arg === '--resolution') opts.renderOptions.resolution = argv[++i];
+    else if (arg === '--fps') opts.renderOptions.fps = integer(arg, argv[++i]);
+    else if (arg === '--codec') opts.renderOptions.codec = argv[++i];
+    else if (arg === '--crf') opts.renderOptions.crf = integer(arg, argv[++i]);
+    else if (arg === '--alpha') opts.renderOptions.alpha = true;
+    else if (arg === '--poster' || arg === '--storyboard') {
+      const value = optionalSeconds(i);
+      if (value !== true) i++;
+      opts.renderOptions[arg.slice(2)] = value;
+    } else if (arg === '--check') opts.check = true;
+    else if (arg === '--slide-duration') opts.slideDurationMs = seconds(arg, argv[++i]);
+    else if (arg === '--click-delay') opts.clickDelayMs = seconds(arg, argv[++i]);
+    else if (!opts.input) opts.input = arg;
+  }
+
+  return opts;
+}
+
 /**
  * Validate that all prerequisites are met.
  * @param {string} inputPath
- * @returns {Promise<{width: number, height: number, durationMs: number}>} Project info
+ * @param {'wow3a'|'wow3'} inputFormat
+ * @returns {Promise<{width: number, height: number, durationMs?: number, slideCount?: number}>} Input info
  */
-async function validate(inputPath) {
+async function validate(inputPath, inputFormat) {
+  const { ext } = INPUT_FORMATS[inputFormat];
+
   // Check input file exists
   if (!existsSync(inputPath)) {
     console.error(`Error: File not found: ${inputPath}`);
     process.exit(1);
   }
 
-  // Check it's a valid .wow3a
+  // Check it's a valid .wow3a / .wow3
+  let info;
   try {
-    const data = await readFile(inputPath);
-    const zip = await JSZip.loadAsync(data);
-    const projectFile = zip.file('project.json');
-    if (!projectFile) throw new Error('missing project.json');
-    const project = JSON.parse(await projectFile.async('string'));
-
-    const width = project.width || 1920;
-    const height = project.height || 1080;
-    let durationMs = project.durationMs || 0;
-    if (durationMs <= 0) {
-      let max = 0;
-      for (const track of project.tracks ?? []) {
-        for (const clip of track.clips ?? []) {
-          if (clip.endMs != null && clip.endMs > max) max = clip.endMs;
-        }
-      }
-      durationMs = max || 30000;
-    }
+    info = await readInputInfo(inputPath, inputFormat);
+  } catch (err) {
+    console.error(`Error: Invalid ${ext} file: ${err.message}`);
+    process.exit(1);
+  }
 
-    // Check FFmpeg is available
-    try {
-      await execFileAsync('ffmpeg', ['-version']);
-    } catch {
-      console.error('Error: FFmpeg not found. Install it: https://ffmpeg.org/download.html');
-      process.exit(1);
-    }
+  // Check FFmpeg is available
+  try {
+    await execFileAsync('ffmpeg', ['-version']);
+  } catch {
+    console.error('Error: FFmpeg not found. Install it: https://ffmpeg.org/download.html');
+    process.exit(1);
+  }
 
-    // Check wow3-animation build exists
-    const distDir = resolve(__dirname, '../../wow3-animation/dist');
-    if (!existsSync(distDir)) {
-      console.error('Error: wow3-animation not built. Run: pnpm build:animation');
-      process.exit(1);
-    }
+  // Check the player build exists
+  const player = PLAYERS[inputFormat];
+  if (!existsSync(player.distDir)) {
+    console.error(`Error: player for ${ext} files not built. Run: ${player.buildCmd}`);
+    process.exit(1);
+  }
 
-    return { width, height, durationMs };
-  } catch (err) {
-    console.error(`Error: Invalid .wow3a file: ${err.message}`);
+  return info;
+}
+
+/**
+ * Validate an input file without rendering it (--check) and exit:
+ * 0 when it can be rendered, 1 when it has errors.
+ * @param {string} inputPath
+ * @param {'wow3a'|'wow3'} inputFormat
+ * @param {string|null} optionsError - Error of the render options given on the command line
+ */
+async function check(inputPath, inputFormat, optionsError) {
+  if (!existsSync(inputPath)) {
+    console.error(`Error: File not found: ${inputPath}`);
     process.exit(1);
   }
+
+  const { errors, warnings, info } = await validateInput(await readFile(inputPath), inputFormat);
+  if (optionsError) errors.push({ path: 'options', message: optionsError });
+
+  if (info?.slideCount != null) {
+    log(`Presentation: ${info.slideCount} visible slide(s), output ${info.width}x${info.height}`);
+  } else if (info) {
+    log(`Project: ${info.width}x${info.height}, duration: ${(info.durationMs / 1000).toFixed(1)}s, ` +
+      `${info.tracks} track(s), ${info.clips} clip(s), ${info.assets} asset(s)`);
+  }
+  const where = (path) => (path ? `${path}: ` : '');
+  for (const { path, message } of errors) console.error(`Error: ${where(path)}${message}`);
+  for (const { path, message } of warnings) console.warn(`Warning: ${where(path)}${message}`);
+
+  log(errors.length ? `${errors.length} error(s), ${warnings.length} warning(s)` : `OK (${warnings.length} warning(s))`);
+  process.exit(errors.length ? 1 : 0);
 }
 
 /**
  * Main entry point.
  */
 async function main() {
-  const inputArg = process.argv.slice(2).find(a => a !== '--');
+  const args = parseArgs(process.argv.slice(2));
 
-  if (!inputArg || inputArg === '--help' || inputArg === '-h') {
-    console.log('Usage: wow3-render <path-to-file.wow3a>');
-    console.log('');
-    console.log('Renders a .wow3a presentation to MP4 in the same directory.');
-    process.exit(inputArg ? 0 : 1);
+  if (!args.input || args.help) {
+    printUsage();
+    process.exit(args.help ? 0 : 1);
   }
 
-  const inputPath = resolve(inputArg);
-  const outputPath = join(dirname(inputPath), basename(inputPath, '.wow3a') + '.mp4');
-  const tmpVideoPath = join(tmpdir(), `wow3-video-${Date.now()}.mp4`);
+  const inputPath = resolve(args.input);
+  const inputFormat = inputFormatFromFilename(inputPath);
+  if (!inputFormat) {
+    console.error('Error: Input must be a .wow3a or .wow3 file');
+    process.exit(1);
+  }
+
+  const { options, error } = normalizeRenderOptions(args.renderOptions, inputFormat);
+  if (args.check) await check(inputPath, inputFormat, error);
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exit(1);
+  }
+  const { format: outputFormat, ...renderOptions } = options;
+
+  const outputPath = join(dirname(inputPath), outputFilename(basename(inputPath), outputFormat));
 
   // Validate prerequisites
-  const { width, height, durationMs } = await validate(inputPath);
-  log(`Project: ${width}x${height}, duration: ${(durationMs / 1000).toFixed(1)}s`);
+  const info = await validate(inputPath, inputFormat);
+  if (inputFormat === 'wow3') {
+    log(`Presentation: ${info.slideCount} visible slide(s), output ${info.width}x${info.height}`);
+  } else {
+    log(`Project: ${info.width}x${info.height}, duration: ${(info.durationMs / 1000).toFixed(1)}s`);
+  }
   log(`Output: ${outputPath}`);
 
-  let server;
   try {
-    // Start local server
-    server = await startServer(inputPath);
-    log(`Server started on port ${server.port}`);
-
-    // Record the presentation
-    await record({
-      port: server.port,
-      width,
-      height,
-      outputPath: tmpVideoPath,
+    const { artifacts } = await renderJob({
+      inputPath,
+      outputPath,
+      inputFormat,
+      outputFormat,
+      renderOptions,
+      playerOptions: { slideDurationMs: args.slideDurationMs, clickDelayMs: args.clickDelayMs },
       onProgress: log,
     });
 
-    // Extract and mix audio
-    log('Processing audio...');
-    const audioData = await extractAudio(inputPath);
-
-    if (audioData) {
-      log(`Mixing ${audioData.clips.length} audio track(s)...`);
-      try {
-        await mergeAudioVideo({
-          videoPath: tmpVideoPath,
-          clips: audioData.clips,
-          outputPath,
-        });
-      } finally {
-        await rm(audioData.tmpDir, { recursive: true, force: true });
-      }
-    } else {
-      log('No audio tracks found.');
-      await copyVideoOnly(tmpVideoPath, outputPath);
-    }
-
     log(`Done! Output: ${outputPath}`);
+    for (const path of Object.values(artifacts)) log(`Artifact: ${path}`);
   } catch (err) {
     console.error(`Error: ${err.message}`);
     process.exit(1);
-  } finally {
-    // Cleanup
-    if (server) await server.close();
-    try { await rm(tmpVideoPath, { force: true }); } catch {}
   }
 }
 
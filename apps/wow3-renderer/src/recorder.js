@@ -1,22 +1,29 @@
 import puppeteer from 'puppeteer';
-import { PuppeteerScreenRecorder } from 'puppeteer-screen-recorder';
+import { spawn } from 'node:child_process';
+import { join } from 'node:path';
+import { videoEncoderArgs } from './formats.js';
+
+/** Default frame rate of rendered videos */
+export const DEFAULT_FPS = 30;
 
 /**
- * Record a wow3-animation presentation playing in headless Puppeteer.
+ * Launch headless Chromium, open the player page and load the input file.
+ * On success the caller owns the browser and must close it.
  *
  * @param {Object} opts
  * @param {number} opts.port - Local server port
- * @param {number} opts.width - Project width in px
- * @param {number} opts.height - Project height in px
- * @param {string} opts.outputPath - Temp path for the video file
- * @param {(msg: string) => void} [opts.onProgress] - Progress callback
- * @param {AbortSignal} [opts.signal] - Optional abort signal — closing the browser
+ * @param {string} opts.page - Player page path (e.g. '/?mode=player')
+ * @param {string} opts.inputUrl - URL the input file is served at
+ * @param {Object} [opts.loadOptions] - Extra options passed to window.__wow3.loadFile()
+ * @param {number} opts.width - Viewport width in px
+ * @param {number} opts.height - Viewport height in px
+ * @param {number} [opts.deviceScaleFactor=1] - Screenshot pixels per CSS pixel
+ * @param {(msg: string) => void} opts.log - Progress logger
+ * @param {AbortSignal} [opts.signal] - Closing the browser on abort
  *   unblocks every pending Puppeteer call.
- * @returns {Promise<void>}
+ * @returns {Promise<{browser: import('puppeteer').Browser, page: import('puppeteer').Page, detach: () => void}>}
  */
-export async function record({ port, width, height, outputPath, onProgress, signal }) {
-  const log = onProgress || (() => {});
-
+async function _openPlayer({ port, page: pagePath, inputUrl, loadOptions, width, height, deviceScaleFactor = 1, log, signal }) {
   if (signal?.aborted) throw new Error('cancelled by user');
 
   log('Launching browser...');
@@ -32,16 +39,17 @@ export async function record({ port, width, height, outputPath, onProgress, sign
   });
 
   // Closing the browser unblocks any in-flight page.evaluate / goto / waitForFunction
-  // by rejecting them with a ProtocolError. The outer try/catch + signal check
+  // by rejecting them with a ProtocolError. The caller's try/catch + signal check
   // translates that back into a clean "cancelled by user" error.
   const onAbort = () => { browser.close().catch(() => {}); };
   if (signal) signal.addEventListener('abort', onAbort);
+  const detach = () => { if (signal) signal.removeEventListener('abort', onAbort); };
 
   try {
     const page = await browser.newPage();
     page.setDefaultTimeout(0);
     page.setDefaultNavigationTimeout(0);
-    await page.setViewport({ width, height });
+    await page.setViewport({ width, height, deviceScaleFactor });
 
     // Forward browser console to Node.js stdout
     page.on('console', (msg) => {
@@ -50,7 +58,7 @@ export async function record({ port, width, height, outputPath, onProgress, sign
     });
 
     log('Loading player...');
-    await page.goto(`http://127.0.0.1:${port}/?mode=player`, {
+    await page.goto(`http://127.0.0.1:${port}${pagePath}`, {
       waitUntil: 'networkidle0',
       timeout: 0,
     });
@@ -59,9 +67,9 @@ export async function record({ port, width, height, outputPath, onProgress, sign
     await page.waitForFunction(() => window.__wow3?.ready === true, { timeout: 0 });
 
     log('Loading presentation...');
-    await page.evaluate(async () => {
-      await window.__wow3.loadFile('/input.wow3a');
-    });
+    await page.evaluate(async (url, options) => {
+      await window.__wow3.loadFile(url, options);
+    }, inputUrl, loadOptions || {});
 
     // Pre-fetch all media assets before playback
     log('Preloading assets...');
@@ -74,64 +82,212 @@ export async function record({ port, width, height, outputPath, onProgress, sign
       throw new Error(`${preloadErrors.length} asset(s) failed to load — aborting render`);
     }
 
-    // Read duration and resolution from the loaded project
+    return { browser, page, detach };
+  } catch (err) {
+    detach();
+    try { await browser.close(); } catch {}
+    if (signal?.aborted) throw new Error('cancelled by user');
+    throw err;
+  }
+}
+
+/**
+ * Render a presentation frame by frame: seek the player to each frame time,
+ * screenshot it and pipe the PNG frames into FFmpeg. Output does not depend
+ * on host load — every frame shows exactly the state at its timestamp; the
+ * render fails when a frame's media does not load in time.
+ *
+ * @param {Object} opts
+ * @param {number} opts.port - Local server port
+ * @param {string} [opts.page='/?mode=player'] - Player page path
+ * @param {string} [opts.inputUrl='/input.wow3a'] - URL the input file is served at
+ * @param {Object} [opts.loadOptions] - Extra options passed to window.__wow3.loadFile()
+ * @param {number} opts.width - Project width in px
+ * @param {number} opts.height - Project height in px
+ * @param {number} [opts.deviceScaleFactor=1] - Frame pixels per project pixel
+ * @param {number} [opts.fps=DEFAULT_FPS] - Frames per second of the output video
+ * @param {string[]} [opts.encoderArgs] - FFmpeg output arguments (see videoEncoderArgs(),
+ *   default H.264 MP4)
+ * @param {boolean} [opts.omitBackground=false] - Capture frames with transparency
+ * @param {string} opts.outputPath - Temp path for the video file
+ * @param {(msg: string) => void} [opts.onProgress] - Progress callback
+ * @param {AbortSignal} [opts.signal] - Optional abort signal — closing the browser
+ *   unblocks every pending Puppeteer call, FFmpeg is killed.
+ * @returns {Promise<{audioSchedule: Array<Object>|null, durationMs: number}>} audioSchedule:
+ *   reported by the player (wow3 decks), null when the player mixes no audio of its own (wow3a);
+ *   durationMs: length of the recorded presentation
+ */
+export async function record({
+  port, page: pagePath = '/?mode=player', inputUrl = '/input.wow3a', loadOptions,
+  width, height, deviceScaleFactor, fps = DEFAULT_FPS,
+  encoderArgs = videoEncoderArgs({ outputFormat: 'mp4' }), omitBackground = false,
+  outputPath, onProgress, signal,
+}) {
+  const log = onProgress || (() => {});
+  const { browser, page, detach } = await _openPlayer({
+    port, page: pagePath, inputUrl, loadOptions, width, height, deviceScaleFactor, log, signal,
+  });
+
+  let encoder;
+  try {
+    // Read duration from the loaded project
     const duration = await page.evaluate(() => window.__wow3.duration);
-    log(`Presentation duration: ${(duration / 1000).toFixed(1)}s`);
-
-    // Configure and start recording
-    const recorder = new PuppeteerScreenRecorder(page, {
-      followNewTab: false,
-      fps: 60,
-      ffmpeg_Path: null,
-      videoFrame: { width, height },
-      videoCrf: 18,
-      videoCodec: 'libx264',
-      videoPreset: 'superfast',
-      videoBitrate: 8000,
-    });
+    const totalFrames = Math.max(1, Math.ceil((duration / 1000) * fps));
+    log(`Presentation duration: ${(duration / 1000).toFixed(1)}s (${totalFrames} frames at ${fps}fps)`);
 
-    log('Starting recording...');
-    await recorder.start(outputPath);
+    encoder = _spawnEncoder({ fps, encoderArgs, outputPath, signal });
 
-    // Start playback and poll progress each second
     const totalSec = Math.ceil(duration / 1000);
     let lastSec = -1;
-    let finished = false;
-
-    // Swallow rejection so abort doesn't surface as unhandledRejection
-    const playPromise = page.evaluate(() => window.__wow3.play())
-      .then(() => { finished = true; })
-      .catch(() => { finished = true; });
 
-    // Poll until playback ends, aborts, or the browser is closed
-    while (!finished) {
+    for (let i = 0; i < totalFrames; i++) {
       if (signal?.aborted) break;
-      try {
-        const currentMs = await page.evaluate(() => window.__wow3.currentTime);
-        const currentSec = Math.floor(currentMs / 1000);
 
-        if (currentSec > lastSec) {
-          lastSec = currentSec;
-          log(`Rendering: ${currentSec}/${totalSec}s`);
-        }
+      const timeMs = (i * 1000) / fps;
+      try {
+        await page.evaluate(async (t) => {
+          await window.__wow3.seek(t);
+        }, timeMs);
       } catch (err) {
+        // A frame whose media is missing would not be the frame at timeMs
         if (signal?.aborted) break;
-        throw err;
+        throw new Error(`Frame at ${(timeMs / 1000).toFixed(2)}s could not be rendered: ${err.message}`);
       }
 
-      await new Promise(r => setTimeout(r, 250));
-    }
+      const frame = await page.screenshot({ type: 'png', omitBackground });
+      await encoder.write(frame);
 
-    if (signal?.aborted) {
-      try { await recorder.stop(); } catch {}
-      throw new Error('cancelled by user');
+      const currentSec = Math.floor(timeMs / 1000);
+      if (currentSec > lastSec) {
+        lastSec = currentSec;
+        log(`Rendering: ${currentSec}/${totalSec}s`);
+      }
     }
 
-    await playPromise;
+    if (signal?.aborted) throw new Error('cancelled by user');
+
+    await encoder.end();
     log('Recording complete.');
-    await recorder.stop();
+
+    return {
+      audioSchedule: await page.evaluate(() => window.__wow3.audioSchedule ?? null),
+      durationMs: duration,
+    };
+  } catch (err) {
+    encoder?.kill();
+    if (signal?.aborted) throw new Error('cancelled by user');
+    throw err;
+  } finally {
+    detach();
+    try { await browser.close(); } catch {}
+  }
+}
+
+/**
+ * Start an FFmpeg process that encodes PNG frames from stdin into a video file.
+ *
+ * @param {Object} opts
+ * @param {number} opts.fps - Input frame rate
+ * @param {string[]} opts.encoderArgs - Output codec/filter/muxer arguments
+ * @param {string} opts.outputPath - Output video path
+ * @param {AbortSignal} [opts.signal] - Kills FFmpeg when aborted
+ * @returns {{ write: (frame: Buffer) => Promise<void>, end: () => Promise<void>, kill: () => void }}
+ */
+function _spawnEncoder({ fps, encoderArgs, outputPath, signal }) {
+  const ffmpeg = spawn('ffmpeg', [
+    '-y',
+    '-f', 'image2pipe',
+    '-framerate', String(fps),
+    '-c:v', 'png',
+    '-i', '-',
+    ...encoderArgs,
+    outputPath,
+  ], { stdio: ['pipe', 'ignore', 'pipe'], signal });
+
+  // Keep the tail of stderr for error messages
+  let stderr = '';
+  ffmpeg.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-2000); });
+  // EPIPE when FFmpeg dies early — reported through the write callback instead
+  ffmpeg.stdin.on('error', () => {});
+
+  const exited = new Promise((resolve, reject) => {
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+  // Surfaced through write()/end(); avoid an unhandled rejection if neither is awaited
+  exited.catch(() => {});
+
+  return {
+    write: (frame) => new Promise((resolve, reject) => {
+      ffmpeg.stdin.write(frame, (err) => (err ? reject(err) : resolve()));
+    }).catch(() => exited),
+    end: () => {
+      ffmpeg.stdin.end();
+      return exited;
+    },
+    kill: () => { ffmpeg.kill('SIGKILL'); },
+  };
+}
+
+/**
+ * Capture one PNG per visible slide of a wow3 deck, each in its final state
+ * (all animations finished).
+ *
+ * @param {Object} opts
+ * @param {number} opts.port - Local server port
+ * @param {string} opts.page - Player page path
+ * @param {string} opts.inputUrl - URL the input file is served at
+ * @param {number} opts.width - Image width in px
+ * @param {number} opts.height - Image height in px
+ * @param {number} [opts.deviceScaleFactor=1] - Image pixels per CSS pixel
+ * @param {string} opts.outputDir - Existing directory the PNGs are written to
+ * @param {(msg: string) => void} [opts.onProgress] - Progress callback
+ * @param {AbortSignal} [opts.signal] - Optional abort signal
+ * @returns {Promise<string[]>} Paths of the written PNGs, in slide order
+ */
+export async function captureSlides({
+  port, page: pagePath, inputUrl, width, height, deviceScaleFactor, outputDir, onProgress, signal,
+}) {
+  const log = onProgress || (() => {});
+  const { browser, page, detach } = await _openPlayer({
+    port, page: pagePath, inputUrl, width, height, deviceScaleFactor, log, signal,
+  });
+
+  try {
+    const total = await page.evaluate(() => window.__wow3.slideCount);
+    log(`Slides to capture: ${total}`);
+
+    const paths = [];
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) break;
+
+      try {
+        await page.evaluate(async (position) => {
+          await window.__wow3.renderSlide(position);
+        }, i);
+      } catch (err) {
+        if (signal?.aborted) break;
+        throw new Error(`Slide ${i + 1} could not be rendered: ${err.message}`);
+      }
+
+      const path = join(outputDir, `slide-${String(i + 1).padStart(3, '0')}.png`);
+      await page.screenshot({ path, type: 'png' });
+      paths.push(path);
+      log(`Rendering: ${i + 1}/${total} slides`);
+    }
+
+    if (signal?.aborted) throw new Error('cancelled by user');
+
+    log('Capture complete.');
+    return paths;
+  } catch (err) {
+    if (signal?.aborted) throw new Error('cancelled by user');
+    throw err;
   } finally {
-    if (signal) signal.removeEventListener('abort', onAbort);
+    detach();
     try { await browser.close(); } catch {}
   }
 }
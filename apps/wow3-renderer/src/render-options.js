@@ -0,0 +1,178 @@
+import { OUTPUT_FORMATS, VIDEO_CODECS, checkOutputFormat } from './formats.js';
+
+/**
+ * Per-job render options.
+ *
+ * {
+ *   format?:     'mp4'|'webm'|'mov'|'gif'|'png'  output container (default mp4)
+ *   resolution?: '480p'|'720p'|'1080p'|'1440p'|'2160p'|'4k' — short side, input aspect kept
+ *                | 'WxH' — exact size, the input is letterboxed into it
+ *   fps?:        integer frame rate (default: server / CLI default)
+ *   codec?:      video codec accepted by the container (default: its first codec)
+ *   crf?:        quality for codecs with a CRF mode (lower is better)
+ *   alpha?:      keep transparency (vp9, prores)
+ *   poster?:     true | seconds — also make a JPEG poster frame (true: middle of the video)
+ *   storyboard?: true | seconds — also make a thumbnail sprite + WebVTT track, one
+ *                thumbnail every N seconds (true: every 5 s) — see src/artifacts.js
+ * }
+ *
+ * png output only takes `resolution`.
+ */
+
+/** Resolution presets → length of the short side in px */
+export const RESOLUTION_PRESETS = {
+  '480p': 480,
+  '720p': 720,
+  '1080p': 1080,
+  '1440p': 1440,
+  '2160p': 2160,
+  '4k': 2160,
+};
+
+/** Allowed frame size (px, both sides) */
+const SIZE_LIMITS = { min: 16, max: 7680 };
+
+/** Allowed frame rate; GIF players cap at 50 fps */
+const FPS_LIMITS = { min: 1, max: 120, gifMax: 50 };
+
+/** Allowed seconds between storyboard thumbnails */
+const STORYBOARD_LIMITS = { min: 1, max: 3600 };
+
+const OPTION_KEYS = ['format', 'resolution', 'fps', 'codec', 'crf', 'alpha', 'poster', 'storyboard'];
+
+/**
+ * Validate raw render options (from a request body or the CLI) and
+ * return them normalized: `format` and `codec` always set, other keys
+ * only when given.
+ *
+ * @param {unknown} raw - Options object, or null/undefined for the defaults
+ * @param {'wow3a'|'wow3'} inputFormat
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+export function normalizeRenderOptions(raw, inputFormat) {
+  const fail = (error) => ({ options: null, error });
+
+  if (raw == null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return fail('Render options must be an object');
+
+  const unknown = Object.keys(raw).filter(k => !OPTION_KEYS.includes(k));
+  if (unknown.length) {
+    return fail(`Unknown render option(s): ${unknown.join(', ')} (expected: ${OPTION_KEYS.join(', ')})`);
+  }
+
+  const format = raw.format ?? 'mp4';
+  if (typeof format !== 'string') return fail('"format" must be a string');
+  const formatError = checkOutputFormat(inputFormat, format);
+  if (formatError) return fail(formatError);
+
+  const options = { format };
+
+  if (raw.resolution != null) {
+    if (typeof raw.resolution !== 'string' || !_parseResolution(raw.resolution)) {
+      return fail(`"resolution" must be one of ${Object.keys(RESOLUTION_PRESETS).join(', ')} or WIDTHxHEIGHT`);
+    }
+    const exact = _parseResolution(raw.resolution).size;
+    if (exact) {
+      const { width, height } = exact;
+      if ([width, height].some(n => n < SIZE_LIMITS.min || n > SIZE_LIMITS.max)) {
+        return fail(`"resolution" sides must be between ${SIZE_LIMITS.min} and ${SIZE_LIMITS.max} px`);
+      }
+      if (format !== 'png' && (width % 2 || height % 2)) {
+        return fail('"resolution" width and height must be even for video output');
+      }
+    }
+    options.resolution = raw.resolution.toLowerCase();
+  }
+
+  if (format === 'png') {
+    const videoOnly = ['fps', 'codec', 'crf', 'alpha', 'poster', 'storyboard'].filter(k => raw[k] != null);
+    if (videoOnly.length) return fail(`Render option(s) ${videoOnly.join(', ')} do not apply to png output`);
+    return { options, error: null };
+  }
+
+  if (raw.fps != null) {
+    const max = format === 'gif' ? FPS_LIMITS.gifMax : FPS_LIMITS.max;
+    if (!Number.isInteger(raw.fps) || raw.fps < FPS_LIMITS.min || raw.fps > max) {
+      return fail(`"fps" must be an integer between ${FPS_LIMITS.min} and ${max}`);
+    }
+    options.fps = raw.fps;
+  }
+
+  const codecs = OUTPUT_FORMATS[format].codecs;
+  const codec = raw.codec ?? codecs[0];
+  if (!codecs.includes(codec)) {
+    return fail(`Codec "${codec}" is not available for ${format} (expected one of: ${codecs.join(', ')})`);
+  }
+  options.codec = codec;
+  const { crf: crfRange, alpha: alphaSupported } = VIDEO_CODECS[codec];
+
+  if (raw.crf != null) {
+    if (!crfRange) return fail(`Codec "${codec}" does not take a "crf"`);
+    if (!Number.isInteger(raw.crf) || raw.crf < crfRange.min || raw.crf > crfRange.max) {
+      return fail(`"crf" for ${codec} must be an integer between ${crfRange.min} and ${crfRange.max}`);
+    }
+    options.crf = raw.crf;
+  }
+
+  if (raw.alpha != null) {
+    if (typeof raw.alpha !== 'boolean') return fail('"alpha" must be a boolean');
+    if (raw.alpha && !alphaSupported) {
+      const withAlpha = Object.keys(VIDEO_CODECS).filter(c => VIDEO_CODECS[c].alpha);
+      return fail(`Codec "${codec}" has no alpha channel (use one of: ${withAlpha.join(', ')})`);
+    }
+    if (raw.alpha) options.alpha = true;
+  }
+
+  if (raw.poster != null) {
+    if (raw.poster !== true && raw.poster !== false && !(typeof raw.poster === 'number' && raw.poster >= 0)) {
+      return fail('"poster" must be true or the time of the frame in seconds');
+    }
+    if (raw.poster !== false) options.poster = raw.poster;
+  }
+
+  if (raw.storyboard != null) {
+    const { min, max } = STORYBOARD_LIMITS;
+    if (raw.storyboard !== true && raw.storyboard !== false
+      && !(typeof raw.storyboard === 'number' && raw.storyboard >= min && raw.storyboard <= max)) {
+      return fail(`"storyboard" must be true or the seconds between thumbnails (${min}-${max})`);
+    }
+    if (raw.storyboard !== false) options.storyboard = raw.storyboard;
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * Compute the output frame size for a resolution option.
+ * Presets set the short side and keep the input aspect ratio (rounded to even
+ * sizes for video encoders); WIDTHxHEIGHT is used as is.
+ *
+ * @param {string|undefined} resolution - Normalized resolution option
+ * @param {{ width: number, height: number }} native - Size the input is designed at
+ * @returns {{ width: number, height: number }} native when no resolution is set
+ */
+export function resolveResolution(resolution, native) {
+  if (!resolution) return native;
+
+  const parsed = _parseResolution(resolution);
+  if (parsed.size) return parsed.size;
+
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  const scale = parsed.shortSide / Math.min(native.width, native.height);
+  return { width: even(native.width * scale), height: even(native.height * scale) };
+}
+
+/**
+ * Parse a resolution string.
+ * @param {string} value
+ * @returns {{ shortSide?: number, size?: { width: number, height: number } }|null}
+ */
+function _parseResolution(value) {
+  const key = value.toLowerCase();
+  if (RESOLUTION_PRESETS[key]) return { shortSide: RESOLUTION_PRESETS[key] };
+
+  const m = key.match(/^(\d+)x(\d+)$/);
+  if (m) return { size: { width: parseInt(m[1], 10), height: parseInt(m[2], 10) } };
+
+  return null;
+}
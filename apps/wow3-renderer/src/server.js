@@ -7,29 +7,52 @@ import sirv from 'sirv';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 /**
- * Start a local HTTP server that serves the wow3-animation dist and the input .wow3a file.
+ * Player app used for each input format.
+ * - distDir:  built app served as static files
+ * - page:     URL of the player page exposing window.__wow3
+ * - inputUrl: URL the input file is served at
+ * - buildCmd: command that produces distDir (for error messages)
+ */
+export const PLAYERS = {
+  wow3a: {
+    distDir: resolve(__dirname, '../../wow3-animation/dist'),
+    page: '/?mode=player',
+    inputUrl: '/input.wow3a',
+    buildCmd: 'pnpm build:animation',
+  },
+  wow3: {
+    distDir: resolve(__dirname, '../../wow3/dist'),
+    page: '/player.html',
+    inputUrl: '/input.wow3',
+    buildCmd: 'pnpm build:wow3',
+  },
+};
+
+/**
+ * Start a local HTTP server that serves the player app and the input file.
  *
- * @param {string} wow3aPath - Absolute path to the .wow3a file to serve
- * @returns {Promise<{port: number, close: () => Promise<void>}>}
+ * @param {string} inputPath - Absolute path to the .wow3a / .wow3 file to serve
+ * @param {'wow3a'|'wow3'} [inputFormat='wow3a'] - Selects the player app
+ * @returns {Promise<{port: number, page: string, inputUrl: string, close: () => Promise<void>}>}
  */
-export async function startServer(wow3aPath) {
-  const distDir = resolve(__dirname, '../../wow3-animation/dist');
-  const serve = sirv(distDir, { dev: true, single: false });
+export async function startServer(inputPath, inputFormat = 'wow3a') {
+  const player = PLAYERS[inputFormat];
+  const serve = sirv(player.distDir, { dev: true, single: false });
 
-  const wow3aBuffer = readFileSync(wow3aPath);
+  const inputBuffer = readFileSync(inputPath);
 
   const server = createServer((req, res) => {
-    // Serve the .wow3a file at /input.wow3a
-    if (req.url === '/input.wow3a') {
+    // Serve the input file at the player's input URL
+    if (req.url === player.inputUrl) {
       res.writeHead(200, {
         'Content-Type': 'application/zip',
-        'Content-Length': wow3aBuffer.length,
+        'Content-Length': inputBuffer.length,
       });
-      res.end(wow3aBuffer);
+      res.end(inputBuffer);
       return;
     }
 
-    // Everything else: static files from wow3-animation dist
+    // Everything else: static files from the player dist
     serve(req, res);
   });
 
@@ -38,6 +61,8 @@ export async function startServer(wow3aPath) {
       const port = server.address().port;
       resolveP({
         port,
+        page: player.page,
+        inputUrl: player.inputUrl,
         close: () => new Promise((r) => server.close(r)),
       });
     });
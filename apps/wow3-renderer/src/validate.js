@@ -0,0 +1,380 @@
+import JSZip from 'jszip';
+import { INPUT_FORMATS } from './formats.js';
+
+/**
+ * Pre-flight validation of an input archive, without launching a browser.
+ *
+ * .wow3a projects are checked against the wow3-animation data model
+ * (apps/wow3-animation/js/models): Project → Track → VisualClip / AudioClip,
+ * and every asset a clip references must be bundled under assets/ or be a
+ * reachable http(s) URL — the same references the player's preloadAssets()
+ * fetches. .wow3 decks are only checked for a readable presentation.json.
+ *
+ * Result:
+ * {
+ *   valid:    true when there are no errors (warnings do not block a render)
+ *   errors:   [{ path, message }]  path: JSON path in the manifest ('' for the archive)
+ *   warnings: [{ path, message }]
+ *   info:     { inputFormat, width, height, durationMs?, slideCount?, tracks?, clips?, assets? }
+ *             null when the manifest could not be read
+ * }
+ */
+
+/** Element types the wow3-animation canvas renders */
+const ELEMENT_TYPES = ['text', 'image', 'video', 'shape', 'karaoke'];
+
+/** Default project duration when no clip has an end (see Project.getEffectiveDuration) */
+const EMPTY_PROJECT_DURATION_MS = 30000;
+
+/** Canvas size by orientation (see the Project model) */
+const ORIENTATION_SIZES = {
+  landscape: { width: 1920, height: 1080 },
+  portrait: { width: 1080, height: 1920 },
+};
+
+/**
+ * Effective duration of a .wow3a project: its `durationMs`, or the latest
+ * clip end, or 30 s for a project without timed clips.
+ * @param {object} project - project.json
+ * @returns {number} ms
+ */
+export function projectDurationMs(project) {
+  if (project.durationMs > 0) return project.durationMs;
+  let max = 0;
+  for (const track of project.tracks ?? []) {
+    for (const clip of track.clips ?? []) {
+      if (clip.endMs != null && clip.endMs > max) max = clip.endMs;
+    }
+  }
+  return max || EMPTY_PROJECT_DURATION_MS;
+}
+
+/**
+ * Check whether a remote asset answers with a 2xx status. Servers that
+ * refuse HEAD are asked again with GET (the body is discarded).
+ *
+ * @param {string} url
+ * @param {{ fetchFn: typeof fetch, timeoutMs: number }} opts
+ * @returns {Promise<string|null>} Problem description, null when reachable
+ */
+async function checkUrl(url, { fetchFn, timeoutMs }) {
+  try {
+    let res = await fetchFn(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+    if (res.status === 405 || res.status === 501) {
+      res = await fetchFn(url, { method: 'GET', redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+      await res.body?.cancel();
+    }
+    return res.ok ? null : `HTTP ${res.status}`;
+  } catch (err) {
+    return err.name === 'TimeoutError' ? `no response within ${timeoutMs / 1000}s` : err.message;
+  }
+}
+
+/**
+ * Collect errors and warnings under JSON paths.
+ */
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error: (path, message) => { errors.push({ path, message }); },
+    warn: (path, message) => { warnings.push({ path, message }); },
+  };
+}
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Check the fields shared by every clip (Clip model).
+ * @param {object} clip
+ * @param {string} path
+ * @param {ReturnType<typeof createReport>} report
+ */
+function checkClipTiming(clip, path, report) {
+  if (clip.startMs != null && !(isNumber(clip.startMs) && clip.startMs >= 0)) {
+    report.error(`${path}.startMs`, 'must be a number >= 0');
+  }
+  if (clip.endMs != null) {
+    if (!isNumber(clip.endMs)) report.error(`${path}.endMs`, 'must be a number or null');
+    else if (clip.endMs <= (clip.startMs ?? 0)) report.error(`${path}.endMs`, 'must be after startMs');
+  }
+  for (const key of ['inAnimation', 'outAnimation']) {
+    const anim = clip[key];
+    if (anim == null) continue;
+    if (!isObject(anim) || typeof anim.type !== 'string') {
+      report.error(`${path}.${key}`, 'must be null or an object with a "type"');
+    } else if (anim.duration != null && !(isNumber(anim.duration) && anim.duration >= 0)) {
+      report.error(`${path}.${key}.duration`, 'must be a number >= 0');
+    }
+  }
+}
+
+/**
+ * Check a VisualClip and collect the assets it references.
+ * @param {object} clip
+ * @param {string} path
+ * @param {ReturnType<typeof createReport>} report
+ * @param {(path: string, ref: unknown) => void} addAsset
+ */
+function checkVisualClip(clip, path, report, addAsset) {
+  if (clip.type != null && clip.type !== 'visual') {
+    report.error(`${path}.type`, `"${clip.type}" clip on a visual track`);
+    return;
+  }
+  if (!ELEMENT_TYPES.includes(clip.elementType)) {
+    report.error(`${path}.elementType`, `must be one of: ${ELEMENT_TYPES.join(', ')}`);
+  }
+  if (clip.position != null) {
+    if (!isObject(clip.position)) {
+      report.error(`${path}.position`, 'must be an object');
+    } else {
+      for (const key of ['x', 'y', 'width', 'height', 'rotation']) {
+        if (clip.position[key] != null && !isNumber(clip.position[key])) {
+          report.error(`${path}.position.${key}`, 'must be a number');
+        }
+      }
+    }
+  }
+  if (clip.properties != null && !isObject(clip.properties)) {
+    report.error(`${path}.properties`, 'must be an object');
+    return;
+  }
+
+  const props = clip.properties ?? {};
+  if (clip.elementType === 'image' || clip.elementType === 'video') {
+    if (props.url) addAsset(`${path}.properties.url`, props.url);
+    else report.warn(`${path}.properties.url`, `${clip.elementType} clip without a url renders nothing`);
+  }
+  if (props.backgroundImage?.url) addAsset(`${path}.properties.backgroundImage.url`, props.backgroundImage.url);
+  if (clip.elementType === 'karaoke') {
+    if (props.srtMediaId) addAsset(`${path}.properties.srtMediaId`, props.srtMediaId);
+    else report.warn(`${path}.properties.srtMediaId`, 'karaoke clip without subtitles renders nothing');
+  }
+  if (clip.trim != null) {
+    if (!isObject(clip.trim) || !isNumber(clip.trim.start) || (clip.trim.end != null && !isNumber(clip.trim.end))) {
+      report.error(`${path}.trim`, 'must be null or { start: number, end: number|null }');
+    }
+  }
+}
+
+/**
+ * Check an AudioClip and collect the asset it plays.
+ * @param {object} clip
+ * @param {string} path
+ * @param {ReturnType<typeof createReport>} report
+ * @param {(path: string, ref: unknown) => void} addAsset
+ */
+function checkAudioClip(clip, path, report, addAsset) {
+  if (clip.type !== 'audio') {
+    report.error(`${path}.type`, 'clips on an audio track must have type "audio"');
+    return;
+  }
+  // The player plays mediaId when set, src otherwise
+  if (clip.mediaId) addAsset(`${path}.mediaId`, clip.mediaId);
+  else if (clip.src) addAsset(`${path}.src`, clip.src);
+  else report.warn(path, 'audio clip without src or mediaId plays nothing');
+
+  if (clip.volume != null && !(isNumber(clip.volume) && clip.volume >= 0 && clip.volume <= 1)) {
+    report.error(`${path}.volume`, 'must be a number between 0 and 1');
+  }
+  for (const key of ['fadeInMs', 'fadeOutMs']) {
+    if (clip[key] != null && !(isNumber(clip[key]) && clip[key] >= 0)) {
+      report.error(`${path}.${key}`, 'must be a number >= 0');
+    }
+  }
+}
+
+/**
+ * Validate a wow3-animation project.json and check its assets.
+ *
+ * @param {object} project
+ * @param {JSZip} zip
+ * @param {ReturnType<typeof createReport>} report
+ * @param {{ checkUrls: boolean, fetchFn: typeof fetch, timeoutMs: number }} opts
+ * @returns {Promise<object>} info
+ */
+async function validateProject(project, zip, report, opts) {
+  if (project.title != null && typeof project.title !== 'string') report.error('title', 'must be a string');
+  if (project.orientation != null && !Object.hasOwn(ORIENTATION_SIZES, project.orientation)) {
+    report.error('orientation', 'must be "landscape" or "portrait"');
+  }
+  if (project.durationMs != null && !(isNumber(project.durationMs) && project.durationMs >= 0)) {
+    report.error('durationMs', 'must be a number >= 0 (0 = until the last clip ends)');
+  }
+  for (const key of ['width', 'height']) {
+    if (project[key] != null && !(Number.isInteger(project[key]) && project[key] > 0)) {
+      report.error(key, 'must be a positive integer');
+    }
+  }
+  const canvas = ORIENTATION_SIZES[project.orientation ?? 'landscape'];
+  if (canvas && project.width && project.height
+    && (project.width !== canvas.width || project.height !== canvas.height)) {
+    report.warn('width', `the player sizes the canvas from the orientation (${canvas.width}x${canvas.height}), not ${project.width}x${project.height}`);
+  }
+
+  /** @type {Map<string, string[]>} asset reference → paths using it */
+  const assets = new Map();
+  const addAsset = (path, ref) => {
+    if (typeof ref !== 'string') {
+      report.error(path, 'must be a string');
+      return;
+    }
+    if (!assets.has(ref)) assets.set(ref, []);
+    assets.get(ref).push(path);
+  };
+
+  let clipCount = 0;
+  if (!Array.isArray(project.tracks)) {
+    report.error('tracks', 'must be an array');
+  } else {
+    project.tracks.forEach((track, t) => {
+      const trackPath = `tracks[${t}]`;
+      if (!isObject(track)) {
+        report.error(trackPath, 'must be an object');
+        return;
+      }
+      if (track.type !== 'visual' && track.type !== 'audio') {
+        report.error(`${trackPath}.type`, 'must be "visual" or "audio"');
+        return;
+      }
+      if (track.clips == null) return;
+      if (!Array.isArray(track.clips)) {
+        report.error(`${trackPath}.clips`, 'must be an array');
+        return;
+      }
+
+      const spans = [];
+      track.clips.forEach((clip, c) => {
+        const clipPath = `${trackPath}.clips[${c}]`;
+        if (!isObject(clip)) {
+          report.error(clipPath, 'must be an object');
+          return;
+        }
+        clipCount++;
+        checkClipTiming(clip, clipPath, report);
+        if (track.type === 'visual') checkVisualClip(clip, clipPath, report, addAsset);
+        else checkAudioClip(clip, clipPath, report, addAsset);
+        spans.push({ c, start: clip.startMs ?? 0, end: clip.endMs ?? Infinity });
+      });
+
+      // Clips of a track are meant not to overlap (see the Track model)
+      spans.sort((a, b) => a.start - b.start);
+      for (let i = 1; i < spans.length; i++) {
+        if (spans[i].start < spans[i - 1].end) {
+          report.warn(`${trackPath}.clips[${spans[i].c}]`, `overlaps clip ${spans[i - 1].c} on the same track`);
+        }
+      }
+    });
+  }
+
+  const durationMs = projectDurationMs(project);
+  if (clipCount === 0) report.warn('tracks', 'project has no clips');
+  if (project.durationMs > 0) {
+    (project.tracks ?? []).forEach((track, t) => (track?.clips ?? []).forEach((clip, c) => {
+      if (isNumber(clip?.startMs) && clip.startMs >= project.durationMs) {
+        report.warn(`tracks[${t}].clips[${c}].startMs`, 'starts after the end of the project and is never shown');
+      }
+    }));
+  }
+
+  const bundled = new Set();
+  zip.folder('assets').forEach((relativePath, entry) => {
+    if (!entry.dir) bundled.add(`assets/${relativePath}`);
+  });
+
+  const urlChecks = [];
+  for (const [ref, paths] of assets) {
+    if (ref.startsWith('assets/')) {
+      if (!bundled.has(ref)) for (const path of paths) report.error(path, `"${ref}" is not in the archive`);
+    } else if (/^https?:\/\//i.test(ref)) {
+      if (opts.checkUrls) {
+        urlChecks.push(checkUrl(ref, opts).then((problem) => {
+          if (problem) for (const path of paths) report.error(path, `${ref} is not reachable (${problem})`);
+        }));
+      }
+    } else if (ref.startsWith('data:')) {
+      // Inline data, nothing to fetch
+    } else if (ref.startsWith('local://') || ref.startsWith('media_')) {
+      for (const path of paths) {
+        report.error(path, `"${ref}" refers to the editor's media library; export the project as .wow3a to bundle it`);
+      }
+    } else {
+      for (const path of paths) report.error(path, `"${ref}" is neither a bundled asset (assets/…) nor an http(s) URL`);
+    }
+  }
+  await Promise.all(urlChecks);
+
+  for (const name of bundled) {
+    if (!assets.has(name)) report.warn(name, 'asset is not used by any clip');
+  }
+
+  const size = ORIENTATION_SIZES[project.orientation] ?? ORIENTATION_SIZES.landscape;
+  return {
+    width: project.width || size.width,
+    height: project.height || size.height,
+    durationMs,
+    tracks: Array.isArray(project.tracks) ? project.tracks.length : 0,
+    clips: clipCount,
+    assets: assets.size,
+  };
+}
+
+/**
+ * Validate an input archive without rendering it.
+ *
+ * @param {Buffer} data - .wow3a / .wow3 file contents
+ * @param {'wow3a'|'wow3'} [inputFormat='wow3a']
+ * @param {Object} [opts]
+ * @param {boolean} [opts.checkUrls=true] - Request remote assets to check they are reachable
+ * @param {typeof fetch} [opts.fetchFn=fetch]
+ * @param {number} [opts.timeoutMs=10000] - Per-URL timeout
+ * @returns {Promise<{ valid: boolean, errors: Array<{path: string, message: string}>,
+ *   warnings: Array<{path: string, message: string}>, info: Object|null }>}
+ */
+export async function validateInput(data, inputFormat = 'wow3a', { checkUrls = true, fetchFn = fetch, timeoutMs = 10000 } = {}) {
+  const { ext, manifest } = INPUT_FORMATS[inputFormat];
+  const report = createReport();
+  const result = (info) => ({ valid: report.errors.length === 0, errors: report.errors, warnings: report.warnings, info });
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (err) {
+    report.error('', `Not a valid ${ext} archive: ${err.message}`);
+    return result(null);
+  }
+
+  const manifestFile = zip.file(manifest);
+  if (!manifestFile) {
+    report.error('', `Invalid ${ext}: missing ${manifest}`);
+    return result(null);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(await manifestFile.async('string'));
+  } catch (err) {
+    report.error('', `${manifest} is not valid JSON: ${err.message}`);
+    return result(null);
+  }
+  if (!isObject(json)) {
+    report.error('', `${manifest} must contain an object`);
+    return result(null);
+  }
+
+  if (inputFormat === 'wow3') {
+    if (!Array.isArray(json.slides)) {
+      report.error('slides', 'must be an array');
+      return result(null);
+    }
+    const slideCount = json.slides.filter(s => s?.visible !== false).length;
+    if (slideCount === 0) report.error('slides', 'presentation has no visible slides');
+    return result({ inputFormat, width: 1920, height: 1080, slideCount });
+  }
+
+  const info = await validateProject(json, zip, report, { checkUrls, fetchFn, timeoutMs });
+  return result({ inputFormat, ...info });
+}
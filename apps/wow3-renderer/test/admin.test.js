@@ -4,10 +4,12 @@ import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import Fastify from 'fastify';
 import fastifyCookie from '@fastify/cookie';
-import { createDb, insertApiKey, insertJob, updateJobStatus } from '../src/api/db.js';
+import { createDb, insertApiKey, insertJob, updateJobStatus, getJob } from '../src/api/db.js';
 import { hashKey } from '../src/api/middleware/auth.js';
 import { createAdminAuth, signAdminToken } from '../src/api/middleware/admin-auth.js';
 import { adminRoutes } from '../src/api/routes/admin.js';
+import { createQueue } from '../src/api/queue.js';
+import { createWebhooks } from '../src/api/webhooks.js';
 
 const JWT_SECRET = 'test-jwt-secret-32-chars-xxxxxxxx';
 const ADMIN_USER = 'admin';
@@ -28,14 +30,14 @@ async function buildApp(db) {
   return app;
 }
 
-async function buildAuthApp(db, dataDir) {
+async function buildAuthApp(db, dataDir, queue) {
   const app = Fastify({ logger: false });
   await app.register(fastifyCookie);
 
   // Login routes (no auth)
   await app.register(
     async (instance) => {
-      await adminRoutes(instance, { db, jwtSecret: JWT_SECRET, adminUser: ADMIN_USER, adminPass: ADMIN_PASS, dataDir });
+      await adminRoutes(instance, { db, queue, jwtSecret: JWT_SECRET, adminUser: ADMIN_USER, adminPass: ADMIN_PASS, dataDir });
     },
     { prefix: '/admin' }
   );
@@ -155,6 +157,91 @@ describe('admin routes — api-keys (authenticated)', () => {
     expect(res.statusCode).toBe(400);
   });
 
+  it('POST /admin/api-keys stores limits and expiry', async () => {
+    const expiresAt = Date.now() + 86_400_000;
+    const res = await app.inject({
+      method: 'POST', url: '/admin/api-keys',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: JSON.stringify({ label: 'ci', limits: { maxConcurrentJobs: 2, maxUploadMb: 50 }, expiresAt }),
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.json()).toMatchObject({
+      label: 'ci', status: 'active', expiresAt,
+      limits: { maxConcurrentJobs: 2, maxJobsPerDay: null, maxRenderMinutesPerDay: null, maxUploadMb: 50 },
+    });
+  });
+
+  it('POST /admin/api-keys returns 400 for invalid limits', async () => {
+    for (const body of [
+      { label: 'x', limits: { maxJobsPerDay: 0 } },
+      { label: 'x', limits: { maxCpu: 2 } },
+      { label: 'x', expiresAt: 'tomorrow' },
+    ]) {
+      const res = await app.inject({
+        method: 'POST', url: '/admin/api-keys',
+        headers: { cookie, 'content-type': 'application/json' },
+        payload: JSON.stringify(body),
+      });
+      expect(res.statusCode, JSON.stringify(body)).toBe(400);
+    }
+  });
+
+  it('PATCH /admin/api-keys/:id changes limits and disables without deleting', async () => {
+    insertApiKey(db, { id: 'k1', label: 'test', keyHash: hashKey('rawkey'), limits: { maxJobsPerDay: 5 } });
+    const patch = (body) => app.inject({
+      method: 'PATCH', url: '/admin/api-keys/k1',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: JSON.stringify(body),
+    });
+
+    let res = await patch({ limits: { maxJobsPerDay: null, maxRenderMinutesPerDay: 90 }, disabled: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({
+      status: 'disabled',
+      limits: { maxJobsPerDay: null, maxRenderMinutesPerDay: 90 },
+    });
+
+    res = await patch({ disabled: false, expiresAt: Date.now() - 1 });
+    expect(res.json().status).toBe('expired');
+    expect(res.json().disabledAt).toBeNull();
+
+    expect((await patch({ disabled: 'yes' })).statusCode).toBe(400);
+    const missing = await app.inject({
+      method: 'PATCH', url: '/admin/api-keys/nope',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: JSON.stringify({ disabled: true }),
+    });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('GET /admin/usage reports usage per key', async () => {
+    insertApiKey(db, { id: 'k1', label: 'ci', keyHash: hashKey('a'), limits: { maxJobsPerDay: 10 } });
+    insertApiKey(db, { id: 'k2', label: 'idle', keyHash: hashKey('b') });
+    const now = Date.now();
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1', inputBytes: 100 });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a', apiKeyId: 'k1', inputBytes: 200 });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.mp4', outputBytes: 5000 });
+    db.prepare('UPDATE jobs SET started_at = ?, completed_at = ? WHERE id = ?').run(now - 42_000, now, 'j1');
+    db.prepare('UPDATE api_keys SET usage_jobs = 7, usage_render_ms = 600000, usage_output_bytes = 99 WHERE id = ?').run('k1');
+
+    const res = await app.inject({ method: 'GET', url: `/admin/usage?since=${now - 60_000}`, headers: { cookie } });
+    expect(res.statusCode).toBe(200);
+    const { since, keys } = res.json();
+    expect(since).toBe(now - 60_000);
+    const ci = keys.find(k => k.id === 'k1');
+    expect(ci).toMatchObject({
+      label: 'ci', status: 'active', running: 0, pending: 1,
+      storedBytes: 5200,
+      period: { jobs: 2, renderSeconds: 42 },
+      total: { jobs: 7, renderSeconds: 600, outputBytes: 99 },
+      limits: { maxJobsPerDay: 10 },
+    });
+    expect(keys.find(k => k.id === 'k2')).toMatchObject({ period: { jobs: 0, renderSeconds: 0 }, storedBytes: 0 });
+
+    const bad = await app.inject({ method: 'GET', url: '/admin/usage?since=yesterday', headers: { cookie } });
+    expect(bad.statusCode).toBe(400);
+  });
+
   it('DELETE /admin/api-keys/:id deletes the key', async () => {
     insertApiKey(db, { id: 'k1', label: 'test', keyHash: hashKey('rawkey') });
     const res = await app.inject({
@@ -173,13 +260,14 @@ describe('admin routes — api-keys (authenticated)', () => {
 });
 
 describe('admin routes — jobs (authenticated)', () => {
-  let db, app, cookie, dataDir;
+  let db, app, cookie, dataDir, queue;
 
   beforeEach(async () => {
     db = createDb(':memory:');
     dataDir = join(tmpdir(), `wow3-admin-test-${Date.now()}`);
     await mkdir(join(dataDir, 'output'), { recursive: true });
-    app = await buildAuthApp(db, dataDir);
+    queue = { kill: vi.fn(), finished: vi.fn().mockResolvedValue(), workers: vi.fn().mockReturnValue([]) };
+    app = await buildAuthApp(db, dataDir, queue);
     cookie = await getSessionCookie(app);
   });
 
@@ -192,6 +280,30 @@ describe('admin routes — jobs (authenticated)', () => {
     expect(res.json()).toHaveLength(2);
   });
 
+  it('GET /admin/jobs includes the label of the submitting API key', async () => {
+    insertApiKey(db, { id: 'k1', label: 'ci', keyHash: hashKey('raw') });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a' });
+    const res = await app.inject({ method: 'GET', url: '/admin/jobs', headers: { cookie } });
+    const labels = Object.fromEntries(res.json().map(j => [j.id, j.api_key_label]));
+    expect(labels).toEqual({ j1: 'ci', j2: null });
+  });
+
+  it('GET /admin/workers lists every worker with the job it runs', async () => {
+    insertApiKey(db, { id: 'k1', label: 'ci', keyHash: hashKey('raw') });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+    updateJobStatus(db, 'j1', 'running', { worker: 2 });
+    queue.workers.mockReturnValue([{ worker: 1, jobId: null }, { worker: 2, jobId: 'j1' }]);
+
+    const res = await app.inject({ method: 'GET', url: '/admin/workers', headers: { cookie } });
+    expect(res.statusCode).toBe(200);
+    const [idle, busy] = res.json();
+    expect(idle).toEqual({ worker: 1, job: null });
+    expect(busy.worker).toBe(2);
+    expect(busy.job).toMatchObject({ id: 'j1', name: 'a.wow3a', apiKeyLabel: 'ci', progress: 0 });
+    expect(busy.job.startedAt).toBeTypeOf('number');
+  });
+
   it('DELETE /admin/jobs/:id deletes job and mp4 file', async () => {
     const mp4 = join(dataDir, 'output', 'j1.mp4');
     await writeFile(mp4, 'fake');
@@ -205,6 +317,32 @@ describe('admin routes — jobs (authenticated)', () => {
     await expect(stat(mp4)).rejects.toThrow();
   });
 
+  it('DELETE /admin/jobs/:id of a running job sends its cancelled webhook before deleting it', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', callbackUrl: 'https://hooks.example.com/wow3' });
+    const fetchFn = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+    const webhooks = createWebhooks({ db, fetchFn });
+    // Renders until aborted, like the recorder once its browser is closed
+    let started;
+    const rendering = new Promise((resolve) => { started = resolve; });
+    const renderFn = ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => setTimeout(() => reject(new Error('Target closed')), 20));
+      started();
+    });
+    const realQueue = createQueue({ db, renderFn, dataDir, onJobFinished: (id, event) => webhooks.notify(id, event) });
+    realQueue.enqueue();
+    await rendering;
+
+    const runningApp = await buildAuthApp(db, dataDir, realQueue);
+    const res = await runningApp.inject({ method: 'DELETE', url: '/admin/jobs/j1', headers: { cookie } });
+    expect(res.statusCode).toBe(200);
+    expect(getJob(db, 'j1')).toBeUndefined();
+
+    expect(fetchFn).toHaveBeenCalledOnce();
+    const [url, { body }] = fetchFn.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/wow3');
+    expect(JSON.parse(body)).toMatchObject({ event: 'cancelled', jobId: 'j1', status: 'failed', error: 'cancelled by user' });
+  });
+
   it('DELETE /admin/jobs/:id returns 404 for missing job', async () => {
     const res = await app.inject({ method: 'DELETE', url: '/admin/jobs/nope', headers: { cookie } });
     expect(res.statusCode).toBe(404);
@@ -220,4 +358,49 @@ describe('admin routes — jobs (authenticated)', () => {
     expect(res.statusCode).toBe(200);
     expect(res.headers['content-type']).toContain('video/mp4');
   });
+
+  it('PATCH /admin/jobs/:id changes the retention of a job', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    const patch = (keep) => app.inject({
+      method: 'PATCH', url: '/admin/jobs/j1',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: JSON.stringify({ keep }),
+    });
+
+    expect((await patch('pinned')).statusCode).toBe(200);
+    expect(getJob(db, 'j1')).toMatchObject({ pinned: 1, keep_ms: null });
+    await patch('12h');
+    expect(getJob(db, 'j1')).toMatchObject({ pinned: 0, keep_ms: 12 * 60 * 60 * 1000 });
+    await patch(null);
+    expect(getJob(db, 'j1')).toMatchObject({ pinned: 0, keep_ms: null });
+
+    expect((await patch('soon')).statusCode).toBe(400);
+    expect((await app.inject({
+      method: 'PATCH', url: '/admin/jobs/nope',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: JSON.stringify({ keep: '1d' }),
+    })).statusCode).toBe(404);
+  });
+
+  it('GET /admin/disk reports usage and POST /admin/disk/cleanup runs a pass', async () => {
+    const mp4 = join(dataDir, 'output', 'j1.mp4');
+    await writeFile(mp4, Buffer.alloc(100));
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', pinned: true });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: mp4, outputBytes: 100 });
+
+    let res = await app.inject({ method: 'GET', url: '/admin/disk', headers: { cookie } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({
+      output: { files: 1, bytes: 100 },
+      pinned: { jobs: 1, bytes: 100 },
+      budgetBytes: null,
+      retention: '2d',
+      lastPass: null,
+    });
+
+    res = await app.inject({ method: 'POST', url: '/admin/disk/cleanup', headers: { cookie } });
+    expect(res.json()).toMatchObject({ deletedJobs: 0, orphanFiles: 0, evictedOutputs: 0, freedBytes: 0 });
+    res = await app.inject({ method: 'GET', url: '/admin/disk', headers: { cookie } });
+    expect(res.json().lastPass).toMatchObject({ deletedJobs: 0 });
+  });
 });
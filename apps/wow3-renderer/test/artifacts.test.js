@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { storyboardLayout, storyboardVtt } from '../src/artifacts.js';
+
+describe('storyboard', () => {
+  it('tiles one thumbnail per interval in rows of ten', () => {
+    expect(storyboardLayout(42_000, { width: 1920, height: 1080 })).toEqual({
+      intervalSec: 5, count: 9, columns: 9, rows: 1, thumbWidth: 160, thumbHeight: 90,
+    });
+    expect(storyboardLayout(120_000, { width: 1080, height: 1920 }, 4)).toMatchObject({
+      count: 30, columns: 10, rows: 3, thumbHeight: 284,
+    });
+  });
+
+  it('widens the interval to stay within 100 thumbnails', () => {
+    const layout = storyboardLayout(3_600_000, { width: 1920, height: 1080 }, 5);
+    expect(layout).toMatchObject({ intervalSec: 36, count: 100, columns: 10, rows: 10 });
+  });
+
+  it('maps each time range to its tile in the WebVTT track', () => {
+    const layout = storyboardLayout(12_000, { width: 1920, height: 1080 });
+    expect(storyboardVtt(12_000, layout)).toBe([
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:05.000',
+      'result?artifact=sprite#xywh=0,0,160,90',
+      '',
+      '00:00:05.000 --> 00:00:10.000',
+      'result?artifact=sprite#xywh=160,0,160,90',
+      '',
+      '00:00:10.000 --> 00:00:12.000',
+      'result?artifact=sprite#xywh=320,0,160,90',
+      '',
+    ].join('\n'));
+  });
+
+  it('formats hours in cue times', () => {
+    const layout = storyboardLayout(3_725_500, { width: 640, height: 480 }, 60);
+    const lastCue = storyboardVtt(3_725_500, layout).trim().split('\n\n').at(-1);
+    expect(lastCue.split('\n')[0]).toBe('01:02:00.000 --> 01:02:05.500');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { createDb, insertApiKey } from '../src/api/db.js';
+import { createDb, insertApiKey, updateApiKey } from '../src/api/db.js';
 import { hashKey, createApiKeyAuth } from '../src/api/middleware/auth.js';
 import { createAdminAuth, signAdminToken } from '../src/api/middleware/admin-auth.js';
 
@@ -39,6 +39,22 @@ describe('createApiKeyAuth', () => {
     const { request, reply } = makeReqReply({ 'x-api-key': 'good-key' });
     await auth(request, reply);
     expect(reply._code).toBe(200);
+    expect(request.apiKeyId).toBe('k1');
+    expect(request.apiKey.label).toBe('test');
+  });
+
+  it('calls reply.code(403) for a disabled or expired key', async () => {
+    insertApiKey(db, { id: 'k2', label: 'old', keyHash: hashKey('old-key'), expiresAt: Date.now() - 1000 });
+    let { request, reply } = makeReqReply({ 'x-api-key': 'old-key' });
+    await auth(request, reply);
+    expect(reply._code).toBe(403);
+    expect(reply._body.error).toMatch(/expired/);
+
+    updateApiKey(db, 'k1', { disabled: true });
+    ({ request, reply } = makeReqReply({ 'x-api-key': 'good-key' }));
+    await auth(request, reply);
+    expect(reply._code).toBe(403);
+    expect(reply._body.error).toMatch(/disabled/);
   });
 });
 
@@ -1,11 +1,25 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { mkdir, rm, writeFile, access } from 'node:fs/promises';
+import { mkdir, rm, writeFile, access, utimes } from 'node:fs/promises';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { createDb, insertJob, updateJobStatus, getJob } from '../src/api/db.js';
-import { createCleanup } from '../src/api/cleanup.js';
+import { createCleanup, parseDuration, parseByteSize, parseKeep } from '../src/api/cleanup.js';
 
 const FORTY_EIGHT_H = 48 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+/** Write a file and backdate it past the orphan grace period. */
+async function writeOldFile(path, content = 'fake') {
+  await writeFile(path, content);
+  const old = new Date(Date.now() - HOUR);
+  await utimes(path, old, old);
+}
+
+/** Mark a job completed `agoMs` ago with the given output. */
+function completeJob(db, id, outputPath, agoMs) {
+  db.prepare("UPDATE jobs SET status='completed', output_path=?, completed_at=? WHERE id=?")
+    .run(outputPath, Date.now() - agoMs, id);
+}
 
 describe('cleanup', () => {
   let db, dataDir;
@@ -71,4 +85,87 @@ describe('cleanup', () => {
     const { runCleanup } = createCleanup(db);
     await expect(runCleanup()).resolves.toBe(1); // no throw
   });
+
+  it('honours the default retention and per-job keep', async () => {
+    insertJob(db, { id: 'old', wow3aName: 'a.wow3a' });
+    insertJob(db, { id: 'kept', wow3aName: 'b.wow3a', keepMs: 7 * 24 * HOUR });
+    insertJob(db, { id: 'short', wow3aName: 'c.wow3a', keepMs: HOUR });
+    insertJob(db, { id: 'pinned', wow3aName: 'd.wow3a', pinned: true });
+    for (const id of ['old', 'kept', 'pinned']) completeJob(db, id, null, 3 * HOUR);
+    completeJob(db, 'short', null, 2 * HOUR);
+
+    const { runCleanup } = createCleanup(db, dataDir, { retentionMs: 2 * HOUR });
+    expect(await runCleanup()).toBe(2);
+
+    expect(getJob(db, 'old')).toBeUndefined();
+    expect(getJob(db, 'short')).toBeUndefined();
+    expect(getJob(db, 'kept')).toBeTruthy();
+    expect(getJob(db, 'pinned')).toBeTruthy();
+  });
+
+  it('deletes orphaned uploads and outputs past the grace period', async () => {
+    await mkdir(join(dataDir, 'uploads'), { recursive: true });
+    insertJob(db, { id: 'done', wow3aName: 'a.wow3a' });
+    insertJob(db, { id: 'waiting', wow3aName: 'b.wow3a' });
+    const output = join(dataDir, 'output', 'done.mp4');
+    const poster = join(dataDir, 'output', 'done.poster.jpg');
+    completeJob(db, 'done', output, HOUR);
+    db.prepare("UPDATE jobs SET poster_path=? WHERE id='done'").run(poster);
+
+    await writeOldFile(output);
+    await writeOldFile(poster);
+    await writeOldFile(join(dataDir, 'output', 'done.vtt'), 'x');
+    await writeOldFile(join(dataDir, 'uploads', 'done.wow3a'));
+    await writeOldFile(join(dataDir, 'uploads', 'waiting.wow3a'));
+    await writeOldFile(join(dataDir, 'output', 'gone.mp4'), '12345');
+    // Too recent to be judged (an upload whose job row is being inserted)
+    await writeFile(join(dataDir, 'uploads', 'new.wow3a'), 'fake');
+
+    const report = await createCleanup(db, dataDir).runPass();
+
+    expect(report).toMatchObject({ deletedJobs: 0, orphanFiles: 3, freedBytes: 10 });
+    await expect(access(join(dataDir, 'uploads', 'done.wow3a'))).rejects.toThrow();
+    await expect(access(join(dataDir, 'output', 'gone.mp4'))).rejects.toThrow();
+    await access(output);
+    await access(poster);
+    await access(join(dataDir, 'uploads', 'waiting.wow3a'));
+    await access(join(dataDir, 'uploads', 'new.wow3a'));
+  });
+
+  it('evicts the oldest unpinned outputs until output/ fits the disk budget', async () => {
+    const ids = ['oldest', 'pinned', 'older', 'newest'];
+    for (const [i, id] of ids.entries()) {
+      insertJob(db, { id, wow3aName: `${id}.wow3a`, pinned: id === 'pinned' });
+      const path = join(dataDir, 'output', `${id}.mp4`);
+      await writeFile(path, Buffer.alloc(100));
+      completeJob(db, id, path, (ids.length - i) * HOUR);
+    }
+
+    const cleanup = createCleanup(db, dataDir, { diskBudgetBytes: 250 });
+    const report = await cleanup.runPass();
+
+    expect(report).toMatchObject({ evictedOutputs: 2, freedBytes: 200 });
+    expect(getJob(db, 'oldest')).toMatchObject({ output_path: null, status: 'completed' });
+    expect(getJob(db, 'oldest').evicted_at).toBeTypeOf('number');
+    expect(getJob(db, 'older').output_path).toBeNull();
+    expect(getJob(db, 'pinned').output_path).not.toBeNull();
+    expect(getJob(db, 'newest').output_path).not.toBeNull();
+
+    const usage = await cleanup.diskUsage();
+    expect(usage.output).toEqual({ files: 2, bytes: 200 });
+    expect(usage.lastPass).toEqual(report);
+  });
+
+  it('parses retention and size settings', () => {
+    expect(parseDuration('90m')).toBe(90 * 60 * 1000);
+    expect(parseDuration('7d')).toBe(7 * 24 * HOUR);
+    expect(parseDuration('0h')).toBeNull();
+    expect(parseDuration('2 weeks')).toBeNull();
+    expect(parseByteSize('20GB')).toBe(20 * 1024 ** 3);
+    expect(parseByteSize('1.5mb')).toBe(1.5 * 1024 ** 2);
+    expect(parseByteSize('lots')).toBeNull();
+    expect(parseKeep('pinned')).toEqual({ keepMs: null, pinned: true, error: null });
+    expect(parseKeep('12h')).toEqual({ keepMs: 12 * HOUR, pinned: false, error: null });
+    expect(parseKeep('400d').error).toMatch(/365d/);
+  });
 });
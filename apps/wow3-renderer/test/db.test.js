@@ -1,10 +1,14 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import Database from 'better-sqlite3';
 import { hashKey } from '../src/api/middleware/auth.js';
 import {
   createDb,
   insertApiKey, listApiKeys, deleteApiKey, findApiKeyByHash,
   insertJob, getJob, listJobs, updateJobStatus, updateJobProgress,
-  deleteJob, getExpiredJobs, resetInterruptedJobs, getPendingJobs,
+  deleteJob, getExpiredJobs, resetInterruptedJobs, getPendingJobs, jobRenderOptions, getApiKeyUsageSince,
 } from '../src/api/db.js';
 
 describe('db — api_keys', () => {
@@ -115,8 +119,10 @@ describe('db — jobs', () => {
 
   it('resetInterruptedJobs sets running → failed', () => {
     insertJob(db, { id: 'j1', wow3aName: 'x.wow3a' });
+    insertJob(db, { id: 'j2', wow3aName: 'y.wow3a' });
     updateJobStatus(db, 'j1', 'running');
-    resetInterruptedJobs(db);
+    expect(resetInterruptedJobs(db)).toEqual(['j1']);
+    expect(getJob(db, 'j2').status).toBe('pending');
     const job = getJob(db, 'j1');
     expect(job.status).toBe('failed');
     expect(job.error).toBe('interrupted by restart');
@@ -130,4 +136,102 @@ describe('db — jobs', () => {
     expect(pending).toHaveLength(1);
     expect(pending[0].id).toBe('j2');
   });
+
+  it('getPendingJobs orders by priority, then insertion order', () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a', priority: 10 });
+    insertJob(db, { id: 'j3', wow3aName: 'c.wow3a' });
+    expect(getPendingJobs(db).map(j => j.id)).toEqual(['j2', 'j1', 'j3']);
+  });
+
+  it('records the worker a job runs on', () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    updateJobStatus(db, 'j1', 'running', { worker: 3 });
+    expect(getJob(db, 'j1').worker).toBe(3);
+  });
+
+  it('defaults input/output formats to wow3a → mp4', () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    const job = getJob(db, 'j1');
+    expect(job.input_format).toBe('wow3a');
+    expect(job.output_format).toBe('mp4');
+  });
+
+  it('stores the input and output formats of a job', () => {
+    insertJob(db, { id: 'j1', wow3aName: 'deck.wow3', inputFormat: 'wow3', outputFormat: 'png' });
+    const job = getJob(db, 'j1');
+    expect(job.input_format).toBe('wow3');
+    expect(job.output_format).toBe('png');
+  });
+
+  it('stores render options as JSON and parses them back', () => {
+    insertJob(db, {
+      id: 'j1', wow3aName: 'a.wow3a', outputFormat: 'webm',
+      renderOptions: { codec: 'vp9', resolution: '720p', crf: 28 },
+    });
+    const job = getJob(db, 'j1');
+    expect(job.output_format).toBe('webm');
+    expect(jobRenderOptions(job)).toEqual({ codec: 'vp9', resolution: '720p', crf: 28 });
+  });
+
+  it('returns empty render options for jobs created without any', () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    expect(getJob(db, 'j1').render_options).toBeNull();
+    expect(jobRenderOptions(getJob(db, 'j1'))).toEqual({});
+  });
+});
+
+describe('db — migrations', () => {
+  let dbPath;
+  beforeEach(() => { dbPath = join(tmpdir(), `wow3-db-test-${Date.now()}.sqlite`); });
+  afterEach(async () => {
+    for (const suffix of ['', '-wal', '-shm']) await rm(dbPath + suffix, { force: true });
+  });
+
+  it('adds missing job columns to a database created by an older version', () => {
+    const old = new Database(dbPath);
+    old.exec(`
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY, status TEXT NOT NULL DEFAULT 'pending', wow3a_name TEXT NOT NULL,
+        output_path TEXT, progress INTEGER DEFAULT 0, error TEXT, created_at INTEGER NOT NULL,
+        started_at INTEGER, completed_at INTEGER
+      );
+      INSERT INTO jobs (id, wow3a_name, created_at) VALUES ('old', 'old.wow3a', 1);
+    `);
+    old.close();
+
+    const db = createDb(dbPath);
+    const job = getJob(db, 'old');
+    expect(job.input_format).toBe('wow3a');
+    expect(job.output_format).toBe('mp4');
+    expect(job.render_options).toBeNull();
+    expect(job.priority).toBe(0);
+    db.close();
+  });
+
+  it('fills the daily usage counters from the jobs of a database created by an older version', () => {
+    const day = Date.UTC(2026, 9, 18);
+    const old = new Database(dbPath);
+    old.exec(`
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY, status TEXT NOT NULL DEFAULT 'pending', wow3a_name TEXT NOT NULL,
+        output_path TEXT, progress INTEGER DEFAULT 0, error TEXT, created_at INTEGER NOT NULL,
+        started_at INTEGER, completed_at INTEGER, api_key_id TEXT
+      );
+      INSERT INTO jobs (id, wow3a_name, api_key_id, created_at, started_at, completed_at)
+      VALUES ('a', 'a.wow3a', 'k1', ${day + 1000}, ${day + 2000}, ${day + 62_000}),
+             ('b', 'b.wow3a', 'k1', ${day + 3000}, NULL, NULL),
+             ('c', 'c.wow3a', 'k1', ${day - 1000}, NULL, NULL);
+    `);
+    old.close();
+
+    const db = createDb(dbPath);
+    expect(getApiKeyUsageSince(db, 'k1', day)).toEqual({ jobs: 2, renderMs: 60_000 });
+    db.close();
+
+    // Only once: reopening does not count the jobs again
+    const reopened = createDb(dbPath);
+    expect(getApiKeyUsageSince(reopened, 'k1', day)).toEqual({ jobs: 2, renderMs: 60_000 });
+    reopened.close();
+  });
 });
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import Fastify from 'fastify';
+import { createDb, insertApiKey, insertJob, updateJobStatus } from '../src/api/db.js';
+import { hashKey, createApiKeyAuth } from '../src/api/middleware/auth.js';
+import { createQueue } from '../src/api/queue.js';
+import { jobsRoutes } from '../src/api/routes/jobs.js';
+
+const API_KEY = 'test-api-key-123';
+const AUTH = { 'x-api-key': API_KEY };
+
+async function wait(ms = 50) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/** Parse an SSE body into [{ id?, event, data }] */
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block && !block.startsWith(':')).map((block) => {
+    const evt = {};
+    for (const line of block.split('\n')) {
+      const [field, ...rest] = line.split(': ');
+      evt[field] = field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ');
+    }
+    return evt;
+  });
+}
+
+/** Read a streaming response to its end. */
+async function readStream(res) {
+  let text = '';
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) text += decoder.decode(chunk, { stream: true });
+  return text;
+}
+
+describe('GET /jobs/:id/events', () => {
+  let db, dataDir, queue, app, release;
+
+  beforeEach(async () => {
+    db = createDb(':memory:');
+    insertApiKey(db, { id: 'k1', label: 'test', keyHash: hashKey(API_KEY) });
+
+    dataDir = join(tmpdir(), `wow3-events-test-${Date.now()}`);
+    await mkdir(join(dataDir, 'uploads'), { recursive: true });
+    await mkdir(join(dataDir, 'output'), { recursive: true });
+    await mkdir(join(dataDir, 'logs'), { recursive: true });
+
+    // Renders report two steps, then wait for the test to release them
+    const renderFn = vi.fn().mockImplementation(async ({ onProgress }) => {
+      onProgress('Rendering: 1/4s');
+      await new Promise(resolve => { release = resolve; });
+      onProgress('Rendering: 3/4s');
+    });
+    queue = createQueue({ db, renderFn, dataDir });
+
+    app = Fastify({ logger: false });
+    app.addHook('preHandler', createApiKeyAuth(db));
+    await jobsRoutes(app, { db, queue, dataDir });
+    await app.listen({ port: 0, host: '127.0.0.1' });
+  });
+
+  afterEach(async () => {
+    release?.();
+    await app.close();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  const url = (path) => `http://127.0.0.1:${app.server.address().port}${path}`;
+
+  it('requires an API key and a known job', async () => {
+    expect((await app.inject({ method: 'GET', url: '/jobs/j1/events' })).statusCode).toBe(401);
+    expect((await app.inject({ method: 'GET', url: '/jobs/nope/events', headers: AUTH })).statusCode).toBe(404);
+  });
+
+  it('replays the log of a finished job and ends', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    updateJobStatus(db, 'j1', 'failed', { error: 'render failed' });
+    await writeFile(join(dataDir, 'logs', 'j1.log'), '[t1] Job started\n[t2] ERROR: render failed\n    at x.js:1\n');
+
+    const res = await app.inject({ method: 'GET', url: '/jobs/j1/events', headers: AUTH });
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(parseEvents(res.body)).toEqual([
+      { event: 'status', data: { status: 'failed', progress: 0, error: 'render failed' } },
+      { id: '1', event: 'log', data: { line: '[t1] Job started' } },
+      { id: '2', event: 'log', data: { line: '[t2] ERROR: render failed' } },
+      { event: 'end', data: { status: 'failed', progress: 0, error: 'render failed' } },
+    ]);
+  });
+
+  it('skips log lines up to Last-Event-ID', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.mp4' });
+    await writeFile(join(dataDir, 'logs', 'j1.log'), '[t1] one\n[t2] two\n[t3] three\n');
+
+    const res = await app.inject({
+      method: 'GET', url: '/jobs/j1/events', headers: { ...AUTH, 'last-event-id': '2' },
+    });
+    const logs = parseEvents(res.body).filter(e => e.event === 'log');
+    expect(logs).toEqual([{ id: '3', event: 'log', data: { line: '[t3] three' } }]);
+  });
+
+  it('streams progress, log lines and the final state of a running job', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    await writeFile(join(dataDir, 'uploads', 'j1.wow3a'), 'fake');
+    queue.enqueue();
+    await wait();
+
+    const res = await fetch(url('/jobs/j1/events'), { headers: AUTH });
+    const body = readStream(res);
+    await wait();
+    release();
+
+    const events = parseEvents(await body);
+    expect(events[0]).toEqual({ event: 'status', data: { status: 'running', progress: 25, worker: 1 } });
+
+    const lines = events.filter(e => e.event === 'log').map(e => e.data.line.replace(/^\[[^\]]+\] /, ''));
+    expect(lines).toEqual(['Job started on worker 1', 'Rendering: 1/4s', 'Rendering: 3/4s', 'Job completed']);
+    // Line ids keep counting across the replay and the live part
+    expect(events.filter(e => e.event === 'log').map(e => e.id)).toEqual(['1', '2', '3', '4']);
+
+    expect(events).toContainEqual({ event: 'progress', data: { progress: 75 } });
+    expect(events.at(-1)).toEqual({ event: 'end', data: { status: 'completed', progress: 75 } });
+  });
+
+  it('ends the stream of a pending job that is cancelled', async () => {
+    insertJob(db, { id: 'busy', wow3aName: 'a.wow3a' });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a' });
+    await writeFile(join(dataDir, 'uploads', 'busy.wow3a'), 'fake');
+    queue.enqueue();
+    await wait();
+
+    const res = await fetch(url('/jobs/j2/events'), { headers: AUTH });
+    const body = readStream(res);
+    await wait();
+    queue.kill('j2');
+
+    const events = parseEvents(await body);
+    expect(events[0]).toEqual({ event: 'status', data: { status: 'pending', progress: 0 } });
+    expect(events.at(-1)).toEqual({
+      event: 'end', data: { status: 'failed', progress: 0, error: 'cancelled by user' },
+    });
+  });
+});
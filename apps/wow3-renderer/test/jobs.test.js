@@ -1,12 +1,16 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { mkdir, rm, writeFile, readFile } from 'node:fs/promises';
+import { mkdir, rm, writeFile, readFile, stat } from 'node:fs/promises';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import Fastify from 'fastify';
 import fastifyMultipart from '@fastify/multipart';
 import fastifyCookie from '@fastify/cookie';
 import JSZip from 'jszip';
-import { createDb, insertApiKey, insertJob, updateJobStatus } from '../src/api/db.js';
+import {
+  createDb, insertApiKey, insertJob, updateJobStatus, getJob,
+  insertWebhookDelivery, recordWebhookAttempt, updateApiKey, clearJobOutput, addApiKeyUsage,
+} from '../src/api/db.js';
+import { createCleanup } from '../src/api/cleanup.js';
 import { hashKey } from '../src/api/middleware/auth.js';
 import { createApiKeyAuth } from '../src/api/middleware/auth.js';
 import { jobsRoutes } from '../src/api/routes/jobs.js';
@@ -151,6 +155,437 @@ describe('jobs routes', () => {
     expect(queue.enqueue).toHaveBeenCalledOnce();
   });
 
+  it('POST /jobs accepts a .wow3 deck and records its formats', async () => {
+    const boundary = 'b4';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="deck.wow3"',
+      'Content-Type: application/zip',
+      '',
+      'fakedata',
+      `--${boundary}--`,
+    ].join('\r\n');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?format=png',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+
+    expect(res.statusCode).toBe(202);
+    const { jobId } = res.json();
+    const job = getJob(db, jobId);
+    expect(job.input_format).toBe('wow3');
+    expect(job.output_format).toBe('png');
+    expect((await readFile(join(dataDir, 'uploads', `${jobId}.wow3`))).toString()).toBe('fakedata');
+  });
+
+  it('POST /jobs wraps a JSON body with slides into a .wow3', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Deck', slides: [] }),
+    });
+
+    expect(res.statusCode).toBe(202);
+    const { jobId } = res.json();
+    expect(getJob(db, jobId).wow3a_name).toBe('Deck.wow3');
+
+    const zip = await JSZip.loadAsync(await readFile(join(dataDir, 'uploads', `${jobId}.wow3`)));
+    const pres = JSON.parse(await zip.file('presentation.json').async('string'));
+    expect(pres.title).toBe('Deck');
+  });
+
+  it('POST /jobs returns 400 for an unknown output format', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?format=avi',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Deck', slides: [] }),
+    });
+    expect(res.statusCode).toBe(400);
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('POST /jobs returns 400 for PNG output of a .wow3a project', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?format=png',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /jobs stores render options from the multipart options field', async () => {
+    const boundary = 'b5';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="pres.wow3a"',
+      'Content-Type: application/octet-stream',
+      '',
+      'fakedata',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="options"',
+      '',
+      JSON.stringify({ format: 'webm', resolution: '720p', fps: 24, crf: 30 }),
+      `--${boundary}--`,
+    ].join('\r\n');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+
+    expect(res.statusCode).toBe(202);
+    const { jobId, options } = res.json();
+    expect(options).toEqual({ format: 'webm', resolution: '720p', fps: 24, codec: 'vp9', crf: 30 });
+
+    const job = getJob(db, jobId);
+    expect(job.output_format).toBe('webm');
+    expect(JSON.parse(job.render_options)).toEqual({ resolution: '720p', fps: 24, codec: 'vp9', crf: 30 });
+  });
+
+  it('POST /jobs accepts a { project, options } JSON envelope', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({
+        project: { title: 'Overlay', tracks: [] },
+        options: { format: 'mov', codec: 'prores', alpha: true },
+      }),
+    });
+
+    expect(res.statusCode).toBe(202);
+    const { jobId } = res.json();
+    const job = getJob(db, jobId);
+    expect(job.wow3a_name).toBe('Overlay.wow3a');
+    expect(job.output_format).toBe('mov');
+
+    const zip = await JSZip.loadAsync(await readFile(join(dataDir, 'uploads', `${jobId}.wow3a`)));
+    const pj = JSON.parse(await zip.file('project.json').async('string'));
+    expect(pj.title).toBe('Overlay');
+  });
+
+  it('POST /jobs lets options.format win over ?format=', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?format=png',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ project: { title: 'Deck', slides: [] }, options: { format: 'gif' } }),
+    });
+
+    expect(res.statusCode).toBe(202);
+    expect(getJob(db, res.json().jobId).output_format).toBe('gif');
+  });
+
+  it('POST /jobs returns 400 for invalid render options', async () => {
+    const cases = [
+      { format: 'webm', codec: 'h264' },
+      { format: 'gif', crf: 10 },
+      { format: 'mp4', alpha: true },
+      { resolution: '1281x720' },
+      { fps: 0 },
+      { bitrate: '5M' },
+    ];
+    for (const options of cases) {
+      const res = await app.inject({
+        method: 'POST', url: '/jobs',
+        headers: { ...AUTH, 'content-type': 'application/json' },
+        payload: JSON.stringify({ project: { title: 'Anim', tracks: [] }, options }),
+      });
+      expect(res.statusCode, JSON.stringify(options)).toBe(400);
+      expect(res.json().error).toBeTruthy();
+    }
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('POST /jobs returns 400 when the options field is not JSON', async () => {
+    const boundary = 'b6';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="options"',
+      '',
+      'format=webm',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="pres.wow3a"',
+      'Content-Type: application/octet-stream',
+      '',
+      'fakedata',
+      `--${boundary}--`,
+    ].join('\r\n');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /jobs records the submitting API key and the priority', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?priority=high',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+
+    expect(res.statusCode).toBe(202);
+    const job = getJob(db, res.json().jobId);
+    expect(job.api_key_id).toBe('k1');
+    expect(job.priority).toBe(10);
+  });
+
+  it('POST /jobs returns 400 for an unknown priority', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs?priority=urgent',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.json().error).toMatch(/low, normal, high/);
+  });
+
+  it('POST /jobs stores the requested retention', async () => {
+    const post = (keep) => app.inject({
+      method: 'POST', url: `/jobs?keep=${keep}`,
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+
+    const week = getJob(db, (await post('7d')).json().jobId);
+    expect(week).toMatchObject({ keep_ms: 7 * 24 * 60 * 60 * 1000, pinned: 0 });
+    const pinned = getJob(db, (await post('pinned')).json().jobId);
+    expect(pinned).toMatchObject({ keep_ms: null, pinned: 1 });
+
+    const bad = await post('forever');
+    expect(bad.statusCode).toBe(400);
+    expect(bad.json().error).toMatch(/"keep"/);
+  });
+
+  it('POST /jobs stores the webhook of a JSON envelope', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({
+        project: { title: 'Anim', tracks: [] },
+        callbackUrl: 'https://example.com/hooks/wow3',
+        callbackSecret: 's3cret',
+      }),
+    });
+
+    expect(res.statusCode).toBe(202);
+    const job = getJob(db, res.json().jobId);
+    expect(job.callback_url).toBe('https://example.com/hooks/wow3');
+    expect(job.callback_secret).toBe('s3cret');
+  });
+
+  it('POST /jobs reads the webhook from multipart fields', async () => {
+    const boundary = 'b7';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="pres.wow3a"',
+      'Content-Type: application/octet-stream',
+      '',
+      'fakedata',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="callbackUrl"',
+      '',
+      'http://127.0.0.1:9000/done',
+      `--${boundary}--`,
+    ].join('\r\n');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+
+    expect(res.statusCode).toBe(202);
+    const job = getJob(db, res.json().jobId);
+    expect(job.callback_url).toBe('http://127.0.0.1:9000/done');
+    expect(job.callback_secret).toBeNull();
+  });
+
+  it('POST /jobs returns 400 for an invalid webhook', async () => {
+    const cases = [
+      { callbackUrl: 'not a url' },
+      { callbackUrl: 'ftp://example.com/hook' },
+      { callbackSecret: 'orphan' },
+      { callbackUrl: 'https://example.com/hook', callbackSecret: '' },
+    ];
+    for (const callback of cases) {
+      const res = await app.inject({
+        method: 'POST', url: '/jobs',
+        headers: { ...AUTH, 'content-type': 'application/json' },
+        payload: JSON.stringify({ project: { title: 'Anim', tracks: [] }, ...callback }),
+      });
+      expect(res.statusCode, JSON.stringify(callback)).toBe(400);
+      expect(res.json().error).toMatch(/callback/);
+    }
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('POST /jobs returns 429 once the daily job limit of the key is reached', async () => {
+    updateApiKey(db, 'k1', { limits: { maxJobsPerDay: 2 } });
+    const submit = () => app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+
+    expect((await submit()).statusCode).toBe(202);
+    expect((await submit()).statusCode).toBe(202);
+    const res = await submit();
+    expect(res.statusCode).toBe(429);
+    expect(res.json().error).toMatch(/2 jobs per day/);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+
+  it('POST /jobs keeps the daily job limit when retention deletes the jobs', async () => {
+    updateApiKey(db, 'k1', { limits: { maxJobsPerDay: 2 } });
+    const submit = () => app.inject({
+      method: 'POST', url: '/jobs?keep=1m',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+
+    const ids = [];
+    for (let i = 0; i < 2; i++) ids.push((await submit()).json().jobId);
+    for (const id of ids) {
+      db.prepare("UPDATE jobs SET status = 'completed', started_at = ?, completed_at = ? WHERE id = ?")
+        .run(Date.now() - 3 * 60_000, Date.now() - 2 * 60_000, id);
+    }
+    await createCleanup(db, dataDir).runPass();
+    expect(ids.map(id => getJob(db, id))).toEqual([undefined, undefined]);
+
+    const res = await submit();
+    expect(res.statusCode).toBe(429);
+    expect(res.json().error).toMatch(/2 jobs per day/);
+  });
+
+  it('POST /jobs returns 429 once the daily render time of the key is used up', async () => {
+    updateApiKey(db, 'k1', { limits: { maxRenderMinutesPerDay: 1 } });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+    db.prepare('UPDATE jobs SET status = ?, started_at = ?, completed_at = ? WHERE id = ?')
+      .run('completed', Date.now() - 61_000, Date.now(), 'j1');
+    addApiKeyUsage(db, 'k1', { renderMs: 61_000 });
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+    expect(res.statusCode).toBe(429);
+    expect(res.json().error).toMatch(/1 minutes per day/);
+  });
+
+  it('POST /jobs counts the render time of running jobs', async () => {
+    updateApiKey(db, 'k1', { limits: { maxRenderMinutesPerDay: 1 } });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+    db.prepare('UPDATE jobs SET status = ?, started_at = ? WHERE id = ?')
+      .run('running', Date.now() - 61_000, 'j1');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+    expect(res.statusCode).toBe(429);
+  });
+
+  it('POST /jobs keeps the daily job limit for parallel submissions', async () => {
+    updateApiKey(db, 'k1', { limits: { maxJobsPerDay: 1 } });
+    const submit = () => app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+
+    const codes = (await Promise.all([submit(), submit(), submit()])).map(res => res.statusCode);
+    expect(codes.sort()).toEqual([202, 429, 429]);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM jobs').get().n).toBe(1);
+  });
+
+  it('POST /jobs returns 413 when the upload exceeds the key limit', async () => {
+    updateApiKey(db, 'k1', { limits: { maxUploadMb: 1 } });
+    const boundary = 'b8';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="big.wow3a"',
+      'Content-Type: application/octet-stream',
+      '',
+      'x'.repeat(1024 * 1024 + 1),
+      `--${boundary}--`,
+    ].join('\r\n');
+
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+    expect(res.statusCode).toBe(413);
+    expect(res.json().error).toMatch(/1 MB/);
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('POST /jobs records the size of the upload', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({ title: 'Anim', tracks: [] }),
+    });
+    const { jobId } = res.json();
+    const { size } = await stat(join(dataDir, 'uploads', `${jobId}.wow3a`));
+    expect(getJob(db, jobId).input_bytes).toBe(size);
+  });
+
+  // POST /jobs/validate
+  it('POST /jobs/validate reports problems without creating a job', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/jobs/validate',
+      headers: { ...AUTH, 'content-type': 'application/json' },
+      payload: JSON.stringify({
+        project: { title: 'Anim', tracks: [{ type: 'visual', clips: [
+          { type: 'visual', elementType: 'image', startMs: 0, endMs: 2500, properties: { url: 'assets/logo.png' } },
+        ] }] },
+        options: { fps: 500 },
+      }),
+    });
+
+    expect(res.statusCode).toBe(200);
+    const json = res.json();
+    expect(json.valid).toBe(false);
+    expect(json.errors.map(e => e.path)).toEqual(['tracks[0].clips[0].properties.url', 'options']);
+    expect(json.info).toMatchObject({ inputFormat: 'wow3a', durationMs: 2500, clips: 1 });
+    expect(json.options).toBeNull();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM jobs').get().n).toBe(0);
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('POST /jobs/validate accepts a valid .wow3a upload', async () => {
+    const zip = new JSZip();
+    zip.file('project.json', JSON.stringify({ tracks: [{ type: 'visual', clips: [
+      { type: 'visual', elementType: 'text', startMs: 0, endMs: 1000, properties: { text: 'Hi' } },
+    ] }] }));
+    const archive = await zip.generateAsync({ type: 'nodebuffer' });
+    const boundary = 'v1';
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="a.wow3a"\r\nContent-Type: application/zip\r\n\r\n`),
+      archive,
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+    const res = await app.inject({
+      method: 'POST', url: '/jobs/validate?format=webm',
+      headers: { ...AUTH, 'content-type': `multipart/form-data; boundary=${boundary}` },
+      payload: body,
+    });
+
+    expect(res.json()).toMatchObject({
+      valid: true, errors: [], warnings: [],
+      info: { durationMs: 1000 }, options: { format: 'webm', codec: 'vp9' },
+    });
+  });
+
   // GET /jobs/:id/status
   it('GET /jobs/:id/status returns 404 for unknown job', async () => {
     const res = await app.inject({
@@ -168,9 +603,96 @@ describe('jobs routes', () => {
     const json = res.json();
     expect(json.status).toBe('pending');
     expect(json.progress).toBe(0);
+    expect(json.options).toEqual({ format: 'mp4' });
+    expect(json.webhook).toBeUndefined();
+  });
+
+  it('GET /jobs/:id/status reports the retention of a job', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a', keepMs: 60 * 60 * 1000 });
+    insertJob(db, { id: 'j3', wow3aName: 'c.wow3a', pinned: true });
+    for (const id of ['j2', 'j3']) updateJobStatus(db, id, 'completed', { outputPath: `/tmp/${id}.mp4` });
+
+    const status = async (id) => (await app.inject({ method: 'GET', url: `/jobs/${id}/status`, headers: AUTH })).json();
+    expect(await status('j1')).toMatchObject({ keep: null, expiresAt: null });
+    const j2 = await status('j2');
+    expect(j2.keep).toBe('1h');
+    expect(j2.expiresAt).toBe(getJob(db, 'j2').completed_at + 60 * 60 * 1000);
+    expect(await status('j3')).toMatchObject({ keep: 'pinned', expiresAt: null });
+  });
+
+  it('GET /jobs/:id/status reports webhook deliveries without the secret', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'test.wow3a', callbackUrl: 'https://example.com/hook', callbackSecret: 'xyz' });
+    updateJobStatus(db, 'j1', 'failed', { error: 'boom' });
+    const deliveryId = insertWebhookDelivery(db, {
+      jobId: 'j1', event: 'error', url: 'https://example.com/hook', secret: 'xyz', payload: '{}',
+    });
+    recordWebhookAttempt(db, deliveryId, { delivered: false, statusCode: 503, error: 'HTTP 503', nextAttemptAt: 12345 });
+
+    const res = await app.inject({ method: 'GET', url: '/jobs/j1/status', headers: AUTH });
+    expect(res.json().webhook).toEqual({
+      url: 'https://example.com/hook',
+      deliveries: [{
+        event: 'error', status: 'pending', attempts: 1, lastStatus: 503,
+        lastError: 'HTTP 503', nextAttemptAt: 12345, deliveredAt: null,
+      }],
+    });
+    expect(res.body).not.toContain('xyz');
   });
 
   // GET /jobs/:id/result
+  it('GET /jobs/:id/result?artifact= streams the poster, sprite and thumbnails track', async () => {
+    const poster = join(dataDir, 'output', 'j1.poster.jpg');
+    const vtt = join(dataDir, 'output', 'j1.vtt');
+    await writeFile(poster, 'jpeg');
+    await writeFile(vtt, 'WEBVTT\n');
+    insertJob(db, { id: 'j1', wow3aName: 'deck.wow3', renderOptions: { poster: true, storyboard: true } });
+    updateJobStatus(db, 'j1', 'completed', {
+      outputPath: join(dataDir, 'output', 'j1.mp4'),
+      artifacts: { poster, sprite: join(dataDir, 'output', 'j1.sprite.jpg'), vtt },
+    });
+
+    let res = await app.inject({ method: 'GET', url: '/jobs/j1/result?artifact=poster', headers: AUTH });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.headers['content-disposition']).toBe('inline; filename="deck-poster.jpg"');
+    expect(res.body).toBe('jpeg');
+
+    res = await app.inject({ method: 'GET', url: '/jobs/j1/result?artifact=vtt', headers: AUTH });
+    expect(res.headers['content-type']).toMatch(/^text\/vtt/);
+
+    // Tracked but gone from disk
+    res = await app.inject({ method: 'GET', url: '/jobs/j1/result?artifact=sprite', headers: AUTH });
+    expect(res.statusCode).toBe(410);
+
+    res = await app.inject({ method: 'GET', url: '/jobs/j1/status', headers: AUTH });
+    expect(res.json().artifacts).toEqual(['poster', 'sprite', 'vtt']);
+  });
+
+  it('GET /jobs/:id/result?artifact= returns 404 for artifacts not requested and 400 for unknown ones', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a' });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.mp4' });
+
+    let res = await app.inject({ method: 'GET', url: '/jobs/j1/result?artifact=vtt', headers: AUTH });
+    expect(res.statusCode).toBe(404);
+    expect(res.json().error).toMatch(/"storyboard" render option/);
+
+    res = await app.inject({ method: 'GET', url: '/jobs/j1/result?artifact=gif', headers: AUTH });
+    expect(res.statusCode).toBe(400);
+    expect(res.json().error).toMatch(/poster, sprite, vtt/);
+  });
+
+  it('GET /jobs/:id/result returns 410 for an evicted output', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'test.wow3a' });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.mp4' });
+    clearJobOutput(db, 'j1');
+
+    const res = await app.inject({ method: 'GET', url: '/jobs/j1/result', headers: AUTH });
+    expect(res.statusCode).toBe(410);
+    expect(res.json().error).toMatch(/disk budget/);
+    expect((await app.inject({ method: 'GET', url: '/jobs/j1/status', headers: AUTH })).json().evictedAt).toBeTypeOf('number');
+  });
+
   it('GET /jobs/:id/result returns 404 for non-completed job', async () => {
     insertJob(db, { id: 'j1', wow3aName: 'test.wow3a' });
     const res = await app.inject({
@@ -202,4 +724,34 @@ describe('jobs routes', () => {
     expect(res.headers['content-type']).toContain('video/mp4');
     expect(res.rawPayload.toString()).toBe('fake-mp4-data');
   });
+
+  it('GET /jobs/:id/result serves a WebM with its content type and name', async () => {
+    const webmPath = join(dataDir, 'output', 'j1.webm');
+    await writeFile(webmPath, Buffer.from('fake-webm-data'));
+
+    insertJob(db, { id: 'j1', wow3aName: 'clip.wow3a', outputFormat: 'webm', renderOptions: { codec: 'vp9' } });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: webmPath });
+
+    const res = await app.inject({
+      method: 'GET', url: '/jobs/j1/result', headers: AUTH,
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('video/webm');
+    expect(res.headers['content-disposition']).toContain('clip.webm');
+  });
+
+  it('GET /jobs/:id/result streams the slide ZIP of a PNG job', async () => {
+    const zipPath = join(dataDir, 'output', 'j1.zip');
+    await writeFile(zipPath, Buffer.from('fake-zip-data'));
+
+    insertJob(db, { id: 'j1', wow3aName: 'deck.wow3', inputFormat: 'wow3', outputFormat: 'png' });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: zipPath });
+
+    const res = await app.inject({
+      method: 'GET', url: '/jobs/j1/result', headers: AUTH,
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('application/zip');
+    expect(res.headers['content-disposition']).toContain('deck-slides.zip');
+  });
 });
@@ -2,7 +2,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { mkdir, rm, writeFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
-import { createDb, insertJob, getJob } from '../src/api/db.js';
+import { createDb, insertJob, getJob, insertApiKey, getApiKey, addApiKeyUsage } from '../src/api/db.js';
 import { createQueue } from '../src/api/queue.js';
 
 async function wait(ms = 50) {
@@ -39,6 +39,25 @@ describe('queue', () => {
     expect(getJob(db, id).status).toBe('completed');
   });
 
+  it('records the artifacts renderFn made with the output', async () => {
+    insertJob(db, { id: 'j1', wow3aName: 'test.wow3a', renderOptions: { poster: true, storyboard: 10 } });
+    await writeFile(join(dataDir, 'uploads', 'j1.wow3a'), 'fake');
+
+    const artifacts = {
+      poster: join(dataDir, 'output', 'j1.poster.jpg'),
+      sprite: join(dataDir, 'output', 'j1.sprite.jpg'),
+      vtt: join(dataDir, 'output', 'j1.vtt'),
+    };
+    const renderFn = vi.fn().mockResolvedValue({ artifacts });
+    createQueue({ db, renderFn, dataDir }).enqueue();
+    await wait(100);
+
+    expect(renderFn.mock.calls[0][0].renderOptions).toEqual({ poster: true, storyboard: 10 });
+    expect(getJob(db, 'j1')).toMatchObject({
+      status: 'completed', poster_path: artifacts.poster, sprite_path: artifacts.sprite, vtt_path: artifacts.vtt,
+    });
+  });
+
   it('marks job as failed when renderFn throws', async () => {
     const id = 'j2';
     insertJob(db, { id, wow3aName: 'test.wow3a' });
@@ -78,6 +97,136 @@ describe('queue', () => {
     expect(order).toEqual(['start:a', 'end:a', 'start:b', 'end:b']);
   });
 
+  it('runs up to `concurrency` jobs at once and records their worker', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const renderFn = vi.fn().mockImplementation(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await wait(40);
+      active--;
+    });
+
+    for (const id of ['a', 'b', 'c']) {
+      insertJob(db, { id, wow3aName: `${id}.wow3a` });
+      await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+    }
+
+    const queue = createQueue({ db, renderFn, dataDir, concurrency: 2 });
+    queue.enqueue();
+
+    await wait(10);
+    expect(queue.workers()).toEqual([{ worker: 1, jobId: 'a' }, { worker: 2, jobId: 'b' }]);
+    expect(getJob(db, 'b').worker).toBe(2);
+
+    await wait(200);
+    expect(maxActive).toBe(2);
+    expect(renderFn).toHaveBeenCalledTimes(3);
+    expect(queue.workers()).toEqual([{ worker: 1, jobId: null }, { worker: 2, jobId: null }]);
+  });
+
+  it('shares workers fairly between API keys', async () => {
+    const started = [];
+    const renderFn = vi.fn().mockImplementation(async ({ inputPath }) => {
+      started.push(inputPath.split('/').pop().replace('.wow3a', ''));
+      await wait(30);
+    });
+
+    // Key A floods the queue before key B submits a single job
+    for (const [id, apiKeyId] of [['a1', 'A'], ['a2', 'A'], ['a3', 'A'], ['b1', 'B']]) {
+      insertJob(db, { id, wow3aName: `${id}.wow3a`, apiKeyId });
+      await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+    }
+
+    const queue = createQueue({ db, renderFn, dataDir, concurrency: 2 });
+    queue.enqueue();
+
+    await wait(10);
+    expect(started).toEqual(['a1', 'b1']);
+  });
+
+  it('holds back jobs of a key at its concurrent job limit', async () => {
+    const started = [];
+    const renderFn = vi.fn().mockImplementation(async ({ inputPath }) => {
+      started.push(inputPath.split('/').pop().replace('.wow3a', ''));
+      await wait(30);
+    });
+
+    insertApiKey(db, { id: 'A', label: 'a', keyHash: 'ha', limits: { maxConcurrentJobs: 1 } });
+    // A's second job has the higher priority but must wait for its first one
+    for (const [id, apiKeyId, priority] of [['a1', 'A', 0], ['a2', 'A', 10], ['b1', 'B', 0]]) {
+      insertJob(db, { id, wow3aName: `${id}.wow3a`, apiKeyId, priority });
+      await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+    }
+
+    const queue = createQueue({ db, renderFn, dataDir, concurrency: 3 });
+    queue.enqueue();
+
+    await wait(10);
+    expect(started).toEqual(['a2', 'b1']);
+    await wait(100);
+    expect(started).toEqual(['a2', 'b1', 'a1']);
+  });
+
+  it('holds back jobs of a key that used up its daily render time', async () => {
+    const started = [];
+    const renderFn = vi.fn().mockImplementation(async ({ inputPath }) => {
+      started.push(inputPath.split('/').pop().replace('.wow3a', ''));
+    });
+
+    insertApiKey(db, { id: 'A', label: 'a', keyHash: 'ha', limits: { maxRenderMinutesPerDay: 1 } });
+    addApiKeyUsage(db, 'A', { renderMs: 60_000 });
+    for (const [id, apiKeyId] of [['a1', 'A'], ['b1', 'B']]) {
+      insertJob(db, { id, wow3aName: `${id}.wow3a`, apiKeyId });
+      await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+    }
+
+    const queue = createQueue({ db, renderFn, dataDir, concurrency: 2 });
+    queue.enqueue();
+    await wait(100);
+
+    expect(started).toEqual(['b1']);
+    expect(getJob(db, 'a1').status).toBe('pending');
+  });
+
+  it('adds render time and output size to the usage of the key', async () => {
+    insertApiKey(db, { id: 'A', label: 'a', keyHash: 'ha' });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'A' });
+    await writeFile(join(dataDir, 'uploads', 'j1.wow3a'), 'fake');
+
+    const renderFn = vi.fn().mockImplementation(async ({ outputPath }) => {
+      await wait(30);
+      await writeFile(outputPath, Buffer.alloc(1234));
+    });
+    const queue = createQueue({ db, renderFn, dataDir });
+    queue.enqueue();
+    await wait(100);
+
+    expect(getJob(db, 'j1').output_bytes).toBe(1234);
+    const key = getApiKey(db, 'A');
+    expect(key.usage_jobs).toBe(1);
+    expect(key.usage_output_bytes).toBe(1234);
+    expect(key.usage_render_ms).toBeGreaterThanOrEqual(25);
+  });
+
+  it('starts higher-priority jobs first', async () => {
+    const order = [];
+    const renderFn = vi.fn().mockImplementation(async ({ inputPath }) => {
+      order.push(inputPath.split('/').pop().replace('.wow3a', ''));
+    });
+
+    insertJob(db, { id: 'old', wow3aName: 'old.wow3a' });
+    insertJob(db, { id: 'urgent', wow3aName: 'urgent.wow3a', priority: 10 });
+    insertJob(db, { id: 'later', wow3aName: 'later.wow3a', priority: -10 });
+    for (const id of ['old', 'urgent', 'later']) await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+
+    const queue = createQueue({ db, renderFn, dataDir });
+    queue.enqueue();
+
+    await wait(100);
+    expect(order).toEqual(['urgent', 'old', 'later']);
+  });
+
   it('updates progress from onProgress callback', async () => {
     const id = 'j3';
     insertJob(db, { id, wow3aName: 'test.wow3a' });
@@ -95,4 +244,78 @@ describe('queue', () => {
 
     expect(getJob(db, id).progress).toBe(60); // 3/5 = 60%
   });
+
+  it('uses .wow3 input and .zip output paths for slide image jobs', async () => {
+    const id = 'j4';
+    insertJob(db, { id, wow3aName: 'deck.wow3', inputFormat: 'wow3', outputFormat: 'png' });
+    await writeFile(join(dataDir, 'uploads', `${id}.wow3`), 'fake');
+
+    const renderFn = vi.fn().mockImplementation(async ({ onProgress }) => {
+      onProgress('Rendering: 1/4 slides');
+    });
+    const queue = createQueue({ db, renderFn, dataDir });
+    queue.enqueue();
+
+    await wait(100);
+
+    const [call] = renderFn.mock.calls;
+    expect(call[0].inputPath).toBe(join(dataDir, 'uploads', `${id}.wow3`));
+    expect(call[0].outputPath).toBe(join(dataDir, 'output', `${id}.zip`));
+    expect(call[0].inputFormat).toBe('wow3');
+    expect(call[0].outputFormat).toBe('png');
+    expect(getJob(db, id).progress).toBe(25);
+  });
+
+  it('passes the stored render options and container to renderFn', async () => {
+    const id = 'j5';
+    insertJob(db, {
+      id, wow3aName: 'test.wow3a', outputFormat: 'mov',
+      renderOptions: { codec: 'prores', alpha: true, fps: 25 },
+    });
+    await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+
+    const renderFn = vi.fn().mockResolvedValue(undefined);
+    const queue = createQueue({ db, renderFn, dataDir });
+    queue.enqueue();
+
+    await wait(100);
+
+    const [call] = renderFn.mock.calls;
+    expect(call[0].outputPath).toBe(join(dataDir, 'output', `${id}.mov`));
+    expect(call[0].outputFormat).toBe('mov');
+    expect(call[0].renderOptions).toEqual({ codec: 'prores', alpha: true, fps: 25 });
+  });
+
+  it('reports how each job finished', async () => {
+    for (const id of ['ok', 'bad', 'slow', 'queued']) {
+      insertJob(db, { id, wow3aName: 'test.wow3a' });
+      await writeFile(join(dataDir, 'uploads', `${id}.wow3a`), 'fake');
+    }
+
+    const renderFn = vi.fn().mockImplementation(async ({ inputPath, signal }) => {
+      const id = inputPath.split('/').pop().replace('.wow3a', '');
+      if (id === 'bad') throw new Error('render failed');
+      if (id === 'slow') {
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+      }
+    });
+    const onJobFinished = vi.fn();
+    const queue = createQueue({ db, renderFn, dataDir, onJobFinished });
+    queue.enqueue();
+
+    await wait(50);
+    expect(getJob(db, 'slow').status).toBe('running');
+    expect(queue.kill('queued')).toBe(true);
+    expect(queue.kill('slow')).toBe(true);
+    await wait(50);
+
+    expect(onJobFinished.mock.calls).toEqual([
+      ['ok', 'done'],
+      ['bad', 'error'],
+      ['queued', 'cancelled'],
+      ['slow', 'cancelled'],
+    ]);
+  });
 });
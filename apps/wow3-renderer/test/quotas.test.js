@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createDb, insertApiKey, insertJob, getApiKey, deleteJob, addApiKeyUsage } from '../src/api/db.js';
+import { normalizeKeyLimits, keyStatus, dayStart, checkDailyQuota } from '../src/api/quotas.js';
+
+describe('quotas', () => {
+  let db;
+  beforeEach(() => { db = createDb(':memory:'); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('normalizes limits, keeping null to remove one', () => {
+    expect(normalizeKeyLimits(undefined)).toEqual({ limits: {}, error: null });
+    expect(normalizeKeyLimits({ maxConcurrentJobs: 3, maxUploadMb: null }).limits)
+      .toEqual({ maxConcurrentJobs: 3, maxUploadMb: null });
+    expect(normalizeKeyLimits({ maxJobsPerDay: 1.5 }).error).toMatch(/integer/);
+    expect(normalizeKeyLimits({ maxJobsPerDay: -1 }).error).toMatch(/integer/);
+    expect(normalizeKeyLimits({ gpus: 1 }).error).toMatch(/Unknown limit/);
+    expect(normalizeKeyLimits([1]).error).toMatch(/object/);
+  });
+
+  it('derives the key status, disabled before expired', () => {
+    const now = 1_000_000;
+    expect(keyStatus({ disabled_at: null, expires_at: null }, now)).toBe('active');
+    expect(keyStatus({ disabled_at: null, expires_at: now + 1 }, now)).toBe('active');
+    expect(keyStatus({ disabled_at: null, expires_at: now }, now)).toBe('expired');
+    expect(keyStatus({ disabled_at: 5, expires_at: now - 1 }, now)).toBe('disabled');
+  });
+
+  it('resets daily limits at midnight UTC', () => {
+    expect(dayStart(Date.UTC(2026, 9, 18, 23, 59))).toBe(Date.UTC(2026, 9, 18));
+  });
+
+  it('counts only jobs submitted since the start of the day', () => {
+    insertApiKey(db, { id: 'k1', label: 'a', keyHash: 'h', limits: { maxJobsPerDay: 1 } });
+    const now = Date.UTC(2026, 9, 18, 12);
+    vi.useFakeTimers({ now: Date.UTC(2026, 9, 17, 23) });
+    insertJob(db, { id: 'old', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+
+    const key = getApiKey(db, 'k1');
+    expect(checkDailyQuota(db, key, now)).toBeNull();
+
+    vi.setSystemTime(now - 1000);
+    insertJob(db, { id: 'new', wow3aName: 'b.wow3a', apiKeyId: 'k1' });
+    expect(checkDailyQuota(db, key, now)).toEqual({
+      error: 'Daily job limit reached (1 jobs per day)',
+      retryAfter: 12 * 60 * 60,
+    });
+  });
+
+  it('keeps counting the jobs and render time of deleted jobs', () => {
+    insertApiKey(db, { id: 'k1', label: 'a', keyHash: 'h', limits: { maxJobsPerDay: 1, maxRenderMinutesPerDay: 1 } });
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', apiKeyId: 'k1' });
+    addApiKeyUsage(db, 'k1', { renderMs: 30_000 });
+    deleteJob(db, 'j1');
+
+    const key = getApiKey(db, 'k1');
+    expect(checkDailyQuota(db, key)?.error).toMatch(/1 jobs per day/);
+    db.prepare('UPDATE api_key_daily_usage SET jobs = 0').run();
+    expect(checkDailyQuota(db, key)).toBeNull();
+    addApiKeyUsage(db, 'k1', { renderMs: 30_000 });
+    expect(checkDailyQuota(db, key)?.error).toMatch(/1 minutes per day/);
+  });
+});
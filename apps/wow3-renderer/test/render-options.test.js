@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeRenderOptions, resolveResolution } from '../src/render-options.js';
+import { videoEncoderArgs } from '../src/formats.js';
+
+describe('render options', () => {
+  it('defaults to H.264 MP4', () => {
+    expect(normalizeRenderOptions(undefined, 'wow3a')).toEqual({
+      options: { format: 'mp4', codec: 'h264' }, error: null,
+    });
+  });
+
+  it('keeps only the options that were given, plus the default codec', () => {
+    const { options } = normalizeRenderOptions({ format: 'mov', alpha: true, resolution: '4K' }, 'wow3');
+    expect(options).toEqual({ format: 'mov', codec: 'prores', resolution: '4k', alpha: true });
+  });
+
+  it('accepts png with a resolution only', () => {
+    expect(normalizeRenderOptions({ format: 'png', resolution: '720p' }, 'wow3').options)
+      .toEqual({ format: 'png', resolution: '720p' });
+    expect(normalizeRenderOptions({ format: 'png', fps: 30 }, 'wow3').error).toMatch(/do not apply to png/);
+  });
+
+  it('rejects out-of-range values', () => {
+    expect(normalizeRenderOptions({ fps: 121 }, 'wow3a').error).toMatch(/fps/);
+    expect(normalizeRenderOptions({ format: 'gif', fps: 60 }, 'wow3a').error).toMatch(/between 1 and 50/);
+    expect(normalizeRenderOptions({ crf: 52 }, 'wow3a').error).toMatch(/between 0 and 51/);
+    expect(normalizeRenderOptions({ format: 'webm', crf: 63 }, 'wow3a').error).toBeNull();
+    expect(normalizeRenderOptions({ resolution: '8000x4000' }, 'wow3a').error).toMatch(/between/);
+    expect(normalizeRenderOptions({ resolution: 'huge' }, 'wow3a').error).toMatch(/resolution/);
+  });
+
+  it('rejects png for .wow3a input and non-object options', () => {
+    expect(normalizeRenderOptions({ format: 'png' }, 'wow3a').error).toMatch(/not available/);
+    expect(normalizeRenderOptions('webm', 'wow3a').error).toMatch(/must be an object/);
+  });
+
+  it('resolves presets on the short side, keeping the aspect ratio', () => {
+    expect(resolveResolution('720p', { width: 1920, height: 1080 })).toEqual({ width: 1280, height: 720 });
+    expect(resolveResolution('1080p', { width: 720, height: 1280 })).toEqual({ width: 1080, height: 1920 });
+    expect(resolveResolution('480p', { width: 1000, height: 1000 })).toEqual({ width: 480, height: 480 });
+    expect(resolveResolution('640x640', { width: 1920, height: 1080 })).toEqual({ width: 640, height: 640 });
+    expect(resolveResolution(undefined, { width: 1920, height: 1080 })).toEqual({ width: 1920, height: 1080 });
+  });
+});
+
+describe('videoEncoderArgs', () => {
+  it('encodes H.264 MP4 at CRF 18 by default', () => {
+    const args = videoEncoderArgs({ outputFormat: 'mp4' });
+    expect(args).toEqual(expect.arrayContaining(['libx264', '-crf', '18', 'yuv420p', '+faststart']));
+    expect(args).not.toContain('-vf');
+  });
+
+  it('letterboxes into the requested size, transparently with alpha', () => {
+    const args = videoEncoderArgs({ outputFormat: 'webm', alpha: true, crf: 40, size: { width: 640, height: 640 } });
+    expect(args[args.indexOf('-vf') + 1]).toBe(
+      'scale=640:640:force_original_aspect_ratio=decrease,pad=640:640:-1:-1:color=black@0'
+    );
+    expect(args).toEqual(expect.arrayContaining(['libvpx-vp9', '40', 'yuva420p']));
+  });
+
+  it('uses ProRes 4444 for alpha and 422 HQ otherwise', () => {
+    expect(videoEncoderArgs({ outputFormat: 'mov', alpha: true })).toEqual(expect.arrayContaining(['4444', 'yuva444p10le']));
+    expect(videoEncoderArgs({ outputFormat: 'mov' })).toEqual(expect.arrayContaining(['3', 'yuv422p10le']));
+  });
+
+  it('prepends scaling to the GIF palette graph', () => {
+    const args = videoEncoderArgs({ outputFormat: 'gif', size: { width: 480, height: 270 } });
+    const graph = args[args.indexOf('-filter_complex') + 1];
+    expect(graph.startsWith('scale=480:270')).toBe(true);
+    expect(graph).toContain('palettegen');
+    expect(args).not.toContain('-vf');
+  });
+
+  it('accepts poster and storyboard artifacts for video output', () => {
+    expect(normalizeRenderOptions({ poster: true, storyboard: 10 }, 'wow3a').options)
+      .toEqual({ format: 'mp4', codec: 'h264', poster: true, storyboard: 10 });
+    expect(normalizeRenderOptions({ poster: 2.5, storyboard: false }, 'wow3a').options)
+      .toEqual({ format: 'mp4', codec: 'h264', poster: 2.5 });
+    expect(normalizeRenderOptions({ poster: -1 }, 'wow3a').error).toMatch(/"poster"/);
+    expect(normalizeRenderOptions({ storyboard: 0.5 }, 'wow3a').error).toMatch(/1-3600/);
+    expect(normalizeRenderOptions({ format: 'png', poster: true }, 'wow3').error).toMatch(/do not apply to png/);
+  });
+});
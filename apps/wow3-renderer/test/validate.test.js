@@ -0,0 +1,123 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import JSZip from 'jszip';
+import { validateInput, projectDurationMs } from '../src/validate.js';
+
+/** Build a .wow3a (or .wow3) archive from a manifest object and asset names. */
+async function archive(manifest, assets = [], name = 'project.json') {
+  const zip = new JSZip();
+  zip.file(name, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  for (const asset of assets) zip.file(asset, 'data');
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const image = (url, startMs, endMs) => ({ type: 'visual', elementType: 'image', startMs, endMs, properties: { url } });
+
+describe('validateInput', () => {
+  let server;
+  afterEach(() => server && new Promise(resolve => server.close(resolve)));
+
+  it('accepts a well-formed project and reports its duration', async () => {
+    const project = {
+      title: 'Demo', orientation: 'portrait', width: 1080, height: 1920, durationMs: 0,
+      tracks: [
+        { type: 'visual', clips: [image('assets/a.png', 0, 4000), image('assets/b.png', 4000, 9500)] },
+        { type: 'audio', clips: [{ type: 'audio', src: 'assets/music.mp3', startMs: 0, endMs: 9000, volume: 0.8 }] },
+      ],
+    };
+    const result = await validateInput(await archive(project, ['assets/a.png', 'assets/b.png', 'assets/music.mp3']));
+
+    expect(result).toEqual({
+      valid: true, errors: [], warnings: [],
+      info: { inputFormat: 'wow3a', width: 1080, height: 1920, durationMs: 9500, tracks: 2, clips: 3, assets: 3 },
+    });
+  });
+
+  it('reports archive and manifest problems instead of throwing', async () => {
+    expect((await validateInput(Buffer.from('not a zip'))).errors[0].message).toMatch(/Not a valid \.wow3a archive/);
+    expect((await validateInput(await archive({}, [], 'other.json'))).errors[0].message).toMatch(/missing project\.json/);
+    expect((await validateInput(await archive('{ broken'))).errors[0].message).toMatch(/not valid JSON/);
+  });
+
+  it('checks the schema of tracks and clips', async () => {
+    const project = {
+      orientation: 'sideways',
+      tracks: [
+        { type: 'visual', clips: [
+          { type: 'visual', elementType: 'sparkle', startMs: 1000, endMs: 500 },
+          { type: 'audio', src: 'x.mp3' },
+        ] },
+        { type: 'audio', clips: [{ type: 'audio', src: 'https://example.invalid/a.mp3', volume: 3 }] },
+        { type: 'midi' },
+      ],
+    };
+    const { valid, errors } = await validateInput(await archive(project), 'wow3a', { checkUrls: false });
+
+    expect(valid).toBe(false);
+    expect(errors.map(e => e.path)).toEqual([
+      'orientation',
+      'tracks[0].clips[0].endMs',
+      'tracks[0].clips[0].elementType',
+      'tracks[0].clips[1].type',
+      'tracks[1].clips[0].volume',
+      'tracks[2].type',
+    ]);
+  });
+
+  it('checks that referenced assets are bundled or reachable', async () => {
+    server = createServer((req, res) => {
+      res.statusCode = req.url === '/ok.png' ? 200 : 404;
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const project = {
+      tracks: [{ type: 'visual', clips: [
+        image('assets/here.png', 0, 1000),
+        image('assets/gone.png', 1000, 2000),
+        image(`${base}/ok.png`, 2000, 3000),
+        image(`${base}/missing.png`, 3000, 4000),
+        image('local://media_123', 4000, 5000),
+      ] }],
+    };
+    const { errors, warnings } = await validateInput(await archive(project, ['assets/here.png', 'assets/unused.png']));
+
+    expect(errors).toEqual([
+      { path: 'tracks[0].clips[1].properties.url', message: '"assets/gone.png" is not in the archive' },
+      { path: 'tracks[0].clips[4].properties.url', message: expect.stringMatching(/media library/) },
+      { path: 'tracks[0].clips[3].properties.url', message: `${base}/missing.png is not reachable (HTTP 404)` },
+    ]);
+    expect(warnings).toEqual([{ path: 'assets/unused.png', message: 'asset is not used by any clip' }]);
+  });
+
+  it('warns about overlapping clips, empty media clips and empty projects', async () => {
+    const overlapping = {
+      tracks: [{ type: 'visual', clips: [
+        { type: 'visual', elementType: 'shape', startMs: 0, endMs: 3000 },
+        { type: 'visual', elementType: 'video', startMs: 2000, endMs: 4000, properties: { url: '' } },
+      ] }],
+    };
+    const { valid, warnings } = await validateInput(await archive(overlapping));
+    expect(valid).toBe(true);
+    expect(warnings.map(w => w.path)).toEqual(['tracks[0].clips[1].properties.url', 'tracks[0].clips[1]']);
+
+    const empty = await validateInput(await archive({ tracks: [] }));
+    expect(empty.warnings).toEqual([{ path: 'tracks', message: 'project has no clips' }]);
+    expect(empty.info.durationMs).toBe(30000);
+  });
+
+  it('checks that a .wow3 deck has visible slides', async () => {
+    const deck = await archive({ slides: [{ visible: true }, { visible: false }] }, [], 'presentation.json');
+    expect((await validateInput(deck, 'wow3')).info).toEqual({ inputFormat: 'wow3', width: 1920, height: 1080, slideCount: 1 });
+
+    const hidden = await archive({ slides: [{ visible: false }] }, [], 'presentation.json');
+    expect((await validateInput(hidden, 'wow3')).errors).toEqual([{ path: 'slides', message: 'presentation has no visible slides' }]);
+  });
+
+  it('computes the project duration like the player', () => {
+    expect(projectDurationMs({ durationMs: 5000, tracks: [] })).toBe(5000);
+    expect(projectDurationMs({ tracks: [{ clips: [{ endMs: 2000 }, { endMs: null }] }] })).toBe(2000);
+    expect(projectDurationMs({})).toBe(30000);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { createDb, insertJob, updateJobStatus, getWebhookDelivery, listWebhookDeliveries } from '../src/api/db.js';
+import { createWebhooks, signWebhook, checkCallbackUrl } from '../src/api/webhooks.js';
+
+async function wait(ms = 50) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Start a stub receiver on a random port. `statuses` are answered in turn
+ * (the last one repeats); every request is recorded.
+ */
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('webhooks', () => {
+  let db, receiver;
+
+  beforeEach(() => {
+    db = createDb(':memory:');
+  });
+
+  afterEach(() => receiver?.close());
+
+  it('POSTs a signed JSON payload when a job completes', async () => {
+    receiver = await startReceiver();
+    insertJob(db, {
+      id: 'j1', wow3aName: 'deck.wow3', inputFormat: 'wow3', outputFormat: 'webm',
+      renderOptions: { codec: 'vp9' }, callbackUrl: receiver.url, callbackSecret: 'topsecret',
+    });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.webm' });
+
+    await createWebhooks({ db }).notify('j1', 'done');
+
+    expect(receiver.requests).toHaveLength(1);
+    const { headers, body } = receiver.requests[0];
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers['x-wow3-event']).toBe('done');
+    expect(headers['x-wow3-signature']).toBe(signWebhook('topsecret', Number(headers['x-wow3-timestamp']), body));
+    expect(JSON.parse(body)).toMatchObject({
+      event: 'done', jobId: 'j1', status: 'completed', name: 'deck.wow3', format: 'webm',
+      options: { codec: 'vp9' }, error: null, resultPath: '/jobs/j1/result',
+    });
+
+    const [delivery] = listWebhookDeliveries(db, 'j1');
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, last_status: 200 });
+  });
+
+  it('sends no signature without a secret and skips jobs without a callback', async () => {
+    receiver = await startReceiver();
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', callbackUrl: receiver.url });
+    insertJob(db, { id: 'j2', wow3aName: 'b.wow3a' });
+    updateJobStatus(db, 'j1', 'failed', { error: 'cancelled by user' });
+
+    const webhooks = createWebhooks({ db });
+    await webhooks.notify('j1', 'cancelled');
+    await webhooks.notify('j2', 'done');
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(receiver.requests[0].headers['x-wow3-signature']).toBeUndefined();
+    expect(JSON.parse(receiver.requests[0].body)).toMatchObject({
+      event: 'cancelled', error: 'cancelled by user', resultPath: null,
+    });
+    expect(listWebhookDeliveries(db, 'j2')).toEqual([]);
+  });
+
+  it('retries failed deliveries with exponential backoff', async () => {
+    receiver = await startReceiver([500, 503, 200]);
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', callbackUrl: receiver.url });
+    updateJobStatus(db, 'j1', 'failed', { error: 'render failed' });
+
+    const webhooks = createWebhooks({ db, baseDelayMs: 40 });
+    const before = Date.now();
+    await webhooks.notify('j1', 'error');
+
+    let [delivery] = listWebhookDeliveries(db, 'j1');
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_status: 500, last_error: 'HTTP 500' });
+    expect(delivery.next_attempt_at).toBeGreaterThanOrEqual(before + 40);
+
+    // Not due yet
+    expect(await webhooks.runDue()).toBe(0);
+
+    await wait(50);
+    expect(await webhooks.runDue()).toBe(1);
+    delivery = getWebhookDelivery(db, delivery.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2, last_status: 503 });
+    // Second retry waits twice as long
+    expect(delivery.next_attempt_at - Date.now()).toBeGreaterThan(60);
+
+    await wait(90);
+    await webhooks.runDue();
+    delivery = getWebhookDelivery(db, delivery.id);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, last_status: 200 });
+    expect(receiver.requests).toHaveLength(3);
+    // Every attempt carries the same payload and delivery id
+    expect(new Set(receiver.requests.map(r => r.body)).size).toBe(1);
+    expect(new Set(receiver.requests.map(r => r.headers['x-wow3-delivery'])).size).toBe(1);
+  });
+
+  it('gives up after maxAttempts, including on connection errors', async () => {
+    receiver = await startReceiver();
+    const deadUrl = receiver.url;
+    await receiver.close();
+    receiver = null;
+
+    insertJob(db, { id: 'j1', wow3aName: 'a.wow3a', callbackUrl: deadUrl });
+    updateJobStatus(db, 'j1', 'completed', { outputPath: '/tmp/j1.mp4' });
+
+    const webhooks = createWebhooks({ db, maxAttempts: 2, baseDelayMs: 1 });
+    await webhooks.notify('j1', 'done');
+    await wait(10);
+    await webhooks.runDue();
+
+    const [delivery] = listWebhookDeliveries(db, 'j1');
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 2, last_status: null, next_attempt_at: null });
+    expect(delivery.last_error).toBeTruthy();
+    expect(await webhooks.runDue()).toBe(0);
+  });
+
+  it('checks callback URLs', () => {
+    expect(checkCallbackUrl('https://example.com/hook')).toBeNull();
+    expect(checkCallbackUrl('http://127.0.0.1:8080')).toBeNull();
+    expect(checkCallbackUrl('/relative')).toMatch(/absolute/);
+    expect(checkCallbackUrl('file:///etc/passwd')).toMatch(/http/);
+    expect(checkCallbackUrl(42)).toMatch(/string/);
+  });
+});
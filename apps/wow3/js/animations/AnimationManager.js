@@ -5,19 +5,23 @@
  */
 
 import {
-  ANIMATION_DEFINITIONS,
   ANIMATION_CATEGORY,
   ANIMATION_TRIGGER,
   EASING_MAP
 } from '@wow/core/animations/definitions.js';
+import { normalizeMotionPath, buildMotionPathKeyframes } from '@wow/core/animations/motion_path.js';
+import { TEXT_BUILD_UNITS, markTextUnits } from '@wow/core/animations/text_build.js';
+import { resolveAnimationDefinition } from '@wow/core/animations/custom_animations.js';
 
 export class AnimationManager {
   /**
    * Create an AnimationManager bound to a container element
    * @param {HTMLElement} containerElement - The DOM container holding animated elements
+   * @param {Array<Object>} [customAnimations=[]] - Custom animations of the presentation, for `custom:<id>` steps
    */
-  constructor(containerElement) {
+  constructor(containerElement, customAnimations = []) {
     this._container = containerElement;
+    this._customAnimations = customAnimations;
     this._sequence = [];
     this._cursor = 0;
     this._playing = false;
@@ -172,6 +176,14 @@ export class AnimationManager {
     return this._waitingForClick || this._cursor < this._sequence.length;
   }
 
+  /** Number of onClick steps not triggered yet (clicks left before the next slide) */
+  get pendingClicks() {
+    return this._sequence
+      .slice(this._cursor)
+      .filter(step => step.trigger === ANIMATION_TRIGGER.ON_CLICK)
+      .length;
+  }
+
   // ==================== PRIVATE ====================
 
   /**
@@ -217,35 +229,57 @@ export class AnimationManager {
     const el = this._findElement(step.targetElementId);
     if (!el) return;
 
-    const definition = ANIMATION_DEFINITIONS[step.type];
+    const definition = resolveAnimationDefinition(step.type, this._customAnimations);
     if (!definition) {
       console.warn(`[AnimationManager] Unknown animation type: ${step.type}`);
       return;
     }
 
-    // Build keyframes with transform conflict resolution
-    const keyframes = this._buildKeyframes(el, definition.keyframes, step.type);
+    // Build keyframes with transform conflict resolution; motion paths
+    // follow the step's own path from wherever the element was left
+    const keyframes = definition.motionPath
+      ? buildMotionPathKeyframes(normalizeMotionPath(step.path, definition.motionPath), {
+          orientToPath: step.orientToPath === true,
+          baseRotation: this._getElementRotation(el),
+          origin: this._getElementOffset(el)
+        })
+      : this._buildKeyframes(el, definition.keyframes, step.type);
 
     // Resolve easing string
     const easingKey = step.easing || definition.options.easing || 'ease-in-out';
     const easing = EASING_MAP[easingKey] || easingKey;
 
+    // Charts and tables can build in one series, category or row at a time,
+    // texts and lists one word, letter, paragraph or item at a time
+    if (step.category === ANIMATION_CATEGORY.BUILD_IN && step.buildBy) {
+      if (TEXT_BUILD_UNITS[step.buildBy]) markTextUnits(el, step.buildBy);
+      const parts = this._findBuildParts(el, step.buildBy);
+      if (parts.length > 0) {
+        await this._runPartsStep(el, step, definition, parts, easing);
+        return;
+      }
+    }
+
     // Make element visible before buildIn animation starts
     if (step.category === ANIMATION_CATEGORY.BUILD_IN) {
       el.style.visibility = 'visible';
     }
 
-    const animation = el.animate(keyframes, {
+    const timing = {
       duration: step.duration || definition.options.duration || 600,
       delay: step.delay || 0,
       easing,
       fill: 'forwards'
-    });
+    };
+    const animation = el.animate(keyframes, timing);
 
-    this._runningAnimations.push(animation);
+    // Custom animations tint the text or shape inside the element
+    const colorAnimations = definition.colorKeyframes ? this._animateColor(el, definition.colorKeyframes, timing) : [];
+
+    this._runningAnimations.push(animation, ...colorAnimations);
 
     try {
-      await animation.finished;
+      await Promise.all([animation, ...colorAnimations].map(running => running.finished));
     } catch (_) {
       // Animation was cancelled
       return;
@@ -255,15 +289,110 @@ export class AnimationManager {
     this._applyFinalState(el, step, keyframes);
 
     // Remove fill — inline styles now control the element
+    for (const finished of [animation, ...colorAnimations]) {
+      try {
+        finished.cancel();
+      } catch (_) {
+        // Already cancelled
+      }
+
+      // Remove from running list
+      const idx = this._runningAnimations.indexOf(finished);
+      if (idx !== -1) this._runningAnimations.splice(idx, 1);
+    }
+  }
+
+  /**
+   * Play color keyframes on the text of a text element or the fill of a
+   * shape; other elements have nothing to tint
+   * @param {HTMLElement} el - Target DOM element
+   * @param {Array<{ offset: number, color: string }>} colorKeyframes
+   * @param {Object} timing - Timing of the step
+   * @returns {Animation[]}
+   * @private
+   */
+  _animateColor(el, colorKeyframes, timing) {
+    const targets = [
+      ...[...el.querySelectorAll('.text-content')].map(node => [node, 'color']),
+      ...[...el.querySelectorAll('svg > :not(defs)')].map(node => [node, 'fill'])
+    ];
+
+    return targets.map(([node, property]) => node.animate(
+      colorKeyframes.map(frame => ({ offset: frame.offset, [property]: frame.color })),
+      timing
+    ));
+  }
+
+  /**
+   * Build in the parts of an element one after the other: the element shows
+   * at once, its parts start hidden and each plays the effect in turn, a
+   * stagger after the previous one (by default once it is over). A step with
+   * a `unitIndex` builds that part only; the parts after it stay hidden.
+   * @param {HTMLElement} el - Target DOM element
+   * @param {Object} step - Animation step data
+   * @param {Object} definition - Animation definition
+   * @param {Array<Element[]>} parts - Nodes of each part, in build order
+   * @param {string} easing - Resolved easing
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runPartsStep(el, step, definition, parts, easing) {
+    const duration = step.duration || definition.options.duration || 600;
+    const stagger = step.stagger ?? TEXT_BUILD_UNITS[step.buildBy]?.stagger ?? duration;
+    const building = step.unitIndex === undefined ? parts : [parts[step.unitIndex] || []];
+    const nodes = building.flat();
+
+    if (step.unitIndex === undefined || el.style.visibility !== 'visible') {
+      parts.flat().forEach((node) => { node.style.opacity = '0'; });
+      el.style.opacity = '1';
+      el.style.visibility = 'visible';
+    }
+
+    // Parts are SVG nodes or text spans: the keyframes apply as defined, without the element's rotation
+    const animations = building.flatMap((partNodes, i) => partNodes.map(node => node.animate(definition.keyframes, {
+      duration,
+      delay: (step.delay || 0) + i * stagger,
+      easing,
+      fill: 'forwards'
+    })));
+    this._runningAnimations.push(...animations);
+
     try {
-      animation.cancel();
+      await Promise.all(animations.map(animation => animation.finished));
     } catch (_) {
-      // Already cancelled
+      // Animation was cancelled
+      return;
     }
 
-    // Remove from running list
-    const idx = this._runningAnimations.indexOf(animation);
-    if (idx !== -1) this._runningAnimations.splice(idx, 1);
+    nodes.forEach((node) => { node.style.opacity = ''; });
+    for (const animation of animations) {
+      try {
+        animation.cancel();
+      } catch (_) {
+        // Already cancelled
+      }
+      const idx = this._runningAnimations.indexOf(animation);
+      if (idx !== -1) this._runningAnimations.splice(idx, 1);
+    }
+  }
+
+  /**
+   * Parts of an element marked with `data-build-<buildBy>`, grouped by
+   * their index
+   * @param {HTMLElement} el - Target DOM element
+   * @param {string} buildBy - 'series', 'category' or 'row', or a text unit
+   * @returns {Array<Element[]>} Nodes of each part, by index
+   * @private
+   */
+  _findBuildParts(el, buildBy) {
+    const attribute = `data-build-${buildBy}`;
+    const groups = new Map();
+    el.querySelectorAll(`[${attribute}]`).forEach((node) => {
+      const index = parseInt(node.getAttribute(attribute), 10);
+      if (!groups.has(index)) groups.set(index, []);
+      groups.get(index).push(node);
+    });
+    return [...groups.keys()].sort((a, b) => a - b).map(index => groups.get(index));
   }
 
   /**
@@ -277,10 +406,16 @@ export class AnimationManager {
   _buildKeyframes(el, definitionKeyframes, animationType) {
     // Read element's base rotation from inline style
     const baseRotation = this._getElementRotation(el);
+    const offset = this._getOffsetTransform(el);
 
     return definitionKeyframes.map((kf) => {
       const frame = { ...kf };
 
+      // Keep an element a motion path has moved where it is
+      if (frame.transform !== undefined && offset) {
+        frame.transform = `${offset}${frame.transform}`;
+      }
+
       if (frame.transform !== undefined && baseRotation !== 0) {
         // Special handling for spin: add base rotation to the spin angles
         if (animationType === 'spin') {
@@ -324,9 +459,15 @@ export class AnimationManager {
       }
     }
 
+    // A motion path leaves the element where the path ends
+    if (resolveAnimationDefinition(step.type, this._customAnimations)?.motionPath) {
+      el.style.transform = lastFrame.transform;
+      return;
+    }
+
     // Restore the element's original transform (rotation)
     const baseRotation = this._getElementRotation(el);
-    el.style.transform = `rotate(${baseRotation}deg)`;
+    el.style.transform = `${this._getOffsetTransform(el)}rotate(${baseRotation}deg)`;
   }
 
   /**
@@ -352,6 +493,31 @@ export class AnimationManager {
     if (!match) return 0;
     return parseFloat(match[1]) || 0;
   }
+
+  /**
+   * Extract how far motion paths have moved the element from its inline
+   * transform style
+   * @param {HTMLElement} el - DOM element
+   * @returns {{ x: number, y: number }} Offset in px
+   * @private
+   */
+  _getElementOffset(el) {
+    const transform = el.style.transform || '';
+    const match = transform.match(/translate\(([-\d.e]+)px,\s*([-\d.e]+)px\)/);
+    if (!match) return { x: 0, y: 0 };
+    return { x: parseFloat(match[1]) || 0, y: parseFloat(match[2]) || 0 };
+  }
+
+  /**
+   * Translation keeping the element where motion paths left it
+   * @param {HTMLElement} el - DOM element
+   * @returns {string} Transform function followed by a space, empty if not moved
+   * @private
+   */
+  _getOffsetTransform(el) {
+    const { x, y } = this._getElementOffset(el);
+    return x || y ? `translate(${x}px, ${y}px) ` : '';
+  }
 }
 
 export default AnimationManager;
@@ -0,0 +1,278 @@
+/**
+ * WOW3 Slide Transition
+ * Plays a slide transition (see @wow/core/animations/transitions.js)
+ * between two rendered slides stacked in the same parent. Each slide is a
+ * container of layers marked `data-slide-layer` (background, slide, shell);
+ * the layers move, not the container, so the container keeps its own
+ * transform. A shell both slides share stays still. The morph transition
+ * moves the elements instead: each matched incoming element tweens from
+ * the state of its outgoing match, the others fade.
+ *
+ * Uses WAAPI only, so the headless player can position a transition at any
+ * time like the element animations.
+ */
+
+import { getTransitionKeyframes, getTransitionDuration } from '@wow/core/animations/transitions.js';
+
+/** Perspective of the 3D transitions, on the 1280×720 canvas */
+const PERSPECTIVE = '2000px';
+
+/** Inline geometry of an element tweened by the morph transition */
+const MORPH_GEOMETRY = ['left', 'top', 'width', 'height', 'transform'];
+
+/**
+ * Whether a color can be tweened (gradients and SVG paint servers cannot)
+ * @param {string|null} color
+ * @returns {boolean}
+ */
+const isPlainColor = (color) => !!color && !color.includes('gradient(') && !color.startsWith('url(');
+
+export class SlideTransition {
+  /**
+   * Create a slide transition
+   * @param {HTMLElement} from - Container of the slide on screen
+   * @param {HTMLElement} to - Container of the slide coming in, after `from` in their parent
+   * @param {Object} transition - Transition of the incoming slide
+   * @param {Object} [options]
+   * @param {boolean} [options.sharedShell=false] - Both slides show the same shell the same way
+   * @param {Array<{ from: Object, to: Object }>} [options.matches=[]] - Elements the morph
+   *   transition moves into each other (see @wow/core/animations/morph.js)
+   */
+  constructor(from, to, transition, { sharedShell = false, matches = [] } = {}) {
+    this.from = from;
+    this.to = to;
+    this.transition = transition;
+    this.sharedShell = sharedShell;
+    this.matches = matches;
+
+    /** @type {Animation[]} */
+    this._animations = [];
+
+    /** @type {Promise<void>|null} */
+    this.finished = null;
+
+    /** @type {HTMLElement|null} Shell layer hidden while the transition plays */
+    this._hiddenShell = null;
+
+    /** @type {boolean} Whether the slides were given a perspective */
+    this._perspective = false;
+
+    this.isPlaying = false;
+  }
+
+  /**
+   * Whether a transition has anything to play
+   * @param {Object} [transition] - Slide transition
+   * @returns {boolean}
+   */
+  static hasEffect(transition) {
+    return getTransitionDuration(transition) > 0;
+  }
+
+  /**
+   * Play the transition. The animations start synchronously; the outgoing
+   * slide is removed once they end.
+   * @returns {Promise<void>} Resolves when the incoming slide is alone on screen
+   */
+  play() {
+    if (this.finished) return this.finished;
+
+    const { outgoing, incoming, outgoingOnTop, perspective, morph } = getTransitionKeyframes(this.transition);
+    const timing = { duration: getTransitionDuration(this.transition), easing: 'ease-in-out', fill: 'both' };
+    const top = outgoingOnTop ? this.from : this.to;
+    const bottom = outgoingOnTop ? this.to : this.from;
+
+    // Stack the outgoing slide where it is, over or under the incoming one
+    this.from.style.position = 'absolute';
+    top.style.zIndex = '2';
+    bottom.style.zIndex = '1';
+    this._perspective = perspective;
+    if (perspective) {
+      this.from.style.perspective = PERSPECTIVE;
+      this.to.style.perspective = PERSPECTIVE;
+    }
+
+    // A shared shell is shown once, still, by the slide on top
+    this._hiddenShell = this.sharedShell ? this._layers(bottom, 'shell')[0] || null : null;
+    if (this._hiddenShell) this._hiddenShell.style.visibility = 'hidden';
+
+    const animate = (container, keyframes) => {
+      if (!keyframes) return;
+      this._layers(container).forEach((layer) => {
+        if (this.sharedShell && layer.dataset.slideLayer === 'shell') return;
+        this._animations.push(layer.animate(keyframes, timing));
+      });
+    };
+    if (morph) {
+      this._playMorph(timing, outgoing, incoming);
+    } else {
+      animate(this.from, outgoing);
+      animate(this.to, incoming);
+    }
+
+    this.isPlaying = true;
+    this.finished = Promise.all(this._animations.map(anim => anim.finished.catch(() => {})))
+      .then(() => this._cleanup());
+
+    return this.finished;
+  }
+
+  /**
+   * Jump to the end of the transition; the incoming slide is alone on
+   * screen when this returns
+   */
+  finish() {
+    this._animations.forEach((anim) => {
+      if (anim.playState !== 'finished') anim.finish();
+    });
+    this._cleanup();
+  }
+
+  /**
+   * Morph: the outgoing elements fade with their slide layer, except the
+   * matched ones, whose incoming matches take over from their position,
+   * size, rotation, opacity and color. Unmatched incoming elements fade in
+   * over the incoming background. Elements waiting for a build-in are left
+   * to it.
+   * @param {Object} timing - WAAPI timing of the transition
+   * @param {Object[]} fadeOut - Keyframes of the outgoing layers
+   * @param {Object[]} fadeIn - Keyframes of the incoming layers
+   * @private
+   */
+  _playMorph(timing, fadeOut, fadeIn) {
+    const matchedFrom = new Map();
+    this.matches.forEach(({ from, to }) => {
+      const fromEl = this._findElement(this.from, from.id);
+      const toEl = this._findElement(this.to, to.id);
+      if (fromEl && toEl && toEl.style.visibility !== 'hidden') matchedFrom.set(toEl, fromEl);
+    });
+
+    this._layers(this.from).forEach((layer) => {
+      const name = layer.dataset.slideLayer;
+      if (name === 'slide' || (name === 'shell' && !this.sharedShell)) {
+        this._animations.push(layer.animate(fadeOut, timing));
+      }
+    });
+
+    this._layers(this.to).forEach((layer) => {
+      const name = layer.dataset.slideLayer;
+      if (name === 'background' || (name === 'shell' && !this.sharedShell)) {
+        this._animations.push(layer.animate(fadeIn, timing));
+      }
+      if (name !== 'slide') return;
+
+      [...layer.children].forEach((toEl) => {
+        if (!toEl.id || toEl.style.visibility === 'hidden') return;
+        const opacity = getComputedStyle(toEl).opacity;
+        const fromEl = matchedFrom.get(toEl);
+
+        if (!fromEl) {
+          this._animations.push(toEl.animate([{ opacity: 0 }, { opacity }], timing));
+          return;
+        }
+
+        this._animations.push(...this._morphElement(fromEl, toEl, opacity, timing));
+        fromEl.style.visibility = 'hidden';
+      });
+    });
+  }
+
+  /**
+   * Tween an incoming element from the state of its outgoing match
+   * @param {HTMLElement} fromEl - Outgoing element
+   * @param {HTMLElement} toEl - Incoming element
+   * @param {string} opacity - Opacity the incoming element ends at
+   * @param {Object} timing - WAAPI timing
+   * @returns {Animation[]}
+   * @private
+   */
+  _morphElement(fromEl, toEl, opacity, timing) {
+    const fromStyle = getComputedStyle(fromEl);
+    const start = { opacity: fromStyle.visibility === 'hidden' ? 0 : fromStyle.opacity };
+    const end = { opacity };
+    MORPH_GEOMETRY.forEach((prop) => {
+      start[prop] = fromEl.style[prop] || (prop === 'transform' ? 'none' : fromStyle[prop]);
+      end[prop] = toEl.style[prop] || (prop === 'transform' ? 'none' : getComputedStyle(toEl)[prop]);
+    });
+    const animations = [toEl.animate([start, end], timing)];
+
+    // Text color and size
+    const fromText = fromEl.querySelector('.text-content');
+    const toText = toEl.querySelector('.text-content');
+    if (fromText && toText) {
+      const textStart = {};
+      const textEnd = {};
+      if (fromText.style.fontSize && toText.style.fontSize) {
+        textStart.fontSize = fromText.style.fontSize;
+        textEnd.fontSize = toText.style.fontSize;
+      }
+      if (isPlainColor(fromText.style.color) && isPlainColor(toText.style.color)) {
+        textStart.color = fromText.style.color;
+        textEnd.color = toText.style.color;
+      }
+      if (Object.keys(textStart).length) animations.push(toText.animate([textStart, textEnd], timing));
+    }
+
+    // Shape fill and stroke
+    const fromShape = fromEl.querySelector('svg > :not(defs)');
+    const toShape = toEl.querySelector('svg > :not(defs)');
+    if (fromShape && toShape) {
+      const shapeStart = {};
+      const shapeEnd = {};
+      ['fill', 'stroke'].forEach((paint) => {
+        const a = fromShape.getAttribute(paint);
+        const b = toShape.getAttribute(paint);
+        if (a !== 'none' && b !== 'none' && isPlainColor(a) && isPlainColor(b)) {
+          shapeStart[paint] = a;
+          shapeEnd[paint] = b;
+        }
+      });
+      if (Object.keys(shapeStart).length) animations.push(toShape.animate([shapeStart, shapeEnd], timing));
+    }
+
+    return animations;
+  }
+
+  /**
+   * Rendered element of a slide container
+   * @param {HTMLElement} container
+   * @param {string} id - Element id
+   * @returns {HTMLElement|null}
+   * @private
+   */
+  _findElement(container, id) {
+    const layer = this._layers(container, 'slide')[0];
+    return layer ? [...layer.children].find(child => child.id === id) || null : null;
+  }
+
+  /**
+   * Layers of a slide container
+   * @param {HTMLElement} container
+   * @param {string} [name] - Only the layers of this name
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _layers(container, name) {
+    return [...container.children].filter(child =>
+      child.dataset?.slideLayer && (!name || child.dataset.slideLayer === name)
+    );
+  }
+
+  /**
+   * Leave the incoming slide as it would be shown without a transition
+   * @private
+   */
+  _cleanup() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this._animations.forEach(anim => anim.cancel());
+    this._animations = [];
+
+    if (this._hiddenShell) this._hiddenShell.style.visibility = '';
+    this.from.remove();
+    this.to.style.zIndex = '';
+    if (this._perspective) this.to.style.perspective = '';
+  }
+}
+
+export default SlideTransition;
@@ -13,7 +13,13 @@ import {
   PlaybackController,
   SettingsController,
   RecordingController,
-  RemoteController
+  RemoteController,
+  PresenterController,
+  CollaborationController,
+  VersionHistoryController,
+  ThemeController,
+  CustomAnimationController,
+  MergeController
 } from './controllers/index.js';
 import { loadSettings } from '@wow/core/utils/settings.js';
 import {
@@ -22,7 +28,8 @@ import {
   RotateHandler,
   MarqueeHandler,
   CropHandler,
-  CanvasDropHandler
+  CanvasDropHandler,
+  MotionPathHandler
 } from './interactions/index.js';
 import '@wow/core/managers/AudioManager.js';
 
@@ -60,6 +67,12 @@ class WOW3App {
       this.editor.playbackController = new PlaybackController(this.editor);
       this.editor.recordingController = new RecordingController(this.editor);
       this.editor.remoteController = new RemoteController(this.editor);
+      this.editor.presenterController = new PresenterController(this.editor);
+      this.editor.collaborationController = new CollaborationController(this.editor);
+      this.editor.versionHistoryController = new VersionHistoryController(this.editor);
+      this.editor.themeController = new ThemeController(this.editor);
+      this.editor.customAnimationController = new CustomAnimationController(this.editor);
+      this.editor.mergeController = new MergeController(this.editor);
 
       // Initialize Settings Controller
       this.settingsController = new SettingsController(this.editor);
@@ -70,6 +83,12 @@ class WOW3App {
       await this.editor.playbackController.init();
       await this.editor.recordingController.init();
       this.editor.remoteController.init();
+      this.editor.presenterController.init();
+      this.editor.collaborationController.init();
+      this.editor.versionHistoryController.init();
+      this.editor.themeController.init();
+      this.editor.customAnimationController.init();
+      this.editor.mergeController.init();
       this.settingsController.init();
 
       // Initialize interaction handlers
@@ -77,6 +96,7 @@ class WOW3App {
       this.editor.elementController.resizeHandler = new ResizeHandler(this.editor.elementController);
       this.editor.elementController.rotateHandler = new RotateHandler(this.editor.elementController);
       this.editor.elementController.cropHandler = new CropHandler(this.editor.elementController);
+      this.editor.animationEditorController.motionPathHandler = new MotionPathHandler(this.editor.animationEditorController);
 
       // Initialize marquee handler
       const marqueeHandler = new MarqueeHandler(this.editor.elementController);
@@ -104,6 +124,9 @@ class WOW3App {
       // Handle files opened from OS via File Handling API
       this.setupFileHandler();
 
+      // Join a collaboration session from an invite link
+      this.editor.collaborationController.joinFromUrl();
+
       // Show welcome message
       toast.success('WOW3 Ready!');
     } catch (error) {
@@ -164,7 +187,7 @@ class WOW3App {
   }
 
   /**
-   * Setup File Handling API to open .wow3 files from the OS.
+   * Setup File Handling API to open .wow3 (and .pptx) files from the OS.
    * When the installed PWA is used to open a .wow3 file, the OS
    * launches the app and delivers the file via the launchQueue.
    */
@@ -179,8 +202,10 @@ class WOW3App {
       console.log(`📂 Opened file from OS: ${file.name}`);
 
       try {
-        const { importZip } = await import('./utils/storage.js');
-        const data = await importZip(file);
+        const { importZip, importPptx } = await import('./utils/storage.js');
+        const data = /\.pptx$/i.test(file.name)
+          ? (await importPptx(file)).data
+          : await importZip(file);
         await this.editor.loadPresentation(data);
         toast.success(`Loaded ${file.name}`);
       } catch (error) {
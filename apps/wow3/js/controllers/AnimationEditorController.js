@@ -6,15 +6,43 @@
 import {
   ANIMATION_CATEGORY,
   ANIMATION_TRIGGER,
-  ANIMATION_DEFINITIONS,
   EASING_MAP,
   getDefinitionsForCategory
 } from '@wow/core/animations/definitions.js';
+import { normalizeMotionPath } from '@wow/core/animations/motion_path.js';
+import { TEXT_BUILD_UNITS } from '@wow/core/animations/text_build.js';
+import { resolveAnimationDefinition, customAnimationType, customAnimationId } from '@wow/core/animations/custom_animations.js';
 import { AnimationManager } from '../animations/AnimationManager.js';
 import { generateId } from '@wow/core/utils/dom.js';
 import { appEvents, AppEvents } from '@wow/core/utils/events.js';
 import { toast } from '@wow/core/utils/toasts.js';
 
+/**
+ * Parts a build-in of an element can go by, as [buildBy, label] pairs:
+ * the series or categories of a chart, the rows of a table, the words,
+ * letters, paragraphs or items of a text or list
+ * @param {Element|null} element
+ * @returns {Array<[string, string]>} Empty when the element builds as one
+ */
+const buildByOptions = (element) => {
+  if (element?.type === 'table') return [['row', 'By Row']];
+  if (element?.type === 'text' || element?.type === 'list') {
+    return Object.entries(TEXT_BUILD_UNITS)
+      .filter(([, unit]) => unit.elementTypes.includes(element.type))
+      .map(([key, unit]) => [key, unit.label]);
+  }
+  if (element?.type !== 'chart') return [];
+
+  switch (element.properties.chartType) {
+    case 'pie':
+      return [['category', 'By Slice']];
+    case 'bar':
+      return [['series', 'By Series'], ['category', 'By Category']];
+    default:
+      return [['series', 'By Series']];
+  }
+};
+
 export class AnimationEditorController {
   /**
    * Create animation editor controller
@@ -27,6 +55,9 @@ export class AnimationEditorController {
     this._previewManager = null;
     this._panelVisible = false;
     this._activeTab = 'elements';
+
+    /** @type {MotionPathHandler|null} Draws and edits motion paths on the canvas */
+    this.motionPathHandler = null;
   }
 
   /**
@@ -43,11 +74,13 @@ export class AnimationEditorController {
 
     // Listen for element deselection
     appEvents.on(AppEvents.ELEMENT_DESELECTED, () => {
+      this.motionPathHandler?.exit();
       this.clearInspector();
     });
 
     // Refresh build order and elements list when slide changes
     appEvents.on(AppEvents.SLIDE_SELECTED, () => {
+      this.motionPathHandler?.exit();
       this._renderBuildOrder();
       if (this._activeTab === 'elements') {
         this._renderElementsList();
@@ -112,27 +145,45 @@ export class AnimationEditorController {
   }
 
   /**
-   * Add an animation effect to the current slide's sequence
-   * @param {string} animationType - Animation definition key (e.g. 'fadeIn')
+   * Re-render the inspector and build order after the presentation's
+   * custom animations changed
+   */
+  refreshCustomAnimations() {
+    this._renderInspector();
+    this._renderBuildOrder();
+  }
+
+  /**
+   * Add an animation effect to the current slide's sequence. A motion path
+   * is drawn on the canvas first, then added with its path; a custom
+   * animation plays in its own category.
+   * @param {string} animationType - Animation definition key (e.g. 'fadeIn') or `custom:<id>`
+   * @param {Object} [settings] - Extra step properties (path, orientToPath)
    */
-  setEffect(animationType) {
+  setEffect(animationType, settings = {}) {
     if (!this._currentElement) return;
 
     const slide = this.editor.getActiveSlide();
     if (!slide) return;
 
-    const definition = ANIMATION_DEFINITIONS[animationType];
+    const definition = this._getDefinition(animationType);
     if (!definition) return;
 
+    if (definition.motionPath && !settings.path) {
+      this._drawMotionPath(animationType);
+      return;
+    }
+
     const anim = {
       id: generateId('anim'),
       targetElementId: this._currentElement.id,
       type: animationType,
-      category: this._currentCategory,
+      category: definition.custom ? definition.category[0] : this._currentCategory,
       trigger: ANIMATION_TRIGGER.ON_CLICK,
       duration: definition.options.duration || 600,
       delay: 0,
-      easing: definition.options.easing || 'ease-in-out'
+      easing: definition.options.easing || 'ease-in-out',
+      ...settings
     };
 
     slide.addAnimation(anim);
@@ -144,6 +195,30 @@ export class AnimationEditorController {
 
     toast.success(`Added ${definition.label}`);
     appEvents.emit(AppEvents.ANIMATION_UPDATED, { element: this._currentElement, animation: anim });
+
+    // Leave the new path on the canvas so its points can be adjusted
+    if (definition.motionPath) {
+      this.editMotionPath(anim.id);
+    }
+  }
+
+  /**
+   * Show the path of a motion path step on the canvas, with handles to
+   * drag its points
+   * @param {string} animId - Animation step ID
+   */
+  editMotionPath(animId) {
+    const slide = this.editor.getActiveSlide();
+    const step = slide?.animationSequence.find((a) => a.id === animId);
+    const definition = this._getDefinition(step?.type);
+    if (!definition?.motionPath || !this.motionPathHandler) return;
+
+    const element = slide.getElement(step.targetElementId);
+    if (!element) return;
+
+    this.motionPathHandler.edit(element, normalizeMotionPath(step.path, definition.motionPath), (path) => {
+      this.updateAnimationStep(animId, { path });
+    });
   }
 
   /**
@@ -154,6 +229,7 @@ export class AnimationEditorController {
     const slide = this.editor.getActiveSlide();
     if (!slide) return;
 
+    this.motionPathHandler?.exit();
     slide.removeAnimation(animId);
     this.editor.recordHistory();
 
@@ -166,7 +242,7 @@ export class AnimationEditorController {
 
   /**
    * Preview a single animation on the canvas
-   * @param {string} animationType - Animation definition key
+   * @param {string} animationType - Animation definition key or `custom:<id>`
    */
   previewEffect(animationType) {
     if (!this._currentElement) return;
@@ -174,7 +250,7 @@ export class AnimationEditorController {
     const canvas = document.getElementById('slide-canvas');
     if (!canvas) return;
 
-    const definition = ANIMATION_DEFINITIONS[animationType];
+    const definition = this._getDefinition(animationType);
     if (!definition) return;
 
     // Clean up previous preview
@@ -182,20 +258,52 @@ export class AnimationEditorController {
       this._previewManager.cleanup();
     }
 
+    // A motion path previews the element's own path of that kind, if it has one
+    const slide = this.editor.getActiveSlide();
+    const motionStep = definition.motionPath && slide
+      ? slide.getAnimationsForElement(this._currentElement.id).filter((a) => a.type === animationType).pop()
+      : null;
+
     const previewStep = {
       id: 'preview',
       targetElementId: this._currentElement.id,
       type: animationType,
-      category: this._currentCategory,
+      category: definition.custom ? definition.category[0] : this._currentCategory,
       trigger: ANIMATION_TRIGGER.ON_LOAD,
-      duration: definition.options.duration || 600,
+      duration: motionStep?.duration || definition.options.duration || 600,
       delay: 0,
-      easing: definition.options.easing || 'ease-in-out'
+      easing: motionStep?.easing || definition.options.easing || 'ease-in-out',
+      path: motionStep?.path,
+      orientToPath: motionStep?.orientToPath === true
     };
 
-    this._previewManager = new AnimationManager(canvas);
+    // A motion path leaves its element at the end; put it back afterwards
+    const elementDOM = canvas.querySelector('#' + CSS.escape(this._currentElement.id));
+    const restingTransform = elementDOM?.style.transform;
+
+    this._previewManager = new AnimationManager(canvas, this.editor.presentation.customAnimations);
     this._previewManager.loadSequence([previewStep]);
-    this._previewManager.play();
+    this._previewManager.play().then(() => {
+      if (definition.motionPath && elementDOM) elementDOM.style.transform = restingTransform;
+    });
+  }
+
+  /**
+   * Draw the path of a new motion path step on the canvas, then add the step
+   * @param {string} animationType - Motion path definition key
+   * @private
+   */
+  _drawMotionPath(animationType) {
+    if (!this.motionPathHandler) return;
+
+    const element = this._currentElement;
+    const definition = this._getDefinition(animationType);
+    toast.info(`Drag on the canvas to draw the ${definition.label.toLowerCase()} path from the element`);
+
+    this.motionPathHandler.draw(element, definition.motionPath, (path) => {
+      if (this._currentElement !== element) return;
+      this.setEffect(animationType, { path, orientToPath: false });
+    });
   }
 
   /**
@@ -490,6 +598,8 @@ export class AnimationEditorController {
       list: 'list',
       link: 'link',
       countdown_timer: 'timer',
+      chart: 'bar_chart',
+      table: 'table_chart',
       empty: 'crop_free'
     };
 
@@ -591,6 +701,7 @@ export class AnimationEditorController {
     const categories = [
       { key: ANIMATION_CATEGORY.BUILD_IN, label: 'Build In', icon: 'login' },
       { key: ANIMATION_CATEGORY.ACTION, label: 'Action', icon: 'animation' },
+      { key: ANIMATION_CATEGORY.MOTION_PATH, label: 'Path', icon: 'gesture' },
       { key: ANIMATION_CATEGORY.BUILD_OUT, label: 'Build Out', icon: 'logout' }
     ];
 
@@ -612,16 +723,42 @@ export class AnimationEditorController {
           <button class="effect-preview-btn" data-type="${def.key}" title="Preview">
             <i class="material-icons">play_circle</i>
           </button>
-          <button class="effect-add-btn" data-type="${def.key}" title="Add">
-            <i class="material-icons">add_circle</i>
+          <button class="effect-add-btn" data-type="${def.key}" title="${def.motionPath ? 'Draw on the canvas' : 'Add'}">
+            <i class="material-icons">${def.motionPath ? 'gesture' : 'add_circle'}</i>
           </button>
         </div>
       </div>`;
     }).join('');
 
+    // Custom animations of the presentation playing in this category, and a new one
+    const customHtml = this._currentCategory === ANIMATION_CATEGORY.MOTION_PATH ? '' : `
+      ${this.editor.presentation.customAnimations
+        .filter((custom) => custom.category === this._currentCategory)
+        .map((custom) => {
+          const type = customAnimationType(custom.id);
+          const isApplied = elementAnims.some((a) => a.type === type);
+          return `<div class="effect-card custom ${isApplied ? 'applied' : ''}" data-type="${type}">
+            <span class="effect-label"><i class="material-icons">auto_fix_high</i>${this._escape(custom.name)}</span>
+            <div class="effect-actions">
+              <button class="effect-edit-btn" data-id="${custom.id}" title="Edit keyframes">
+                <i class="material-icons">edit</i>
+              </button>
+              <button class="effect-preview-btn" data-type="${type}" title="Preview">
+                <i class="material-icons">play_circle</i>
+              </button>
+              <button class="effect-add-btn" data-type="${type}" title="Add">
+                <i class="material-icons">add_circle</i>
+              </button>
+            </div>
+          </div>`;
+        }).join('')}
+      <div class="effect-card custom-new" title="Author a keyframe animation">
+        <span class="effect-label"><i class="material-icons">add</i>Custom…</span>
+      </div>`;
+
     container.innerHTML = `
       <div class="anim-category-tabs">${tabsHtml}</div>
-      <div class="effect-grid">${effectsHtml}</div>
+      <div class="effect-grid">${effectsHtml}${customHtml}</div>
     `;
 
     // Bind events
@@ -645,6 +782,16 @@ export class AnimationEditorController {
       });
     });
 
+    container.querySelectorAll('.effect-edit-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editor.customAnimationController?.open({ animationId: btn.dataset.id });
+      });
+    });
+
+    container.querySelector('.custom-new')?.addEventListener('click', () => {
+      this.editor.customAnimationController?.open({ category: this._currentCategory });
+    });
   }
 
   /**
@@ -662,21 +809,59 @@ export class AnimationEditorController {
     }
 
     list.innerHTML = slide.animationSequence.map((anim, idx) => {
-      const def = ANIMATION_DEFINITIONS[anim.type];
-      const label = def ? def.label : anim.type;
+      const def = this._getDefinition(anim.type);
+      const label = def ? this._escape(def.label) : anim.type;
       const isWithPrev = anim.trigger === ANIMATION_TRIGGER.WITH_PREVIOUS;
       const isSpecial = def && def.special;
+      const customId = customAnimationId(anim.type);
 
       // Find element name
       const targetEl = slide.getElement(anim.targetElementId);
       const elName = targetEl ? this._getElementLabel(targetEl) : '(deleted)';
 
+      // Charts and tables can build in part by part
+      const partOptions = anim.category === ANIMATION_CATEGORY.BUILD_IN ? buildByOptions(targetEl) : [];
+      const buildBySelect = partOptions.length === 0 ? '' : `
+          <select class="build-order-build-by browser-default" data-anim-id="${anim.id}" title="Build">
+            <option value="" ${!anim.buildBy ? 'selected' : ''}>As One</option>
+            ${partOptions.map(([value, text]) => `<option value="${value}" ${anim.buildBy === value ? 'selected' : ''}>${text}</option>`).join('')}
+          </select>`;
+
+      // Text units start a stagger apart; paragraphs and items can wait for a click each
+      const textUnit = partOptions.length > 0 ? TEXT_BUILD_UNITS[anim.buildBy] : null;
+      const unitControls = !textUnit ? '' : `
+          <div class="build-order-units">
+            <input type="number" class="build-order-stagger browser-default" data-anim-id="${anim.id}"
+                   value="${anim.stagger ?? textUnit.stagger}" min="0" max="5000" step="10" title="Delay between units (ms)">
+            ${textUnit.perClick ? `<label title="Each unit waits for a click">
+              <input type="checkbox" class="build-order-per-click filled-in" data-anim-id="${anim.id}" ${anim.unitsOnClick ? 'checked' : ''}>
+              <span>One per Click</span>
+            </label>` : ''}
+          </div>`;
+
+      // Motion paths: orient to the path, easing, and the path itself
+      const motionControls = !def?.motionPath ? '' : `
+          <div class="build-order-motion">
+            <label title="Turn the element with the path">
+              <input type="checkbox" class="build-order-orient filled-in" data-anim-id="${anim.id}" ${anim.orientToPath ? 'checked' : ''}>
+              <span>Orient</span>
+            </label>
+            <select class="build-order-easing browser-default" data-anim-id="${anim.id}" title="Easing">
+              ${Object.keys(EASING_MAP).map((key) => `<option value="${key}" ${anim.easing === key ? 'selected' : ''}>${key}</option>`).join('')}
+            </select>
+            <button class="build-order-edit-path" data-anim-id="${anim.id}" title="Edit the path on the canvas">
+              <i class="material-icons">timeline</i>
+            </button>
+          </div>`;
+
       return `<div class="build-order-card ${isWithPrev ? 'indented' : ''} ${isSpecial ? 'special' : ''}"
                    data-index="${idx}" data-anim-id="${anim.id}" draggable="true">
         <span class="build-order-num">${idx + 1}</span>
         <div class="build-order-info">
-          <span class="build-order-label">${isSpecial ? '<i class="material-icons" style="font-size:14px;vertical-align:middle;margin-right:2px;">skip_next</i>' : ''}${label}</span>
-          <span class="build-order-target">${elName}</span>
+          <span class="build-order-label">${isSpecial ? '<i class="material-icons" style="font-size:14px;vertical-align:middle;margin-right:2px;">skip_next</i>' : ''}${label}${customId && def ? `<button class="build-order-edit-custom" data-id="${customId}" title="Edit keyframes">
+              <i class="material-icons">auto_fix_high</i>
+            </button>` : ''}</span>
+          <span class="build-order-target">${elName}</span>${buildBySelect}${unitControls}${motionControls}
         </div>
         <div class="build-order-controls">
           <select class="build-order-trigger browser-default" data-anim-id="${anim.id}">
@@ -686,7 +871,7 @@ export class AnimationEditorController {
           </select>
           <input type="number" class="build-order-duration browser-default"
                  data-anim-id="${anim.id}" value="${anim.duration}"
-                 min="100" max="5000" step="100" title="Duration (ms)">
+                 min="100" max="${def?.motionPath || def?.custom ? 20000 : 5000}" step="100" title="Duration (ms)">
           <button class="build-order-remove" data-anim-id="${anim.id}" title="Remove">
             <i class="material-icons">close</i>
           </button>
@@ -701,6 +886,49 @@ export class AnimationEditorController {
       });
     });
 
+    list.querySelectorAll('.build-order-build-by').forEach((select) => {
+      select.addEventListener('change', () => {
+        this.updateAnimationStep(select.dataset.animId, { buildBy: select.value || null });
+      });
+    });
+
+    list.querySelectorAll('.build-order-stagger').forEach((input) => {
+      input.addEventListener('change', () => {
+        const stagger = parseInt(input.value, 10);
+        this.updateAnimationStep(input.dataset.animId, { stagger: Number.isFinite(stagger) ? Math.max(0, stagger) : null });
+      });
+    });
+
+    list.querySelectorAll('.build-order-per-click').forEach((input) => {
+      input.addEventListener('change', () => {
+        this.updateAnimationStep(input.dataset.animId, { unitsOnClick: input.checked });
+      });
+    });
+
+    list.querySelectorAll('.build-order-orient').forEach((input) => {
+      input.addEventListener('change', () => {
+        this.updateAnimationStep(input.dataset.animId, { orientToPath: input.checked });
+      });
+    });
+
+    list.querySelectorAll('.build-order-easing').forEach((select) => {
+      select.addEventListener('change', () => {
+        this.updateAnimationStep(select.dataset.animId, { easing: select.value });
+      });
+    });
+
+    list.querySelectorAll('.build-order-edit-path').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.editMotionPath(btn.dataset.animId);
+      });
+    });
+
+    list.querySelectorAll('.build-order-edit-custom').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.editor.customAnimationController?.open({ animationId: btn.dataset.id });
+      });
+    });
+
     list.querySelectorAll('.build-order-duration').forEach((input) => {
       input.addEventListener('change', () => {
         this.updateAnimationStep(input.dataset.animId, { duration: parseInt(input.value) || 600 });
@@ -862,6 +1090,26 @@ export class AnimationEditorController {
     // No-op: elements tree panel has been removed
   }
 
+  /**
+   * Definition of a step type, custom animations of the presentation included
+   * @param {string} type - Animation definition key or `custom:<id>`
+   * @returns {Object|null}
+   * @private
+   */
+  _getDefinition(type) {
+    return resolveAnimationDefinition(type, this.editor.presentation?.customAnimations);
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
   /**
    * Get a short label for an element
    * @param {Object} element - Element model
@@ -879,6 +1127,8 @@ export class AnimationEditorController {
       case 'shape': return `Shape (${element.properties.shapeType})`;
       case 'list': return 'List';
       case 'link': return element.properties.text || 'Link';
+      case 'chart': return `Chart (${element.properties.chartType})`;
+      case 'table': return 'Table';
       case 'empty': return 'Empty';
       default: return element.type;
     }
@@ -0,0 +1,791 @@
+/**
+ * WOW3 Collaboration Controller
+ * Real-time co-editing of a presentation by several editors.
+ *
+ * Every local edit (each recordHistory(), undo and redo included) is turned
+ * into CRDT operations by CollabDocument and sent through a pluggable
+ * transport (collab_transport.js); remote operations are merged into the
+ * document and loaded back into the editor. Presence — who is on which slide,
+ * their selection and mouse cursor — is shared the same way and drawn on the
+ * canvas and the slide sorter.
+ *
+ * Messages (all carry `site`, the sender's id):
+ *   { type: 'hello', user }            joined; peers answer with their state
+ *   { type: 'state', to, state }       full document (to: one site, or null for all)
+ *   { type: 'ops', ops }               operations of one local edit
+ *   { type: 'presence', user, slideId, selection, cursor }
+ *   { type: 'bye' }                    left the session
+ */
+
+import { Presentation } from '../models/Presentation.js';
+import { CollabDocument } from '../utils/collab_document.js';
+import { createTransport, DEV_RELAY_PATH } from '../utils/collab_transport.js';
+import { generateId } from '@wow/core/utils/dom.js';
+import { getSetting, setSetting } from '@wow/core/utils/settings.js';
+import { appEvents, AppEvents } from '@wow/core/utils/events.js';
+import { toast } from '@wow/core/utils/toasts.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Colors given to collaborators, picked from their site id */
+const PEER_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#00897b', '#7cb342', '#fb8c00', '#6d4c41', '#d81b60'];
+
+/** How often presence is re-sent, and when a silent peer is dropped */
+const HEARTBEAT_MS = 5000;
+const PEER_TIMEOUT_MS = 15000;
+
+/** Minimum delay between two cursor updates */
+const CURSOR_THROTTLE_MS = 50;
+
+/** Retry delay for remote edits held back while the user drags or types */
+const BUSY_RETRY_MS = 250;
+
+// ─── CollaborationController Class ───────────────────────
+
+export class CollaborationController {
+  /**
+   * Create collaboration controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+
+    /** @type {string} Id of this editor in sessions */
+    this.site = generateId('site');
+
+    /** @type {CollabDocument|null} Shared document, null outside a session */
+    this.doc = null;
+
+    /** @type {string|null} Room (presentation id) of the session */
+    this.room = null;
+
+    /** @type {string} Relay URL of the session, empty for this browser only */
+    this.relayUrl = '';
+
+    /** @type {import('../utils/collab_transport.js').CollabTransport|null} */
+    this._transport = null;
+
+    /** @type {boolean} Joined through an invite, waiting for the presentation */
+    this._joining = false;
+
+    /** @type {Object|null} Presentation JSON the editor model was last synced with */
+    this._base = null;
+
+    /** @type {Array<Object>|null} Remote operations not loaded into the editor yet (null: full reload) */
+    this._pending = [];
+
+    /** @type {boolean} Whether remote changes wait to be loaded */
+    this._dirty = false;
+
+    /** @type {Map<string, { name, color, slideId, selection, cursor, seenAt }>} Other editors */
+    this.peers = new Map();
+
+    /** @type {{ name: string, color: string }} This editor */
+    this.user = { name: '', color: PEER_COLORS[0] };
+
+    this._cursor = null;
+    this._cursorSentAt = 0;
+    this._pointerDown = false;
+    this._heartbeat = null;
+    this._flushTimer = null;
+
+    /** @type {string} Last transport status */
+    this._status = 'closed';
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the collaboration controller.
+   * Binds the toolbar button, canvas pointer tracking and app events.
+   */
+  init() {
+    const collabBtn = document.getElementById('collab-btn');
+    if (collabBtn) {
+      collabBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showDialog();
+      });
+    }
+
+    const canvas = document.getElementById('slide-canvas');
+    if (canvas) {
+      canvas.addEventListener('mousedown', () => { this._pointerDown = true; }, true);
+      canvas.addEventListener('mousemove', (e) => this._trackCursor(e));
+      canvas.addEventListener('mouseleave', () => this._trackCursor(null));
+    }
+    document.addEventListener('mouseup', () => {
+      this._pointerDown = false;
+      // Let the drag/resize handlers record their edit first
+      if (this._dirty) setTimeout(() => this._flushRemote(), 0);
+    });
+
+    // Canvas re-renders wipe the overlay; slide and selection changes are presence
+    appEvents.on(AppEvents.SLIDE_CHANGED, () => {
+      this._renderCanvasPresence();
+      this._sendPresence();
+    });
+    appEvents.on(AppEvents.ELEMENT_SELECTED, () => this._sendPresence());
+    appEvents.on(AppEvents.ELEMENT_DESELECTED, () => this._sendPresence());
+
+    // Opening another presentation ends the session
+    const onPresentationReplaced = () => {
+      if (this.doc && this.editor.presentation?.id !== this.room) {
+        this.leave();
+        toast.info('Left the collaboration session');
+      }
+    };
+    appEvents.on(AppEvents.PRESENTATION_LOADED, onPresentationReplaced);
+    appEvents.on(AppEvents.PRESENTATION_CREATED, onPresentationReplaced);
+
+    window.addEventListener('beforeunload', () => this._send({ type: 'bye' }));
+  }
+
+  /**
+   * Join the session of an invite link (?collab=<room>&relay=<url>), if any.
+   * Called once the startup presentation is loaded.
+   */
+  joinFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get('collab');
+    if (!room) return;
+    const relayUrl = params.get('relay') ?? this._defaultRelayUrl();
+
+    // Drop the invite from the address bar so a reload does not rejoin
+    params.delete('collab');
+    params.delete('relay');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    this.join(room, relayUrl);
+  }
+
+  /**
+   * Show the session dialog: start or join a session, or see who is in it
+   */
+  async showDialog() {
+    if (this.doc || this._joining) {
+      await this._showSessionDialog();
+      return;
+    }
+
+    const body = `
+      <p>Edit this presentation together in real time. Everyone opening the invite
+      link joins the session; changes, selections and cursors are shared live.</p>
+      <div class="collab-form">
+        <label for="collab-name">Your name</label>
+        <input type="text" id="collab-name" name="collab-name" value="${this._escape(this._userName())}" />
+        <label for="collab-relay">Relay server</label>
+        <input type="text" id="collab-relay" name="collab-relay" value="${this._escape(this._defaultRelayUrl())}"
+          placeholder="Empty: tabs of this browser only" />
+        <span class="collab-hint">Start one with <code>pnpm --filter @wow/wow3 relay</code> (ws://localhost:8790/); <code>pnpm dev</code> serves one at ${DEV_RELAY_PATH}.</span>
+      </div>
+    `;
+
+    const choice = await Dialog.show({
+      title: 'Collaborate',
+      body,
+      buttons: [
+        { text: 'Cancel', type: 'secondary', value: null },
+        { text: 'Start Session', type: 'primary', value: 'start', resolveInput: true }
+      ]
+    });
+    if (!choice?.value) return;
+
+    const name = (choice.input['collab-name'] || '').trim();
+    if (name) setSetting('collab.name', name);
+    setSetting('collab.relayUrl', (choice.input['collab-relay'] || '').trim());
+
+    this.start();
+    await this._showSessionDialog();
+  }
+
+  /**
+   * Share the open presentation: start (or rejoin) its session
+   */
+  start() {
+    const data = this.editor.presentation.toJSON();
+    this.doc = new CollabDocument(this.site);
+    this.doc.load(data);
+    this._base = data;
+    this._connect(data.id, getSetting('collab.relayUrl') || '');
+    console.log(`🤝 Collaboration session started for ${data.id}`);
+  }
+
+  /**
+   * Join the session of another editor; their presentation replaces the open one
+   * @param {string} room - Presentation id
+   * @param {string} relayUrl - Relay URL, empty for this browser only
+   * @returns {Promise<void>}
+   */
+  async join(room, relayUrl) {
+    if (this.editor.hasUnsavedChanges()) {
+      const confirmed = await Dialog.confirm(
+        'Joining replaces the open presentation, which has unsaved changes. Continue?',
+        'Join Collaboration Session'
+      );
+      if (!confirmed) return;
+    }
+
+    this.leave();
+    this._joining = true;
+    this._connect(room, relayUrl);
+    toast.info('Joining the collaboration session…');
+  }
+
+  /**
+   * Leave the session; the presentation stays open as a local copy
+   */
+  leave() {
+    if (!this._transport && !this.doc && !this._joining) return;
+
+    this._send({ type: 'bye' });
+    this._transport?.close();
+    this._transport = null;
+    clearInterval(this._heartbeat);
+    clearTimeout(this._flushTimer);
+
+    this.doc = null;
+    this.room = null;
+    this._joining = false;
+    this._base = null;
+    this._pending = [];
+    this._dirty = false;
+    this.peers.clear();
+
+    this._renderPresence();
+    this._renderStatus('closed');
+    console.log('🤝 Collaboration session left');
+  }
+
+  /**
+   * Send the local edits made since the last call.
+   * Called by EditorController after every recorded change, undo and redo.
+   */
+  onLocalChange() {
+    if (!this.doc || this._joining || !this.editor.presentation) return;
+
+    const current = this.editor.presentation.toJSON();
+    if (current.id !== this.doc.rootId) return;
+
+    const ops = this.doc.commit(this._base, current);
+    this._base = current;
+    if (ops.length > 0) this._send({ type: 'ops', ops });
+  }
+
+  /**
+   * Show who is on which slide in the slide sorter.
+   * Called by SlideController after it renders the slide list.
+   */
+  renderSorterPresence() {
+    document.querySelectorAll('.slide-thumbnail, .shell-card').forEach((item) => {
+      item.querySelector('.collab-sorter-presence')?.remove();
+
+      const slideId = item.dataset.shellId || item.querySelector('.slide-preview')?.dataset.slideId;
+      const here = [...this.peers.values()].filter(peer => peer.slideId === slideId);
+      if (here.length === 0) return;
+
+      const badges = document.createElement('div');
+      badges.className = 'collab-sorter-presence';
+      here.forEach((peer) => {
+        const badge = document.createElement('span');
+        badge.className = 'collab-avatar';
+        badge.style.background = peer.color;
+        badge.title = peer.name;
+        badge.textContent = peer.name.charAt(0).toUpperCase();
+        badges.appendChild(badge);
+      });
+      item.appendChild(badges);
+    });
+  }
+
+  // ─── Private Methods ────────────────────────────────────
+
+  /**
+   * Open the transport for a room and start the presence heartbeat
+   * @param {string} room
+   * @param {string} relayUrl
+   */
+  _connect(room, relayUrl) {
+    this.room = room;
+    this.relayUrl = relayUrl;
+    this.user = { name: this._userName(), color: this._colorOf(this.site) };
+
+    try {
+      this._transport = createTransport(relayUrl, room);
+      this._transport.connect({
+        onMessage: (message) => this._handleMessage(message),
+        onStatus: (status) => this._onStatus(status)
+      });
+    } catch (error) {
+      console.error('Failed to connect to the collaboration relay:', error);
+      toast.error(`Cannot connect to ${relayUrl}`);
+      this.leave();
+      return;
+    }
+
+    this._heartbeat = setInterval(() => {
+      this._sendPresence();
+      this._dropSilentPeers();
+    }, HEARTBEAT_MS);
+  }
+
+  /**
+   * Transport status change
+   * @param {string} status - 'connecting', 'open' or 'closed'
+   */
+  _onStatus(status) {
+    this._renderStatus(status);
+    if (status !== 'open') return;
+
+    // (Re)connected: ask for the others' state and push ours, which carries
+    // any edit made while offline
+    this._send({ type: 'hello', user: this.user });
+    if (this.doc) this._send({ type: 'state', to: null, state: this.doc.getState() });
+    this._sendPresence();
+  }
+
+  /**
+   * Send a message to the room
+   * @param {Object} message
+   */
+  _send(message) {
+    this._transport?.send({ ...message, site: this.site });
+  }
+
+  /**
+   * Handle a message from another editor
+   * @param {Object} message
+   */
+  _handleMessage(message) {
+    if (!message || message.site === this.site) return;
+
+    switch (message.type) {
+      case 'hello':
+        this._updatePeer(message.site, { ...message.user });
+        if (this.doc) this._send({ type: 'state', to: message.site, state: this.doc.getState() });
+        this._sendPresence();
+        break;
+
+      case 'state':
+        if (message.to && message.to !== this.site) return;
+        this._receiveState(message.state);
+        break;
+
+      case 'ops': {
+        if (!this.doc) return;
+        const applied = message.ops.map(op => this.doc.apply(op)).filter(Boolean);
+        if (applied.length === 0) return;
+        this._pending?.push(...applied);
+        this._scheduleFlush();
+        break;
+      }
+
+      case 'presence':
+        this._updatePeer(message.site, {
+          ...message.user,
+          slideId: message.slideId,
+          selection: message.selection || [],
+          cursor: message.cursor
+        });
+        break;
+
+      case 'bye':
+        this.peers.delete(message.site);
+        this._renderPresence();
+        break;
+    }
+  }
+
+  /**
+   * Merge the full state of another editor (join, reconnect)
+   * @param {Object} state - CollabDocument state
+   */
+  async _receiveState(state) {
+    if (this._joining) {
+      if (state.rootId !== this.room) return;
+      this.doc = new CollabDocument(this.site);
+      this.doc.mergeState(state);
+      this._joining = false;
+
+      const data = this.doc.toJSON();
+      if (this.editor.elementController) this.editor.elementController.deselectAll();
+      this.editor.isEditingShell = false;
+      this.editor.editingShellId = null;
+      this.editor.isEditingLayout = false;
+      this.editor.editingLayoutId = null;
+      this.editor.presentation = Presentation.fromJSON({ ...data, currentSlideIndex: 0 });
+      this.editor.resetHistory();
+      this._base = this.editor.presentation.toJSON();
+      if (this.editor.slideController) this.editor.slideController._thumbCache.clear();
+      await this.editor.render();
+
+      appEvents.emit(AppEvents.PRESENTATION_LOADED, this.editor.presentation);
+      toast.success(`Joined "${this.editor.presentation.title}"`);
+      this._sendPresence();
+      return;
+    }
+
+    if (!this.doc || state.rootId !== this.doc.rootId) return;
+    if (this.doc.mergeState(state)) {
+      // No operation list to replay on the undo history
+      this._pending = null;
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Load remote changes into the editor soon, batching bursts
+   */
+  _scheduleFlush() {
+    this._dirty = true;
+    clearTimeout(this._flushTimer);
+    this._flushTimer = setTimeout(() => this._flushRemote(), 30);
+  }
+
+  /**
+   * Whether loading remote changes now would get in the user's way
+   * (dragging, resizing, typing in a text element or a property field)
+   * @returns {boolean}
+   */
+  _isBusy() {
+    if (this._pointerDown) return true;
+    const active = document.activeElement;
+    if (!active) return false;
+    if (active.isContentEditable) return true;
+    const typing = active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && ['text', 'number'].includes(active.type));
+    return typing && !!active.closest('#right-sidebar, #top-menu');
+  }
+
+  /**
+   * Load the merged document into the editor, keeping the current slide,
+   * shell editing and selection, and replay the remote operations on the
+   * undo history so undo only reverts local edits
+   */
+  async _flushRemote() {
+    if (!this._dirty || !this.doc) return;
+    if (this._isBusy()) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = setTimeout(() => this._flushRemote(), BUSY_RETRY_MS);
+      return;
+    }
+
+    // Local edits not recorded yet go out first, so they are not overwritten
+    this.onLocalChange();
+
+    const ops = this._pending;
+    this._pending = [];
+    this._dirty = false;
+
+    const editor = this.editor;
+    const data = this.doc.toJSON();
+
+    // Thumbnails of slides changed by others are stale
+    const changed = new Set((ops || []).map(op => this.doc.slideOf(op.id)).filter(Boolean));
+    for (const slide of [...data.slides, ...data.shells, ...(data.layouts || [])]) {
+      if (ops === null || changed.has(slide.id)) {
+        slide.thumbnailId = null;
+        editor.slideController?._thumbCache.delete(slide.id);
+      }
+    }
+
+    const currentSlideId = editor.presentation.getCurrentSlide()?.id;
+    const selectedIds = (editor.elementController?.selectedElements || []).map(el => el.id);
+
+    editor.presentation = Presentation.fromJSON(data);
+    const index = editor.presentation.slides.findIndex(slide => slide.id === currentSlideId);
+    editor.presentation.currentSlideIndex = index !== -1
+      ? index
+      : Math.min(editor.presentation.currentSlideIndex, editor.presentation.slides.length - 1);
+    if (editor.isEditingShell && !editor.presentation.getShellById(editor.editingShellId)) {
+      editor.isEditingShell = false;
+      editor.editingShellId = null;
+    }
+    if (editor.isEditingLayout && !editor.presentation.getLayoutById(editor.editingLayoutId)) {
+      editor.isEditingLayout = false;
+      editor.editingLayoutId = null;
+    }
+
+    editor.elementController?.deselectAll();
+    await editor.render();
+    editor.slideController?.renderShells();
+    editor.slideController?.renderLayouts();
+    this._restoreSelection(selectedIds);
+
+    if (ops === null) {
+      editor.resetHistory();
+    } else {
+      editor.rebaseHistory(state => this.doc.rebase(state, ops));
+    }
+    editor.unsavedChanges = true;
+    this._base = editor.presentation.toJSON();
+  }
+
+  /**
+   * Select again the elements that were selected before a reload
+   * @param {Array<string>} ids
+   */
+  _restoreSelection(ids) {
+    const controller = this.editor.elementController;
+    if (!controller) return;
+
+    const slide = this.editor.getActiveSlide();
+    const elements = ids.map(id => slide.getElement(id)).filter(Boolean);
+    elements.forEach((element, i) => {
+      if (i === 0) controller.selectElement(element);
+      else controller.addToSelection(element);
+    });
+  }
+
+  // ─── Presence ───────────────────────────────────────────
+
+  /**
+   * Send where this editor is and what it has selected
+   */
+  _sendPresence() {
+    if (!this._transport || this._joining) return;
+
+    const slide = this.editor.presentation ? this.editor.getActiveSlide() : null;
+    this._send({
+      type: 'presence',
+      user: this.user,
+      slideId: slide?.id || null,
+      selection: (this.editor.elementController?.selectedElements || []).map(el => el.id),
+      cursor: this._cursor
+    });
+  }
+
+  /**
+   * Track the mouse over the canvas, in slide coordinates
+   * @param {MouseEvent|null} e - null when the mouse left the canvas
+   */
+  _trackCursor(e) {
+    if (!this._transport) return;
+
+    if (e) {
+      const canvas = e.currentTarget;
+      const rect = canvas.getBoundingClientRect();
+      const scale = canvas.offsetWidth / rect.width;
+      this._cursor = {
+        x: Math.round((e.clientX - rect.left) * scale),
+        y: Math.round((e.clientY - rect.top) * scale)
+      };
+    } else {
+      this._cursor = null;
+    }
+
+    const now = Date.now();
+    if (e && now - this._cursorSentAt < CURSOR_THROTTLE_MS) return;
+    this._cursorSentAt = now;
+    this._sendPresence();
+  }
+
+  /**
+   * Store what a peer told about itself and redraw presence
+   * @param {string} site
+   * @param {Object} info
+   */
+  _updatePeer(site, info) {
+    const peer = this.peers.get(site) || { name: 'Guest', color: this._colorOf(site), slideId: null, selection: [], cursor: null };
+    Object.assign(peer, info, { seenAt: Date.now() });
+    this.peers.set(site, peer);
+    this._renderPresence();
+  }
+
+  /**
+   * Forget peers that stopped sending presence (closed tab, lost connection)
+   */
+  _dropSilentPeers() {
+    const limit = Date.now() - PEER_TIMEOUT_MS;
+    let dropped = false;
+    for (const [site, peer] of this.peers) {
+      if (peer.seenAt < limit) {
+        this.peers.delete(site);
+        dropped = true;
+      }
+    }
+    if (dropped) this._renderPresence();
+  }
+
+  /**
+   * Redraw every presence indicator
+   */
+  _renderPresence() {
+    this._renderCanvasPresence();
+    this.renderSorterPresence();
+    this._renderStatus();
+  }
+
+  /**
+   * Draw the cursors and selections of the peers on the current slide
+   */
+  _renderCanvasPresence() {
+    const canvas = document.getElementById('slide-canvas');
+    if (!canvas) return;
+
+    canvas.querySelector('.collab-overlay')?.remove();
+    const slideId = this.editor.presentation ? this.editor.getActiveSlide()?.id : null;
+    const here = [...this.peers.values()].filter(peer => peer.slideId === slideId);
+    if (here.length === 0) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'collab-overlay';
+    // Keep cursors out of the slide thumbnails
+    overlay.setAttribute('data-html2canvas-ignore', 'true');
+
+    const canvasRect = canvas.getBoundingClientRect();
+    const scale = canvas.offsetWidth / (canvasRect.width || 1);
+
+    for (const peer of here) {
+      for (const id of peer.selection) {
+        const elementDOM = canvas.querySelector(`[id="${CSS.escape(id)}"]`);
+        if (!elementDOM) continue;
+        const rect = elementDOM.getBoundingClientRect();
+        const box = document.createElement('div');
+        box.className = 'collab-selection';
+        box.style.borderColor = peer.color;
+        box.style.left = `${(rect.left - canvasRect.left) * scale}px`;
+        box.style.top = `${(rect.top - canvasRect.top) * scale}px`;
+        box.style.width = `${rect.width * scale}px`;
+        box.style.height = `${rect.height * scale}px`;
+        overlay.appendChild(box);
+      }
+
+      if (peer.cursor) {
+        const cursor = document.createElement('div');
+        cursor.className = 'collab-cursor';
+        cursor.style.left = `${peer.cursor.x}px`;
+        cursor.style.top = `${peer.cursor.y}px`;
+        cursor.style.color = peer.color;
+        cursor.innerHTML = `<i class="material-icons">navigation</i><span class="collab-cursor-name"></span>`;
+        const label = cursor.querySelector('.collab-cursor-name');
+        label.textContent = peer.name;
+        label.style.background = peer.color;
+        overlay.appendChild(cursor);
+      }
+    }
+
+    canvas.appendChild(overlay);
+  }
+
+  /**
+   * Show the session state on the toolbar button
+   * @param {string} [status] - Transport status, when it changed
+   */
+  _renderStatus(status) {
+    const collabBtn = document.getElementById('collab-btn');
+    if (!collabBtn) return;
+
+    if (status) this._status = status;
+    const inSession = !!this._transport;
+    collabBtn.classList.toggle('active', inSession);
+    collabBtn.classList.toggle('offline', inSession && this._status !== 'open');
+
+    let count = collabBtn.querySelector('.collab-count');
+    if (inSession && this.peers.size > 0) {
+      if (!count) {
+        count = document.createElement('span');
+        count.className = 'collab-count';
+        collabBtn.appendChild(count);
+      }
+      count.textContent = this.peers.size + 1;
+    } else {
+      count?.remove();
+    }
+    collabBtn.title = inSession
+      ? `Collaboration: ${this.peers.size + 1} editing${this._status === 'open' ? '' : ' (reconnecting…)'}`
+      : 'Collaborate';
+  }
+
+  /**
+   * Dialog of a running session: invite link, participants, leave
+   */
+  async _showSessionDialog() {
+    const link = new URL(window.location.href);
+    link.search = '';
+    link.searchParams.set('collab', this.room);
+    if (this.relayUrl) link.searchParams.set('relay', this.relayUrl);
+
+    const people = [{ ...this.user, name: `${this.user.name} (you)` }, ...this.peers.values()]
+      .map(peer => `<li><span class="collab-avatar" style="background:${peer.color}">${this._escape(peer.name.charAt(0).toUpperCase())}</span>${this._escape(peer.name)}</li>`)
+      .join('');
+
+    const choice = await Dialog.show({
+      title: 'Collaboration Session',
+      body: `
+        <p>${this.relayUrl
+          ? 'Send this link to the people you want to edit with:'
+          : 'Open this link in another tab of this browser:'}</p>
+        <input type="text" id="collab-link" class="collab-link" readonly value="${this._escape(link.href)}" />
+        <ul class="collab-people">${people}</ul>
+        <p class="collab-hint">Images and media stay on the computer that added them.</p>
+      `,
+      buttons: [
+        { text: 'Close', type: 'secondary', value: null },
+        { text: 'Leave Session', type: 'danger', value: 'leave' },
+        { text: 'Copy Link', type: 'primary', value: 'copy' }
+      ],
+      onRender: (box) => box.querySelector('#collab-link')?.select()
+    });
+
+    if (choice === 'leave') {
+      this.leave();
+      toast.info('Left the collaboration session');
+    } else if (choice === 'copy') {
+      try {
+        await navigator.clipboard.writeText(link.href);
+        toast.success('Invite link copied');
+      } catch (error) {
+        toast.error('Could not copy the link');
+      }
+    }
+  }
+
+  /**
+   * Name shown to the other editors
+   * @returns {string}
+   */
+  _userName() {
+    const name = getSetting('collab.name');
+    if (name) return name;
+    const guest = `Guest ${Math.floor(Math.random() * 900) + 100}`;
+    setSetting('collab.name', guest);
+    return guest;
+  }
+
+  /**
+   * Relay to use when none was given: the saved one, or the dev server's
+   * @returns {string}
+   */
+  _defaultRelayUrl() {
+    const saved = getSetting('collab.relayUrl');
+    if (saved) return saved;
+    if (import.meta.env.DEV) {
+      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      return `${protocol}//${window.location.host}${DEV_RELAY_PATH}`;
+    }
+    return '';
+  }
+
+  /**
+   * Stable color for a site
+   * @param {string} site
+   * @returns {string}
+   */
+  _colorOf(site) {
+    let hash = 0;
+    for (const char of site) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return PEER_COLORS[hash % PEER_COLORS.length];
+  }
+
+  /**
+   * Escape text for HTML attributes and content
+   * @param {string} text
+   * @returns {string}
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
+
+export default CollaborationController;
@@ -0,0 +1,784 @@
+/**
+ * WOW3 Custom Animation Controller
+ * Keyframe animation dialog: edits the keyframe timeline and easing curve of
+ * a custom animation, saves it with the presentation or in the user's
+ * animation library, and applies it to the selected element.
+ *
+ * Saving to the presentation is a regular edit: it goes through
+ * recordHistory(), so it can be undone and is shared with collaborators.
+ * The library lives in AnimationLibraryDB, outside any presentation.
+ */
+
+import {
+  ANIMATION_CATEGORY,
+  EASING_MAP
+} from '@wow/core/animations/definitions.js';
+import {
+  CUSTOM_KEYFRAME_PROPERTIES,
+  CUSTOM_ANIMATION_CATEGORIES,
+  CUSTOM_ANIMATION_DURATION_RANGE,
+  normalizeCustomAnimation,
+  createCustomAnimation,
+  buildCustomKeyframes,
+  parseCubicBezier,
+  cubicBezierEasing,
+  customAnimationType
+} from '@wow/core/animations/custom_animations.js';
+import { toast } from '@wow/core/utils/toasts.js';
+
+/** Labels of the categories a custom animation plays in */
+const CATEGORY_LABELS = {
+  [ANIMATION_CATEGORY.BUILD_IN]: 'Build In',
+  [ANIMATION_CATEGORY.ACTION]: 'Action',
+  [ANIMATION_CATEGORY.BUILD_OUT]: 'Build Out'
+};
+
+/** Geometry of the curve editor: the unit square, with room above and below for overshoot */
+const CURVE = { size: 200, padX: 20, padY: 60 };
+
+/** Closest two keyframes may get on the timeline */
+const MIN_KEYFRAME_GAP = 0.01;
+
+// ─── CustomAnimationController Class ─────────────────────
+
+export class CustomAnimationController {
+  /**
+   * Create custom animation controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+
+    /** @type {Object|null} Custom animation being edited */
+    this._draft = null;
+    /** @type {number} Index of the selected keyframe */
+    this._selectedFrame = 0;
+    /** @type {Array<Object>} Custom animations of the library */
+    this._library = [];
+    /** @type {Animation[]} Preview playing on the sample */
+    this._previewAnimations = [];
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the custom animation controller.
+   * Binds the Escape key of the dialog.
+   */
+  init() {
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isOpen()) return;
+      if (document.querySelector('.dialog-overlay')) return;
+      this.close();
+    });
+  }
+
+  /**
+   * Whether the custom animation dialog is shown
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!document.getElementById('custom-animation-overlay')?.classList.contains('active');
+  }
+
+  /**
+   * Open the dialog on a custom animation of the presentation, or on a new one
+   * @param {Object} [options]
+   * @param {string} [options.animationId] - Custom animation of the presentation to edit
+   * @param {string} [options.category] - Category of a new custom animation
+   */
+  async open({ animationId = null, category = ANIMATION_CATEGORY.ACTION } = {}) {
+    const stored = animationId ? this.editor.presentation.getCustomAnimation(animationId) : null;
+    this._setDraft(stored || createCustomAnimation(CUSTOM_ANIMATION_CATEGORIES.includes(category) ? category : ANIMATION_CATEGORY.ACTION));
+
+    this._renderOverlay();
+    document.getElementById('custom-animation-overlay').classList.add('active');
+    this._render();
+    await this._loadLibrary();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this._stopPreview();
+    document.getElementById('custom-animation-overlay')?.classList.remove('active');
+  }
+
+  /**
+   * Re-render the lists (e.g. after an undo or a collaborator's change)
+   */
+  refresh() {
+    if (!this.isOpen()) return;
+    this._renderList();
+    this._renderHeader();
+  }
+
+  /**
+   * Save the animation being edited with the presentation
+   * @returns {Object} Stored custom animation
+   */
+  save() {
+    const stored = this.editor.presentation.saveCustomAnimation(this._draft);
+    this.editor.recordHistory();
+    this.editor.animationEditorController?.refreshCustomAnimations();
+    this.refresh();
+    return stored;
+  }
+
+  /**
+   * Save the animation being edited with the presentation and add it to the
+   * selected element
+   */
+  apply() {
+    const animationEditor = this.editor.animationEditorController;
+    if (!animationEditor?._currentElement) {
+      toast.warning('Select an element to apply the animation to');
+      return;
+    }
+
+    const stored = this.save();
+    animationEditor.setEffect(customAnimationType(stored.id));
+    this.close();
+  }
+
+  /**
+   * Keep the animation being edited in the library, for any presentation
+   */
+  async saveToLibrary() {
+    try {
+      await window.AnimationLibraryDB.save(normalizeCustomAnimation(this._draft));
+      toast.success(`"${this._draft.name}" saved to your library`);
+      await this._loadLibrary();
+    } catch (error) {
+      console.error('Failed to save custom animation to library:', error);
+      toast.error('Could not save to the library');
+    }
+  }
+
+  /**
+   * Remove a custom animation from the presentation, with the steps playing it
+   * @param {string} id - Custom animation ID
+   */
+  async removeFromPresentation(id) {
+    const presentation = this.editor.presentation;
+    const animation = presentation.getCustomAnimation(id);
+    if (!animation) return;
+
+    const steps = presentation.getCustomAnimationSteps(id).length;
+    if (steps > 0) {
+      const confirmed = await Dialog.confirm(
+        `"${this._escape(animation.name)}" is used by ${steps} animation step${steps > 1 ? 's' : ''}, which will be removed too.`,
+        'Remove Custom Animation'
+      );
+      if (!confirmed) return;
+    }
+
+    presentation.removeCustomAnimation(id);
+    this.editor.recordHistory();
+    this.editor.animationEditorController?.refreshCustomAnimations();
+    this.refresh();
+  }
+
+  /**
+   * Delete a custom animation from the library; presentations keep their copy
+   * @param {string} id - Custom animation ID
+   */
+  async deleteFromLibrary(id) {
+    try {
+      await window.AnimationLibraryDB.delete(id);
+      await this._loadLibrary();
+    } catch (error) {
+      console.error('Failed to delete custom animation from library:', error);
+      toast.error('Could not delete from the library');
+    }
+  }
+
+  // ─── Draft ───────────────────────────────────────────────
+
+  /**
+   * Start editing a copy of a custom animation
+   * @param {Object} animation
+   * @private
+   */
+  _setDraft(animation) {
+    this._stopPreview();
+    this._draft = normalizeCustomAnimation(JSON.parse(JSON.stringify(animation)));
+    this._selectedFrame = 0;
+  }
+
+  /**
+   * Normalize the draft after an edit and keep the same keyframe selected
+   * @param {Object} [selected] - Keyframe to select, by identity
+   * @private
+   */
+  _commitDraft(selected = this._draft.keyframes[this._selectedFrame]) {
+    const offset = selected?.offset ?? 0;
+    this._draft = normalizeCustomAnimation(this._draft);
+
+    // Offsets are rounded on the way: pick the closest keyframe
+    const distances = this._draft.keyframes.map(frame => Math.abs(frame.offset - offset));
+    this._selectedFrame = distances.indexOf(Math.min(...distances));
+  }
+
+  /**
+   * Add a keyframe halfway between the selected one and the next
+   * @private
+   */
+  _addKeyframe() {
+    const frames = this._draft.keyframes;
+    const from = Math.min(this._selectedFrame, frames.length - 2);
+    const offset = (frames[from].offset + frames[from + 1].offset) / 2;
+    if (frames[from + 1].offset - frames[from].offset < MIN_KEYFRAME_GAP * 2) {
+      toast.warning('No room for another keyframe here');
+      return;
+    }
+
+    const frame = { offset };
+    frames.splice(from + 1, 0, frame);
+    this._commitDraft(frame);
+    this._renderTimeline();
+    this._renderProperties();
+  }
+
+  /**
+   * Remove the selected keyframe; the first and last stay
+   * @private
+   */
+  _removeKeyframe() {
+    const frames = this._draft.keyframes;
+    if (this._selectedFrame === 0 || this._selectedFrame === frames.length - 1) return;
+
+    frames.splice(this._selectedFrame, 1);
+    this._selectedFrame = Math.max(0, this._selectedFrame - 1);
+    this._renderTimeline();
+    this._renderProperties();
+  }
+
+  /**
+   * Load the library into the list
+   * @private
+   */
+  async _loadLibrary() {
+    try {
+      this._library = window.AnimationLibraryDB ? await window.AnimationLibraryDB.getAll() : [];
+    } catch (error) {
+      console.error('Failed to load the animation library:', error);
+      this._library = [];
+    }
+    this._renderList();
+  }
+
+  // ─── Preview ─────────────────────────────────────────────
+
+  /**
+   * Play the draft on the sample
+   * @private
+   */
+  _playPreview() {
+    const sample = document.getElementById('ca-sample');
+    if (!sample) return;
+    this._stopPreview();
+
+    const { keyframes, colorKeyframes } = buildCustomKeyframes(this._draft);
+    const timing = {
+      duration: this._draft.duration,
+      easing: EASING_MAP[this._draft.easing] || this._draft.easing
+    };
+
+    this._previewAnimations = [sample.animate(keyframes, timing)];
+    if (colorKeyframes) {
+      this._previewAnimations.push(sample.animate(colorKeyframes.map(frame => ({ offset: frame.offset, color: frame.color })), timing));
+    }
+  }
+
+  /**
+   * Stop the preview
+   * @private
+   */
+  _stopPreview() {
+    this._previewAnimations.forEach((animation) => {
+      try {
+        animation.cancel();
+      } catch (_) {
+        // Already cancelled
+      }
+    });
+    this._previewAnimations = [];
+  }
+
+  // ─── Rendering ───────────────────────────────────────────
+
+  /**
+   * Create the dialog once
+   * @private
+   */
+  _renderOverlay() {
+    if (document.getElementById('custom-animation-overlay')) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="custom-animation-overlay">
+        <div id="custom-animation-window">
+          <div class="ca-header">
+            <h2>Custom Animation</h2>
+            <div class="ca-controls">
+              <button class="btn-ca" id="btn-ca-library" title="Keep in your library for any presentation">
+                <i class="material-icons">bookmark_add</i> Save to Library
+              </button>
+              <button class="btn-ca" id="btn-ca-save" title="Save with this presentation">
+                <i class="material-icons">save</i> Save
+              </button>
+              <button class="btn-ca primary" id="btn-ca-apply" title="Save and add to the selected element">
+                <i class="material-icons">add_circle</i> Apply to Element
+              </button>
+              <button class="btn-ca-icon" id="btn-ca-close" title="Close"><i class="material-icons">close</i></button>
+            </div>
+          </div>
+          <div class="ca-body">
+            <div class="ca-list" id="ca-list"></div>
+            <div class="ca-editor">
+              <div class="ca-fields" id="ca-fields"></div>
+              <div class="ca-stage">
+                <div class="ca-sample" id="ca-sample">Aa</div>
+                <button class="btn-ca-icon ca-play" id="btn-ca-play" title="Preview"><i class="material-icons">play_circle</i></button>
+              </div>
+              <div class="ca-section-title">Keyframes</div>
+              <div class="ca-timeline">
+                <div class="ca-track" id="ca-track"></div>
+                <div class="ca-timeline-actions">
+                  <button class="btn-ca" id="btn-ca-add-frame"><i class="material-icons">add</i> Keyframe</button>
+                  <button class="btn-ca" id="btn-ca-remove-frame"><i class="material-icons">remove</i> Keyframe</button>
+                </div>
+              </div>
+              <div class="ca-props" id="ca-props"></div>
+            </div>
+            <div class="ca-easing" id="ca-easing"></div>
+          </div>
+        </div>
+      </div>
+    `);
+
+    const overlay = document.getElementById('custom-animation-overlay');
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    document.getElementById('btn-ca-close').addEventListener('click', () => this.close());
+    document.getElementById('btn-ca-save').addEventListener('click', () => {
+      const stored = this.save();
+      toast.success(`"${stored.name}" saved`);
+    });
+    document.getElementById('btn-ca-apply').addEventListener('click', () => this.apply());
+    document.getElementById('btn-ca-library').addEventListener('click', () => this.saveToLibrary());
+    document.getElementById('btn-ca-play').addEventListener('click', () => this._playPreview());
+    document.getElementById('btn-ca-add-frame').addEventListener('click', () => this._addKeyframe());
+    document.getElementById('btn-ca-remove-frame').addEventListener('click', () => this._removeKeyframe());
+
+    document.getElementById('ca-list').addEventListener('click', (e) => this._handleListClick(e));
+    document.getElementById('ca-fields').addEventListener('change', (e) => this._handleFieldChange(e));
+    document.getElementById('ca-props').addEventListener('change', (e) => this._handlePropertyChange(e));
+    document.getElementById('ca-easing').addEventListener('change', (e) => this._handleEasingChange(e));
+  }
+
+  /**
+   * Render everything for the draft
+   * @private
+   */
+  _render() {
+    this._renderHeader();
+    this._renderList();
+    this._renderFields();
+    this._renderTimeline();
+    this._renderProperties();
+    this._renderEasing();
+  }
+
+  /**
+   * Enable "Apply" when there is an element to apply to
+   * @private
+   */
+  _renderHeader() {
+    const apply = document.getElementById('btn-ca-apply');
+    if (apply) apply.disabled = !this.editor.animationEditorController?._currentElement;
+  }
+
+  /**
+   * Render the custom animations of the presentation and of the library
+   * @private
+   */
+  _renderList() {
+    const list = document.getElementById('ca-list');
+    if (!list || !this._draft) return;
+
+    const item = (animation, source) => `
+      <div class="ca-item${animation.id === this._draft.id ? ' selected' : ''}" data-id="${animation.id}" data-source="${source}">
+        <span class="ca-item-name">${this._escape(animation.name)}</span>
+        <span class="ca-item-category">${CATEGORY_LABELS[animation.category] || ''}</span>
+        <button class="btn-ca-icon ca-item-remove" title="${source === 'deck' ? 'Remove from this presentation' : 'Delete from your library'}">
+          <i class="material-icons">delete</i>
+        </button>
+      </div>
+    `;
+
+    const deck = this.editor.presentation.customAnimations;
+    list.innerHTML = `
+      <button class="btn-ca ca-new" id="btn-ca-new"><i class="material-icons">add</i> New Animation</button>
+      <div class="ca-section-title">This Presentation</div>
+      ${deck.length > 0 ? deck.map(animation => item(animation, 'deck')).join('') : '<p class="ca-empty">None yet</p>'}
+      <div class="ca-section-title">Library</div>
+      ${this._library.length > 0 ? this._library.map(animation => item(animation, 'library')).join('') : '<p class="ca-empty">Saved animations show here in every presentation</p>'}
+    `;
+  }
+
+  /**
+   * Render name, category and duration
+   * @private
+   */
+  _renderFields() {
+    const fields = document.getElementById('ca-fields');
+    if (!fields) return;
+    const { name, category, duration } = this._draft;
+
+    fields.innerHTML = `
+      <div class="ca-field">
+        <label for="ca-name">Name</label>
+        <input type="text" id="ca-name" data-field="name" value="${this._escape(name)}">
+      </div>
+      <div class="ca-field">
+        <label for="ca-category">Plays as</label>
+        <select class="browser-default" id="ca-category" data-field="category">
+          ${CUSTOM_ANIMATION_CATEGORIES.map(key => `<option value="${key}"${key === category ? ' selected' : ''}>${CATEGORY_LABELS[key]}</option>`).join('')}
+        </select>
+      </div>
+      <div class="ca-field">
+        <label for="ca-duration">Duration (ms)</label>
+        <input type="number" id="ca-duration" data-field="duration" value="${duration}"
+               min="${CUSTOM_ANIMATION_DURATION_RANGE.min}" max="${CUSTOM_ANIMATION_DURATION_RANGE.max}" step="100">
+      </div>
+    `;
+  }
+
+  /**
+   * Render the keyframes on the timeline; the ones between the ends can be dragged
+   * @private
+   */
+  _renderTimeline() {
+    const track = document.getElementById('ca-track');
+    if (!track) return;
+    const frames = this._draft.keyframes;
+
+    track.innerHTML = frames.map((frame, i) => `
+      <div class="ca-keyframe${i === this._selectedFrame ? ' selected' : ''}${i === 0 || i === frames.length - 1 ? ' fixed' : ''}"
+           data-index="${i}" style="left:${frame.offset * 100}%;" title="${Math.round(frame.offset * 100)}%"></div>
+    `).join('');
+
+    track.querySelectorAll('.ca-keyframe').forEach((marker) => {
+      marker.addEventListener('pointerdown', e => this._onKeyframeDown(e, parseInt(marker.dataset.index, 10)));
+    });
+
+    const remove = document.getElementById('btn-ca-remove-frame');
+    if (remove) remove.disabled = this._selectedFrame === 0 || this._selectedFrame === frames.length - 1;
+  }
+
+  /**
+   * Render the properties of the selected keyframe. An empty field follows
+   * the keyframes around it.
+   * @private
+   */
+  _renderProperties() {
+    const props = document.getElementById('ca-props');
+    if (!props) return;
+    const frames = this._draft.keyframes;
+    const frame = frames[this._selectedFrame];
+    const isEnd = this._selectedFrame === 0 || this._selectedFrame === frames.length - 1;
+
+    const fields = Object.entries(CUSTOM_KEYFRAME_PROPERTIES).map(([key, property]) => {
+      if (key === 'color') {
+        return `
+          <label class="ca-prop ca-prop-color">
+            <span>${property.label}</span>
+            <input type="checkbox" class="filled-in" data-color-set ${frame.color ? 'checked' : ''}>
+            <span></span>
+            <input type="color" data-prop="color" value="${frame.color || '#000000'}" ${frame.color ? '' : 'disabled'}>
+          </label>`;
+      }
+      return `
+        <label class="ca-prop">
+          <span>${property.label}${property.unit ? ` (${property.unit})` : ''}</span>
+          <input type="number" data-prop="${key}" value="${frame[key] ?? ''}" placeholder="${isEnd ? property.rest : 'auto'}"
+                 step="${property.step}"${property.min !== undefined ? ` min="${property.min}"` : ''}${property.max !== undefined ? ` max="${property.max}"` : ''}>
+        </label>`;
+    }).join('');
+
+    props.innerHTML = `
+      <label class="ca-prop">
+        <span>At (%)</span>
+        <input type="number" data-prop="offset" value="${Math.round(frame.offset * 1000) / 10}" min="0" max="100" step="1" ${isEnd ? 'disabled' : ''}>
+      </label>
+      ${fields}
+    `;
+  }
+
+  /**
+   * Render the easing presets and the curve editor
+   * @private
+   */
+  _renderEasing() {
+    const panel = document.getElementById('ca-easing');
+    if (!panel) return;
+    const { easing } = this._draft;
+    const isNamed = !!EASING_MAP[easing];
+
+    panel.innerHTML = `
+      <div class="ca-section-title">Easing</div>
+      <select class="browser-default" id="ca-easing-preset">
+        ${Object.keys(EASING_MAP).map(key => `<option value="${key}"${key === easing ? ' selected' : ''}>${key}</option>`).join('')}
+        <option value=""${isNamed ? '' : ' selected'}>Custom curve</option>
+      </select>
+      <svg class="ca-curve" id="ca-curve" viewBox="0 0 ${CURVE.size + CURVE.padX * 2} ${CURVE.size + CURVE.padY * 2}">
+        <rect class="ca-curve-box" x="${CURVE.padX}" y="${CURVE.padY}" width="${CURVE.size}" height="${CURVE.size}"></rect>
+        <line class="ca-curve-arm" data-arm="1"></line>
+        <line class="ca-curve-arm" data-arm="2"></line>
+        <path class="ca-curve-line"></path>
+        <circle class="ca-curve-handle" data-handle="1" r="7"></circle>
+        <circle class="ca-curve-handle" data-handle="2" r="7"></circle>
+      </svg>
+      <code class="ca-curve-value" id="ca-curve-value"></code>
+    `;
+
+    panel.querySelectorAll('.ca-curve-handle').forEach((handle) => {
+      handle.addEventListener('pointerdown', e => this._onCurveHandleDown(e, parseInt(handle.dataset.handle, 10)));
+    });
+    this._drawCurve();
+  }
+
+  /**
+   * Draw the easing curve and its handles
+   * @private
+   */
+  _drawCurve() {
+    const svg = document.getElementById('ca-curve');
+    if (!svg) return;
+
+    // Easings that are no curve (e.g. steps) draw as linear until edited
+    const [x1, y1, x2, y2] = parseCubicBezier(this._draft.easing) || [0, 0, 1, 1];
+    const [sx, sy] = this._toCurvePoint(0, 0);
+    const [ex, ey] = this._toCurvePoint(1, 1);
+    const [c1x, c1y] = this._toCurvePoint(x1, y1);
+    const [c2x, c2y] = this._toCurvePoint(x2, y2);
+
+    svg.querySelector('.ca-curve-line').setAttribute('d', `M ${sx} ${sy} C ${c1x} ${c1y} ${c2x} ${c2y} ${ex} ${ey}`);
+    [[1, sx, sy, c1x, c1y], [2, ex, ey, c2x, c2y]].forEach(([n, ax, ay, hx, hy]) => {
+      const arm = svg.querySelector(`[data-arm="${n}"]`);
+      arm.setAttribute('x1', ax);
+      arm.setAttribute('y1', ay);
+      arm.setAttribute('x2', hx);
+      arm.setAttribute('y2', hy);
+      const handle = svg.querySelector(`[data-handle="${n}"]`);
+      handle.setAttribute('cx', hx);
+      handle.setAttribute('cy', hy);
+    });
+
+    const value = document.getElementById('ca-curve-value');
+    if (value) value.textContent = EASING_MAP[this._draft.easing] || this._draft.easing;
+  }
+
+  // ─── Event handlers ──────────────────────────────────────
+
+  /**
+   * Open, add or remove a custom animation of the list
+   * @param {MouseEvent} e
+   * @private
+   */
+  _handleListClick(e) {
+    if (e.target.closest('#btn-ca-new')) {
+      this._setDraft(createCustomAnimation(this._draft.category));
+      this._render();
+      return;
+    }
+
+    const item = e.target.closest('.ca-item');
+    if (!item) return;
+    const { id, source } = item.dataset;
+
+    if (e.target.closest('.ca-item-remove')) {
+      if (source === 'deck') {
+        this.removeFromPresentation(id);
+      } else {
+        this.deleteFromLibrary(id);
+      }
+      return;
+    }
+
+    // A library animation keeps its ID, so saving it again updates the presentation's copy
+    const animation = source === 'deck'
+      ? this.editor.presentation.getCustomAnimation(id)
+      : this._library.find(candidate => candidate.id === id);
+    if (!animation) return;
+    this._setDraft(animation);
+    this._render();
+  }
+
+  /**
+   * Apply a change of name, category or duration
+   * @param {Event} e
+   * @private
+   */
+  _handleFieldChange(e) {
+    const { field } = e.target.dataset;
+    if (!field) return;
+
+    this._draft[field] = field === 'duration' ? parseInt(e.target.value, 10) : e.target.value;
+    this._commitDraft();
+    this._renderFields();
+  }
+
+  /**
+   * Apply a change to the selected keyframe
+   * @param {Event} e
+   * @private
+   */
+  _handlePropertyChange(e) {
+    const frame = this._draft.keyframes[this._selectedFrame];
+
+    if (e.target.hasAttribute('data-color-set')) {
+      if (e.target.checked) {
+        frame.color = e.target.parentNode.querySelector('[data-prop="color"]').value;
+      } else {
+        delete frame.color;
+      }
+    } else {
+      const { prop } = e.target.dataset;
+      if (!prop) return;
+
+      if (prop === 'offset') {
+        // Stay between the neighbouring keyframes so the order holds
+        const frames = this._draft.keyframes;
+        const min = frames[this._selectedFrame - 1].offset + MIN_KEYFRAME_GAP;
+        const max = frames[this._selectedFrame + 1].offset - MIN_KEYFRAME_GAP;
+        const offset = parseFloat(e.target.value) / 100;
+        if (Number.isFinite(offset)) frame.offset = Math.min(max, Math.max(min, offset));
+      } else if (e.target.value === '') {
+        delete frame[prop];
+      } else {
+        frame[prop] = prop === 'color' ? e.target.value : parseFloat(e.target.value);
+      }
+    }
+
+    this._commitDraft(frame);
+    this._renderTimeline();
+    this._renderProperties();
+  }
+
+  /**
+   * Pick an easing preset
+   * @param {Event} e
+   * @private
+   */
+  _handleEasingChange(e) {
+    if (e.target.id !== 'ca-easing-preset') return;
+
+    // "Custom curve" starts from the current curve
+    this._draft.easing = e.target.value || cubicBezierEasing(parseCubicBezier(this._draft.easing) || [0, 0, 1, 1]);
+    this._drawCurve();
+  }
+
+  /**
+   * Drag a keyframe along the timeline
+   * @param {PointerEvent} e
+   * @param {number} index - Index of the keyframe
+   * @private
+   */
+  _onKeyframeDown(e, index) {
+    e.preventDefault();
+    const frames = this._draft.keyframes;
+    const frame = frames[index];
+    this._selectedFrame = index;
+    this._renderTimeline();
+    this._renderProperties();
+
+    // The first and last keyframes stay at the ends
+    if (index === 0 || index === frames.length - 1) return;
+
+    const track = document.getElementById('ca-track');
+    const rect = track.getBoundingClientRect();
+    const min = frames[index - 1].offset + MIN_KEYFRAME_GAP;
+    const max = frames[index + 1].offset - MIN_KEYFRAME_GAP;
+
+    const onMove = (ev) => {
+      const offset = (ev.clientX - rect.left) / rect.width;
+      frame.offset = Math.round(Math.min(max, Math.max(min, offset)) * 100) / 100;
+      const marker = track.querySelector(`[data-index="${index}"]`);
+      if (marker) marker.style.left = `${frame.offset * 100}%`;
+    };
+
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      this._commitDraft(frame);
+      this._renderTimeline();
+      this._renderProperties();
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Drag a control point of the easing curve
+   * @param {PointerEvent} e
+   * @param {number} handle - 1 or 2
+   * @private
+   */
+  _onCurveHandleDown(e, handle) {
+    e.preventDefault();
+    const svg = document.getElementById('ca-curve');
+    const points = parseCubicBezier(this._draft.easing) || [0, 0, 1, 1];
+
+    const onMove = (ev) => {
+      const rect = svg.getBoundingClientRect();
+      const viewBox = svg.viewBox.baseVal;
+      const x = (ev.clientX - rect.left) * viewBox.width / rect.width;
+      const y = (ev.clientY - rect.top) * viewBox.height / rect.height;
+      const i = (handle - 1) * 2;
+      points[i] = (x - CURVE.padX) / CURVE.size;
+      points[i + 1] = 1 - (y - CURVE.padY) / CURVE.size;
+      this._draft.easing = cubicBezierEasing(points);
+      this._drawCurve();
+    };
+
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      const preset = document.getElementById('ca-easing-preset');
+      if (preset) preset.value = '';
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────
+
+  /**
+   * Curve editor coordinates of a point of the easing curve
+   * @param {number} x - Time, 0 to 1
+   * @param {number} y - Progress
+   * @returns {number[]} [x, y] in the SVG
+   * @private
+   */
+  _toCurvePoint(x, y) {
+    return [CURVE.padX + x * CURVE.size, CURVE.padY + (1 - y) * CURVE.size];
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
+
+export default CustomAnimationController;
@@ -14,6 +14,13 @@ import {
   importPresentation,
   clearSnapshot
 } from '../utils/storage.js';
+import { formatPptxSummary } from '../utils/pptx_importer.js';
+import { exportPdf } from '../utils/pdf_exporter.js';
+import { exportPptx } from '../utils/pptx_exporter.js';
+import { inflateSlide, resolveLayouts } from '../utils/slide_layouts.js';
+import { THEME_COLOR_SLOTS, getThemeRef, setThemeRef, themeValue } from '../utils/deck_themes.js';
+import { TRANSITION_DEFINITIONS, TRANSITION_DIRECTION_LABELS, normalizeTransition } from '@wow/core/animations/transitions.js';
+import { customAnimationId } from '@wow/core/animations/custom_animations.js';
 import { appEvents, AppEvents } from '@wow/core/utils/events.js';
 import { toast } from '@wow/core/utils/toasts.js';
 
@@ -31,6 +38,7 @@ export class EditorController {
     this.elementController = null;
     this.animationEditorController = null;
     this.playbackController = null;
+    this.collaborationController = null;
 
     // History management
     this.history = [];
@@ -42,6 +50,10 @@ export class EditorController {
     this.isEditingShell = false;
     this.editingShellId = null;
 
+    // Layout editing state
+    this.isEditingLayout = false;
+    this.editingLayoutId = null;
+
     // Shell preview overlay while editing a regular slide
     this.showShellPreview = false;
   }
@@ -73,6 +85,7 @@ export class EditorController {
           this.presentation.title = e.target.value || 'Untitled Presentation';
           this.presentation.updateModified();
           this.unsavedChanges = true;
+          this.collaborationController?.onLocalChange();
         }
       });
     }
@@ -143,6 +156,16 @@ export class EditorController {
       addCountdownBtn.addEventListener('click', () => this.addElement('countdown_timer'));
     }
 
+    const addChartBtn = document.getElementById('add-chart-btn');
+    if (addChartBtn) {
+      addChartBtn.addEventListener('click', () => this.addElement('chart'));
+    }
+
+    const addTableBtn = document.getElementById('add-table-btn');
+    if (addTableBtn) {
+      addTableBtn.addEventListener('click', () => this.addElement('table'));
+    }
+
     const addEmptyBtn = document.getElementById('add-empty-btn');
     if (addEmptyBtn) {
       addEmptyBtn.addEventListener('click', () => this.addElement('empty'));
@@ -164,6 +187,16 @@ export class EditorController {
       });
     }
 
+    // Slide background theme color
+    const slideBgThemeSelect = document.getElementById('slide-background-theme-select');
+    if (slideBgThemeSelect) {
+      slideBgThemeSelect.addEventListener('change', (e) => {
+        setThemeRef(this.getActiveSlide(), 'background', e.target.value || null, this.presentation.theme);
+        this.recordHistory();
+        this.render();
+      });
+    }
+
     // Slide title
     const slideTitle = document.getElementById('slide-title');
     if (slideTitle) {
@@ -174,6 +207,16 @@ export class EditorController {
       });
     }
 
+    // Speaker notes
+    const slideNotes = document.getElementById('slide-notes');
+    if (slideNotes) {
+      slideNotes.addEventListener('change', (e) => {
+        const activeSlide = this.getActiveSlide();
+        activeSlide.setNotes(e.target.value);
+        this.recordHistory();
+      });
+    }
+
     // Shell assignment dropdown (per-slide)
     const slideShellSelect = document.getElementById('slide-shell-select');
     if (slideShellSelect) {
@@ -188,6 +231,22 @@ export class EditorController {
       });
     }
 
+    // Layout dropdown: moves the slide to another layout, or detaches it
+    const slideLayoutSelect = document.getElementById('slide-layout-select');
+    if (slideLayoutSelect) {
+      slideLayoutSelect.addEventListener('change', (e) => {
+        this.applyLayout(e.target.value || null);
+      });
+    }
+
+    // Reset to layout: re-apply the slide's own layout
+    const slideLayoutResetBtn = document.getElementById('slide-layout-reset-btn');
+    if (slideLayoutResetBtn) {
+      slideLayoutResetBtn.addEventListener('click', () => {
+        this.applyLayout(this.presentation.getCurrentSlide().layoutId);
+      });
+    }
+
     // Shell mode dropdown (per-slide)
     const slideShellMode = document.getElementById('slide-shell-mode');
     if (slideShellMode) {
@@ -225,6 +284,40 @@ export class EditorController {
       });
     }
 
+    // Transition: effect, direction and duration of the slide's transition
+    const slideTransitionType = document.getElementById('slide-transition-type');
+    if (slideTransitionType) {
+      slideTransitionType.innerHTML = Object.entries(TRANSITION_DEFINITIONS)
+        .map(([type, def]) => `<option value="${type}">${def.label}</option>`)
+        .join('');
+    }
+
+    const updateTransition = (changes) => {
+      const activeSlide = this.getActiveSlide();
+      activeSlide.transition = normalizeTransition({ ...activeSlide.transition, ...changes });
+      this.recordHistory();
+      this.updateUI();
+    };
+
+    slideTransitionType?.addEventListener('change', (e) => {
+      updateTransition({ type: e.target.value });
+      this.slideController?.previewTransition();
+    });
+
+    document.getElementById('slide-transition-direction')?.addEventListener('change', (e) => {
+      updateTransition({ direction: e.target.value });
+      this.slideController?.previewTransition();
+    });
+
+    document.getElementById('slide-transition-duration')?.addEventListener('change', (e) => {
+      const seconds = parseFloat(e.target.value);
+      if (seconds > 0) updateTransition({ duration: seconds * 1000 });
+    });
+
+    document.getElementById('slide-transition-preview-btn')?.addEventListener('click', () => {
+      this.slideController?.previewTransition();
+    });
+
     // Shell preview toggle button
     const shellPreviewBtn = document.getElementById('shell-preview-btn');
     if (shellPreviewBtn) {
@@ -423,27 +516,74 @@ export class EditorController {
   }
 
   /**
-   * Export presentation as .wow3 ZIP
+   * Export presentation: asks for the format, then writes a .wow3 ZIP,
+   * a PDF (optionally with speaker notes pages) or a PowerPoint file
    */
   async exportPresentation() {
     if (!this.presentation) return;
 
+    const choice = await Dialog.show({
+      title: 'Export Presentation',
+      body: `
+        <p>Choose a format. <b>.wow3</b> keeps everything and can be imported again;
+        <b>PDF</b> has one page per visible slide; <b>PowerPoint</b> keeps text, images,
+        shapes and lists editable.</p>
+        <label for="export-pdf-notes">
+          <input type="checkbox" id="export-pdf-notes" name="export-pdf-notes" />
+          <span>PDF: add a speaker notes page after each slide with notes</span>
+        </label>
+      `,
+      buttons: [
+        { text: 'Cancel', type: 'secondary', value: null },
+        { text: '.wow3', type: 'primary', value: 'wow3', resolveInput: true },
+        { text: 'PDF', type: 'primary', value: 'pdf', resolveInput: true },
+        { text: 'PowerPoint', type: 'primary', value: 'pptx', resolveInput: true }
+      ]
+    });
+    if (!choice?.value) return;
+
     try {
-      await exportPresentation(this.presentation);
-      toast.success('Presentation exported');
+      if (choice.value === 'pdf') {
+        toast.info('Rendering PDF…');
+        const notes = choice.input?.['export-pdf-notes'] === true;
+        const pages = await exportPdf(this.presentation, { notes });
+        toast.success(`Exported ${pages} slide${pages === 1 ? '' : 's'} to PDF`);
+      } else if (choice.value === 'pptx') {
+        const { skipped } = await exportPptx(this.presentation);
+        const left = Object.entries(skipped).map(([what, count]) => `${count} ${what}`);
+        if (left.length > 0) {
+          toast.warning(`Exported to PowerPoint without ${left.join(', ')}`);
+        } else {
+          toast.success('Exported to PowerPoint');
+        }
+      } else {
+        await exportPresentation(this.presentation);
+        toast.success('Presentation exported');
+      }
     } catch (error) {
       console.error('Failed to export presentation:', error);
-      toast.error('Failed to export presentation');
+      toast.error(`Failed to export presentation: ${error.message}`);
     }
   }
 
   /**
-   * Import presentation from JSON file
+   * Import presentation from a .wow3, .pptx or JSON file.
+   * PowerPoint imports end with a summary of what could not be converted.
    */
   async importPresentation() {
     try {
       const data = await importPresentation();
       await this.loadPresentation(data);
+
+      if (data.importSummary) {
+        Dialog.show({
+          title: 'PowerPoint Import',
+          body: formatPptxSummary(data.importSummary),
+          buttons: [
+            { text: 'OK', type: 'primary', value: true }
+          ]
+        });
+      }
     } catch (error) {
       console.error('Failed to import presentation:', error);
       toast.error('Failed to import presentation');
@@ -473,6 +613,11 @@ export class EditorController {
 
     // Update UI
     this.updateUI();
+
+    // The theme, custom animation and merge dialogs follow undo, restores and collaborators
+    this.themeController?.refresh();
+    this.customAnimationController?.refresh();
+    this.mergeController?.refresh();
   }
 
   /**
@@ -490,6 +635,8 @@ export class EditorController {
     if (slideCounter) {
       if (this.isEditingShell) {
         slideCounter.textContent = 'Editing Shell';
+      } else if (this.isEditingLayout) {
+        slideCounter.textContent = 'Editing Layout';
       } else {
         slideCounter.textContent = `Slide ${this.presentation.currentSlideIndex + 1} of ${this.presentation.slides.length}`;
       }
@@ -502,18 +649,43 @@ export class EditorController {
       slideTitle.value = activeSlide.title;
     }
 
+    // Speaker notes — shells and layouts have none
+    const isEditingSlide = !this.isEditingShell && !this.isEditingLayout;
+    const slideNotesSection = document.getElementById('slide-notes-section');
+    const slideNotes = document.getElementById('slide-notes');
+    if (slideNotesSection && slideNotes) {
+      slideNotesSection.style.display = isEditingSlide ? 'block' : 'none';
+      if (document.activeElement !== slideNotes) {
+        slideNotes.value = activeSlide.notes;
+      }
+    }
+
     if ( this._bgSelector ) {
       this._bgSelector.update(activeSlide.background, activeSlide.backgroundAnimationSpeed, activeSlide.backgroundAnimationType);
     }
 
+    // Background theme color dropdown — the deck theme's color slots
+    const slideBgThemeSelect = document.getElementById('slide-background-theme-select');
+    if (slideBgThemeSelect) {
+      const theme = this.presentation.theme;
+      slideBgThemeSelect.innerHTML = '<option value="">Custom</option>';
+      for (const slot of THEME_COLOR_SLOTS) {
+        const option = document.createElement('option');
+        option.value = slot.key;
+        option.textContent = `${slot.label} (${themeValue(theme, slot.key)})`;
+        option.selected = getThemeRef(activeSlide, 'background') === slot.key;
+        slideBgThemeSelect.appendChild(option);
+      }
+    }
+
     // Shell dropdown — populate with available shells
     const hasShells = this.presentation.hasShells();
     const slideShellField = document.getElementById('slide-shell-field');
     const slideShellSelect = document.getElementById('slide-shell-select');
     if (slideShellField && slideShellSelect) {
-      slideShellField.style.display = hasShells && !this.isEditingShell ? 'block' : 'none';
+      slideShellField.style.display = hasShells && isEditingSlide ? 'block' : 'none';
 
-      if (hasShells && !this.isEditingShell) {
+      if (hasShells && isEditingSlide) {
         // Rebuild options
         slideShellSelect.innerHTML = '<option value="">None</option>';
         for (const shell of this.presentation.shells) {
@@ -532,17 +704,43 @@ export class EditorController {
     const slideShellModeField = document.getElementById('slide-shell-mode-field');
     const slideShellModeSelect = document.getElementById('slide-shell-mode');
     if (slideShellModeField && slideShellModeSelect) {
-      const showMode = hasShells && !this.isEditingShell && activeSlide.shellId;
+      const showMode = hasShells && isEditingSlide && activeSlide.shellId;
       slideShellModeField.style.display = showMode ? 'block' : 'none';
       if (showMode) {
         slideShellModeSelect.value = activeSlide.shellMode || 'above';
       }
     }
 
-    // Shell preview toggle button — visible when slide has a shell assigned and not editing shell
+    // Layout dropdown — populate with the presentation's layouts
+    const hasLayouts = this.presentation.layouts.length > 0;
+    const slideLayoutField = document.getElementById('slide-layout-field');
+    const slideLayoutSelect = document.getElementById('slide-layout-select');
+    if (slideLayoutField && slideLayoutSelect) {
+      slideLayoutField.style.display = hasLayouts && isEditingSlide ? 'block' : 'none';
+
+      if (hasLayouts && isEditingSlide) {
+        slideLayoutSelect.innerHTML = '<option value="">None</option>';
+        for (const layout of this.presentation.layouts) {
+          const option = document.createElement('option');
+          option.value = layout.id;
+          option.textContent = layout.title;
+          if (activeSlide.layoutId === layout.id) {
+            option.selected = true;
+          }
+          slideLayoutSelect.appendChild(option);
+        }
+      }
+    }
+
+    const slideLayoutResetBtn = document.getElementById('slide-layout-reset-btn');
+    if (slideLayoutResetBtn) {
+      slideLayoutResetBtn.style.display = isEditingSlide && activeSlide.layoutId ? 'inline-flex' : 'none';
+    }
+
+    // Shell preview toggle button — visible when slide has a shell assigned and not editing a shell or layout
     const shellPreviewBtn = document.getElementById('shell-preview-btn');
     if (shellPreviewBtn) {
-      const showBtn = !this.isEditingShell && activeSlide.shellId;
+      const showBtn = isEditingSlide && activeSlide.shellId;
       shellPreviewBtn.style.display = showBtn ? 'inline-flex' : 'none';
       shellPreviewBtn.classList.toggle('active', this.showShellPreview);
       const icon = shellPreviewBtn.querySelector('i');
@@ -564,10 +762,51 @@ export class EditorController {
     if (slideAutoPlayDuration) {
       slideAutoPlayDuration.value = activeSlide.autoPlayDuration ?? 5;
     }
+
+    // Transition controls — shells and layouts have no transition of their own
+    const slideTransitionSection = document.getElementById('slide-transition-section');
+    if (slideTransitionSection) {
+      slideTransitionSection.style.display = isEditingSlide ? 'block' : 'none';
+    }
+    const transition = normalizeTransition(activeSlide.transition);
+    const { directions } = TRANSITION_DEFINITIONS[transition.type];
+    const hasEffect = transition.type !== 'none';
+
+    const slideTransitionType = document.getElementById('slide-transition-type');
+    if (slideTransitionType) {
+      slideTransitionType.value = transition.type;
+    }
+
+    const slideTransitionDirectionField = document.getElementById('slide-transition-direction-field');
+    const slideTransitionDirection = document.getElementById('slide-transition-direction');
+    if (slideTransitionDirectionField && slideTransitionDirection) {
+      slideTransitionDirectionField.style.display = directions.length > 0 ? 'block' : 'none';
+      slideTransitionDirection.innerHTML = directions
+        .map(direction => `<option value="${direction}">${TRANSITION_DIRECTION_LABELS[direction]}</option>`)
+        .join('');
+      slideTransitionDirection.value = transition.direction;
+    }
+
+    const slideTransitionDurationField = document.getElementById('slide-transition-duration-field');
+    const slideTransitionDuration = document.getElementById('slide-transition-duration');
+    if (slideTransitionDurationField && slideTransitionDuration) {
+      slideTransitionDurationField.style.display = hasEffect ? 'block' : 'none';
+      slideTransitionDuration.value = transition.duration / 1000;
+    }
+
+    const slideTransitionMorphHint = document.getElementById('slide-transition-morph-hint');
+    if (slideTransitionMorphHint) {
+      slideTransitionMorphHint.style.display = TRANSITION_DEFINITIONS[transition.type].morph ? 'block' : 'none';
+    }
+
+    const slideTransitionPreviewBtn = document.getElementById('slide-transition-preview-btn');
+    if (slideTransitionPreviewBtn) {
+      slideTransitionPreviewBtn.style.display = hasEffect ? 'inline-flex' : 'none';
+    }
   }
 
   /**
-   * Get the slide currently being edited (shell or normal slide)
+   * Get the slide currently being edited (shell, layout or normal slide)
    * @returns {Slide} Active slide
    */
   getActiveSlide() {
@@ -575,6 +814,10 @@ export class EditorController {
       const shell = this.presentation.getShellById(this.editingShellId);
       if (shell) return shell;
     }
+    if (this.isEditingLayout && this.editingLayoutId) {
+      const layout = this.presentation.getLayoutById(this.editingLayoutId);
+      if (layout) return layout;
+    }
     return this.presentation.getCurrentSlide();
   }
 
@@ -595,6 +838,8 @@ export class EditorController {
 
     this.isEditingShell = true;
     this.editingShellId = shellId;
+    this.isEditingLayout = false;
+    this.editingLayoutId = null;
 
     if (this.elementController) {
       this.elementController.deselectAll();
@@ -622,6 +867,76 @@ export class EditorController {
     this.render();
   }
 
+  /**
+   * Enter layout editing mode for a specific layout.
+   * Edits restyle the slides using it as they are recorded.
+   * @param {string} layoutId - Layout ID to edit
+   */
+  editLayout(layoutId) {
+    if (!this.presentation.getLayoutById(layoutId)) return;
+
+    if (this.slideController) {
+      this.slideController.flushThumbnailCapture();
+    }
+
+    this.isEditingShell = false;
+    this.editingShellId = null;
+    this.isEditingLayout = true;
+    this.editingLayoutId = layoutId;
+
+    if (this.elementController) {
+      this.elementController.deselectAll();
+    }
+
+    this.render();
+
+    if (this.slideController) {
+      this.slideController.renderLayouts();
+    }
+  }
+
+  /**
+   * Exit layout editing mode and return to normal slide editing
+   */
+  exitLayoutEditing() {
+    this.isEditingLayout = false;
+    this.editingLayoutId = null;
+
+    if (this.elementController) {
+      this.elementController.deselectAll();
+    }
+
+    this.render();
+  }
+
+  /**
+   * Move the current slide to a layout, reset it to its own layout,
+   * or detach it from its layout
+   * @param {string|null} layoutId - Layout ID, null to detach
+   */
+  applyLayout(layoutId) {
+    const slide = this.presentation.applyLayout(this.presentation.currentSlideIndex, layoutId);
+    if (!slide) return;
+
+    if (this.elementController) {
+      this.elementController.deselectAll();
+    }
+    this.slideController?._thumbCache.delete(slide.id);
+
+    this.recordHistory();
+    this.render();
+  }
+
+  /**
+   * Presentation data with its slides resolved against their layouts,
+   * for the classic-script overlays reading stored presentations (slide import)
+   * @param {Object} data - Presentation JSON
+   * @returns {Object}
+   */
+  resolveLayouts(data) {
+    return resolveLayouts(data);
+  }
+
   /**
    * Add element to current slide
    * @param {string} type - Element type
@@ -646,7 +961,9 @@ export class EditorController {
    * Add new slide
    */
   addSlide() {
-    const slide = this.presentation.addSlide();
+    // A new slide follows the layout of the current one, if any
+    const layoutId = this.presentation.getCurrentSlide()?.layoutId;
+    const slide = this.presentation.addSlide(layoutId ? this.presentation.createSlideFromLayout(layoutId) : null);
     this.recordHistory();
     this.render();
     this.presentation.setCurrentSlide(this.presentation.slides.length - 1);
@@ -655,17 +972,18 @@ export class EditorController {
   }
 
   /**
-   * Add a new slide from a template's slide data
+   * Add a new slide on a template's layout. The first use of a template adds
+   * it to the presentation as a layout; later uses share that layout.
    * @param {Object} slideData - Slide JSON data from a template
+   * @param {string} templateId - Template ID
+   * @param {string} [name] - Template name, used as layout name
    */
-  addSlideFromTemplate(slideData) {
-    const tempSlide = Slide.fromJSON(slideData);
-    const newSlide = tempSlide.clone();
-
-    // Assign default shell if the template doesn't have a specific shell
-    if (!newSlide.shellId && this.presentation.defaultShellId) {
-      newSlide.shellId = this.presentation.defaultShellId;
+  addSlideFromTemplate(slideData, templateId, name) {
+    const layoutId = `layout_${templateId}`;
+    if (!this.presentation.getLayoutById(layoutId)) {
+      this.presentation.addLayout({ ...slideData, title: name || slideData.title }, layoutId);
     }
+    const newSlide = this.presentation.createSlideFromLayout(layoutId);
 
     const insertIndex = this.presentation.currentSlideIndex + 1;
     this.presentation.addSlide(newSlide, insertIndex);
@@ -681,15 +999,30 @@ export class EditorController {
   /**
    * Import slides from another presentation's raw JSON data.
    * Clones each slide with new IDs, clears shellId, and inserts after current slide.
+   * Slides keep their layout and custom animations, added to this presentation if missing.
    * @param {Object[]} slidesJsonArray - Array of slide JSON objects
+   * @param {Object[]} [layouts=[]] - Layouts of the source presentation
+   * @param {Object[]} [customAnimations=[]] - Custom animations of the source presentation
    */
-  async importSlidesFromPresentation(slidesJsonArray) {
+  async importSlidesFromPresentation(slidesJsonArray, layouts = [], customAnimations = []) {
     if (!slidesJsonArray || slidesJsonArray.length === 0) return;
 
     let insertIndex = this.presentation.currentSlideIndex + 1;
 
     for (const slideData of slidesJsonArray) {
-      const tempSlide = Slide.fromJSON(slideData);
+      const layout = layouts.find(l => l.id === slideData.layoutId);
+      const tempSlide = Slide.fromJSON(inflateSlide(slideData, layout));
+      if (tempSlide.layoutId && !this.presentation.getLayoutById(tempSlide.layoutId)) {
+        if (layout) {
+          this.presentation.addLayout(layout, layout.id);
+        } else {
+          tempSlide.layoutId = null;
+        }
+      }
+      tempSlide.animationSequence.forEach((step) => {
+        const custom = customAnimations.find(animation => customAnimationId(step.type) === animation.id);
+        if (custom && !this.presentation.getCustomAnimation(custom.id)) this.presentation.saveCustomAnimation(custom);
+      });
       const newSlide = tempSlide.clone();
       newSlide.shellId = null;
       this.presentation.addSlide(newSlide, insertIndex);
@@ -774,6 +1107,11 @@ export class EditorController {
   recordHistory() {
     if (!this.presentation) return;
 
+    // Slides follow their layout and the theme: restyled ones have stale thumbnails
+    for (const slide of this.presentation.applyTheme()) {
+      this.slideController?._thumbCache.delete(slide.id);
+    }
+
     const state = JSON.stringify(this.presentation.toJSON());
 
     // Remove future history if we're in the middle
@@ -795,6 +1133,9 @@ export class EditorController {
       canRedo: this.canRedo()
     });
 
+    // Share the edit with collaborators
+    this.collaborationController?.onLocalChange();
+
     // Schedule debounced thumbnail capture for the active slide
     if (this.slideController) {
       this.slideController.scheduleThumbnailCapture();
@@ -848,9 +1189,23 @@ export class EditorController {
     this.presentation = Presentation.fromJSON(data);
     this.isEditingShell = false;
     this.editingShellId = null;
+    this.isEditingLayout = false;
+    this.editingLayoutId = null;
+    this.collaborationController?.onLocalChange();
     await this.render();
   }
 
+  /**
+   * Rewrite the history entries around the current one, e.g. to fold in
+   * a collaborator's edits so undo only reverts local ones
+   * @param {Function} transform - Receives the presentation JSON of an entry, returns the new JSON
+   */
+  rebaseHistory(transform) {
+    this.history = this.history.map((state, index) => JSON.stringify(
+      index === this.historyIndex ? this.presentation.toJSON() : transform(JSON.parse(state))
+    ));
+  }
+
   /**
    * Reset history
    */
@@ -13,6 +13,8 @@ import {
   ListElement,
   LinkElement,
   CountdownTimerElement,
+  ChartElement,
+  TableElement,
   EmptyElement
 } from '../models/index.js';
 import { generateId } from '@wow/core/utils/dom.js';
@@ -20,6 +22,8 @@ import { appEvents, AppEvents } from '@wow/core/utils/events.js';
 import { centerOnCanvas } from '@wow/core/utils/positioning.js';
 import { toast } from '@wow/core/utils/toasts.js';
 import { CANVAS } from '@wow/core/utils/constants.js';
+import { runsFromDOM, runStyleAt, getSelectionOffsets, setSelectionOffsets } from '@wow/core/utils/rich_text.js';
+import { defaultThemeRefs, resolveElementTheme, getThemeRef, setThemeRef } from '../utils/deck_themes.js';
 
 export class ElementController {
   /**
@@ -104,6 +108,13 @@ export class ElementController {
     const ElementClass = this.getElementClass(type);
     const element = new ElementClass();
 
+    // Text starts in the theme's text color and body font, charts and tables in its accents
+    const themeRefs = defaultThemeRefs(type);
+    if (themeRefs) {
+      element.properties.themeRefs = themeRefs;
+      resolveElementTheme(element, this.editor.presentation.theme);
+    }
+
     // Center element on canvas
     const centered = centerOnCanvas({
       width: element.position.width,
@@ -140,6 +151,8 @@ export class ElementController {
       list: ListElement,
       link: LinkElement,
       countdown_timer: CountdownTimerElement,
+      chart: ChartElement,
+      table: TableElement,
       empty: EmptyElement
     };
 
@@ -212,6 +225,7 @@ export class ElementController {
   selectElement(element) {
     // Deselect all previous
     this.deselectAll();
+    this._textSelection = null;
 
     // Select new
     this._selectedElements.add(element);
@@ -512,6 +526,11 @@ export class ElementController {
         e.stopPropagation();
         this.enableTextEditing(elementDOM, element);
       });
+
+      // Links inside the text open during playback only
+      elementDOM.addEventListener('click', (e) => {
+        if (e.target.closest('a[href]')) e.preventDefault();
+      });
     }
 
     // Double-click on images/videos: open Media Manager if empty, crop mode if has media
@@ -600,8 +619,9 @@ export class ElementController {
    * Enable text editing
    * @param {HTMLElement} elementDOM - Element DOM
    * @param {Element} element - Element model
+   * @param {{start: number, end: number}} [selection] - Characters to select; all of them by default
    */
-  enableTextEditing(elementDOM, element) {
+  enableTextEditing(elementDOM, element, selection = null) {
     const textContent = elementDOM.querySelector('.text-content');
     if (!textContent) return;
 
@@ -609,23 +629,99 @@ export class ElementController {
     textContent.contentEditable = true;
     textContent.focus();
 
-    // Select all text
-    const range = document.createRange();
-    range.selectNodeContents(textContent);
-    const selection = window.getSelection();
-    selection.removeAllRanges();
-    selection.addRange(range);
+    if (selection) {
+      setSelectionOffsets(textContent, selection.start, selection.end);
+    } else {
+      // Select all text
+      const range = document.createRange();
+      range.selectNodeContents(textContent);
+      const windowSelection = window.getSelection();
+      windowSelection.removeAllRanges();
+      windowSelection.addRange(range);
+    }
+
+    // Remember the selected characters for the formatting commands of the text panel,
+    // which take the focus away from the text
+    const trackSelection = () => {
+      const offsets = getSelectionOffsets(textContent);
+      if (offsets) this._textSelection = { elementId: element.id, ...offsets };
+    };
+    document.addEventListener('selectionchange', trackSelection);
+    trackSelection();
+
+    // Read the edited text, formatting included, back into the model
+    const stopEditing = () => {
+      textContent.contentEditable = false;
+      textContent.removeEventListener('blur', updateText);
+      document.removeEventListener('selectionchange', trackSelection);
+      if (this._textEditing?.element === element) this._textEditing = null;
+      element.setRuns(runsFromDOM(textContent, element.properties.font));
+    };
 
     // Disable editing and save on blur
     const updateText = () => {
-      textContent.contentEditable = false;
-      element.updateText(textContent.innerText);
+      stopEditing();
       this.editor.recordHistory();
-      textContent.removeEventListener('blur', updateText);
       appEvents.emit(AppEvents.ELEMENT_UPDATED, element);
     };
 
     textContent.addEventListener('blur', updateText);
+    this._textEditing = { element, stopEditing };
+  }
+
+  /**
+   * Format the selected characters of the selected text element, or all of
+   * its text when none are selected. Editing, if on, goes on with the same
+   * characters selected.
+   * @param {Object} style - Run keys to set (weight, style, decoration, color, size, link); null clears one
+   */
+  formatTextSelection(style) {
+    this._formatTextRange(() => style);
+  }
+
+  /**
+   * Toggle a formatting value on the selected characters of the selected
+   * text element: set it, or go back to the plain value if they all have it
+   * @param {string} key - 'weight', 'style' or 'decoration'
+   * @param {string} value - e.g. 'bold', 'italic', 'underline'
+   */
+  toggleTextStyle(key, value) {
+    const PLAIN_VALUES = { weight: 'normal', style: 'normal', decoration: 'none' };
+    this._formatTextRange((element, start, end) => {
+      const current = runStyleAt(element.getRuns(), start, end, key, element.properties.font);
+      return { [key]: current === value ? PLAIN_VALUES[key] : value };
+    });
+  }
+
+  /**
+   * Apply formatting to the selected range of the selected text element
+   * @param {function(Element, number, number): Object} styleFor - Style for the element and range
+   * @private
+   */
+  _formatTextRange(styleFor) {
+    const element = this.selectedElement;
+    if (!element || element.type !== 'text') return;
+
+    // Edits typed so far are read first: the selection counts their characters
+    const editing = this._textEditing?.element === element;
+    if (editing) this._textEditing.stopEditing();
+
+    const selection = this._textSelection?.elementId === element.id ? this._textSelection : null;
+    const length = element.properties.text.length;
+    const hasRange = selection && Math.min(selection.end, length) > selection.start;
+    const start = hasRange ? selection.start : 0;
+    const end = hasRange ? Math.min(selection.end, length) : length;
+
+    element.formatRange(start, end, styleFor(element, start, end));
+
+    this.refreshElementDOM(element);
+    this.editor.recordHistory();
+    appEvents.emit(AppEvents.ELEMENT_UPDATED, element);
+
+    if (editing) {
+      const elementDOM = document.getElementById(element.id);
+      if (elementDOM) this.enableTextEditing(elementDOM, element, hasRange ? { start, end } : null);
+    }
   }
 
   /**
@@ -644,45 +740,78 @@ export class ElementController {
       target = target[paths[i]];
     }
 
+    // A literal value no longer follows the theme
+    const themePath = paths.slice(1).join('.');
+    if (paths[0] === 'properties' && target[paths[paths.length - 1]] !== value
+      && getThemeRef(this.selectedElement.properties, themePath)) {
+      setThemeRef(this.selectedElement.properties, themePath, null);
+    }
+
     target[paths[paths.length - 1]] = value;
 
-    // Re-render only the affected element instead of the entire slide.
-    // A full renderCurrentSlide() destroys all DOM nodes, causing media
-    // elements (images, video, audio) to flash as they reload.
+    this.refreshElementDOM(this.selectedElement);
+
+    this.editor.recordHistory();
+    appEvents.emit(AppEvents.ELEMENT_UPDATED, this.selectedElement);
+  }
+
+  /**
+   * Re-render one top-level element of the canvas in place.
+   * Re-rendering only the affected element instead of the entire slide
+   * avoids the flash of media elements (images, video, audio) reloading
+   * that a full renderCurrentSlide() causes.
+   * @param {Element} element - Element model
+   */
+  refreshElementDOM(element) {
     const canvas = document.getElementById('slide-canvas');
-    const oldDOM = document.getElementById(this.selectedElement.id);
+    const oldDOM = document.getElementById(element.id);
+    if (!canvas || !oldDOM) return;
 
-    if (canvas && oldDOM) {
-      const activeSlide = this.editor.getActiveSlide();
-      const zIndex = activeSlide.elements.indexOf(this.selectedElement);
-      const nextSibling = oldDOM.nextSibling;
+    const activeSlide = this.editor.getActiveSlide();
+    const zIndex = activeSlide.elements.indexOf(element);
+    const nextSibling = oldDOM.nextSibling;
 
-      // Remove ALL DOM nodes with this ID to prevent duplicates
-      canvas.querySelectorAll(`#${CSS.escape(this.selectedElement.id)}`).forEach(el => el.remove());
+    // Remove ALL DOM nodes with this ID to prevent duplicates
+    canvas.querySelectorAll(`#${CSS.escape(element.id)}`).forEach(el => el.remove());
 
-      const newDOM = this.selectedElement.render(zIndex >= 0 ? zIndex : 0);
+    const newDOM = element.render(zIndex >= 0 ? zIndex : 0);
 
-      // Re-render children
-      this.selectedElement.children.forEach((child, childIndex) => {
-        const childDOM = child.render(zIndex * 100 + childIndex + 1);
-        newDOM.appendChild(childDOM);
-        this.attachHandlers(childDOM, child);
-      });
+    // Re-render children
+    element.children.forEach((child, childIndex) => {
+      const childDOM = child.render(zIndex * 100 + childIndex + 1);
+      newDOM.appendChild(childDOM);
+      this.attachHandlers(childDOM, child);
+    });
 
-      if (nextSibling && nextSibling.parentNode === canvas) {
-        canvas.insertBefore(newDOM, nextSibling);
-      } else {
-        canvas.appendChild(newDOM);
-      }
+    if (nextSibling && nextSibling.parentNode === canvas) {
+      canvas.insertBefore(newDOM, nextSibling);
+    } else {
+      canvas.appendChild(newDOM);
+    }
 
-      // Re-attach interaction handlers and selection state
-      this.attachHandlers(newDOM, this.selectedElement);
+    // Re-attach interaction handlers and selection state
+    this.attachHandlers(newDOM, element);
+    if (this.isSelected(element)) {
       newDOM.classList.add('selected');
       this.addHandles(newDOM);
     }
+  }
 
-    this.editor.recordHistory();
-    appEvents.emit(AppEvents.ELEMENT_UPDATED, this.selectedElement);
+  /**
+   * Make a value of the selected element follow a theme slot, or keep its
+   * current value as a literal one
+   * @param {string} path - Path in properties (e.g. 'font.color')
+   * @param {string|null} slot - Theme slot, or null
+   */
+  setElementThemeRef(path, slot) {
+    if (!this.selectedElement) return;
+
+    const properties = this.selectedElement.properties;
+    setThemeRef(properties, path, slot, this.editor.presentation.theme);
+    this.updateElementProperty('properties.themeRefs', properties.themeRefs);
+
+    // The style panels show the value the slot resolved to
+    this.editor.uiManager?.rightSidebar?.updateProperties(this.selectedElement, true);
   }
 
   /**
@@ -0,0 +1,126 @@
+/**
+ * WOW3 Headless Playback Controller
+ * Playback without presenter interaction, used by the player page
+ * (player.html) that the headless renderer drives.
+ * Slide changes and click steps come from the playback timeline,
+ * so auto play timers, keyboard navigation and on-screen chrome are disabled.
+ */
+
+import { PlaybackController } from './PlaybackController.js';
+import { CountdownTimerElement } from '../models/CountdownTimerElement.js';
+
+export class HeadlessPlaybackController extends PlaybackController {
+  /**
+   * Create headless playback controller
+   * @param {Object} host - Object exposing the `presentation` being played
+   */
+  constructor(host) {
+    super(host);
+
+    /**
+     * Virtual clock for frame-stepped rendering. When set, countdown timers
+     * follow this clock (ms) instead of wall-clock intervals.
+     * @type {(() => number)|null}
+     */
+    this.clock = null;
+  }
+
+  /**
+   * Activate the presentation view without entering fullscreen
+   * or installing navigation handlers
+   */
+  begin() {
+    if (!this.presentationView) return;
+
+    this.isPlaying = true;
+    this.presentationView.style.display = 'flex';
+    this.presentationView.classList.add('active');
+
+    // The first slide shown comes in without a transition, as in the playback timeline
+    this._finishTransition();
+    this._shownSlide = null;
+  }
+
+  /**
+   * Trigger the pending onClick step of the current slide, if the
+   * animation sequence is currently waiting for one
+   * @returns {boolean} True if a click step was started
+   */
+  click() {
+    const mgr = this._animationManager;
+    if (!mgr || !mgr._waitingForClick) return false;
+
+    mgr.next();
+    return true;
+  }
+
+  /**
+   * Finish every animation step of the current slide immediately,
+   * including onClick steps. Used to capture the final state of a slide.
+   * @returns {Promise<void>}
+   */
+  async finishSlide() {
+    // The slide's animations start once its transition is over
+    if (this._transition) {
+      this._transition.finish();
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const mgr = this._animationManager;
+    if (!mgr) return;
+
+    while (mgr.isPlaying || mgr._waitingForClick) {
+      if (mgr._waitingForClick) mgr.next();
+      mgr.skip();
+      // Let the manager schedule the next step before skipping again
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  /**
+   * Update the active countdown display from the virtual clock
+   */
+  syncCountdown() {
+    const countdown = this._activeCountdown;
+    if (!countdown || !this.clock) return;
+
+    const elapsedSeconds = Math.floor((this.clock() - countdown.startedAtMs) / 1000);
+    countdown.remaining = Math.max(0, countdown.duration - elapsedSeconds);
+
+    const display = this.presentationView?.querySelector('.playback-countdown .timer-display');
+    if (display) {
+      display.textContent = CountdownTimerElement.formatTime(countdown.remaining);
+    }
+  }
+
+  /**
+   * Start a countdown; with a virtual clock the wall-clock interval is
+   * replaced by syncCountdown() calls
+   * @param {Object} element - CountdownTimerElement model
+   * @param {HTMLElement} container - Slide container
+   * @private
+   */
+  _startCountdown(element, container) {
+    super._startCountdown(element, container);
+    if (!this.clock) return;
+
+    clearInterval(this._activeCountdown.intervalId);
+    this._activeCountdown.intervalId = null;
+    this._activeCountdown.startedAtMs = this.clock();
+  }
+
+  /**
+   * Slide advancement is driven by the playback timeline
+   */
+  nextSlide() {}
+
+  /**
+   * No slide number indicator in rendered output
+   */
+  _renderSlideIndicator() {}
+
+  /**
+   * No auto play timer — the playback timeline already accounts for it
+   */
+  _startAutoPlay() {}
+}
@@ -0,0 +1,479 @@
+/**
+ * WOW3 Merge Controller
+ * Data merge dialog of a merge template slide: loads a CSV or JSON dataset,
+ * previews the template filled with any row, and generates one slide per
+ * selected row after the template, or exports one presentation per row as
+ * a ZIP of .wow3 files.
+ *
+ * The dataset lives in the dialog only; generated slides are regular slides
+ * and are added as one undoable edit.
+ */
+
+import { Slide } from '../models/Slide.js';
+import {
+  parseDataset,
+  findMergeFields,
+  mergeSlideData,
+  mergePresentationData
+} from '../utils/data_merge.js';
+import { renderStaticSlide } from '../utils/slide_render.js';
+import { exportPresentations } from '../utils/storage.js';
+import { CANVAS } from '@wow/core/utils/constants.js';
+import { appEvents, AppEvents } from '@wow/core/utils/events.js';
+import { toast } from '@wow/core/utils/toasts.js';
+
+/** Rows shown in the dataset table; the others are still merged */
+const MAX_TABLE_ROWS = 500;
+
+// ─── MergeController Class ───────────────────────────────
+
+export class MergeController {
+  /**
+   * Create merge controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+
+    /** @type {string|null} Id of the template slide the dialog is open for */
+    this.templateId = null;
+
+    /** @type {{fields: string[], rows: Object[], name: string}|null} Loaded dataset */
+    this.dataset = null;
+
+    /** @type {Set<number>} Indexes of the selected rows */
+    this.selectedRows = new Set();
+
+    /** @type {number} Row shown in the preview */
+    this.previewRow = 0;
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the merge controller.
+   * Binds the Escape key of the dialog.
+   */
+  init() {
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isOpen()) return;
+      if (document.querySelector('.dialog-overlay')) return;
+      this.close();
+    });
+  }
+
+  /**
+   * Whether the merge dialog is shown
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!document.getElementById('data-merge-overlay')?.classList.contains('active');
+  }
+
+  /**
+   * Open the merge dialog for a template slide
+   * @param {string} slideId - Id of the merge template
+   */
+  open(slideId) {
+    if (this.templateId !== slideId) {
+      this.dataset = null;
+      this.selectedRows.clear();
+      this.previewRow = 0;
+    }
+    this.templateId = slideId;
+
+    this._renderOverlay();
+    document.getElementById('data-merge-overlay').classList.add('active');
+    this.refresh();
+  }
+
+  /**
+   * Close the merge dialog
+   */
+  close() {
+    document.getElementById('data-merge-overlay')?.classList.remove('active');
+  }
+
+  /**
+   * Re-render the dialog (e.g. after an undo or a collaborator's change)
+   */
+  refresh() {
+    if (!this.isOpen()) return;
+    if (!this._getTemplate()) {
+      this.close();
+      return;
+    }
+    this._renderFields();
+    this._renderTable();
+    this._renderPreview();
+    this._updateActions();
+  }
+
+  /**
+   * Mark a slide as merge template, or back as a regular slide. Templates are
+   * hidden from the show: their tokens are only meant to be filled in.
+   * @param {number} index - Slide index
+   */
+  toggleTemplate(index) {
+    const slide = this.editor.presentation.slides[index];
+    if (!slide) return;
+
+    slide.mergeTemplate = !slide.mergeTemplate;
+    slide.visible = !slide.mergeTemplate;
+    this.editor.recordHistory();
+    this.editor.slideController.renderSlides();
+
+    if (slide.mergeTemplate) {
+      const fields = findMergeFields(slide.toJSON());
+      toast.info(fields.length > 0
+        ? `Merge template with ${fields.length} field${fields.length === 1 ? '' : 's'}`
+        : 'Merge template: add {{field}} tokens to its texts and URLs');
+    }
+  }
+
+  /**
+   * Read a dataset and select all its rows
+   * @param {string} text - CSV or JSON
+   * @param {string} [name=''] - File name
+   */
+  loadDataset(text, name = '') {
+    try {
+      this.dataset = { ...parseDataset(text, name), name: name || 'Pasted data' };
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+    this.selectedRows = new Set(this.dataset.rows.map((row, i) => i));
+    this.previewRow = 0;
+    this.refresh();
+  }
+
+  /**
+   * Add one slide per selected row after the template
+   */
+  async generateSlides() {
+    const template = this._getTemplate();
+    const rows = this._getSelectedRows();
+    if (!template || rows.length === 0) return;
+
+    const presentation = this.editor.presentation;
+    const index = presentation.slides.indexOf(template);
+    const data = template.toJSON();
+
+    rows.forEach((row, i) => {
+      const slide = Slide.fromJSON(mergeSlideData(data, row)).clone();
+      slide.mergeTemplate = false;
+      slide.visible = true;
+      if (slide.title === template.title) slide.title = `${template.title} ${i + 1}`;
+      presentation.addSlide(slide, index + 1 + i);
+    });
+
+    presentation.setCurrentSlide(index + 1);
+    this.editor.recordHistory();
+    await this.editor.render();
+    appEvents.emit(AppEvents.SLIDE_SELECTED, index + 1);
+
+    this.close();
+    toast.success(`${rows.length} slide${rows.length === 1 ? '' : 's'} generated`);
+  }
+
+  /**
+   * Export one presentation per selected row, as a ZIP of .wow3 files
+   */
+  async exportPresentations() {
+    const rows = this._getSelectedRows();
+    if (!this.dataset || rows.length === 0) return;
+
+    const presentation = this.editor.presentation;
+    const data = presentation.toJSON();
+    const merged = rows.map(row => mergePresentationData(data, row, this.dataset.fields));
+
+    try {
+      toast.info(`Exporting ${rows.length} presentation${rows.length === 1 ? '' : 's'}…`);
+      const name = (presentation.title || 'presentation').replace(/[^a-z0-9]/gi, '_');
+      await exportPresentations(merged, `${name}_merge.zip`);
+      toast.success(`${rows.length} presentation${rows.length === 1 ? '' : 's'} exported`);
+    } catch (error) {
+      console.error('Failed to export merged presentations:', error);
+      toast.error(`Failed to export presentations: ${error.message}`);
+    }
+  }
+
+  // ─── Rendering ───────────────────────────────────────────
+
+  /**
+   * Create the dialog once
+   * @private
+   */
+  _renderOverlay() {
+    if (document.getElementById('data-merge-overlay')) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="data-merge-overlay">
+        <div id="data-merge-window">
+          <div class="dm-header">
+            <h2>Data Merge</h2>
+            <div class="dm-controls">
+              <button class="btn-dm" id="btn-dm-load">
+                <i class="material-icons">file_upload</i> Load CSV / JSON
+              </button>
+              <button class="btn-dm-icon" id="btn-dm-close" title="Close"><i class="material-icons">close</i></button>
+            </div>
+          </div>
+          <div class="dm-fields" id="dm-fields"></div>
+          <div class="dm-body">
+            <div class="dm-data" id="dm-data"></div>
+            <div class="dm-side">
+              <div class="dm-preview" id="dm-preview"></div>
+              <div class="dm-preview-caption" id="dm-preview-caption"></div>
+              <div class="dm-actions">
+                <button class="btn-dm primary" id="btn-dm-generate">
+                  <i class="material-icons">library_add</i> <span>Generate slides</span>
+                </button>
+                <button class="btn-dm" id="btn-dm-export">
+                  <i class="material-icons">archive</i> <span>Export presentations</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `);
+
+    const overlay = document.getElementById('data-merge-overlay');
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    document.getElementById('btn-dm-close').addEventListener('click', () => this.close());
+    document.getElementById('btn-dm-load').addEventListener('click', () => this._pickDataset());
+    document.getElementById('btn-dm-generate').addEventListener('click', () => this.generateSlides());
+    document.getElementById('btn-dm-export').addEventListener('click', () => this.exportPresentations());
+
+    const data = document.getElementById('dm-data');
+    data.addEventListener('click', (e) => this._handleDataClick(e));
+    data.addEventListener('change', (e) => this._handleDataChange(e));
+  }
+
+  /**
+   * Render the template's fields, flagging those the dataset lacks
+   * @private
+   */
+  _renderFields() {
+    const container = document.getElementById('dm-fields');
+    const fields = findMergeFields(this._getTemplate().toJSON());
+
+    if (fields.length === 0) {
+      container.innerHTML = '<span class="dm-hint">This slide has no {{field}} tokens yet: add them to its texts, image URLs or link URLs.</span>';
+      return;
+    }
+
+    const known = new Set(this.dataset?.fields || []);
+    container.innerHTML = `
+      <span class="dm-hint">Template fields:</span>
+      ${fields.map(field => {
+        const state = !this.dataset ? '' : known.has(field) ? ' found' : ' missing';
+        const title = state === ' missing' ? ' title="Not in the dataset: left as is"' : '';
+        return `<span class="dm-field${state}"${title}>{{${this._escape(field)}}}</span>`;
+      }).join('')}
+    `;
+  }
+
+  /**
+   * Render the dataset table, or the loading hint
+   * @private
+   */
+  _renderTable() {
+    const container = document.getElementById('dm-data');
+
+    if (!this.dataset) {
+      container.innerHTML = `
+        <div class="dm-empty">
+          <p>Load a CSV file with a header line, or a JSON array of objects, or paste the data below.</p>
+          <textarea id="dm-paste" spellcheck="false" placeholder="name,role,photo&#10;Ada,Speaker,https://…"></textarea>
+          <button class="btn-dm" data-action="paste"><i class="material-icons">input</i> Use pasted data</button>
+        </div>
+      `;
+      return;
+    }
+
+    const { fields, rows, name } = this.dataset;
+    const shown = rows.slice(0, MAX_TABLE_ROWS);
+    const allSelected = this.selectedRows.size === rows.length;
+
+    container.innerHTML = `
+      <div class="dm-data-header">
+        <span>${this._escape(name)}: ${rows.length} row${rows.length === 1 ? '' : 's'}, ${this.selectedRows.size} selected</span>
+        <button class="btn-dm-icon" data-action="clear" title="Unload data"><i class="material-icons">delete</i></button>
+      </div>
+      <div class="dm-table-wrap">
+        <table class="dm-table">
+          <thead>
+            <tr>
+              <th><input type="checkbox" data-action="select-all"${allSelected ? ' checked' : ''}></th>
+              <th>#</th>
+              ${fields.map(field => `<th>${this._escape(field)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${shown.map((row, i) => `
+              <tr data-row="${i}" class="${i === this.previewRow ? 'previewed' : ''}">
+                <td><input type="checkbox" data-action="select"${this.selectedRows.has(i) ? ' checked' : ''}></td>
+                <td>${i + 1}</td>
+                ${fields.map(field => `<td>${this._escape(row[field] ?? '')}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${rows.length > shown.length ? `<div class="dm-hint">${rows.length - shown.length} more rows not shown</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the template filled with the previewed row
+   * @private
+   */
+  _renderPreview() {
+    const box = document.getElementById('dm-preview');
+    const caption = document.getElementById('dm-preview-caption');
+    const template = this._getTemplate();
+    const presentation = this.editor.presentation;
+    const index = presentation.slides.indexOf(template);
+    const row = this.dataset?.rows[this.previewRow];
+
+    const slide = row ? Slide.fromJSON(mergeSlideData(template.toJSON(), row)) : template;
+    const canvas = renderStaticSlide(presentation, index, slide);
+    canvas.querySelectorAll('video, audio').forEach((media) => {
+      media.autoplay = false;
+      media.muted = true;
+      media.pause();
+    });
+
+    box.innerHTML = '';
+    box.appendChild(canvas);
+    const scale = box.clientWidth / CANVAS.WIDTH;
+    canvas.style.transform = `scale(${scale})`;
+    canvas.style.transformOrigin = 'top left';
+    box.style.height = `${CANVAS.HEIGHT * scale}px`;
+
+    caption.textContent = row ? `Row ${this.previewRow + 1}: ${slide.title}` : 'Template';
+  }
+
+  /**
+   * Update the labels and state of the action buttons
+   * @private
+   */
+  _updateActions() {
+    const count = this.dataset ? this.selectedRows.size : 0;
+    const generate = document.getElementById('btn-dm-generate');
+    const exportBtn = document.getElementById('btn-dm-export');
+
+    generate.disabled = count === 0;
+    exportBtn.disabled = count === 0;
+    generate.querySelector('span').textContent = count > 0 ? `Generate ${count} slide${count === 1 ? '' : 's'}` : 'Generate slides';
+    exportBtn.querySelector('span').textContent = count > 0 ? `Export ${count} presentation${count === 1 ? '' : 's'}` : 'Export presentations';
+    exportBtn.title = 'One .wow3 file per row, with every slide filled in, in a ZIP';
+  }
+
+  // ─── Event handlers ──────────────────────────────────────
+
+  /**
+   * Pick a dataset file
+   * @private
+   */
+  _pickDataset() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.tsv,.txt,.json,text/csv,application/json';
+
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      this.loadDataset(await file.text(), file.name);
+    });
+
+    input.click();
+  }
+
+  /**
+   * Clicks in the data panel: preview a row, paste or unload data
+   * @param {MouseEvent} e
+   * @private
+   */
+  _handleDataClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+
+    if (action === 'paste') {
+      const text = document.getElementById('dm-paste')?.value || '';
+      this.loadDataset(text);
+      return;
+    }
+    if (action === 'clear') {
+      this.dataset = null;
+      this.selectedRows.clear();
+      this.refresh();
+      return;
+    }
+
+    const rowEl = e.target.closest('tr[data-row]');
+    if (!rowEl || e.target.matches('input')) return;
+    this.previewRow = Number(rowEl.dataset.row);
+    document.querySelectorAll('.dm-table tr.previewed').forEach(tr => tr.classList.remove('previewed'));
+    rowEl.classList.add('previewed');
+    this._renderPreview();
+  }
+
+  /**
+   * Row selection checkboxes
+   * @param {Event} e
+   * @private
+   */
+  _handleDataChange(e) {
+    const action = e.target.dataset.action;
+
+    if (action === 'select-all') {
+      this.selectedRows = e.target.checked ? new Set(this.dataset.rows.map((row, i) => i)) : new Set();
+    } else if (action === 'select') {
+      const index = Number(e.target.closest('tr[data-row]').dataset.row);
+      if (e.target.checked) this.selectedRows.add(index);
+      else this.selectedRows.delete(index);
+    } else {
+      return;
+    }
+    this._renderTable();
+    this._updateActions();
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────
+
+  /**
+   * The template slide the dialog is open for
+   * @returns {Slide|null}
+   * @private
+   */
+  _getTemplate() {
+    return this.editor.presentation?.slides.find(slide => slide.id === this.templateId) || null;
+  }
+
+  /**
+   * Selected rows, in dataset order
+   * @returns {Object[]}
+   * @private
+   */
+  _getSelectedRows() {
+    if (!this.dataset) return [];
+    return this.dataset.rows.filter((row, i) => this.selectedRows.has(i));
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
+
+export default MergeController;
@@ -5,8 +5,12 @@
 
 import { appEvents, AppEvents } from '@wow/core/utils/events.js';
 import { toast } from '@wow/core/utils/toasts.js';
+import { matchMorphElements } from '@wow/core/animations/morph.js';
+import { expandTextBuildSteps } from '@wow/core/animations/text_build.js';
 import { CountdownTimerElement } from '../models/CountdownTimerElement.js';
 import { AnimationManager } from '../animations/AnimationManager.js';
+import { SlideTransition } from '../animations/SlideTransition.js';
+import { getPlaceholderValues, fillPlaceholdersInDOM } from '../utils/slide_placeholders.js';
 
 export class PlaybackController {
   /**
@@ -30,6 +34,12 @@ export class PlaybackController {
 
     /** @type {HTMLElement|null} Auto play progress bar element */
     this._autoPlayProgressBar = null;
+
+    /** @type {{ container: HTMLElement, shellKey: string|null, slide: Slide }|null} Slide on screen, the start of the next transition */
+    this._shownSlide = null;
+
+    /** @type {SlideTransition|null} Transition into the slide being shown */
+    this._transition = null;
   }
 
   /**
@@ -162,9 +172,10 @@ export class PlaybackController {
 
     document.addEventListener('keydown', handleKeydown);
 
-    // Click on presentation view to advance
-    const handleClick = () => {
+    // Click on presentation view to advance; links in the text open instead
+    const handleClick = (e) => {
       if (!this.isPlaying) return;
+      if (e.target.closest?.('a[href]')) return;
       this.advance();
     };
 
@@ -210,6 +221,9 @@ export class PlaybackController {
     // Clean up any auto play timer from previous slide
     this._clearAutoPlay();
 
+    // A transition still running ends where it was going
+    this._finishTransition();
+
     this.currentSlideIndex = index;
 
     // Get continuing audio ID before clearing
@@ -233,9 +247,15 @@ export class PlaybackController {
       this.presentationView.appendChild(pipOverlay);
     }
 
-    // Remove all children EXCEPT the continuing audio element and PiP overlay
+    // The slide on screen stays until the transition into the new one is over
+    const shell = slide.shellId ? this.editor.presentation.getShellById(slide.shellId) : null;
+    const shellMode = slide.shellMode || 'above';
+    const shellKey = shell ? `${shell.id}:${shellMode}` : null;
+    const previous = SlideTransition.hasEffect(slide.transition) ? this._shownSlide : null;
+
+    // Remove all children EXCEPT the continuing audio element, PiP overlay and previous slide
     Array.from(this.presentationView.children).forEach(child => {
-      if (child !== continuingAudioElement && child !== pipOverlay) {
+      if (child !== continuingAudioElement && child !== pipOverlay && child !== previous?.container) {
         child.remove();
       }
     });
@@ -263,21 +283,23 @@ export class PlaybackController {
     slideContainer.style.cssText = `
       width: 1280px;
       height: 720px;
-      background: ${slide.background};
       position: relative;
       transform: scale(${scale});
       transform-origin: center;
-      ${bgAnimCSS}
     `;
 
-    // Create shell and slide layers
-    const shell = slide.shellId ? this.editor.presentation.getShellById(slide.shellId) : null;
-    const shellMode = slide.shellMode || 'above';
+    // Create background, shell and slide layers — slide transitions move the layers
+    const backgroundLayer = document.createElement('div');
+    backgroundLayer.dataset.slideLayer = 'background';
+    backgroundLayer.style.cssText = `position:absolute;top:0;left:0;width:100%;height:100%;background:${slide.background};${bgAnimCSS}`;
+    slideContainer.appendChild(backgroundLayer);
 
     const shellLayer = document.createElement('div');
+    shellLayer.dataset.slideLayer = 'shell';
     shellLayer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;';
 
     const slideLayer = document.createElement('div');
+    slideLayer.dataset.slideLayer = 'slide';
     slideLayer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;';
 
     // Append layers in correct order based on shellMode
@@ -322,6 +344,7 @@ export class PlaybackController {
     this._replacePlaceholders(slideContainer, index);
 
     this.presentationView.appendChild(slideContainer);
+    this._shownSlide = { container: slideContainer, shellKey, slide };
 
     // --- Countdown timer cross-slide logic ---
     const countdownResolution = this._resolveCountdownForSlide(index);
@@ -337,29 +360,32 @@ export class PlaybackController {
     }
 
     // Add slide number indicator
-    const indicator = document.createElement('div');
-    indicator.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      background: rgba(0,0,0,0.7);
-      color: white;
-      padding: 8px 16px;
-      border-radius: 4px;
-      font-size: 14px;
-      z-index: 1000;
-    `;
-    const visibleSlides = this.editor.presentation.slides.filter(s => s.visible);
-    const visiblePos = visibleSlides.indexOf(slide) + 1;
-    indicator.textContent = `${visiblePos} / ${visibleSlides.length}`;
-    this.presentationView.appendChild(indicator);
+    this._renderSlideIndicator(slide);
 
-    // Play animations using AnimationManager (WAAPI)
+    // Load animations using AnimationManager (WAAPI); build-ins are hidden during the transition
     if (slide.animationSequence && slide.animationSequence.length > 0) {
-      this._animationManager = new AnimationManager(slideContainer);
-      this._animationManager.loadSequence(slide.animationSequence);
+      this._animationManager = new AnimationManager(slideContainer, this.editor.presentation.customAnimations);
+      // Paragraphs and list items built one per click play as a step each
+      this._animationManager.loadSequence(expandTextBuildSteps(slide.animationSequence, slide.elements));
       this._animationManager.prepareInitialState();
+    }
+
+    // Keep the presenter console on this slide
+    this.editor.presenterController?.sync();
 
+    // Transition from the previous slide, then the slide's own animations
+    if (previous) {
+      const transition = new SlideTransition(previous.container, slideContainer, slide.transition, {
+        sharedShell: !!shellKey && previous.shellKey === shellKey,
+        matches: matchMorphElements(previous.slide.elements, slide.elements)
+      });
+      this._transition = transition;
+      await transition.play();
+      if (this._transition !== transition) return;
+      this._transition = null;
+    }
+
+    if (this._animationManager) {
       // Listen for the special "Next Slide" build out effect
       slideContainer.addEventListener('wow3:nextSlide', () => {
         this.nextSlide();
@@ -403,39 +429,44 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Render the "current / total" slide number indicator
+   * @param {Slide} slide - Slide being shown
+   */
+  _renderSlideIndicator(slide) {
+    const indicator = document.createElement('div');
+    indicator.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: rgba(0,0,0,0.7);
+      color: white;
+      padding: 8px 16px;
+      border-radius: 4px;
+      font-size: 14px;
+      z-index: 1000;
+    `;
+    const visibleSlides = this.editor.presentation.slides.filter(s => s.visible);
+    const visiblePos = visibleSlides.indexOf(slide) + 1;
+    indicator.textContent = `${visiblePos} / ${visibleSlides.length}`;
+    this.presentationView.appendChild(indicator);
+  }
+
   /**
    * Replace text placeholders inside rendered DOM nodes
    * @param {HTMLElement} container - Slide container
    * @param {number} slideIndex - Current slide index
    */
   _replacePlaceholders(container, slideIndex) {
-    const slide = this.editor.presentation.slides[slideIndex];
-    const visibleSlides = this.editor.presentation.slides.filter(s => s.visible);
-    const visiblePos = visibleSlides.indexOf(slide);
-
-    const nextIdx = this._findVisibleSlide(slideIndex + 1);
-    const nextTitle = nextIdx !== -1
-      ? this.editor.presentation.slides[nextIdx].title
-      : '';
-
-    const replacements = {
-      '#NEXT_SLIDE#': nextTitle,
-      '#SLIDE_TITLE#': slide.title,
-      '#SLIDE_NUMBER#': String(visiblePos !== -1 ? visiblePos + 1 : slideIndex + 1),
-      '#SLIDE_TOTAL#': String(visibleSlides.length)
-    };
+    fillPlaceholdersInDOM(container, getPlaceholderValues(this.editor.presentation, slideIndex));
+  }
 
-    container.querySelectorAll('.text-content').forEach((node) => {
-      let text = node.textContent;
-      for (const [placeholder, value] of Object.entries(replacements)) {
-        if (text.includes(placeholder)) {
-          text = text.replaceAll(placeholder, value);
-        }
-      }
-      if (text !== node.textContent) {
-        node.textContent = text;
-      }
-    });
+  /**
+   * Number of click-triggered animation steps left on the current slide
+   * @returns {number}
+   */
+  get pendingClicks() {
+    return this._animationManager ? this._animationManager.pendingClicks : 0;
   }
 
   /**
@@ -445,6 +476,12 @@ export class PlaybackController {
   advance() {
     const mgr = this._animationManager;
 
+    // 0. If the slide transition is playing, end it
+    if (this._transition) {
+      this._transition.finish();
+      return;
+    }
+
     // 1. If animations are playing, skip the current one
     if (mgr && mgr.isPlaying && !mgr._waitingForClick) {
       mgr.skip();
@@ -454,6 +491,7 @@ export class PlaybackController {
     // 2. If waiting on a click trigger, advance to next step
     if (mgr && mgr.hasPendingSteps) {
       mgr.next();
+      this.editor.presenterController?.sync();
       return;
     }
 
@@ -507,6 +545,8 @@ export class PlaybackController {
     }
 
     // Clear presentation view
+    this._finishTransition();
+    this._shownSlide = null;
     Array.from(this.presentationView.children).forEach(child => child.remove());
 
     // Calculate scale to fit screen while maintaining aspect ratio
@@ -538,6 +578,8 @@ export class PlaybackController {
 
     endSlide.appendChild(text);
     this.presentationView.appendChild(endSlide);
+
+    this.editor.presenterController?.sync({ ended: true });
   }
 
   /**
@@ -571,6 +613,10 @@ export class PlaybackController {
     // Clean up auto play
     this._clearAutoPlay();
 
+    // Clean up the slide transition
+    this._finishTransition();
+    this._shownSlide = null;
+
     // Exit fullscreen
     if (document.fullscreenElement) {
       document.exitFullscreen().catch((err) => {
@@ -604,6 +650,17 @@ export class PlaybackController {
     appEvents.emit(AppEvents.UI_MODE_CHANGED, 'editor');
   }
 
+  /**
+   * End the running slide transition, if any
+   * @private
+   */
+  _finishTransition() {
+    if (this._transition) {
+      this._transition.finish();
+      this._transition = null;
+    }
+  }
+
   // ==================== AUTO PLAY ====================
 
   /**
@@ -0,0 +1,195 @@
+/**
+ * WOW3 Presenter Controller
+ * Opens the presenter console (presenter.html) in a second window and keeps
+ * it in sync with PlaybackController over a BroadcastChannel.
+ *
+ * Messages to the console:
+ *   { type: 'presentation', data }  presentation JSON (on every start and on 'hello')
+ *   { type: 'state', slideIndex, pendingClicks, playing, ended, startedAt }
+ * Messages from the console:
+ *   { type: 'hello' }               console (re)loaded, wants the presentation
+ *   { type: 'advance' | 'previous' | 'stop' }
+ *   { type: 'goto', index }
+ */
+
+import { toast } from '@wow/core/utils/toasts.js';
+import { appEvents, AppEvents } from '@wow/core/utils/events.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** BroadcastChannel shared with presenter.html */
+export const PRESENTER_CHANNEL = 'wow3-presenter';
+
+/** Name of the console window, so reopening reuses it */
+const WINDOW_NAME = 'wow3-presenter';
+
+/** Initial size of the console window */
+const WINDOW_FEATURES = 'width=1200,height=760';
+
+// ─── PresenterController Class ───────────────────────────
+
+export class PresenterController {
+  /**
+   * Create presenter controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+
+    /** @type {BroadcastChannel|null} Channel to the console window */
+    this._channel = null;
+
+    /** @type {Window|null} Console window */
+    this._window = null;
+
+    /** @type {number|null} When the current show started (ms epoch) */
+    this._startedAt = null;
+
+    /** @type {boolean} Whether the show reached the end slide */
+    this._ended = false;
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the presenter controller.
+   * Binds the presenter button and opens the channel.
+   */
+  init() {
+    const presenterBtn = document.getElementById('presenter-btn');
+    if (presenterBtn) {
+      presenterBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.open();
+      });
+    }
+
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    this._channel = new BroadcastChannel(PRESENTER_CHANNEL);
+    this._channel.onmessage = (e) => this._handleMessage(e.data);
+
+    // A new show restarts the console timer and reloads the (possibly edited) presentation
+    appEvents.on(AppEvents.UI_MODE_CHANGED, (mode) => {
+      this._startedAt = mode === 'presentation' ? Date.now() : null;
+      this._ended = false;
+      if (mode === 'presentation') {
+        this._sendPresentation();
+      } else {
+        this.sync();
+      }
+    });
+  }
+
+  /**
+   * Open the console window and start playback from the current slide.
+   * Must run from a user gesture (pop-up and fullscreen permissions).
+   */
+  open() {
+    if (!this._channel) {
+      toast.error('Presenter view is not supported by this browser');
+      return;
+    }
+
+    this._window = window.open('./presenter.html', WINDOW_NAME, WINDOW_FEATURES);
+    if (!this._window) {
+      toast.error('Allow pop-ups to open the presenter view');
+      return;
+    }
+
+    // Starting playback sends the presentation (see init)
+    const playback = this.editor.playbackController;
+    if (playback && !playback.isPlaying) {
+      playback.start(this.editor.presentation.currentSlideIndex);
+    } else {
+      this._sendPresentation();
+    }
+  }
+
+  /**
+   * Send the playback state to the console.
+   * Called by PlaybackController whenever the slide or click step changes.
+   * @param {Object} [options]
+   * @param {boolean} [options.ended=false] - Playback reached the end slide
+   */
+  sync({ ended = false } = {}) {
+    if (!this._channel) return;
+
+    const playback = this.editor.playbackController;
+    this._ended = ended;
+
+    this._channel.postMessage({
+      type: 'state',
+      slideIndex: playback?.currentSlideIndex ?? 0,
+      pendingClicks: playback?.pendingClicks ?? 0,
+      playing: !!playback?.isPlaying,
+      ended,
+      startedAt: this._startedAt
+    });
+  }
+
+  /**
+   * Close the console window and the channel.
+   */
+  destroy() {
+    if (this._window && !this._window.closed) {
+      this._window.close();
+    }
+    this._window = null;
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+  }
+
+  // ─── Private Methods ────────────────────────────────────
+
+  /**
+   * Send the presentation JSON followed by the current state
+   */
+  _sendPresentation() {
+    if (!this._channel || !this.editor.presentation) return;
+
+    this._channel.postMessage({
+      type: 'presentation',
+      data: this.editor.presentation.toJSON()
+    });
+    this.sync({ ended: this._ended });
+  }
+
+  /**
+   * Handle a message from the console.
+   * Navigation commands only apply while playback is running.
+   * @param {Object} message
+   */
+  _handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'hello') {
+      this._sendPresentation();
+      return;
+    }
+
+    const playback = this.editor.playbackController;
+    if (!playback || !playback.isPlaying) return;
+
+    switch (message.type) {
+      case 'advance':
+        playback.advance();
+        break;
+      case 'previous':
+        playback.previousSlide();
+        break;
+      case 'goto':
+        if (this.editor.presentation.slides[message.index]) {
+          playback.showSlide(message.index);
+        }
+        break;
+      case 'stop':
+        playback.stop();
+        break;
+    }
+  }
+}
+
+export default PresenterController;
@@ -5,7 +5,10 @@
 
 import { appEvents, AppEvents } from '@wow/core/utils/events.js';
 import { toast } from '@wow/core/utils/toasts.js';
+import { matchMorphElements } from '@wow/core/animations/morph.js';
 import { CountdownTimerElement } from '../models/CountdownTimerElement.js';
+import { SlideTransition } from '../animations/SlideTransition.js';
+import { renderStaticSlide } from '../utils/slide_render.js';
 
 export class SlideController {
   /**
@@ -27,6 +30,9 @@ export class SlideController {
 
     /** @type {number} Debounce delay in ms */
     this.THUMB_DEBOUNCE_MS = 2000;
+
+    /** @type {SlideTransition|null} Transition preview playing on the canvas */
+    this._transitionPreview = null;
   }
 
   /**
@@ -50,8 +56,8 @@ export class SlideController {
     for (const slide of this.editor.presentation.slides) {
       if (slide.thumbnailId) thumbToSlide.set(slide.thumbnailId, slide.id);
     }
-    // Include shell slides
-    for (const shell of this.editor.presentation.shells) {
+    // Include shell slides and layouts
+    for (const shell of [...this.editor.presentation.shells, ...this.editor.presentation.layouts]) {
       if (shell.thumbnailId) {
         thumbToSlide.set(shell.thumbnailId, shell.id);
       }
@@ -107,6 +113,12 @@ export class SlideController {
           if (shells.length > 0) {
             this.editor.editShell(shells[0].id);
           }
+        } else if (targetTab === 'layouts') {
+          this.renderLayouts();
+          const layouts = this.editor.presentation.layouts;
+          if (layouts.length > 0) {
+            this.editor.editLayout(layouts[0].id);
+          }
         } else if (targetTab === 'slides') {
           this.selectSlide(0);
         }
@@ -129,6 +141,14 @@ export class SlideController {
       });
     }
 
+    // Add layout button
+    const addLayoutBtn = document.getElementById('add-layout-btn');
+    if (addLayoutBtn) {
+      addLayoutBtn.addEventListener('click', () => {
+        this.addLayout();
+      });
+    }
+
     // Drag and drop for reordering
     slideList.addEventListener('dragstart', (e) => {
       console.log('🔵 dragstart event fired on:', e.target.className);
@@ -241,6 +261,8 @@ export class SlideController {
       const thumbnail = this.createSlideThumbnail(slide, index);
       slideList.appendChild(thumbnail);
     });
+    // Collaborators' positions
+    this.editor.collaborationController?.renderSorterPresence();
   }
 
   /**
@@ -284,6 +306,20 @@ export class SlideController {
     });
     div.appendChild(eyeBtn);
 
+    // Merge template badge: opens the data merge dialog
+    if (slide.mergeTemplate) {
+      const mergeBtn = document.createElement('div');
+      mergeBtn.className = 'slide-merge-badge';
+      mergeBtn.title = 'Merge template: Data Merge…';
+      mergeBtn.innerHTML = '<i class="material-icons">dataset</i>';
+      mergeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editor.mergeController?.open(slide.id);
+      });
+      mergeBtn.addEventListener('dragstart', (e) => e.preventDefault());
+      div.appendChild(mergeBtn);
+    }
+
     // Thumbnail preview
     const preview = document.createElement('div');
     preview.className = 'slide-preview';
@@ -421,6 +457,7 @@ export class SlideController {
       const card = this.createShellCard(shell, index);
       shellList.appendChild(card);
     });
+    this.editor.collaborationController?.renderSorterPresence();
   }
 
   /**
@@ -568,12 +605,13 @@ export class SlideController {
   }
 
   /**
-   * Start inline renaming of a shell card
+   * Start inline renaming of a shell (or layout) card
    * @param {HTMLElement} cardDiv - The shell card element
    * @param {Slide} shell - The shell being renamed
    * @param {HTMLElement} nameLabel - The label element to replace
+   * @param {string} [fallback='Untitled Shell'] - Name used when the input is left empty
    */
-  _startShellInlineRename(cardDiv, shell, nameLabel) {
+  _startShellInlineRename(cardDiv, shell, nameLabel, fallback = 'Untitled Shell') {
     if (cardDiv.querySelector('.shell-name-input')) return;
 
     const input = document.createElement('input');
@@ -582,7 +620,7 @@ export class SlideController {
     input.value = shell.title || '';
 
     const commit = () => {
-      const newTitle = input.value.trim() || 'Untitled Shell';
+      const newTitle = input.value.trim() || fallback;
       shell.setTitle(newTitle);
       nameLabel.textContent = newTitle;
       input.replaceWith(nameLabel);
@@ -592,7 +630,7 @@ export class SlideController {
     input.addEventListener('blur', commit);
     input.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
-      if (e.key === 'Escape') { input.value = shell.title || 'Untitled Shell'; input.blur(); }
+      if (e.key === 'Escape') { input.value = shell.title || fallback; input.blur(); }
     });
     input.addEventListener('click', (e) => e.stopPropagation());
     input.addEventListener('mousedown', (e) => e.stopPropagation());
@@ -602,6 +640,184 @@ export class SlideController {
     input.select();
   }
 
+  // ==================== LAYOUTS TAB ====================
+
+  /**
+   * Render all layout cards in the Layouts tab
+   */
+  renderLayouts() {
+    const layoutList = document.getElementById('layout-list');
+    if (!layoutList) return;
+
+    layoutList.innerHTML = '';
+
+    const layouts = this.editor.presentation.layouts;
+    if (layouts.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'shell-list-empty';
+      empty.innerHTML = '<i class="material-icons">view_quilt</i><p>No layouts yet.<br>Click "New Layout", use a template or create one from a slide.</p>';
+      layoutList.appendChild(empty);
+      return;
+    }
+
+    layouts.forEach((layout, index) => {
+      layoutList.appendChild(this.createLayoutCard(layout, index));
+    });
+  }
+
+  /**
+   * Create a layout card element for the Layouts tab
+   * @param {Slide} layout - Layout
+   * @param {number} index - Layout index
+   * @returns {HTMLElement} Layout card element
+   */
+  createLayoutCard(layout, index) {
+    const isEditing = this.editor.isEditingLayout && this.editor.editingLayoutId === layout.id;
+    const usage = this.editor.presentation.slides.filter(s => s.layoutId === layout.id).length;
+
+    const div = document.createElement('div');
+    div.className = 'shell-card layout-card';
+    if (isEditing) div.classList.add('active');
+    div.dataset.layoutId = layout.id;
+
+    const number = document.createElement('div');
+    number.className = 'shell-card-number';
+    number.textContent = index + 1;
+    number.title = `Used by ${usage} slide${usage === 1 ? '' : 's'}`;
+    div.appendChild(number);
+
+    const actions = document.createElement('div');
+    actions.className = 'shell-card-actions';
+
+    // New slide on this layout
+    const addBtn = document.createElement('button');
+    addBtn.className = 'shell-card-action';
+    addBtn.title = 'New slide with this layout';
+    addBtn.innerHTML = '<i class="material-icons">add</i>';
+    addBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.addSlideFromLayout(layout.id);
+    });
+    actions.appendChild(addBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'shell-card-action';
+    deleteBtn.title = 'Delete layout';
+    deleteBtn.innerHTML = '<i class="material-icons">delete</i>';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.deleteLayout(layout.id);
+    });
+    actions.appendChild(deleteBtn);
+
+    div.appendChild(actions);
+
+    const preview = document.createElement('div');
+    preview.className = 'slide-preview';
+    preview.dataset.slideId = layout.id;
+    preview.style.cssText = `
+      width: 100%; height: 100%; position: relative; overflow: hidden;
+      background: ${layout.background};
+    `;
+
+    const cachedThumb = this._thumbCache.get(layout.id);
+    if (cachedThumb) {
+      const img = document.createElement('img');
+      img.src = cachedThumb;
+      img.style.cssText = 'width:100%;height:100%;object-fit:fill;display:block;';
+      preview.appendChild(img);
+    } else {
+      layout.elements.forEach((element, idx) => {
+        const elementPreview = this.createElementPreview(element, idx);
+        if (elementPreview) preview.appendChild(elementPreview);
+      });
+    }
+
+    div.appendChild(preview);
+
+    const nameLabel = document.createElement('div');
+    nameLabel.className = 'shell-name-label';
+    nameLabel.textContent = layout.title || `Layout ${index + 1}`;
+    nameLabel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._startShellInlineRename(div, layout, nameLabel, 'Untitled Layout');
+    });
+    div.appendChild(nameLabel);
+
+    // Click to edit layout
+    div.addEventListener('click', () => {
+      this.editor.editLayout(layout.id);
+    });
+
+    return div;
+  }
+
+  /**
+   * Add a new layout (title and body placeholders) and edit it
+   */
+  addLayout() {
+    const layout = this.editor.presentation.addLayout();
+    this.editor.recordHistory();
+    this.renderLayouts();
+    this.editor.editLayout(layout.id);
+  }
+
+  /**
+   * Turn a slide into a layout: its elements become the placeholders and
+   * the slide follows the new layout
+   * @param {number} index - Slide index
+   */
+  createLayoutFromSlide(index) {
+    const layout = this.editor.presentation.createLayoutFromSlide(index);
+    if (!layout) return;
+
+    this.editor.recordHistory();
+    this.renderLayouts();
+    this.editor.updateUI();
+    toast.success(`Layout "${layout.title}" created`);
+  }
+
+  /**
+   * Add a slide on a layout after the current slide and select it
+   * @param {string} layoutId - Layout ID
+   */
+  addSlideFromLayout(layoutId) {
+    const presentation = this.editor.presentation;
+    const slide = presentation.createSlideFromLayout(layoutId);
+    if (!slide) return;
+
+    const insertIndex = presentation.currentSlideIndex + 1;
+    presentation.addSlide(slide, insertIndex);
+    this.editor.recordHistory();
+    this.selectSlide(insertIndex);
+    appEvents.emit(AppEvents.SLIDE_ADDED, slide);
+  }
+
+  /**
+   * Delete a layout by ID
+   * @param {string} layoutId - Layout ID to delete
+   */
+  async deleteLayout(layoutId) {
+    const confirmed = await Dialog.confirm('Delete this layout? Slides using it keep their current look as regular elements.', 'Delete Layout');
+    if (!confirmed) return;
+
+    const thumbId = this.editor.presentation.getLayoutById(layoutId)?.thumbnailId;
+
+    this.editor.presentation.removeLayout(layoutId);
+
+    if (this.editor.isEditingLayout && this.editor.editingLayoutId === layoutId) {
+      this.editor.exitLayoutEditing();
+    }
+
+    this._thumbCache.delete(layoutId);
+    if (thumbId) {
+      window.MediaDB.deleteThumbnail(thumbId).catch(() => {});
+    }
+
+    this.editor.recordHistory();
+    this.renderLayouts();
+  }
+
   /**
    * Create simplified element preview for thumbnail
    * @param {Element} element - Element object
@@ -642,8 +858,10 @@ export class SlideController {
     // Flush any pending thumbnail capture before leaving the current slide
     this.flushThumbnailCapture();
 
-    // Exit shell editing when switching to a regular slide
+    // Exit shell and layout editing when switching to a regular slide
     this.editor.isEditingShell = false;
+    this.editor.isEditingLayout = false;
+    this.editor.editingLayoutId = null;
 
     // Clear stale element selection on slide change
     if (this.editor.elementController) {
@@ -665,6 +883,7 @@ export class SlideController {
     const canvas = document.getElementById('slide-canvas');
     if (!canvas) return;
 
+    this._stopTransitionPreview();
     canvas.innerHTML = '';
 
     const activeSlide = this.editor.getActiveSlide();
@@ -717,12 +936,13 @@ export class SlideController {
     });
 
     // Render shell preview overlay when toggled on (only for regular slides)
-    if (!this.editor.isEditingShell) {
+    const isEditingSlide = !this.editor.isEditingShell && !this.editor.isEditingLayout;
+    if (isEditingSlide) {
       this._renderShellPreview(canvas, activeSlide);
     }
 
     // Render ghost countdown timer if current slide doesn't have one
-    if (!this.editor.isEditingShell) {
+    if (isEditingSlide) {
       this._renderCountdownGhost(canvas, activeSlide);
     }
 
@@ -776,6 +996,11 @@ export class SlideController {
         icon: 'file_copy',
         action: () => this.duplicateSlide(index)
       },
+      {
+        label: 'Create Layout from Slide',
+        icon: 'view_quilt',
+        action: () => this.createLayoutFromSlide(index)
+      },
       {
         label: 'Save as Template',
         icon: 'dashboard_customize',
@@ -783,6 +1008,19 @@ export class SlideController {
           if (window.TemplateManager) TemplateManager.saveSlideAsTemplate(index);
         }
       },
+      { divider: true },
+      {
+        label: slide.mergeTemplate ? 'Unmark Merge Template' : 'Mark as Merge Template',
+        icon: 'dataset',
+        action: () => this.editor.mergeController?.toggleTemplate(index)
+      },
+      {
+        label: 'Data Merge…',
+        icon: 'library_add',
+        action: () => this.editor.mergeController?.open(slide.id),
+        disabled: !slide.mergeTemplate
+      },
+      { divider: true },
       {
         label: 'Delete',
         icon: 'delete',
@@ -937,6 +1175,79 @@ export class SlideController {
     }
   }
 
+  /**
+   * Play the transition into the current slide over the canvas, coming from
+   * the previous visible slide (black before the first one), the way
+   * playback shows it
+   */
+  previewTransition() {
+    const canvas = document.getElementById('slide-canvas');
+    const presentation = this.editor.presentation;
+    const index = presentation.currentSlideIndex;
+    const slide = presentation.slides[index];
+    if (!canvas || !slide || this.editor.isEditingShell || this.editor.isEditingLayout) return;
+
+    this._stopTransitionPreview();
+    if (!SlideTransition.hasEffect(slide.transition)) return;
+
+    let previousIndex = index - 1;
+    while (previousIndex >= 0 && !presentation.slides[previousIndex].visible) previousIndex--;
+    const previous = presentation.slides[previousIndex] || null;
+
+    const from = previous ? renderStaticSlide(presentation, previousIndex) : this._renderBlankSlide();
+    const to = renderStaticSlide(presentation, index);
+
+    const stage = document.createElement('div');
+    stage.className = 'transition-preview';
+    [from, to].forEach((container) => {
+      container.style.position = 'absolute';
+      container.style.top = '0';
+      container.style.left = '0';
+      stage.appendChild(container);
+    });
+    canvas.appendChild(stage);
+
+    const shellKey = s => (s.shellId ? `${s.shellId}:${s.shellMode || 'above'}` : null);
+    const transition = new SlideTransition(from, to, slide.transition, {
+      sharedShell: !!previous && !!shellKey(slide) && shellKey(previous) === shellKey(slide),
+      matches: previous ? matchMorphElements(previous.elements, slide.elements) : []
+    });
+    this._transitionPreview = transition;
+
+    transition.play().then(() => {
+      if (this._transitionPreview !== transition) return;
+      this._transitionPreview = null;
+      stage.remove();
+    });
+  }
+
+  /**
+   * End the transition preview, if one is playing, and remove it
+   * @private
+   */
+  _stopTransitionPreview() {
+    if (this._transitionPreview) {
+      this._transitionPreview.finish();
+      this._transitionPreview = null;
+    }
+    document.querySelectorAll('#slide-canvas .transition-preview').forEach(stage => stage.remove());
+  }
+
+  /**
+   * Black slide the transition of the first slide is previewed from
+   * @returns {HTMLElement} Container with a background layer
+   * @private
+   */
+  _renderBlankSlide() {
+    const container = document.createElement('div');
+    container.style.cssText = 'width:100%;height:100%;overflow:hidden;';
+    const backgroundLayer = document.createElement('div');
+    backgroundLayer.dataset.slideLayer = 'background';
+    backgroundLayer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;background:#000;';
+    container.appendChild(backgroundLayer);
+    return container;
+  }
+
   /**
    * Render a read-only, semi-transparent overlay of shell elements on the canvas.
    * Only shown when `showShellPreview` is on, a shell exists, and the current
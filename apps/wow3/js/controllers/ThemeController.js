@@ -0,0 +1,323 @@
+/**
+ * WOW3 Theme Controller
+ * Deck theme dialog: switches the presentation to a built-in theme, edits
+ * the color and font slots of the current one, and imports or exports theme
+ * files. Every element and slide referencing a slot is re-resolved on change.
+ *
+ * Theme changes are regular edits: they go through recordHistory(), so they
+ * can be undone and are shared with collaborators.
+ */
+
+import {
+  BUILTIN_THEMES,
+  THEME_COLOR_SLOTS,
+  THEME_FONT_SLOTS,
+  normalizeTheme,
+  serializeThemeFile,
+  parseThemeFile
+} from '../utils/deck_themes.js';
+import { downloadBlob } from '../utils/storage.js';
+import { generateId } from '@wow/core/utils/dom.js';
+import { toast } from '@wow/core/utils/toasts.js';
+
+// ─── ThemeController Class ───────────────────────────────
+
+export class ThemeController {
+  /**
+   * Create theme controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the theme controller.
+   * Binds the toolbar button and the Escape key of the dialog.
+   */
+  init() {
+    const themeBtn = document.getElementById('theme-btn');
+    if (themeBtn) {
+      themeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.open();
+      });
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isOpen()) return;
+      if (document.querySelector('.dialog-overlay')) return;
+      this.close();
+    });
+  }
+
+  /**
+   * Whether the theme dialog is shown
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!document.getElementById('theme-editor-overlay')?.classList.contains('active');
+  }
+
+  /**
+   * Open the theme dialog for the current presentation
+   */
+  open() {
+    this._renderOverlay();
+    document.getElementById('theme-editor-overlay').classList.add('active');
+    this.refresh();
+  }
+
+  /**
+   * Close the theme dialog
+   */
+  close() {
+    document.getElementById('theme-editor-overlay')?.classList.remove('active');
+  }
+
+  /**
+   * Re-render the dialog (e.g. after an undo or a collaborator's change)
+   */
+  refresh() {
+    if (!this.isOpen()) return;
+    this._renderList();
+    this._renderEditor();
+  }
+
+  /**
+   * Switch the presentation to a theme and restyle everything that references it
+   * @param {Object} theme - Theme ({ id, name, colors, fonts })
+   */
+  async applyTheme(theme) {
+    const presentation = this.editor.presentation;
+    presentation.setTheme(theme);
+
+    // Every slide, shell and layout may have changed
+    this.editor.slideController?._thumbCache.clear();
+    this.editor.elementController?.deselectAll();
+    this.editor.recordHistory();
+    await this.editor.render();
+  }
+
+  /**
+   * Download the presentation's theme as a theme file
+   */
+  exportTheme() {
+    const theme = this.editor.presentation.theme;
+    const slug = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+    downloadBlob(new Blob([serializeThemeFile(theme)], { type: 'application/json' }), `${slug}.wow3theme.json`);
+  }
+
+  /**
+   * Pick a theme file and apply it to the presentation
+   */
+  importTheme() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.wow3theme';
+
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        const theme = parseThemeFile(await file.text());
+        await this.applyTheme(theme);
+        toast.success(`Theme "${theme.name}" applied`);
+      } catch (error) {
+        console.error('Failed to import theme:', error);
+        toast.error(error.message);
+      }
+    });
+
+    input.click();
+  }
+
+  // ─── Rendering ───────────────────────────────────────────
+
+  /**
+   * Create the dialog once
+   * @private
+   */
+  _renderOverlay() {
+    if (document.getElementById('theme-editor-overlay')) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="theme-editor-overlay">
+        <div id="theme-editor-window">
+          <div class="te-header">
+            <h2>Deck Theme</h2>
+            <div class="te-controls">
+              <button class="btn-te" id="btn-te-import">
+                <i class="material-icons">file_upload</i> Import
+              </button>
+              <button class="btn-te" id="btn-te-export">
+                <i class="material-icons">file_download</i> Export
+              </button>
+              <button class="btn-te-icon" id="btn-te-close" title="Close"><i class="material-icons">close</i></button>
+            </div>
+          </div>
+          <div class="te-body">
+            <div class="te-list" id="te-list"></div>
+            <div class="te-editor" id="te-editor"></div>
+          </div>
+        </div>
+      </div>
+    `);
+
+    const overlay = document.getElementById('theme-editor-overlay');
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    document.getElementById('btn-te-close').addEventListener('click', () => this.close());
+    document.getElementById('btn-te-import').addEventListener('click', () => this.importTheme());
+    document.getElementById('btn-te-export').addEventListener('click', () => this.exportTheme());
+
+    document.getElementById('te-list').addEventListener('click', (e) => {
+      const card = e.target.closest('.te-theme');
+      const theme = card && BUILTIN_THEMES.find(t => t.id === card.dataset.id);
+      if (theme) this.applyTheme(theme);
+    });
+
+    const editor = document.getElementById('te-editor');
+    editor.addEventListener('change', (e) => this._handleEditorChange(e));
+  }
+
+  /**
+   * Render the built-in themes
+   * @private
+   */
+  _renderList() {
+    const list = document.getElementById('te-list');
+    if (!list) return;
+    const current = this.editor.presentation.theme;
+
+    list.innerHTML = BUILTIN_THEMES.map(theme => `
+      <div class="te-theme${theme.id === current.id ? ' selected' : ''}" data-id="${theme.id}">
+        ${this._renderPreview(theme)}
+        <div class="te-theme-name">${this._escape(theme.name)}</div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render the slots of the presentation's theme
+   * @private
+   */
+  _renderEditor() {
+    const editor = document.getElementById('te-editor');
+    if (!editor) return;
+    const theme = this.editor.presentation.theme;
+    const fontList = window.PanelUtils?.FONT_LIST || [];
+
+    const fontOptions = (current) => {
+      const known = fontList.some(f => f.value === current);
+      return [...(known ? [] : [{ label: current.replace(/"/g, ''), value: current }]), ...fontList]
+        .map(f => `<option value="${this._escape(f.value)}"${f.value === current ? ' selected' : ''}>${this._escape(f.label)}</option>`)
+        .join('');
+    };
+
+    editor.innerHTML = `
+      ${this._renderPreview(theme, true)}
+      <div class="te-field">
+        <label for="te-name">Name</label>
+        <input type="text" id="te-name" value="${this._escape(theme.name)}">
+      </div>
+      <div class="te-section-title">Colors</div>
+      <div class="te-colors">
+        ${THEME_COLOR_SLOTS.map(slot => `
+          <label class="te-color">
+            <input type="color" data-color="${slot.key}" value="${this._toHex(theme.colors[slot.key])}">
+            <span>${slot.label}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="te-section-title">Fonts</div>
+      ${THEME_FONT_SLOTS.map(slot => `
+        <div class="te-field">
+          <label>${slot.label}</label>
+          <select class="browser-default" data-font="${slot.key}">${fontOptions(theme.fonts[slot.key])}</select>
+        </div>
+      `).join('')}
+      <p class="te-hint">Elements and slide backgrounds set to a theme color or font in the properties panel follow these slots.</p>
+    `;
+  }
+
+  /**
+   * Sample slide in a theme's colors and fonts
+   * @param {Object} theme
+   * @param {boolean} [large=false]
+   * @returns {string} HTML string
+   * @private
+   */
+  _renderPreview(theme, large = false) {
+    const { colors, fonts } = theme;
+    return `
+      <div class="te-preview${large ? ' large' : ''}" style="background:${colors.background};">
+        <div class="te-preview-title" style="color:${colors.accent1};font-family:${this._escape(fonts.heading)};">Aa</div>
+        <div class="te-preview-body" style="color:${colors.text};font-family:${this._escape(fonts.body)};">Body text</div>
+        <div class="te-preview-swatches">
+          ${THEME_COLOR_SLOTS.filter(slot => slot.key.startsWith('accent'))
+            .map(slot => `<span style="background:${colors[slot.key]};"></span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // ─── Event handlers ──────────────────────────────────────
+
+  /**
+   * Apply a change of the slot editor
+   * @param {Event} e - Change event
+   * @private
+   */
+  _handleEditorChange(e) {
+    const theme = normalizeTheme(this.editor.presentation.theme);
+    const { color, font } = e.target.dataset;
+
+    if (e.target.id === 'te-name') {
+      theme.name = e.target.value.trim() || theme.name;
+    } else if (color) {
+      theme.colors[color] = e.target.value;
+    } else if (font) {
+      theme.fonts[font] = e.target.value;
+    } else {
+      return;
+    }
+
+    // An edited built-in theme becomes a theme of its own
+    if (BUILTIN_THEMES.some(t => t.id === theme.id)) {
+      theme.id = generateId('theme');
+      if (e.target.id !== 'te-name') theme.name = `${theme.name} (custom)`;
+    }
+    this.applyTheme(theme);
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────
+
+  /**
+   * Color as #rrggbb for a color input
+   * @param {string} color - CSS color
+   * @returns {string}
+   * @private
+   */
+  _toHex(color) {
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/i.test(color)) return `#${[...color.slice(1)].map(c => c + c).join('')}`;
+    return '#000000';
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
+
+export default ThemeController;
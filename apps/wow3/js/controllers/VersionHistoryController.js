@@ -0,0 +1,689 @@
+/**
+ * WOW3 Version History Controller
+ * Browses the versions kept in VersionsDB (automatic versions on save and
+ * named checkpoints), shows what changed between two of them slide by slide,
+ * and restores either the whole deck or single slides from an old version.
+ *
+ * Restores are regular edits: they go through recordHistory(), so they can
+ * be undone and are shared with collaborators.
+ */
+
+import { Presentation } from '../models/Presentation.js';
+import { Slide } from '../models/Slide.js';
+import { saveVersion, getVersions, renameVersion, deleteVersion } from '../utils/storage.js';
+import { diffPresentations, isSameSlide } from '../utils/presentation_diff.js';
+import { resolveLayouts, restyleSlide, switchSlideLayout } from '../utils/slide_layouts.js';
+import { customAnimationId } from '@wow/core/animations/custom_animations.js';
+import { appEvents, AppEvents } from '@wow/core/utils/events.js';
+import { toast } from '@wow/core/utils/toasts.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Pseudo version id of the presentation open in the editor */
+const CURRENT = 'current';
+
+/** Readable names of changed slide and element fields */
+const FIELD_LABELS = {
+  title: 'title',
+  background: 'background',
+  backgroundAnimationSpeed: 'background animation',
+  backgroundAnimationType: 'background animation',
+  themeRefs: 'theme colors',
+  visible: 'visibility',
+  shellId: 'shell',
+  shellMode: 'shell',
+  layoutId: 'layout',
+  'properties.placeholder': 'placeholder role',
+  autoPlay: 'auto-play',
+  autoPlayDuration: 'auto-play',
+  transition: 'transition',
+  notes: 'speaker notes',
+  mergeTemplate: 'merge template',
+  animationSequence: 'animations',
+  name: 'name',
+  position: 'position and size',
+  inEffect: 'entrance effect',
+  outEffect: 'exit effect',
+  hiddenInEditor: 'visibility in editor',
+  order: 'stacking order',
+  'properties.text': 'text',
+  'properties.runs': 'text formatting',
+  'properties.font': 'font',
+  'properties.themeRefs': 'theme colors and fonts'
+};
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Changed',
+  unchanged: 'Unchanged'
+};
+
+// ─── VersionHistoryController Class ──────────────────────
+
+export class VersionHistoryController {
+  /**
+   * Create version history controller.
+   * @param {import('./EditorController.js').EditorController} editorController - Editor controller instance
+   */
+  constructor(editorController) {
+    this.editor = editorController;
+
+    /** @type {Array<Object>} Versions of the open presentation, newest first */
+    this.versions = [];
+
+    /** @type {string} Id of the version being inspected (or CURRENT) */
+    this.selectedId = CURRENT;
+
+    /** @type {string} Id of the version it is compared with (or CURRENT) */
+    this.compareId = CURRENT;
+  }
+
+  // ─── Public API ──────────────────────────────────────────
+
+  /**
+   * Initialize the version history controller.
+   * Binds the toolbar button and the Escape key of the browser overlay.
+   */
+  init() {
+    const historyBtn = document.getElementById('history-btn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.open();
+      });
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isOpen()) return;
+      // Let a dialog opened over the browser close first
+      if (document.querySelector('.dialog-overlay')) return;
+      this.close();
+    });
+  }
+
+  /**
+   * Whether the version browser is shown
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!document.getElementById('version-history-overlay')?.classList.contains('active');
+  }
+
+  /**
+   * Open the version browser for the current presentation
+   */
+  async open() {
+    this._renderOverlay();
+    document.getElementById('version-history-overlay').classList.add('active');
+
+    this.selectedId = CURRENT;
+    this.compareId = CURRENT;
+    await this.refresh();
+
+    // Start on the latest version, compared with the open presentation
+    if (this.versions.length > 0) this.select(this.versions[0].id);
+  }
+
+  /**
+   * Close the version browser
+   */
+  close() {
+    document.getElementById('version-history-overlay')?.classList.remove('active');
+  }
+
+  /**
+   * Reload the versions of the open presentation and re-render
+   */
+  async refresh() {
+    this.versions = await getVersions(this.editor.presentation.id);
+
+    const known = (id) => id === CURRENT || this.versions.some(v => v.id === id);
+    if (!known(this.selectedId)) this.selectedId = CURRENT;
+    if (!known(this.compareId) || this.compareId === this.selectedId) {
+      this.compareId = this.selectedId === CURRENT ? (this.versions[0]?.id || CURRENT) : CURRENT;
+    }
+
+    this._renderList();
+    this._renderDetail();
+  }
+
+  /**
+   * Inspect a version
+   * @param {string} id - Version id, or 'current'
+   */
+  select(id) {
+    this.selectedId = id;
+    if (this.compareId === id) {
+      this.compareId = id === CURRENT ? (this.versions[0]?.id || CURRENT) : CURRENT;
+    }
+    this._renderList();
+    this._renderDetail();
+  }
+
+  /**
+   * Save the presentation as it is now as a named checkpoint
+   * @returns {Promise<Object|null>} The checkpoint, or null if cancelled or failed
+   */
+  async saveCheckpoint() {
+    const presentation = this.editor.presentation;
+    if (!presentation) return null;
+
+    const suggested = `Checkpoint ${new Date().toLocaleString()}`;
+    const name = await Dialog.prompt('Name this checkpoint:', this._escape(suggested), 'Save Checkpoint');
+    if (name === null || name === undefined) return null;
+
+    const version = await saveVersion(presentation, {
+      name: name.trim() || suggested,
+      thumbnail: this._firstSlideThumbnail()
+    });
+
+    if (!version) {
+      toast.error('Failed to save checkpoint');
+      return null;
+    }
+
+    toast.success('Checkpoint saved');
+    if (this.isOpen()) {
+      await this.refresh();
+      this.select(version.id);
+    }
+    return version;
+  }
+
+  /**
+   * Replace the whole deck with a version.
+   * The deck as it was is kept as a checkpoint first.
+   * @param {string} id - Version id
+   * @returns {Promise<boolean>} Whether the version was restored
+   */
+  async restoreVersion(id) {
+    const version = this.versions.find(v => v.id === id);
+    if (!version) return false;
+
+    const label = this._labelOf(version);
+    const confirmed = await Dialog.confirm(
+      `Replace the whole presentation with "${this._escape(label)}"? The presentation as it is now is kept in the history, and you can also undo the restore.`,
+      'Restore Version'
+    );
+    if (!confirmed) return false;
+
+    const current = this.editor.presentation;
+    await saveVersion(current, {
+      name: `Before restoring "${label}"`,
+      thumbnail: this._firstSlideThumbnail()
+    });
+
+    const data = resolveLayouts(JSON.parse(JSON.stringify(version.data)));
+    data.id = current.id;
+    data.slides = (data.slides || []).map(slide => this._adoptThumbnail(slide, current.getSlideById(slide.id)));
+    data.shells = (data.shells || []).map(shell => this._adoptThumbnail(shell, current.getShellById(shell.id)));
+    data.layouts = (data.layouts || []).map(layout => this._adoptThumbnail(layout, current.getLayoutById(layout.id)));
+    data.currentSlideIndex = Math.min(current.currentSlideIndex, Math.max(data.slides.length - 1, 0));
+
+    this.editor.elementController?.deselectElement();
+    this.editor.isEditingShell = false;
+    this.editor.editingShellId = null;
+    this.editor.isEditingLayout = false;
+    this.editor.editingLayoutId = null;
+    this.editor.presentation = Presentation.fromJSON(data);
+    this.editor.recordHistory();
+    await this.editor.render();
+    appEvents.emit(AppEvents.SLIDE_SELECTED, this.editor.presentation.currentSlideIndex);
+
+    console.log(`🕘 Restored version ${version.id}`);
+    toast.success(`Restored "${label}"`);
+    this.close();
+    return true;
+  }
+
+  /**
+   * Restore one slide (or shell) as it is in a version.
+   * Replaces the slide with the same id, or puts it back after the slide
+   * that preceded it in that version if it was deleted since.
+   * @param {string} id - Version id
+   * @param {string} slideId - Slide or shell id
+   * @param {'slides'|'shells'|'layouts'} [kind='slides'] - Which list the slide belongs to
+   * @returns {Promise<boolean>} Whether the slide was restored
+   */
+  async restoreSlide(id, slideId, kind = 'slides') {
+    const version = this.versions.find(v => v.id === id);
+    const versionData = version ? resolveLayouts(JSON.parse(JSON.stringify(version.data))) : null;
+    const list = versionData?.[kind] || [];
+    const slideData = list.find(slide => slide.id === slideId);
+    if (!slideData) return false;
+
+    const presentation = this.editor.presentation;
+    const target = presentation[kind];
+    const index = target.findIndex(slide => slide.id === slideId);
+
+    let data = this._adoptThumbnail(slideData, target[index]);
+    if (kind === 'slides' && data.shellId && !presentation.getShellById(data.shellId)) {
+      data.shellId = null;
+    }
+    if (kind === 'slides' && data.layoutId) {
+      // Follow the layout as it is now, or leave it if it was deleted since
+      const versionLayout = (versionData.layouts || []).find(layout => layout.id === data.layoutId);
+      const layout = presentation.getLayoutById(data.layoutId);
+      data = layout
+        ? restyleSlide(data, versionLayout, layout.toJSON())
+        : switchSlideLayout(data, versionLayout, null);
+    }
+    const restored = Slide.fromJSON(data);
+
+    let position = index;
+    if (index !== -1) {
+      target[index] = restored;
+    } else {
+      // After the closest preceding slide of the version still in the deck
+      const previous = list.slice(0, list.indexOf(slideData)).reverse()
+        .map(slide => target.findIndex(s => s.id === slide.id))
+        .find(i => i !== -1);
+      position = previous === undefined ? 0 : previous + 1;
+      target.splice(position, 0, restored);
+    }
+
+    // Bring back the custom animations its steps play, if deleted since
+    const customAnimations = versionData.customAnimations || [];
+    restored.animationSequence.forEach((step) => {
+      const custom = customAnimations.find(animation => customAnimationId(step.type) === animation.id);
+      if (custom && !presentation.getCustomAnimation(custom.id)) presentation.saveCustomAnimation(custom);
+    });
+    presentation.updateModified();
+
+    if (kind === 'slides') {
+      this.editor.isEditingShell = false;
+      this.editor.editingShellId = null;
+      this.editor.isEditingLayout = false;
+      this.editor.editingLayoutId = null;
+      presentation.setCurrentSlide(position);
+    }
+    this.editor.elementController?.deselectElement();
+    this.editor.recordHistory();
+    await this.editor.render();
+    if (kind === 'slides') appEvents.emit(AppEvents.SLIDE_SELECTED, position);
+
+    const noun = { slides: 'Slide', shells: 'Shell', layouts: 'Layout' }[kind];
+    toast.success(`${noun} restored`);
+    this._renderDetail();
+    return true;
+  }
+
+  // ─── Private: data ───────────────────────────────────────
+
+  /**
+   * Presentation JSON of a version, or of the open presentation
+   * @param {string} id - Version id, or 'current'
+   * @returns {Object|null}
+   * @private
+   */
+  _dataOf(id) {
+    if (id === CURRENT) return this.editor.presentation.toJSON();
+    return this.versions.find(v => v.id === id)?.data || null;
+  }
+
+  /**
+   * Creation time of a version; the open presentation is the newest
+   * @param {string} id - Version id, or 'current'
+   * @returns {number}
+   * @private
+   */
+  _timeOf(id) {
+    if (id === CURRENT) return Infinity;
+    return this.versions.find(v => v.id === id)?.created || 0;
+  }
+
+  /**
+   * Display name of a version
+   * @param {Object} version - Version record
+   * @returns {string}
+   * @private
+   */
+  _labelOf(version) {
+    return version.name || `Saved ${new Date(version.created).toLocaleString()}`;
+  }
+
+  /**
+   * Keep the thumbnail of a slide that did not change, drop it otherwise
+   * so the sidebar does not show the content being replaced
+   * @param {Object} slideData - Slide JSON being restored
+   * @param {Slide|null|undefined} current - Slide with the same id in the deck
+   * @returns {Object} slideData
+   * @private
+   */
+  _adoptThumbnail(slideData, current) {
+    if (current && isSameSlide(current.toJSON(), slideData)) {
+      slideData.thumbnailId = current.thumbnailId;
+    } else {
+      slideData.thumbnailId = null;
+      this.editor.slideController?._thumbCache.delete(slideData.id);
+    }
+    return slideData;
+  }
+
+  /**
+   * Cached thumbnail of the first slide, stored with new versions
+   * @returns {string|null}
+   * @private
+   */
+  _firstSlideThumbnail() {
+    const firstSlide = this.editor.presentation.slides[0];
+    return (firstSlide && this.editor.slideController?._thumbCache.get(firstSlide.id)) || null;
+  }
+
+  // ─── Private: rendering ──────────────────────────────────
+
+  /**
+   * Create the overlay DOM structure once
+   * @private
+   */
+  _renderOverlay() {
+    if (document.getElementById('version-history-overlay')) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="version-history-overlay">
+        <div id="version-history-window">
+          <div class="vh-header">
+            <h2>Version History <span class="vh-count" id="vh-count">0</span></h2>
+            <div class="vh-controls">
+              <button class="btn-vh" id="btn-vh-checkpoint">
+                <i class="material-icons">bookmark_add</i> Save Checkpoint
+              </button>
+              <button class="btn-vh-icon" id="btn-vh-close" title="Close"><i class="material-icons">close</i></button>
+            </div>
+          </div>
+          <div class="vh-body">
+            <div class="vh-list" id="vh-list"></div>
+            <div class="vh-detail" id="vh-detail"></div>
+          </div>
+        </div>
+      </div>
+    `);
+
+    const overlay = document.getElementById('version-history-overlay');
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    document.getElementById('btn-vh-close').addEventListener('click', () => this.close());
+    document.getElementById('btn-vh-checkpoint').addEventListener('click', () => this.saveCheckpoint());
+
+    document.getElementById('vh-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.vh-item');
+      if (item) this.select(item.dataset.id);
+    });
+
+    const detail = document.getElementById('vh-detail');
+    detail.addEventListener('change', (e) => {
+      if (e.target.id === 'vh-compare') {
+        this.compareId = e.target.value;
+        this._renderDetail();
+      }
+    });
+    detail.addEventListener('click', (e) => this._handleDetailClick(e));
+  }
+
+  /**
+   * Render the version list
+   * @private
+   */
+  _renderList() {
+    const list = document.getElementById('vh-list');
+    if (!list) return;
+    document.getElementById('vh-count').textContent = this.versions.length;
+
+    const item = (id, icon, label, meta, thumbnail, checkpoint) => `
+      <div class="vh-item${id === this.selectedId ? ' selected' : ''}" data-id="${id}">
+        <div class="vh-item-thumb">
+          ${thumbnail ? `<img src="${thumbnail}" loading="lazy">` : `<i class="material-icons">${icon}</i>`}
+        </div>
+        <div class="vh-item-info">
+          <div class="vh-item-label${checkpoint ? ' checkpoint' : ''}" title="${this._escape(label)}">
+            ${checkpoint ? '<i class="material-icons">bookmark</i>' : ''}${this._escape(label)}
+          </div>
+          <div class="vh-item-meta">${meta}</div>
+        </div>
+      </div>
+    `;
+
+    const presentation = this.editor.presentation;
+    let html = item(
+      CURRENT, 'edit', 'Current presentation',
+      `${presentation.slides.length} slides${this.editor.hasUnsavedChanges() ? ' • unsaved changes' : ''}`,
+      this._firstSlideThumbnail(), false
+    );
+
+    html += this.versions.map(version => item(
+      version.id, 'history', this._labelOf(version),
+      `${version.slideCount} slides • ${version.name ? new Date(version.created).toLocaleString() : 'automatic'}`,
+      version.thumbnail, !version.auto
+    )).join('');
+
+    if (this.versions.length === 0) {
+      html += `
+        <div class="vh-empty">
+          <i class="material-icons">history</i>
+          <p>No versions yet. A version is kept each time you save;
+          use Save Checkpoint to name the state you want to come back to.</p>
+        </div>
+      `;
+    }
+
+    list.innerHTML = html;
+  }
+
+  /**
+   * Render the comparison of the selected version
+   * @private
+   */
+  _renderDetail() {
+    const detail = document.getElementById('vh-detail');
+    if (!detail) return;
+
+    const selected = this.versions.find(v => v.id === this.selectedId) || null;
+    const options = [{ id: CURRENT, label: 'Current presentation' }]
+      .concat(this.versions.map(v => ({ id: v.id, label: this._labelOf(v) })))
+      .filter(option => option.id !== this.selectedId)
+      .map(option => `<option value="${option.id}"${option.id === this.compareId ? ' selected' : ''}>${this._escape(option.label)}</option>`)
+      .join('');
+
+    const toolbar = `
+      <div class="vh-toolbar">
+        <label for="vh-compare">Compare with</label>
+        <select id="vh-compare" class="browser-default">${options}</select>
+        <span class="vh-toolbar-spacer"></span>
+        ${selected ? `
+          <button class="btn-vh-icon" data-action="rename" title="Rename"><i class="material-icons">edit</i></button>
+          <button class="btn-vh-icon" data-action="delete" title="Delete version"><i class="material-icons">delete</i></button>
+          <button class="btn-vh primary" data-action="restore-version">
+            <i class="material-icons">restore</i> Restore Version
+          </button>
+        ` : ''}
+      </div>
+    `;
+
+    if (this.selectedId === this.compareId) {
+      detail.innerHTML = `${toolbar}<div class="vh-empty"><p>Save a version to compare it with the presentation.</p></div>`;
+      return;
+    }
+
+    // Show changes from the older side to the newer one
+    const selectedIsOlder = this._timeOf(this.selectedId) < this._timeOf(this.compareId);
+    const [fromId, toId] = selectedIsOlder
+      ? [this.selectedId, this.compareId]
+      : [this.compareId, this.selectedId];
+    const diff = diffPresentations(this._dataOf(fromId), this._dataOf(toId));
+    const versionSide = selected ? (selectedIsOlder ? 'from' : 'to') : null;
+
+    detail.innerHTML = `
+      ${toolbar}
+      <div class="vh-diff">
+        ${this._renderSummary(diff)}
+        ${this._renderEntries(diff.slides, 'slides', versionSide)}
+        ${diff.shells.some(e => e.status !== 'unchanged') ? `
+          <div class="vh-section-title">Shells</div>
+          ${this._renderEntries(diff.shells, 'shells', versionSide)}
+        ` : ''}
+        ${diff.layouts.some(e => e.status !== 'unchanged') ? `
+          <div class="vh-section-title">Layouts</div>
+          ${this._renderEntries(diff.layouts, 'layouts', versionSide)}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the change counts of a comparison
+   * @param {Object} diff - Result of diffPresentations
+   * @returns {string} HTML string
+   * @private
+   */
+  _renderSummary(diff) {
+    const { added, removed, modified, moved } = diff.counts;
+    const parts = [
+      modified && `${modified} changed`,
+      added && `${added} added`,
+      removed && `${removed} removed`,
+      moved && `${moved} moved`
+    ].filter(Boolean);
+
+    const othersChanged = [...diff.shells, ...diff.layouts].some(e => e.status !== 'unchanged');
+    const summary = parts.length > 0
+      ? `Slides: ${parts.join(' • ')}`
+      : (diff.title || diff.theme || othersChanged ? 'No slide changes' : 'No differences');
+
+    return `
+      <div class="vh-summary">
+        <span>${summary}</span>
+        ${diff.title ? `<span class="vh-title-change">Title: “${this._escape(diff.title.from || '')}” → “${this._escape(diff.title.to || '')}”</span>` : ''}
+        ${diff.theme ? `<span class="vh-title-change">Theme: “${this._escape(diff.theme.from.name)}” → “${this._escape(diff.theme.to.name)}”</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the changed slides (or shells, or layouts) of a comparison
+   * @param {Object[]} entries - Slide entries of diffPresentations
+   * @param {'slides'|'shells'|'layouts'} kind
+   * @param {'from'|'to'|null} versionSide - Side holding the selected version, null for the current presentation
+   * @returns {string} HTML string
+   * @private
+   */
+  _renderEntries(entries, kind, versionSide) {
+    const changed = entries.filter(entry => entry.status !== 'unchanged' || entry.moved);
+    const unchanged = entries.length - changed.length;
+    const noun = { slides: 'Slide', shells: 'Shell', layouts: 'Layout' }[kind];
+
+    const preview = (slide) => (slide && window.SlideImporter
+      ? window.SlideImporter._renderSlidePreviewHTML(slide)
+      : '<div class="vh-preview-empty"></div>');
+
+    const rows = changed.map((entry) => {
+      const slide = entry.to || entry.from;
+      const index = entry.to ? entry.toIndex : entry.fromIndex;
+      const title = slide.title || slide.name || `${noun} ${index + 1}`;
+      const status = entry.status === 'unchanged' ? 'moved' : entry.status;
+      const restorable = versionSide && entry[versionSide];
+
+      const details = [
+        entry.moved && `Moved from position ${entry.fromIndex + 1} to ${entry.toIndex + 1}`,
+        entry.fields.length > 0 && `Slide: ${this._fieldList(entry.fields)}`,
+        ...entry.elements.map(el => {
+          const name = this._escape(el.name || el.type);
+          if (el.status !== 'modified') return `${STATUS_LABELS[el.status]} ${el.type} “${name}”`;
+          return `Changed ${el.type} “${name}”: ${this._fieldList(el.fields)}`;
+        })
+      ].filter(Boolean);
+
+      return `
+        <div class="vh-entry ${status}">
+          <div class="vh-entry-header">
+            <span class="vh-badge ${status}">${entry.status === 'unchanged' ? 'Moved' : STATUS_LABELS[entry.status]}</span>
+            <span class="vh-entry-title">${index + 1}. ${this._escape(title)}</span>
+            <span class="vh-toolbar-spacer"></span>
+            ${restorable ? `
+              <button class="btn-vh" data-action="restore-slide" data-kind="${kind}" data-slide-id="${entry.id}">
+                <i class="material-icons">settings_backup_restore</i> Restore ${noun.toLowerCase()}
+              </button>
+            ` : ''}
+          </div>
+          <div class="vh-entry-previews">
+            <div class="vh-preview"><span>Before</span>${preview(entry.from)}</div>
+            <i class="material-icons">arrow_forward</i>
+            <div class="vh-preview"><span>After</span>${preview(entry.to)}</div>
+          </div>
+          ${details.length > 0 ? `<ul class="vh-changes">${details.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    const rest = unchanged > 0
+      ? `<div class="vh-unchanged">${unchanged} unchanged ${noun.toLowerCase()}${unchanged > 1 ? 's' : ''}</div>`
+      : '';
+    return rows + rest;
+  }
+
+  /**
+   * Readable, de-duplicated list of changed fields
+   * @param {string[]} fields
+   * @returns {string}
+   * @private
+   */
+  _fieldList(fields) {
+    const labels = fields.map(field => FIELD_LABELS[field] || field.replace(/^properties\./, ''));
+    return this._escape([...new Set(labels)].join(', '));
+  }
+
+  /**
+   * Handle the buttons of the comparison panel
+   * @param {MouseEvent} e
+   * @private
+   */
+  async _handleDetailClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = this.selectedId;
+    const version = this.versions.find(v => v.id === id);
+    if (!version) return;
+
+    switch (button.dataset.action) {
+      case 'restore-version':
+        await this.restoreVersion(id);
+        break;
+
+      case 'restore-slide':
+        await this.restoreSlide(id, button.dataset.slideId, button.dataset.kind);
+        break;
+
+      case 'rename': {
+        const name = await Dialog.prompt('Version name (empty for an automatic version):', this._escape(version.name || ''), 'Rename Version');
+        if (name === null || name === undefined) return;
+        if (await renameVersion(id, name.trim())) await this.refresh();
+        break;
+      }
+
+      case 'delete': {
+        const confirmed = await Dialog.confirm(`Delete "${this._escape(this._labelOf(version))}" from the history?`, 'Delete Version');
+        if (!confirmed) return;
+        if (await deleteVersion(id)) {
+          this.selectedId = CURRENT;
+          await this.refresh();
+          toast.info('Version deleted');
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
+
+export default VersionHistoryController;
@@ -11,3 +11,10 @@ export { PlaybackController } from './PlaybackController.js';
 export { SettingsController } from './SettingsController.js';
 export { RecordingController } from './RecordingController.js';
 export { RemoteController } from './RemoteController.js';
+export { PresenterController } from './PresenterController.js';
+export { CollaborationController } from './CollaborationController.js';
+export { VersionHistoryController } from './VersionHistoryController.js';
+export { ThemeController } from './ThemeController.js';
+export { CustomAnimationController } from './CustomAnimationController.js';
+export { MergeController } from './MergeController.js';
+export { HeadlessPlaybackController } from './HeadlessPlaybackController.js';
@@ -10,5 +10,6 @@ export {
   AlignmentGuides,
   MarqueeHandler,
   CropHandler,
-  CanvasDropHandler
+  CanvasDropHandler,
+  MotionPathHandler
 } from '@wow/core/interactions';
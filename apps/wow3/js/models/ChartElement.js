@@ -0,0 +1,427 @@
+/**
+ * WOW3 Chart Element
+ * Bar, line, area and pie charts drawn as SVG from a small data table:
+ * categories along the x axis and one or more named series of values.
+ * The marks of each series and category carry `data-build-series` and
+ * `data-build-category` attributes, so AnimationManager can build a chart
+ * in one series or category at a time.
+ */
+
+import { Element } from '@wow/core/models/Element.js';
+import { ElementType } from '@wow/core/utils/constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Chart types */
+export const CHART_TYPES = [
+  { value: 'bar', label: 'Bar' },
+  { value: 'line', label: 'Line' },
+  { value: 'area', label: 'Area' },
+  { value: 'pie', label: 'Pie' }
+];
+
+/** Series colors of a new chart: the default theme's accents, then two more */
+const DEFAULT_SERIES_COLORS = ['#1565C0', '#90CAF9', '#2196F3', '#FF9800', '#7E57C2', '#26A69A'];
+
+/** Data of a new chart */
+const DEFAULT_DATA = {
+  categories: ['Q1', 'Q2', 'Q3', 'Q4'],
+  series: [
+    { name: '2025', values: [12, 19, 14, 23] },
+    { name: '2026', values: [15, 22, 18, 28] }
+  ]
+};
+
+// ─── Helpers ─────────────────────────────────────────────
+
+/**
+ * Create an SVG node
+ * @param {string} tag
+ * @param {Object} [attrs={}]
+ * @param {string} [text] - Text content
+ * @returns {SVGElement}
+ */
+const svgNode = (tag, attrs = {}, text) => {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+/**
+ * Round step for an axis range: 1, 2 or 5 times a power of ten
+ * @param {number} range
+ * @returns {number}
+ */
+const niceStep = (range) => {
+  const power = Math.pow(10, Math.floor(Math.log10(range)));
+  const fraction = range / power;
+  if (fraction <= 1) return power;
+  if (fraction <= 2) return 2 * power;
+  if (fraction <= 5) return 5 * power;
+  return 10 * power;
+};
+
+/**
+ * Value axis covering some values and zero, with about five round ticks
+ * @param {number[]} values
+ * @returns {{min: number, max: number, ticks: number[]}}
+ */
+const valueScale = (values) => {
+  let min = Math.min(0, ...values);
+  let max = Math.max(0, ...values);
+  if (max === min) max = min + 1;
+
+  const step = niceStep((max - min) / 5);
+  min = Math.floor(min / step) * step;
+  max = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let tick = min; tick <= max + step / 2; tick += step) {
+    ticks.push(Number(tick.toFixed(10)));
+  }
+  return { min, max, ticks };
+};
+
+/**
+ * Value as shown on the chart
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => Number(value.toFixed(2)).toLocaleString();
+
+/**
+ * Approximate width of a text
+ * @param {string} text
+ * @param {number} size - Font size
+ * @returns {number}
+ */
+const textWidth = (text, size) => String(text).length * size * 0.55;
+
+// ─── ChartElement Class ──────────────────────────────────
+
+export class ChartElement extends Element {
+  /**
+   * Create a chart element
+   * @param {Object} properties - Element properties
+   */
+  constructor(properties = {}) {
+    super(ElementType.CHART, properties);
+
+    const props = properties.properties || {};
+    this.properties.chartType = props.chartType || 'bar';
+    this.properties.data = JSON.parse(JSON.stringify(props.data || DEFAULT_DATA));
+    this.properties.seriesColors = [...(props.seriesColors || DEFAULT_SERIES_COLORS)];
+    this.properties.showLegend = props.showLegend !== false;
+    this.properties.showValues = props.showValues === true;
+    this.properties.showGrid = props.showGrid !== false;
+    this.properties.gridColor = props.gridColor || '#E0E0E0';
+
+    // Axis labels and legend are smaller than text
+    if (!props.font?.size) {
+      this.properties.font.size = 16;
+    }
+  }
+
+  /** Charts are laid out for their size: they are drawn again after a resize */
+  get redrawOnResize() {
+    return true;
+  }
+
+  /**
+   * Number of a data cell; spreadsheet text such as "1,234" or "12%" is read too
+   * @param {*} value
+   * @returns {number} 0 when not a number
+   */
+  static parseValue(value) {
+    const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^0-9.eE+-]/g, ''));
+    return Number.isFinite(number) ? number : 0;
+  }
+
+  /**
+   * Chart data with every series as long as the categories and numeric values
+   * @returns {{categories: string[], series: Array<{name: string, values: number[]}>}}
+   */
+  getData() {
+    const { categories = [], series = [] } = this.properties.data || {};
+    return {
+      categories: categories.map(category => String(category ?? '')),
+      series: series.map((s, i) => ({
+        name: String(s.name ?? `Series ${i + 1}`),
+        values: categories.map((category, j) => ChartElement.parseValue(s.values?.[j]))
+      }))
+    };
+  }
+
+  /**
+   * Color of a series (of a category in pie charts)
+   * @param {number} index
+   * @returns {string}
+   */
+  seriesColor(index) {
+    const colors = this.properties.seriesColors;
+    return colors[index % colors.length] || '#888888';
+  }
+
+  /**
+   * Render chart element to DOM
+   * @param {number} zIndex - Z-index for stacking (optional)
+   * @returns {HTMLElement} DOM element
+   */
+  render(zIndex = null) {
+    const el = super.render(zIndex);
+    el.classList.add('chart-element');
+
+    const { width, height } = this.position;
+    const { font, chartType, showLegend } = this.properties;
+    const data = this.getData();
+
+    const svg = svgNode('svg', {
+      width: '100%',
+      height: '100%',
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: 'none',
+      'font-family': font.family,
+      'font-size': font.size,
+      fill: font.color
+    });
+
+    // Pie slices are the categories; the other charts draw series
+    const legend = chartType === 'pie'
+      ? data.categories.map((name, i) => ({ name, color: this.seriesColor(i) }))
+      : data.series.map((s, i) => ({ name: s.name, color: this.seriesColor(i) }));
+
+    const area = { x: 0, y: 0, width, height };
+    if (showLegend && legend.length > 0) {
+      area.height -= font.size * 2;
+      svg.appendChild(this._renderLegend(legend, width, height));
+    }
+
+    if (area.height > 0) {
+      if (chartType === 'pie') {
+        this._renderPie(svg, data, area);
+      } else {
+        this._renderCartesian(svg, data, area);
+      }
+    }
+
+    el.appendChild(svg);
+    return el;
+  }
+
+  // ─── Rendering ───────────────────────────────────────────
+
+  /**
+   * Legend centered along the bottom edge
+   * @param {Array<{name: string, color: string}>} items
+   * @param {number} width
+   * @param {number} height
+   * @returns {SVGElement}
+   * @private
+   */
+  _renderLegend(items, width, height) {
+    const size = this.properties.font.size;
+    const swatch = size * 0.8;
+    const itemWidths = items.map(item => swatch + size * 0.4 + textWidth(item.name, size) + size);
+    const total = itemWidths.reduce((sum, w) => sum + w, 0) - size;
+
+    const legend = svgNode('g', { class: 'chart-legend' });
+    const y = height - size;
+    let x = Math.max(0, (width - total) / 2);
+
+    items.forEach((item, i) => {
+      legend.appendChild(svgNode('rect', { x, y: y - swatch / 2, width: swatch, height: swatch, rx: 2, fill: item.color }));
+      legend.appendChild(svgNode('text', { x: x + swatch + size * 0.4, y, 'dominant-baseline': 'middle' }, item.name));
+      x += itemWidths[i];
+    });
+    return legend;
+  }
+
+  /**
+   * Bar, line or area chart: value axis, category labels and series
+   * @param {SVGElement} svg
+   * @param {Object} data - From getData()
+   * @param {{x: number, y: number, width: number, height: number}} area
+   * @private
+   */
+  _renderCartesian(svg, data, area) {
+    const { font, chartType, showGrid, showValues, gridColor } = this.properties;
+    const size = font.size;
+    const scale = valueScale(data.series.flatMap(s => s.values));
+    const labelWidth = Math.max(...scale.ticks.map(tick => textWidth(formatValue(tick), size)));
+
+    const plot = {
+      x: area.x + labelWidth + size * 0.6,
+      y: area.y + size * (showValues ? 1.4 : 0.6)
+    };
+    plot.width = area.x + area.width - size * 0.5 - plot.x;
+    plot.height = area.y + area.height - size * 1.6 - plot.y;
+    if (plot.width <= 0 || plot.height <= 0) return;
+
+    const yOf = value => plot.y + plot.height - ((value - scale.min) / (scale.max - scale.min)) * plot.height;
+    const band = plot.width / Math.max(data.categories.length, 1);
+
+    // Grid, value labels, zero line and category labels
+    const axis = svgNode('g', { class: 'chart-axis' });
+    scale.ticks.forEach((tick) => {
+      const y = yOf(tick);
+      if (showGrid) {
+        axis.appendChild(svgNode('line', { x1: plot.x, x2: plot.x + plot.width, y1: y, y2: y, stroke: gridColor, 'stroke-width': 1 }));
+      }
+      axis.appendChild(svgNode('text', { x: plot.x - size * 0.4, y, 'text-anchor': 'end', 'dominant-baseline': 'middle' }, formatValue(tick)));
+    });
+    axis.appendChild(svgNode('line', {
+      x1: plot.x, x2: plot.x + plot.width, y1: yOf(0), y2: yOf(0),
+      stroke: font.color, 'stroke-opacity': 0.6, 'stroke-width': 1
+    }));
+    data.categories.forEach((category, j) => {
+      axis.appendChild(svgNode('text', {
+        x: plot.x + band * (j + 0.5),
+        y: plot.y + plot.height + size * 0.9,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle'
+      }, category));
+    });
+    svg.appendChild(axis);
+
+    if (chartType === 'bar') {
+      this._renderBars(svg, data, plot, band, yOf);
+    } else {
+      this._renderLines(svg, data, plot, band, yOf);
+    }
+  }
+
+  /**
+   * Bars grouped by category, one color per series
+   * @private
+   */
+  _renderBars(svg, data, plot, band, yOf) {
+    const { font, showValues } = this.properties;
+    const groupWidth = band * 0.7;
+    const barWidth = groupWidth / Math.max(data.series.length, 1);
+    const gap = Math.min(2, barWidth * 0.1);
+
+    data.series.forEach((s, i) => {
+      const group = svgNode('g', { 'data-build-series': i, fill: this.seriesColor(i) });
+
+      s.values.forEach((value, j) => {
+        const x = plot.x + band * j + (band - groupWidth) / 2 + barWidth * i;
+        const y0 = yOf(0);
+        const y1 = yOf(value);
+        group.appendChild(svgNode('rect', {
+          x: x + gap / 2,
+          y: Math.min(y0, y1),
+          width: Math.max(barWidth - gap, 1),
+          height: Math.abs(y1 - y0),
+          'data-build-category': j
+        }));
+
+        if (showValues) {
+          group.appendChild(svgNode('text', {
+            x: x + barWidth / 2,
+            y: value >= 0 ? y1 - font.size * 0.4 : y1 + font.size * 0.9,
+            'text-anchor': 'middle',
+            fill: font.color,
+            'data-build-category': j
+          }, formatValue(value)));
+        }
+      });
+
+      svg.appendChild(group);
+    });
+  }
+
+  /**
+   * One line per series with point markers; area charts fill down to zero
+   * @private
+   */
+  _renderLines(svg, data, plot, band, yOf) {
+    const { font, chartType, showValues } = this.properties;
+    const size = font.size;
+
+    data.series.forEach((s, i) => {
+      const color = this.seriesColor(i);
+      const group = svgNode('g', { 'data-build-series': i });
+      const points = s.values.map((value, j) => [plot.x + band * (j + 0.5), yOf(value)]);
+      if (points.length === 0) return;
+
+      if (chartType === 'area') {
+        const zero = yOf(0);
+        const d = `M${points[0][0]},${zero} ${points.map(([x, y]) => `L${x},${y}`).join(' ')} L${points[points.length - 1][0]},${zero} Z`;
+        group.appendChild(svgNode('path', { d, fill: color, 'fill-opacity': 0.35, stroke: 'none' }));
+      }
+
+      group.appendChild(svgNode('polyline', {
+        points: points.map(point => point.join(',')).join(' '),
+        fill: 'none',
+        stroke: color,
+        'stroke-width': Math.max(2, size * 0.15),
+        'stroke-linejoin': 'round',
+        'stroke-linecap': 'round'
+      }));
+
+      points.forEach(([x, y], j) => {
+        group.appendChild(svgNode('circle', { cx: x, cy: y, r: Math.max(3, size * 0.22), fill: color }));
+        if (showValues) {
+          group.appendChild(svgNode('text', { x, y: y - size * 0.6, 'text-anchor': 'middle', fill: font.color }, formatValue(s.values[j])));
+        }
+      });
+
+      svg.appendChild(group);
+    });
+  }
+
+  /**
+   * Pie of the first series, one slice per category
+   * @private
+   */
+  _renderPie(svg, data, area) {
+    const { font, showValues } = this.properties;
+    const values = (data.series[0]?.values || []).map(value => Math.max(value, 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const r = Math.min(area.width, area.height) / 2 - font.size * 0.5;
+    const cx = area.x + area.width / 2;
+    const cy = area.y + area.height / 2;
+    if (total <= 0 || r <= 0) return;
+
+    let angle = -Math.PI / 2;
+    values.forEach((value, j) => {
+      if (value <= 0) return;
+      const sweep = (value / total) * 2 * Math.PI;
+      const slice = svgNode('g', { 'data-build-category': j });
+      const fill = this.seriesColor(j);
+
+      if (sweep >= 2 * Math.PI - 1e-9) {
+        slice.appendChild(svgNode('circle', { cx, cy, r, fill }));
+      } else {
+        const x1 = cx + r * Math.cos(angle);
+        const y1 = cy + r * Math.sin(angle);
+        const x2 = cx + r * Math.cos(angle + sweep);
+        const y2 = cy + r * Math.sin(angle + sweep);
+        const large = sweep > Math.PI ? 1 : 0;
+        slice.appendChild(svgNode('path', {
+          d: `M${cx},${cy} L${x1},${y1} A${r},${r} 0 ${large} 1 ${x2},${y2} Z`,
+          fill,
+          stroke: '#ffffff',
+          'stroke-width': 1
+        }));
+      }
+
+      if (showValues) {
+        const middle = angle + sweep / 2;
+        slice.appendChild(svgNode('text', {
+          x: cx + r * 0.65 * Math.cos(middle),
+          y: cy + r * 0.65 * Math.sin(middle),
+          'text-anchor': 'middle',
+          'dominant-baseline': 'middle',
+          fill: '#ffffff'
+        }, `${Math.round((value / total) * 100)}%`));
+      }
+
+      svg.appendChild(slice);
+      angle += sweep;
+    });
+  }
+}
+
+export default ChartElement;
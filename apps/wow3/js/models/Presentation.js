@@ -5,6 +5,17 @@
 
 import { generateId } from '@wow/core/utils/dom.js';
 import { Slide } from './Slide.js';
+import {
+  inflateSlide,
+  deflateSlide,
+  restyleSlide,
+  switchSlideLayout,
+  createSlideFromLayout,
+  defaultPlaceholderRole,
+  PLACEHOLDER_ROLES
+} from '../utils/slide_layouts.js';
+import { normalizeTheme, resolveSlideTheme } from '../utils/deck_themes.js';
+import { normalizeCustomAnimation, customAnimationId } from '@wow/core/animations/custom_animations.js';
 
 export class Presentation {
   /**
@@ -24,6 +35,12 @@ export class Presentation {
       version: properties.metadata?.version || '1.0.0'
     };
 
+    // Theme — color and font slots elements and slides can reference
+    this.theme = normalizeTheme(properties.theme);
+
+    // Custom animations — keyframe effects authored in the editor, played by `custom:<id>` steps
+    this.customAnimations = (properties.customAnimations || []).map(normalizeCustomAnimation);
+
     // Shells — persistent layers that slides can reference
     this.shells = [];
     this.defaultShellId = properties.defaultShellId || null;
@@ -43,15 +60,24 @@ export class Presentation {
       this.shells = properties.shells.map(s => Slide.fromJSON(s));
     }
 
+    // Layouts — slide-like masters whose elements are placeholders
+    this.layouts = (properties.layouts || []).map(l => Slide.fromJSON(l));
+    this.layouts.forEach(layout => this._assignPlaceholderRoles(layout));
+
+    // Layout JSON the slides were last built from, by layout id: syncLayouts()
+    // compares it with the layout to restyle the slides after a layout edit
+    this._layoutBases = new Map(this.layouts.map(layout => [layout.id, layout.toJSON()]));
+
     // Slides
     this.slides = [];
 
     // Load slides if provided
     if (properties.slides && properties.slides.length > 0) {
-      this.slides = properties.slides.map(slideData => Slide.fromJSON(slideData));
+      this.slides = properties.slides.map(slideData => Slide.fromJSON(this._inflateSlide(slideData)));
     } else {
       // Create at least one slide
-      this.slides = [new Slide()];
+      this.slides = [new Slide({ themeRefs: { background: 'background' } })];
+      resolveSlideTheme(this.slides[0], this.theme);
     }
 
     // Backward compat: if we migrated a single shell, assign its ID to slides
@@ -98,10 +124,16 @@ export class Presentation {
    * @returns {Slide} Added slide
    */
   addSlide(slide = null, index = null) {
-    const newSlide = slide || new Slide({
-      title: `Slide ${this.slides.length + 1}`,
-      shellId: this.defaultShellId
-    });
+    let newSlide = slide;
+    if (!newSlide) {
+      // A blank slide takes the theme background
+      newSlide = new Slide({
+        title: `Slide ${this.slides.length + 1}`,
+        shellId: this.defaultShellId,
+        themeRefs: { background: 'background' }
+      });
+      resolveSlideTheme(newSlide, this.theme);
+    }
 
     if (index === null || index >= this.slides.length) {
       this.slides.push(newSlide);
@@ -368,19 +400,326 @@ export class Presentation {
     }
   }
 
+  /**
+   * Add a new layout and return it
+   * @param {Object} [data] - Slide JSON to build the layout from (a template or
+   *   another presentation's layout); its elements become placeholders.
+   *   Title and body placeholders if omitted.
+   * @param {string} [id] - Layout ID, generated if omitted
+   * @returns {Slide} The created layout
+   */
+  addLayout(data = null, id = null) {
+    const source = data || {
+      background: '#ffffff',
+      themeRefs: { background: 'background' },
+      elements: [
+        {
+          type: 'text',
+          name: 'Title',
+          position: { x: 80, y: 40, width: 1120, height: 100, rotation: 0 },
+          properties: {
+            text: 'Click to add title',
+            placeholder: 'title',
+            font: { size: 44, weight: 'bold' },
+            themeRefs: { font: { color: 'text', family: 'heading' } }
+          }
+        },
+        {
+          type: 'text',
+          name: 'Body',
+          position: { x: 80, y: 170, width: 1120, height: 480, rotation: 0 },
+          properties: {
+            text: 'Click to add text',
+            placeholder: 'body',
+            font: { size: 24 },
+            themeRefs: { font: { color: 'text', family: 'body' } }
+          }
+        }
+      ]
+    };
+
+    const layout = Slide.fromJSON({
+      ...source,
+      id: id || generateId('layout'),
+      title: source.title || `Layout ${this.layouts.length + 1}`,
+      layoutId: null,
+      shellId: null,
+      notes: '',
+      thumbnailId: null,
+      animationSequence: []
+    });
+    layout.elements.forEach(element => delete element.properties.layoutElementId);
+    this._assignPlaceholderRoles(layout);
+    resolveSlideTheme(layout, this.theme);
+
+    this.layouts.push(layout);
+    this._layoutBases.set(layout.id, layout.toJSON());
+    this.updateModified();
+    return layout;
+  }
+
+  /**
+   * Turn a slide into a layout: its elements become the placeholders and the
+   * slide follows the new layout, looking the same
+   * @param {number} index - Slide index
+   * @returns {Slide|null} The created layout
+   */
+  createLayoutFromSlide(index) {
+    const slide = this.slides[index];
+    if (!slide) return null;
+
+    // Placeholders get new ids: the slide keeps its own for the instances
+    const withoutId = ({ id, children = [], ...element }) => ({ ...element, children: children.map(withoutId) });
+    const data = slide.toJSON();
+    const layout = this.addLayout({
+      ...data,
+      title: `${slide.title} Layout`,
+      elements: data.elements.map(withoutId)
+    });
+
+    // Same order as the slide: pair each element with its placeholder
+    slide.layoutId = layout.id;
+    slide.elements.forEach((element, i) => {
+      element.properties.layoutElementId = layout.elements[i].id;
+    });
+    return layout;
+  }
+
+  /**
+   * Remove a layout by ID. Slides using it keep their look as regular elements.
+   * @param {string} layoutId - Layout ID to remove
+   * @returns {boolean} True if removed
+   */
+  removeLayout(layoutId) {
+    const idx = this.layouts.findIndex(l => l.id === layoutId);
+    if (idx === -1) return false;
+
+    this.slides = this.slides.map(slide => (slide.layoutId === layoutId
+      ? Slide.fromJSON(switchSlideLayout(slide.toJSON(), this._layoutBases.get(layoutId), null))
+      : slide));
+
+    this.layouts.splice(idx, 1);
+    this._layoutBases.delete(layoutId);
+    this.updateModified();
+    return true;
+  }
+
+  /**
+   * Get a layout by its ID
+   * @param {string} layoutId - Layout ID
+   * @returns {Slide|null} Layout or null
+   */
+  getLayoutById(layoutId) {
+    if (!layoutId) return null;
+    return this.layouts.find(l => l.id === layoutId) || null;
+  }
+
+  /**
+   * Build a new slide on a layout (not added to the presentation)
+   * @param {string} layoutId - Layout ID
+   * @returns {Slide|null} New slide or null if the layout does not exist
+   */
+  createSlideFromLayout(layoutId) {
+    const layout = this.getLayoutById(layoutId);
+    if (!layout) return null;
+
+    this.syncLayouts();
+    return Slide.fromJSON(createSlideFromLayout(layout.toJSON(), {
+      title: `Slide ${this.slides.length + 1}`,
+      shellId: this.defaultShellId
+    }));
+  }
+
+  /**
+   * Move a slide to another layout, re-apply its own layout to reset it,
+   * or detach it from its layout
+   * @param {number} index - Slide index
+   * @param {string|null} layoutId - Layout ID, null to detach
+   * @returns {Slide|null} The new slide object, or null if nothing changed
+   */
+  applyLayout(index, layoutId) {
+    const slide = this.slides[index];
+    const layout = this.getLayoutById(layoutId);
+    if (!slide || (layoutId && !layout) || (!layoutId && !slide.layoutId)) return null;
+
+    this.syncLayouts();
+    const data = switchSlideLayout(slide.toJSON(), this._layoutBases.get(slide.layoutId), layout ? layout.toJSON() : null);
+    this.slides[index] = Slide.fromJSON(data);
+    this.updateModified();
+    return this.slides[index];
+  }
+
+  /**
+   * Restyle the slides of every layout edited since the last call, so they
+   * follow the layout wherever they did not override it
+   * @returns {Slide[]} Slides that were rebuilt (their thumbnails are stale)
+   */
+  syncLayouts() {
+    const restyled = [];
+
+    for (const layout of this.layouts) {
+      this._assignPlaceholderRoles(layout);
+      const current = layout.toJSON();
+      const base = this._layoutBases.get(layout.id);
+      this._layoutBases.set(layout.id, current);
+      if (!base || JSON.stringify(base) === JSON.stringify(current)) continue;
+
+      this.slides = this.slides.map((slide) => {
+        if (slide.layoutId !== layout.id) return slide;
+        const rebuilt = Slide.fromJSON({ ...restyleSlide(slide.toJSON(), base, current), thumbnailId: null });
+        restyled.push(rebuilt);
+        return rebuilt;
+      });
+    }
+
+    return restyled;
+  }
+
+  /**
+   * Switch the presentation to another theme
+   * @param {Object} theme - Theme ({ id, name, colors, fonts }), completed from the default one
+   * @returns {Slide[]} Slides whose look changed (their thumbnails are stale)
+   */
+  setTheme(theme) {
+    this.theme = normalizeTheme(theme);
+    this.updateModified();
+    return this.applyTheme();
+  }
+
+  /**
+   * Resolve the theme references of layouts, shells and slides, so their
+   * literal colors and fonts are the theme's. Layouts come first and their
+   * slides are restyled from them, so slides keep following their layout.
+   * @returns {Slide[]} Slides whose look changed (their thumbnails are stale)
+   */
+  applyTheme() {
+    // Stored thumbnails of what changed are stale
+    const resolve = (slide) => {
+      const changed = resolveSlideTheme(slide, this.theme);
+      if (changed) slide.thumbnailId = null;
+      return changed;
+    };
+
+    this.layouts.forEach(resolve);
+    const changed = new Set(this.syncLayouts().map(slide => slide.id));
+
+    const changedShells = new Set(this.shells.filter(resolve).map(shell => shell.id));
+    this.slides.forEach((slide) => {
+      if (resolve(slide) || changedShells.has(slide.shellId)) changed.add(slide.id);
+    });
+    return this.slides.filter(slide => changed.has(slide.id));
+  }
+
+  /**
+   * Get a custom animation by ID
+   * @param {string} id - Custom animation ID
+   * @returns {Object|null}
+   */
+  getCustomAnimation(id) {
+    return this.customAnimations.find(animation => animation.id === id) || null;
+  }
+
+  /**
+   * Animation steps of slides, shells and layouts playing a custom animation
+   * @param {string} id - Custom animation ID
+   * @returns {Array<Object>}
+   */
+  getCustomAnimationSteps(id) {
+    return [...this.slides, ...this.shells, ...this.layouts]
+      .flatMap(slide => slide.animationSequence)
+      .filter(step => customAnimationId(step.type) === id);
+  }
+
+  /**
+   * Add a custom animation, or replace the one with its ID. The steps
+   * playing it take its new duration and easing.
+   * @param {Object} animation - Custom animation
+   * @returns {Object} Stored custom animation
+   */
+  saveCustomAnimation(animation) {
+    const stored = normalizeCustomAnimation(animation);
+    const index = this.customAnimations.findIndex(candidate => candidate.id === stored.id);
+
+    if (index === -1) {
+      this.customAnimations.push(stored);
+    } else {
+      this.customAnimations[index] = stored;
+    }
+
+    this.getCustomAnimationSteps(stored.id).forEach((step) => {
+      step.duration = stored.duration;
+      step.easing = stored.easing;
+    });
+
+    this.updateModified();
+    return stored;
+  }
+
+  /**
+   * Remove a custom animation along with the steps playing it
+   * @param {string} id - Custom animation ID
+   * @returns {boolean} True if removed
+   */
+  removeCustomAnimation(id) {
+    const index = this.customAnimations.findIndex(animation => animation.id === id);
+    if (index === -1) return false;
+
+    this.customAnimations.splice(index, 1);
+    [...this.slides, ...this.shells, ...this.layouts].forEach((slide) => {
+      slide.animationSequence
+        .filter(step => customAnimationId(step.type) === id)
+        .forEach(step => slide.removeAnimation(step.id));
+    });
+
+    this.updateModified();
+    return true;
+  }
+
+  /**
+   * Give a role to the layout elements without one
+   * @param {Slide} layout - Layout
+   * @private
+   */
+  _assignPlaceholderRoles(layout) {
+    let hasTitle = layout.elements.some(el => el.properties.placeholder === 'title');
+    layout.elements.forEach((element) => {
+      if (PLACEHOLDER_ROLES.includes(element.properties.placeholder)) return;
+      element.properties.placeholder = defaultPlaceholderRole(element, hasTitle);
+      if (element.properties.placeholder === 'title') hasTitle = true;
+    });
+  }
+
+  /**
+   * Full slide data of a serialized slide; slides whose layout is gone are detached
+   * @param {Object} slideData - Slide JSON
+   * @returns {Object} Full slide JSON
+   * @private
+   */
+  _inflateSlide(slideData) {
+    if (!slideData.layoutId) return slideData;
+    const base = this._layoutBases.get(slideData.layoutId);
+    return base ? inflateSlide(slideData, base) : switchSlideLayout(slideData, null, null);
+  }
+
   /**
    * Convert presentation to JSON
    * @returns {Object} JSON representation
    */
   toJSON() {
+    // Slides only store what differs from their layout: bring them up to date first
+    this.syncLayouts();
+
     return {
       id: this.id,
       title: this.title,
       currentSlideIndex: this.currentSlideIndex,
       metadata: { ...this.metadata },
-      slides: this.slides.map(slide => slide.toJSON()),
+      slides: this.slides.map(slide => deflateSlide(slide.toJSON(), this._layoutBases.get(slide.layoutId))),
       shells: this.shells.map(shell => shell.toJSON()),
-      defaultShellId: this.defaultShellId
+      defaultShellId: this.defaultShellId,
+      layouts: this.layouts.map(layout => layout.toJSON()),
+      theme: JSON.parse(JSON.stringify(this.theme)),
+      customAnimations: JSON.parse(JSON.stringify(this.customAnimations))
     };
   }
 
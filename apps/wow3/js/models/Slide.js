@@ -6,9 +6,12 @@
 import { generateId } from '@wow/core/utils/dom.js';
 import { DEFAULTS } from '@wow/core/utils/constants.js';
 import { Element } from '@wow/core/models/Element.js';
+import { normalizeTransition } from '@wow/core/animations/transitions.js';
 import { migrateElementAnimations, hasLegacyAnimations } from '../animations/migration.js';
 import { TextElement, ImageElement, VideoElement, AudioElement, ShapeElement, ListElement, LinkElement } from '@wow/core/models';
 import { CountdownTimerElement } from './CountdownTimerElement.js';
+import { ChartElement } from './ChartElement.js';
+import { TableElement } from './TableElement.js';
 
 export class Slide {
   /**
@@ -21,6 +24,10 @@ export class Slide {
     this.background = properties.background || DEFAULTS.BACKGROUND_COLOR;
     this.backgroundAnimationSpeed = properties.backgroundAnimationSpeed ?? 0;
     this.backgroundAnimationType = properties.backgroundAnimationType || 'pingpong';
+
+    // Theme slots slide fields take their value from (see utils/deck_themes.js)
+    this.themeRefs = JSON.parse(JSON.stringify(properties.themeRefs || {}));
+
     this.visible = properties.visible !== false; // default true
     this.thumbnailId = properties.thumbnailId || null;
 
@@ -35,10 +42,22 @@ export class Slide {
     // Per-slide shell rendering mode ('above' | 'below')
     this.shellMode = properties.shellMode || 'above';
 
+    // Layout the slide follows (see utils/slide_layouts.js), or null
+    this.layoutId = properties.layoutId || null;
+
     // Auto play: automatically advance to next slide after duration
     this.autoPlay = properties.autoPlay === true;
     this.autoPlayDuration = properties.autoPlayDuration ?? 5;
 
+    // Transition played when the slide comes on screen: { type, duration (ms), direction }
+    this.transition = normalizeTransition(properties.transition);
+
+    // Speaker notes (plain text), shown in the presenter view and the PDF notes pages
+    this.notes = properties.notes || '';
+
+    // Merge template: its {{field}} tokens are filled from a dataset (see utils/data_merge.js)
+    this.mergeTemplate = properties.mergeTemplate === true;
+
     this.elements = [];
 
     // Load elements if provided
@@ -250,6 +269,8 @@ export class Slide {
    * @param {string} [animationType] - Optional animation type ('pingpong' | 'cycle')
    */
   setBackground(background, animationSpeed, animationType) {
+    // A literal background no longer follows the theme
+    if (background !== this.background && this.themeRefs.background) this.themeRefs.background = null;
     this.background = background;
     if ( animationSpeed !== undefined ) this.backgroundAnimationSpeed = animationSpeed;
     if ( animationType !== undefined ) this.backgroundAnimationType = animationType;
@@ -263,6 +284,14 @@ export class Slide {
     this.title = title;
   }
 
+  /**
+   * Set speaker notes
+   * @param {string} notes - Plain text notes
+   */
+  setNotes(notes) {
+    this.notes = notes;
+  }
+
   /**
    * Clone slide
    * @returns {Slide} Cloned slide
@@ -311,11 +340,16 @@ export class Slide {
       background: this.background,
       backgroundAnimationSpeed: this.backgroundAnimationSpeed,
       backgroundAnimationType: this.backgroundAnimationType,
+      themeRefs: JSON.parse(JSON.stringify(this.themeRefs)),
       visible: this.visible,
       shellId: this.shellId,
       shellMode: this.shellMode,
+      layoutId: this.layoutId,
       autoPlay: this.autoPlay,
       autoPlayDuration: this.autoPlayDuration,
+      transition: { ...this.transition },
+      notes: this.notes,
+      mergeTemplate: this.mergeTemplate,
       thumbnailId: this.thumbnailId,
       elements: this.elements.map(el => el.toJSON()),
       animationSequence: this.animationSequence.map((a) => ({ ...a }))
@@ -346,7 +380,9 @@ const getElementClass = (type) => {
     shape: ShapeElement,
     list: ListElement,
     link: LinkElement,
-    countdown_timer: CountdownTimerElement
+    countdown_timer: CountdownTimerElement,
+    chart: ChartElement,
+    table: TableElement
   };
 
   return classes[type] || Element;
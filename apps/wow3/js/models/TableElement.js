@@ -0,0 +1,139 @@
+/**
+ * WOW3 Table Element
+ * A grid of text cells drawn as SVG, with an optional header row and banded
+ * rows. Each row is a group with a `data-build-row` attribute, so
+ * AnimationManager can build a table in one row at a time.
+ */
+
+import { Element } from '@wow/core/models/Element.js';
+import { ElementType } from '@wow/core/utils/constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Cells of a new table */
+const DEFAULT_ROWS = [
+  ['Region', 'Q1', 'Q2'],
+  ['North', '12', '15'],
+  ['South', '9', '11']
+];
+
+/** Cell text that is a number: right-aligned like in a spreadsheet */
+const NUMERIC_PATTERN = /^[-+(]?[$€£¥]?\s*[\d.,]+\s*[%)]?$/;
+
+/**
+ * Create an SVG node
+ * @param {string} tag
+ * @param {Object} [attrs={}]
+ * @param {string} [text] - Text content
+ * @returns {SVGElement}
+ */
+const svgNode = (tag, attrs = {}, text) => {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+export class TableElement extends Element {
+  /**
+   * Create a table element
+   * @param {Object} properties - Element properties
+   */
+  constructor(properties = {}) {
+    super(ElementType.TABLE, properties);
+
+    const props = properties.properties || {};
+    this.properties.data = { rows: JSON.parse(JSON.stringify(props.data?.rows || DEFAULT_ROWS)) };
+    this.properties.headerRow = props.headerRow !== false;
+    this.properties.headerFill = props.headerFill || '#1565C0';
+    this.properties.headerTextColor = props.headerTextColor || '#ffffff';
+    this.properties.bandedRows = props.bandedRows !== false;
+    this.properties.bandFill = props.bandFill || '#F5F5F5';
+    this.properties.borderColor = props.borderColor || '#E0E0E0';
+
+    if (!props.font?.size) {
+      this.properties.font.size = 18;
+    }
+  }
+
+  /** Tables are laid out for their size: they are drawn again after a resize */
+  get redrawOnResize() {
+    return true;
+  }
+
+  /**
+   * Cells with every row as long as the longest one
+   * @returns {string[][]}
+   */
+  getRows() {
+    const rows = this.properties.data?.rows || [];
+    const columns = Math.max(0, ...rows.map(row => row.length));
+    return rows.map(row => Array.from({ length: columns }, (_, j) => String(row[j] ?? '')));
+  }
+
+  /**
+   * Render table element to DOM
+   * @param {number} zIndex - Z-index for stacking (optional)
+   * @returns {HTMLElement} DOM element
+   */
+  render(zIndex = null) {
+    const el = super.render(zIndex);
+    el.classList.add('table-element');
+
+    const { width, height } = this.position;
+    const { font, headerRow, headerFill, headerTextColor, bandedRows, bandFill, borderColor } = this.properties;
+    const rows = this.getRows();
+    const columns = rows[0]?.length || 0;
+
+    const svg = svgNode('svg', {
+      width: '100%',
+      height: '100%',
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: 'none',
+      'font-family': font.family,
+      'font-size': font.size
+    });
+
+    if (rows.length > 0 && columns > 0) {
+      const cellWidth = width / columns;
+      const cellHeight = height / rows.length;
+      const padding = Math.min(font.size * 0.5, cellWidth / 4);
+
+      rows.forEach((row, i) => {
+        const isHeader = headerRow && i === 0;
+        const bodyIndex = headerRow ? i - 1 : i;
+        const fill = isHeader ? headerFill : (bandedRows && bodyIndex % 2 === 1 ? bandFill : 'none');
+        const group = svgNode('g', { 'data-build-row': i });
+
+        row.forEach((text, j) => {
+          const x = j * cellWidth;
+          const y = i * cellHeight;
+          group.appendChild(svgNode('rect', {
+            x, y, width: cellWidth, height: cellHeight,
+            fill, stroke: borderColor, 'stroke-width': 1
+          }));
+
+          // A nested viewport clips text wider than its cell
+          const cell = svgNode('svg', { x, y, width: cellWidth, height: cellHeight, overflow: 'hidden' });
+          const numeric = !isHeader && NUMERIC_PATTERN.test(text.trim());
+          cell.appendChild(svgNode('text', {
+            x: numeric ? cellWidth - padding : padding,
+            y: cellHeight / 2,
+            'text-anchor': numeric ? 'end' : 'start',
+            'dominant-baseline': 'middle',
+            'font-weight': isHeader ? 'bold' : 'normal',
+            fill: isHeader ? headerTextColor : font.color
+          }, text));
+          group.appendChild(cell);
+        });
+
+        svg.appendChild(group);
+      });
+    }
+
+    el.appendChild(svg);
+    return el;
+  }
+}
+
+export default TableElement;
@@ -18,5 +18,7 @@ export {
 
 // wow3-specific models
 export { CountdownTimerElement } from './CountdownTimerElement.js';
+export { ChartElement } from './ChartElement.js';
+export { TableElement } from './TableElement.js';
 export { Slide } from './Slide.js';
 export { Presentation } from './Presentation.js';
@@ -0,0 +1,186 @@
+/**
+ * Chart Element Property Panel
+ * Provides Data (categories × series grid) and Style (chart type, legend,
+ * colors, font) tabs.
+ */
+
+import { DataGrid } from './DataGrid.js';
+import { ChartElement, CHART_TYPES } from '../models/ChartElement.js';
+
+/**
+ * Grid cells of chart data: series names across the first row, one row
+ * per category below
+ * @param {Object} data - { categories, series }
+ * @returns {string[][]}
+ */
+const dataToCells = (data) => [
+  ['', ...data.series.map(s => s.name)],
+  ...data.categories.map((category, j) => [category, ...data.series.map(s => String(s.values[j] ?? ''))])
+];
+
+/**
+ * Chart data of grid cells
+ * @param {string[][]} cells
+ * @returns {Object} { categories, series }
+ */
+const cellsToData = (cells) => {
+  const [header, ...rows] = cells;
+  return {
+    categories: rows.map(row => row[0]),
+    series: header.slice(1).map((name, k) => ({
+      name,
+      values: rows.map(row => ChartElement.parseValue(row[k + 1]))
+    }))
+  };
+};
+
+export class ChartPanel {
+  /**
+   * Render the panel HTML for the given chart element
+   * @param {import('../models/ChartElement.js').ChartElement} element
+   * @returns {string} HTML string
+   */
+  static render(element) {
+    const props = element.properties;
+    const data = element.getData();
+
+    const typeOptions = CHART_TYPES.map(({ value, label }) =>
+      `<option value="${value}" ${props.chartType === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    const seriesColors = data.series.map((s, i) =>
+      PanelUtils.renderColorPicker(`Series ${i + 1}`, `chart-series-color-${i}`, element.seriesColor(i))
+    ).join('');
+
+    return `
+      <div class="panel-tabs">
+        <button class="panel-tab active" data-tab="data">Data</button>
+        <button class="panel-tab" data-tab="style">Style</button>
+      </div>
+
+      <div class="panel-tab-content active" data-tab-content="data">
+        <p class="data-grid-hint">Series across the first row, one category per row. Paste a range from a spreadsheet into any cell.${props.chartType === 'pie' ? ' Pie charts show the first series.' : ''}</p>
+        ${DataGrid.render('chart-data-grid')}
+      </div>
+
+      <div class="panel-tab-content" data-tab-content="style">
+        <div class="control-group">
+          <label>Chart Type</label>
+          <select id="chart-type" class="panel-select browser-default">${typeOptions}</select>
+        </div>
+
+        <div class="control-group">
+          <label>
+            <input type="checkbox" id="chart-show-legend" class="filled-in" ${props.showLegend ? 'checked' : ''}>
+            <span>Legend</span>
+          </label>
+          <label>
+            <input type="checkbox" id="chart-show-values" class="filled-in" ${props.showValues ? 'checked' : ''}>
+            <span>Values</span>
+          </label>
+          <label>
+            <input type="checkbox" id="chart-show-grid" class="filled-in" ${props.showGrid ? 'checked' : ''}>
+            <span>Grid lines</span>
+          </label>
+        </div>
+
+        ${seriesColors}
+
+        <div class="control-group">
+          <label>Font Family</label>
+          ${PanelUtils.renderFontFamilyPicker('chart-font-family', props.font.family)}
+        </div>
+
+        <div class="control-group">
+          <label for="chart-font-size" class="active">Font Size: <span id="chart-font-size-val">${props.font.size}</span></label>
+          <input type="range" id="chart-font-size" min="8" max="48" value="${props.font.size}">
+        </div>
+
+        ${PanelUtils.renderColorPicker('Text Color', 'chart-font-color', props.font.color)}
+
+        ${PanelUtils.renderColorPicker('Grid Color', 'chart-grid-color', props.gridColor)}
+      </div>
+    `;
+  }
+
+  /**
+   * Bind interactive events for the panel controls
+   * @param {import('../models/ChartElement.js').ChartElement} element
+   */
+  static bindEvents(element) {
+    const ec = window.app.editor.elementController;
+    const updateProperty = (path, value) => ec.updateElementProperty(path, value);
+
+    // --- Tab switching ---
+    document.querySelectorAll('.panel-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        document.querySelectorAll('.panel-tab').forEach(t => t.classList.remove('active'));
+        document.querySelectorAll('.panel-tab-content').forEach(c => c.classList.remove('active'));
+        tab.classList.add('active');
+        const content = document.querySelector(`[data-tab-content="${tab.dataset.tab}"]`);
+        if (content) content.classList.add('active');
+      });
+    });
+
+    // --- Data grid ---
+    DataGrid.mount('chart-data-grid', dataToCells(element.getData()), (cells) => {
+      updateProperty('properties.data', cellsToData(cells));
+    }, {
+      minRows: 2,
+      minColumns: 2,
+      placeholder: (i, j) => (i === 0 ? (j === 0 ? '' : `Series ${j}`) : (j === 0 ? 'Category' : '0'))
+    });
+
+    // --- Chart type ---
+    const chartType = document.getElementById('chart-type');
+    if (chartType) {
+      chartType.addEventListener('change', (e) => {
+        updateProperty('properties.chartType', e.target.value);
+        // The data hint and the build options depend on the type
+        window.app.editor.uiManager?.rightSidebar?.updateProperties(element, true);
+      });
+    }
+
+    // --- Legend, values, grid ---
+    [['chart-show-legend', 'showLegend'], ['chart-show-values', 'showValues'], ['chart-show-grid', 'showGrid']].forEach(([id, key]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) {
+        checkbox.addEventListener('change', (e) => updateProperty(`properties.${key}`, e.target.checked));
+      }
+    });
+
+    // --- Series colors ---
+    element.getData().series.forEach((s, i) => {
+      PanelUtils.bindColorPicker(`chart-series-color-${i}`, (value) => {
+        // Series beyond the palette cycle through it: give them a color of their own first
+        const colors = element.properties.seriesColors;
+        while (colors.length <= i) colors.push(element.seriesColor(colors.length));
+        updateProperty(`properties.seriesColors.${i}`, value);
+      });
+    });
+
+    // --- Font ---
+    PanelUtils.bindFontFamilyPicker('chart-font-family', (value) => {
+      updateProperty('properties.font.family', value);
+    });
+
+    const fontSize = document.getElementById('chart-font-size');
+    const fontSizeVal = document.getElementById('chart-font-size-val');
+    if (fontSize) {
+      fontSize.addEventListener('input', (e) => {
+        if (fontSizeVal) fontSizeVal.textContent = e.target.value;
+        updateProperty('properties.font.size', parseInt(e.target.value, 10));
+      });
+    }
+
+    PanelUtils.bindColorPicker('chart-font-color', (value) => {
+      updateProperty('properties.font.color', value);
+    });
+
+    PanelUtils.bindColorPicker('chart-grid-color', (value) => {
+      updateProperty('properties.gridColor', value);
+    });
+  }
+}
+
+export default ChartPanel;
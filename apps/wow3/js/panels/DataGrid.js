@@ -0,0 +1,168 @@
+/**
+ * Data Grid
+ * Spreadsheet-like cell editor used by the chart and table panels.
+ * Rows and columns can be added and removed, and tab- or comma-separated
+ * text pasted into a cell (a range copied from a spreadsheet) fills the
+ * grid from that cell on, growing it as needed.
+ */
+
+import { parseCsv } from '../utils/data_merge.js';
+
+export class DataGrid {
+  /**
+   * Placeholder HTML of a grid, filled by mount()
+   * @param {string} id - Container id
+   * @returns {string} HTML string
+   */
+  static render(id) {
+    return `<div class="data-grid" id="${id}"></div>`;
+  }
+
+  /**
+   * Build the grid in its container and bind its events
+   * @param {string} id - Container id
+   * @param {string[][]} rows - Cell values; not modified
+   * @param {function(string[][]): void} onChange - Called with the new cells after each edit
+   * @param {Object} [options]
+   * @param {number} [options.minRows=1] - Rows that cannot be removed
+   * @param {number} [options.minColumns=1] - Columns that cannot be removed
+   * @param {function(number, number): string} [options.placeholder] - Placeholder of a cell
+   */
+  static mount(id, rows, onChange, options = {}) {
+    const container = document.getElementById(id);
+    if (!container) return;
+
+    const { minRows = 1, minColumns = 1, placeholder = () => '' } = options;
+    const columns = Math.max(minColumns, ...rows.map(row => row.length));
+    const cells = rows.map(row => Array.from({ length: columns }, (_, j) => String(row[j] ?? '')));
+    while (cells.length < minRows) cells.push(Array(columns).fill(''));
+
+    // Cell last focused: rows and columns are removed there
+    let focused = null;
+
+    const commit = () => onChange(cells.map(row => [...row]));
+
+    const build = () => {
+      container.innerHTML = `
+        <div class="data-grid-toolbar">
+          <button type="button" class="btn-icon" data-action="add-row" title="Add row"><i class="material-icons">add</i><span>Row</span></button>
+          <button type="button" class="btn-icon" data-action="remove-row" title="Remove row"><i class="material-icons">remove</i><span>Row</span></button>
+          <button type="button" class="btn-icon" data-action="add-column" title="Add column"><i class="material-icons">add</i><span>Col</span></button>
+          <button type="button" class="btn-icon" data-action="remove-column" title="Remove column"><i class="material-icons">remove</i><span>Col</span></button>
+        </div>
+        <div class="data-grid-scroll"><table class="data-grid-table"><tbody></tbody></table></div>
+      `;
+
+      const tbody = container.querySelector('tbody');
+      cells.forEach((row, i) => {
+        const tr = document.createElement('tr');
+        row.forEach((value, j) => {
+          const td = document.createElement('td');
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.value = value;
+          input.placeholder = placeholder(i, j);
+          input.dataset.row = i;
+          input.dataset.column = j;
+          td.appendChild(input);
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+
+      container.querySelector('[data-action="remove-row"]').disabled = cells.length <= minRows;
+      container.querySelector('[data-action="remove-column"]').disabled = (cells[0]?.length || 0) <= minColumns;
+    };
+
+    /** Rebuild after a change of shape and focus a cell again */
+    const rebuild = (focusRow, focusColumn) => {
+      build();
+      commit();
+      const input = container.querySelector(`input[data-row="${focusRow}"][data-column="${focusColumn}"]`);
+      if (input) input.focus();
+    };
+
+    container.addEventListener('focusin', (e) => {
+      if (e.target.dataset.row === undefined) return;
+      focused = { row: parseInt(e.target.dataset.row, 10), column: parseInt(e.target.dataset.column, 10) };
+    });
+
+    container.addEventListener('change', (e) => {
+      const { row, column } = e.target.dataset;
+      if (row === undefined) return;
+      cells[row][column] = e.target.value;
+      commit();
+    });
+
+    // Enter moves down, like in a spreadsheet
+    container.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || e.target.dataset.row === undefined) return;
+      e.preventDefault();
+      const next = container.querySelector(`input[data-row="${parseInt(e.target.dataset.row, 10) + 1}"][data-column="${e.target.dataset.column}"]`);
+      if (next) next.focus(); else e.target.blur();
+    });
+
+    // A pasted range fills the grid from the cell it is pasted into
+    container.addEventListener('paste', (e) => {
+      if (e.target.dataset.row === undefined) return;
+      const text = e.clipboardData?.getData('text/plain') || '';
+      if (!/[\t\n,;]/.test(text.trim())) return;
+
+      e.preventDefault();
+      const startRow = parseInt(e.target.dataset.row, 10);
+      const startColumn = parseInt(e.target.dataset.column, 10);
+      const records = parseCsv(text);
+      const width = Math.max(cells[0].length, startColumn + Math.max(...records.map(r => r.length)));
+
+      cells.forEach((row) => { while (row.length < width) row.push(''); });
+      records.forEach((record, i) => {
+        if (!cells[startRow + i]) cells[startRow + i] = Array(width).fill('');
+        record.forEach((value, j) => { cells[startRow + i][startColumn + j] = value.trim(); });
+      });
+      rebuild(startRow, startColumn);
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const columns = cells[0]?.length || 0;
+      const row = focused ? focused.row : cells.length - 1;
+      const column = focused ? focused.column : columns - 1;
+
+      switch (button.dataset.action) {
+        case 'add-row':
+          cells.splice(row + 1, 0, Array(columns).fill(''));
+          focused = { row: row + 1, column: Math.max(column, 0) };
+          break;
+        case 'remove-row':
+          if (cells.length <= minRows) return;
+          cells.splice(row, 1);
+          focused = null;
+          break;
+        case 'add-column':
+          cells.forEach(r => r.splice(column + 1, 0, ''));
+          focused = { row: Math.max(row, 0), column: column + 1 };
+          break;
+        case 'remove-column':
+          if (columns <= minColumns) return;
+          cells.forEach(r => r.splice(column, 1));
+          focused = null;
+          break;
+        default:
+          return;
+      }
+
+      if (focused) {
+        rebuild(focused.row, focused.column);
+      } else {
+        build();
+        commit();
+      }
+    });
+
+    build();
+  }
+}
+
+export default DataGrid;
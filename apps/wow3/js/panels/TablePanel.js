@@ -0,0 +1,119 @@
+/**
+ * Table Element Property Panel
+ * Provides Data (cell grid) and Style (header, bands, colors, font) tabs.
+ */
+
+import { DataGrid } from './DataGrid.js';
+
+export class TablePanel {
+  /**
+   * Render the panel HTML for the given table element
+   * @param {import('../models/TableElement.js').TableElement} element
+   * @returns {string} HTML string
+   */
+  static render(element) {
+    const props = element.properties;
+
+    return `
+      <div class="panel-tabs">
+        <button class="panel-tab active" data-tab="data">Data</button>
+        <button class="panel-tab" data-tab="style">Style</button>
+      </div>
+
+      <div class="panel-tab-content active" data-tab-content="data">
+        <p class="data-grid-hint">Paste a range from a spreadsheet into any cell.</p>
+        ${DataGrid.render('table-data-grid')}
+      </div>
+
+      <div class="panel-tab-content" data-tab-content="style">
+        <div class="control-group">
+          <label>
+            <input type="checkbox" id="table-header-row" class="filled-in" ${props.headerRow ? 'checked' : ''}>
+            <span>Header row</span>
+          </label>
+          <label>
+            <input type="checkbox" id="table-banded-rows" class="filled-in" ${props.bandedRows ? 'checked' : ''}>
+            <span>Banded rows</span>
+          </label>
+        </div>
+
+        ${PanelUtils.renderColorPicker('Header Fill', 'table-header-fill', props.headerFill)}
+        ${PanelUtils.renderColorPicker('Header Text', 'table-header-text', props.headerTextColor)}
+        ${PanelUtils.renderColorPicker('Band Fill', 'table-band-fill', props.bandFill)}
+        ${PanelUtils.renderColorPicker('Borders', 'table-border-color', props.borderColor)}
+
+        <div class="control-group">
+          <label>Font Family</label>
+          ${PanelUtils.renderFontFamilyPicker('table-font-family', props.font.family)}
+        </div>
+
+        <div class="control-group">
+          <label for="table-font-size" class="active">Font Size: <span id="table-font-size-val">${props.font.size}</span></label>
+          <input type="range" id="table-font-size" min="8" max="72" value="${props.font.size}">
+        </div>
+
+        ${PanelUtils.renderColorPicker('Text Color', 'table-font-color', props.font.color)}
+      </div>
+    `;
+  }
+
+  /**
+   * Bind interactive events for the panel controls
+   * @param {import('../models/TableElement.js').TableElement} element
+   */
+  static bindEvents(element) {
+    const ec = window.app.editor.elementController;
+    const updateProperty = (path, value) => ec.updateElementProperty(path, value);
+
+    // --- Tab switching ---
+    document.querySelectorAll('.panel-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        document.querySelectorAll('.panel-tab').forEach(t => t.classList.remove('active'));
+        document.querySelectorAll('.panel-tab-content').forEach(c => c.classList.remove('active'));
+        tab.classList.add('active');
+        const content = document.querySelector(`[data-tab-content="${tab.dataset.tab}"]`);
+        if (content) content.classList.add('active');
+      });
+    });
+
+    // --- Data grid ---
+    DataGrid.mount('table-data-grid', element.getRows(), (rows) => {
+      updateProperty('properties.data', { rows });
+    });
+
+    // --- Header and bands ---
+    [['table-header-row', 'headerRow'], ['table-banded-rows', 'bandedRows']].forEach(([id, key]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) {
+        checkbox.addEventListener('change', (e) => updateProperty(`properties.${key}`, e.target.checked));
+      }
+    });
+
+    // --- Colors ---
+    [
+      ['table-header-fill', 'headerFill'],
+      ['table-header-text', 'headerTextColor'],
+      ['table-band-fill', 'bandFill'],
+      ['table-border-color', 'borderColor'],
+      ['table-font-color', 'font.color']
+    ].forEach(([id, path]) => {
+      PanelUtils.bindColorPicker(id, (value) => updateProperty(`properties.${path}`, value));
+    });
+
+    // --- Font ---
+    PanelUtils.bindFontFamilyPicker('table-font-family', (value) => {
+      updateProperty('properties.font.family', value);
+    });
+
+    const fontSize = document.getElementById('table-font-size');
+    const fontSizeVal = document.getElementById('table-font-size-val');
+    if (fontSize) {
+      fontSize.addEventListener('input', (e) => {
+        if (fontSizeVal) fontSizeVal.textContent = e.target.value;
+        updateProperty('properties.font.size', parseInt(e.target.value, 10));
+      });
+    }
+  }
+}
+
+export default TablePanel;
@@ -5,3 +5,5 @@
 
 export { TextPanel, ImagePanel, VideoPanel, AudioPanel } from '@wow/core/panels';
 export { CountdownTimerPanel } from './CountdownTimerPanel.js';
+export { ChartPanel } from './ChartPanel.js';
+export { TablePanel } from './TablePanel.js';
@@ -0,0 +1,401 @@
+/**
+ * WOW3 Player
+ * Entry point of player.html — plays a .wow3 presentation without the editor UI.
+ * Exposes a control API on window.__wow3 for the headless renderer
+ * (same contract as the wow3-animation player).
+ */
+
+import { Presentation } from './models/index.js';
+import { HeadlessPlaybackController } from './controllers/index.js';
+import { importZip } from './utils/storage.js';
+import { buildPlaybackTimeline, buildAudioSchedule } from './utils/playback_timeline.js';
+import { CANVAS } from '@wow/core/utils/constants.js';
+import '@wow/core/managers/AudioManager.js';
+
+/** Element types whose `properties.url` points to a media asset */
+const MEDIA_ELEMENT_TYPES = ['image', 'video', 'audio'];
+
+/** Max time to wait for a slide's media to finish loading before capture fails */
+const MEDIA_WAIT_TIMEOUT_MS = 10000;
+
+/** Safety cap on animation steps settled within a single seek */
+const MAX_SETTLE_PASSES = 500;
+
+class WOW3Player {
+  constructor() {
+    /** @type {Presentation|null} */
+    this.presentation = null;
+
+    /** @type {HeadlessPlaybackController|null} */
+    this.playback = null;
+
+    /** @type {{ durationMs: number, entries: Array<Object> }} */
+    this.timeline = { durationMs: 0, entries: [] };
+
+    /** @type {Array<Object>} */
+    this.audioSchedule = [];
+
+    /** Playback position in ms */
+    this.currentTimeMs = 0;
+
+    /**
+     * Frame-stepping state (see seek()), reset when seeking backwards
+     * @type {{ entryIdx: number, clicksFired: number, anchorMs: number, starts: WeakMap<Animation, number> }|null}
+     */
+    this._seekState = null;
+
+    this.ready = false;
+  }
+
+  /**
+   * Initialize the player and expose the automation API
+   */
+  async init() {
+    // PlaybackController only needs `presentation` from the editor
+    this.playback = new HeadlessPlaybackController(this);
+    await this.playback.init();
+
+    this._exposePlayerAPI();
+    this.ready = true;
+  }
+
+  /**
+   * Load a .wow3 file from a URL
+   * @param {string} url - URL of the .wow3 ZIP
+   * @param {Object} [options] - Timeline options (see buildPlaybackTimeline)
+   * @param {boolean} [options.transparent] - Transparent page and slide backgrounds
+   */
+  async loadFile(url, options = {}) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`Failed to fetch ${url}: HTTP ${resp.status}`);
+
+    const blob = await resp.blob();
+    const file = new File([blob], 'input.wow3', { type: 'application/zip' });
+    const jsonData = await importZip(file);
+
+    this.presentation = Presentation.fromJSON(jsonData);
+
+    // Alpha renders: leave slide backgrounds out, only elements are painted
+    document.body.classList.toggle('transparent-background', !!options.transparent);
+    if (options.transparent) {
+      this.presentation.slides.forEach(slide => { slide.background = 'transparent'; });
+    }
+
+    this.timeline = buildPlaybackTimeline(this.presentation, options);
+    this.audioSchedule = buildAudioSchedule(this.presentation, this.timeline);
+    this.currentTimeMs = 0;
+  }
+
+  /**
+   * Pre-fetch every media asset used by slides and shells
+   * @returns {Promise<string[]|null>} Names of the assets that failed, or null
+   */
+  async preloadAssets() {
+    const urls = new Map();
+
+    const collect = (element) => {
+      const url = element.properties?.url;
+      if (url && MEDIA_ELEMENT_TYPES.includes(element.type)) {
+        urls.set(url, element.type);
+      }
+      (element.children || []).forEach(collect);
+    };
+
+    this.presentation.slides.forEach(slide => slide.elements.forEach(collect));
+    this.presentation.shells.forEach(shell => shell.elements.forEach(collect));
+
+    const tasks = [...urls.entries()];
+    const results = await Promise.allSettled(tasks.map(([url, type]) => this._preloadMedia(url, type)));
+    const failed = [];
+
+    results.forEach((result, i) => {
+      const status = result.status === 'fulfilled' ? 'OK' : 'FAIL';
+      console.log(`[preload] ${status}: ${tasks[i][0]}`);
+      if (result.status === 'rejected') failed.push(tasks[i][0]);
+    });
+
+    console.log(`[preload] ${results.length - failed.length} loaded, ${failed.length} failed`);
+    return failed.length > 0 ? failed : null;
+  }
+
+  /**
+   * Play the whole presentation in real time following the timeline.
+   * onClick steps fire at their scheduled offsets.
+   * @returns {Promise<void>} Resolves when the last slide has finished
+   */
+  play() {
+    const entries = this.timeline.entries;
+    this.playback.clock = null;
+    this.playback.begin();
+    this.currentTimeMs = 0;
+
+    return new Promise((resolve) => {
+      const startedAt = performance.now();
+      let entryIdx = -1;
+      let clicksFired = 0;
+
+      const tick = () => {
+        this.currentTimeMs = Math.min(performance.now() - startedAt, this.timeline.durationMs);
+
+        // Advance to the slide scheduled at the current time
+        while (entryIdx + 1 < entries.length && this.currentTimeMs >= entries[entryIdx + 1].startMs) {
+          entryIdx++;
+          clicksFired = 0;
+          this.playback.showSlide(entries[entryIdx].slideIndex);
+        }
+
+        // Fire click steps that are due (a step still animating defers the click)
+        const entry = entries[entryIdx];
+        if (entry && clicksFired < entry.clicksMs.length &&
+            this.currentTimeMs - entry.startMs >= entry.clicksMs[clicksFired] &&
+            this.playback.click()) {
+          clicksFired++;
+        }
+
+        if (this.currentTimeMs >= this.timeline.durationMs) {
+          this.playback.stop();
+          resolve();
+          return;
+        }
+
+        requestAnimationFrame(tick);
+      };
+
+      tick();
+    });
+  }
+
+  /**
+   * Render the presentation at an exact time for frame-by-frame capture.
+   * Animations are paused and positioned from a virtual clock, so the
+   * rendered frame does not depend on how long capturing takes.
+   * Seeking is meant to move forward; seeking backwards restarts playback.
+   * @param {number} timeMs - Time from the start of playback
+   * @returns {Promise<void>}
+   */
+  async seek(timeMs) {
+    const entries = this.timeline.entries;
+
+    if (!this._seekState || timeMs < this.currentTimeMs) {
+      this.playback.clock = () => this.currentTimeMs;
+      this.playback.begin();
+      this._seekState = { entryIdx: -1, clicksFired: 0, anchorMs: 0, starts: new WeakMap() };
+    }
+
+    const state = this._seekState;
+
+    // Replay slide changes and click steps due up to timeMs, in order
+    while (true) {
+      const entry = entries[state.entryIdx];
+      const nextEntry = entries[state.entryIdx + 1];
+      const clickMs = entry && state.clicksFired < entry.clicksMs.length
+        ? entry.startMs + entry.clicksMs[state.clicksFired]
+        : Infinity;
+      const slideMs = nextEntry ? nextEntry.startMs : Infinity;
+      const eventMs = Math.min(clickMs, slideMs);
+      if (eventMs > timeMs) break;
+
+      await this._settleAnimations(eventMs);
+      this.currentTimeMs = eventMs;
+      state.anchorMs = eventMs;
+
+      if (slideMs <= clickMs) {
+        state.entryIdx++;
+        state.clicksFired = 0;
+        this.playback.showSlide(entries[state.entryIdx].slideIndex);
+      } else {
+        this.playback.click();
+        state.clicksFired++;
+      }
+    }
+
+    await this._settleAnimations(timeMs);
+    this.currentTimeMs = timeMs;
+    this.playback.syncCountdown();
+
+    const entry = entries[state.entryIdx];
+    if (entry) await this._syncVideos(timeMs - entry.startMs);
+    await this._waitForMedia(this.playback.presentationView);
+  }
+
+  /**
+   * Show a visible slide in its final state (all animation steps finished)
+   * and wait for its media to load. Used for still image capture.
+   * @param {number} position - Zero-based position among visible slides
+   */
+  async renderSlide(position) {
+    const entry = this.timeline.entries[position];
+    if (!entry) throw new Error(`No slide at position ${position}`);
+
+    this.playback.begin();
+    const shown = this.playback.showSlide(entry.slideIndex);
+    await this.playback.finishSlide();
+    await shown;
+    await this._waitForMedia(this.playback.presentationView);
+  }
+
+  // ==================== PRIVATE ====================
+
+  /**
+   * Preload a media asset into the browser cache
+   * @param {string} url - Media ID (media_xxx) or URL
+   * @param {string} type - Element type (image, video, audio)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _preloadMedia(url, type) {
+    const src = url.startsWith('media_') ? await window.MediaDB.getMediaDataURL(url) : url;
+    if (!src) throw new Error(`Media not found: ${url}`);
+
+    if (type === 'image') {
+      await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = resolve;
+        img.onerror = reject;
+        img.src = src;
+      });
+      return;
+    }
+
+    const resp = await fetch(src);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    await resp.arrayBuffer();
+  }
+
+  /**
+   * Position every animation in the presentation view at a virtual time.
+   * New animations are paused and anchored to the time their step started;
+   * animations that end before timeMs are finished, which lets
+   * AnimationManager start the following steps — repeated until stable.
+   * @param {number} timeMs - Virtual time to settle at
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _settleAnimations(timeMs) {
+    const state = this._seekState;
+
+    for (let pass = 0; pass < MAX_SETTLE_PASSES; pass++) {
+      let finishedAny = false;
+      let lastEndMs = state.anchorMs;
+
+      for (const anim of this.playback.presentationView.getAnimations({ subtree: true })) {
+        if (!state.starts.has(anim)) {
+          anim.pause();
+          state.starts.set(anim, state.anchorMs);
+        }
+
+        const startMs = state.starts.get(anim);
+        const endMs = startMs + anim.effect.getComputedTiming().endTime;
+
+        if (endMs <= timeMs) {
+          anim.finish();
+          finishedAny = true;
+          lastEndMs = Math.max(lastEndMs, endMs);
+        } else {
+          anim.currentTime = timeMs - startMs;
+        }
+      }
+
+      if (!finishedAny) return;
+
+      // Steps started by the finished ones begin where those ended
+      state.anchorMs = lastEndMs;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  /**
+   * Pause autoplaying videos at the current slide time
+   * @param {number} slideTimeMs - Time since the current slide was shown
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncVideos(slideTimeMs) {
+    const videos = [...this.playback.presentationView.querySelectorAll('video')];
+
+    await Promise.all(videos.map((video) => {
+      video.pause();
+      if (!video.autoplay || !(video.duration > 0)) return null;
+
+      const seconds = slideTimeMs / 1000;
+      const target = video.loop ? seconds % video.duration : Math.min(seconds, video.duration);
+      if (Math.abs(video.currentTime - target) < 0.001) return null;
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error(`Video did not seek within ${MEDIA_WAIT_TIMEOUT_MS / 1000}s: ${video.currentSrc}`));
+        }, MEDIA_WAIT_TIMEOUT_MS);
+        video.addEventListener('seeked', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+        video.currentTime = target;
+      });
+    }));
+  }
+
+  /**
+   * Wait until images and videos inside a container are ready to be painted.
+   * Rejects when some are still loading at the deadline, rather than let a
+   * frame be captured without them.
+   * @param {HTMLElement} container - Container to inspect
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitForMedia(container) {
+    const deadline = performance.now() + MEDIA_WAIT_TIMEOUT_MS;
+
+    const pending = () => [
+      ...[...container.querySelectorAll('img')].filter(img => !(img.getAttribute('src') && img.complete)),
+      ...[...container.querySelectorAll('video')].filter(video => !(video.readyState >= 2 || video.error))
+    ];
+
+    while (pending().length > 0) {
+      if (performance.now() >= deadline) {
+        const sources = pending().map(media => media.currentSrc || media.getAttribute('src') || '(no source)');
+        throw new Error(`Media did not load within ${MEDIA_WAIT_TIMEOUT_MS / 1000}s: ${sources.join(', ')}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    // Let the last decoded frames reach the screen
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  }
+
+  /**
+   * Expose a control API on window.__wow3 for external automation (headless renderer)
+   * @private
+   */
+  _exposePlayerAPI() {
+    const self = this;
+
+    window.__wow3 = {
+      /** @returns {boolean} */
+      get ready() { return self.ready; },
+
+      /** @returns {number} Total presentation duration in ms */
+      get duration() { return self.timeline.durationMs; },
+
+      /** @returns {number} Current playback position in ms */
+      get currentTime() { return self.currentTimeMs; },
+
+      /** @returns {{width: number, height: number}} Slide design resolution */
+      get resolution() { return { width: CANVAS.WIDTH, height: CANVAS.HEIGHT }; },
+
+      /** @returns {number} Number of visible slides */
+      get slideCount() { return self.timeline.entries.length; },
+
+      /** @returns {Array<Object>} Autoplay audio schedule (see buildAudioSchedule) */
+      get audioSchedule() { return self.audioSchedule; },
+
+      loadFile: (url, options) => self.loadFile(url, options),
+      preloadAssets: () => self.preloadAssets(),
+      play: () => self.play(),
+      seek: (timeMs) => self.seek(timeMs),
+      renderSlide: (position) => self.renderSlide(position)
+    };
+  }
+}
+
+const player = new WOW3Player();
+document.addEventListener('DOMContentLoaded', () => player.init());
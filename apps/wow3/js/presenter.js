@@ -0,0 +1,285 @@
+/**
+ * WOW3 Presenter Console
+ * Entry point of presenter.html — the window PresenterController opens next
+ * to the show. Mirrors the playback state received over the BroadcastChannel
+ * (current slide, next slide, notes, click steps left) and sends navigation
+ * back to the editor window, so both stay on the same slide.
+ */
+
+import { Presentation } from './models/index.js';
+import { PRESENTER_CHANNEL } from './controllers/PresenterController.js';
+import { renderStaticSlide } from './utils/slide_render.js';
+import { CANVAS } from '@wow/core/utils/constants.js';
+
+class PresenterConsole {
+  constructor() {
+    /** @type {BroadcastChannel|null} */
+    this.channel = null;
+
+    /** @type {Presentation|null} */
+    this.presentation = null;
+
+    /** Last playback state from the editor window */
+    this.state = { slideIndex: 0, pendingClicks: 0, playing: false, ended: false, startedAt: null };
+
+    /** Index of the slide shown in the previews, to skip needless re-renders */
+    this._renderedIndex = null;
+
+    /** Timer: ms accumulated before the last pause, and whether it is paused */
+    this._timer = { offsetMs: 0, pausedAt: null };
+
+    this._els = {};
+  }
+
+  /**
+   * Connect to the editor window and bind the controls
+   */
+  init() {
+    const ids = ['title', 'clicks', 'counter', 'elapsed', 'current-slide', 'next-slide', 'notes'];
+    ids.forEach((id) => {
+      this._els[id] = document.getElementById(`presenter-${id}`);
+    });
+
+    if (typeof BroadcastChannel === 'undefined') {
+      this._els.title.textContent = 'Presenter view is not supported by this browser';
+      return;
+    }
+
+    this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+    this.channel.onmessage = (e) => this._handleMessage(e.data);
+    this.channel.postMessage({ type: 'hello' });
+
+    this._bindControls();
+    setInterval(() => this._renderTimer(), 500);
+
+    // Previews follow the window size
+    new ResizeObserver(() => this._fitPreviews()).observe(document.body);
+  }
+
+  // ==================== MESSAGES ====================
+
+  /**
+   * Handle a message from the editor window
+   * @param {Object} message
+   */
+  _handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'presentation') {
+      this.presentation = Presentation.fromJSON(message.data);
+      this._renderedIndex = null;
+      document.title = `${this.presentation.title} — Presenter View`;
+    } else if (message.type === 'state') {
+      if (message.startedAt !== this.state.startedAt) {
+        this._timer = { offsetMs: 0, pausedAt: null };
+      }
+      this.state = message;
+    } else {
+      return;
+    }
+
+    this._render();
+  }
+
+  /**
+   * Send a navigation command to the editor window
+   * @param {string} type - advance, previous, goto or stop
+   * @param {Object} [payload]
+   */
+  _send(type, payload = {}) {
+    this.channel?.postMessage({ type, ...payload });
+  }
+
+  /**
+   * Buttons and the same keys as the show itself
+   */
+  _bindControls() {
+    document.getElementById('presenter-prev').addEventListener('click', () => this._send('previous'));
+    document.getElementById('presenter-next').addEventListener('click', () => this._send('advance'));
+    document.getElementById('presenter-stop').addEventListener('click', () => this._send('stop'));
+    document.getElementById('presenter-timer-pause').addEventListener('click', () => this._togglePause());
+    document.getElementById('presenter-timer-reset').addEventListener('click', () => {
+      if (this.state.startedAt) {
+        this._timer.offsetMs = this.state.startedAt - (this._timer.pausedAt ?? Date.now());
+      }
+      this._renderTimer();
+    });
+
+    this._els['next-slide'].addEventListener('click', () => {
+      const next = this._nextVisibleIndex();
+      if (next !== -1) this._send('goto', { index: next });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowRight' || e.key === 'ArrowLeft' || e.key === ' ' || e.key === 'PageDown') {
+        e.preventDefault();
+        this._send('advance');
+      } else if (e.key === 'PageUp') {
+        e.preventDefault();
+        this._send('previous');
+      } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        const index = e.key === 'Home' ? this._firstVisibleIndex() : this._lastVisibleIndex();
+        if (index !== -1) this._send('goto', { index });
+      }
+    });
+  }
+
+  // ==================== RENDERING ====================
+
+  /**
+   * Update the whole console from the current presentation and state
+   */
+  _render() {
+    const { presentation, state } = this;
+    if (!presentation) return;
+
+    const slide = presentation.slides[state.slideIndex];
+    const visibleSlides = presentation.slides.filter(s => s.visible);
+    const position = visibleSlides.indexOf(slide) + 1;
+
+    this._els.title.textContent = state.playing
+      ? (state.ended ? 'End of presentation' : slide?.title || '')
+      : 'Show not running — start it from the editor';
+    this._els.counter.textContent = state.playing && !state.ended && position > 0
+      ? `${position} / ${visibleSlides.length}`
+      : '';
+    this._els.clicks.textContent = state.playing && !state.ended && state.pendingClicks > 0
+      ? `${state.pendingClicks} click${state.pendingClicks === 1 ? '' : 's'} before next slide`
+      : '';
+
+    const previewKey = state.ended ? 'end' : state.slideIndex;
+    if (this._renderedIndex !== previewKey) {
+      this._renderedIndex = previewKey;
+      this._renderPreviews(state.ended ? -1 : state.slideIndex);
+    }
+
+    this._renderTimer();
+  }
+
+  /**
+   * Render the current and next slide previews and the notes
+   * @param {number} index - Current slide index, -1 after the last slide
+   */
+  _renderPreviews(index) {
+    const next = index === -1 ? -1 : this._nextVisibleIndex(index);
+
+    this._mountSlide(this._els['current-slide'], index, 'End of presentation');
+    this._mountSlide(this._els['next-slide'], next, index === -1 ? '' : 'End of presentation');
+    this._els['next-slide'].classList.toggle('clickable', next !== -1);
+
+    const notes = index === -1 ? '' : this.presentation.slides[index].notes;
+    this._els.notes.textContent = notes || 'No notes for this slide';
+    this._els.notes.classList.toggle('empty', !notes);
+  }
+
+  /**
+   * Render a slide into a preview box, scaled to fit
+   * @param {HTMLElement} box - Preview box
+   * @param {number} index - Slide index, -1 for a placeholder
+   * @param {string} placeholder - Text shown when there is no slide
+   */
+  _mountSlide(box, index, placeholder) {
+    box.innerHTML = '';
+    if (index === -1) {
+      box.innerHTML = `<div class="presenter-slide-placeholder">${placeholder}</div>`;
+      return;
+    }
+
+    const slide = renderStaticSlide(this.presentation, index);
+    slide.classList.add('presenter-slide-canvas');
+    slide.style.position = 'absolute';
+    // Previews are silent and still: the show plays the media
+    slide.querySelectorAll('video, audio').forEach((media) => {
+      media.autoplay = false;
+      media.muted = true;
+      media.pause();
+    });
+    box.appendChild(slide);
+    this._fitPreviews();
+  }
+
+  /**
+   * Scale the slide canvases to fit their boxes, centered
+   */
+  _fitPreviews() {
+    document.querySelectorAll('.presenter-slide').forEach((box) => {
+      const canvas = box.querySelector('.presenter-slide-canvas');
+      if (!canvas) return;
+      const scale = Math.min(box.clientWidth / CANVAS.WIDTH, box.clientHeight / CANVAS.HEIGHT);
+      canvas.style.left = `${(box.clientWidth - CANVAS.WIDTH * scale) / 2}px`;
+      canvas.style.top = `${(box.clientHeight - CANVAS.HEIGHT * scale) / 2}px`;
+      canvas.style.transform = `scale(${scale})`;
+    });
+  }
+
+  // ==================== TIMER ====================
+
+  /**
+   * Elapsed show time, minus pauses
+   * @returns {number} Milliseconds
+   */
+  _elapsedMs() {
+    if (!this.state.startedAt) return 0;
+    const now = this._timer.pausedAt ?? Date.now();
+    return Math.max(0, now - this.state.startedAt + this._timer.offsetMs);
+  }
+
+  /**
+   * Pause or resume the elapsed timer
+   */
+  _togglePause() {
+    const button = document.getElementById('presenter-timer-pause');
+    if (this._timer.pausedAt) {
+      this._timer.offsetMs -= Date.now() - this._timer.pausedAt;
+      this._timer.pausedAt = null;
+    } else {
+      this._timer.pausedAt = Date.now();
+    }
+    button.querySelector('i').textContent = this._timer.pausedAt ? 'play_arrow' : 'pause';
+    button.title = this._timer.pausedAt ? 'Resume timer' : 'Pause timer';
+    this._renderTimer();
+  }
+
+  /**
+   * Show the elapsed time as hh:mm:ss
+   */
+  _renderTimer() {
+    const total = Math.floor(this._elapsedMs() / 1000);
+    const parts = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+    this._els.elapsed.textContent = parts.map(n => String(n).padStart(2, '0')).join(':');
+    this._els.elapsed.classList.toggle('paused', !!this._timer.pausedAt);
+  }
+
+  // ==================== SLIDE ORDER ====================
+
+  /**
+   * Next visible slide after an index
+   * @param {number} [from] - Defaults to the current slide
+   * @returns {number} Slide index, or -1
+   */
+  _nextVisibleIndex(from = this.state.slideIndex) {
+    const slides = this.presentation?.slides || [];
+    for (let i = from + 1; i < slides.length; i++) {
+      if (slides[i].visible) return i;
+    }
+    return -1;
+  }
+
+  /** @returns {number} First visible slide index, or -1 */
+  _firstVisibleIndex() {
+    return this._nextVisibleIndex(-1);
+  }
+
+  /** @returns {number} Last visible slide index, or -1 */
+  _lastVisibleIndex() {
+    const slides = this.presentation?.slides || [];
+    for (let i = slides.length - 1; i >= 0; i--) {
+      if (slides[i].visible) return i;
+    }
+    return -1;
+  }
+}
+
+const presenterConsole = new PresenterConsole();
+document.addEventListener('DOMContentLoaded', () => presenterConsole.init());
@@ -0,0 +1,129 @@
+/**
+ * WOW3 AnimationLibraryDB: IndexedDB manager for the user's custom animation library
+ * Custom animations saved here can be added to any presentation; the
+ * presentation then keeps its own copy, so its files play them anywhere.
+ *
+ * Record shape:
+ *   { id, name, category, duration, easing, keyframes, savedAt }
+ */
+
+const ANIMATION_LIBRARY_DB_NAME = 'wow3_animation_library';
+const ANIMATION_LIBRARY_DB_VERSION = 1;
+const STORE_ANIMATIONS = 'animations';
+
+let animationLibraryDbPromise = null;
+
+const AnimationLibraryDB = {
+  /**
+   * Initialize the animation library IndexedDB (lazy singleton)
+   * @returns {Promise<IDBDatabase>}
+   */
+  init: function() {
+    if (animationLibraryDbPromise) return animationLibraryDbPromise;
+
+    animationLibraryDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ANIMATION_LIBRARY_DB_NAME, ANIMATION_LIBRARY_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(STORE_ANIMATIONS)) {
+          const store = db.createObjectStore(STORE_ANIMATIONS, { keyPath: 'id' });
+          store.createIndex('name', 'name', { unique: false });
+        }
+
+        console.log('IndexedDB initialized:', ANIMATION_LIBRARY_DB_NAME);
+      };
+
+      request.onsuccess = (event) => {
+        console.log('AnimationLibraryDB connection successful');
+        resolve(event.target.result);
+      };
+
+      request.onerror = (event) => {
+        console.error('AnimationLibraryDB error:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+
+    return animationLibraryDbPromise;
+  },
+
+  /**
+   * Save (insert or replace) a custom animation in the library
+   * @param {Object} animation - Custom animation, `id` is required
+   * @returns {Promise<void>}
+   */
+  async save(animation) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_ANIMATIONS], 'readwrite');
+      const store = tx.objectStore(STORE_ANIMATIONS);
+      const request = store.put({ ...animation, savedAt: Date.now() });
+
+      request.onsuccess = () => {
+        console.log('Custom animation saved to library:', animation.id);
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('Failed to save custom animation:', request.error);
+        reject(request.error);
+      };
+    });
+  },
+
+  /**
+   * Get all custom animations of the library, by name
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_ANIMATIONS], 'readonly');
+      const store = tx.objectStore(STORE_ANIMATIONS);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const animations = request.result || [];
+        animations.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+        resolve(animations);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get custom animations:', request.error);
+        reject(request.error);
+      };
+    });
+  },
+
+  /**
+   * Delete a custom animation from the library
+   * @param {string} id - Custom animation ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_ANIMATIONS], 'readwrite');
+      const store = tx.objectStore(STORE_ANIMATIONS);
+      const request = store.delete(id);
+
+      request.onsuccess = () => {
+        console.log('Custom animation deleted from library:', id);
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error('Failed to delete custom animation:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+};
+
+// Make available globally
+window.AnimationLibraryDB = AnimationLibraryDB;
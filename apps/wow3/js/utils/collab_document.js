@@ -0,0 +1,585 @@
+/**
+ * WOW3 Collaborative Document
+ * Operation-based CRDT over a presentation, used by CollaborationController.
+ *
+ * The presentation JSON is flattened into nodes: the presentation itself,
+ * slides, shells, layouts, elements (children included) and animation steps. Every
+ * node is a set of last-writer-wins registers, each stamped with a Lamport
+ * clock and the writing site:
+ *   - `@alive`  whether the node exists (add / remove)
+ *   - `@place`  parent node, list and fractional position key (add / move)
+ *   - one register per leaf property path, e.g. `properties.font.size`
+ *
+ * Edits are exchanged as operations:
+ *   { type: 'add',    id, kind, parent, list, pos, fields, stamp }
+ *   { type: 'remove', id, stamp }
+ *   { type: 'move',   id, parent, list, pos, stamp }   (also reorders slides,
+ *                                                       elements and animation steps)
+ *   { type: 'set',    id, path, value, stamp }
+ *   { type: 'unset',  id, path, stamp }
+ *
+ * Applying the same operations in any order, any number of times, gives the
+ * same document on every site, so no server-side ordering is needed.
+ */
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Child lists of each node kind, and the kind of their items */
+const LISTS = {
+  presentation: { slides: 'slide', shells: 'shell', layouts: 'layout' },
+  slide: { elements: 'element', animationSequence: 'step' },
+  shell: { elements: 'element', animationSequence: 'step' },
+  layout: { elements: 'element', animationSequence: 'step' },
+  element: { children: 'element' },
+  step: {}
+};
+
+/** Fields that belong to one editor (view state, local thumbnails) and are never synced */
+const LOCAL_FIELDS = {
+  presentation: ['currentSlideIndex'],
+  slide: ['thumbnailId'],
+  shell: ['thumbnailId'],
+  layout: ['thumbnailId']
+};
+
+/** Digits of the fractional position keys, in sort order */
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/** Stamp of the registers loaded from a saved presentation: any edit wins */
+const ORIGIN_STAMP = [0, ''];
+
+// ─── Helpers ─────────────────────────────────────────────
+
+/**
+ * Order two stamps
+ * @param {Array} a - [clock, site]
+ * @param {Array} b - [clock, site]
+ * @returns {number} Negative, zero or positive
+ */
+const compareStamps = (a, b) => (a[0] - b[0]) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+/**
+ * Whether a write beats the current register value.
+ * Equal stamps (two sites loading the same file) fall back to the value, so
+ * every site picks the same winner.
+ * @param {Object|undefined} current - { value, stamp }
+ * @param {*} value
+ * @param {Array} stamp
+ * @returns {boolean}
+ */
+const wins = (current, value, stamp) => {
+  if (!current) return true;
+  const order = compareStamps(stamp, current.stamp);
+  if (order !== 0) return order > 0;
+  return JSON.stringify(value) > JSON.stringify(current.value);
+};
+
+/**
+ * A position key strictly between two keys (null: unbounded).
+ * Keys never end with '0', so there is always room in between.
+ * @param {string|null} a - Lower bound
+ * @param {string|null} b - Upper bound
+ * @returns {string}
+ */
+export const keyBetween = (a, b) => {
+  a = a || '';
+  if (b !== null && b !== undefined) {
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + keyBetween(a.slice(n), b.slice(n));
+  }
+
+  const da = a ? DIGITS.indexOf(a[0]) : 0;
+  const db = b ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (db - da > 1) return DIGITS[Math.round((da + db) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[da] + keyBetween(a.slice(1), null);
+};
+
+/**
+ * Whether a value is a non-empty plain object (flattened into sub-paths)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isBranch = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0
+);
+
+/**
+ * Leaf property paths of a node's JSON, without its id, child lists and local fields
+ * @param {Object} data - Node JSON
+ * @param {string} kind - Node kind
+ * @returns {Map<string, *>}
+ */
+const flattenFields = (data, kind) => {
+  const skip = new Set(['id', ...Object.keys(LISTS[kind]), ...(LOCAL_FIELDS[kind] || [])]);
+  const fields = new Map();
+
+  const walk = (obj, prefix) => {
+    for (const [key, value] of Object.entries(obj)) {
+      if (!prefix && skip.has(key)) continue;
+      if (value === undefined) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isBranch(value)) {
+        walk(value, path);
+      } else {
+        fields.set(path, value);
+      }
+    }
+  };
+
+  walk(data, '');
+  return fields;
+};
+
+/**
+ * Set a dot path in an object, replacing non-object intermediates
+ * @param {Object} obj
+ * @param {string} path
+ * @param {*} value
+ */
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let current = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (current[key] === null || typeof current[key] !== 'object' || Array.isArray(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = clone(value);
+};
+
+/**
+ * Remove a dot path from an object
+ * @param {Object} obj
+ * @param {string} path
+ */
+const deletePath = (obj, path) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((o, key) => (o && typeof o === 'object' ? o[key] : undefined), obj);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+/**
+ * Deep copy of a JSON value
+ * @param {*} value
+ * @returns {*}
+ */
+const clone = (value) => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+/**
+ * Index of a presentation JSON by node id
+ * @param {Object} data - Presentation JSON
+ * @returns {Map<string, { kind, parent, list, data }>}
+ */
+const indexTree = (data) => {
+  const nodes = new Map();
+
+  const walk = (node, kind, parent, list) => {
+    nodes.set(node.id, { kind, parent, list, data: node });
+    for (const [childList, childKind] of Object.entries(LISTS[kind])) {
+      (node[childList] || []).forEach(child => walk(child, childKind, node.id, childList));
+    }
+  };
+
+  walk(data, 'presentation', null, null);
+  return nodes;
+};
+
+/**
+ * Longest run of items whose keys already increase, in list order (LIS)
+ * @param {Array<string|null>} keys - Current key of each item, null for new items
+ * @returns {Set<number>} Indexes of the items that keep their key
+ */
+const keptIndexes = (keys) => {
+  const tails = [];
+  const previous = new Array(keys.length).fill(-1);
+
+  keys.forEach((key, i) => {
+    if (key === null) return;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (keys[tails[mid]] < key) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0) previous[i] = tails[lo - 1];
+    tails[lo] = i;
+  });
+
+  const kept = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) kept.add(i);
+  return kept;
+};
+
+// ─── CollabDocument Class ────────────────────────────────
+
+export class CollabDocument {
+  /**
+   * Create a collaborative document.
+   * @param {string} site - Unique id of this editor in the session
+   */
+  constructor(site) {
+    this.site = site;
+
+    /** Lamport clock */
+    this.clock = 0;
+
+    /** @type {string|null} Presentation id (root node) */
+    this.rootId = null;
+
+    /**
+     * @type {Map<string, { kind: string, alive?: Object, place?: Object, fields: Map<string, Object> }>}
+     * Registers of every node; a register is { value, stamp } (value undefined: unset)
+     */
+    this.nodes = new Map();
+
+    /** @type {Map<string, Object>} Local-only fields by node id */
+    this.local = new Map();
+  }
+
+  // ─── Loading ─────────────────────────────────────────────
+
+  /**
+   * Load a presentation as the common starting point of a session
+   * @param {Object} data - Presentation JSON
+   */
+  load(data) {
+    this.rootId = data.id;
+    this.nodes.clear();
+    this.local.clear();
+    this._rememberLocal(data);
+
+    for (const op of this._diffTrees(null, data)) {
+      this.apply({ ...op, stamp: ORIGIN_STAMP });
+    }
+  }
+
+  /**
+   * Every register, to bring another site up to date
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    const registers = [];
+    for (const [id, node] of this.nodes) {
+      if (node.alive) registers.push([id, node.kind, '@alive', node.alive.value, node.alive.stamp]);
+      if (node.place) registers.push([id, node.kind, '@place', node.place.value, node.place.stamp]);
+      for (const [path, reg] of node.fields) {
+        registers.push([id, node.kind, path, reg.value === undefined ? null : reg.value, reg.stamp, reg.value === undefined]);
+      }
+    }
+    return { rootId: this.rootId, clock: this.clock, registers };
+  }
+
+  /**
+   * Merge the state of another site
+   * @param {Object} state - From getState()
+   * @returns {boolean} Whether anything changed
+   */
+  mergeState(state) {
+    if (!this.rootId) this.rootId = state.rootId;
+    this.clock = Math.max(this.clock, state.clock);
+
+    let changed = false;
+    for (const [id, kind, name, value, stamp, unset] of state.registers) {
+      changed = this._write(id, kind, name, unset ? undefined : value, stamp) || changed;
+    }
+    return changed;
+  }
+
+  // ─── Operations ──────────────────────────────────────────
+
+  /**
+   * Turn a local edit into stamped operations and apply them.
+   * @param {Object} before - Presentation JSON the edit started from
+   * @param {Object} after - Presentation JSON after the edit
+   * @returns {Array<Object>} Operations to send to the other sites
+   */
+  commit(before, after) {
+    this._rememberLocal(after);
+
+    const ops = this._diffTrees(before, after);
+    if (ops.length === 0) return [];
+
+    const stamp = [++this.clock, this.site];
+    return ops.map((op) => {
+      const stamped = { ...op, stamp };
+      this.apply(stamped);
+      return stamped;
+    });
+  }
+
+  /**
+   * Apply an operation (local or remote)
+   * @param {Object} op
+   * @returns {Object|null} The part of the operation that took effect, or null
+   */
+  apply(op) {
+    this.clock = Math.max(this.clock, op.stamp[0]);
+
+    switch (op.type) {
+      case 'add': {
+        const place = { parent: op.parent, list: op.list, pos: op.pos };
+        const alive = this._write(op.id, op.kind, '@alive', true, op.stamp);
+        const placed = this._write(op.id, op.kind, '@place', place, op.stamp);
+        const fields = {};
+        for (const [path, value] of Object.entries(op.fields)) {
+          if (this._write(op.id, op.kind, path, value, op.stamp)) fields[path] = value;
+        }
+        if (!alive && !placed && Object.keys(fields).length === 0) return null;
+        return { ...op, fields };
+      }
+      case 'remove':
+        return this._write(op.id, null, '@alive', false, op.stamp) ? op : null;
+      case 'move':
+        return this._write(op.id, null, '@place', { parent: op.parent, list: op.list, pos: op.pos }, op.stamp) ? op : null;
+      case 'set':
+        return this._write(op.id, null, op.path, op.value, op.stamp) ? op : null;
+      case 'unset':
+        return this._write(op.id, null, op.path, undefined, op.stamp) ? op : null;
+      default:
+        return null;
+    }
+  }
+
+  // ─── Reading ─────────────────────────────────────────────
+
+  /**
+   * Build the presentation JSON from the registers
+   * @returns {Object} Presentation JSON (Presentation.fromJSON input)
+   */
+  toJSON() {
+    const children = new Map();
+    for (const [id, node] of this.nodes) {
+      if (!node.alive?.value || !node.place?.value) continue;
+      const { parent, list, pos } = node.place.value;
+      const key = `${parent}\n${list}`;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push({ id, pos });
+    }
+    for (const items of children.values()) {
+      items.sort((a, b) => (a.pos < b.pos ? -1 : a.pos > b.pos ? 1 : a.id < b.id ? -1 : 1));
+    }
+
+    const build = (id) => {
+      const node = this.nodes.get(id);
+      const data = { id };
+
+      // Older writes first, so a newer write to a parent path replaces the subtree
+      const registers = [...node.fields.entries()]
+        .filter(([, reg]) => reg.value !== undefined)
+        .sort((a, b) => compareStamps(a[1].stamp, b[1].stamp) || (a[0] < b[0] ? -1 : 1));
+      for (const [path, reg] of registers) setPath(data, path, reg.value);
+
+      Object.assign(data, this.local.get(id));
+      for (const list of Object.keys(LISTS[node.kind])) {
+        data[list] = (children.get(`${id}\n${list}`) || []).map(item => build(item.id));
+      }
+      return data;
+    };
+
+    return build(this.rootId);
+  }
+
+  /**
+   * Id of the slide, shell or layout a node belongs to
+   * @param {string} id - Node id
+   * @returns {string|null}
+   */
+  slideOf(id) {
+    for (let node = this.nodes.get(id), nodeId = id; node; nodeId = node.place?.value?.parent, node = this.nodes.get(nodeId)) {
+      if (node.kind === 'slide' || node.kind === 'shell' || node.kind === 'layout') return nodeId;
+    }
+    return null;
+  }
+
+  /**
+   * Replay operations on an older presentation JSON (an undo history entry),
+   * so undoing a local edit does not also revert what others did meanwhile.
+   * Items are placed after the sibling that precedes them in this document.
+   * @param {Object} data - Presentation JSON, modified in place
+   * @param {Array<Object>} ops - Operations that took effect (from apply())
+   * @returns {Object} data
+   */
+  rebase(data, ops) {
+    const current = indexTree(this.toJSON());
+    let tree = indexTree(data);
+
+    const detach = (id) => {
+      const entry = tree.get(id);
+      if (!entry || !entry.parent) return null;
+      const list = tree.get(entry.parent).data[entry.list];
+      list.splice(list.indexOf(entry.data), 1);
+      return entry.data;
+    };
+
+    const attach = (id, nodeData, parent, list) => {
+      const parentEntry = tree.get(parent);
+      if (!parentEntry) return;
+      const target = parentEntry.data[list] || (parentEntry.data[list] = []);
+      const siblings = (current.get(parent)?.data[list] || []).map(item => item.id);
+      let index = 0;
+      for (let i = siblings.indexOf(id) - 1; i >= 0; i--) {
+        const at = target.findIndex(item => item.id === siblings[i]);
+        if (at !== -1) { index = at + 1; break; }
+      }
+      target.splice(index, 0, nodeData);
+    };
+
+    for (const op of ops) {
+      if (op.type === 'add') {
+        detach(op.id);
+        const nodeData = { id: op.id };
+        for (const [path, value] of Object.entries(op.fields)) setPath(nodeData, path, value);
+        Object.keys(LISTS[op.kind]).forEach((list) => { nodeData[list] = nodeData[list] || []; });
+        attach(op.id, nodeData, op.parent, op.list);
+      } else if (op.type === 'remove') {
+        detach(op.id);
+      } else if (op.type === 'move') {
+        const nodeData = detach(op.id);
+        if (nodeData) attach(op.id, nodeData, op.parent, op.list);
+      } else {
+        const entry = tree.get(op.id);
+        if (!entry) continue;
+        if (op.type === 'set') setPath(entry.data, op.path, op.value);
+        else deletePath(entry.data, op.path);
+        continue;
+      }
+      tree = indexTree(data);
+    }
+
+    return data;
+  }
+
+  // ─── Private Methods ────────────────────────────────────
+
+  /**
+   * Write a register if the stamp wins
+   * @param {string} id - Node id
+   * @param {string|null} kind - Node kind (null: keep the known one)
+   * @param {string} name - '@alive', '@place' or a property path
+   * @param {*} value - undefined unsets a property
+   * @param {Array} stamp
+   * @returns {boolean} Whether the register changed
+   */
+  _write(id, kind, name, value, stamp) {
+    let node = this.nodes.get(id);
+    if (!node) {
+      node = { kind: kind || 'element', fields: new Map() };
+      this.nodes.set(id, node);
+    } else if (kind) {
+      node.kind = kind;
+    }
+
+    if (name === '@alive' || name === '@place') {
+      const key = name === '@alive' ? 'alive' : 'place';
+      if (!wins(node[key], value, stamp)) return false;
+      node[key] = { value, stamp };
+      return true;
+    }
+
+    if (!wins(node.fields.get(name), value === undefined ? null : value, stamp)) return false;
+    node.fields.set(name, { value: clone(value), stamp });
+    return true;
+  }
+
+  /**
+   * Keep the local-only fields of the edited presentation
+   * @param {Object} data - Presentation JSON
+   */
+  _rememberLocal(data) {
+    for (const [id, { kind, data: nodeData }] of indexTree(data)) {
+      const names = LOCAL_FIELDS[kind];
+      if (!names) continue;
+      const values = {};
+      names.forEach((name) => {
+        if (nodeData[name] !== undefined) values[name] = nodeData[name];
+      });
+      this.local.set(id, values);
+    }
+  }
+
+  /**
+   * Position key of a node, if it sits in the given list
+   * @param {string} id
+   * @param {string} parent
+   * @param {string} list
+   * @returns {string|null}
+   */
+  _posIn(id, parent, list) {
+    const place = this.nodes.get(id)?.place?.value;
+    return place && place.parent === parent && place.list === list ? place.pos : null;
+  }
+
+  /**
+   * Operations (without stamps) turning one presentation JSON into another
+   * @param {Object|null} before - null when loading
+   * @param {Object} after
+   * @returns {Array<Object>}
+   */
+  _diffTrees(before, after) {
+    const oldTree = before ? indexTree(before) : new Map();
+    const newTree = indexTree(after);
+    const ops = [];
+
+    // New positions for the lists whose order changed
+    const positions = new Map();
+    for (const [id, { kind, data }] of newTree) {
+      const oldData = oldTree.get(id)?.data;
+      for (const list of Object.keys(LISTS[kind])) {
+        const ids = (data[list] || []).map(item => item.id);
+        const oldIds = (oldData?.[list] || []).map(item => item.id);
+        if (oldData && ids.join('\n') === oldIds.join('\n')) continue;
+
+        const keys = ids.map(childId => (oldTree.has(childId) ? this._posIn(childId, id, list) : null));
+        const kept = keptIndexes(keys);
+        let previous = null;
+        ids.forEach((childId, i) => {
+          if (kept.has(i)) {
+            previous = keys[i];
+            return;
+          }
+          let next = null;
+          for (let j = i + 1; j < ids.length; j++) {
+            if (kept.has(j)) { next = keys[j]; break; }
+          }
+          previous = keyBetween(previous, next);
+          positions.set(childId, previous);
+        });
+      }
+    }
+
+    for (const id of oldTree.keys()) {
+      if (!newTree.has(id)) ops.push({ type: 'remove', id });
+    }
+
+    for (const [id, { kind, parent, list, data }] of newTree) {
+      const fields = flattenFields(data, kind);
+      const old = oldTree.get(id);
+
+      if (!old) {
+        ops.push({ type: 'add', id, kind, parent, list, pos: positions.get(id) ?? null, fields: Object.fromEntries(fields) });
+        continue;
+      }
+
+      if (positions.has(id)) {
+        ops.push({ type: 'move', id, parent, list, pos: positions.get(id) });
+      }
+
+      const oldFields = flattenFields(old.data, kind);
+      for (const [path, value] of fields) {
+        if (!oldFields.has(path) || JSON.stringify(oldFields.get(path)) !== JSON.stringify(value)) {
+          ops.push({ type: 'set', id, path, value });
+        }
+      }
+      for (const path of oldFields.keys()) {
+        if (!fields.has(path)) ops.push({ type: 'unset', id, path });
+      }
+    }
+
+    return ops;
+  }
+}
+
+export default CollabDocument;
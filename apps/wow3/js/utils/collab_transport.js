@@ -0,0 +1,125 @@
+/**
+ * WOW3 Collaboration Transports
+ * Carry collaboration messages (JSON objects) between the editors of a room.
+ * CollaborationController only relies on this interface, so another
+ * transport (WebRTC, a hosted service…) can be dropped in.
+ *
+ * @typedef {Object} CollabTransport
+ * @property {(handlers: { onMessage: Function, onStatus: Function }) => void} connect
+ *   Start delivering messages; onStatus receives 'connecting', 'open' or 'closed'
+ * @property {(message: Object) => void} send - Send to every other editor of the room
+ * @property {() => void} close - Disconnect for good
+ */
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Path of the relay served by the Vite dev server (see vite.config.js) */
+export const DEV_RELAY_PATH = '/__collab__';
+
+/** Reconnect delays after the relay drops, in ms */
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+// ─── WebSocket (relay server) ────────────────────────────
+
+/**
+ * Transport through a WebSocket relay (scripts/collab-relay.mjs).
+ * Reconnects by itself until closed.
+ * @param {string} url - Relay URL, e.g. ws://localhost:8790/
+ * @param {string} room - Room name (presentation id)
+ * @returns {CollabTransport}
+ */
+export const createWebSocketTransport = (url, room) => {
+  let socket = null;
+  let closed = false;
+  let attempt = 0;
+  let timer = null;
+  let handlers = null;
+
+  const open = () => {
+    const target = new URL(url, window.location.href);
+    target.protocol = target.protocol.replace(/^http/, 'ws');
+    target.searchParams.set('room', room);
+
+    handlers.onStatus('connecting');
+    socket = new WebSocket(target.href);
+
+    socket.onopen = () => {
+      attempt = 0;
+      handlers.onStatus('open');
+    };
+
+    socket.onmessage = (e) => {
+      try {
+        handlers.onMessage(JSON.parse(e.data));
+      } catch (error) {
+        console.warn('Ignoring malformed collaboration message:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      handlers.onStatus('closed');
+      if (closed) return;
+      const delay = RECONNECT_DELAYS[Math.min(attempt++, RECONNECT_DELAYS.length - 1)];
+      timer = setTimeout(open, delay);
+    };
+  };
+
+  return {
+    connect(nextHandlers) {
+      handlers = nextHandlers;
+      open();
+    },
+
+    send(message) {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      socket?.close();
+    }
+  };
+};
+
+// ─── BroadcastChannel (same browser) ─────────────────────
+
+/**
+ * Transport between tabs of the same browser, no server needed.
+ * Handy for trying collaboration out locally.
+ * @param {string} room - Room name (presentation id)
+ * @returns {CollabTransport}
+ */
+export const createBroadcastTransport = (room) => {
+  let channel = null;
+
+  return {
+    connect({ onMessage, onStatus }) {
+      channel = new BroadcastChannel(`wow3-collab-${room}`);
+      channel.onmessage = (e) => onMessage(e.data);
+      onStatus('open');
+    },
+
+    send(message) {
+      channel?.postMessage(message);
+    },
+
+    close() {
+      channel?.close();
+      channel = null;
+    }
+  };
+};
+
+/**
+ * Pick the transport for a relay setting
+ * @param {string} relayUrl - WebSocket URL, or empty for this browser only
+ * @param {string} room - Room name (presentation id)
+ * @returns {CollabTransport}
+ */
+export const createTransport = (relayUrl, room) => (
+  relayUrl ? createWebSocketTransport(relayUrl, room) : createBroadcastTransport(room)
+);
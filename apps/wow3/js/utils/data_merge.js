@@ -0,0 +1,259 @@
+/**
+ * WOW3 Data Merge
+ * Mail-merge of a dataset into slides. A merge template is a slide whose
+ * texts and URLs contain `{{field}}` tokens; each row of a CSV or JSON
+ * dataset fills them in, giving one slide per row, or a whole presentation
+ * per row for batch export.
+ *
+ * Tokens are filled in the slide title and speaker notes, text and link
+ * texts and their formatting runs, list items, table cells, and media and link URLs. A token whose field the row
+ * does not have is left as is, so it shows in the result.
+ * Everything here works on plain JSON.
+ */
+
+import { generateId } from '@wow/core/utils/dom.js';
+import { mapRunsText } from '@wow/core/utils/rich_text.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** `{{field}}` token; the field name may contain spaces and dots */
+const TOKEN_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/** CSV delimiters recognized in the header line, in order of preference */
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// ─── Helpers ─────────────────────────────────────────────
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a function to the mergeable strings of an element and its children
+ * @param {Object} element - Element JSON (mutated in place)
+ * @param {function(string): string} fn
+ */
+const mapElementStrings = (element, fn) => {
+  const props = element.properties;
+  if (props) {
+    if (typeof props.text === 'string') props.text = fn(props.text);
+    if (Array.isArray(props.runs)) props.runs = mapRunsText(props.runs, fn);
+    if (typeof props.url === 'string') props.url = fn(props.url);
+    if (Array.isArray(props.items)) props.items = props.items.map(item => (typeof item === 'string' ? fn(item) : item));
+    if (Array.isArray(props.data?.rows)) props.data.rows = props.data.rows.map(row => row.map(cell => (typeof cell === 'string' ? fn(cell) : cell)));
+    if (typeof props.backgroundImage?.url === 'string') props.backgroundImage.url = fn(props.backgroundImage.url);
+  }
+  (element.children || []).forEach(child => mapElementStrings(child, fn));
+};
+
+/**
+ * Apply a function to the mergeable strings of a slide
+ * @param {Object} slide - Slide JSON (mutated in place)
+ * @param {function(string): string} fn
+ */
+const mapSlideStrings = (slide, fn) => {
+  if (typeof slide.title === 'string') slide.title = fn(slide.title);
+  if (typeof slide.notes === 'string') slide.notes = fn(slide.notes);
+  (slide.elements || []).forEach(element => mapElementStrings(element, fn));
+};
+
+/**
+ * Flatten a JSON record into field → string, nested objects as dotted fields
+ * @param {Object} record
+ * @param {string} [prefix='']
+ * @param {Object} [row={}]
+ * @returns {Object<string, string>}
+ */
+const flattenRecord = (record, prefix = '', row = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenRecord(value, field, row);
+    } else if (Array.isArray(value)) {
+      row[field] = value.join(', ');
+    } else {
+      row[field] = value === null || value === undefined ? '' : String(value);
+    }
+  });
+  return row;
+};
+
+/**
+ * Delimiter of a CSV text, guessed from its first line
+ * @param {string} text
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = CSV_DELIMITERS[0];
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// ─── Datasets ────────────────────────────────────────────
+
+/**
+ * Split a CSV text into records (RFC 4180: quoted fields, doubled quotes,
+ * line breaks inside quotes). The delimiter is `,`, `;` or tab, whichever
+ * the header line uses.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not records
+  return records.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read a dataset: a CSV file with a header line, or JSON holding an array of
+ * objects (at the top level or in the first array property of an object)
+ * @param {string} text - File content
+ * @param {string} [fileName=''] - Used to tell CSV from JSON; content is sniffed otherwise
+ * @returns {{fields: string[], rows: Object<string, string>[]}}
+ * @throws {Error} If the content is not a usable dataset
+ */
+export const parseDataset = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error('The dataset is empty');
+
+  const isJson = /\.json$/i.test(fileName) || (!/\.(csv|tsv|txt)$/i.test(fileName) && /^[[{]/.test(trimmed));
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The dataset is not valid JSON');
+    }
+    const records = Array.isArray(data) ? data : Object.values(isPlainObject(data) ? data : {}).find(Array.isArray);
+    if (!records) throw new Error('The JSON dataset must be an array of objects');
+
+    const rows = records.filter(isPlainObject).map(record => flattenRecord(record));
+    if (rows.length === 0) throw new Error('The dataset has no rows');
+    const fields = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { fields, rows };
+  }
+
+  const [header, ...records] = parseCsv(trimmed);
+  const fields = header.map((name, i) => name.trim() || `column${i + 1}`);
+  if (records.length === 0) throw new Error('The dataset has no rows');
+
+  const rows = records.map((record) => {
+    const row = {};
+    fields.forEach((field, i) => { row[field] = record[i] ?? ''; });
+    return row;
+  });
+  return { fields, rows };
+};
+
+// ─── Tokens ──────────────────────────────────────────────
+
+/**
+ * Replace the `{{field}}` tokens of a text with the values of a row
+ * @param {string} text
+ * @param {Object<string, string>} row
+ * @returns {string}
+ */
+export const fillMergeFields = (text, row) => text.replace(TOKEN_PATTERN, (token, field) => (
+  Object.prototype.hasOwnProperty.call(row, field) ? row[field] : token
+));
+
+/**
+ * Fields referenced by the tokens of slides
+ * @param {Object|Object[]} slides - Slide JSON, or an array of them
+ * @returns {string[]} Field names in order of first use
+ */
+export const findMergeFields = (slides) => {
+  const fields = new Set();
+  const copy = JSON.parse(JSON.stringify([].concat(slides)));
+  copy.forEach(slide => mapSlideStrings(slide, (text) => {
+    for (const [, field] of text.matchAll(TOKEN_PATTERN)) fields.add(field);
+    return text;
+  }));
+  return [...fields];
+};
+
+/**
+ * A slide filled with a row. Ids are kept: callers give the copy new ones.
+ * @param {Object} slide - Slide JSON
+ * @param {Object<string, string>} row
+ * @returns {Object} New slide JSON
+ */
+export const mergeSlideData = (slide, row) => {
+  const merged = JSON.parse(JSON.stringify(slide));
+  mapSlideStrings(merged, text => fillMergeFields(text, row));
+  return merged;
+};
+
+/**
+ * A presentation filled with a row, for batch export: every slide, shell and
+ * layout is filled, and merge templates become regular visible slides.
+ * The copy is a presentation of its own, with a new id; its title gets the
+ * row's first value when it has no token of its own.
+ * @param {Object} presentation - Presentation JSON
+ * @param {Object<string, string>} row
+ * @param {string[]} fields - Dataset fields, in order
+ * @returns {Object} New presentation JSON
+ */
+export const mergePresentationData = (presentation, row, fields) => {
+  const merged = JSON.parse(JSON.stringify(presentation));
+  const fill = text => fillMergeFields(text, row);
+  merged.id = generateId('presentation');
+
+  [merged.slides, merged.shells, merged.layouts].forEach((slides) => {
+    (slides || []).forEach(slide => mapSlideStrings(slide, fill));
+  });
+  (merged.slides || []).forEach((slide) => {
+    if (!slide.mergeTemplate) return;
+    slide.mergeTemplate = false;
+    slide.visible = true;
+  });
+
+  const title = merged.title || 'Untitled Presentation';
+  const label = fields.map(field => row[field]).find(value => value && value.trim());
+  merged.title = fill(title) !== title || !label ? fill(title) : `${title} - ${label.trim()}`;
+  return merged;
+};
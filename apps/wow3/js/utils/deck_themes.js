@@ -0,0 +1,316 @@
+/**
+ * WOW3 Deck Themes
+ * A theme gives a presentation named color slots (background, text, four
+ * accents) and font slots (heading, body). Elements and slides can reference
+ * a slot instead of a literal value through a `themeRefs` object shaped like
+ * the values it covers:
+ *
+ *   element.properties.themeRefs = { font: { color: 'accent1', family: 'heading' } }
+ *   slide.themeRefs = { background: 'background' }
+ *
+ * The literal values are kept as well, resolved from the theme, so every
+ * renderer and exporter keeps reading plain colors and fonts. Switching the
+ * theme re-resolves them. A null reference means "literal value", which lets
+ * a slide override a reference it inherits from its layout.
+ * Everything here works on models and plain JSON alike.
+ */
+
+import { generateId } from '@wow/core/utils/dom.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Color slots of a theme */
+export const THEME_COLOR_SLOTS = [
+  { key: 'background', label: 'Background' },
+  { key: 'text', label: 'Text' },
+  { key: 'accent1', label: 'Accent 1' },
+  { key: 'accent2', label: 'Accent 2' },
+  { key: 'accent3', label: 'Accent 3' },
+  { key: 'accent4', label: 'Accent 4' }
+];
+
+/** Font slots of a theme */
+export const THEME_FONT_SLOTS = [
+  { key: 'heading', label: 'Heading' },
+  { key: 'body', label: 'Body' }
+];
+
+/** Built-in themes; the first one is the default of every presentation */
+export const BUILTIN_THEMES = [
+  {
+    id: 'theme_default',
+    name: 'Default',
+    colors: { background: '#ffffff', text: '#000000', accent1: '#1565C0', accent2: '#90CAF9', accent3: '#2196F3', accent4: '#FF9800' },
+    fonts: { heading: 'Roboto', body: 'Roboto' }
+  },
+  {
+    id: 'theme_midnight',
+    name: 'Midnight',
+    colors: { background: '#121826', text: '#E8EAF0', accent1: '#7C9CFF', accent2: '#3B4A6B', accent3: '#4DD0E1', accent4: '#FFB74D' },
+    fonts: { heading: 'Montserrat', body: '"Open Sans"' }
+  },
+  {
+    id: 'theme_forest',
+    name: 'Forest',
+    colors: { background: '#F4F1E8', text: '#2E3B2F', accent1: '#2E7D32', accent2: '#A5D6A7', accent3: '#8D6E63', accent4: '#F9A825' },
+    fonts: { heading: 'Georgia', body: 'Lato' }
+  },
+  {
+    id: 'theme_sunset',
+    name: 'Sunset',
+    colors: { background: '#FFF8F0', text: '#3E2723', accent1: '#E64A19', accent2: '#FFCCBC', accent3: '#AD1457', accent4: '#FFC107' },
+    fonts: { heading: 'Montserrat', body: 'Roboto' }
+  },
+  {
+    id: 'theme_mono',
+    name: 'Monochrome',
+    colors: { background: '#FFFFFF', text: '#212121', accent1: '#000000', accent2: '#BDBDBD', accent3: '#616161', accent4: '#E53935' },
+    fonts: { heading: 'Helvetica', body: 'Helvetica' }
+  }
+];
+
+/** Values each element type can take from the theme: path in properties → slot kind */
+export const THEMEABLE_PROPERTIES = {
+  text: { 'font.color': 'color', 'font.family': 'font' },
+  list: { 'font.color': 'color', 'font.family': 'font' },
+  link: { textColor: 'color', backgroundColor: 'color', 'font.family': 'font' },
+  shape: { fillColor: 'color', strokeColor: 'color' },
+  countdown_timer: { 'font.color': 'color', background: 'color', borderColor: 'color', 'font.family': 'font' },
+  chart: {
+    'font.color': 'color',
+    'font.family': 'font',
+    'seriesColors.0': 'color',
+    'seriesColors.1': 'color',
+    'seriesColors.2': 'color',
+    'seriesColors.3': 'color'
+  },
+  table: { 'font.color': 'color', 'font.family': 'font', headerFill: 'color', headerTextColor: 'color' }
+};
+
+/** Slide fields that can take a value from the theme */
+export const THEMEABLE_SLIDE_FIELDS = { background: 'color' };
+
+/** `format` field of theme files */
+const THEME_FILE_FORMAT = 'wow3-theme';
+
+// ─── Helpers ─────────────────────────────────────────────
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Value at a dotted path
+ * @param {Object} target
+ * @param {string} path - e.g. 'font.color'
+ * @returns {*}
+ */
+const getPath = (target, path) => path.split('.').reduce((value, key) => value?.[key], target);
+
+/**
+ * Set a value at a dotted path, creating the objects on the way; arrays on
+ * the way are kept, so 'seriesColors.0' sets an array item
+ * @param {Object} target
+ * @param {string} path
+ * @param {*} value
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Dotted paths and slots of the references of a themeRefs object
+ * @param {Object} refs
+ * @param {string} [prefix='']
+ * @returns {Array<[string, string]>}
+ */
+const referencesOf = (refs, prefix = '') => Object.entries(refs || {}).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (isPlainObject(value)) return referencesOf(value, path);
+  return typeof value === 'string' ? [[path, value]] : [];
+});
+
+/**
+ * Write the referenced theme values over the literal ones
+ * @param {Object} target - Object holding the values
+ * @param {Object} refs - Its themeRefs
+ * @param {Object} theme
+ * @returns {boolean} Whether a value changed
+ */
+const resolveInto = (target, refs, theme) => {
+  let changed = false;
+  for (const [path, slot] of referencesOf(refs)) {
+    const value = themeValue(theme, slot);
+    if (value === undefined || getPath(target, path) === value) continue;
+    setPath(target, path, value);
+    changed = true;
+  }
+  return changed;
+};
+
+/**
+ * A string value of imported data, or a fallback
+ * @param {*} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+const stringOr = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+
+// ─── Themes ──────────────────────────────────────────────
+
+/**
+ * Kind of a slot
+ * @param {string} slot - Slot key
+ * @returns {'color'|'font'|null}
+ */
+export const slotKind = (slot) => {
+  if (THEME_COLOR_SLOTS.some(s => s.key === slot)) return 'color';
+  if (THEME_FONT_SLOTS.some(s => s.key === slot)) return 'font';
+  return null;
+};
+
+/**
+ * Value of a slot in a theme
+ * @param {Object} theme
+ * @param {string} slot - Slot key
+ * @returns {string|undefined}
+ */
+export const themeValue = (theme, slot) => {
+  const kind = slotKind(slot);
+  if (kind === 'color') return theme?.colors?.[slot];
+  if (kind === 'font') return theme?.fonts?.[slot];
+  return undefined;
+};
+
+/**
+ * A complete theme from partial or untrusted data; missing slots come from
+ * the default theme
+ * @param {Object} [data]
+ * @returns {Object} { id, name, colors, fonts }
+ */
+export const normalizeTheme = (data) => {
+  const fallback = BUILTIN_THEMES[0];
+  const source = isPlainObject(data) ? data : fallback;
+
+  const colors = {};
+  THEME_COLOR_SLOTS.forEach(({ key }) => { colors[key] = stringOr(source.colors?.[key], fallback.colors[key]); });
+  const fonts = {};
+  THEME_FONT_SLOTS.forEach(({ key }) => { fonts[key] = stringOr(source.fonts?.[key], fallback.fonts[key]); });
+
+  return {
+    id: stringOr(source.id, 'theme_custom'),
+    name: stringOr(source.name, 'Custom'),
+    colors,
+    fonts
+  };
+};
+
+// ─── References ──────────────────────────────────────────
+
+/**
+ * Slot a value references
+ * @param {Object} target - Object holding the value and its themeRefs: element.properties or a slide
+ * @param {string} path - Path of the value in target, e.g. 'font.color'
+ * @returns {string|null}
+ */
+export const getThemeRef = (target, path) => getPath(target.themeRefs, path) || null;
+
+/**
+ * Make a value reference a slot (and take its value), or go back to a
+ * literal value with slot = null
+ * @param {Object} target - element.properties or a slide
+ * @param {string} path - Path of the value in target
+ * @param {string|null} slot
+ * @param {Object} theme
+ */
+export const setThemeRef = (target, path, slot, theme) => {
+  if (!isPlainObject(target.themeRefs)) target.themeRefs = {};
+  setPath(target.themeRefs, path, slot || null);
+  if (slot) resolveInto(target, target.themeRefs, theme);
+};
+
+/**
+ * Resolve the references of an element and its children
+ * @param {Object} element - Element model or JSON
+ * @param {Object} theme
+ * @returns {boolean} Whether a value changed
+ */
+export const resolveElementTheme = (element, theme) => {
+  let changed = element.properties ? resolveInto(element.properties, element.properties.themeRefs, theme) : false;
+  (element.children || []).forEach((child) => {
+    if (resolveElementTheme(child, theme)) changed = true;
+  });
+  return changed;
+};
+
+/**
+ * Resolve the references of a slide (shell, layout) and its elements
+ * @param {Object} slide - Slide model or JSON
+ * @param {Object} theme
+ * @returns {boolean} Whether a value changed
+ */
+export const resolveSlideTheme = (slide, theme) => {
+  let changed = resolveInto(slide, slide.themeRefs, theme);
+  (slide.elements || []).forEach((element) => {
+    if (resolveElementTheme(element, theme)) changed = true;
+  });
+  return changed;
+};
+
+/**
+ * References a new element starts with: text takes the text color and body
+ * font, charts and tables the accents as well
+ * @param {string} type - Element type
+ * @returns {Object|null} themeRefs, or null for none
+ */
+export const defaultThemeRefs = (type) => {
+  switch (type) {
+    case 'text':
+    case 'list':
+      return { font: { color: 'text', family: 'body' } };
+    case 'chart':
+      return {
+        font: { color: 'text', family: 'body' },
+        seriesColors: { 0: 'accent1', 1: 'accent2', 2: 'accent3', 3: 'accent4' }
+      };
+    case 'table':
+      return { font: { color: 'text', family: 'body' }, headerFill: 'accent1', headerTextColor: 'background' };
+    default:
+      return null;
+  }
+};
+
+// ─── Theme files ─────────────────────────────────────────
+
+/**
+ * Content of a theme file
+ * @param {Object} theme
+ * @returns {string} JSON text
+ */
+export const serializeThemeFile = (theme) => {
+  const { name, colors, fonts } = normalizeTheme(theme);
+  return JSON.stringify({ format: THEME_FILE_FORMAT, version: 1, name, colors, fonts }, null, 2);
+};
+
+/**
+ * Read a theme file
+ * @param {string} text - File content
+ * @returns {Object} Theme, with a new id
+ * @throws {Error} If the file is not a theme file
+ */
+export const parseThemeFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a theme file: invalid JSON');
+  }
+  if (!isPlainObject(data) || data.format !== THEME_FILE_FORMAT || !isPlainObject(data.colors)) {
+    throw new Error('Not a WOW3 theme file');
+  }
+  return normalizeTheme({ ...data, id: generateId('theme') });
+};
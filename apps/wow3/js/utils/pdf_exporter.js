@@ -0,0 +1,219 @@
+/**
+ * WOW3 PDF Exporter
+ * One landscape page per visible slide, optionally followed by a notes page.
+ *
+ * Each slide is rendered off-screen the way playback shows it (background,
+ * shell below or above per `shellMode`, placeholders filled in, elements in
+ * their final state) and captured with html2canvas, so fonts, gradients and
+ * clip shapes look exactly as on screen. The text of unrotated text, list and
+ * link elements is laid over the picture as invisible PDF text, which keeps it
+ * selectable and searchable.
+ *
+ * jsPDF and html2canvas are loaded globally via script tags.
+ */
+
+import { CANVAS } from '@wow/core/utils/constants.js';
+import { getPlaceholderValues, fillPlaceholders } from './slide_placeholders.js';
+import { renderStaticSlide } from './slide_render.js';
+import { downloadBlob } from './storage.js';
+
+/** PDF points per canvas pixel: a 1280×720 slide becomes a 960×540pt page */
+const PT_PER_PX = 0.75;
+
+/** Pixel density of the slide pictures */
+const CAPTURE_SCALE = 2;
+
+/** Longest wait for the images of a slide to load */
+const MEDIA_TIMEOUT_MS = 10000;
+
+/** Line height of the text layer, relative to the font size */
+const LINE_HEIGHT = 1.2;
+
+/**
+ * Wait until every image of a container has its source (MediaDB loads are
+ * asynchronous) and has finished loading
+ * @param {HTMLElement} container
+ * @returns {Promise<void>} Resolves after MEDIA_TIMEOUT_MS at the latest
+ */
+const waitForImages = async (container) => {
+  const deadline = Date.now() + MEDIA_TIMEOUT_MS;
+  const pending = () => Array.from(container.querySelectorAll('img'))
+    .some(img => !img.getAttribute('src') || !img.complete);
+
+  while (pending() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await document.fonts?.ready;
+};
+
+/**
+ * Text runs to lay over a slide picture: one per unrotated text, list or link
+ * element of the slide and its shell
+ * @param {Object} presentation
+ * @param {number} slideIndex
+ * @returns {Array<{ lines: string[], x: number, y: number, width: number, height: number, font: Object }>}
+ */
+const collectText = (presentation, slideIndex) => {
+  const slide = presentation.slides[slideIndex];
+  const shell = slide.shellId ? presentation.getShellById(slide.shellId) : null;
+  const values = getPlaceholderValues(presentation, slideIndex);
+  const runs = [];
+
+  const add = (element, offsetX, offsetY) => {
+    if (element.position.rotation % 360 !== 0) return;
+
+    let lines = null;
+    if (element.type === 'text') {
+      lines = fillPlaceholders(element.properties.text, values).split('\n');
+    } else if (element.type === 'list') {
+      lines = element.properties.items.map((item, i) => (
+        element.properties.listType === 'ordered' ? `${i + 1}. ${item}` : `• ${item}`
+      ));
+    } else if (element.type === 'link') {
+      lines = [element.properties.text];
+    }
+
+    if (lines && lines.some(line => line.trim())) {
+      runs.push({
+        lines,
+        x: offsetX + element.position.x,
+        y: offsetY + element.position.y,
+        width: element.position.width,
+        height: element.position.height,
+        font: element.type === 'link'
+          ? { ...element.properties.font, alignment: 'center', verticalAlign: 'middle' }
+          : element.properties.font
+      });
+    }
+
+    // Children are positioned inside their parent
+    element.children.forEach(child => add(child, offsetX + element.position.x, offsetY + element.position.y));
+  };
+
+  [...(shell?.elements || []), ...slide.elements].forEach(el => add(el, 0, 0));
+  return runs;
+};
+
+/**
+ * Lay invisible, selectable text over the current page
+ * @param {jsPDF} doc
+ * @param {Array} runs - From collectText()
+ */
+const addTextLayer = (doc, runs) => {
+  for (const { lines, x, y, width, height, font } of runs) {
+    const sizePt = font.size * PT_PER_PX;
+    const style = [font.weight === 'bold' ? 'bold' : '', font.style === 'italic' ? 'italic' : ''].join('') || 'normal';
+    doc.setFont('helvetica', style);
+    doc.setFontSize(sizePt);
+
+    const maxWidth = width * PT_PER_PX;
+    const wrapped = lines.flatMap(line => doc.splitTextToSize(line || ' ', maxWidth));
+    const blockHeight = wrapped.length * sizePt * LINE_HEIGHT;
+    const boxTop = y * PT_PER_PX;
+    const boxHeight = height * PT_PER_PX;
+    const top = font.verticalAlign === 'middle' ? boxTop + (boxHeight - blockHeight) / 2
+      : font.verticalAlign === 'bottom' ? boxTop + boxHeight - blockHeight
+        : boxTop;
+
+    const align = ['center', 'right', 'justify'].includes(font.alignment) ? font.alignment : 'left';
+    const left = x * PT_PER_PX + (align === 'center' ? maxWidth / 2 : align === 'right' ? maxWidth : 0);
+
+    doc.text(wrapped, left, top, {
+      baseline: 'top',
+      align,
+      maxWidth,
+      lineHeightFactor: LINE_HEIGHT,
+      renderingMode: 'invisible'
+    });
+  }
+};
+
+/**
+ * Add a notes page: the slide picture on top, the speaker notes below,
+ * continued on further pages when they do not fit
+ * @param {jsPDF} doc
+ * @param {string} image - JPEG data URL of the slide
+ * @param {string} notes
+ */
+const addNotesPage = (doc, image, notes) => {
+  const pageWidth = CANVAS.WIDTH * PT_PER_PX;
+  const pageHeight = CANVAS.HEIGHT * PT_PER_PX;
+  const margin = 36;
+
+  doc.addPage();
+  doc.addImage(image, 'JPEG', pageWidth / 4, margin, pageWidth / 2, pageHeight / 2);
+  doc.setDrawColor('#cccccc');
+  doc.rect(pageWidth / 4, margin, pageWidth / 2, pageHeight / 2);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.setTextColor('#222222');
+  const lineHeight = 12 * LINE_HEIGHT;
+  let y = margin * 1.5 + pageHeight / 2;
+
+  for (const line of doc.splitTextToSize(notes, pageWidth - margin * 2)) {
+    if (y + lineHeight > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+    doc.text(line, margin, y, { baseline: 'top' });
+    y += lineHeight;
+  }
+};
+
+/**
+ * Export the visible slides of a presentation as a PDF download.
+ * @param {Object} presentation - Presentation model
+ * @param {Object} [options]
+ * @param {boolean} [options.notes=false] - Add a notes page after every slide that has speaker notes
+ * @returns {Promise<number>} Number of slides exported
+ */
+export const exportPdf = async (presentation, { notes = false } = {}) => {
+  if (!window.jspdf || typeof html2canvas === 'undefined') {
+    throw new Error('PDF export is not available (jsPDF or html2canvas failed to load)');
+  }
+
+  const indexes = presentation.slides
+    .map((slide, index) => (slide.visible ? index : -1))
+    .filter(index => index !== -1);
+  if (indexes.length === 0) throw new Error('All slides are hidden');
+
+  const pageSize = [CANVAS.WIDTH * PT_PER_PX, CANVAS.HEIGHT * PT_PER_PX];
+  const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'pt', format: pageSize, compress: true });
+  doc.setProperties({ title: presentation.title, creator: 'WOW3' });
+
+  for (const [n, index] of indexes.entries()) {
+    // Rendered off-screen: html2canvas needs it in the document
+    const container = renderStaticSlide(presentation, index);
+    container.style.position = 'fixed';
+    container.style.left = `-${CANVAS.WIDTH * 2}px`;
+    container.style.top = '0';
+    document.body.appendChild(container);
+    let image;
+    try {
+      await waitForImages(container);
+      const captured = await html2canvas(container, {
+        scale: CAPTURE_SCALE,
+        useCORS: true,
+        logging: false,
+        backgroundColor: null,
+        width: CANVAS.WIDTH,
+        height: CANVAS.HEIGHT
+      });
+      image = captured.toDataURL('image/jpeg', 0.92);
+    } finally {
+      container.remove();
+    }
+
+    if (n > 0) doc.addPage(pageSize, 'landscape');
+    doc.addImage(image, 'JPEG', 0, 0, pageSize[0], pageSize[1]);
+    addTextLayer(doc, collectText(presentation, index));
+
+    const slideNotes = presentation.slides[index].notes?.trim();
+    if (notes && slideNotes) addNotesPage(doc, image, slideNotes);
+  }
+
+  downloadBlob(doc.output('blob'), `${presentation.title.replace(/[^a-z0-9]/gi, '_')}.pdf`);
+  console.log(`📄 Presentation exported as PDF (${indexes.length} slides)`);
+  return indexes.length;
+};
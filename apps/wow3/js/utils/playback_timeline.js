@@ -0,0 +1,213 @@
+/**
+ * WOW3 Playback Timeline
+ * Computes a deterministic, wall-clock schedule for unattended playback
+ * (headless rendering). Mirrors the step grouping rules of AnimationManager
+ * so the schedule matches what the live player does.
+ */
+
+import {
+  ANIMATION_CATEGORY,
+  ANIMATION_TRIGGER
+} from '@wow/core/animations/definitions.js';
+import { getTransitionDuration } from '@wow/core/animations/transitions.js';
+import { TEXT_BUILD_UNITS, countTextUnits, expandTextBuildSteps } from '@wow/core/animations/text_build.js';
+import { resolveAnimationDefinition } from '@wow/core/animations/custom_animations.js';
+
+/** Default timing used when a presentation is played without a presenter */
+export const PLAYBACK_TIMELINE_DEFAULTS = {
+  // How long a slide without auto play stays on screen after its animations
+  slideDurationMs: 5000,
+  // Pause before each onClick animation step fires on its own
+  clickDelayMs: 1000
+};
+
+/**
+ * Get the effective duration of a single animation step (delay included).
+ * A text build lasts until its last unit is in.
+ * @param {Object} step - Animation step data
+ * @param {Array<Object>} elements - Elements of the slide
+ * @param {Array<Object>} customAnimations - Custom animations of the presentation
+ * @returns {number} Duration in ms
+ */
+const _stepDuration = (step, elements, customAnimations) => {
+  if (step.type === 'nextSlide') return 0;
+  const definition = resolveAnimationDefinition(step.type, customAnimations);
+  if (!definition) return 0;
+  const duration = step.duration || definition.options.duration || 600;
+
+  const unit = TEXT_BUILD_UNITS[step.buildBy];
+  if (unit && step.category === ANIMATION_CATEGORY.BUILD_IN && step.unitIndex === undefined) {
+    const element = elements
+      .flatMap(candidate => [candidate, ...(candidate.children || [])])
+      .find(candidate => candidate.id === step.targetElementId);
+    const units = element ? countTextUnits(element, step.buildBy) : 0;
+    if (units > 1) return (step.delay || 0) + duration + (units - 1) * (step.stagger ?? unit.stagger);
+  }
+
+  return (step.delay || 0) + duration;
+};
+
+/**
+ * Compute the timing of a slide's animation sequence.
+ * onClick steps are fired automatically after `clickDelayMs`.
+ * @param {Array<Object>} sequence - Slide animation sequence, as played (see expandTextBuildSteps)
+ * @param {number} clickDelayMs - Pause before each onClick step
+ * @param {Array<Object>} [elements=[]] - Elements of the slide, for the length of text builds
+ * @param {Array<Object>} [customAnimations=[]] - Custom animations of the presentation
+ * @returns {{ durationMs: number, clicksMs: Array<number>, endsSlide: boolean }}
+ *   durationMs: time until every step has finished;
+ *   clicksMs: offsets at which onClick steps fire;
+ *   endsSlide: true when a "nextSlide" step cuts the slide short at durationMs
+ */
+export const computeSequenceTiming = (sequence, clickDelayMs, elements = [], customAnimations = []) => {
+  const steps = sequence || [];
+  const clicksMs = [];
+  let cursorMs = 0;
+  let endMs = 0;
+  let i = 0;
+
+  while (i < steps.length) {
+    const trigger = steps[i].trigger || ANIMATION_TRIGGER.ON_LOAD;
+
+    if (trigger === ANIMATION_TRIGGER.WITH_PREVIOUS) {
+      // Unchained WITH_PREVIOUS — fire and forget, does not move the cursor
+      if (steps[i].type === 'nextSlide') {
+        return { durationMs: cursorMs, clicksMs, endsSlide: true };
+      }
+      endMs = Math.max(endMs, cursorMs + _stepDuration(steps[i], elements, customAnimations));
+      i++;
+      continue;
+    }
+
+    if (trigger === ANIMATION_TRIGGER.ON_CLICK) {
+      cursorMs += clickDelayMs;
+      clicksMs.push(cursorMs);
+    }
+
+    // Run this step together with any chained WITH_PREVIOUS steps
+    let groupMs = 0;
+    let j = i;
+    do {
+      if (steps[j].type === 'nextSlide') {
+        return { durationMs: cursorMs, clicksMs, endsSlide: true };
+      }
+      groupMs = Math.max(groupMs, _stepDuration(steps[j], elements, customAnimations));
+      j++;
+    } while (j < steps.length && steps[j].trigger === ANIMATION_TRIGGER.WITH_PREVIOUS);
+
+    cursorMs += groupMs;
+    endMs = Math.max(endMs, cursorMs);
+    i = j;
+  }
+
+  return { durationMs: Math.max(cursorMs, endMs), clicksMs, endsSlide: false };
+};
+
+/**
+ * Build the playback schedule for every visible slide of a presentation.
+ * Each slide plays its transition (except the first one), then its
+ * animation sequence (click steps fire on their own), then holds for
+ * `autoPlayDuration` when auto play is enabled or for `slideDurationMs`
+ * otherwise.
+ * @param {Object} presentation - Presentation model or JSON
+ * @param {Object} [options]
+ * @param {number} [options.slideDurationMs] - Hold time for slides without auto play
+ * @param {number} [options.clickDelayMs] - Pause before each onClick step
+ * @returns {{ durationMs: number, entries: Array<{ slideIndex: number, startMs: number, durationMs: number, transitionMs: number, clicksMs: Array<number> }> }}
+ */
+export const buildPlaybackTimeline = (presentation, options = {}) => {
+  const slideDurationMs = options.slideDurationMs ?? PLAYBACK_TIMELINE_DEFAULTS.slideDurationMs;
+  const clickDelayMs = options.clickDelayMs ?? PLAYBACK_TIMELINE_DEFAULTS.clickDelayMs;
+
+  const entries = [];
+  let startMs = 0;
+
+  (presentation.slides || []).forEach((slide, slideIndex) => {
+    if (slide.visible === false) return;
+
+    const transitionMs = entries.length > 0 ? getTransitionDuration(slide.transition) : 0;
+    const elements = slide.elements || [];
+    const timing = computeSequenceTiming(
+      expandTextBuildSteps(slide.animationSequence, elements),
+      clickDelayMs,
+      elements,
+      presentation.customAnimations
+    );
+    let durationMs = transitionMs + timing.durationMs;
+
+    if (!timing.endsSlide) {
+      durationMs += slide.autoPlay && slide.autoPlayDuration > 0
+        ? slide.autoPlayDuration * 1000
+        : slideDurationMs;
+    }
+
+    entries.push({
+      slideIndex,
+      startMs,
+      durationMs,
+      transitionMs,
+      clicksMs: timing.clicksMs.map(ms => transitionMs + ms)
+    });
+    startMs += durationMs;
+  });
+
+  return { durationMs: startMs, entries };
+};
+
+/**
+ * Find the timeline entry that is on screen at a given time
+ * @param {{ entries: Array<Object> }} timeline - Timeline from buildPlaybackTimeline
+ * @param {number} timeMs - Time from the start of playback
+ * @returns {Object|null} Timeline entry or null when past the end
+ */
+export const getTimelineEntryAt = (timeline, timeMs) => {
+  for (const entry of timeline.entries) {
+    if (timeMs < entry.startMs + entry.durationMs) return entry;
+  }
+  return null;
+};
+
+/**
+ * Compute when each autoplay audio element is audible along a timeline.
+ * Follows the AudioManager rules: audio stops when its slide is left, unless
+ * it has `continueOnSlides`, in which case it keeps playing until a later
+ * slide starts its own autoplay audio or the presentation ends.
+ * @param {Object} presentation - Presentation model or JSON
+ * @param {{ durationMs: number, entries: Array<Object> }} timeline - Timeline from buildPlaybackTimeline
+ * @returns {Array<{ elementId: string, startMs: number, endMs: number, loop: boolean }>}
+ */
+export const buildAudioSchedule = (presentation, timeline) => {
+  const schedule = [];
+  let continuing = null;
+
+  const autoplayAudioOf = (slide) => (slide.elements || []).filter(
+    el => el.type === 'audio' && el.properties?.autoplay && el.properties?.url
+  );
+
+  timeline.entries.forEach((entry) => {
+    const slide = presentation.slides[entry.slideIndex];
+    const audios = autoplayAudioOf(slide);
+    const slideEndMs = entry.startMs + entry.durationMs;
+
+    // A new autoplay audio replaces the continuing one
+    if (continuing && audios.length > 0) {
+      continuing.endMs = entry.startMs;
+      continuing = null;
+    }
+
+    audios.forEach((el) => {
+      const item = {
+        elementId: el.id,
+        startMs: entry.startMs,
+        endMs: slideEndMs,
+        loop: !!el.properties.loop
+      };
+      schedule.push(item);
+      if (el.properties.continueOnSlides) continuing = item;
+    });
+
+    if (continuing) continuing.endMs = slideEndMs;
+  });
+
+  return schedule.filter(item => item.endMs > item.startMs);
+};
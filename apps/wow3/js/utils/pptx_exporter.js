@@ -0,0 +1,810 @@
+/**
+ * WOW3 PowerPoint Exporter
+ * Writes a presentation as a .pptx package (Office Open XML) of native objects:
+ *
+ * - text elements   → text boxes (font, size, color, weight, style, decoration, alignment),
+ *                     formatting runs and their links kept
+ * - list elements   → bulleted or numbered text boxes
+ * - image elements  → pictures (crop, object-fit and circle clip kept)
+ * - shape elements  → preset shapes (rectangle, ellipse, triangle, line) with solid or gradient fill
+ * - link elements   → rounded rectangles with a hyperlinked label
+ *
+ * Each slide gets its shell elements composited below or above its own per
+ * `shellMode` and its transition, cube as a push; hidden slides are kept but
+ * marked hidden. Video, audio and
+ * countdown timers have no native counterpart and are skipped — the caller
+ * reports the returned counts.
+ *
+ * JSZip is loaded globally via script tag.
+ */
+
+import { CANVAS } from '@wow/core/utils/constants.js';
+import { mapRunsText } from '@wow/core/utils/rich_text.js';
+import { normalizeTransition } from '@wow/core/animations/transitions.js';
+import { getPlaceholderValues, fillPlaceholders } from './slide_placeholders.js';
+import { downloadBlob } from './storage.js';
+
+/** Widescreen slide: 13.333in × 7.5in */
+const SLIDE_SIZE = { cx: 12192000, cy: 6858000 };
+
+/** English Metric Units per canvas pixel */
+const EMU_PER_PX = SLIDE_SIZE.cx / CANVAS.WIDTH;
+
+/** Canvas pixels are CSS pixels: 0.75pt each */
+const PT_PER_PX = 0.75;
+
+/** Picture formats PowerPoint displays; everything else is converted to PNG */
+const NATIVE_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif' };
+
+/** Element types without a native PowerPoint counterpart */
+const SKIPPED_TYPES = {
+  video: 'videos',
+  audio: 'audio clips',
+  countdown_timer: 'countdown timers',
+  chart: 'charts',
+  table: 'tables'
+};
+
+/** Shape geometry, and the inset ShapeElement draws it at (its SVG viewBox is 0–100) */
+const SHAPE_GEOMETRY = {
+  rectangle: { prst: 'rect', inset: 0 },
+  circle: { prst: 'ellipse', inset: 0.05 },
+  triangle: { prst: 'triangle', inset: 0.1 }
+};
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+  + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CT = 'application/vnd.openxmlformats-officedocument';
+
+// ==================== XML HELPERS ====================
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+const esc = (text) => String(text ?? '')
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Relationships part
+ * @param {Array<{ type: string, target: string, external?: boolean }>} rels - rIds are 1-based positions
+ * @returns {string}
+ */
+const relsXml = (rels) => XML_DECL
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + rels.map((rel, i) => `<Relationship Id="rId${i + 1}" Type="${rel.type}" Target="${esc(rel.target)}"`
+    + `${rel.external ? ' TargetMode="External"' : ''}/>`).join('')
+  + '</Relationships>';
+
+/** Empty shape tree header shared by slides, layouts and the master */
+const SP_TREE_HEADER = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+  + '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/>'
+  + '<a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+/**
+ * Canvas pixels to EMU
+ * @param {number} px
+ * @returns {number}
+ */
+const emu = (px) => Math.round(px * EMU_PER_PX);
+
+/**
+ * Transform of a box, rotation around its center like CSS
+ * @param {{ x: number, y: number, width: number, height: number, rotation?: number }} box - Canvas pixels
+ * @returns {string}
+ */
+const xfrmXml = ({ x, y, width, height, rotation = 0 }) => {
+  const rot = ((rotation % 360) + 360) % 360;
+  return `<a:xfrm${rot ? ` rot="${Math.round(rot * 60000)}"` : ''}>`
+    + `<a:off x="${emu(x)}" y="${emu(y)}"/><a:ext cx="${Math.max(0, emu(width))}" cy="${Math.max(0, emu(height))}"/></a:xfrm>`;
+};
+
+// ==================== COLORS AND FILLS ====================
+
+let colorContext = null;
+
+/**
+ * Parse any CSS color
+ * @param {string} css
+ * @returns {{ hex: string, alpha: number }|null} null when transparent or invalid
+ */
+const parseColor = (css) => {
+  if (!css || css === 'transparent' || css === 'none') return null;
+  colorContext = colorContext || document.createElement('canvas').getContext('2d');
+
+  // Sentinel: an invalid color leaves fillStyle unchanged
+  colorContext.fillStyle = '#010203';
+  colorContext.fillStyle = css;
+  const value = colorContext.fillStyle;
+  if (value === '#010203' && !/^#010203$/i.test(css.trim())) return null;
+
+  if (value.startsWith('#')) return { hex: value.slice(1).toUpperCase(), alpha: 1 };
+  const m = value.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+  if (!m) return null;
+  const hex = [m[1], m[2], m[3]].map(v => Number(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+  const alpha = m[4] !== undefined ? Number(m[4]) : 1;
+  return alpha > 0 ? { hex, alpha } : null;
+};
+
+/**
+ * srgbClr of a parsed color
+ * @param {{ hex: string, alpha: number }} color
+ * @returns {string}
+ */
+const colorXml = ({ hex, alpha }) => (alpha < 1
+  ? `<a:srgbClr val="${hex}"><a:alpha val="${Math.round(alpha * 100000)}"/></a:srgbClr>`
+  : `<a:srgbClr val="${hex}"/>`);
+
+/**
+ * Color stops of a CSS gradient
+ * @param {string} css
+ * @returns {{ type: string, angle: number, stops: Array<{ color: string, position: number }> }|null}
+ */
+const parseGradient = (css) => {
+  if (!css || !css.includes('gradient(')) return null;
+  const gradient = window.GradientManager?.fromCSS(css.trim());
+  if (gradient) return gradient;
+
+  // Unparseable: the first color as a solid fill
+  const first = css.match(/#[0-9a-f]{3,8}\b|rgba?\([^)]+\)/i);
+  return first ? { type: 'solid', angle: 0, stops: [{ color: first[0], position: 0 }] } : null;
+};
+
+/**
+ * Fill of a CSS color or gradient
+ * @param {string} css
+ * @returns {string} solidFill, gradFill or noFill
+ */
+const fillXml = (css) => {
+  const gradient = parseGradient(css);
+  if (gradient && gradient.type !== 'solid') {
+    const stops = gradient.stops
+      .map(stop => ({ color: parseColor(stop.color), position: stop.position }))
+      .filter(stop => stop.color);
+    if (stops.length > 0) {
+      const gsLst = stops.map(stop => `<a:gs pos="${Math.round(stop.position * 1000)}">${colorXml(stop.color)}</a:gs>`).join('');
+      // CSS 90deg runs left → right, OOXML 0°
+      const shade = gradient.type === 'radial'
+        ? '<a:path path="circle"><a:fillToRect l="50000" t="50000" r="50000" b="50000"/></a:path>'
+        : `<a:lin ang="${Math.round((((gradient.angle - 90) % 360) + 360) % 360 * 60000)}" scaled="0"/>`;
+      return `<a:gradFill rotWithShape="1"><a:gsLst>${gsLst}</a:gsLst>${shade}</a:gradFill>`;
+    }
+  }
+
+  const color = parseColor(gradient ? gradient.stops[0].color : css);
+  return color ? `<a:solidFill>${colorXml(color)}</a:solidFill>` : '<a:noFill/>';
+};
+
+/**
+ * Solid text color; gradients use their first stop
+ * @param {string} css
+ * @returns {string}
+ */
+const textFillXml = (css) => {
+  const gradient = parseGradient(css);
+  const color = parseColor(gradient ? gradient.stops[0].color : css) || { hex: '000000', alpha: 1 };
+  return `<a:solidFill>${colorXml(color)}</a:solidFill>`;
+};
+
+// ==================== TEXT ====================
+
+/**
+ * Run properties of a WOW3 font
+ * @param {Object} font - element.properties.font
+ * @param {Object} [overrides]
+ * @param {string} [overrides.color] - CSS color instead of font.color
+ * @param {string} [overrides.hlinkRId] - Relationship id of a hyperlink
+ * @param {string} [tag='a:rPr'] - a:rPr, or a:endParaRPr for empty paragraphs
+ * @returns {string}
+ */
+const runPropsXml = (font, { color, hlinkRId } = {}, tag = 'a:rPr') => {
+  const attrs = [`lang="en-US" sz="${Math.round(font.size * PT_PER_PX * 100)}"`];
+  if (font.weight === 'bold' || Number(font.weight) >= 600) attrs.push('b="1"');
+  if (font.style === 'italic') attrs.push('i="1"');
+  if (font.decoration?.includes('underline')) attrs.push('u="sng"');
+  if (font.decoration?.includes('line-through')) attrs.push('strike="sngStrike"');
+
+  const family = (font.family || '').split(',')[0].replace(/["']/g, '').trim();
+  return `<${tag} ${attrs.join(' ')} dirty="0">`
+    + textFillXml(color ?? font.color)
+    + (family ? `<a:latin typeface="${esc(family)}"/>` : '')
+    + (hlinkRId ? `<a:hlinkClick r:id="${hlinkRId}"/>` : '')
+    + `</${tag}>`;
+};
+
+/**
+ * Paragraph
+ * @param {string} text
+ * @param {Object} font
+ * @param {string} pPr - Paragraph properties
+ * @param {Object} [runOptions] - See runPropsXml()
+ * @returns {string}
+ */
+const paragraphXml = (text, font, pPr, runOptions) => (text
+  ? `<a:p>${pPr}<a:r>${runPropsXml(font, runOptions)}<a:t>${esc(text)}</a:t></a:r></a:p>`
+  : `<a:p>${pPr}${runPropsXml(font, runOptions, 'a:endParaRPr')}</a:p>`);
+
+/**
+ * Paragraphs of formatting runs, one per line, each run with its own
+ * properties and hyperlink
+ * @param {Object[]} runs - element.properties.runs
+ * @param {Object} font - Element font the runs override
+ * @param {string} pPr
+ * @param {Object} ctx - Slide context, for hyperlink relationships
+ * @returns {string}
+ */
+const runParagraphsXml = (runs, font, pPr, ctx) => {
+  const lines = [[]];
+  runs.forEach(({ text, link, ...style }) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, link, style });
+    });
+  });
+
+  return lines.map((line) => {
+    if (line.length === 0) return paragraphXml('', font, pPr);
+    const xml = line.map(({ text, link, style }) => {
+      const hlinkRId = link ? ctx.addRel({ type: `${REL}/hyperlink`, target: link, external: true }) : null;
+      return `<a:r>${runPropsXml({ ...font, ...style }, { hlinkRId })}<a:t>${esc(text)}</a:t></a:r>`;
+    }).join('');
+    return `<a:p>${pPr}${xml}</a:p>`;
+  }).join('');
+};
+
+/**
+ * Text body of a text box
+ * @param {string} paragraphs - a:p elements
+ * @param {string} verticalAlign - top, middle or bottom
+ * @returns {string}
+ */
+const textBodyXml = (paragraphs, verticalAlign) => {
+  const anchor = { middle: 'ctr', bottom: 'b' }[verticalAlign] || 't';
+  return '<p:txBody>'
+    + `<a:bodyPr wrap="square" lIns="0" tIns="0" rIns="0" bIns="0" anchor="${anchor}" rtlCol="0"><a:noAutofit/></a:bodyPr>`
+    + `<a:lstStyle/>${paragraphs}</p:txBody>`;
+};
+
+/**
+ * Horizontal alignment attribute
+ * @param {string} alignment - CSS text-align
+ * @returns {string}
+ */
+const algn = (alignment) => ({ center: 'ctr', right: 'r', justify: 'just' }[alignment] || 'l');
+
+// ==================== MEDIA ====================
+
+/**
+ * Decode an image blob
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+const decodeImage = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Image could not be decoded'));
+  };
+  img.src = url;
+});
+
+/**
+ * Fetch the picture of an image element from MediaDB or the network
+ * @param {string} url - Media ID (media_…, local://media_…) or URL
+ * @returns {Promise<{ blob: Blob, ext: string, width: number, height: number }>}
+ */
+const loadPicture = async (url) => {
+  const id = url.replace('local://', '');
+  let blob;
+  if (id.startsWith('media_')) {
+    const item = await window.MediaDB.getMediaItem(id);
+    if (!item?.blob) throw new Error(`Media item not found: ${id}`);
+    blob = item.blob;
+  } else {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    blob = await response.blob();
+  }
+
+  const img = await decodeImage(blob);
+  const width = img.naturalWidth || 1;
+  const height = img.naturalHeight || 1;
+
+  const ext = NATIVE_IMAGE_TYPES[blob.type];
+  if (ext) return { blob, ext, width, height };
+
+  // WebP, SVG, AVIF…: rasterize to PNG
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+  const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!png) throw new Error('Image could not be converted to PNG');
+  return { blob: png, ext: 'png', width, height };
+};
+
+// ==================== ELEMENTS ====================
+
+/**
+ * Non-visual properties of a shape or picture
+ * @param {string} tag - p:nvSpPr or p:nvPicPr
+ * @param {number} id
+ * @param {string} name
+ * @param {string} cNvExtra - Shape-kind element, e.g. <p:cNvSpPr txBox="1"/>
+ * @returns {string}
+ */
+const nvXml = (tag, id, name, cNvExtra) => `<${tag}><p:cNvPr id="${id}" name="${esc(name)}"/>${cNvExtra}<p:nvPr/></${tag}>`;
+
+/**
+ * Convert a text element
+ * @param {Object} element
+ * @param {Object} box - Absolute position
+ * @param {Object} ctx - Slide context
+ * @returns {string}
+ */
+const textXml = (element, box, ctx) => {
+  const { font, runs } = element.properties;
+  const fill = text => fillPlaceholders(text, ctx.placeholders);
+  const pPr = `<a:pPr algn="${algn(font.alignment)}"/>`;
+  const paragraphs = Array.isArray(runs)
+    ? runParagraphsXml(mapRunsText(runs, fill), font, pPr, ctx)
+    : fill(element.properties.text || '').split('\n').map(line => paragraphXml(line, font, pPr)).join('');
+
+  return `<p:sp>${nvXml('p:nvSpPr', ctx.nextId(), element.name || 'Text', '<p:cNvSpPr txBox="1"/>')}`
+    + `<p:spPr>${xfrmXml(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>`
+    + `${textBodyXml(paragraphs, font.verticalAlign)}</p:sp>`;
+};
+
+/**
+ * Convert a list element to bulleted or numbered paragraphs
+ * @param {Object} element
+ * @param {Object} box
+ * @param {Object} ctx
+ * @returns {string}
+ */
+const listXml = (element, box, ctx) => {
+  const { font, items, listType } = element.properties;
+  const bullet = listType === 'ordered'
+    ? '<a:buFont typeface="+mj-lt"/><a:buAutoNum type="arabicPeriod"/>'
+    : '<a:buFont typeface="Arial"/><a:buChar char="•"/>';
+  // ListElement indents its items by 20px
+  const indent = emu(20 + font.size * 0.5);
+  const pPr = `<a:pPr marL="${indent}" indent="-${indent}" algn="${algn(font.alignment)}">${bullet}</a:pPr>`;
+  const paragraphs = items.map(item => paragraphXml(item, font, pPr)).join('') || paragraphXml('', font, pPr);
+
+  return `<p:sp>${nvXml('p:nvSpPr', ctx.nextId(), element.name || 'List', '<p:cNvSpPr txBox="1"/>')}`
+    + `<p:spPr>${xfrmXml(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>`
+    + `${textBodyXml(paragraphs, 'top')}</p:sp>`;
+};
+
+/**
+ * Convert a shape element
+ * @param {Object} element
+ * @param {Object} box
+ * @param {Object} ctx
+ * @returns {string}
+ */
+const shapeXml = (element, box, ctx) => {
+  const { shapeType, fillColor, strokeColor, strokeWidth } = element.properties;
+  const name = element.name || 'Shape';
+
+  if (shapeType === 'line') {
+    // A horizontal line through the middle of the box, stroked with the fill color
+    const width = Math.max(strokeWidth, 2);
+    const line = { ...box, y: box.y + box.height / 2, height: 0 };
+    return `<p:cxnSp>${nvXml('p:nvCxnSpPr', ctx.nextId(), name, '<p:cNvCxnSpPr/>')}`
+      + `<p:spPr>${xfrmXml(line)}<a:prstGeom prst="line"><a:avLst/></a:prstGeom>`
+      + `<a:ln w="${emu(width)}">${fillXml(fillColor)}</a:ln></p:spPr></p:cxnSp>`;
+  }
+
+  const { prst, inset } = SHAPE_GEOMETRY[shapeType] || SHAPE_GEOMETRY.rectangle;
+  const geometry = {
+    ...box,
+    x: box.x + box.width * inset,
+    y: box.y + box.height * inset,
+    width: box.width * (1 - inset * 2),
+    height: box.height * (1 - inset * 2)
+  };
+  // The SVG stroke scales with the 100×100 viewBox
+  const stroke = strokeWidth * (box.width + box.height) / 200;
+  const ln = stroke > 0 && (parseColor(strokeColor) || parseGradient(strokeColor))
+    ? `<a:ln w="${emu(stroke)}">${fillXml(strokeColor)}</a:ln>`
+    : '<a:ln><a:noFill/></a:ln>';
+
+  return `<p:sp>${nvXml('p:nvSpPr', ctx.nextId(), name, '<p:cNvSpPr/>')}`
+    + `<p:spPr>${xfrmXml(geometry)}<a:prstGeom prst="${prst}"><a:avLst/></a:prstGeom>${fillXml(fillColor)}${ln}</p:spPr></p:sp>`;
+};
+
+/**
+ * Convert a link element to a rounded rectangle with a hyperlinked label
+ * @param {Object} element
+ * @param {Object} box
+ * @param {Object} ctx
+ * @returns {string}
+ */
+const linkXml = (element, box, ctx) => {
+  const { url, text, backgroundColor, textColor, borderRadius, font } = element.properties;
+  const hlinkRId = url && url !== '#' ? ctx.addRel({ type: `${REL}/hyperlink`, target: url, external: true }) : null;
+  // roundRect corner radius is relative to the shorter side, 50000 = half of it
+  const adj = Math.min(50000, Math.round((borderRadius / Math.max(1, Math.min(box.width, box.height))) * 100000));
+  const paragraph = paragraphXml(text, font, '<a:pPr algn="ctr"/>', { color: textColor, hlinkRId });
+
+  return `<p:sp>${nvXml('p:nvSpPr', ctx.nextId(), element.name || 'Link', '<p:cNvSpPr/>')}`
+    + `<p:spPr>${xfrmXml(box)}<a:prstGeom prst="roundRect"><a:avLst><a:gd name="adj" fmla="val ${adj}"/></a:avLst></a:prstGeom>`
+    + `${fillXml(backgroundColor)}<a:ln><a:noFill/></a:ln></p:spPr>`
+    + `${textBodyXml(paragraph, 'middle')}</p:sp>`;
+};
+
+/**
+ * Convert an image element to a picture
+ * @param {Object} element
+ * @param {Object} box
+ * @param {Object} ctx
+ * @returns {Promise<string>} Empty when the picture cannot be loaded
+ */
+const imageXml = async (element, box, ctx) => {
+  const { url, crop, objectFit, clipShape, shapeBorderWidth, shapeBorderColor } = element.properties;
+  if (!url) return '';
+
+  const media = await ctx.addMedia(url);
+  if (!media) return '';
+
+  // a:srcRect insets are 1000ths of a percent of the picture; negative values pad
+  let inset = null;
+  let frame = box;
+  if (crop) {
+    const left = -crop.contentLeft / crop.contentWidth;
+    const top = -crop.contentTop / crop.contentHeight;
+    inset = {
+      l: left,
+      t: top,
+      r: 1 - left - box.width / crop.contentWidth,
+      b: 1 - top - box.height / crop.contentHeight
+    };
+  } else if (objectFit === 'cover' || objectFit === 'contain') {
+    const pictureRatio = media.width / media.height;
+    const boxRatio = box.width / box.height;
+    if (objectFit === 'cover') {
+      inset = pictureRatio > boxRatio
+        ? { l: (1 - boxRatio / pictureRatio) / 2, r: (1 - boxRatio / pictureRatio) / 2, t: 0, b: 0 }
+        : { l: 0, r: 0, t: (1 - pictureRatio / boxRatio) / 2, b: (1 - pictureRatio / boxRatio) / 2 };
+    } else {
+      const width = pictureRatio > boxRatio ? box.width : box.height * pictureRatio;
+      const height = pictureRatio > boxRatio ? box.width / pictureRatio : box.height;
+      frame = { ...box, x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height };
+    }
+  }
+
+  const srcRect = inset && Object.values(inset).some(v => Math.abs(v) > 0.0001)
+    ? `<a:srcRect ${['l', 't', 'r', 'b'].map(side => `${side}="${Math.round(inset[side] * 100000)}"`).join(' ')}/>`
+    : '';
+  const border = shapeBorderWidth > 0 && parseColor(shapeBorderColor)
+    ? `<a:ln w="${emu(shapeBorderWidth)}">${fillXml(shapeBorderColor)}</a:ln>`
+    : '';
+
+  return `<p:pic>${nvXml('p:nvPicPr', ctx.nextId(), element.name || 'Picture', '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr>')}`
+    + `<p:blipFill><a:blip r:embed="${media.rId}"/>${srcRect}<a:stretch><a:fillRect/></a:stretch></p:blipFill>`
+    + `<p:spPr>${xfrmXml(frame)}<a:prstGeom prst="${clipShape === 'circle' ? 'ellipse' : 'rect'}"><a:avLst/></a:prstGeom>${border}</p:spPr></p:pic>`;
+};
+
+const CONVERTERS = {
+  text: textXml,
+  list: listXml,
+  shape: shapeXml,
+  link: linkXml,
+  image: imageXml
+};
+
+/**
+ * Convert elements and their children (positioned inside their parent)
+ * @param {Object[]} elements
+ * @param {Object} ctx
+ * @param {{ x: number, y: number }} [offset]
+ * @returns {Promise<string>}
+ */
+const elementsXml = async (elements, ctx, offset = { x: 0, y: 0 }) => {
+  let xml = '';
+  for (const element of elements) {
+    const box = { ...element.position, x: offset.x + element.position.x, y: offset.y + element.position.y };
+    const convert = CONVERTERS[element.type];
+    if (convert) {
+      xml += await convert(element, box, ctx);
+    } else if (SKIPPED_TYPES[element.type]) {
+      const what = SKIPPED_TYPES[element.type];
+      ctx.skipped[what] = (ctx.skipped[what] || 0) + 1;
+    }
+    if (element.children?.length) xml += await elementsXml(element.children, ctx, box);
+  }
+  return xml;
+};
+
+/**
+ * Slide background
+ * @param {string} background - CSS color or gradient
+ * @returns {string}
+ */
+const backgroundXml = (background) => {
+  const fill = fillXml(background);
+  // A transparent slide shows white in the editor
+  return `<p:bg><p:bgPr>${fill === '<a:noFill/>' ? '<a:solidFill><a:srgbClr val="FFFFFF"/></a:solidFill>' : fill}<a:effectLst/></p:bgPr></p:bg>`;
+};
+
+/** PowerPoint transition element of each WOW3 transition; cube has no counterpart in the base schema */
+const TRANSITION_TAGS = {
+  fade: 'p:fade',
+  dissolve: 'p:dissolve',
+  push: 'p:push',
+  wipe: 'p:wipe',
+  cover: 'p:cover',
+  uncover: 'p:pull',
+  cube: 'p:push',
+  zoom: 'p:zoom',
+  // Morph needs PowerPoint 2019; its 2007 fallback is a fade
+  morph: 'p:fade'
+};
+
+/** PowerPoint directions: the way the motion goes, like WOW3's */
+const TRANSITION_DIRS = { left: 'l', right: 'r', up: 'u', down: 'd', in: 'in', out: 'out' };
+
+/**
+ * Slide transition
+ * @param {Object} transition - slide.transition
+ * @returns {string} Empty for none
+ */
+const transitionXml = (transition) => {
+  const { type, duration, direction } = normalizeTransition(transition);
+  const tag = TRANSITION_TAGS[type];
+  if (!tag) return '';
+
+  // PowerPoint 2007 knows three speeds only
+  const spd = duration <= 500 ? 'fast' : duration <= 1000 ? 'med' : 'slow';
+  const dir = tag === 'p:fade' || tag === 'p:dissolve' ? '' : ` dir="${TRANSITION_DIRS[direction]}"`;
+  return `<p:transition spd="${spd}"><${tag}${dir}/></p:transition>`;
+};
+
+// ==================== PACKAGE PARTS ====================
+
+const THEME_XML = XML_DECL
+  + '<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="WOW3">'
+  + '<a:themeElements><a:clrScheme name="WOW3">'
+  + '<a:dk1><a:srgbClr val="000000"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>'
+  + '<a:dk2><a:srgbClr val="212121"/></a:dk2><a:lt2><a:srgbClr val="F5F5F5"/></a:lt2>'
+  + '<a:accent1><a:srgbClr val="2196F3"/></a:accent1><a:accent2><a:srgbClr val="FF9800"/></a:accent2>'
+  + '<a:accent3><a:srgbClr val="4CAF50"/></a:accent3><a:accent4><a:srgbClr val="9C27B0"/></a:accent4>'
+  + '<a:accent5><a:srgbClr val="F44336"/></a:accent5><a:accent6><a:srgbClr val="00BCD4"/></a:accent6>'
+  + '<a:hlink><a:srgbClr val="1565C0"/></a:hlink><a:folHlink><a:srgbClr val="6A1B9A"/></a:folHlink>'
+  + '</a:clrScheme>'
+  + '<a:fontScheme name="WOW3">'
+  + '<a:majorFont><a:latin typeface="Roboto"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>'
+  + '<a:minorFont><a:latin typeface="Roboto"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont>'
+  + '</a:fontScheme>'
+  + '<a:fmtScheme name="WOW3">'
+  + '<a:fillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'
+  + '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:fillStyleLst>'
+  + '<a:lnStyleLst><a:ln w="6350"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>'
+  + '<a:ln w="12700"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>'
+  + '<a:ln w="19050"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln></a:lnStyleLst>'
+  + '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle>'
+  + '<a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>'
+  + '<a:bgFillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'
+  + '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:bgFillStyleLst>'
+  + '</a:fmtScheme></a:themeElements></a:theme>';
+
+const MASTER_XML = XML_DECL
+  + `<p:sldMaster ${NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>`
+  + `<p:spTree>${SP_TREE_HEADER}</p:spTree></p:cSld>`
+  + '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" '
+  + 'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>'
+  + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>'
+  + '<p:txStyles><p:titleStyle><a:lvl1pPr><a:defRPr sz="4400"/></a:lvl1pPr></p:titleStyle>'
+  + '<p:bodyStyle><a:lvl1pPr><a:defRPr sz="2400"/></a:lvl1pPr></p:bodyStyle>'
+  + '<p:otherStyle><a:lvl1pPr><a:defRPr sz="1800"/></a:lvl1pPr></p:otherStyle></p:txStyles>'
+  + '</p:sldMaster>';
+
+const LAYOUT_XML = XML_DECL
+  + `<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Blank"><p:spTree>${SP_TREE_HEADER}</p:spTree></p:cSld>`
+  + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+
+/**
+ * [Content_Types].xml
+ * @param {number} slideCount
+ * @param {Set<string>} extensions - Media file extensions
+ * @returns {string}
+ */
+const contentTypesXml = (slideCount, extensions) => {
+  const overrides = [
+    ['/ppt/presentation.xml', `${CT}.presentationml.presentation.main+xml`],
+    ['/ppt/slideMasters/slideMaster1.xml', `${CT}.presentationml.slideMaster+xml`],
+    ['/ppt/slideLayouts/slideLayout1.xml', `${CT}.presentationml.slideLayout+xml`],
+    ['/ppt/theme/theme1.xml', `${CT}.theme+xml`],
+    ['/ppt/presProps.xml', `${CT}.presentationml.presProps+xml`],
+    ['/ppt/viewProps.xml', `${CT}.presentationml.viewProps+xml`],
+    ['/ppt/tableStyles.xml', `${CT}.presentationml.tableStyles+xml`],
+    ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml'],
+    ['/docProps/app.xml', `${CT}.extended-properties+xml`]
+  ];
+  for (let i = 1; i <= slideCount; i++) {
+    overrides.push([`/ppt/slides/slide${i}.xml`, `${CT}.presentationml.slide+xml`]);
+  }
+  const mediaTypes = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif' };
+
+  return XML_DECL
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + [...extensions].map(ext => `<Default Extension="${ext}" ContentType="${mediaTypes[ext]}"/>`).join('')
+    + overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('')
+    + '</Types>';
+};
+
+/**
+ * Document properties (docProps/core.xml, docProps/app.xml)
+ * @param {Object} presentation
+ * @param {number} slideCount
+ * @returns {{ core: string, app: string }}
+ */
+const docPropsXml = (presentation, slideCount) => {
+  const created = new Date(presentation.metadata?.created || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return {
+    core: XML_DECL
+      + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" '
+      + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" '
+      + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+      + `<dc:title>${esc(presentation.title)}</dc:title>`
+      + `<dc:creator>${esc(presentation.metadata?.author || '')}</dc:creator>`
+      + `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>`
+      + `<dcterms:modified xsi:type="dcterms:W3CDTF">${modified}</dcterms:modified>`
+      + '</cp:coreProperties>',
+    app: XML_DECL
+      + '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">'
+      + `<Application>WOW3</Application><Slides>${slideCount}</Slides></Properties>`
+  };
+};
+
+/**
+ * ppt/presentation.xml and its relationships
+ * @param {number} slideCount
+ * @returns {{ xml: string, rels: string }}
+ */
+const presentationXml = (slideCount) => {
+  const slideIds = Array.from({ length: slideCount }, (_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 2}"/>`).join('');
+  const rels = [{ type: `${REL}/slideMaster`, target: 'slideMasters/slideMaster1.xml' }];
+  for (let i = 1; i <= slideCount; i++) rels.push({ type: `${REL}/slide`, target: `slides/slide${i}.xml` });
+  rels.push(
+    { type: `${REL}/presProps`, target: 'presProps.xml' },
+    { type: `${REL}/viewProps`, target: 'viewProps.xml' },
+    { type: `${REL}/theme`, target: 'theme/theme1.xml' },
+    { type: `${REL}/tableStyles`, target: 'tableStyles.xml' }
+  );
+
+  return {
+    xml: XML_DECL
+      + `<p:presentation ${NS} saveSubsetFonts="1">`
+      + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+      + `<p:sldIdLst>${slideIds}</p:sldIdLst>`
+      + `<p:sldSz cx="${SLIDE_SIZE.cx}" cy="${SLIDE_SIZE.cy}"/><p:notesSz cx="6858000" cy="9144000"/>`
+      + '</p:presentation>',
+    rels: relsXml(rels)
+  };
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * Export a presentation as a .pptx download.
+ * @param {Object} presentation - Presentation model
+ * @returns {Promise<{ slides: number, skipped: Object<string, number> }>}
+ *   skipped: count of elements left out, by description ('videos', 'pictures'…)
+ */
+export const exportPptx = async (presentation) => {
+  const zip = new JSZip();
+  const skipped = {};
+  const extensions = new Set();
+
+  // Pictures are stored once, however many slides use them
+  const mediaByUrl = new Map();
+  const loadMedia = (url) => {
+    if (!mediaByUrl.has(url)) {
+      const number = mediaByUrl.size + 1;
+      mediaByUrl.set(url, loadPicture(url).then((picture) => {
+        const path = `media/image${number}.${picture.ext}`;
+        zip.file(`ppt/${path}`, picture.blob);
+        extensions.add(picture.ext);
+        return { path, width: picture.width, height: picture.height };
+      }).catch((err) => {
+        console.warn(`⚠️ Picture skipped in PowerPoint export: ${url}`, err);
+        return null;
+      }));
+    }
+    return mediaByUrl.get(url);
+  };
+
+  const slides = presentation.slides;
+  for (const [index, slide] of slides.entries()) {
+    const rels = [{ type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' }];
+    const slideMedia = new Map();
+    let shapeId = 1;
+
+    const ctx = {
+      placeholders: getPlaceholderValues(presentation, index),
+      skipped,
+      nextId: () => ++shapeId,
+      addRel: (rel) => `rId${rels.push(rel)}`,
+      addMedia: async (url) => {
+        const media = await loadMedia(url);
+        if (!media) {
+          skipped.pictures = (skipped.pictures || 0) + 1;
+          return null;
+        }
+        if (!slideMedia.has(media.path)) {
+          slideMedia.set(media.path, ctx.addRel({ type: `${REL}/image`, target: `../${media.path}` }));
+        }
+        return { ...media, rId: slideMedia.get(media.path) };
+      }
+    };
+
+    const shell = slide.shellId ? presentation.getShellById(slide.shellId) : null;
+    const own = await elementsXml(slide.elements, ctx);
+    const shellElements = shell ? await elementsXml(shell.elements, ctx) : '';
+    const tree = slide.shellMode === 'below' ? shellElements + own : own + shellElements;
+
+    zip.file(`ppt/slides/slide${index + 1}.xml`, XML_DECL
+      + `<p:sld ${NS}${slide.visible ? '' : ' show="0"'}>`
+      + `<p:cSld name="${esc(slide.title)}">${backgroundXml(slide.background)}<p:spTree>${SP_TREE_HEADER}${tree}</p:spTree></p:cSld>`
+      + `<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr>${transitionXml(slide.transition)}</p:sld>`);
+    zip.file(`ppt/slides/_rels/slide${index + 1}.xml.rels`, relsXml(rels));
+  }
+
+  const docProps = docPropsXml(presentation, slides.length);
+  const main = presentationXml(slides.length);
+
+  zip.file('[Content_Types].xml', contentTypesXml(slides.length, extensions));
+  zip.file('_rels/.rels', relsXml([
+    { type: `${REL}/officeDocument`, target: 'ppt/presentation.xml' },
+    { type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' },
+    { type: `${REL}/extended-properties`, target: 'docProps/app.xml' }
+  ]));
+  zip.file('docProps/core.xml', docProps.core);
+  zip.file('docProps/app.xml', docProps.app);
+  zip.file('ppt/presentation.xml', main.xml);
+  zip.file('ppt/_rels/presentation.xml.rels', main.rels);
+  zip.file('ppt/presProps.xml', `${XML_DECL}<p:presentationPr ${NS}/>`);
+  zip.file('ppt/viewProps.xml', `${XML_DECL}<p:viewPr ${NS}/>`);
+  zip.file('ppt/tableStyles.xml', `${XML_DECL}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`);
+  zip.file('ppt/theme/theme1.xml', THEME_XML);
+  zip.file('ppt/slideMasters/slideMaster1.xml', MASTER_XML);
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', relsXml([
+    { type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+    { type: `${REL}/theme`, target: '../theme/theme1.xml' }
+  ]));
+  zip.file('ppt/slideLayouts/slideLayout1.xml', LAYOUT_XML);
+  zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', relsXml([
+    { type: `${REL}/slideMaster`, target: '../slideMasters/slideMaster1.xml' }
+  ]));
+
+  const blob = await zip.generateAsync({
+    type: 'blob',
+    mimeType: `${CT}.presentationml.presentation`,
+    compression: 'DEFLATE'
+  });
+  downloadBlob(blob, `${presentation.title.replace(/[^a-z0-9]/gi, '_')}.pptx`);
+
+  console.log(`📊 Presentation exported as .pptx (${slides.length} slides, ${mediaByUrl.size} pictures)`);
+  return { slides: slides.length, skipped };
+};
@@ -0,0 +1,1210 @@
+/**
+ * WOW3 PowerPoint Importer
+ * Converts a .pptx package (Office Open XML) into WOW3 presentation JSON.
+ *
+ * - slides        → Slide (background, hidden flag, title from the title placeholder,
+ *                   speaker notes from the notes slide)
+ * - text boxes    → TextElement (font, size, color, alignment, vertical anchor)
+ * - bullet lists  → ListElement
+ * - pictures      → ImageElement (crop kept); urls stay package paths (ppt/media/…)
+ *                   until importPptx() in storage.js ingests them into MediaDB
+ * - basic shapes  → ShapeElement (rectangle, ellipse, triangle, line)
+ * - slide masters → shells (their pictures and shapes, drawn below the slide)
+ *
+ * Everything else (tables, charts, SmartArt, media, animations…) is counted in
+ * the import summary instead of being dropped silently.
+ */
+
+import { CANVAS } from '@wow/core/utils/constants.js';
+import { generateId } from '@wow/core/utils/dom.js';
+
+/** English Metric Units per point */
+const EMU_PER_PT = 12700;
+
+/** Size of a 4:3 slide, the OOXML default when presentation.xml has none */
+const DEFAULT_SLIDE_SIZE = { cx: 9144000, cy: 6858000 };
+
+/** Text size when neither the run nor any inherited style sets one */
+const DEFAULT_FONT_PT = 18;
+
+/** Preset geometries drawn natively by ShapeElement */
+const SHAPE_TYPES = {
+  rect: 'rectangle',
+  ellipse: 'circle',
+  triangle: 'triangle',
+  line: 'line',
+  straightConnector1: 'line'
+};
+
+/** Picture formats browsers cannot display */
+const UNSUPPORTED_IMAGE = /\.(emf|wmf|tiff?|wdp)$/i;
+
+const ALIGNMENT = { l: 'left', ctr: 'center', r: 'right', just: 'justify', dist: 'justify' };
+const VERTICAL_ALIGN = { t: 'top', ctr: 'middle', b: 'bottom' };
+
+/** Names of graphic frame contents, by the tail of a:graphicData@uri */
+const GRAPHIC_KINDS = {
+  table: 'Tables',
+  chart: 'Charts',
+  diagram: 'SmartArt graphics',
+  ole: 'Embedded objects'
+};
+
+// ==================== XML HELPERS ====================
+
+/**
+ * Child elements with a given local name
+ * @param {Element|null} el - Parent element
+ * @param {string} name - Local name (without namespace prefix)
+ * @returns {Element[]}
+ */
+const kids = (el, name) => {
+  if (!el) return [];
+  return Array.from(el.children).filter(c => c.localName === name);
+};
+
+/**
+ * Follow a path of child local names, returning the first match at each step
+ * @param {Element|null} el - Start element
+ * @param {...string} names - Local names
+ * @returns {Element|null}
+ */
+const kid = (el, ...names) => {
+  for (const name of names) {
+    if (!el) return null;
+    el = Array.from(el.children).find(c => c.localName === name) || null;
+  }
+  return el;
+};
+
+/**
+ * Numeric attribute
+ * @param {Element|null} el
+ * @param {string} name - Attribute name
+ * @param {number|null} [fallback=null]
+ * @returns {number|null}
+ */
+const numAttr = (el, name, fallback = null) => {
+  const value = el?.getAttribute(name);
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * Read and parse an XML part of the package
+ * @param {JSZip} zip
+ * @param {string} path - Part path inside the package
+ * @returns {Promise<Document|null>} null when missing or malformed
+ */
+const readXml = async (zip, path) => {
+  const file = zip.file(path);
+  if (!file) return null;
+  const doc = new DOMParser().parseFromString(await file.async('string'), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) return null;
+  return doc;
+};
+
+/**
+ * Resolve a relationship target against the directory of its source part
+ * @param {string} dir - Directory of the source part ('ppt/slides')
+ * @param {string} target - Relative or absolute target
+ * @returns {string} Package path
+ */
+const resolvePath = (dir, target) => {
+  const parts = target.startsWith('/') ? [] : dir.split('/').filter(Boolean);
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment && segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+};
+
+/**
+ * Read the relationships of a part
+ * @param {JSZip} zip
+ * @param {string} partPath - Path of the source part
+ * @returns {Promise<Map<string, { type: string, target: string, external: boolean }>>}
+ *   by relationship ID; type is the last segment of the relationship type URI
+ */
+const readRels = async (zip, partPath) => {
+  const slash = partPath.lastIndexOf('/');
+  const dir = partPath.slice(0, slash);
+  const rels = new Map();
+  const doc = await readXml(zip, `${dir}/_rels/${partPath.slice(slash + 1)}.rels`);
+  if (!doc) return rels;
+
+  for (const rel of Array.from(doc.documentElement.children)) {
+    const external = rel.getAttribute('TargetMode') === 'External';
+    const target = rel.getAttribute('Target') || '';
+    rels.set(rel.getAttribute('Id'), {
+      type: (rel.getAttribute('Type') || '').split('/').pop(),
+      target: external ? target : resolvePath(dir, target),
+      external
+    });
+  }
+  return rels;
+};
+
+/**
+ * First relationship of a type
+ * @param {Map} rels - From readRels()
+ * @param {string} type - Relationship type name ('slideLayout', 'theme'…)
+ * @returns {string|null} Target path
+ */
+const relTarget = (rels, type) => {
+  for (const rel of rels.values()) {
+    if (rel.type === type) return rel.target;
+  }
+  return null;
+};
+
+// ==================== COLORS ====================
+
+/**
+ * Convert an RGB triple to a hex color, or rgba() when translucent
+ * @param {number[]} rgb - 0–255 channels
+ * @param {number} alpha - 0–1
+ * @returns {string}
+ */
+const toCss = ([r, g, b], alpha) => {
+  const c = [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))));
+  if (alpha < 1) return `rgba(${c.join(', ')}, ${Math.round(alpha * 100) / 100})`;
+  return '#' + c.map(v => v.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Apply DrawingML luminance modifiers (lumMod/lumOff) in HSL space
+ * @param {number[]} rgb
+ * @param {number} mod - Multiplier of the lightness
+ * @param {number} off - Offset added to the lightness
+ * @returns {number[]}
+ */
+const adjustLuminance = (rgb, mod, off) => {
+  const [r, g, b] = rgb.map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h = 0;
+  let s = 0;
+  let l = (max + min) / 2;
+  const d = max - min;
+  if (d > 0) {
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === r) h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
+    else if (max === g) h = ((b - r) / d + 2) / 6;
+    else h = ((r - g) / d + 4) / 6;
+  }
+
+  l = Math.max(0, Math.min(1, l * mod + off));
+
+  if (s === 0) return [l * 255, l * 255, l * 255];
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [hue(h + 1 / 3) * 255, hue(h) * 255, hue(h - 1 / 3) * 255];
+};
+
+/**
+ * Parse a 6-digit hex string into an RGB triple
+ * @param {string} hex
+ * @returns {number[]|null}
+ */
+const hexToRgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+/** Preset color names (a:prstClr) most decks use */
+const PRESET_COLORS = {
+  black: '000000', white: 'FFFFFF', red: 'FF0000', green: '008000', blue: '0000FF',
+  yellow: 'FFFF00', gray: '808080', grey: '808080', orange: 'FFA500', purple: '800080'
+};
+
+/**
+ * Resolve the color inside a fill-like element (a:solidFill, a:gs, a:fontRef…)
+ * @param {Element|null} el - Element whose child is the color
+ * @param {Object} ctx - Part context (theme colors and color map)
+ * @returns {string|null} CSS color, null when there is none
+ */
+const resolveColor = (el, ctx) => {
+  const color = el && Array.from(el.children).find(c => c.localName.endsWith('Clr'));
+  if (!color) return null;
+
+  let rgb = null;
+  const val = color.getAttribute('val');
+  switch (color.localName) {
+    case 'srgbClr':
+      rgb = hexToRgb(val);
+      break;
+    case 'sysClr':
+      rgb = hexToRgb(color.getAttribute('lastClr')) || (val === 'window' ? [255, 255, 255] : [0, 0, 0]);
+      break;
+    case 'prstClr':
+      rgb = hexToRgb(PRESET_COLORS[val] || '000000');
+      break;
+    case 'scrgbClr':
+      rgb = ['r', 'g', 'b'].map(ch => numAttr(color, ch, 0) / 100000 * 255);
+      break;
+    case 'schemeClr': {
+      const mapped = ctx.master?.clrMap[val] || val;
+      rgb = hexToRgb(ctx.theme.colors[mapped]);
+      break;
+    }
+  }
+  if (!rgb) return null;
+
+  let alpha = 1;
+  let lumMod = 1;
+  let lumOff = 0;
+  for (const mod of Array.from(color.children)) {
+    const v = numAttr(mod, 'val', 100000) / 100000;
+    switch (mod.localName) {
+      case 'alpha': alpha = v; break;
+      case 'lumMod': lumMod = v; break;
+      case 'lumOff': lumOff = v; break;
+      case 'shade': rgb = rgb.map(c => c * v); break;
+      case 'tint': rgb = rgb.map(c => c + (255 - c) * (1 - v)); break;
+    }
+  }
+  if (lumMod !== 1 || lumOff !== 0) rgb = adjustLuminance(rgb, lumMod, lumOff);
+
+  return toCss(rgb, alpha);
+};
+
+/**
+ * Convert a fill (solid, gradient) to a CSS color or gradient
+ * @param {Element|null} parent - Element containing the fill (spPr, bgPr, rPr…)
+ * @param {Object} ctx - Part context
+ * @returns {{ fill: string|null, kind: string|null }} kind: 'none', 'solid',
+ *   'gradient', 'picture', 'pattern', 'group' — null when the parent sets no fill
+ */
+const readFill = (parent, ctx) => {
+  if (!parent) return { fill: null, kind: null };
+
+  if (kid(parent, 'noFill')) return { fill: null, kind: 'none' };
+  if (kid(parent, 'solidFill')) return { fill: resolveColor(kid(parent, 'solidFill'), ctx), kind: 'solid' };
+  if (kid(parent, 'blipFill')) return { fill: null, kind: 'picture' };
+  if (kid(parent, 'grpFill')) return { fill: ctx.groupFill || null, kind: 'group' };
+
+  const pattern = kid(parent, 'pattFill');
+  if (pattern) return { fill: resolveColor(kid(pattern, 'fgClr'), ctx), kind: 'pattern' };
+
+  const gradient = kid(parent, 'gradFill');
+  if (gradient) {
+    const stops = kids(kid(gradient, 'gsLst'), 'gs')
+      .map(gs => ({ pos: numAttr(gs, 'pos', 0) / 1000, color: resolveColor(gs, ctx) }))
+      .filter(s => s.color)
+      .sort((a, b) => a.pos - b.pos)
+      .map(s => `${s.color} ${Math.round(s.pos)}%`);
+    if (stops.length === 0) return { fill: null, kind: 'gradient' };
+    if (stops.length === 1) stops.push(stops[0].replace(/\d+%$/, '100%'));
+
+    // a:lin angles run clockwise from "left to right"; CSS 90deg is left to right
+    const lin = kid(gradient, 'lin');
+    const fill = lin || !kid(gradient, 'path')
+      ? `linear-gradient(${Math.round(numAttr(lin, 'ang', 0) / 60000 + 90) % 360}deg, ${stops.join(', ')})`
+      : `radial-gradient(circle, ${stops.join(', ')})`;
+    return { fill, kind: 'gradient' };
+  }
+
+  return { fill: null, kind: null };
+};
+
+// ==================== THEME / MASTER / LAYOUT ====================
+
+/**
+ * Read the colors and fonts of a theme part
+ * @param {Document|null} doc
+ * @returns {{ colors: Object<string, string>, fonts: { major: string|null, minor: string|null } }}
+ */
+const readTheme = (doc) => {
+  const theme = { colors: {}, fonts: { major: null, minor: null } };
+  const elements = doc && kid(doc.documentElement, 'themeElements');
+  if (!elements) return theme;
+
+  for (const entry of Array.from(kid(elements, 'clrScheme')?.children || [])) {
+    const color = entry.children[0];
+    if (!color) continue;
+    theme.colors[entry.localName] = color.localName === 'sysClr'
+      ? color.getAttribute('lastClr')
+      : color.getAttribute('val');
+  }
+
+  const fonts = kid(elements, 'fontScheme');
+  theme.fonts.major = kid(fonts, 'majorFont', 'latin')?.getAttribute('typeface') || null;
+  theme.fonts.minor = kid(fonts, 'minorFont', 'latin')?.getAttribute('typeface') || null;
+  return theme;
+};
+
+/**
+ * Placeholder of a shape (p:nvSpPr/p:nvPr/p:ph, or the p:nvPicPr variant)
+ * @param {Element} shape
+ * @returns {{ type: string, idx: string|null }|null}
+ */
+const placeholderOf = (shape) => {
+  const nv = Array.from(shape.children).find(c => c.localName.startsWith('nv'));
+  const ph = kid(nv, 'nvPr', 'ph');
+  if (!ph) return null;
+  return { type: ph.getAttribute('type') || 'body', idx: ph.getAttribute('idx') };
+};
+
+/**
+ * Text style category of a placeholder in the master's p:txStyles
+ * @param {{ type: string }|null} ph
+ * @returns {'titleStyle'|'bodyStyle'|'otherStyle'}
+ */
+const styleCategory = (ph) => {
+  if (!ph) return 'otherStyle';
+  if (ph.type === 'title' || ph.type === 'ctrTitle') return 'titleStyle';
+  if (['body', 'subTitle', 'obj'].includes(ph.type)) return 'bodyStyle';
+  return 'otherStyle';
+};
+
+/**
+ * Find the placeholder a slide shape inherits from in a layout or master
+ * @param {Element[]} candidates - Placeholder shapes of the layout or master
+ * @param {{ type: string, idx: string|null }} ph
+ * @returns {Element|null}
+ */
+const matchPlaceholder = (candidates, ph) => {
+  if (!ph) return null;
+  const byType = (type) => candidates.find(s => placeholderOf(s).type === type);
+  if (ph.idx != null) {
+    const byIdx = candidates.find(s => placeholderOf(s).idx === ph.idx);
+    if (byIdx) return byIdx;
+  }
+  return byType(ph.type)
+    || (ph.type === 'ctrTitle' ? byType('title') : null)
+    || (['subTitle', 'obj'].includes(ph.type) ? byType('body') : null);
+};
+
+/**
+ * Shape tree children of a part, unwrapping mc:AlternateContent
+ * @param {Element|null} tree - p:spTree or p:grpSp
+ * @returns {Element[]}
+ */
+const treeShapes = (tree) => {
+  const shapes = [];
+  for (const child of Array.from(tree?.children || [])) {
+    if (child.localName === 'AlternateContent') {
+      // The fallback holds the plain OOXML version of newer content
+      const fallback = kid(child, 'Fallback') || kid(child, 'Choice');
+      shapes.push(...treeShapes(fallback));
+    } else if (!['nvGrpSpPr', 'grpSpPr', 'extLst'].includes(child.localName)) {
+      shapes.push(child);
+    }
+  }
+  return shapes;
+};
+
+// ==================== GEOMETRY ====================
+
+/**
+ * Read a:xfrm (or p:xfrm on graphic frames) of a shape
+ * @param {Element} shape
+ * @returns {{ x: number, y: number, cx: number, cy: number, rot: number, flip: boolean }|null} EMU
+ */
+const readXfrm = (shape) => {
+  const props = Array.from(shape.children).find(c => c.localName === 'spPr' || c.localName === 'grpSpPr');
+  const xfrm = kid(props, 'xfrm') || kid(shape, 'xfrm');
+  const off = kid(xfrm, 'off');
+  const ext = kid(xfrm, 'ext');
+  if (!off || !ext) return null;
+  return {
+    x: numAttr(off, 'x', 0),
+    y: numAttr(off, 'y', 0),
+    cx: numAttr(ext, 'cx', 0),
+    cy: numAttr(ext, 'cy', 0),
+    rot: numAttr(xfrm, 'rot', 0) / 60000,
+    flip: xfrm.getAttribute('flipH') === '1' || xfrm.getAttribute('flipV') === '1'
+  };
+};
+
+/**
+ * Map a rectangle in group coordinates to slide EMU, then to canvas pixels
+ * @param {{ x: number, y: number, cx: number, cy: number, rot: number }} xfrm
+ * @param {Object} ctx - Part context (group transform and page scale)
+ * @returns {{ x: number, y: number, width: number, height: number, rotation: number }}
+ */
+const toPosition = (xfrm, ctx) => {
+  const { sx, sy, dx, dy } = ctx.group;
+  const { scale, offsetX, offsetY } = ctx.page;
+  return {
+    x: Math.round(offsetX + (xfrm.x * sx + dx) * scale),
+    y: Math.round(offsetY + (xfrm.y * sy + dy) * scale),
+    width: Math.max(1, Math.round(xfrm.cx * sx * scale)),
+    height: Math.max(1, Math.round(xfrm.cy * sy * scale)),
+    rotation: Math.round(xfrm.rot)
+  };
+};
+
+/**
+ * Points to canvas pixels at the page scale
+ * @param {number} pt
+ * @param {Object} ctx
+ * @returns {number}
+ */
+const ptToPx = (pt, ctx) => pt * EMU_PER_PT * ctx.page.scale;
+
+// ==================== TEXT ====================
+
+/**
+ * Paragraph property elements a paragraph inherits from, most specific first:
+ * the paragraph's own a:pPr, the list styles of the shape, its layout and
+ * master placeholders, the master's text style and the presentation default.
+ * @param {Element} paragraph - a:p
+ * @param {Object} text - Text context from readTextBody()
+ * @returns {Element[]}
+ */
+const paragraphStyles = (paragraph, text) => {
+  const lvl = numAttr(kid(paragraph, 'pPr'), 'lvl', 0) + 1;
+  const chain = [kid(paragraph, 'pPr')];
+  for (const lstStyle of text.lstStyles) chain.push(kid(lstStyle, `lvl${lvl}pPr`));
+  chain.push(kid(text.txStyle, `lvl${lvl}pPr`));
+  chain.push(kid(text.defaultStyle, `lvl${lvl}pPr`));
+  return chain.filter(Boolean);
+};
+
+/**
+ * First value a getter finds along an inheritance chain
+ * @param {Array<Element|null>} chain
+ * @param {(el: Element) => *} get - Returns null/undefined to continue
+ * @returns {*}
+ */
+const inherit = (chain, get) => {
+  for (const el of chain) {
+    if (!el) continue;
+    const value = get(el);
+    if (value != null) return value;
+  }
+  return null;
+};
+
+/**
+ * Read the text of a txBody as paragraphs with resolved formatting
+ * @param {Element} txBody - p:txBody
+ * @param {Object} text - Inherited styles: { lstStyles, txStyle, defaultStyle, bodyPrs }
+ * @param {Object} ctx - Part context
+ * @returns {{ paragraphs: Array<Object>, verticalAlign: string, mixedFormatting: boolean }}
+ */
+const readTextBody = (txBody, text, ctx) => {
+  const bodyPrs = [kid(txBody, 'bodyPr'), ...text.bodyPrs];
+  const anchor = inherit(bodyPrs, el => el.getAttribute('anchor'));
+  const fontScale = numAttr(kid(txBody, 'bodyPr', 'normAutofit'), 'fontScale', 100000) / 100000;
+  text = { ...text, lstStyles: [kid(txBody, 'lstStyle'), ...text.lstStyles] };
+
+  let mixedFormatting = false;
+  const paragraphs = kids(txBody, 'p').map((p) => {
+    const styles = paragraphStyles(p, text);
+    const runs = Array.from(p.children).filter(c => ['r', 'fld', 'br'].includes(c.localName));
+    const content = runs.map(r => (r.localName === 'br' ? '\n' : kid(r, 't')?.textContent || '')).join('');
+
+    // Formatting of each text run, falling back to the inherited defRPr
+    const defRPrs = styles.map(s => kid(s, 'defRPr'));
+    const fonts = runs
+      .filter(r => r.localName !== 'br' && kid(r, 't')?.textContent)
+      .map(r => readRunFont([kid(r, 'rPr'), ...defRPrs], fontScale, ctx));
+    if (fonts.length === 0) fonts.push(readRunFont([kid(p, 'endParaRPr'), ...defRPrs], fontScale, ctx));
+    if (fonts.some(f => !sameFont(f, fonts[0]))) mixedFormatting = true;
+
+    const bullet = inherit(styles, (s) => {
+      if (kid(s, 'buNone')) return 'none';
+      if (kid(s, 'buAutoNum')) return 'number';
+      if (kid(s, 'buChar') || kid(s, 'buBlip')) return 'char';
+      return null;
+    });
+
+    return {
+      text: content,
+      level: numAttr(kid(p, 'pPr'), 'lvl', 0),
+      bullet: bullet === 'none' ? null : bullet,
+      alignment: ALIGNMENT[inherit(styles, s => s.getAttribute('algn'))] || 'left',
+      font: fonts[0]
+    };
+  });
+
+  return { paragraphs, verticalAlign: VERTICAL_ALIGN[anchor] || 'top', mixedFormatting };
+};
+
+/**
+ * Resolve the font of a text run from its a:rPr and inherited a:defRPr elements
+ * @param {Array<Element|null>} chain - rPr first
+ * @param {number} fontScale - Shrink-on-overflow factor of the text body
+ * @param {Object} ctx - Part context
+ * @returns {{ family: string|null, size: number, color: string|null, weight: string, style: string, decoration: string }}
+ */
+const readRunFont = (chain, fontScale, ctx) => {
+  const typeface = inherit(chain, r => kid(r, 'latin')?.getAttribute('typeface'));
+  const family = typeface === '+mj-lt' ? ctx.theme.fonts.major
+    : typeface === '+mn-lt' ? ctx.theme.fonts.minor
+      : typeface;
+  const sizePt = (inherit(chain, r => numAttr(r, 'sz')) ?? DEFAULT_FONT_PT * 100) / 100;
+  const underline = inherit(chain, r => r.getAttribute('u'));
+  const strike = inherit(chain, r => r.getAttribute('strike'));
+
+  return {
+    family: family || ctx.theme.fonts.minor,
+    size: Math.max(1, Math.round(ptToPx(sizePt * fontScale, ctx))),
+    color: inherit(chain, r => readFill(r, ctx).fill),
+    weight: inherit(chain, r => r.getAttribute('b')) === '1' ? 'bold' : 'normal',
+    style: inherit(chain, r => r.getAttribute('i')) === '1' ? 'italic' : 'normal',
+    decoration: underline && underline !== 'none' ? 'underline'
+      : strike && strike !== 'noStrike' ? 'line-through'
+        : 'none'
+  };
+};
+
+/**
+ * Compare the parts of two fonts a TextElement can only hold once
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+const sameFont = (a, b) => ['family', 'size', 'color', 'weight', 'style', 'decoration']
+  .every(key => a[key] === b[key]);
+
+/**
+ * Build the element font of a TextElement or ListElement
+ * @param {Object} font - From readRunFont()
+ * @param {string} alignment
+ * @param {string} verticalAlign
+ * @returns {Object}
+ */
+const elementFont = (font, alignment, verticalAlign) => ({
+  ...(font.family ? { family: font.family } : {}),
+  size: font.size,
+  color: font.color || '#000000',
+  weight: font.weight,
+  style: font.style,
+  decoration: font.decoration,
+  alignment,
+  verticalAlign
+});
+
+// ==================== SUMMARY ====================
+
+/**
+ * Create the import summary
+ * @returns {Object} Summary with a report(feature, slideNumber) method
+ */
+const createSummary = () => {
+  const unsupported = new Map();
+  return {
+    slides: 0,
+    shells: 0,
+    elements: 0,
+    images: 0,
+    unsupported: [],
+
+    /**
+     * Count a construct that could not be imported (or only approximately)
+     * @param {string} feature - Human-readable name, plural
+     * @param {number|null} slideNumber - 1-based slide, null for masters/layouts
+     */
+    report(feature, slideNumber) {
+      let entry = unsupported.get(feature);
+      if (!entry) {
+        entry = { feature, count: 0, slides: [] };
+        unsupported.set(feature, entry);
+        this.unsupported.push(entry);
+      }
+      entry.count++;
+      if (slideNumber != null && !entry.slides.includes(slideNumber)) entry.slides.push(slideNumber);
+    }
+  };
+};
+
+// ==================== SHAPES ====================
+
+/**
+ * Convert the shapes of a shape tree to element JSON
+ * @param {Element[]} shapes - From treeShapes()
+ * @param {Object} ctx - Part context
+ * @returns {Object[]} Serialized elements
+ */
+const convertShapes = (shapes, ctx) => {
+  const elements = [];
+  for (const shape of shapes) {
+    switch (shape.localName) {
+      case 'sp':
+      case 'cxnSp':
+        elements.push(...convertShape(shape, ctx));
+        break;
+      case 'pic':
+        elements.push(...convertPicture(shape, ctx));
+        break;
+      case 'grpSp':
+        elements.push(...convertGroup(shape, ctx));
+        break;
+      case 'graphicFrame': {
+        const uri = kid(shape, 'graphic', 'graphicData')?.getAttribute('uri') || '';
+        ctx.summary.report(GRAPHIC_KINDS[uri.split('/').pop()] || 'Embedded graphics', ctx.slideNumber);
+        break;
+      }
+      case 'contentPart':
+        ctx.summary.report('Ink drawings', ctx.slideNumber);
+        break;
+    }
+  }
+  return elements;
+};
+
+/**
+ * Flatten a group: its children are placed with the group's transform
+ * @param {Element} group - p:grpSp
+ * @param {Object} ctx
+ * @returns {Object[]}
+ */
+const convertGroup = (group, ctx) => {
+  const xfrm = kid(group, 'grpSpPr', 'xfrm');
+  const off = kid(xfrm, 'off');
+  const ext = kid(xfrm, 'ext');
+  const chOff = kid(xfrm, 'chOff');
+  const chExt = kid(xfrm, 'chExt');
+  if (numAttr(xfrm, 'rot', 0) !== 0) ctx.summary.report('Rotated groups (rotation ignored)', ctx.slideNumber);
+
+  // child coords → group coords: off + (child - chOff) * ext / chExt
+  const gx = numAttr(ext, 'cx', 0) / (numAttr(chExt, 'cx', 0) || numAttr(ext, 'cx', 1) || 1);
+  const gy = numAttr(ext, 'cy', 0) / (numAttr(chExt, 'cy', 0) || numAttr(ext, 'cy', 1) || 1);
+  const tx = numAttr(off, 'x', 0) - numAttr(chOff, 'x', 0) * gx;
+  const ty = numAttr(off, 'y', 0) - numAttr(chOff, 'y', 0) * gy;
+  const { sx, sy, dx, dy } = ctx.group;
+
+  const groupFill = readFill(kid(group, 'grpSpPr'), ctx).fill;
+  return convertShapes(treeShapes(group), {
+    ...ctx,
+    groupFill: groupFill || ctx.groupFill,
+    group: { sx: sx * gx, sy: sy * gy, dx: dx + tx * sx, dy: dy + ty * sy }
+  });
+};
+
+/**
+ * Position of a shape, inherited from its layout/master placeholder when the
+ * shape has none of its own
+ * @param {Element} shape
+ * @param {Object} ctx
+ * @returns {Object|null} Element position, null when unknown
+ */
+const shapePosition = (shape, ctx) => {
+  let xfrm = readXfrm(shape);
+  if (!xfrm) {
+    const ph = placeholderOf(shape);
+    const inherited = [matchPlaceholder(ctx.layout?.placeholders || [], ph), matchPlaceholder(ctx.master?.placeholders || [], ph)];
+    xfrm = inherit(inherited, readXfrm);
+  }
+  if (!xfrm) return null;
+  if (xfrm.flip) ctx.summary.report('Flipped shapes and pictures (flip ignored)', ctx.slideNumber);
+  return toPosition(xfrm, ctx);
+};
+
+/**
+ * Text styles a shape inherits: list styles and body properties of the
+ * matching layout and master placeholders, and the master text style
+ * @param {Element} shape
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+const inheritedTextStyles = (shape, ctx) => {
+  const ph = placeholderOf(shape);
+  const sources = ph
+    ? [matchPlaceholder(ctx.layout?.placeholders || [], ph), matchPlaceholder(ctx.master?.placeholders || [], ph)]
+    : [];
+  return {
+    lstStyles: sources.map(s => kid(s, 'txBody', 'lstStyle')),
+    bodyPrs: sources.map(s => kid(s, 'txBody', 'bodyPr')),
+    txStyle: kid(ctx.master?.txStyles, styleCategory(ph)),
+    defaultStyle: ph ? null : ctx.defaultTextStyle
+  };
+};
+
+/**
+ * Convert a shape (p:sp) or connector (p:cxnSp) to a ShapeElement and/or a
+ * TextElement/ListElement on top of it
+ * @param {Element} shape
+ * @param {Object} ctx
+ * @returns {Object[]}
+ */
+const convertShape = (shape, ctx) => {
+  const position = shapePosition(shape, ctx);
+  if (!position) return [];
+
+  const name = kid(shape, 'nvSpPr', 'cNvPr')?.getAttribute('name')
+    || kid(shape, 'nvCxnSpPr', 'cNvPr')?.getAttribute('name') || '';
+  const spPr = kid(shape, 'spPr');
+  const style = kid(shape, 'style');
+  const elements = [];
+
+  // Geometry: fill from spPr, else the theme reference of p:style
+  let { fill, kind } = readFill(spPr, ctx);
+  if (kind === null && numAttr(kid(style, 'fillRef'), 'idx', 0) > 0) fill = resolveColor(kid(style, 'fillRef'), ctx);
+  if (kind === 'picture') ctx.summary.report('Picture fills in shapes', ctx.slideNumber);
+  if (kind === 'pattern') ctx.summary.report('Pattern fills (foreground color used)', ctx.slideNumber);
+
+  // Outline: a:ln (default width 0.75pt), else the theme reference of p:style
+  const ln = kid(spPr, 'ln');
+  const line = readFill(ln, ctx);
+  let stroke = line.fill;
+  if (line.kind === null && numAttr(kid(style, 'lnRef'), 'idx', 0) > 0) stroke = resolveColor(kid(style, 'lnRef'), ctx);
+  const strokeWidth = Math.max(1, Math.round(numAttr(ln, 'w', 9525) * ctx.page.scale));
+
+  const geometry = kid(spPr, 'prstGeom')?.getAttribute('prst') || (kid(spPr, 'custGeom') ? 'custom' : null);
+  let shapeType = SHAPE_TYPES[geometry];
+  const isLine = shapeType === 'line';
+
+  if ((fill || stroke) && geometry) {
+    if (!shapeType) {
+      ctx.summary.report(geometry === 'custom' ? 'Freeform shapes (drawn as rectangles)' : 'Other preset shapes (drawn as rectangles)', ctx.slideNumber);
+      shapeType = 'rectangle';
+    }
+    elements.push({
+      type: 'shape',
+      name,
+      position: isLine ? linePosition(position, strokeWidth, ctx) : position,
+      properties: {
+        shapeType,
+        // Lines are drawn with fillColor
+        fillColor: (isLine ? stroke : fill) || 'transparent',
+        strokeColor: stroke || 'transparent',
+        strokeWidth
+      }
+    });
+  }
+
+  const txBody = kid(shape, 'txBody');
+  if (txBody) {
+    const textElement = convertText(txBody, name, position, inheritedTextStyles(shape, ctx), ctx);
+    if (textElement) elements.push(textElement);
+  }
+  return elements;
+};
+
+/**
+ * Lay a line out the way ShapeElement draws it: horizontally through the
+ * middle of its box. Vertical lines are turned by 90°.
+ * @param {Object} position - Bounding box of the line
+ * @param {number} strokeWidth
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+const linePosition = (position, strokeWidth, ctx) => {
+  const { x, y, width, height, rotation } = position;
+  if (Math.min(width, height) > 2) ctx.summary.report('Diagonal lines (drawn horizontal)', ctx.slideNumber);
+
+  const vertical = height > width;
+  const length = Math.max(width, height);
+  const thickness = Math.max(strokeWidth, 2);
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  return {
+    x: Math.round(cx - length / 2),
+    y: Math.round(cy - thickness / 2),
+    width: length,
+    height: thickness,
+    rotation: (rotation + (vertical ? 90 : 0)) % 360
+  };
+};
+
+/**
+ * Convert a text body to a ListElement when every paragraph is a bullet,
+ * else to a TextElement
+ * @param {Element} txBody
+ * @param {string} name
+ * @param {Object} position
+ * @param {Object} styles - From inheritedTextStyles()
+ * @param {Object} ctx
+ * @returns {Object|null} null when the text is empty
+ */
+const convertText = (txBody, name, position, styles, ctx) => {
+  const { paragraphs, verticalAlign, mixedFormatting } = readTextBody(txBody, styles, ctx);
+  const filled = paragraphs.filter(p => p.text.trim());
+  if (filled.length === 0) return null;
+
+  if (kid(txBody, 'bodyPr')?.getAttribute('vert') && kid(txBody, 'bodyPr').getAttribute('vert') !== 'horz') {
+    ctx.summary.report('Vertical text (imported horizontal)', ctx.slideNumber);
+  }
+  if (mixedFormatting || filled.some(p => !sameFont(p.font, filled[0].font))) {
+    ctx.summary.report('Mixed text formatting in one box (first style used)', ctx.slideNumber);
+  }
+
+  const first = filled[0];
+  const font = elementFont(first.font, first.alignment, verticalAlign);
+
+  if (filled.every(p => p.bullet)) {
+    if (filled.some(p => p.level > 0)) ctx.summary.report('Nested list levels (flattened)', ctx.slideNumber);
+    return {
+      type: 'list',
+      name,
+      position,
+      properties: {
+        font,
+        listType: first.bullet === 'number' ? 'ordered' : 'unordered',
+        items: filled.map(p => p.text)
+      }
+    };
+  }
+
+  // Mixed text: keep bullets and numbering as plain text prefixes
+  let number = 0;
+  const lines = paragraphs.map((p) => {
+    number = p.bullet === 'number' ? number + 1 : 0;
+    if (!p.bullet || !p.text) return p.text;
+    return p.bullet === 'number' ? `${number}. ${p.text}` : `• ${p.text}`;
+  });
+
+  return {
+    type: 'text',
+    name,
+    position,
+    properties: {
+      font,
+      text: lines.join('\n').replace(/\n+$/, '')
+    }
+  };
+};
+
+/**
+ * Convert a picture (p:pic) to an ImageElement
+ * @param {Element} pic
+ * @param {Object} ctx
+ * @returns {Object[]}
+ */
+const convertPicture = (pic, ctx) => {
+  const nvPr = kid(pic, 'nvPicPr', 'nvPr');
+  const media = nvPr?.getElementsByTagNameNS('*', 'media').length > 0;
+  if (kid(nvPr, 'videoFile') || kid(nvPr, 'audioFile') || media) {
+    ctx.summary.report('Video and audio clips', ctx.slideNumber);
+    return [];
+  }
+
+  const blip = kid(pic, 'blipFill', 'blip');
+  const rel = ctx.rels.get(blip?.getAttribute('r:embed') || blip?.getAttribute('r:link'));
+  if (!rel || rel.external) {
+    ctx.summary.report('Linked pictures', ctx.slideNumber);
+    return [];
+  }
+  if (UNSUPPORTED_IMAGE.test(rel.target)) {
+    ctx.summary.report('EMF/WMF/TIFF pictures', ctx.slideNumber);
+    return [];
+  }
+
+  const position = shapePosition(pic, ctx);
+  if (!position) return [];
+
+  const element = {
+    type: 'image',
+    name: kid(pic, 'nvPicPr', 'cNvPr')?.getAttribute('name') || '',
+    position,
+    properties: {
+      url: rel.target,
+      objectFit: 'fill',
+      aspectRatio: position.width / position.height
+    }
+  };
+
+  // a:srcRect insets are 1000ths of a percent of the image, negative = padding
+  const srcRect = kid(pic, 'blipFill', 'srcRect');
+  if (srcRect) {
+    const [l, t, r, b] = ['l', 't', 'r', 'b'].map(side => numAttr(srcRect, side, 0) / 100000);
+    if (l || t || r || b) {
+      const contentWidth = position.width / Math.max(0.01, 1 - l - r);
+      const contentHeight = position.height / Math.max(0.01, 1 - t - b);
+      element.properties.crop = {
+        contentWidth: Math.round(contentWidth),
+        contentHeight: Math.round(contentHeight),
+        contentLeft: Math.round(-l * contentWidth),
+        contentTop: Math.round(-t * contentHeight)
+      };
+    }
+  }
+
+  ctx.summary.images++;
+  return [element];
+};
+
+/**
+ * Background of a slide, layout or master (p:cSld/p:bg)
+ * @param {Document|null} doc
+ * @param {Object} ctx
+ * @returns {{ color: string|null, image: string|null }|null} null when the part sets none
+ */
+const readBackground = (doc, ctx) => {
+  const bg = doc && kid(doc.documentElement, 'cSld', 'bg');
+  if (!bg) return null;
+
+  const bgRef = kid(bg, 'bgRef');
+  if (bgRef) return { color: resolveColor(bgRef, ctx), image: null };
+
+  const bgPr = kid(bg, 'bgPr');
+  const { fill, kind } = readFill(bgPr, ctx);
+  if (kind === 'picture') {
+    const rel = ctx.rels.get(kid(bgPr, 'blipFill', 'blip')?.getAttribute('r:embed'));
+    if (rel && !rel.external && !UNSUPPORTED_IMAGE.test(rel.target)) return { color: null, image: rel.target };
+    ctx.summary.report('Picture backgrounds', ctx.slideNumber);
+    return null;
+  }
+  return fill ? { color: fill, image: null } : null;
+};
+
+// ==================== PACKAGE ====================
+
+/**
+ * Load a slide master: theme, color map, text styles and placeholders. Its
+ * pictures and shapes become a shell.
+ * @param {JSZip} zip
+ * @param {string} path
+ * @param {Object} base - Presentation-wide context
+ * @returns {Promise<Object>}
+ */
+const loadMaster = async (zip, path, base) => {
+  const doc = await readXml(zip, path);
+  const rels = await readRels(zip, path);
+  const theme = readTheme(await readXml(zip, relTarget(rels, 'theme') || ''));
+  const clrMapEl = doc && kid(doc.documentElement, 'clrMap');
+  const clrMap = {};
+  for (const attr of Array.from(clrMapEl?.attributes || [])) clrMap[attr.name] = attr.value;
+
+  const shapes = treeShapes(doc && kid(doc.documentElement, 'cSld', 'spTree'));
+  const master = {
+    path,
+    doc,
+    theme,
+    clrMap,
+    rels,
+    txStyles: doc && kid(doc.documentElement, 'txStyles'),
+    placeholders: shapes.filter(s => placeholderOf(s)),
+    name: doc && kid(doc.documentElement, 'cSld')?.getAttribute('name'),
+    shell: null
+  };
+
+  // Placeholders on masters are prompts; everything else is drawn on every slide
+  const ctx = { ...base, master, theme, rels, slideNumber: null };
+  const elements = convertShapes(shapes.filter(s => !placeholderOf(s)), ctx);
+  if (elements.length > 0) {
+    master.shell = {
+      id: generateId('slide'),
+      title: master.name || `Master ${base.masterCount + 1}`,
+      background: 'transparent',
+      elements
+    };
+  }
+  return master;
+};
+
+/**
+ * Load a slide layout and its master
+ * @param {JSZip} zip
+ * @param {string} path
+ * @param {Object} base - Presentation-wide context
+ * @param {Map<string, Object>} masters - Loaded masters by path (filled as needed)
+ * @returns {Promise<Object>}
+ */
+const loadLayout = async (zip, path, base, masters) => {
+  const doc = await readXml(zip, path);
+  const rels = await readRels(zip, path);
+  const masterPath = relTarget(rels, 'slideMaster');
+
+  let master = masterPath ? masters.get(masterPath) : null;
+  if (masterPath && !master) {
+    master = await loadMaster(zip, masterPath, { ...base, masterCount: masters.size });
+    masters.set(masterPath, master);
+  }
+
+  const shapes = treeShapes(doc && kid(doc.documentElement, 'cSld', 'spTree'));
+  return {
+    doc,
+    rels,
+    master,
+    showMasterShapes: doc?.documentElement.getAttribute('showMasterSp') !== '0',
+    placeholders: shapes.filter(s => placeholderOf(s)),
+    decorations: shapes.filter(s => !placeholderOf(s))
+  };
+};
+
+/**
+ * Read the title of the presentation from docProps/core.xml
+ * @param {JSZip} zip
+ * @returns {Promise<string|null>}
+ */
+const readTitle = async (zip) => {
+  const core = await readXml(zip, 'docProps/core.xml');
+  const title = core && Array.from(core.documentElement.children).find(c => c.localName === 'title');
+  return title?.textContent.trim() || null;
+};
+
+/**
+ * Read the speaker notes of a slide: the text of the body placeholder of
+ * its notes slide, paragraphs on their own lines
+ * @param {JSZip} zip
+ * @param {string} path - Notes slide part path
+ * @returns {Promise<string>}
+ */
+const readNotes = async (zip, path) => {
+  const doc = await readXml(zip, path);
+  const body = doc && treeShapes(kid(doc.documentElement, 'cSld', 'spTree'))
+    .find(shape => placeholderOf(shape)?.type === 'body');
+  const paragraphs = kids(kid(body, 'txBody'), 'p').map(p => Array.from(p.children).map((c) => {
+    if (c.localName === 'br') return '\n';
+    return ['r', 'fld'].includes(c.localName) ? kid(c, 't')?.textContent || '' : '';
+  }).join(''));
+  return paragraphs.join('\n').trim();
+};
+
+/**
+ * Convert a .pptx package to WOW3 presentation JSON.
+ * Picture URLs are package paths (ppt/media/image1.png); the caller ingests
+ * them into MediaDB and rewrites the URLs.
+ * @param {JSZip} zip - Loaded .pptx package
+ * @param {string} [fileName=''] - Original file name, for the title fallback
+ * @returns {Promise<{ data: Object, media: string[], summary: Object }>}
+ *   media: package paths of the pictures referenced by data
+ */
+export const parsePptx = async (zip, fileName = '') => {
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('Invalid .pptx file: missing ppt/presentation.xml');
+  const root = presentation.documentElement;
+  const presRels = await readRels(zip, 'ppt/presentation.xml');
+  const summary = createSummary();
+
+  // Fit the slide onto the canvas, centered when the aspect ratio differs
+  const sldSz = kid(root, 'sldSz');
+  const cx = numAttr(sldSz, 'cx', DEFAULT_SLIDE_SIZE.cx);
+  const cy = numAttr(sldSz, 'cy', DEFAULT_SLIDE_SIZE.cy);
+  const scale = Math.min(CANVAS.WIDTH / cx, CANVAS.HEIGHT / cy);
+  if (Math.abs(cx / cy - CANVAS.ASPECT_RATIO) > 0.01) {
+    summary.report('Slides not in 16:9 (centered on the canvas)', null);
+  }
+
+  const base = {
+    summary,
+    page: { scale, offsetX: (CANVAS.WIDTH - cx * scale) / 2, offsetY: (CANVAS.HEIGHT - cy * scale) / 2 },
+    group: { sx: 1, sy: 1, dx: 0, dy: 0 },
+    groupFill: null,
+    defaultTextStyle: kid(root, 'defaultTextStyle'),
+    theme: { colors: {}, fonts: { major: null, minor: null } },
+    master: null,
+    layout: null
+  };
+
+  const masters = new Map();
+  const layouts = new Map();
+  const slides = [];
+
+  const slideIds = kids(kid(root, 'sldIdLst'), 'sldId');
+  for (const [i, sldId] of slideIds.entries()) {
+    const slideNumber = i + 1;
+    const path = presRels.get(sldId.getAttribute('r:id'))?.target;
+    const doc = path && await readXml(zip, path);
+    if (!doc) {
+      summary.report('Unreadable slides', slideNumber);
+      continue;
+    }
+    const rels = await readRels(zip, path);
+
+    const layoutPath = relTarget(rels, 'slideLayout');
+    let layout = layoutPath ? layouts.get(layoutPath) : null;
+    if (layoutPath && !layout) {
+      layout = await loadLayout(zip, layoutPath, base, masters);
+      layouts.set(layoutPath, layout);
+    }
+    const master = layout?.master || null;
+    const theme = master?.theme || base.theme;
+    const ctx = { ...base, master, layout, theme, rels, slideNumber };
+
+    // Background: the slide's own, else its layout's, else its master's
+    const background = readBackground(doc, ctx)
+      || (layout && readBackground(layout.doc, { ...ctx, rels: layout.rels }))
+      || (master && readBackground(master.doc, { ...ctx, rels: master.rels }));
+
+    const elements = [];
+    if (background?.image) {
+      elements.push({
+        type: 'image',
+        name: 'Background',
+        position: { x: 0, y: 0, width: CANVAS.WIDTH, height: CANVAS.HEIGHT, rotation: 0 },
+        properties: { url: background.image, objectFit: 'cover' }
+      });
+      summary.images++;
+    }
+
+    const showMasterShapes = doc.documentElement.getAttribute('showMasterSp') !== '0';
+    if (layout && showMasterShapes) {
+      elements.push(...convertShapes(layout.decorations, { ...ctx, rels: layout.rels }));
+    }
+
+    const shapes = treeShapes(kid(doc.documentElement, 'cSld', 'spTree'));
+    elements.push(...convertShapes(shapes, ctx));
+    summary.elements += elements.length;
+
+    const titleShape = shapes.find(s => ['title', 'ctrTitle'].includes(placeholderOf(s)?.type));
+    const title = Array.from(titleShape?.getElementsByTagNameNS('*', 't') || [])
+      .map(t => t.textContent).join('').trim();
+
+    if (kid(doc.documentElement, 'transition')) summary.report('Slide transitions', slideNumber);
+    if (kid(doc.documentElement, 'timing')) summary.report('Animations', slideNumber);
+    const notesPath = relTarget(rels, 'notesSlide');
+    const notes = notesPath ? await readNotes(zip, notesPath) : '';
+
+    const useShell = master?.shell && showMasterShapes && layout.showMasterShapes;
+    slides.push({
+      title: title || `Slide ${slideNumber}`,
+      background: background?.color || '#ffffff',
+      visible: doc.documentElement.getAttribute('show') !== '0',
+      shellId: useShell ? master.shell.id : null,
+      shellMode: 'below',
+      notes,
+      elements
+    });
+  }
+
+  if (slides.length === 0) throw new Error('Invalid .pptx file: no readable slides');
+
+  const shells = [...masters.values()].map(m => m.shell).filter(Boolean);
+  summary.slides = slides.length;
+  summary.shells = shells.length;
+
+  // Package paths of every picture the presentation refers to
+  const media = new Set();
+  for (const slide of [...slides, ...shells]) {
+    for (const el of slide.elements) {
+      if (el.type === 'image') media.add(el.properties.url);
+    }
+  }
+
+  const data = {
+    title: await readTitle(zip) || fileName.replace(/\.pptx$/i, '') || 'Imported Presentation',
+    slides,
+    shells,
+    defaultShellId: shells[0]?.id || null
+  };
+
+  return { data, media: [...media], summary };
+};
+
+/**
+ * Describe an import summary as HTML for a dialog
+ * @param {Object} summary - From parsePptx()
+ * @returns {string}
+ */
+export const formatPptxSummary = (summary) => {
+  const escape = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const counts = `${summary.slides} slide${summary.slides === 1 ? '' : 's'}, ${summary.elements} elements, `
+    + `${summary.images} picture${summary.images === 1 ? '' : 's'}`
+    + (summary.shells ? `, ${summary.shells} shell${summary.shells === 1 ? '' : 's'} from slide masters` : '');
+
+  if (summary.unsupported.length === 0) return `<p>Imported ${counts}.</p>`;
+
+  const rows = summary.unsupported.map(({ feature, count, slides }) => {
+    const where = slides.length > 0 ? ` — slide${slides.length === 1 ? '' : 's'} ${slides.join(', ')}` : '';
+    return `<li>${escape(feature)}: ${count}${where}</li>`;
+  });
+  return `<p>Imported ${counts}.</p><p>Not imported, or only approximated:</p><ul>${rows.join('')}</ul>`;
+};
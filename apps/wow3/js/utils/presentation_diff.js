@@ -0,0 +1,253 @@
+/**
+ * WOW3 Presentation Diff
+ * Compares two serialized presentations (e.g. two versions from VersionsDB)
+ * slide by slide and element by element. Slides, shells, layouts and
+ * elements are matched by id, so moved or restyled items show up as modified
+ * rather than as a removal plus an addition. Slides are compared as they look,
+ * resolved against their layouts.
+ */
+
+import { resolveLayouts } from './slide_layouts.js';
+import { normalizeTheme } from './deck_themes.js';
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Slide fields that change without the user editing the slide */
+const VOLATILE_SLIDE_FIELDS = ['thumbnailId'];
+
+/** Slide fields compared separately (not reported as slide-level changes) */
+const STRUCTURAL_SLIDE_FIELDS = ['id', 'elements'];
+
+/** Element fields compared separately */
+const STRUCTURAL_ELEMENT_FIELDS = ['id', 'type', 'children'];
+
+// ─── Helpers ─────────────────────────────────────────────
+
+/**
+ * Deep equality of two JSON values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Names of the keys whose values differ between two objects
+ * @param {Object} a
+ * @param {Object} b
+ * @param {string[]} [skip=[]] - Keys to ignore
+ * @returns {string[]}
+ */
+const changedKeys = (a = {}, b = {}, skip = []) => {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].filter(key => !skip.includes(key) && !sameValue(a?.[key], b?.[key]));
+};
+
+/**
+ * Flatten an element tree into a map of id → { element, parentId, order }
+ * @param {Object[]} elements - Serialized elements
+ * @param {string|null} [parentId=null]
+ * @param {Map<string, Object>} [map=new Map()]
+ * @returns {Map<string, Object>}
+ */
+const flattenElements = (elements = [], parentId = null, map = new Map()) => {
+  elements.forEach((element, order) => {
+    map.set(element.id, { element, parentId, order });
+    flattenElements(element.children, element.id, map);
+  });
+  return map;
+};
+
+/**
+ * Compare the elements of two versions of a slide
+ * @param {Object[]} fromElements
+ * @param {Object[]} toElements
+ * @returns {Array<{ id: string, type: string, name: string, status: string, fields: string[] }>}
+ *   Changed elements only; fields lists what changed on modified ones
+ *   ('properties.text', 'position', 'order'…)
+ */
+const diffElements = (fromElements, toElements) => {
+  const before = flattenElements(fromElements);
+  const after = flattenElements(toElements);
+  const changes = [];
+
+  for (const [id, entry] of after) {
+    const { element } = entry;
+    const old = before.get(id);
+    if (!old) {
+      changes.push({ id, type: element.type, name: element.name, status: 'added', fields: [] });
+      continue;
+    }
+
+    const fields = changedKeys(old.element, element, [...STRUCTURAL_ELEMENT_FIELDS, 'properties'])
+      .concat(changedKeys(old.element.properties, element.properties).map(key => `properties.${key}`));
+    if (old.parentId !== entry.parentId || old.order !== entry.order) fields.push('order');
+
+    if (fields.length > 0) {
+      changes.push({ id, type: element.type, name: element.name, status: 'modified', fields });
+    }
+  }
+
+  for (const [id, { element }] of before) {
+    if (!after.has(id)) {
+      changes.push({ id, type: element.type, name: element.name, status: 'removed', fields: [] });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Positions of a longest strictly increasing subsequence
+ * @param {number[]} values
+ * @returns {number[]} Positions in `values`, ascending
+ */
+const longestIncreasing = (values) => {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+
+  values.forEach((value, position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[position] = tails[low - 1];
+    tails[low] = position;
+  });
+
+  const result = [];
+  for (let position = tails[tails.length - 1] ?? -1; position !== -1; position = previous[position]) {
+    result.unshift(position);
+  }
+  return result;
+};
+
+/**
+ * Compare two lists of slides (or shells, or layouts)
+ * @param {Object[]} fromSlides
+ * @param {Object[]} toSlides
+ * @returns {Array<Object>} One entry per slide, in the order of the newer list
+ *   with removed slides kept next to their old neighbours
+ */
+const diffSlideLists = (fromSlides = [], toSlides = []) => {
+  const fromIndex = new Map(fromSlides.map((slide, index) => [slide.id, index]));
+  const toIds = new Set(toSlides.map(slide => slide.id));
+
+  // The longest run of kept slides still in their old relative order stayed
+  // put; the other kept slides are the ones that moved
+  const kept = toSlides.filter(slide => fromIndex.has(slide.id));
+  const stayed = longestIncreasing(kept.map(slide => fromIndex.get(slide.id)))
+    .map(position => kept[position].id);
+  const stayedIds = new Set(stayed);
+
+  const entries = toSlides.map((slide, index) => {
+    const old = fromIndex.has(slide.id) ? fromSlides[fromIndex.get(slide.id)] : null;
+    if (!old) {
+      return { id: slide.id, status: 'added', from: null, to: slide, fromIndex: -1, toIndex: index, moved: false, fields: [], elements: [] };
+    }
+
+    const moved = !stayedIds.has(slide.id);
+    const fields = changedKeys(old, slide, [...STRUCTURAL_SLIDE_FIELDS, ...VOLATILE_SLIDE_FIELDS]);
+    const elements = diffElements(old.elements, slide.elements);
+    const status = fields.length > 0 || elements.length > 0 ? 'modified' : 'unchanged';
+
+    return { id: slide.id, status, from: old, to: slide, fromIndex: fromIndex.get(slide.id), toIndex: index, moved, fields, elements };
+  });
+
+  // Place each removed slide right after the closest preceding slide that survived
+  fromSlides.forEach((slide, index) => {
+    if (toIds.has(slide.id)) return;
+
+    const entry = { id: slide.id, status: 'removed', from: slide, to: null, fromIndex: index, toIndex: -1, moved: false, fields: [], elements: [] };
+    let anchor = -1;
+    for (let i = index - 1; i >= 0 && anchor === -1; i--) {
+      anchor = entries.findIndex(e => e.id === fromSlides[i].id);
+    }
+    // Skip removed slides already placed after the anchor, to keep their old order
+    let position = anchor + 1;
+    while (entries[position]?.status === 'removed') position++;
+    entries.splice(position, 0, entry);
+  });
+
+  return entries;
+};
+
+/**
+ * Strip the fields that change without any user edit
+ * @param {Object} data - Serialized presentation
+ * @returns {Object}
+ */
+const contentOf = (data) => {
+  const stripSlide = (slide) => {
+    const copy = { ...slide };
+    VOLATILE_SLIDE_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+  };
+
+  return {
+    title: data.title,
+    theme: normalizeTheme(data.theme),
+    customAnimations: data.customAnimations || [],
+    defaultShellId: data.defaultShellId ?? null,
+    slides: (data.slides || []).map(stripSlide),
+    shells: (data.shells || []).map(stripSlide),
+    layouts: (data.layouts || []).map(stripSlide)
+  };
+};
+
+// ─── Public API ──────────────────────────────────────────
+
+/**
+ * Compare two serialized presentations
+ * @param {Object} from - Older presentation JSON
+ * @param {Object} to - Newer presentation JSON
+ * @returns {{ title: { from: string, to: string }|null, theme: { from: Object, to: Object }|null,
+ *   slides: Object[], shells: Object[], layouts: Object[],
+ *   counts: { added: number, removed: number, modified: number, moved: number } }}
+ */
+export const diffPresentations = (from, to) => {
+  // A layout edit changes the look of its slides: compare them resolved
+  const slides = diffSlideLists(resolveLayouts(from)?.slides, resolveLayouts(to)?.slides);
+  const shells = diffSlideLists(from?.shells, to?.shells);
+  const layouts = diffSlideLists(from?.layouts, to?.layouts);
+
+  const counts = { added: 0, removed: 0, modified: 0, moved: 0 };
+  slides.forEach((entry) => {
+    if (entry.status !== 'unchanged') counts[entry.status]++;
+    if (entry.moved) counts.moved++;
+  });
+
+  // Presentations saved before themes existed have the default one
+  const fromTheme = normalizeTheme(from?.theme);
+  const toTheme = normalizeTheme(to?.theme);
+
+  return {
+    title: from?.title !== to?.title ? { from: from?.title, to: to?.title } : null,
+    theme: sameValue(fromTheme, toTheme) ? null : { from: fromTheme, to: toTheme },
+    slides,
+    shells,
+    layouts,
+    counts
+  };
+};
+
+/**
+ * Whether two serialized presentations have the same content
+ * (ignores the current slide, metadata and thumbnails)
+ * @param {Object} a - Presentation JSON
+ * @param {Object} b - Presentation JSON
+ * @returns {boolean}
+ */
+export const isSameContent = (a, b) => sameValue(contentOf(a), contentOf(b));
+
+/**
+ * Whether two serialized slides (or shells) have the same content
+ * (ignores their thumbnails)
+ * @param {Object} a - Slide JSON
+ * @param {Object} b - Slide JSON
+ * @returns {boolean}
+ */
+export const isSameSlide = (a, b) => changedKeys(a, b, VOLATILE_SLIDE_FIELDS).length === 0;
@@ -185,13 +185,14 @@ const PresentationManager = {
                 const data = await PresentationsDB.getPresentation(id);
                 if (data && data.slides) {
                     const thumbIds = data.slides.map(s => s.thumbnailId).filter(Boolean);
-                    if (data.shells) {
-                        data.shells.forEach(s => { if (s.thumbnailId) thumbIds.push(s.thumbnailId); });
-                    }
+                    [...(data.shells || []), ...(data.layouts || [])].forEach(s => {
+                        if (s.thumbnailId) thumbIds.push(s.thumbnailId);
+                    });
                     await Promise.all(thumbIds.map(tid => MediaDB.deleteThumbnail(tid).catch(() => {})));
                 }
 
                 await PresentationsDB.deletePresentation(id);
+                await VersionsDB.deletePresentationVersions(id).catch(() => {});
                 toast.success('Presentation deleted');
                 await this.refresh();
             } catch (error) {
@@ -253,7 +253,8 @@ const SlideImporter = {
                 return;
             }
 
-            this.state.selectedPresentationData = data;
+            // Slides on a layout only store what differs from it
+            this.state.selectedPresentationData = window.app?.editor ? window.app.editor.resolveLayouts(data) : data;
             this.state.selectedSlideIds.clear();
             this.state.step = 'slides';
 
@@ -460,7 +461,11 @@ const SlideImporter = {
         this.close();
 
         if (window.app && window.app.editor) {
-            await window.app.editor.importSlidesFromPresentation(selectedSlides);
+            await window.app.editor.importSlidesFromPresentation(
+                selectedSlides,
+                this.state.selectedPresentationData.layouts || [],
+                this.state.selectedPresentationData.customAnimations || []
+            );
         }
     },
 
@@ -473,7 +478,7 @@ const SlideImporter = {
         const data = await window.app.editor.pickPresentationFile();
         if (!data) return;
 
-        this.state.selectedPresentationData = data;
+        this.state.selectedPresentationData = window.app.editor.resolveLayouts(data);
         this.state.selectedSlideIds.clear();
         this.state.step = 'slides';
 
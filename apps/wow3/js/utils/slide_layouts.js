@@ -0,0 +1,346 @@
+/**
+ * WOW3 Slide Layouts
+ * A layout is a slide-like master (presentation.layouts) whose elements are
+ * placeholders: each has a role (properties.placeholder: title, body, image
+ * or decoration) plus the position and styling slides inherit.
+ *
+ * A slide using a layout (slide.layoutId) holds one instance per placeholder.
+ * In memory and in the editor instances are full elements, linked to their
+ * placeholder by properties.layoutElementId. Serialized, they only keep what
+ * differs from the placeholder:
+ *
+ *   { id, type, layoutElementId, properties: { text: 'Quarterly results' } }
+ *
+ * so editing the layout restyles every slide that did not override a field.
+ * Everything here works on plain JSON (Presentation/Slide toJSON output).
+ */
+
+// ─── Constants ───────────────────────────────────────────
+
+/** Placeholder roles, used to match placeholders when a slide changes layout */
+export const PLACEHOLDER_ROLES = ['title', 'body', 'image', 'decoration'];
+
+/** Slide fields a slide inherits from its layout unless it sets them */
+const INHERITED_SLIDE_FIELDS = ['background', 'backgroundAnimationSpeed', 'backgroundAnimationType', 'themeRefs'];
+
+/** Element properties that are content, kept when a slide changes layout */
+const CONTENT_PROPERTIES = ['text', 'runs', 'items', 'url', 'crop', 'aspectRatio'];
+
+/** Element fields never inherited from a placeholder */
+const OWN_ELEMENT_FIELDS = ['id', 'type', 'children'];
+
+// ─── Helpers ─────────────────────────────────────────────
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Deep-merge sparse overrides over a base object (arrays are replaced)
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+const mergeDeep = (base, overrides) => {
+  const result = clone(base) || {};
+  for (const [key, value] of Object.entries(overrides || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? mergeDeep(result[key], value)
+      : clone(value);
+  }
+  return result;
+};
+
+/**
+ * The parts of a value that differ from a base value
+ * @param {*} base
+ * @param {*} value
+ * @returns {*} Sparse difference, or undefined if equal
+ */
+const diffDeep = (base, value) => {
+  if (isPlainObject(base) && isPlainObject(value)) {
+    const diff = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const itemDiff = diffDeep(base[key], item);
+      if (itemDiff !== undefined) diff[key] = itemDiff;
+    }
+    return Object.keys(diff).length > 0 ? diff : undefined;
+  }
+  return JSON.stringify(base ?? null) === JSON.stringify(value ?? null) ? undefined : clone(value);
+};
+
+/**
+ * A placeholder without the fields instances never inherit
+ * @param {Object} placeholder - Layout element JSON
+ * @returns {Object}
+ */
+const inheritable = (placeholder) => {
+  const base = clone(placeholder);
+  OWN_ELEMENT_FIELDS.forEach(field => delete base[field]);
+  return base;
+};
+
+/**
+ * Whether a serialized instance overrides anything of its placeholder
+ * @param {Object} instance - Sparse instance JSON
+ * @returns {boolean}
+ */
+const hasOverrides = (instance) => Object.keys(instance)
+  .some(key => !['id', 'type', 'layoutElementId', 'children'].includes(key));
+
+/**
+ * Map of placeholder id → placeholder of a layout
+ * @param {Object|null} layout - Layout JSON
+ * @returns {Map<string, Object>}
+ */
+const placeholdersOf = (layout) => new Map((layout?.elements || []).map(el => [el.id, el]));
+
+/**
+ * Turn an instance into a regular element that no longer follows a layout
+ * @param {Object} element - Full element JSON
+ * @returns {Object}
+ */
+const detachElement = (element) => {
+  const detached = clone(element);
+  if (detached.properties) {
+    delete detached.properties.layoutElementId;
+    delete detached.properties.placeholder;
+  }
+  return detached;
+};
+
+/**
+ * Drop animation steps whose element is gone
+ * @param {Object} slide - Slide JSON
+ * @returns {Object} slide
+ */
+const pruneAnimations = (slide) => {
+  if (!Array.isArray(slide.animationSequence)) return slide;
+
+  const ids = new Set();
+  const collect = (el) => { if (el.id) ids.add(el.id); (el.children || []).forEach(collect); };
+  slide.elements.forEach(collect);
+
+  // Elements without id yet get one when the slide is built: their steps cannot exist
+  slide.animationSequence = slide.animationSequence.filter(step => ids.has(step.targetElementId));
+  return slide;
+};
+
+// ─── Elements ────────────────────────────────────────────
+
+/**
+ * Build the full element of a serialized instance
+ * @param {Object} instance - Sparse instance JSON ({ id, type, layoutElementId, ...overrides })
+ * @param {Object} placeholder - Layout element JSON
+ * @returns {Object} Full element JSON
+ */
+export const inflateElement = (instance, placeholder) => {
+  const { id, layoutElementId, children, ...overrides } = instance;
+  const element = mergeDeep(inheritable(placeholder), overrides);
+
+  if (id) element.id = id;
+  element.type = placeholder.type;
+  element.children = clone(children) || [];
+  element.properties = { ...element.properties, layoutElementId: placeholder.id };
+  return element;
+};
+
+/**
+ * Reduce a full instance to what differs from its placeholder
+ * @param {Object} element - Full element JSON
+ * @param {Object} placeholder - Layout element JSON
+ * @returns {Object} Sparse instance JSON
+ */
+export const deflateElement = (element, placeholder) => {
+  const { id, type, children, properties = {}, ...rest } = element;
+  const { layoutElementId, ...ownProperties } = properties;
+  const overrides = diffDeep(inheritable(placeholder), { ...rest, properties: ownProperties }) || {};
+
+  const instance = { id, type, layoutElementId: placeholder.id, ...overrides };
+  if (children?.length > 0) instance.children = clone(children);
+  return instance;
+};
+
+// ─── Slides ──────────────────────────────────────────────
+
+/**
+ * Build the full slide of a serialized slide: inherited fields and
+ * placeholder instances are filled in from its layout
+ * @param {Object} slide - Slide JSON (sparse or already full)
+ * @param {Object|null|undefined} layout - Layout JSON of slide.layoutId
+ * @returns {Object} Full slide JSON
+ */
+export const inflateSlide = (slide, layout) => {
+  if (!layout || !slide.layoutId || slide.layoutId !== layout.id) return slide;
+
+  const placeholders = placeholdersOf(layout);
+  const full = { ...slide };
+
+  INHERITED_SLIDE_FIELDS.forEach((field) => {
+    if (full[field] === undefined) full[field] = clone(layout[field]);
+  });
+
+  // An instance whose placeholder is gone (e.g. removed by a collaborator
+  // meanwhile) has no position or styling left: it is dropped
+  full.elements = (slide.elements || [])
+    .filter(element => !element.layoutElementId || placeholders.has(element.layoutElementId))
+    .map(element => (element.layoutElementId ? inflateElement(element, placeholders.get(element.layoutElementId)) : element));
+  return pruneAnimations(full);
+};
+
+/**
+ * Reduce a full slide to what it does not inherit from its layout
+ * @param {Object} slide - Full slide JSON
+ * @param {Object|null|undefined} layout - Layout JSON of slide.layoutId
+ * @returns {Object} Sparse slide JSON
+ */
+export const deflateSlide = (slide, layout) => {
+  if (!layout || slide.layoutId !== layout.id) return slide;
+
+  const placeholders = placeholdersOf(layout);
+  const sparse = { ...slide };
+
+  INHERITED_SLIDE_FIELDS.forEach((field) => {
+    if (JSON.stringify(sparse[field]) === JSON.stringify(layout[field])) delete sparse[field];
+  });
+
+  sparse.elements = (slide.elements || []).map((element) => {
+    const placeholder = placeholders.get(element.properties?.layoutElementId);
+    return placeholder ? deflateElement(element, placeholder) : element;
+  });
+  return sparse;
+};
+
+/**
+ * Restyle a slide after its layout was edited: fields the slide did not
+ * override follow the layout, placeholders added to the layout get an
+ * instance, and instances of removed placeholders are dropped (or kept as
+ * regular elements when the slide changed them)
+ * @param {Object} slide - Full slide JSON, built from oldLayout
+ * @param {Object} oldLayout - Layout JSON the slide was built from
+ * @param {Object} newLayout - Edited layout JSON (same id)
+ * @returns {Object} Full slide JSON
+ */
+export const restyleSlide = (slide, oldLayout, newLayout) => {
+  const sparse = deflateSlide(slide, oldLayout);
+  const before = placeholdersOf(oldLayout);
+  const after = placeholdersOf(newLayout);
+
+  const elements = [];
+  sparse.elements.forEach((element) => {
+    const placeholderId = element.layoutElementId;
+    if (!placeholderId || !before.has(placeholderId) || after.has(placeholderId)) {
+      elements.push(element);
+    } else if (hasOverrides(element)) {
+      elements.push(detachElement(inflateElement(element, before.get(placeholderId))));
+    }
+  });
+
+  for (const placeholder of after.values()) {
+    if (!before.has(placeholder.id)) {
+      elements.push({ type: placeholder.type, layoutElementId: placeholder.id });
+    }
+  }
+
+  return pruneAnimations(inflateSlide({ ...sparse, elements }, newLayout));
+};
+
+/**
+ * Move a slide to another layout (or re-apply its own to reset it).
+ * Instances are matched with the new placeholders, first by placeholder,
+ * then by role and type in order; matched ones keep their content (text,
+ * picture…) and take the new styling. Unmatched instances the slide changed
+ * become regular elements, the others are dropped. Regular elements stay.
+ * @param {Object} slide - Full slide JSON
+ * @param {Object|null} oldLayout - Layout JSON the slide was built from
+ * @param {Object|null} newLayout - Layout JSON to apply, null to detach the slide
+ * @returns {Object} Full slide JSON
+ */
+export const switchSlideLayout = (slide, oldLayout, newLayout) => {
+  const sparse = deflateSlide(slide, oldLayout);
+  const before = placeholdersOf(oldLayout);
+
+  if (!newLayout) {
+    return pruneAnimations({
+      ...slide,
+      layoutId: null,
+      elements: slide.elements.map(el => (el.properties?.layoutElementId ? detachElement(el) : el))
+    });
+  }
+
+  const roleOf = (placeholder) => placeholder?.properties?.placeholder || 'decoration';
+  const instances = sparse.elements.filter(el => el.layoutElementId && before.has(el.layoutElementId));
+  const others = sparse.elements.filter(el => !instances.includes(el));
+  const unmatched = new Set(instances);
+
+  const take = (test) => {
+    const match = [...unmatched].find(test);
+    if (match) unmatched.delete(match);
+    return match;
+  };
+
+  const placed = newLayout.elements.map((placeholder) => {
+    const match = take(el => el.layoutElementId === placeholder.id)
+      || take(el => el.type === placeholder.type && roleOf(before.get(el.layoutElementId)) === roleOf(placeholder));
+    if (!match) return { type: placeholder.type, layoutElementId: placeholder.id };
+
+    const content = {};
+    CONTENT_PROPERTIES.forEach((key) => {
+      if (match.properties?.[key] !== undefined) content[key] = match.properties[key];
+    });
+    const instance = { id: match.id, type: placeholder.type, layoutElementId: placeholder.id };
+    if (Object.keys(content).length > 0) instance.properties = content;
+    if (match.name) instance.name = match.name;
+    if (match.children) instance.children = match.children;
+    return instance;
+  });
+
+  const kept = [...unmatched]
+    .filter(hasOverrides)
+    .map(el => detachElement(inflateElement(el, before.get(el.layoutElementId))));
+
+  const next = { ...sparse, layoutId: newLayout.id, elements: [...placed, ...others, ...kept] };
+  INHERITED_SLIDE_FIELDS.forEach(field => delete next[field]);
+  return pruneAnimations(inflateSlide(next, newLayout));
+};
+
+/**
+ * New slide on a layout, with an empty instance of every placeholder
+ * @param {Object} layout - Layout JSON
+ * @param {Object} [fields={}] - Other slide fields (title, shellId…)
+ * @returns {Object} Full slide JSON (elements get their ids when built)
+ */
+export const createSlideFromLayout = (layout, fields = {}) => inflateSlide({
+  ...fields,
+  layoutId: layout.id,
+  elements: layout.elements.map(placeholder => ({ type: placeholder.type, layoutElementId: placeholder.id }))
+}, layout);
+
+// ─── Layouts and presentations ───────────────────────────
+
+/**
+ * Default role of a layout element without one
+ * @param {Object} element - Layout element (model or JSON)
+ * @param {boolean} hasTitle - Whether the layout already has a title placeholder
+ * @returns {string}
+ */
+export const defaultPlaceholderRole = (element, hasTitle) => {
+  if (element.type === 'text' || element.type === 'list') {
+    return !hasTitle && /title/i.test(element.name || '') ? 'title' : 'body';
+  }
+  if (element.type === 'image' || element.type === 'video') return 'image';
+  return 'decoration';
+};
+
+/**
+ * Presentation data with every slide inflated, for code reading stored
+ * presentations without building a Presentation (previews, slide import)
+ * @param {Object} data - Presentation JSON
+ * @returns {Object}
+ */
+export const resolveLayouts = (data) => {
+  if (!data?.layouts?.length) return data;
+  const layouts = new Map(data.layouts.map(layout => [layout.id, layout]));
+  return { ...data, slides: (data.slides || []).map(slide => inflateSlide(slide, layouts.get(slide.layoutId))) };
+};
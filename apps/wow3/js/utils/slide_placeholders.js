@@ -0,0 +1,67 @@
+/**
+ * WOW3 Slide Placeholders
+ * Text placeholders filled in when a slide is shown or exported:
+ * #SLIDE_TITLE#, #SLIDE_NUMBER#, #SLIDE_TOTAL#, #NEXT_SLIDE#
+ */
+
+/**
+ * Placeholder values of a slide. Numbers count visible slides only.
+ * @param {Object} presentation - Presentation with a `slides` array
+ * @param {number} slideIndex - Index of the slide
+ * @returns {Object<string, string>} Placeholder → value
+ */
+export const getPlaceholderValues = (presentation, slideIndex) => {
+  const slides = presentation.slides;
+  const slide = slides[slideIndex];
+  const visibleSlides = slides.filter(s => s.visible);
+  const visiblePos = visibleSlides.indexOf(slide);
+
+  let nextTitle = '';
+  for (let i = slideIndex + 1; i < slides.length; i++) {
+    if (slides[i].visible) {
+      nextTitle = slides[i].title;
+      break;
+    }
+  }
+
+  return {
+    '#NEXT_SLIDE#': nextTitle,
+    '#SLIDE_TITLE#': slide.title,
+    '#SLIDE_NUMBER#': String(visiblePos !== -1 ? visiblePos + 1 : slideIndex + 1),
+    '#SLIDE_TOTAL#': String(visibleSlides.length)
+  };
+};
+
+/**
+ * Replace the placeholders in a text
+ * @param {string} text
+ * @param {Object<string, string>} values - From getPlaceholderValues()
+ * @returns {string}
+ */
+export const fillPlaceholders = (text, values) => {
+  for (const [placeholder, value] of Object.entries(values)) {
+    if (text.includes(placeholder)) {
+      text = text.replaceAll(placeholder, value);
+    }
+  }
+  return text;
+};
+
+/**
+ * Replace the placeholders inside the text elements of a rendered slide.
+ * Text nodes are replaced one by one so the formatting runs stay in place;
+ * a placeholder has to be formatted as a whole to be found.
+ * @param {HTMLElement} container - Slide container
+ * @param {Object<string, string>} values - From getPlaceholderValues()
+ */
+export const fillPlaceholdersInDOM = (container, values) => {
+  container.querySelectorAll('.text-content').forEach((node) => {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+    for (let textNode = walker.nextNode(); textNode; textNode = walker.nextNode()) {
+      const text = fillPlaceholders(textNode.nodeValue, values);
+      if (text !== textNode.nodeValue) {
+        textNode.nodeValue = text;
+      }
+    }
+  });
+};
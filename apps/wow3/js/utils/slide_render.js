@@ -0,0 +1,66 @@
+/**
+ * WOW3 Static Slide Rendering
+ * Renders a slide as it looks once its animations have played: background,
+ * shell layer below or above the slide layer per `shellMode`, text
+ * placeholders filled in. Used by the PDF export, the presenter console,
+ * the data merge preview and the slide transition preview. The layers are
+ * marked `data-slide-layer` like the ones of playback.
+ */
+
+import { CANVAS } from '@wow/core/utils/constants.js';
+import { getPlaceholderValues, fillPlaceholdersInDOM } from './slide_placeholders.js';
+
+/**
+ * Render a slide at canvas size
+ * @param {Object} presentation - Presentation model
+ * @param {number} slideIndex - Index of the slide
+ * @param {Object} [slide] - Slide model rendered in its place, e.g. a merged copy
+ * @returns {HTMLElement} Detached 1280×720 container
+ */
+export const renderStaticSlide = (presentation, slideIndex, slide = presentation.slides[slideIndex]) => {
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    position: relative;
+    width: ${CANVAS.WIDTH}px;
+    height: ${CANVAS.HEIGHT}px;
+    overflow: hidden;
+  `;
+
+  const backgroundLayer = document.createElement('div');
+  backgroundLayer.dataset.slideLayer = 'background';
+  backgroundLayer.style.cssText = `position:absolute;top:0;left:0;width:100%;height:100%;background:${slide.background};`;
+  container.appendChild(backgroundLayer);
+
+  const shellLayer = document.createElement('div');
+  shellLayer.dataset.slideLayer = 'shell';
+  shellLayer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;';
+  const slideLayer = document.createElement('div');
+  slideLayer.dataset.slideLayer = 'slide';
+  slideLayer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;';
+
+  if (slide.shellMode === 'below') {
+    container.appendChild(shellLayer);
+    container.appendChild(slideLayer);
+  } else {
+    container.appendChild(slideLayer);
+    container.appendChild(shellLayer);
+  }
+
+  const renderElements = (elements, layer) => {
+    elements.forEach((element, idx) => {
+      const elementDOM = element.render(idx);
+      layer.appendChild(elementDOM);
+      element.children.forEach((child, childIndex) => {
+        elementDOM.appendChild(child.render(idx * 100 + childIndex + 1));
+      });
+    });
+  };
+
+  const shell = slide.shellId ? presentation.getShellById(slide.shellId) : null;
+  if (shell) renderElements(shell.elements, shellLayer);
+  renderElements(slide.elements, slideLayer);
+
+  fillPlaceholdersInDOM(container, getPlaceholderValues(presentation, slideIndex));
+  return container;
+};
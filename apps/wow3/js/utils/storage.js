@@ -6,9 +6,15 @@
  */
 
 import { STORAGE_KEYS } from '@wow/core/utils/constants.js';
+import { parsePptx } from './pptx_importer.js';
+import { isSameContent } from './presentation_diff.js';
 
-// PresentationsDB is loaded globally via script tag
+// PresentationsDB and VersionsDB are loaded globally via script tags
 const PresentationsDB = window.PresentationsDB;
+const VersionsDB = window.VersionsDB;
+
+/** Automatic versions kept per presentation (named checkpoints are never pruned) */
+const MAX_AUTO_VERSIONS = 30;
 
 // ==================== INDEXEDDB (PERMANENT STORAGE) ====================
 
@@ -156,6 +162,9 @@ export const savePresentation = async (presentation, thumbnail = null) => {
     // Also update the snapshot after successful save
     await saveSnapshot(presentation);
 
+    // Keep an automatic version of every save in the history
+    await saveVersion(data, { auto: true, thumbnail });
+
     console.log('✅ Presentation saved to IndexedDB');
     return true;
   } catch (e) {
@@ -207,6 +216,8 @@ export const deletePresentation = async (id) => {
   try {
     await PresentationsDB.deletePresentation(id);
 
+    await VersionsDB.deletePresentationVersions(id);
+
     // Also remove from localStorage if it exists
     localStorage.removeItem(STORAGE_KEYS.PREFIX + id);
 
@@ -329,6 +340,102 @@ const cleanupOldSnapshots = () => {
   }
 };
 
+// ==================== INDEXEDDB (VERSION HISTORY) ====================
+
+/**
+ * Save a version of a presentation in the history.
+ * Automatic versions are skipped when the content did not change since the
+ * latest version, and only the newest MAX_AUTO_VERSIONS of them are kept.
+ * @param {Object} presentation - Presentation object or JSON
+ * @param {Object} [options]
+ * @param {string|null} [options.name=null] - Checkpoint name
+ * @param {boolean} [options.auto=false] - Whether this is an automatic version (on save)
+ * @param {string|null} [options.thumbnail=null] - Thumbnail data URL
+ * @returns {Promise<Object|null>} The version record, or null if skipped or failed
+ */
+export const saveVersion = async (presentation, { name = null, auto = false, thumbnail = null } = {}) => {
+  try {
+    const raw = presentation.toJSON ? presentation.toJSON() : presentation;
+    const data = JSON.parse(JSON.stringify(raw));
+    delete data.thumbnail;
+
+    if (auto) {
+      const [latest] = await VersionsDB.getVersions(data.id);
+      if (latest && isSameContent(latest.data, data)) return null;
+    }
+
+    const created = Date.now();
+    const version = {
+      id: `version_${created}_${Math.random().toString(36).slice(2, 8)}`,
+      presentationId: data.id,
+      name: name || null,
+      auto,
+      created,
+      title: data.title,
+      slideCount: data.slides?.length || 0,
+      thumbnail: thumbnail || null,
+      data
+    };
+
+    await VersionsDB.saveVersion(version);
+    if (auto) {
+      await VersionsDB.pruneAutoVersions(data.id, MAX_AUTO_VERSIONS);
+    }
+
+    console.log(`🕘 Version saved${name ? `: ${name}` : ''}`);
+    return version;
+  } catch (e) {
+    console.error('Failed to save version:', e);
+    return null;
+  }
+};
+
+/**
+ * Get the version history of a presentation, newest first
+ * @param {string} presentationId - Presentation ID
+ * @returns {Promise<Array>} Version records
+ */
+export const getVersions = async (presentationId) => {
+  try {
+    return await VersionsDB.getVersions(presentationId);
+  } catch (e) {
+    console.error('Failed to get versions:', e);
+    return [];
+  }
+};
+
+/**
+ * Rename a version. Naming an automatic version turns it into a
+ * checkpoint, so it is no longer pruned; clearing the name turns it back
+ * into an automatic version.
+ * @param {string} id - Version ID
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} Updated record or null
+ */
+export const renameVersion = async (id, name) => {
+  try {
+    return await VersionsDB.updateVersion(id, { name: name || null, auto: !name });
+  } catch (e) {
+    console.error('Failed to rename version:', e);
+    return null;
+  }
+};
+
+/**
+ * Delete a version from the history
+ * @param {string} id - Version ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteVersion = async (id) => {
+  try {
+    await VersionsDB.deleteVersion(id);
+    return true;
+  } catch (e) {
+    console.error('Failed to delete version:', e);
+    return false;
+  }
+};
+
 // ==================== IMPORT/EXPORT ====================
 
 /**
@@ -389,6 +496,9 @@ const collectMediaIds = (jsonData) => {
   if (Array.isArray(jsonData.shells)) {
     jsonData.shells.forEach(scanSlide);
   }
+  if (Array.isArray(jsonData.layouts)) {
+    jsonData.layouts.forEach(scanSlide);
+  }
   // Backward compat: old single shell
   if (jsonData.shell) {
     scanSlide(jsonData.shell);
@@ -442,6 +552,9 @@ const rewriteMediaUrls = (jsonData, urlMap) => {
   if (Array.isArray(jsonData.shells)) {
     jsonData.shells.forEach(rewriteSlide);
   }
+  if (Array.isArray(jsonData.layouts)) {
+    jsonData.layouts.forEach(rewriteSlide);
+  }
   // Backward compat: old single shell
   if (jsonData.shell) {
     rewriteSlide(jsonData.shell);
@@ -449,13 +562,35 @@ const rewriteMediaUrls = (jsonData, urlMap) => {
 };
 
 /**
- * Export presentation as a self-contained .wow3 ZIP file.
- * The ZIP contains presentation.json at root and an assets/ folder
- * with all referenced media blobs.
- * @param {Object} presentation - Presentation object
- * @returns {Promise<void>}
+ * Trigger a browser download of a blob
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
  */
-export const exportPresentation = async (presentation) => {
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * File name of a presentation's .wow3 file
+ * @param {Object} presentation - Presentation object or JSON
+ * @returns {string}
+ */
+const archiveFilename = (presentation) => `${(presentation.title || 'presentation').replace(/[^a-z0-9]/gi, '_')}.wow3`;
+
+/**
+ * Build the .wow3 ZIP of a presentation: presentation.json at root and an
+ * assets/ folder with all referenced media blobs.
+ * @param {Object} presentation - Presentation object or JSON
+ * @returns {Promise<{blob: Blob, assetCount: number}>}
+ */
+const buildPresentationArchive = async (presentation) => {
   const jsonData = JSON.parse(JSON.stringify(
     presentation.toJSON ? presentation.toJSON() : presentation
   ));
@@ -510,19 +645,48 @@ export const exportPresentation = async (presentation) => {
     assetsFolder.file(filename, blob);
   }
 
-  const zipBlob = await zip.generateAsync({ type: 'blob' });
+  const blob = await zip.generateAsync({ type: 'blob' });
+  return { blob, assetCount: mediaMap.size };
+};
 
-  // Trigger download
-  const url = URL.createObjectURL(zipBlob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${presentation.title.replace(/[^a-z0-9]/gi, '_')}.wow3`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+/**
+ * Export presentation as a self-contained .wow3 ZIP file.
+ * @param {Object} presentation - Presentation object
+ * @returns {Promise<void>}
+ */
+export const exportPresentation = async (presentation) => {
+  const { blob, assetCount } = await buildPresentationArchive(presentation);
+
+  downloadBlob(blob, archiveFilename(presentation));
+
+  console.log(`📦 Presentation exported as .wow3 (${assetCount} assets)`);
+};
+
+/**
+ * Export several presentations as one ZIP of .wow3 files (e.g. a data merge batch)
+ * @param {Object[]} presentations - Presentation objects or JSON
+ * @param {string} filename - Name of the downloaded ZIP
+ * @returns {Promise<void>}
+ */
+export const exportPresentations = async (presentations, filename) => {
+  const zip = new JSZip();
+  const usedFilenames = new Set();
+
+  for (const presentation of presentations) {
+    const { blob } = await buildPresentationArchive(presentation);
+
+    // Same titles get a _N suffix
+    let name = archiveFilename(presentation);
+    for (let counter = 1; usedFilenames.has(name); counter++) {
+      name = archiveFilename(presentation).replace(/\.wow3$/, `_${counter}.wow3`);
+    }
+    usedFilenames.add(name);
+    zip.file(name, blob);
+  }
 
-  console.log(`📦 Presentation exported as .wow3 (${mediaMap.size} assets)`);
+  downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+
+  console.log(`📦 ${presentations.length} presentations exported as .wow3`);
 };
 
 /** MIME type lookup by file extension for imported assets */
@@ -610,15 +774,58 @@ export const importZip = async (file) => {
 };
 
 /**
- * Import presentation from a .wow3 ZIP or legacy .json file.
+ * Import a PowerPoint .pptx file: convert it to presentation JSON (see
+ * pptx_importer.js), ingest its pictures into MediaDB and point the image
+ * elements at the new media IDs.
+ * @param {File} file - The .pptx file
+ * @returns {Promise<{ data: Object, summary: Object }>} Presentation JSON data and
+ *   the import summary (counts and unsupported constructs)
+ */
+export const importPptx = async (file) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (err) {
+    throw new Error('Invalid .pptx file: not a ZIP package', { cause: err });
+  }
+
+  const { data, media, summary } = await parsePptx(zip, file.name);
+
+  const urlMap = new Map();
+  if (media.length > 0) {
+    const folder = await window.MediaDB.createFolder(data.title);
+
+    for (const path of media) {
+      try {
+        const blob = await zip.file(path).async('blob');
+        const filename = path.split('/').pop();
+        const mediaFile = new File([blob], filename, { type: mimeFromFilename(filename) });
+        const item = await window.MediaDB.addMedia(mediaFile, folder.id);
+        urlMap.set(path, item.id);
+      } catch (err) {
+        console.warn(`⚠️ Failed to import picture ${path}:`, err);
+        summary.report('Unreadable pictures', null);
+      }
+    }
+  }
+  rewriteMediaUrls(data, urlMap);
+
+  console.log(`📦 Imported .pptx (${summary.slides} slides, ${urlMap.size} pictures)`);
+  return { data, summary };
+};
+
+/**
+ * Import presentation from a .wow3 ZIP, PowerPoint .pptx or legacy .json file.
  * Opens a file picker, then processes the selected file.
+ * For .pptx files the import summary is attached as `data.importSummary`
+ * (not persisted: Presentation ignores it).
  * @returns {Promise<Object>} Presentation JSON data
  */
 export const importPresentation = () => {
   return new Promise((resolve, reject) => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.wow3,.json,.wow3.json';
+    input.accept = '.wow3,.json,.wow3.json,.pptx';
 
     input.addEventListener('change', async (e) => {
       const file = e.target.files[0];
@@ -629,7 +836,11 @@ export const importPresentation = () => {
 
       try {
         const isLegacy = file.name.endsWith('.json');
-        if (isLegacy) {
+        if (/\.pptx$/i.test(file.name)) {
+          const { data, summary } = await importPptx(file);
+          data.importSummary = summary;
+          resolve(data);
+        } else if (isLegacy) {
           // Legacy JSON import
           const text = await file.text();
           const data = JSON.parse(text);
@@ -690,6 +901,7 @@ export const clearAllData = async () => {
   try {
     // Clear IndexedDB
     await PresentationsDB.clearAllPresentations();
+    await VersionsDB.clearAll();
 
     // Clear localStorage
     const keys = [];
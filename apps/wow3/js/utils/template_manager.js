@@ -1,6 +1,10 @@
 /**
  * TemplateManager: Handles UI and Logic for the Template Library.
  * Provides built-in slide templates and user-saved templates.
+ * Using a template adds it to the presentation as a layout (its elements
+ * become placeholders, with the role in properties.placeholder) and adds a
+ * slide on that layout. Built-in templates take their main colors and fonts
+ * from the deck theme (themeRefs, see deck_themes.js).
  */
 
 const BUILTIN_TEMPLATES = [
@@ -11,6 +15,7 @@ const BUILTIN_TEMPLATES = [
       id: 'tpl_blank',
       title: 'Blank Slide',
       background: '#ffffff',
+      themeRefs: { background: 'background' },
       visible: true,
       shellId: null,
       elements: []
@@ -23,6 +28,7 @@ const BUILTIN_TEMPLATES = [
       id: 'tpl_title_slide',
       title: 'Title Slide',
       background: '#1565C0',
+      themeRefs: { background: 'accent1' },
       visible: true,
       shellId: null,
       elements: [
@@ -31,6 +37,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 140, y: 260, width: 1000, height: 100, rotation: 0 },
           properties: {
+            placeholder: 'title',
+            themeRefs: { font: { color: 'background', family: 'heading' } },
             text: 'Presentation Title',
             font: { family: 'Roboto', size: 64, color: '#ffffff', bold: true, italic: false, underline: false },
             textAlign: 'center',
@@ -48,6 +56,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 240, y: 380, width: 800, height: 60, rotation: 0 },
           properties: {
+            placeholder: 'body',
+            themeRefs: { font: { color: 'accent2', family: 'body' } },
             text: 'Subtitle goes here',
             font: { family: 'Roboto', size: 28, color: '#90CAF9', bold: false, italic: false, underline: false },
             textAlign: 'center',
@@ -70,6 +80,7 @@ const BUILTIN_TEMPLATES = [
       id: 'tpl_title_content',
       title: 'Title + Content',
       background: '#ffffff',
+      themeRefs: { background: 'background' },
       visible: true,
       shellId: null,
       elements: [
@@ -78,6 +89,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 80, y: 40, width: 1120, height: 80, rotation: 0 },
           properties: {
+            placeholder: 'title',
+            themeRefs: { font: { color: 'accent1', family: 'heading' } },
             text: 'Slide Title',
             font: { family: 'Roboto', size: 40, color: '#1565C0', bold: true, italic: false, underline: false },
             textAlign: 'left',
@@ -95,6 +108,8 @@ const BUILTIN_TEMPLATES = [
           type: 'shape',
           position: { x: 80, y: 130, width: 1120, height: 4, rotation: 0 },
           properties: {
+            placeholder: 'decoration',
+            themeRefs: { fillColor: 'accent1' },
             shapeType: 'rectangle',
             fillColor: '#1565C0',
             strokeColor: 'transparent',
@@ -109,6 +124,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 80, y: 160, width: 1120, height: 480, rotation: 0 },
           properties: {
+            placeholder: 'body',
+            themeRefs: { font: { family: 'body' } },
             text: 'Add your content here. Use bullet points, paragraphs, or any text you need.',
             font: { family: 'Roboto', size: 22, color: '#333333', bold: false, italic: false, underline: false },
             textAlign: 'left',
@@ -139,6 +156,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 190, y: 280, width: 900, height: 90, rotation: 0 },
           properties: {
+            placeholder: 'title',
+            themeRefs: { font: { color: 'background', family: 'heading' } },
             text: 'Section Title',
             font: { family: 'Roboto', size: 52, color: '#ffffff', bold: true, italic: false, underline: false },
             textAlign: 'center',
@@ -156,6 +175,7 @@ const BUILTIN_TEMPLATES = [
           type: 'shape',
           position: { x: 490, y: 390, width: 300, height: 3, rotation: 0 },
           properties: {
+            placeholder: 'decoration',
             shapeType: 'rectangle',
             fillColor: '#42A5F5',
             strokeColor: 'transparent',
@@ -175,6 +195,7 @@ const BUILTIN_TEMPLATES = [
       id: 'tpl_two_column',
       title: 'Two Column',
       background: '#ffffff',
+      themeRefs: { background: 'background' },
       visible: true,
       shellId: null,
       elements: [
@@ -183,6 +204,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 80, y: 40, width: 1120, height: 70, rotation: 0 },
           properties: {
+            placeholder: 'title',
+            themeRefs: { font: { color: 'accent1', family: 'heading' } },
             text: 'Two Column Layout',
             font: { family: 'Roboto', size: 36, color: '#1565C0', bold: true, italic: false, underline: false },
             textAlign: 'left',
@@ -200,6 +223,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 80, y: 140, width: 540, height: 480, rotation: 0 },
           properties: {
+            placeholder: 'body',
+            themeRefs: { font: { family: 'body' } },
             text: 'Left column content. Add your text, data, or bullet points here.',
             font: { family: 'Roboto', size: 20, color: '#333333', bold: false, italic: false, underline: false },
             textAlign: 'left',
@@ -217,6 +242,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 660, y: 140, width: 540, height: 480, rotation: 0 },
           properties: {
+            placeholder: 'body',
+            themeRefs: { font: { family: 'body' } },
             text: 'Right column content. Add your text, data, or bullet points here.',
             font: { family: 'Roboto', size: 20, color: '#333333', bold: false, italic: false, underline: false },
             textAlign: 'left',
@@ -247,6 +274,7 @@ const BUILTIN_TEMPLATES = [
           type: 'shape',
           position: { x: 140, y: 60, width: 1000, height: 520, rotation: 0 },
           properties: {
+            placeholder: 'image',
             shapeType: 'rectangle',
             fillColor: '#333333',
             strokeColor: '#555555',
@@ -261,6 +289,8 @@ const BUILTIN_TEMPLATES = [
           type: 'text',
           position: { x: 140, y: 610, width: 1000, height: 50, rotation: 0 },
           properties: {
+            placeholder: 'body',
+            themeRefs: { font: { family: 'body' } },
             text: 'Image caption or description',
             font: { family: 'Roboto', size: 18, color: '#BDBDBD', bold: false, italic: true, underline: false },
             textAlign: 'center',
@@ -555,27 +585,22 @@ const TemplateManager = {
   },
 
   /**
-   * Use a template to create a new slide
+   * Use a template to create a new slide on the template's layout
    * @param {string} id - Template ID
    * @param {boolean} isBuiltin - Whether the template is built-in
    */
   useTemplate: async function(id, isBuiltin) {
-    let slideData;
+    const tpl = isBuiltin
+      ? BUILTIN_TEMPLATES.find(t => t.id === id)
+      : await TemplatesDB.get(id);
+    if (!tpl) return;
 
-    if (isBuiltin) {
-      const tpl = BUILTIN_TEMPLATES.find(t => t.id === id);
-      if (!tpl) return;
-      slideData = JSON.parse(JSON.stringify(tpl.slideData));
-    } else {
-      const tpl = await TemplatesDB.get(id);
-      if (!tpl) return;
-      slideData = JSON.parse(JSON.stringify(tpl.slideData));
-    }
+    const slideData = JSON.parse(JSON.stringify(tpl.slideData));
 
     this.close();
 
     if (window.app && window.app.editor) {
-      window.app.editor.addSlideFromTemplate(slideData);
+      window.app.editor.addSlideFromTemplate(slideData, tpl.id, tpl.name);
     }
   },
 
@@ -0,0 +1,200 @@
+/**
+ * WOW3 VersionsDB: IndexedDB manager for presentation version history
+ * Each record is a full presentation snapshot: automatic versions are taken
+ * on every save, named checkpoints are created by the user.
+ *
+ * Record shape:
+ *   { id, presentationId, name, auto, created, title, slideCount, thumbnail, data }
+ */
+
+const VERSIONS_DB_NAME = 'wow3_versions';
+const VERSIONS_DB_VERSION = 1;
+const STORE_VERSIONS = 'versions';
+
+let versionsDbPromise = null;
+
+const VersionsDB = {
+  /**
+   * Initialize Versions IndexedDB (lazy singleton)
+   * @returns {Promise<IDBDatabase>}
+   */
+  init: () => {
+    if (versionsDbPromise) return versionsDbPromise;
+
+    versionsDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(VERSIONS_DB_NAME, VERSIONS_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(STORE_VERSIONS)) {
+          const store = db.createObjectStore(STORE_VERSIONS, { keyPath: 'id' });
+          store.createIndex('presentationId', 'presentationId', { unique: false });
+        }
+
+        console.log('VersionsDB initialized:', VERSIONS_DB_NAME);
+      };
+
+      request.onsuccess = (event) => {
+        console.log('VersionsDB connection successful');
+        resolve(event.target.result);
+      };
+
+      request.onerror = (event) => {
+        console.error('VersionsDB error:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+
+    return versionsDbPromise;
+  },
+
+  /**
+   * Save (insert or replace) a version record
+   * @param {Object} version - Version record, `id` is required
+   * @returns {Promise<void>}
+   */
+  saveVersion: async (version) => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readwrite');
+      const request = tx.objectStore(STORE_VERSIONS).put(version);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Get a version record by ID
+   * @param {string} id - Version ID
+   * @returns {Promise<Object|null>}
+   */
+  getVersion: async (id) => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readonly');
+      const request = tx.objectStore(STORE_VERSIONS).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Get all versions of a presentation, newest first
+   * @param {string} presentationId - Presentation ID
+   * @returns {Promise<Array<Object>>}
+   */
+  getVersions: async (presentationId) => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readonly');
+      const index = tx.objectStore(STORE_VERSIONS).index('presentationId');
+      const request = index.getAll(IDBKeyRange.only(presentationId));
+
+      request.onsuccess = () => {
+        const versions = request.result || [];
+        versions.sort((a, b) => b.created - a.created);
+        resolve(versions);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Update fields of a version record (e.g. rename, pin as checkpoint)
+   * @param {string} id - Version ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated record, or null if not found
+   */
+  updateVersion: async (id, changes) => {
+    const version = await VersionsDB.getVersion(id);
+    if (!version) return null;
+
+    const updated = { ...version, ...changes, id };
+    await VersionsDB.saveVersion(updated);
+    return updated;
+  },
+
+  /**
+   * Delete a version record
+   * @param {string} id - Version ID
+   * @returns {Promise<void>}
+   */
+  deleteVersion: async (id) => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readwrite');
+      const request = tx.objectStore(STORE_VERSIONS).delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Delete every version of a presentation using cursor
+   * @param {string} presentationId - Presentation ID
+   * @returns {Promise<void>}
+   */
+  deletePresentationVersions: async (presentationId) => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readwrite');
+      const index = tx.objectStore(STORE_VERSIONS).index('presentationId');
+      const cursorReq = index.openCursor(IDBKeyRange.only(presentationId));
+
+      cursorReq.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+
+      cursorReq.onerror = () => reject(cursorReq.error);
+      tx.oncomplete = () => resolve();
+    });
+  },
+
+  /**
+   * Drop the oldest automatic versions of a presentation.
+   * Named checkpoints are never pruned.
+   * @param {string} presentationId - Presentation ID
+   * @param {number} keep - Number of automatic versions to keep
+   * @returns {Promise<number>} Number of deleted versions
+   */
+  pruneAutoVersions: async (presentationId, keep) => {
+    const versions = await VersionsDB.getVersions(presentationId);
+    const stale = versions.filter(v => v.auto).slice(keep);
+
+    for (const version of stale) {
+      await VersionsDB.deleteVersion(version.id);
+    }
+    return stale.length;
+  },
+
+  /**
+   * Clear all version history from IndexedDB
+   * @returns {Promise<void>}
+   */
+  clearAll: async () => {
+    const db = await VersionsDB.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_VERSIONS], 'readwrite');
+      const request = tx.objectStore(STORE_VERSIONS).clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// Make available globally
+window.VersionsDB = VersionsDB;
@@ -4,8 +4,28 @@
  */
 
 import { TEXT_ALIGNMENTS } from '@wow/core/utils/constants.js';
-import { TextPanel, ImagePanel, VideoPanel, AudioPanel, CountdownTimerPanel } from '../panels/index.js';
+import { TextPanel, ImagePanel, VideoPanel, AudioPanel, CountdownTimerPanel, ChartPanel, TablePanel } from '../panels/index.js';
 import { toast } from '@wow/core/utils/toasts.js';
+import { PLACEHOLDER_ROLES } from '../utils/slide_layouts.js';
+import { THEMEABLE_PROPERTIES, THEME_COLOR_SLOTS, THEME_FONT_SLOTS, getThemeRef, themeValue } from '../utils/deck_themes.js';
+
+/** Labels of the element values that can follow the deck theme */
+const THEMEABLE_LABELS = {
+  'font.color': 'Text Color',
+  'font.family': 'Font',
+  textColor: 'Text Color',
+  backgroundColor: 'Background',
+  background: 'Background',
+  borderColor: 'Border',
+  fillColor: 'Fill',
+  strokeColor: 'Stroke',
+  'seriesColors.0': 'Series 1',
+  'seriesColors.1': 'Series 2',
+  'seriesColors.2': 'Series 3',
+  'seriesColors.3': 'Series 4',
+  headerFill: 'Header Fill',
+  headerTextColor: 'Header Text'
+};
 
 export class RightSidebar {
   constructor() {
@@ -55,9 +75,19 @@ export class RightSidebar {
     // Add element name input at the top
     this.addNameInput(element);
 
+    // Placeholder role, while editing a layout
+    if (window.app.editor.isEditingLayout && !element.parent) {
+      this.addPlaceholderRole(element);
+    }
+
     // Add position properties (always show these)
     this.addPositionProperties(element);
 
+    // Values taken from the deck theme
+    if (THEMEABLE_PROPERTIES[element.type]) {
+      this.addThemeProperties(element);
+    }
+
     // Add type-specific panel
     let panelHTML = '';
     let panel = null;
@@ -88,6 +118,16 @@ export class RightSidebar {
         panelHTML = CountdownTimerPanel.render(element);
         break;
 
+      case 'chart':
+        panel = ChartPanel;
+        panelHTML = ChartPanel.render(element);
+        break;
+
+      case 'table':
+        panel = TablePanel;
+        panelHTML = TablePanel.render(element);
+        break;
+
       case 'shape':
         this.addShapeProperties(element);
         return;
@@ -245,6 +285,42 @@ export class RightSidebar {
     this.elementTab.appendChild(wrapper);
   }
 
+  /**
+   * Add the placeholder role select of a layout element. The role matches
+   * placeholders when a slide moves to another layout.
+   * @param {Object} element - Layout element model
+   */
+  addPlaceholderRole(element) {
+    const select = this.createSelect('Placeholder', element.properties.placeholder, PLACEHOLDER_ROLES, (val) => {
+      window.app.editor.elementController.updateElementProperty('properties.placeholder', val);
+    });
+    this.elementTab.appendChild(select);
+  }
+
+  /**
+   * Add the theme slot pickers of the element values that can follow the deck theme
+   * @param {Element} element - Element
+   */
+  addThemeProperties(element) {
+    const section = this.createSection('Theme');
+    const theme = window.app.editor.presentation.theme;
+
+    for (const [path, kind] of Object.entries(THEMEABLE_PROPERTIES[element.type])) {
+      const slots = kind === 'color' ? THEME_COLOR_SLOTS : THEME_FONT_SLOTS;
+      const options = [
+        { value: '', label: 'Custom' },
+        ...slots.map(slot => ({ value: slot.key, label: `${slot.label} (${themeValue(theme, slot.key).replace(/"/g, '')})` }))
+      ];
+      section.appendChild(
+        this.createSelect(THEMEABLE_LABELS[path] || path, getThemeRef(element.properties, path) || '', options, (val) => {
+          window.app.editor.elementController.setElementThemeRef(path, val || null);
+        })
+      );
+    }
+
+    this.elementTab.appendChild(section);
+  }
+
   /**
    * Get default display name for an element (used as placeholder)
    * @param {Object} element - Element model
@@ -260,6 +336,8 @@ export class RightSidebar {
       case 'shape': return `Shape (${element.properties.shapeType})`;
       case 'list': return `List (${element.properties.listType})`;
       case 'link': return element.properties.text || 'Link';
+      case 'chart': return `Chart (${element.properties.chartType})`;
+      case 'table': return 'Table';
       case 'empty': return 'Empty';
       default: return element.type;
     }
@@ -804,7 +882,7 @@ export class RightSidebar {
    * Create select dropdown
    * @param {string} label - Select label
    * @param {string} value - Selected value
-   * @param {Array} options - Option values
+   * @param {Array<string|{value: string, label: string}>} options - Option values, or values with a label
    * @param {Function} onChange - Change handler
    * @returns {HTMLElement} Select wrapper
    */
@@ -816,10 +894,11 @@ export class RightSidebar {
     select.id = `prop-${label.toLowerCase().replace(/\s+/g, '-')}`;
 
     options.forEach((opt) => {
+      const { value: optionValue, label: optionLabel } = typeof opt === 'object' ? opt : { value: opt, label: opt };
       const option = document.createElement('option');
-      option.value = opt;
-      option.textContent = opt;
-      option.selected = opt === value;
+      option.value = optionValue;
+      option.textContent = optionLabel;
+      option.selected = optionValue === value;
       select.appendChild(option);
     });
 
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * WOW3 Collaboration Relay
+ * Minimal WebSocket relay for real-time co-editing (CollaborationController).
+ * Every text message a client sends is forwarded to the other clients of the
+ * same room (`?room=<presentation id>`); merging is done by the clients.
+ *
+ * Usage:
+ *   node scripts/collab-relay.mjs [port]      standalone, ws://localhost:8790/
+ *   pnpm dev                                 also served by Vite at /__collab__
+ *
+ * No dependencies: implements just enough of RFC 6455 (text frames,
+ * fragmentation, ping/pong, close) for browser clients.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+// ─── Constants ───────────────────────────────────────────
+
+const DEFAULT_PORT = 8790;
+
+/** Magic string of the WebSocket handshake */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Largest accepted message (full presentation states included) */
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/** Close status sent when a message exceeds MAX_MESSAGE_BYTES */
+const CLOSE_MESSAGE_TOO_BIG = 1009;
+
+// ─── Framing ─────────────────────────────────────────────
+
+/**
+ * Encode a server frame (never masked)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+const encodeFrame = (opcode, payload) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decode the first complete frame of a buffer
+ * @param {Buffer} buffer
+ * @returns {{ fin: boolean, opcode: number, payload: Buffer, size: number }|null} null if incomplete
+ */
+const decodeFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) throw new Error('Message too large');
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+};
+
+// ─── Relay ───────────────────────────────────────────────
+
+/**
+ * Handle WebSocket upgrades on an HTTP server and relay messages per room.
+ * Other upgrade requests (e.g. Vite's HMR socket) are left alone.
+ * @param {import('node:http').Server} server
+ * @param {Object} [options]
+ * @param {string} [options.path='/'] - URL path of the relay
+ * @returns {{ rooms: Map<string, Set<Object>> }}
+ */
+export const attachCollabRelay = (server, { path = '/' } = {}) => {
+  /** @type {Map<string, Set<Object>>} Open connections by room */
+  const rooms = new Map();
+
+  const leave = (client) => {
+    const members = rooms.get(client.room);
+    if (!members) return;
+    members.delete(client);
+    if (members.size === 0) rooms.delete(client.room);
+  };
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://relay');
+    if (url.pathname !== path || req.headers.upgrade?.toLowerCase() !== 'websocket') return;
+
+    const key = req.headers['sec-websocket-key'];
+    const room = url.searchParams.get('room');
+    if (!key || !room) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { socket, room, buffer: Buffer.alloc(0), fragments: [], fragmentBytes: 0, opcode: OPCODE.TEXT };
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(client);
+
+    const broadcast = (opcode, payload) => {
+      const frame = encodeFrame(opcode, payload);
+      for (const other of rooms.get(room) || []) {
+        if (other !== client && !other.socket.destroyed) other.socket.write(frame);
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      // Closing: whatever the client still sends is dropped
+      if (socket.writableEnded) return;
+      client.buffer = Buffer.concat([client.buffer, chunk]);
+      try {
+        let frame;
+        while ((frame = decodeFrame(client.buffer))) {
+          client.buffer = client.buffer.subarray(frame.size);
+
+          if (frame.opcode === OPCODE.CLOSE) {
+            socket.end(encodeFrame(OPCODE.CLOSE, Buffer.alloc(0)));
+            return;
+          }
+          if (frame.opcode === OPCODE.PING) {
+            socket.write(encodeFrame(OPCODE.PONG, frame.payload));
+            continue;
+          }
+          if (frame.opcode === OPCODE.PONG) continue;
+
+          // A message is relayed as text or binary like its first fragment
+          if (frame.opcode !== OPCODE.CONTINUATION) client.opcode = frame.opcode;
+          client.fragments.push(frame.payload);
+          client.fragmentBytes += frame.payload.length;
+          if (client.fragmentBytes > MAX_MESSAGE_BYTES) {
+            console.warn(`⚠️ Collab relay: closing client of room ${room}: message too large`);
+            const status = Buffer.alloc(2);
+            status.writeUInt16BE(CLOSE_MESSAGE_TOO_BIG);
+            client.fragments = [];
+            client.buffer = Buffer.alloc(0);
+            socket.end(encodeFrame(OPCODE.CLOSE, status));
+            return;
+          }
+          if (frame.fin) {
+            const message = Buffer.concat(client.fragments);
+            client.fragments = [];
+            client.fragmentBytes = 0;
+            broadcast(client.opcode, message);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Collab relay: dropping client of room ${room}: ${error.message}`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+  });
+
+  return { rooms };
+};
+
+// ─── CLI ─────────────────────────────────────────────────
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WOW3 collaboration relay: connect with a WebSocket\n');
+  });
+  attachCollabRelay(server);
+  server.listen(port, () => {
+    console.log(`🤝 WOW3 collaboration relay on ws://localhost:${port}/?room=<presentation id>`);
+  });
+}
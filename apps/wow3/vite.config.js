@@ -2,6 +2,7 @@ import { defineConfig } from 'vite';
 import { VitePWA } from 'vite-plugin-pwa';
 import { resolve } from 'path';
 import { cpSync, existsSync, readFileSync } from 'fs';
+import { attachCollabRelay } from './scripts/collab-relay.mjs';
 
 const WOW_CORE_ROOT = resolve(__dirname, '../../packages/wow-core');
 
@@ -50,6 +51,19 @@ function serveWowCore() {
   };
 }
 
+/**
+ * Serves the collaboration relay (scripts/collab-relay.mjs) at /__collab__
+ * during dev, so co-editing works without starting a separate server.
+ */
+function serveCollabRelay() {
+  return {
+    name: 'serve-collab-relay',
+    configureServer(server) {
+      if (server.httpServer) attachCollabRelay(server.httpServer, { path: '/__collab__' });
+    }
+  };
+}
+
 /**
  * Copies classic (non-module) scripts to dist/js.
  */
@@ -91,6 +105,15 @@ export default defineConfig({
     minify: 'terser',
     terserOptions: {
       compress: { drop_console: true, drop_debugger: true }
+    },
+    rollupOptions: {
+      input: {
+        main: resolve(__dirname, 'index.html'),
+        // Chrome-less player driven by the headless renderer (wow3-renderer)
+        player: resolve(__dirname, 'player.html'),
+        // Presenter console opened next to the show (PresenterController)
+        presenter: resolve(__dirname, 'presenter.html')
+      }
     }
   },
 
@@ -102,6 +125,7 @@ export default defineConfig({
 
   plugins: [
     serveWowCore(),
+    serveCollabRelay(),
     copyClassicScripts(),
     copyCoreCss(),
     VitePWA({
@@ -134,7 +158,8 @@ export default defineConfig({
         ],
         categories: ['productivity', 'utilities'],
         file_handlers: [
-          { action: './', accept: { 'application/zip': ['.wow3'] } }
+          { action: './', accept: { 'application/zip': ['.wow3'] } },
+          { action: './', accept: { 'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'] } }
         ]
       },
 
@@ -0,0 +1,259 @@
+/**
+ * WOW3 Custom Animations
+ * Effects authored in the editor instead of picked from ANIMATION_DEFINITIONS.
+ * A custom animation is a timeline of keyframes, each setting some of the
+ * properties of CUSTOM_KEYFRAME_PROPERTIES at an offset, played with a named
+ * or cubic-bezier easing:
+ *
+ *   { id, name, category, duration, easing,
+ *     keyframes: [{ offset: 0, opacity: 0, scale: 0.5 }, { offset: 1, opacity: 1, scale: 1 }] }
+ *
+ * Presentations keep the ones they use in `customAnimations`; steps play
+ * them with the type `custom:<id>`. A property a keyframe leaves out
+ * follows the keyframes around it, or the element at rest at either end.
+ */
+
+import { generateId } from '../utils/dom.js';
+import { ANIMATION_CATEGORY, ANIMATION_DEFINITIONS, EASING_MAP } from './definitions.js';
+
+/** Prefix of the step types playing a custom animation */
+export const CUSTOM_ANIMATION_PREFIX = 'custom:';
+
+/**
+ * Properties a keyframe can set, with the value of an element at rest.
+ * Color tints the text of text elements and the fill of shapes.
+ */
+export const CUSTOM_KEYFRAME_PROPERTIES = {
+  opacity: { label: 'Opacity', rest: 1, min: 0, max: 1, step: 0.05 },
+  translateX: { label: 'Move X', rest: 0, unit: 'px', step: 1 },
+  translateY: { label: 'Move Y', rest: 0, unit: 'px', step: 1 },
+  scale: { label: 'Scale', rest: 1, min: 0, max: 20, step: 0.05 },
+  rotate: { label: 'Rotate', rest: 0, unit: 'deg', step: 1 },
+  blur: { label: 'Blur', rest: 0, min: 0, max: 100, unit: 'px', step: 1 },
+  color: { label: 'Color', rest: null }
+};
+
+/** Categories a custom animation can be played in */
+export const CUSTOM_ANIMATION_CATEGORIES = [
+  ANIMATION_CATEGORY.BUILD_IN,
+  ANIMATION_CATEGORY.ACTION,
+  ANIMATION_CATEGORY.BUILD_OUT
+];
+
+/** Bounds of a custom animation duration, in ms */
+export const CUSTOM_ANIMATION_DURATION_RANGE = { min: 100, max: 20000 };
+
+/** Control points of the CSS easing keywords */
+const CSS_EASING_CURVES = {
+  'linear': [0, 0, 1, 1],
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+const NUMERIC_PROPERTIES = Object.keys(CUSTOM_KEYFRAME_PROPERTIES).filter(key => key !== 'color');
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// ─── Easing ──────────────────────────────────────────────
+
+/**
+ * Control points of an easing, for the curve editor
+ * @param {string} easing - Key of EASING_MAP, CSS keyword or `cubic-bezier(…)`
+ * @returns {number[]|null} [x1, y1, x2, y2], null for easings that are no curve (e.g. steps)
+ */
+export const parseCubicBezier = (easing) => {
+  const value = EASING_MAP[easing] || easing;
+  if (CSS_EASING_CURVES[value]) return CSS_EASING_CURVES[value].slice();
+
+  const match = /^cubic-bezier\(([^)]*)\)$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const points = match[1].split(',').map(Number);
+  if (points.length !== 4 || !points.every(Number.isFinite)) return null;
+  if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null;
+  return points;
+};
+
+/**
+ * CSS easing of a curve; x stays within 0 and 1 as CSS requires
+ * @param {number[]} points - [x1, y1, x2, y2]
+ * @returns {string} `cubic-bezier(…)`
+ */
+export const cubicBezierEasing = ([x1, y1, x2, y2]) => {
+  const clampX = value => Math.min(1, Math.max(0, value));
+  return `cubic-bezier(${[clampX(x1), y1, clampX(x2), y2].map(value => round(value)).join(', ')})`;
+};
+
+// ─── Model ───────────────────────────────────────────────
+
+/**
+ * Complete a keyframe: the offset is kept within 0 and 1, numbers within
+ * their bounds, colors as #rrggbb; anything else is dropped
+ * @param {Object} frame
+ * @returns {Object}
+ */
+const normalizeKeyframe = (frame = {}) => {
+  const offset = Number(frame?.offset);
+  const normalized = { offset: Number.isFinite(offset) ? round(Math.min(1, Math.max(0, offset))) : 0 };
+
+  NUMERIC_PROPERTIES.forEach((key) => {
+    const value = frame?.[key];
+    if (value === null || value === undefined || value === '') return;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return;
+    const { min = -Infinity, max = Infinity } = CUSTOM_KEYFRAME_PROPERTIES[key];
+    normalized[key] = round(Math.min(max, Math.max(min, number)));
+  });
+
+  if (/^#[0-9a-f]{6}$/i.test(frame?.color)) normalized.color = frame.color.toLowerCase();
+  return normalized;
+};
+
+/**
+ * Complete a stored custom animation. Keyframes are sorted by offset, the
+ * ones sharing an offset merged, and the timeline always has a keyframe at
+ * its start and end.
+ * @param {Object} [data] - { id, name, category, duration, easing, keyframes }
+ * @returns {{ id: string, name: string, category: string, duration: number, easing: string, keyframes: Object[] }}
+ */
+export const normalizeCustomAnimation = (data = {}) => {
+  const byOffset = new Map();
+  (Array.isArray(data?.keyframes) ? data.keyframes : []).forEach((frame) => {
+    const normalized = normalizeKeyframe(frame);
+    byOffset.set(normalized.offset, { ...byOffset.get(normalized.offset), ...normalized });
+  });
+  [0, 1].forEach((offset) => {
+    if (!byOffset.has(offset)) byOffset.set(offset, { offset });
+  });
+
+  const duration = Number(data?.duration);
+  const easing = EASING_MAP[data?.easing] ? data.easing : parseCubicBezier(data?.easing);
+
+  return {
+    id: data?.id || generateId('customAnim'),
+    name: String(data?.name || '').trim() || 'Custom Animation',
+    category: CUSTOM_ANIMATION_CATEGORIES.includes(data?.category) ? data.category : ANIMATION_CATEGORY.ACTION,
+    duration: Number.isFinite(duration)
+      ? Math.min(CUSTOM_ANIMATION_DURATION_RANGE.max, Math.max(CUSTOM_ANIMATION_DURATION_RANGE.min, Math.round(duration)))
+      : 1000,
+    easing: typeof easing === 'string' ? easing : (easing ? cubicBezierEasing(easing) : 'ease-in-out'),
+    keyframes: [...byOffset.values()].sort((a, b) => a.offset - b.offset)
+  };
+};
+
+/**
+ * A new custom animation to start editing from, shaped for its category
+ * @param {string} [category] - One of CUSTOM_ANIMATION_CATEGORIES
+ * @returns {Object} Normalized custom animation
+ */
+export const createCustomAnimation = (category = ANIMATION_CATEGORY.ACTION) => {
+  const keyframes = {
+    [ANIMATION_CATEGORY.BUILD_IN]: [{ offset: 0, opacity: 0, scale: 0.6 }, { offset: 1, opacity: 1, scale: 1 }],
+    [ANIMATION_CATEGORY.BUILD_OUT]: [{ offset: 0, opacity: 1, scale: 1 }, { offset: 1, opacity: 0, scale: 0.6 }]
+  }[category] || [{ offset: 0 }, { offset: 0.5, scale: 1.2 }, { offset: 1 }];
+
+  return normalizeCustomAnimation({ category, keyframes, duration: 1000, easing: 'ease-in-out' });
+};
+
+// ─── Playback ────────────────────────────────────────────
+
+/**
+ * Value of a property at every keyframe: where a keyframe leaves it out,
+ * linear between the keyframes around it, the value at rest at the ends
+ * @param {Object[]} frames - Normalized keyframes
+ * @param {string} key - Numeric property
+ * @returns {number[]}
+ */
+const propertyTrack = (frames, key) => {
+  const { rest } = CUSTOM_KEYFRAME_PROPERTIES[key];
+  const known = frames
+    .map((frame, i) => ({ offset: frame.offset, value: frame[key] ?? (i === 0 || i === frames.length - 1 ? rest : undefined) }))
+    .filter(point => point.value !== undefined);
+
+  return frames.map((frame) => {
+    const after = known.findIndex(point => point.offset >= frame.offset);
+    const next = known[after];
+    if (next.offset === frame.offset) return next.value;
+    const previous = known[after - 1];
+    const t = (frame.offset - previous.offset) / (next.offset - previous.offset);
+    return round(previous.value + (next.value - previous.value) * t);
+  });
+};
+
+/**
+ * WAAPI keyframes of a custom animation. Color is returned on its own: it
+ * is played on the text or shape inside the element.
+ * @param {Object} animation - Custom animation
+ * @returns {{ keyframes: Object[], colorKeyframes: Object[]|null }}
+ */
+export const buildCustomKeyframes = (animation) => {
+  const frames = normalizeCustomAnimation(animation).keyframes;
+  const used = NUMERIC_PROPERTIES.filter(key => frames.some(frame => frame[key] !== undefined));
+  const tracks = Object.fromEntries(used.map(key => [key, propertyTrack(frames, key)]));
+  const has = key => used.includes(key);
+
+  const keyframes = frames.map((frame, i) => {
+    const keyframe = { offset: frame.offset };
+    if (has('opacity')) keyframe.opacity = tracks.opacity[i];
+
+    const transform = [];
+    if (has('translateX') || has('translateY')) {
+      transform.push(`translate(${tracks.translateX?.[i] ?? 0}px, ${tracks.translateY?.[i] ?? 0}px)`);
+    }
+    if (has('scale')) transform.push(`scale(${tracks.scale[i]})`);
+    if (has('rotate')) transform.push(`rotate(${tracks.rotate[i]}deg)`);
+    if (transform.length > 0) keyframe.transform = transform.join(' ');
+
+    if (has('blur')) keyframe.filter = `blur(${tracks.blur[i]}px)`;
+    return keyframe;
+  });
+
+  // Keyframes without a color take the element's own at the ends
+  const colorFrames = frames.filter(frame => frame.color).map(frame => ({ offset: frame.offset, color: frame.color }));
+
+  return { keyframes, colorKeyframes: colorFrames.length > 0 ? colorFrames : null };
+};
+
+/**
+ * Step type playing a custom animation
+ * @param {string} id - Custom animation ID
+ * @returns {string}
+ */
+export const customAnimationType = id => `${CUSTOM_ANIMATION_PREFIX}${id}`;
+
+/**
+ * ID of the custom animation a step type plays
+ * @param {string} type - Step type
+ * @returns {string|null} Null for the built-in effects
+ */
+export const customAnimationId = type => (
+  typeof type === 'string' && type.startsWith(CUSTOM_ANIMATION_PREFIX) ? type.slice(CUSTOM_ANIMATION_PREFIX.length) : null
+);
+
+/**
+ * Definition of a step type, shaped like the entries of ANIMATION_DEFINITIONS;
+ * custom ones are looked up in the presentation's custom animations
+ * @param {string} type - Step type
+ * @param {Object[]} [customAnimations=[]] - Custom animations of the presentation
+ * @returns {Object|null} Null when the type is unknown
+ */
+export const resolveAnimationDefinition = (type, customAnimations = []) => {
+  const id = customAnimationId(type);
+  if (id === null) return ANIMATION_DEFINITIONS[type] || null;
+
+  const stored = (customAnimations || []).find(candidate => candidate.id === id);
+  if (!stored) return null;
+
+  const animation = normalizeCustomAnimation(stored);
+  const { keyframes, colorKeyframes } = buildCustomKeyframes(animation);
+  return {
+    label: animation.name,
+    category: [animation.category],
+    custom: true,
+    keyframes,
+    colorKeyframes,
+    options: { duration: animation.duration, easing: animation.easing }
+  };
+};
@@ -3,10 +3,13 @@
  * Centralized WAAPI keyframe registry, enums, and helpers
  */
 
+import { defaultMotionPath, buildMotionPathKeyframes } from './motion_path.js';
+
 /** Animation categories */
 export const ANIMATION_CATEGORY = {
   BUILD_IN: 'buildIn',
   ACTION: 'action',
+  MOTION_PATH: 'motionPath',
   BUILD_OUT: 'buildOut'
 };
 
@@ -33,6 +36,9 @@ export const EASING_MAP = {
 /**
  * Animation definitions registry.
  * Each entry contains label, supported categories, WAAPI keyframes, and default options.
+ * Motion path entries name the kind of path they draw (see ./motion_path.js);
+ * their keyframes are built from the path of each step, the ones listed
+ * here follow the default path.
  */
 export const ANIMATION_DEFINITIONS = {
   // ==================== BUILD IN ====================
@@ -187,6 +193,32 @@ export const ANIMATION_DEFINITIONS = {
     options: { duration: 800, easing: 'ease-in-out' }
   },
 
+  // ==================== MOTION PATH ====================
+
+  motionLine: {
+    label: 'Line',
+    category: [ANIMATION_CATEGORY.MOTION_PATH],
+    motionPath: 'line',
+    keyframes: buildMotionPathKeyframes(defaultMotionPath('line')),
+    options: { duration: 2000, easing: 'ease-in-out' }
+  },
+
+  motionCurve: {
+    label: 'Curve',
+    category: [ANIMATION_CATEGORY.MOTION_PATH],
+    motionPath: 'curve',
+    keyframes: buildMotionPathKeyframes(defaultMotionPath('curve')),
+    options: { duration: 2000, easing: 'ease-in-out' }
+  },
+
+  motionBezier: {
+    label: 'Bezier',
+    category: [ANIMATION_CATEGORY.MOTION_PATH],
+    motionPath: 'bezier',
+    keyframes: buildMotionPathKeyframes(defaultMotionPath('bezier')),
+    options: { duration: 2000, easing: 'ease-in-out' }
+  },
+
   // ==================== BUILD OUT ====================
 
   fadeOut: {
@@ -1 +1,6 @@
 export * from './definitions.js';
+export * from './transitions.js';
+export * from './morph.js';
+export * from './motion_path.js';
+export * from './text_build.js';
+export * from './custom_animations.js';
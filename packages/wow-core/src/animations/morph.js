@@ -0,0 +1,77 @@
+/**
+ * WOW3 Morph Matching
+ * Pairs the elements of two consecutive slides for the morph transition
+ * (Magic Move). An element matches, in order of precedence, the element of
+ * the other slide with the same name, then the one of the same type with
+ * the same id, then one of the same type showing the same content. Each
+ * element is used once.
+ */
+
+/**
+ * What an element shows, compared when neither name nor id match
+ * @param {Object} element - Element model or JSON
+ * @returns {string|null} Content key, null when the element has none
+ */
+export const morphContentKey = (element) => {
+  const props = element?.properties || {};
+  let content;
+
+  switch (element?.type) {
+    case 'text':
+      content = props.text;
+      break;
+    case 'list':
+      content = Array.isArray(props.items) ? props.items.join('\n') : null;
+      break;
+    case 'image':
+    case 'video':
+    case 'audio':
+      content = props.url;
+      break;
+    case 'link':
+      content = props.text ? `${props.text}\n${props.url}` : null;
+      break;
+    case 'shape':
+      content = props.shapeType;
+      break;
+    case 'chart':
+    case 'table':
+      content = props.data ? JSON.stringify(props.data) : null;
+      break;
+    default:
+      content = null;
+  }
+
+  return content ? `${element.type}:${content}` : null;
+};
+
+/**
+ * Match the elements of the outgoing slide to those of the incoming one
+ * @param {Object[]} fromElements - Elements of the outgoing slide
+ * @param {Object[]} toElements - Elements of the incoming slide
+ * @returns {Array<{ from: Object, to: Object }>} Matched pairs, in incoming slide order
+ */
+export const matchMorphElements = (fromElements = [], toElements = []) => {
+  const unmatched = new Set(fromElements);
+  const matches = new Map();
+
+  const pass = (keyOf) => {
+    toElements.forEach((to) => {
+      if (matches.has(to)) return;
+      const key = keyOf(to);
+      if (!key) return;
+      const from = [...unmatched].find(candidate => keyOf(candidate) === key);
+      if (!from) return;
+      unmatched.delete(from);
+      matches.set(to, from);
+    });
+  };
+
+  pass(element => (element.name ? `name:${element.name}` : null));
+  pass(element => (element.id ? `id:${element.type}:${element.id}` : null));
+  pass(morphContentKey);
+
+  return toElements
+    .filter(to => matches.has(to))
+    .map(to => ({ from: matches.get(to), to }));
+};
@@ -0,0 +1,246 @@
+/**
+ * WOW3 Motion Paths
+ * Geometry of the routes a motion path step moves its element along.
+ * A path is `{ kind, points }` in slide pixels, relative to where the
+ * element stands (its first point is 0,0):
+ * - line: a straight run through each point in turn
+ * - curve: a smooth curve through each point (drawn freehand)
+ * - bezier: cubic segments, `[start, control, control, end, control, control, end…]`
+ */
+
+/** Kinds of motion paths */
+export const MOTION_PATH_KINDS = ['line', 'curve', 'bezier'];
+
+/** Keyframes sampled along a path; the easing of the step applies over all of them */
+const SAMPLE_COUNT = 60;
+
+/** Straight pieces each cubic segment is measured with */
+const FLATTEN_STEPS = 24;
+
+const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+/**
+ * Point of a cubic segment
+ * @param {Object[]} segment - [start, control, control, end]
+ * @param {number} t - 0 to 1
+ * @returns {{ x: number, y: number }}
+ */
+const cubicPoint = ([p0, c1, c2, p1], t) => {
+  const u = 1 - t;
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p1.x,
+    y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p1.y
+  };
+};
+
+/**
+ * Path a step plays when it has none of its own, drawn 300px to the right
+ * @param {string} kind - One of MOTION_PATH_KINDS
+ * @returns {{ kind: string, points: Object[] }}
+ */
+export const defaultMotionPath = (kind) => {
+  switch (kind) {
+    case 'curve':
+      return { kind, points: [{ x: 0, y: 0 }, { x: 150, y: -100 }, { x: 300, y: 0 }] };
+    case 'bezier':
+      return { kind, points: [{ x: 0, y: 0 }, { x: 100, y: -150 }, { x: 200, y: 150 }, { x: 300, y: 0 }] };
+    default:
+      return { kind: 'line', points: [{ x: 0, y: 0 }, { x: 300, y: 0 }] };
+  }
+};
+
+/**
+ * Complete a stored path: unusable paths fall back to the default of their
+ * kind, points are rounded and moved so the path starts at 0,0
+ * @param {Object} [path] - { kind, points }
+ * @param {string} [kind] - Kind to use when the path has none
+ * @returns {{ kind: string, points: Object[] }}
+ */
+export const normalizeMotionPath = (path, kind = 'line') => {
+  const pathKind = MOTION_PATH_KINDS.includes(path?.kind) ? path.kind : kind;
+  const points = (Array.isArray(path?.points) ? path.points : [])
+    .map(point => ({ x: Number(point?.x), y: Number(point?.y) }))
+    .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+
+  const usable = pathKind === 'bezier'
+    ? points.length >= 4 && (points.length - 1) % 3 === 0
+    : points.length >= 2;
+  if (!usable) return defaultMotionPath(pathKind);
+
+  const [origin] = points;
+  return {
+    kind: pathKind,
+    points: points.map(point => ({
+      x: Math.round((point.x - origin.x) * 10) / 10,
+      y: Math.round((point.y - origin.y) * 10) / 10
+    }))
+  };
+};
+
+/**
+ * Cubic segments of a path
+ * @param {Object} path - Normalized path
+ * @returns {Array<Object[]>} [start, control, control, end] segments
+ */
+export const motionPathSegments = (path) => {
+  const { kind, points } = path;
+  const segments = [];
+
+  if (kind === 'bezier') {
+    for (let i = 0; i + 3 < points.length; i += 3) {
+      segments.push(points.slice(i, i + 4));
+    }
+  } else if (kind === 'curve') {
+    // Catmull-Rom through the points, ends clamped
+    for (let i = 0; i + 1 < points.length; i++) {
+      const p0 = points[i - 1] || points[i];
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const p3 = points[i + 2] || p2;
+      segments.push([
+        p1,
+        { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+        { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+        p2
+      ]);
+    }
+  } else {
+    for (let i = 0; i + 1 < points.length; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      segments.push([a, lerp(a, b, 1 / 3), lerp(a, b, 2 / 3), b]);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * SVG path data of a path, for drawing it over the canvas
+ * @param {Object} path - Normalized path
+ * @returns {string}
+ */
+export const motionPathToSVG = (path) => {
+  const segments = motionPathSegments(path);
+  if (segments.length === 0) return '';
+
+  const [start] = segments[0];
+  return `M ${start.x} ${start.y} ` + segments
+    .map(([, c1, c2, end]) => `C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${end.x} ${end.y}`)
+    .join(' ');
+};
+
+/**
+ * Points at even distances along a path, with the direction it heads in
+ * @param {Object} path - Normalized path
+ * @param {number} [count=SAMPLE_COUNT] - Intervals; count + 1 points are returned
+ * @returns {Array<{ x: number, y: number, angle: number }>} Angles in degrees, unwrapped
+ */
+export const sampleMotionPath = (path, count = SAMPLE_COUNT) => {
+  // Flatten into a polyline measured along its length
+  const polyline = [];
+  motionPathSegments(path).forEach((segment, i) => {
+    for (let step = i === 0 ? 0 : 1; step <= FLATTEN_STEPS; step++) {
+      polyline.push(cubicPoint(segment, step / FLATTEN_STEPS));
+    }
+  });
+
+  const lengths = [0];
+  for (let i = 1; i < polyline.length; i++) {
+    const a = polyline[i - 1];
+    const b = polyline[i];
+    lengths.push(lengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+  }
+  const total = lengths[lengths.length - 1];
+
+  // Direction of each piece; a still piece keeps the previous direction
+  const headings = [];
+  for (let i = 1; i < polyline.length; i++) {
+    const a = polyline[i - 1];
+    const b = polyline[i];
+    const moved = Math.hypot(b.x - a.x, b.y - a.y) > 1e-6;
+    headings.push(moved ? Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI : headings[i - 2] ?? 0);
+  }
+
+  const samples = [];
+  let piece = 1;
+  let previousAngle = null;
+  for (let i = 0; i <= count; i++) {
+    const distance = total * (i / count);
+    while (piece < lengths.length - 1 && lengths[piece] < distance) piece++;
+
+    const span = lengths[piece] - lengths[piece - 1];
+    const t = span > 0 ? (distance - lengths[piece - 1]) / span : 0;
+    const point = polyline.length > 1 ? lerp(polyline[piece - 1], polyline[piece], t) : { x: 0, y: 0 };
+
+    // Unwrap so the element turns the short way between samples
+    let angle = headings[piece - 1] ?? 0;
+    if (previousAngle !== null) {
+      while (angle - previousAngle > 180) angle -= 360;
+      while (angle - previousAngle < -180) angle += 360;
+    }
+    previousAngle = angle;
+
+    samples.push({ x: point.x, y: point.y, angle });
+  }
+
+  return samples;
+};
+
+/**
+ * WAAPI keyframes moving an element along a path. Oriented to the path, the
+ * element turns with it from the direction the path starts in, so it sets
+ * off the way it stands.
+ * @param {Object} path - Normalized path
+ * @param {Object} [options]
+ * @param {boolean} [options.orientToPath=false] - Turn the element with the path
+ * @param {number} [options.baseRotation=0] - Rotation of the element, in degrees
+ * @param {{ x: number, y: number }} [options.origin] - Where earlier paths left the element, in px
+ * @returns {Array<Object>} Keyframes with offsets
+ */
+export const buildMotionPathKeyframes = (path, { orientToPath = false, baseRotation = 0, origin = { x: 0, y: 0 } } = {}) => {
+  const samples = sampleMotionPath(path);
+  const startAngle = samples[0].angle;
+  const round = value => Math.round(value * 100) / 100;
+
+  return samples.map((sample, i) => {
+    const rotation = baseRotation + (orientToPath ? sample.angle - startAngle : 0);
+    return {
+      transform: `translate(${round(origin.x + sample.x)}px, ${round(origin.y + sample.y)}px) rotate(${round(rotation)}deg)`,
+      offset: i / (samples.length - 1)
+    };
+  });
+};
+
+/**
+ * Reduce freehand points to the ones that shape the line (Ramer-Douglas-Peucker)
+ * @param {Object[]} points - Drawn points
+ * @param {number} [tolerance=4] - Largest distance a dropped point may be off the line, in px
+ * @returns {Object[]}
+ */
+export const simplifyMotionPoints = (points, tolerance = 4) => {
+  if (points.length < 3) return points.slice();
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const length = Math.hypot(last.x - first.x, last.y - first.y);
+
+  let farthest = 0;
+  let farthestIndex = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const p = points[i];
+    const distance = length > 0
+      ? Math.abs((last.x - first.x) * (first.y - p.y) - (first.x - p.x) * (last.y - first.y)) / length
+      : Math.hypot(p.x - first.x, p.y - first.y);
+    if (distance > farthest) {
+      farthest = distance;
+      farthestIndex = i;
+    }
+  }
+
+  if (farthest <= tolerance) return [first, last];
+  return [
+    ...simplifyMotionPoints(points.slice(0, farthestIndex + 1), tolerance).slice(0, -1),
+    ...simplifyMotionPoints(points.slice(farthestIndex), tolerance)
+  ];
+};
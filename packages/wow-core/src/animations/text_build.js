@@ -0,0 +1,188 @@
+/**
+ * WOW3 Text Builds
+ * Build-ins that go through the text of an element unit by unit: by word,
+ * letter, paragraph or list item. The units are marked in the rendered DOM
+ * with `data-build-<unit>`, like the series of a chart, so AnimationManager
+ * plays any build-in effect on each of them in turn. Paragraphs and list
+ * items can also come one per click.
+ */
+
+import { ANIMATION_TRIGGER } from './definitions.js';
+
+/**
+ * Text build units registry.
+ * `stagger` is the default delay between the starts of two units, in ms;
+ * `perClick` units can come one per click; `elementTypes` lists the
+ * elements the unit is offered for.
+ */
+export const TEXT_BUILD_UNITS = {
+  word: { label: 'By Word', stagger: 120, elementTypes: ['text', 'list'] },
+  letter: { label: 'By Letter', stagger: 40, elementTypes: ['text', 'list'] },
+  line: { label: 'By Paragraph', stagger: 400, perClick: true, elementTypes: ['text'] },
+  item: { label: 'By Item', stagger: 400, perClick: true, elementTypes: ['list'] }
+};
+
+/**
+ * Plain text of an element, paragraphs on their own lines
+ * @param {Object} element - Element model or JSON
+ * @returns {string}
+ */
+const elementText = (element) => {
+  const props = element?.properties || {};
+  if (element?.type === 'list') return (props.items || []).join('\n');
+  return props.text || '';
+};
+
+/**
+ * Split text into the words a text build goes through. The pieces are the
+ * text nodes of the rendered element in order, null for a line break or
+ * list item between them. A word can span pieces: a word formatted in part
+ * is rendered as a text node per run.
+ * @param {Array<string|null>} pieces
+ * @returns {Array<Array<{ text: string, word?: number, line?: number }>>}
+ *   Tokens of each piece; whitespace has no word, line breaks no tokens
+ */
+export const segmentTextPieces = (pieces) => {
+  let word = -1;
+  let line = 0;
+  let lineHasText = false;
+  let inWord = false;
+  const endLine = () => {
+    if (lineHasText) line++;
+    lineHasText = false;
+    inWord = false;
+  };
+
+  return pieces.map((piece) => {
+    if (piece === null) {
+      endLine();
+      return [];
+    }
+
+    return piece.split(/(\s+)/).filter(Boolean).map((token) => {
+      if (/^\s+$/.test(token)) {
+        if (token.includes('\n')) endLine();
+        inWord = false;
+        return { text: token };
+      }
+
+      if (!inWord) word++;
+      inWord = true;
+      lineHasText = true;
+      return { text: token, word, line };
+    });
+  });
+};
+
+/**
+ * How many units of an element a text build goes through. Blank paragraphs
+ * are skipped, like in the rendered text.
+ * @param {Object} element - Element model or JSON
+ * @param {string} unit - Key of TEXT_BUILD_UNITS
+ * @returns {number}
+ */
+export const countTextUnits = (element, unit) => {
+  if (unit === 'item') return element?.type === 'list' ? (element.properties.items || []).length : 0;
+  if (!['word', 'letter', 'line'].includes(unit)) return 0;
+
+  // Segmented like the rendered text, whose line breaks are <br>
+  const pieces = elementText(element).split('\n').flatMap((text, i) => (i > 0 ? [null, text] : [text]));
+  const words = segmentTextPieces(pieces).flat().filter(token => token.word !== undefined);
+  if (words.length === 0) return 0;
+
+  const last = words[words.length - 1];
+  if (unit === 'word') return last.word + 1;
+  if (unit === 'line') return last.line + 1;
+  return words.reduce((count, token) => count + [...token.text].length, 0);
+};
+
+/**
+ * Expand the steps whose units come one per click into a step per unit:
+ * the first keeps the step's trigger, the others wait for a click. The
+ * unit of each is in `unitIndex`.
+ * @param {Array<Object>} sequence - Slide animation sequence
+ * @param {Array<Object>} elements - Elements of the slide
+ * @returns {Array<Object>} Sequence as played
+ */
+export const expandTextBuildSteps = (sequence = [], elements = []) => {
+  const all = elements.flatMap(element => [element, ...(element.children || [])]);
+
+  return sequence.flatMap((step) => {
+    if (!step.unitsOnClick || !TEXT_BUILD_UNITS[step.buildBy]?.perClick) return [step];
+
+    const element = all.find(candidate => candidate.id === step.targetElementId);
+    const count = element ? countTextUnits(element, step.buildBy) : 0;
+    if (count === 0) return [step];
+
+    return Array.from({ length: count }, (_, unitIndex) => ({
+      ...step,
+      id: `${step.id}:${unitIndex}`,
+      trigger: unitIndex === 0 ? step.trigger : ANIMATION_TRIGGER.ON_CLICK,
+      unitIndex
+    }));
+  });
+};
+
+/**
+ * Mark the units of a rendered element. List items get their index; words
+ * are wrapped in inline blocks (so transforms apply) numbered by word and
+ * by paragraph, and split into letters for a build by letter.
+ * @param {HTMLElement} root - Rendered element
+ * @param {string} unit - Key of TEXT_BUILD_UNITS
+ */
+export const markTextUnits = (root, unit) => {
+  if (root.querySelector(`[data-build-${unit}]`)) return;
+
+  if (unit === 'item') {
+    root.querySelectorAll('li').forEach((li, i) => li.setAttribute('data-build-item', i));
+    return;
+  }
+
+  // Text nodes in order, with the line breaks and list items between them
+  const pieces = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (!['STYLE', 'SCRIPT'].includes(node.parentNode.tagName)) pieces.push(node);
+    } else if (node.tagName === 'BR' || node.tagName === 'LI') {
+      pieces.push(null);
+    }
+  }
+
+  const segments = segmentTextPieces(pieces.map(node => (node ? node.textContent : null)));
+  let letters = 0;
+
+  pieces.forEach((node, i) => {
+    if (!node) return;
+
+    const fragment = document.createDocumentFragment();
+    segments[i].forEach((token) => {
+      if (token.word === undefined) {
+        fragment.appendChild(document.createTextNode(token.text));
+        return;
+      }
+
+      // The parts of a word in several text nodes share its number
+      const word = document.createElement('span');
+      word.style.display = 'inline-block';
+      word.setAttribute('data-build-word', token.word);
+      word.setAttribute('data-build-line', token.line);
+
+      if (unit === 'letter') {
+        word.style.whiteSpace = 'nowrap';
+        [...token.text].forEach((character) => {
+          const letter = document.createElement('span');
+          letter.style.display = 'inline-block';
+          letter.setAttribute('data-build-letter', letters++);
+          letter.textContent = character;
+          word.appendChild(letter);
+        });
+      } else {
+        word.textContent = token.text;
+      }
+      fragment.appendChild(word);
+    });
+    node.replaceWith(fragment);
+  });
+};
@@ -0,0 +1,240 @@
+/**
+ * WOW3 Slide Transitions
+ * WAAPI keyframe registry of the transitions played between two slides.
+ * A transition animates the layers of the outgoing and incoming slides;
+ * directions name the way the motion goes (`left`: the incoming slide
+ * comes from the right).
+ */
+
+/** Directions of the moving transitions */
+const EDGE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+/** Unit motion of each direction, in slide widths and heights */
+const DIRECTION_VECTORS = {
+  left: [-1, 0],
+  right: [1, 0],
+  up: [0, -1],
+  down: [0, 1]
+};
+
+/** Clip of the incoming slide at the start of a wipe */
+const WIPE_CLIPS = {
+  left: 'inset(0 0 0 100%)',
+  right: 'inset(0 100% 0 0)',
+  up: 'inset(100% 0 0 0)',
+  down: 'inset(0 0 100% 0)'
+};
+
+/**
+ * Translation of a direction vector
+ * @param {number[]} vector
+ * @param {number} factor - Multiplier of the vector
+ * @returns {string}
+ */
+const translate = ([dx, dy], factor) => `translate(${dx * factor * 100}%, ${dy * factor * 100}%)`;
+
+/**
+ * Cube faces: the outgoing slide turns away around its trailing edge while
+ * the incoming one turns in around its leading edge
+ * @param {string} direction
+ * @returns {{ outgoing: Object[], incoming: Object[] }}
+ */
+const cubeKeyframes = (direction) => {
+  const horizontal = direction === 'left' || direction === 'right';
+  const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+  const axis = horizontal ? 'X' : 'Y';
+  const rotate = horizontal ? 'rotateY' : 'rotateX';
+  // rotateY turns the far side away for negative angles, rotateX for positive ones
+  const angle = horizontal ? sign * 90 : -sign * 90;
+  const edge = (side) => (horizontal ? `${side > 0 ? 100 : 0}% 50%` : `50% ${side > 0 ? 100 : 0}%`);
+
+  const outgoingOrigin = edge(-sign);
+  const incomingOrigin = edge(sign);
+  return {
+    outgoing: [
+      { transformOrigin: outgoingOrigin, transform: `translate${axis}(0) ${rotate}(0deg)` },
+      { transformOrigin: outgoingOrigin, transform: `translate${axis}(${sign * 100}%) ${rotate}(${angle}deg)` }
+    ],
+    incoming: [
+      { transformOrigin: incomingOrigin, transform: `translate${axis}(${-sign * 100}%) ${rotate}(${-angle}deg)` },
+      { transformOrigin: incomingOrigin, transform: `translate${axis}(0) ${rotate}(0deg)` }
+    ]
+  };
+};
+
+/**
+ * Transition definitions registry.
+ * Each entry has a label, the directions it supports (the first is the
+ * default) and a function returning the keyframes of the outgoing and
+ * incoming slides for a direction; null leaves a slide still.
+ * `outgoingOnTop` stacks the outgoing slide above the incoming one,
+ * `perspective` gives the slides depth, `morph` tweens the matching
+ * elements of the two slides into each other.
+ */
+export const TRANSITION_DEFINITIONS = {
+  none: {
+    label: 'None',
+    directions: [],
+    keyframes: () => ({ outgoing: null, incoming: null })
+  },
+
+  fade: {
+    label: 'Fade',
+    directions: [],
+    keyframes: () => ({
+      outgoing: null,
+      incoming: [{ opacity: 0 }, { opacity: 1 }]
+    })
+  },
+
+  dissolve: {
+    label: 'Dissolve',
+    directions: [],
+    keyframes: () => ({
+      outgoing: [{ opacity: 1, filter: 'blur(0px)' }, { opacity: 0, filter: 'blur(12px)' }],
+      incoming: [{ opacity: 0, filter: 'blur(12px)' }, { opacity: 1, filter: 'blur(0px)' }]
+    })
+  },
+
+  push: {
+    label: 'Push',
+    directions: EDGE_DIRECTIONS,
+    keyframes: (direction) => {
+      const vector = DIRECTION_VECTORS[direction];
+      return {
+        outgoing: [{ transform: translate(vector, 0) }, { transform: translate(vector, 1) }],
+        incoming: [{ transform: translate(vector, -1) }, { transform: translate(vector, 0) }]
+      };
+    }
+  },
+
+  wipe: {
+    label: 'Wipe',
+    directions: EDGE_DIRECTIONS,
+    keyframes: (direction) => ({
+      outgoing: null,
+      incoming: [{ clipPath: WIPE_CLIPS[direction] }, { clipPath: 'inset(0 0 0 0)' }]
+    })
+  },
+
+  cover: {
+    label: 'Cover',
+    directions: EDGE_DIRECTIONS,
+    keyframes: (direction) => {
+      const vector = DIRECTION_VECTORS[direction];
+      return {
+        outgoing: null,
+        incoming: [{ transform: translate(vector, -1) }, { transform: translate(vector, 0) }]
+      };
+    }
+  },
+
+  uncover: {
+    label: 'Uncover',
+    directions: EDGE_DIRECTIONS,
+    outgoingOnTop: true,
+    keyframes: (direction) => {
+      const vector = DIRECTION_VECTORS[direction];
+      return {
+        outgoing: [{ transform: translate(vector, 0) }, { transform: translate(vector, 1) }],
+        incoming: null
+      };
+    }
+  },
+
+  cube: {
+    label: 'Cube',
+    directions: EDGE_DIRECTIONS,
+    perspective: true,
+    keyframes: cubeKeyframes
+  },
+
+  zoom: {
+    label: 'Zoom',
+    directions: ['in', 'out'],
+    keyframes: (direction) => {
+      const from = direction === 'out' ? 1.6 : 0.3;
+      return {
+        outgoing: [{ opacity: 1 }, { opacity: 0 }],
+        incoming: [{ opacity: 0, transform: `scale(${from})` }, { opacity: 1, transform: 'scale(1)' }]
+      };
+    }
+  },
+
+  // Moves the elements both slides share (see ./morph.js); the keyframes
+  // are the crossfade played when there is nothing to match
+  morph: {
+    label: 'Magic Move',
+    directions: [],
+    morph: true,
+    keyframes: () => ({
+      outgoing: [{ opacity: 1 }, { opacity: 0 }],
+      incoming: [{ opacity: 0 }, { opacity: 1 }]
+    })
+  }
+};
+
+/** Labels of the directions, for pickers */
+export const TRANSITION_DIRECTION_LABELS = {
+  left: 'Left',
+  right: 'Right',
+  up: 'Up',
+  down: 'Down',
+  in: 'In',
+  out: 'Out'
+};
+
+/** Transition of a slide that has none set */
+export const DEFAULT_TRANSITION = { type: 'none', duration: 700, direction: 'left' };
+
+/** Bounds of a transition duration, in ms */
+export const TRANSITION_DURATION_RANGE = { min: 100, max: 5000 };
+
+/**
+ * Complete a stored transition: unknown types become 'none', the direction
+ * falls back to the first one the type supports
+ * @param {Object} [transition] - { type, duration, direction }
+ * @returns {{ type: string, duration: number, direction: string }}
+ */
+export const normalizeTransition = (transition = {}) => {
+  const type = TRANSITION_DEFINITIONS[transition?.type] ? transition.type : DEFAULT_TRANSITION.type;
+  const { directions } = TRANSITION_DEFINITIONS[type];
+  const duration = Number(transition?.duration);
+
+  return {
+    type,
+    duration: Number.isFinite(duration)
+      ? Math.min(TRANSITION_DURATION_RANGE.max, Math.max(TRANSITION_DURATION_RANGE.min, Math.round(duration)))
+      : DEFAULT_TRANSITION.duration,
+    direction: directions.includes(transition?.direction)
+      ? transition.direction
+      : (directions[0] || DEFAULT_TRANSITION.direction)
+  };
+};
+
+/**
+ * How long a transition takes on screen
+ * @param {Object} [transition] - Slide transition
+ * @returns {number} Duration in ms, 0 for 'none'
+ */
+export const getTransitionDuration = (transition) => {
+  const { type, duration } = normalizeTransition(transition);
+  return type === 'none' ? 0 : duration;
+};
+
+/**
+ * Keyframes and stacking of a transition
+ * @param {Object} [transition] - Slide transition
+ * @returns {{ outgoing: Object[]|null, incoming: Object[]|null, outgoingOnTop: boolean, perspective: boolean, morph: boolean }}
+ */
+export const getTransitionKeyframes = (transition) => {
+  const { type, direction } = normalizeTransition(transition);
+  const definition = TRANSITION_DEFINITIONS[type];
+
+  return {
+    ...definition.keyframes(direction),
+    outgoingOnTop: definition.outgoingOnTop === true,
+    perspective: definition.perspective === true,
+    morph: definition.morph === true
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * WOW3 Motion Path Handler
+ * Draws and edits the path of a motion path step over the canvas. Paths
+ * start at the center of their element; drawing follows the pointer from
+ * there, editing drags the points of the path.
+ */
+
+import { normalizeMotionPath, motionPathToSVG, simplifyMotionPoints } from '../animations/motion_path.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Shortest path worth keeping, in slide px */
+const MIN_PATH_LENGTH = 5;
+
+/** Distance between two freehand points, in slide px */
+const FREEHAND_SPACING = 4;
+
+export class MotionPathHandler {
+  /**
+   * Create motion path handler
+   * @param {AnimationEditorController} animationEditorController - Animation editor controller instance
+   */
+  constructor(animationEditorController) {
+    this.animationEditorController = animationEditorController;
+    this.isActive = false;
+
+    /** @type {'draw'|'edit'|null} */
+    this._mode = null;
+    /** @type {Element|null} Element the path moves */
+    this._element = null;
+    /** @type {{ kind: string, points: Object[] }|null} Path being drawn or edited */
+    this._path = null;
+    /** @type {Function|null} Receives the path once drawn, or after each edit */
+    this._onPath = null;
+
+    /** @type {HTMLElement|null} */
+    this._canvas = null;
+    /** @type {HTMLElement|null} */
+    this._overlay = null;
+    /** @type {SVGGElement|null} Layer of the path, at the element's center */
+    this._layer = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  /**
+   * Draw a new path for an element: press anywhere on the canvas and drag,
+   * the path goes from the element to the pointer
+   * @param {Element} element - Element model
+   * @param {string} kind - 'line', 'curve' or 'bezier'
+   * @param {Function} onDone - Called with the normalized path when drawn
+   */
+  draw(element, kind, onDone) {
+    if (!this._enter(element, 'draw', onDone)) return;
+    this._path = { kind, points: [{ x: 0, y: 0 }] };
+    this._overlay.classList.add('drawing');
+    this._overlay.addEventListener('pointerdown', e => this._onDrawStart(e));
+  }
+
+  /**
+   * Show the path of an element with handles on its points
+   * @param {Element} element - Element model
+   * @param {Object} path - Motion path
+   * @param {Function} onChange - Called with the normalized path after each drag
+   */
+  edit(element, path, onChange) {
+    if (!this._enter(element, 'edit', onChange)) return;
+    this._path = normalizeMotionPath(path);
+    this._overlay.addEventListener('pointerdown', (e) => {
+      // Pressing beside the handles ends editing
+      if (e.target.closest('.motion-path-handle')) return;
+      this.exit();
+    });
+    this._renderPath();
+  }
+
+  /**
+   * Remove the overlay and stop drawing or editing
+   */
+  exit() {
+    if (!this.isActive) return;
+
+    document.removeEventListener('keydown', this._onKeyDown);
+    if (this._overlay) this._overlay.remove();
+
+    this.isActive = false;
+    this._mode = null;
+    this._element = null;
+    this._path = null;
+    this._onPath = null;
+    this._overlay = null;
+    this._layer = null;
+  }
+
+  /**
+   * Lay the overlay over the canvas
+   * @param {Element} element
+   * @param {'draw'|'edit'} mode
+   * @param {Function} onPath
+   * @returns {boolean} Whether the canvas is there
+   * @private
+   */
+  _enter(element, mode, onPath) {
+    this.exit();
+
+    this._canvas = document.getElementById('slide-canvas');
+    if (!this._canvas) return false;
+
+    this.isActive = true;
+    this._mode = mode;
+    this._element = element;
+    this._onPath = onPath;
+
+    const { x, y, width, height } = element.position;
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'motion-path-overlay';
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+    this._layer = document.createElementNS(SVG_NS, 'g');
+    this._layer.setAttribute('transform', `translate(${x + width / 2}, ${y + height / 2})`);
+    svg.appendChild(this._layer);
+    this._overlay.appendChild(svg);
+    this._canvas.appendChild(this._overlay);
+
+    document.addEventListener('keydown', this._onKeyDown);
+    return true;
+  }
+
+  /**
+   * Start drawing: follow the pointer until released
+   * @param {PointerEvent} e
+   * @private
+   */
+  _onDrawStart(e) {
+    if (this._mode !== 'draw') return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const onMove = (ev) => {
+      this._extendPath(this._toPathPoint(ev));
+      this._renderPath();
+    };
+
+    const onUp = (ev) => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      if (this._mode !== 'draw') return;
+
+      this._extendPath(this._toPathPoint(ev));
+      const { points } = this._path;
+      const reach = Math.max(...points.map(point => Math.hypot(point.x, point.y)));
+      const onDone = this._onPath;
+      const path = normalizeMotionPath(this._path.kind === 'curve'
+        ? { kind: 'curve', points: simplifyMotionPoints(points) }
+        : this._path);
+      this.exit();
+
+      if (reach < MIN_PATH_LENGTH) return;
+      onDone(path);
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Take the pointer into the path being drawn
+   * @param {{ x: number, y: number }} point - Pointer, relative to the path start
+   * @private
+   */
+  _extendPath(point) {
+    const { kind, points } = this._path;
+
+    if (kind === 'curve') {
+      const last = points[points.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) >= FREEHAND_SPACING) points.push(point);
+      return;
+    }
+
+    if (kind === 'bezier') {
+      // An arc to the pointer; its controls can be dragged once drawn
+      const length = Math.hypot(point.x, point.y);
+      const bend = length > 0 ? 0.3 : 0;
+      const normal = length > 0 ? { x: point.y / length, y: -point.x / length } : { x: 0, y: 0 };
+      this._path.points = [
+        points[0],
+        { x: point.x / 3 + normal.x * length * bend, y: point.y / 3 + normal.y * length * bend },
+        { x: point.x * 2 / 3 + normal.x * length * bend, y: point.y * 2 / 3 + normal.y * length * bend },
+        point
+      ];
+      return;
+    }
+
+    this._path.points = [points[0], point];
+  }
+
+  /**
+   * Draw the path, and its handles when editing
+   * @private
+   */
+  _renderPath() {
+    if (!this._layer) return;
+    this._layer.innerHTML = '';
+
+    const path = this._mode === 'draw' && this._path.points.length < 2
+      ? null
+      : normalizeMotionPath(this._path);
+    if (!path) return;
+
+    const line = document.createElementNS(SVG_NS, 'path');
+    line.setAttribute('class', 'motion-path-line');
+    line.setAttribute('d', motionPathToSVG(path));
+    this._layer.appendChild(line);
+
+    // Where the element's center ends up
+    const end = path.points[path.points.length - 1];
+    const { width, height } = this._element.position;
+    const ghost = document.createElementNS(SVG_NS, 'rect');
+    ghost.setAttribute('class', 'motion-path-ghost');
+    ghost.setAttribute('x', end.x - width / 2);
+    ghost.setAttribute('y', end.y - height / 2);
+    ghost.setAttribute('width', width);
+    ghost.setAttribute('height', height);
+    this._layer.appendChild(ghost);
+
+    if (this._mode !== 'edit') return;
+
+    // Bezier controls hang from their anchors
+    if (path.kind === 'bezier') {
+      path.points.forEach((point, i) => {
+        if (i % 3 === 0) return;
+        const anchor = path.points[i % 3 === 1 ? i - 1 : i + 1];
+        const arm = document.createElementNS(SVG_NS, 'line');
+        arm.setAttribute('class', 'motion-path-arm');
+        arm.setAttribute('x1', anchor.x);
+        arm.setAttribute('y1', anchor.y);
+        arm.setAttribute('x2', point.x);
+        arm.setAttribute('y2', point.y);
+        this._layer.appendChild(arm);
+      });
+    }
+
+    path.points.forEach((point, i) => {
+      const handle = document.createElementNS(SVG_NS, 'circle');
+      const isControl = path.kind === 'bezier' && i % 3 !== 0;
+      handle.setAttribute('class', `motion-path-handle${isControl ? ' control' : ''}${i === 0 ? ' start' : ''}`);
+      handle.setAttribute('cx', point.x);
+      handle.setAttribute('cy', point.y);
+      handle.setAttribute('r', isControl ? 6 : 8);
+      // The path starts at the element, so its first point stays put
+      if (i > 0) handle.addEventListener('pointerdown', e => this._onHandleDown(e, i));
+      this._layer.appendChild(handle);
+    });
+  }
+
+  /**
+   * Drag a point of the path being edited
+   * @param {PointerEvent} e
+   * @param {number} index - Index of the point
+   * @private
+   */
+  _onHandleDown(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const onMove = (ev) => {
+      this._path.points[index] = this._toPathPoint(ev);
+      this._renderPath();
+    };
+
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      if (this._mode !== 'edit') return;
+      this._path = normalizeMotionPath(this._path);
+      this._onPath(this._path);
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Pointer position relative to the element's center, in slide px
+   * @param {PointerEvent} e
+   * @returns {{ x: number, y: number }}
+   * @private
+   */
+  _toPathPoint(e) {
+    const rect = this._canvas.getBoundingClientRect();
+    const scaleX = this._canvas.offsetWidth / rect.width;
+    const scaleY = this._canvas.offsetHeight / rect.height;
+    const { x, y, width, height } = this._element.position;
+    return {
+      x: Math.round((e.clientX - rect.left) * scaleX - (x + width / 2)),
+      y: Math.round((e.clientY - rect.top) * scaleY - (y + height / 2))
+    };
+  }
+
+  /**
+   * Escape cancels drawing or ends editing
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _onKeyDown(e) {
+    if (e.key === 'Escape' && this.isActive) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.exit();
+    }
+  }
+}
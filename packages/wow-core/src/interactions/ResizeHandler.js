@@ -196,6 +196,11 @@ export class ResizeHandler {
 
       this.isResizing = false;
 
+      // Elements laid out for their size (charts, tables) are drawn again
+      if (element.redrawOnResize) {
+        this.elementController.refreshElementDOM?.(element);
+      }
+
       // Record history
       this.elementController.editor.recordHistory();
 
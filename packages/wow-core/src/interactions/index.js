@@ -5,3 +5,4 @@ export { CropHandler } from './CropHandler.js';
 export { MarqueeHandler } from './MarqueeHandler.js';
 export { CanvasDropHandler } from './CanvasDropHandler.js';
 export { AlignmentGuides } from './AlignmentGuides.js';
+export { MotionPathHandler } from './MotionPathHandler.js';
@@ -1,10 +1,21 @@
 /**
  * WOW3 Text Element
- * Text element with rich formatting options
+ * Text element with rich formatting options. Parts of the text can have
+ * their own weight, style, decoration, color, size and link: see
+ * utils/rich_text.js for the runs they are stored in.
  */
 
 import { Element } from './Element.js';
 import { ElementType } from '../utils/constants.js';
+import {
+  normalizeRuns,
+  runsToText,
+  hasFormatting,
+  reconcileRuns,
+  applyRunStyle,
+  renderRuns,
+  runsFromDOM
+} from '../utils/rich_text.js';
 
 export class TextElement extends Element {
   /**
@@ -18,6 +29,10 @@ export class TextElement extends Element {
     this.properties.text = properties.properties?.text || 'Enter text here';
     this.properties.editable = properties.properties?.editable !== false;
 
+    // Formatted runs of the text; null while it is all in the element's font
+    const runs = properties.properties?.runs;
+    this.properties.runs = Array.isArray(runs) && hasFormatting(runs) ? normalizeRuns(runs) : null;
+
     // Background image fill (CSS background-clip: text)
     this.properties.backgroundImage = {
       url: properties.properties?.backgroundImage?.url || '',
@@ -39,7 +54,16 @@ export class TextElement extends Element {
     const textContent = document.createElement('div');
     textContent.className = 'text-content';
     textContent.contentEditable = false;
-    textContent.innerText = this.properties.text;
+
+    // Formatted runs go in one block, so the grid below lays them out as one text
+    if (this.properties.runs) {
+      const runsContainer = document.createElement('div');
+      runsContainer.className = 'text-runs';
+      renderRuns(runsContainer, this.getRuns());
+      textContent.appendChild(runsContainer);
+    } else {
+      textContent.innerText = this.properties.text;
+    }
 
     // Map verticalAlign to CSS grid align-content
     const vAlignMap = { top: 'start', middle: 'center', bottom: 'end' };
@@ -138,11 +162,45 @@ export class TextElement extends Element {
   }
 
   /**
-   * Update text content
+   * Update text content; formatted runs are fitted onto the new text
    * @param {string} text - New text content
    */
   updateText(text) {
-    this.properties.text = text;
+    if (this.properties.runs) {
+      this.setRuns(reconcileRuns(this.properties.runs, text));
+    } else {
+      this.properties.text = text;
+    }
+  }
+
+  /**
+   * Runs of the text, fitted onto it if it was changed as plain text
+   * @returns {Object[]} A single unformatted run for plain text
+   */
+  getRuns() {
+    const { runs, text } = this.properties;
+    if (!runs) return text ? [{ text }] : [];
+    return reconcileRuns(runs, text);
+  }
+
+  /**
+   * Set the text from runs
+   * @param {Object[]} runs
+   */
+  setRuns(runs) {
+    const normalized = normalizeRuns(runs, this.properties.font);
+    this.properties.text = runsToText(normalized);
+    this.properties.runs = hasFormatting(normalized) ? normalized : null;
+  }
+
+  /**
+   * Set or clear formatting on a range of the text
+   * @param {number} start - Character offset
+   * @param {number} end - Character offset (exclusive)
+   * @param {Object} style - Run keys to set (weight, style, decoration, color, size, link); null clears one
+   */
+  formatRange(start, end, style) {
+    this.setRuns(applyRunStyle(this.getRuns(), start, end, style, this.properties.font));
   }
 
   /**
@@ -166,7 +224,7 @@ export class TextElement extends Element {
     // Update text content
     const textContent = el.querySelector('.text-content');
     if (textContent) {
-      this.properties.text = textContent.innerText;
+      this.setRuns(runsFromDOM(textContent, this.properties.font));
     }
   }
 }
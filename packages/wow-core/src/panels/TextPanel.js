@@ -1,5 +1,7 @@
 /**
  * Text Element Property Panel
+ * The Selected Text tools format the characters selected on the canvas
+ * (all of the text when none are) as runs of their own.
  */
 
 export class TextPanel {
@@ -25,6 +27,42 @@ export class TextPanel {
           </div>
         </div>
 
+        <div class="section-title">Selected Text</div>
+        <div class="control-group">
+          <div class="icon-toggle-row" id="run-format">
+            <div class="icon-toggle-group">
+              <button class="icon-toggle-btn" data-key="weight" data-value="bold" title="Bold (Ctrl+B while editing)">
+                <i class="material-icons">format_bold</i>
+              </button>
+              <button class="icon-toggle-btn" data-key="style" data-value="italic" title="Italic (Ctrl+I while editing)">
+                <i class="material-icons">format_italic</i>
+              </button>
+              <button class="icon-toggle-btn" data-key="decoration" data-value="underline" title="Underline (Ctrl+U while editing)">
+                <i class="material-icons">format_underlined</i>
+              </button>
+              <button class="icon-toggle-btn" data-key="decoration" data-value="line-through" title="Strikethrough">
+                <i class="material-icons">strikethrough_s</i>
+              </button>
+            </div>
+            <div class="icon-toggle-group">
+              <button class="icon-toggle-btn" id="run-link" title="Link">
+                <i class="material-icons">link</i>
+              </button>
+              <button class="icon-toggle-btn" id="run-clear" title="Clear formatting">
+                <i class="material-icons">format_clear</i>
+              </button>
+            </div>
+          </div>
+          <div class="placeholder-hint">Double-click the text on the slide and select the words to format.</div>
+        </div>
+
+        ${PanelUtils.renderColorPicker('Color', 'run-color', /^#[0-9a-f]{6}$/i.test(font.color) ? font.color : '#000000')}
+
+        <div class="control-group">
+          <label for="run-size">Size (px)</label>
+          <input type="number" id="run-size" class="panel-input" min="8" max="288" step="1" placeholder="${font.size}">
+        </div>
+
         <div class="section-title">Image Fill</div>
         <div id="text-bg-image-selector"></div>
 
@@ -188,11 +226,46 @@ export class TextPanel {
       });
     });
 
-    // Content
+    // Content — the formatting runs follow the edited text
     const textContent = document.getElementById('text-content');
     if (textContent) {
       textContent.addEventListener('change', (e) => {
-        updateProperty('properties.text', e.target.value);
+        element.updateText(e.target.value);
+        updateProperty('properties.text', element.properties.text);
+      });
+    }
+
+    // Selected text formatting
+    const elementController = window.app.editor.elementController;
+    const runFormat = document.getElementById('run-format');
+    if (runFormat) {
+      // Keep the canvas selection while a tool is clicked
+      runFormat.addEventListener('mousedown', (e) => e.preventDefault());
+
+      runFormat.querySelectorAll('[data-key]').forEach((btn) => {
+        btn.addEventListener('click', () => elementController.toggleTextStyle(btn.dataset.key, btn.dataset.value));
+      });
+
+      document.getElementById('run-link')?.addEventListener('click', async () => {
+        const link = await Dialog.prompt('Link address (leave empty to remove the link):', '', 'Link');
+        if (link === null) return;
+        elementController.formatTextSelection({ link: link.trim() || null });
+      });
+
+      document.getElementById('run-clear')?.addEventListener('click', () => {
+        elementController.formatTextSelection({ weight: null, style: null, decoration: null, color: null, size: null, link: null });
+      });
+    }
+
+    PanelUtils.bindColorPicker('run-color', (value) => {
+      elementController.formatTextSelection({ color: value });
+    });
+
+    const runSize = document.getElementById('run-size');
+    if (runSize) {
+      runSize.addEventListener('change', (e) => {
+        const size = parseInt(e.target.value, 10);
+        elementController.formatTextSelection({ size: size > 0 ? size : null });
       });
     }
 
@@ -37,6 +37,8 @@ export const ElementType = {
   LINK: 'link',
   SHAPE: 'shape',
   COUNTDOWN_TIMER: 'countdown_timer',
+  CHART: 'chart',
+  TABLE: 'table',
   EMPTY: 'empty'
 };
 
@@ -65,6 +67,8 @@ export const DEFAULT_SIZE = {
   LIST: { width: 300, height: 200 },
   LINK: { width: 200, height: 50 },
   COUNTDOWN_TIMER: { width: 200, height: 100 },
+  CHART: { width: 640, height: 400 },
+  TABLE: { width: 640, height: 240 },
   EMPTY: { width: 64, height: 64 }
 };
 
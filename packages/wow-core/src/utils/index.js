@@ -4,3 +4,4 @@ export * from './constants.js';
 export * from './positioning.js';
 export * from './toasts.js';
 export * from './settings.js';
+export * from './rich_text.js';
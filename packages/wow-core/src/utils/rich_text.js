@@ -0,0 +1,375 @@
+/**
+ * WOW3 Rich Text
+ * Runs of text with their own formatting inside a text element.
+ *
+ * A text element keeps its characters in `properties.text` and, when parts
+ * of it are formatted, `properties.runs`: an array of
+ * `{ text, weight?, style?, decoration?, color?, size?, link? }` whose texts
+ * spell out `properties.text`. A run without a key takes it from the
+ * element's `properties.font`. Plain text has no runs (`null`), so elements
+ * saved before runs existed load and render unchanged.
+ *
+ * `text` stays authoritative for the characters: code that only knows plain
+ * text (panels, layouts, data merge, older copies of a deck) can keep
+ * writing it, and the runs are fitted back onto it by reconcileRuns().
+ */
+
+/** Formatting keys of a run, with the font keys they override */
+export const RUN_STYLE_KEYS = ['weight', 'style', 'decoration', 'color', 'size', 'link'];
+
+/** URL schemes a run link may use */
+const LINK_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+/** Elements that start a new line in edited text */
+const BLOCK_TAGS = new Set(['DIV', 'P', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE']);
+
+// ─── Helpers ─────────────────────────────────────────────
+
+/**
+ * Formatting of a run, without its text
+ * @param {Object} run
+ * @returns {Object}
+ */
+const styleOf = (run) => {
+  const style = {};
+  RUN_STYLE_KEYS.forEach((key) => {
+    if (run[key] !== undefined && run[key] !== null && run[key] !== '') style[key] = run[key];
+  });
+  return style;
+};
+
+/**
+ * Whether two runs have the same formatting
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+const sameStyle = (a, b) => RUN_STYLE_KEYS.every(key => (a[key] ?? null) === (b[key] ?? null));
+
+/**
+ * Split runs so that a run boundary falls at an offset
+ * @param {Object[]} runs - Normalized runs (not modified)
+ * @param {number} offset
+ * @returns {Object[]}
+ */
+const splitAt = (runs, offset) => {
+  const result = [];
+  let position = 0;
+  runs.forEach((run) => {
+    const end = position + run.text.length;
+    if (offset > position && offset < end) {
+      result.push({ ...run, text: run.text.slice(0, offset - position) });
+      result.push({ ...run, text: run.text.slice(offset - position) });
+    } else {
+      result.push({ ...run });
+    }
+    position = end;
+  });
+  return result;
+};
+
+// ─── Runs ────────────────────────────────────────────────
+
+/**
+ * Clean runs: known keys only, no empty runs, neighbours with the same
+ * formatting merged, keys equal to the element's font dropped
+ * @param {Object[]} runs
+ * @param {Object} [font] - Element font; its values need no override
+ * @returns {Object[]}
+ */
+export const normalizeRuns = (runs, font = {}) => {
+  const result = [];
+  (Array.isArray(runs) ? runs : []).forEach((run) => {
+    if (!run || typeof run.text !== 'string' || run.text === '') return;
+    const style = styleOf(run);
+    RUN_STYLE_KEYS.forEach((key) => {
+      if (key !== 'link' && style[key] !== undefined && String(style[key]) === String(font[key])) delete style[key];
+    });
+    if (style.link && !LINK_PATTERN.test(style.link)) style.link = `https://${style.link}`;
+
+    const last = result[result.length - 1];
+    if (last && sameStyle(last, style)) {
+      last.text += run.text;
+    } else {
+      result.push({ text: run.text, ...style });
+    }
+  });
+  return result;
+};
+
+/**
+ * Characters of some runs
+ * @param {Object[]} runs
+ * @returns {string}
+ */
+export const runsToText = (runs) => (runs || []).map(run => run.text).join('');
+
+/**
+ * Whether some runs format any part of their text
+ * @param {Object[]} runs
+ * @returns {boolean}
+ */
+export const hasFormatting = (runs) => (runs || []).some(run => Object.keys(styleOf(run)).length > 0);
+
+/**
+ * Replace a range of characters, keeping the formatting around it. Inserted
+ * text takes the formatting of the character before it (of the one after,
+ * at the start).
+ * @param {Object[]} runs - Normalized runs (not modified)
+ * @param {number} start
+ * @param {number} end
+ * @param {string} insert
+ * @returns {Object[]} New runs
+ */
+export const spliceRuns = (runs, start, end, insert = '') => {
+  const before = [];
+  const removed = [];
+  const after = [];
+  let position = 0;
+  splitAt(splitAt(runs, start), end).forEach((run) => {
+    if (position + run.text.length <= start) before.push(run);
+    else if (position >= end) after.push(run);
+    else removed.push(run);
+    position += run.text.length;
+  });
+
+  const neighbour = before[before.length - 1] || removed[0] || after[0];
+  const inserted = insert ? [{ ...(neighbour ? styleOf(neighbour) : {}), text: insert }] : [];
+  return normalizeRuns([...before, ...inserted, ...after]);
+};
+
+/**
+ * Fit runs onto a text their characters no longer spell out: the part
+ * that changed (between the common start and end) is replaced
+ * @param {Object[]} runs
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export const reconcileRuns = (runs, text) => {
+  const current = runsToText(runs);
+  if (current === text) return runs;
+
+  const max = Math.min(current.length, text.length);
+  let prefix = 0;
+  while (prefix < max && current[prefix] === text[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < max - prefix && current[current.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix++;
+
+  return spliceRuns(runs, prefix, current.length - suffix, text.slice(prefix, text.length - suffix));
+};
+
+/**
+ * Set or clear formatting on a range of characters
+ * @param {Object[]} runs - Normalized runs (not modified)
+ * @param {number} start
+ * @param {number} end
+ * @param {Object} style - Keys to set; null clears a key
+ * @param {Object} [font] - Element font, see normalizeRuns()
+ * @returns {Object[]} New runs
+ */
+export const applyRunStyle = (runs, start, end, style, font = {}) => {
+  let position = 0;
+  const result = splitAt(splitAt(runs, start), end).map((run) => {
+    const inRange = position >= start && position < end;
+    position += run.text.length;
+    if (!inRange) return run;
+
+    const next = { ...run };
+    Object.entries(style).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') delete next[key];
+      else next[key] = value;
+    });
+    return next;
+  });
+  return normalizeRuns(result, font);
+};
+
+/**
+ * Value of a formatting key over a range, if every character has it
+ * @param {Object[]} runs
+ * @param {number} start
+ * @param {number} end
+ * @param {string} key
+ * @param {Object} [font] - Element font, for characters without the key
+ * @returns {*} The shared value, or undefined when the range mixes values
+ */
+export const runStyleAt = (runs, start, end, key, font = {}) => {
+  let position = 0;
+  let value;
+  let mixed = false;
+  runs.forEach((run) => {
+    const runEnd = position + run.text.length;
+    if (runEnd > start && position < Math.max(end, start + 1)) {
+      const runValue = run[key] ?? font[key];
+      if (value === undefined) value = runValue;
+      else if (value !== runValue) mixed = true;
+    }
+    position = runEnd;
+  });
+  return mixed ? undefined : value;
+};
+
+/**
+ * Apply a function to the text of each run, e.g. to fill tokens. A token
+ * split across differently formatted runs is not seen.
+ * @param {Object[]} runs
+ * @param {function(string): string} fn
+ * @returns {Object[]}
+ */
+export const mapRunsText = (runs, fn) => normalizeRuns(runs.map(run => ({ ...run, text: fn(run.text) })));
+
+// ─── DOM ─────────────────────────────────────────────────
+
+/**
+ * Inline CSS of a run's formatting
+ * @param {Object} run
+ * @returns {string}
+ */
+export const runStyleCSS = (run) => {
+  const css = [];
+  if (run.weight) css.push(`font-weight: ${run.weight}`);
+  if (run.style) css.push(`font-style: ${run.style}`);
+  if (run.decoration) css.push(`text-decoration: ${run.decoration}`);
+  // A gradient or image fill of the element clips its text: a run color paints over it
+  if (run.color) css.push(`color: ${run.color}`, `-webkit-text-fill-color: ${run.color}`);
+  if (run.size) css.push(`font-size: ${run.size}px`);
+  return css.join('; ');
+};
+
+/**
+ * Render runs into a node: a span (a link) per run, line breaks as <br>
+ * @param {HTMLElement} container
+ * @param {Object[]} runs
+ */
+export const renderRuns = (container, runs) => {
+  runs.forEach((run) => {
+    const node = document.createElement(run.link ? 'a' : 'span');
+    if (run.link) {
+      node.href = run.link;
+      node.target = '_blank';
+      node.rel = 'noopener noreferrer';
+      if (!run.color) node.style.color = 'inherit';
+    }
+    const css = runStyleCSS(run);
+    if (css) node.style.cssText += css;
+
+    run.text.split('\n').forEach((line, i) => {
+      if (i > 0) node.appendChild(document.createElement('br'));
+      if (line) node.appendChild(document.createTextNode(line));
+    });
+    container.appendChild(node);
+  });
+};
+
+/**
+ * Formatting set by a node of edited HTML: tags from the browser's editing
+ * commands (b, i, u, font…) and inline styles, pasted content included
+ * @param {HTMLElement} node
+ * @returns {Object}
+ */
+const nodeStyle = (node) => {
+  const style = {};
+  const tag = node.tagName;
+  if (tag === 'B' || tag === 'STRONG') style.weight = 'bold';
+  if (tag === 'I' || tag === 'EM') style.style = 'italic';
+  if (tag === 'U') style.decoration = 'underline';
+  if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') style.decoration = 'line-through';
+  if (tag === 'A' && node.getAttribute('href')) style.link = node.getAttribute('href');
+  if (tag === 'FONT' && node.getAttribute('color')) style.color = node.getAttribute('color');
+
+  const css = node.style;
+  if (css) {
+    if (css.fontWeight) style.weight = { 700: 'bold', 400: 'normal' }[css.fontWeight] || css.fontWeight;
+    if (css.fontStyle) style.style = css.fontStyle;
+    const decoration = css.textDecorationLine || css.textDecoration;
+    if (decoration) style.decoration = decoration.split(' ')[0];
+    if (css.color && css.color !== 'inherit') style.color = css.color;
+    if (css.fontSize && css.fontSize.endsWith('px')) style.size = parseFloat(css.fontSize);
+  }
+  return style;
+};
+
+/**
+ * Runs of edited HTML: the content of a contenteditable text, or a part of it
+ * @param {Node} root - Element or document fragment
+ * @param {Object} [font] - Element font, see normalizeRuns()
+ * @returns {Object[]}
+ */
+export const runsFromDOM = (root, font = {}) => {
+  const runs = [];
+  const endsWithNewline = () => runsToText(runs).endsWith('\n');
+
+  const walk = (node, style) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === 3) {
+        runs.push({ ...style, text: child.nodeValue });
+        return;
+      }
+      if (child.nodeType !== 1) return;
+
+      if (child.tagName === 'BR') {
+        // The browser ends a line with a <br> it does not count
+        const parent = child.parentNode;
+        const trailing = parent !== root && BLOCK_TAGS.has(parent.tagName) && child === parent.lastChild && child.previousSibling;
+        if (!trailing) runs.push({ ...style, text: '\n' });
+        return;
+      }
+      if (BLOCK_TAGS.has(child.tagName) && runs.length > 0 && !endsWithNewline()) {
+        runs.push({ ...style, text: '\n' });
+      }
+      walk(child, { ...style, ...nodeStyle(child) });
+    });
+  };
+
+  walk(root, {});
+  return normalizeRuns(runs, font);
+};
+
+/**
+ * Character offsets of the selection inside a contenteditable text
+ * @param {HTMLElement} root
+ * @returns {{start: number, end: number}|null} Null when the selection is elsewhere
+ */
+export const getSelectionOffsets = (root) => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+
+  const offsetOf = (container, offset) => {
+    const before = document.createRange();
+    before.selectNodeContents(root);
+    before.setEnd(container, offset);
+    return runsToText(runsFromDOM(before.cloneContents())).length;
+  };
+  return { start: offsetOf(range.startContainer, range.startOffset), end: offsetOf(range.endContainer, range.endOffset) };
+};
+
+/**
+ * Select a range of characters inside text rendered by renderRuns()
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ */
+export const setSelectionOffsets = (root, start, end) => {
+  const positionOf = (offset) => {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let position = 0;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const length = node.nodeType === 3 ? node.nodeValue.length : (node.tagName === 'BR' ? 1 : 0);
+      if (node.nodeType === 3 && offset <= position + length) return [node, offset - position];
+      if (node.tagName === 'BR' && offset <= position) {
+        return [node.parentNode, Array.prototype.indexOf.call(node.parentNode.childNodes, node)];
+      }
+      position += length;
+    }
+    return [root, root.childNodes.length];
+  };
+
+  const range = document.createRange();
+  range.setStart(...positionOf(start));
+  range.setEnd(...positionOf(end));
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
@@ -10,6 +10,10 @@ const DEFAULT_SETTINGS = {
   general: {
     autosaveInterval: 15
   },
+  collab: {
+    name: '',
+    relayUrl: ''
+  },
   theme: {
     mode: 'light',
     navColor: '#1565C0',
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { countTextUnits, segmentTextPieces } from '../src/animations/text_build.js';
+
+const text = (value, runs = null) => ({ type: 'text', properties: { text: value, runs } });
+const words = pieces => segmentTextPieces(pieces).map(tokens => tokens.filter(t => t.word !== undefined).map(t => t.word));
+
+describe('segmentTextPieces', () => {
+  it('numbers words and paragraphs across line breaks', () => {
+    const segments = segmentTextPieces(['Hello world', null, null, 'again']);
+
+    expect(segments[0]).toEqual([
+      { text: 'Hello', word: 0, line: 0 },
+      { text: ' ' },
+      { text: 'world', word: 1, line: 0 },
+    ]);
+    expect(segments[3]).toEqual([{ text: 'again', word: 2, line: 1 }]);
+  });
+
+  it('keeps a word split across text nodes as one word', () => {
+    expect(words(['W', 'ow', ' is ', 'he', 're'])).toEqual([[0], [0], [1], [2], [2]]);
+  });
+
+  it('starts a new word after whitespace or a line break between nodes', () => {
+    expect(words(['one ', 'two'])).toEqual([[0], [1]]);
+    expect(words(['one', null, 'two'])).toEqual([[0], [], [1]]);
+  });
+});
+
+describe('countTextUnits', () => {
+  it('counts the words, letters and paragraphs of plain text', () => {
+    const element = text('Hello world\n\nagain');
+
+    expect(countTextUnits(element, 'word')).toBe(3);
+    expect(countTextUnits(element, 'letter')).toBe(15);
+    expect(countTextUnits(element, 'line')).toBe(2);
+  });
+
+  it('counts a word formatted in part as many words as are marked in its runs', () => {
+    const runs = [{ text: 'W', weight: 'bold' }, { text: 'ow is ' }, { text: 'fun', style: 'italic' }, { text: 'ny' }];
+    const element = text('Wow is funny', runs);
+    const marked = new Set(segmentTextPieces(runs.map(run => run.text)).flat().map(t => t.word).filter(w => w !== undefined));
+
+    expect(countTextUnits(element, 'word')).toBe(3);
+    expect(marked.size).toBe(3);
+  });
+
+  it('counts list items, and nothing for other units', () => {
+    const list = { type: 'list', properties: { items: ['a b', 'c'] } };
+
+    expect(countTextUnits(list, 'item')).toBe(2);
+    expect(countTextUnits(list, 'word')).toBe(3);
+    expect(countTextUnits(text('abc'), 'item')).toBe(0);
+    expect(countTextUnits(text(''), 'word')).toBe(0);
+  });
+});
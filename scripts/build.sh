@@ -8,6 +8,9 @@ cd "$REPO_ROOT"
 echo "==> Building wow3-animation..."
 pnpm build:animation
 
+echo "==> Building wow3..."
+pnpm build:wow3
+
 echo "==> Building Docker image wow3-renderer:latest..."
 docker build \
   -f apps/wow3-renderer/Dockerfile \
@@ -23,6 +23,9 @@ cd "$REPO_ROOT"
 echo "==> Building wow3-animation..."
 pnpm build:animation
 
+echo "==> Building wow3..."
+pnpm build:wow3
+
 echo "==> Building Docker image..."
 docker build \
   -f apps/wow3-renderer/Dockerfile \